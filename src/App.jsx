@@ -8,6 +8,7 @@ import ProtectedRoute, { InitialRedirect } from "./routes/ProtectedRoute.jsx";
 
 // Import Constants
 import { USER_ROLES, ROUTES } from "./utils/constants.js";
+import useServiceWorker from "./hooks/useServiceWorker.js";
 
 // Import Layout Components
 import MainLayout from "./layout/MainLayout.jsx"; // For public/auth/error pages
@@ -15,6 +16,7 @@ import AdminLayout from './layout/AdminLayout.jsx';
 import PropertyManagerLayout from './layout/PropertyManagerLayout.jsx';
 import LandlordLayout from './layout/LandlordLayout.jsx';
 import TenantLayout from './layout/TenantLayout.jsx';
+import VendorLayout from './layout/VendorLayout.jsx';
 
 // Loading component
 const LoadingSpinner = () => (
@@ -71,6 +73,7 @@ const UnitFormPage = React.lazy(() => import('./pages/properties/UnitFormPage.js
 
 const RequestListPage = React.lazy(() => import('./pages/requests/RequestListPage.jsx'));
 const RequestDetailPage = React.lazy(() => import('./pages/requests/RequestDetailPage.jsx'));
+const SlaPoliciesPage = React.lazy(() => import('./pages/requests/SlaPoliciesPage.jsx'));
 const RequestFormPage = React.lazy(() => import('./pages/requests/RequestFormPage.jsx'));
 
 const ScheduledMaintenanceListPage = React.lazy(() => import('./pages/scheduled-maintenance/ScheduledMaintenanceListPage.jsx'));
@@ -80,6 +83,7 @@ const ScheduledMaintenanceFormPage = React.lazy(() => import('./pages/scheduled-
 const VendorListPage = React.lazy(() => import('./pages/vendors/VendorListPage.jsx'));
 const VendorDetailPage = React.lazy(() => import('./pages/vendors/VendorDetailPage.jsx'));
 const VendorFormPage = React.lazy(() => import('./pages/vendors/VendorFormPage.jsx'));
+const VendorInvoicesPage = React.lazy(() => import('./pages/vendors/VendorInvoicesPage.jsx'));
 
 const UserListPage = React.lazy(() => import('./pages/users/UserListPage.jsx'));
 const UserDetailPage = React.lazy(() => import('./pages/users/UserDetailPage.jsx'));
@@ -91,6 +95,9 @@ import InviteFormPage from './pages/invites/InviteFormPage.jsx';
 import LeaseListPage from './pages/leases/LeaseListPage.jsx';
 import LeaseDetailPage from './pages/leases/LeaseDetailPage.jsx';
 import LeaseFormPage from './pages/leases/LeaseFormPage.jsx';
+import LeaseRentSchedulePage from './pages/leases/LeaseRentSchedulePage.jsx';
+import LeaseLedgerPage from './pages/leases/LeaseLedgerPage.jsx';
+import LeaseDepositPage from './pages/leases/LeaseDepositPage.jsx';
 
 import PaymentListPage from './pages/payments/PaymentListPage.jsx';
 import PaymentDetailPage from './pages/payments/PaymentDetailPage.jsx';
@@ -99,6 +106,7 @@ import PaymentFormPage from './pages/payments/PaymentFormPage.jsx';
 import MessageListPage from './pages/messages/MessageListPage.jsx';
 import MessageDetailPage from './pages/messages/MessageDetailPage.jsx';
 import MessageComposePage from './pages/messages/MessageComposePage.jsx';
+import GroupConversationPage from './pages/messages/GroupConversationPage.jsx';
 
 import NotificationListPage from './pages/notifications/NotificationListPage.jsx';
 
@@ -106,6 +114,12 @@ import OnboardingListPage from './pages/onboarding/OnboardingListPage.jsx';
 import OnboardingDetailPage from './pages/onboarding/OnboardingDetailPage.jsx';
 import OnboardingFormPage from './pages/onboarding/OnboardingFormPage.jsx';
 
+import SignDocumentPage from './pages/documents/SignDocumentPage.jsx';
+
+import InspectionFormPage from './pages/inspections/InspectionFormPage.jsx';
+import InspectionDetailPage from './pages/inspections/InspectionDetailPage.jsx';
+import InspectionComparisonPage from './pages/inspections/InspectionComparisonPage.jsx';
+
 import ReportsDashboardPage from './pages/reports/ReportsDashboardPage.jsx';
 import MaintenanceReportsPage from './pages/reports/MaintenanceReportsPage.jsx';
 import ScheduledMaintenanceReportsPage from './pages/reports/ScheduledMaintenanceReportsPage.jsx';
@@ -119,6 +133,10 @@ import MediaGalleryPage from './pages/media/MediaGalleryPage.jsx';
 // Role-specific unique pages (dashboards, profiles)
 import TenantDashboardPage from './pages/tenant/TenantDashboardPage.jsx';
 import TenantProfilePage from './pages/tenant/TenantProfilePage.jsx';
+import TenantPayRentPage from './pages/tenant/TenantPayRentPage.jsx';
+import TenantPaymentCallbackPage from './pages/tenant/TenantPaymentCallbackPage.jsx';
+import TenantLeaseRenewalPage from './pages/tenant/TenantLeaseRenewalPage.jsx';
+import MyUnitPage from './pages/tenant/MyUnitPage.jsx';
 
 import PMDashboardPage from './pages/pm/PMDashboardPage.jsx';
 import PMProfilePage from './pages/pm/PMProfilePage.jsx';
@@ -126,6 +144,10 @@ import PMProfilePage from './pages/pm/PMProfilePage.jsx';
 import LandlordDashboardPage from './pages/landlord/LandlordDashboardPage.jsx';
 import LandlordProfilePage from './pages/landlord/LandlordProfilePage.jsx';
 
+import VendorJobsPage from './pages/vendor/VendorJobsPage.jsx';
+import VendorJobDetailPage from './pages/vendor/VendorJobDetailPage.jsx';
+import VendorQuotesPage from './pages/vendor/VendorQuotesPage.jsx';
+
 // Other Extras (from your previous list)
 import ComingSoon from "./pages/extras/ComingSoon.jsx";
 import DemoPage from "./pages/extras/DemoPage.jsx";
@@ -139,6 +161,9 @@ import TestPage from "./pages/extras/TestPage.jsx";
 import TestPage2 from "./pages/extras/TestPage2.jsx";
 
 const App = () => {
+  // Installable PWA shell: offline caching and the update-available prompt
+  useServiceWorker();
+
   return (
     <Suspense fallback={<LoadingSpinner />}>
       <Routes>
@@ -197,10 +222,15 @@ const App = () => {
             <Route path="properties/:propertyId/units/:unitId" element={<UnitDetailPage />} />
             <Route path="properties/:propertyId/units/add" element={<UnitFormPage />} />
             <Route path="properties/:propertyId/units/edit/:unitId" element={<UnitFormPage />} />
+            <Route path="properties/:propertyId/units/:unitId/inspections/add" element={<InspectionFormPage />} />
+            <Route path="properties/:propertyId/units/:unitId/inspections/compare" element={<InspectionComparisonPage />} />
+            <Route path="inspections/:inspectionId" element={<InspectionDetailPage />} />
+            <Route path="inspections/:inspectionId/edit" element={<InspectionFormPage />} />
             <Route path="units" element={<AdminUnitManagementPage />} />
 
             <Route path="requests" element={<AdminRequestManagementPage />} />
             <Route path="requests/:requestId" element={<RequestDetailPage />} />
+            <Route path="requests/sla-policies" element={<SlaPoliciesPage />} />
             <Route path="requests/add" element={<RequestFormPage />} />
             <Route path="requests/edit/:requestId" element={<RequestFormPage />} />
 
@@ -213,6 +243,7 @@ const App = () => {
             <Route path="vendors/:vendorId" element={<VendorDetailPage />} />
             <Route path="vendors/add" element={<VendorFormPage />} />
             <Route path="vendors/edit/:vendorId" element={<VendorFormPage />} />
+            <Route path="vendor-invoices" element={<VendorInvoicesPage />} />
 
             <Route path="invites" element={<AdminInviteManagementPage />} />
             <Route path="invites/send" element={<InviteFormPage />} /> {/* Admin can send invites */}
@@ -221,6 +252,9 @@ const App = () => {
             <Route path="leases/:leaseId" element={<LeaseDetailPage />} />
             <Route path="leases/add" element={<LeaseFormPage />} />
             <Route path="leases/edit/:leaseId" element={<LeaseFormPage />} />
+            <Route path="leases/:leaseId/rent-schedule" element={<LeaseRentSchedulePage />} />
+            <Route path="leases/:leaseId/deposit" element={<LeaseDepositPage />} />
+            <Route path="leases/:leaseId/ledger" element={<LeaseLedgerPage />} />
 
             <Route path="payments" element={<AdminRentManagementPage />} />
             <Route path="payments/:paymentId" element={<PaymentDetailPage />} />
@@ -229,6 +263,7 @@ const App = () => {
             <Route path="messages" element={<AdminMessageManagementPage />} />
             <Route path="messages/:messageId" element={<MessageDetailPage />} />
             <Route path="messages/compose" element={<MessageComposePage />} />
+            <Route path="messages/groups/:conversationId" element={<GroupConversationPage />} />
 
             <Route path="notifications" element={<NotificationListPage />} />
 
@@ -236,6 +271,7 @@ const App = () => {
             <Route path="onboarding/:onboardingId" element={<OnboardingDetailPage />} />
             <Route path="onboarding/add" element={<OnboardingFormPage />} />
             <Route path="onboarding/edit/:onboardingId" element={<OnboardingFormPage />} />
+            <Route path="documents/sign/:requestId" element={<SignDocumentPage />} />
 
             <Route path="reports" element={<AdminReportsManagementPage />} />
             <Route path="reports/maintenance" element={<MaintenanceReportsPage />} />
@@ -269,6 +305,10 @@ const App = () => {
               <Route path="properties/:propertyId/units/:unitId" element={<UnitDetailPage />} />
               <Route path="properties/:propertyId/units/add" element={<UnitFormPage />} />
               <Route path="properties/:propertyId/units/edit/:unitId" element={<UnitFormPage />} />
+              <Route path="properties/:propertyId/units/:unitId/inspections/add" element={<InspectionFormPage />} />
+              <Route path="properties/:propertyId/units/:unitId/inspections/compare" element={<InspectionComparisonPage />} />
+              <Route path="inspections/:inspectionId" element={<InspectionDetailPage />} />
+              <Route path="inspections/:inspectionId/edit" element={<InspectionFormPage />} />
 
               <Route path="requests" element={<RequestListPage />} />
               <Route path="requests/:requestId" element={<RequestDetailPage />} />
@@ -284,6 +324,7 @@ const App = () => {
               <Route path="vendors/:vendorId" element={<VendorDetailPage />} />
               <Route path="vendors/add" element={<VendorFormPage />} />
               <Route path="vendors/edit/:vendorId" element={<VendorFormPage />} />
+              <Route path="vendor-invoices" element={<VendorInvoicesPage />} />
 
               <Route path="invites" element={<InviteListPage />} />
               <Route path="invites/send" element={<InviteFormPage />} />
@@ -292,6 +333,9 @@ const App = () => {
               <Route path="leases/:leaseId" element={<LeaseDetailPage />} />
               <Route path="leases/add" element={<LeaseFormPage />} />
               <Route path="leases/edit/:leaseId" element={<LeaseFormPage />} />
+              <Route path="leases/:leaseId/rent-schedule" element={<LeaseRentSchedulePage />} />
+              <Route path="leases/:leaseId/deposit" element={<LeaseDepositPage />} />
+              <Route path="leases/:leaseId/ledger" element={<LeaseLedgerPage />} />
 
               <Route path="payments" element={<PaymentListPage />} />
               <Route path="payments/:paymentId" element={<PaymentDetailPage />} />
@@ -300,6 +344,7 @@ const App = () => {
               <Route path="messages" element={<MessageListPage />} />
               <Route path="messages/:messageId" element={<MessageDetailPage />} />
               <Route path="messages/compose" element={<MessageComposePage />} />
+              <Route path="messages/groups/:conversationId" element={<GroupConversationPage />} />
 
               <Route path="notifications" element={<NotificationListPage />} />
 
@@ -307,6 +352,7 @@ const App = () => {
               <Route path="onboarding/:onboardingId" element={<OnboardingDetailPage />} />
               <Route path="onboarding/add" element={<OnboardingFormPage />} />
               <Route path="onboarding/edit/:onboardingId" element={<OnboardingFormPage />} />
+              <Route path="documents/sign/:requestId" element={<SignDocumentPage />} />
 
               <Route path="reports" element={<ReportsDashboardPage />} />
               <Route path="reports/maintenance" element={<MaintenanceReportsPage />} />
@@ -337,6 +383,10 @@ const App = () => {
           <Route path="properties/:propertyId/units/:unitId" element={<UnitDetailPage />} />
           <Route path="properties/:propertyId/units/add" element={<UnitFormPage />} />
           <Route path="properties/:propertyId/units/edit/:unitId" element={<UnitFormPage />} />
+          <Route path="properties/:propertyId/units/:unitId/inspections/add" element={<InspectionFormPage />} />
+          <Route path="properties/:propertyId/units/:unitId/inspections/compare" element={<InspectionComparisonPage />} />
+          <Route path="inspections/:inspectionId" element={<InspectionDetailPage />} />
+          <Route path="inspections/:inspectionId/edit" element={<InspectionFormPage />} />
 
           <Route path="requests" element={<RequestListPage />} />
           <Route path="requests/:requestId" element={<RequestDetailPage />} />
@@ -360,6 +410,9 @@ const App = () => {
           <Route path="leases/:leaseId" element={<LeaseDetailPage />} />
           <Route path="leases/add" element={<LeaseFormPage />} />
           <Route path="leases/edit/:leaseId" element={<LeaseFormPage />} />
+          <Route path="leases/:leaseId/rent-schedule" element={<LeaseRentSchedulePage />} />
+          <Route path="leases/:leaseId/deposit" element={<LeaseDepositPage />} />
+          <Route path="leases/:leaseId/ledger" element={<LeaseLedgerPage />} />
 
           <Route path="payments" element={<PaymentListPage />} />
           <Route path="payments/:paymentId" element={<PaymentDetailPage />} />
@@ -368,6 +421,7 @@ const App = () => {
           <Route path="messages" element={<MessageListPage />} />
           <Route path="messages/:messageId" element={<MessageDetailPage />} />
           <Route path="messages/compose" element={<MessageComposePage />} />
+          <Route path="messages/groups/:conversationId" element={<GroupConversationPage />} />
 
           <Route path="notifications" element={<NotificationListPage />} />
           <Route path="media" element={<MediaGalleryPage />} />
@@ -377,6 +431,7 @@ const App = () => {
           <Route path="onboarding/:onboardingId" element={<OnboardingDetailPage />} />
           <Route path="onboarding/add" element={<OnboardingFormPage />} />
           <Route path="onboarding/edit/:onboardingId" element={<OnboardingFormPage />} />
+          <Route path="documents/sign/:requestId" element={<SignDocumentPage />} />
 
           <Route path="reports" element={<ReportsDashboardPage />} />
           <Route path="reports/maintenance" element={<MaintenanceReportsPage />} />
@@ -399,6 +454,14 @@ const App = () => {
             <Route path="requests/add" element={<RequestFormPage />} /> {/* Tenants can add requests */}
 
             <Route path="my-unit" element={<UnitDetailPage />} /> {/* Tenant's specific unit details */}
+            <Route path="my-unit/:unitId" element={<MyUnitPage />} />
+            <Route path="inspections/:inspectionId" element={<InspectionDetailPage />} />
+
+            <Route path="payments" element={<LeaseLedgerPage />} /> {/* Tenant's statement of account */}
+            <Route path="leases/:leaseId/ledger" element={<LeaseLedgerPage />} />
+            <Route path="leases/:leaseId/renewal" element={<TenantLeaseRenewalPage />} />
+            <Route path="payments/:rentId/pay" element={<TenantPayRentPage />} />
+            <Route path="payments/callback" element={<TenantPaymentCallbackPage />} />
 
             <Route path="scheduled-maintenance" element={<ScheduledMaintenanceListPage />} /> {/* Tenants can view scheduled maintenance for their unit/property */}
             <Route path="scheduled-maintenance/:taskId" element={<ScheduledMaintenanceDetailPage />} />
@@ -406,12 +469,32 @@ const App = () => {
             <Route path="messages" element={<MessageListPage />} />
             <Route path="messages/:messageId" element={<MessageDetailPage />} />
             <Route path="messages/compose" element={<MessageComposePage />} />
+            <Route path="messages/groups/:conversationId" element={<GroupConversationPage />} />
 
             <Route path="notifications" element={<NotificationListPage />} />
 
             <Route path="onboarding" element={<OnboardingListPage />} />
             <Route path="onboarding/:onboardingId" element={<OnboardingDetailPage />} />
             {/* Tenants can't add/edit onboarding forms, only view/complete */}
+
+            <Route path="documents/sign/:requestId" element={<SignDocumentPage />} />
+        </Route>
+      </Route>
+
+      {/* Protected Routes for Vendor */}
+      <Route element={<ProtectedRoute allowedRoles={[USER_ROLES.VENDOR]} />}>
+        <Route path={ROUTES.VENDOR_BASE} element={<VendorLayout />}>
+            <Route index element={<Navigate to="jobs" replace />} />
+            <Route path="jobs" element={<VendorJobsPage />} />
+            <Route path="jobs/:jobType/:jobId" element={<VendorJobDetailPage />} />
+            <Route path="quotes" element={<VendorQuotesPage />} />
+
+            <Route path="messages" element={<MessageListPage />} />
+            <Route path="messages/:messageId" element={<MessageDetailPage />} />
+            <Route path="messages/compose" element={<MessageComposePage />} />
+            <Route path="messages/groups/:conversationId" element={<GroupConversationPage />} />
+
+            <Route path="notifications" element={<NotificationListPage />} />
         </Route>
       </Route>
 
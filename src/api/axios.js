@@ -1,4 +1,12 @@
 import axios from "axios";
+import { localizeApiMessage } from "../utils/i18n.js";
+
+const API_BASE_URL = `${import.meta.env.VITE_API_BASE_URL}/api`;
+const REFRESH_URL = "/auth/refresh-token";
+const REFRESH_LOCK_NAME = "fixit-token-refresh";
+
+// Auth endpoints whose 401s mean "bad credentials", not "expired access token"
+const NO_REFRESH_URLS = ["/auth/login", "/auth/google", "/auth/logout", REFRESH_URL];
 
 /**
  * Helper to get the JWT token from localStorage.
@@ -17,19 +25,107 @@ const getTokenFromLocalStorage = () => {
  * Create an Axios instance for all API requests.
  */
 const api = axios.create({
-    baseURL: `${import.meta.env.VITE_API_BASE_URL}/api`,
+    baseURL: API_BASE_URL,
     withCredentials: false,
     headers: {
         "Content-Type": "application/json",
     },
 });
 
+// Shared promise for the refresh in flight; every 401 and every new request waits on it.
+let refreshPromise = null;
+
+// Called when the session cannot be refreshed. AuthContext registers its logout here.
+let sessionExpiredHandler = null;
+
+/**
+ * Registers the callback invoked when the access token cannot be refreshed.
+ * @param {Function|null} handler - Usually AuthContext's logout
+ */
+export const setSessionExpiredHandler = (handler) => {
+    sessionExpiredHandler = handler;
+};
+
+/**
+ * Stores a new access token and updates the default Authorization header.
+ * @param {string} accessToken - The new JWT access token
+ */
+const storeAccessToken = (accessToken) => {
+    localStorage.setItem("token", accessToken);
+    api.defaults.headers.common["Authorization"] = `Bearer ${accessToken}`;
+};
+
+/**
+ * Calls the refresh endpoint with a bare axios instance so our interceptors do not recurse.
+ * The refresh token is sent from localStorage when the backend issued one in the body,
+ * and as a cookie otherwise.
+ * @returns {Promise<string>} The new access token
+ */
+const requestNewAccessToken = async () => {
+    const refreshToken = localStorage.getItem("refreshToken");
+    const res = await axios.post(
+        `${API_BASE_URL}${REFRESH_URL}`,
+        refreshToken ? { refreshToken } : {},
+        { withCredentials: true }
+    );
+    const payload = res.data?.data || res.data || {};
+    if (!payload.accessToken) {
+        throw new Error("Refresh response did not include an access token.");
+    }
+    if (payload.refreshToken) {
+        localStorage.setItem("refreshToken", payload.refreshToken);
+    }
+    storeAccessToken(payload.accessToken);
+    return payload.accessToken;
+};
+
+/**
+ * Refreshes the access token once across all open tabs.
+ * The Web Locks API serialises refreshes between tabs; a tab that gets the lock after
+ * another tab already refreshed just picks up the new token from localStorage.
+ * @param {string|null} expiredToken - The token that was rejected with a 401
+ * @returns {Promise<string>} A valid access token
+ */
+const refreshAccessToken = (expiredToken) => {
+    if (refreshPromise) return refreshPromise;
+
+    const refreshOnce = async () => {
+        const currentToken = getTokenFromLocalStorage();
+        if (currentToken && currentToken !== expiredToken) {
+            // Another tab refreshed while we were waiting for the lock
+            api.defaults.headers.common["Authorization"] = `Bearer ${currentToken}`;
+            return currentToken;
+        }
+        return requestNewAccessToken();
+    };
+
+    refreshPromise = (navigator.locks?.request
+        ? navigator.locks.request(REFRESH_LOCK_NAME, refreshOnce)
+        : refreshOnce()
+    ).catch((refreshError) => {
+        // Notify once per failed refresh, not once per queued request
+        if (sessionExpiredHandler) {
+            sessionExpiredHandler();
+        }
+        throw refreshError;
+    }).finally(() => {
+        refreshPromise = null;
+    });
+
+    return refreshPromise;
+};
+
 /**
  * Request Interceptor:
+ * - Holds new requests while a token refresh is in flight.
  * - Attaches JWT token to every request in the Authorization header.
  */
 api.interceptors.request.use(
-    (config) => {
+    async (config) => {
+        if (refreshPromise && !config.skipAuthRefresh) {
+            // A failed refresh is handled by the request that triggered it
+            await refreshPromise.catch(() => null);
+        }
         const token = getTokenFromLocalStorage();
         if (token) {
             config.headers.Authorization = `Bearer ${token}`;
@@ -41,16 +137,46 @@ api.interceptors.request.use(
 
 /**
  * Response Interceptor:
- * - Handles global API errors, specifically 401 Unauthorized responses.
- * - If a 401 is received, it means the token is expired or invalid.
- * - We DO NOT forcibly redirect or clear storage here—leave that to React context.
+ * - On a 401, refreshes the access token once and replays the original request.
+ * - Concurrent 401s queue behind the same refresh instead of refreshing again.
+ * - If the refresh fails, the registered session-expired handler (AuthContext logout) runs once.
  */
 api.interceptors.response.use(
     (response) => response,
-    (error) => {
-        // Just propagate the error, let AuthContext handle session/logout logic
-        return Promise.reject(error);
+    async (error) => {
+        const originalRequest = error.config;
+        const isAuthEndpoint = NO_REFRESH_URLS.some((url) => originalRequest?.url?.startsWith(url));
+        const expiredToken = originalRequest?.headers?.Authorization?.replace("Bearer ", "") || null;
+
+        // Server messages are shown to the user, so hand them to services in the user's language
+        if (typeof error.response?.data?.message === "string") {
+            error.response.data.message = localizeApiMessage(error.response.data.message);
+        }
+
+        // Requests sent without a token had no session to refresh
+        if (
+            error.response?.status !== 401 ||
+            !originalRequest ||
+            !expiredToken ||
+            originalRequest._retry ||
+            originalRequest.skipAuthRefresh ||
+            isAuthEndpoint
+        ) {
+            return Promise.reject(error);
+        }
+
+        originalRequest._retry = true;
+
+        try {
+            const accessToken = await refreshAccessToken(expiredToken);
+            originalRequest.headers.Authorization = `Bearer ${accessToken}`;
+            return api(originalRequest);
+        } catch (refreshError) {
+            console.error("Token refresh failed:", refreshError);
+            // Reject with the original 401 so callers see the status they expect
+            return Promise.reject(error);
+        }
     }
 );
 
-export default api;
\ No newline at end of file
+export default api;
@@ -0,0 +1,74 @@
+// frontend/src/components/FormattedMessage.jsx
+
+import React from 'react';
+
+// **bold**, ~~strike~~, `code`, *italic* or _italic_, and bare links
+const INLINE_PATTERN = /(\*\*[^*]+\*\*|~~[^~]+~~|`[^`]+`|\*[^*\s][^*]*\*|_[^_\s][^_]*_|https?:\/\/[^\s<]+)/g;
+
+const renderInline = (text, linkClassName) => text.split(INLINE_PATTERN).map((part, idx) => {
+  if (!part) return null;
+  if (part.startsWith('**') && part.endsWith('**')) return <strong key={idx}>{part.slice(2, -2)}</strong>;
+  if (part.startsWith('~~') && part.endsWith('~~')) return <s key={idx}>{part.slice(2, -2)}</s>;
+  if (part.startsWith('`') && part.endsWith('`')) {
+    return <code key={idx} className="px-1 rounded bg-black/10 font-mono text-[0.9em]">{part.slice(1, -1)}</code>;
+  }
+  if ((part.startsWith('*') && part.endsWith('*')) || (part.startsWith('_') && part.endsWith('_'))) {
+    return <em key={idx}>{part.slice(1, -1)}</em>;
+  }
+  if (/^https?:\/\//.test(part)) {
+    return <a key={idx} href={part} target="_blank" rel="noopener noreferrer" className={`underline ${linkClassName}`}>{part}</a>;
+  }
+  return <React.Fragment key={idx}>{part}</React.Fragment>;
+});
+
+/**
+ * Renders message text with markdown-lite formatting: bold, italic, strikethrough,
+ * inline code, links, "- " bullet lists and "> " quotes. Builds elements rather than
+ * HTML, so message content is never injected as markup.
+ *
+ * @param {object} props
+ * @param {string} props.text - Message content.
+ * @param {string} [props.className=''] - Extra classes for the wrapper.
+ * @param {string} [props.linkClassName=''] - Extra classes for links (e.g. a light colour on dark bubbles).
+ */
+const FormattedMessage = ({ text, className = '', linkClassName = '' }) => {
+  if (!text) return null;
+
+  // Group consecutive list and quote lines into blocks
+  const blocks = [];
+  text.split('\n').forEach(line => {
+    const kind = /^\s*[-*] /.test(line) ? 'list' : line.startsWith('> ') ? 'quote' : 'text';
+    const content = kind === 'list' ? line.replace(/^\s*[-*] /, '') : kind === 'quote' ? line.slice(2) : line;
+    const last = blocks[blocks.length - 1];
+    if (last && last.kind === kind) {
+      last.lines.push(content);
+    } else {
+      blocks.push({ kind, lines: [content] });
+    }
+  });
+
+  return (
+    <div className={`break-words ${className}`}>
+      {blocks.map((block, idx) => {
+        if (block.kind === 'list') {
+          return (
+            <ul key={idx} className="list-disc pl-5">
+              {block.lines.map((line, i) => <li key={i}>{renderInline(line, linkClassName)}</li>)}
+            </ul>
+          );
+        }
+        const lines = block.lines.map((line, i) => (
+          <React.Fragment key={i}>
+            {i > 0 && <br />}
+            {renderInline(line, linkClassName)}
+          </React.Fragment>
+        ));
+        return block.kind === 'quote'
+          ? <blockquote key={idx} className="border-l-2 border-current pl-2 opacity-80">{lines}</blockquote>
+          : <p key={idx}>{lines}</p>;
+      })}
+    </div>
+  );
+};
+
+export default FormattedMessage;
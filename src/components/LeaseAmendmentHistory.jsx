@@ -0,0 +1,362 @@
+// frontend/src/components/LeaseAmendmentHistory.jsx
+
+import React, { useState, useMemo } from 'react';
+import {
+  FaPlus, FaFileSignature, FaFileDownload, FaFilePdf, FaCheckCircle, FaClock, FaArrowRight
+} from 'react-icons/fa';
+import { useLeaseMutations, useLeaseDocuments } from '../hooks/useLeases';
+import { useGlobalAlert } from '../contexts/GlobalAlertContext';
+import Spinner from './common/Spinner';
+import { formatDate, formatDateTime } from '../utils/helpers';
+import { getCurrencySymbol } from '../utils/currency';
+import {
+  AMENDABLE_LEASE_FIELDS,
+  getAmendableValues,
+  diffLeaseFields,
+  getAmendmentFieldLabel,
+  formatAmendmentValue,
+  getAmendmentHistory,
+  getOriginalLeaseValues
+} from '../utils/leaseAmendments';
+
+const getUserName = (user) => {
+  if (!user) return null;
+  if (typeof user === 'string') return 'a team member';
+  return `${user.firstName || ''} ${user.lastName || ''}`.trim() || user.email || 'a team member';
+};
+
+const emptyForm = (lease) => ({
+  description: '',
+  effectiveDate: '',
+  values: getAmendableValues(lease),
+  file: null
+});
+
+/**
+ * Amendment timeline for a lease: field-level before/after changes, who approved them,
+ * the supporting document, and the lease document regenerated as of each version.
+ *
+ * @param {object} props
+ * @param {object} props.lease - Formatted lease (see leaseService.formatLease).
+ * @param {boolean} props.canEdit - Whether the user can add and approve amendments.
+ */
+const LeaseAmendmentHistory = ({ lease, canEdit }) => {
+  const { showError } = useGlobalAlert();
+  const { addAmendment, isAddingAmendment, approveAmendment, isApprovingAmendment } = useLeaseMutations();
+  const { downloadDocument, generateDocument } = useLeaseDocuments();
+
+  const [isShowingForm, setIsShowingForm] = useState(false);
+  const [formData, setFormData] = useState(() => emptyForm(lease));
+  const [generatingVersion, setGeneratingVersion] = useState(null);
+
+  const history = useMemo(() => getAmendmentHistory(lease), [lease]);
+  const original = useMemo(() => getOriginalLeaseValues(lease), [lease]);
+  const changes = useMemo(() => diffLeaseFields(lease, formData.values), [lease, formData.values]);
+  const documentsById = useMemo(
+    () => Object.fromEntries((lease.documents || []).map(doc => [doc._id, doc])),
+    [lease.documents]
+  );
+
+  const openForm = () => {
+    setFormData(emptyForm(lease));
+    setIsShowingForm(true);
+  };
+
+  const handleValueChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, values: { ...prev.values, [name]: value } }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!formData.description.trim()) {
+      showError('Amendment description is required');
+      return;
+    }
+
+    addAmendment({
+      leaseId: lease._id,
+      amendmentData: {
+        description: formData.description.trim(),
+        effectiveDate: formData.effectiveDate || null,
+        changes
+      },
+      file: formData.file
+    }, {
+      onSuccess: () => setIsShowingForm(false)
+    });
+  };
+
+  const handleGenerateVersion = async (amendment) => {
+    setGeneratingVersion(amendment?.version || 1);
+    try {
+      const response = await generateDocument(lease._id, 'lease_agreement', {
+        version: amendment?.version || 1
+      });
+      if (response?.documentId) {
+        await downloadDocument(lease._id, response.documentId);
+      }
+    } catch {
+      // generateDocument has already shown the error
+    } finally {
+      setGeneratingVersion(null);
+    }
+  };
+
+  const renderInput = ({ field, type }) => {
+    const commonProps = {
+      id: `amend-${field}`,
+      name: field,
+      value: formData.values[field],
+      onChange: handleValueChange,
+      className: 'w-full p-2 border border-gray-300 rounded-md'
+    };
+    if (type === 'text') {
+      return <textarea {...commonProps} rows="3" />;
+    }
+    if (type === 'currency') {
+      return (
+        <div className="relative">
+          <span className="absolute inset-y-0 left-0 flex items-center pl-3 text-gray-500 text-sm">
+            {getCurrencySymbol(lease.currency)}
+          </span>
+          <input {...commonProps} type="number" min="0" step="0.01" className={`${commonProps.className} pl-12`} />
+        </div>
+      );
+    }
+    return (
+      <input
+        {...commonProps}
+        type={type === 'date' ? 'date' : 'number'}
+        min={type === 'number' ? 1 : undefined}
+        max={field === 'paymentDueDay' ? 31 : undefined}
+      />
+    );
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-semibold">Amendments</h2>
+
+        {canEdit && !isShowingForm && (
+          <button
+            onClick={openForm}
+            className="inline-flex items-center px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+          >
+            <FaPlus className="mr-2" />
+            Add Amendment
+          </button>
+        )}
+      </div>
+
+      {isShowingForm && (
+        <div className="mb-6 p-4 border border-gray-200 rounded-md">
+          <h3 className="text-lg font-medium mb-2">Add New Amendment</h3>
+          <form onSubmit={handleSubmit}>
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="amendmentDescription">
+                Amendment Description*
+              </label>
+              <textarea
+                id="amendmentDescription"
+                className="w-full p-2 border rounded-md"
+                rows="2"
+                value={formData.description}
+                onChange={(e) => setFormData(prev => ({ ...prev, description: e.target.value }))}
+                required
+              ></textarea>
+            </div>
+
+            <p className="text-sm font-medium text-gray-700 mb-2">Changed Terms</p>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+              {AMENDABLE_LEASE_FIELDS.map(definition => (
+                <div key={definition.field} className={definition.type === 'text' ? 'md:col-span-3' : ''}>
+                  <label className="block text-xs text-gray-500 mb-1" htmlFor={`amend-${definition.field}`}>
+                    {definition.label}
+                    {changes.some(change => change.field === definition.field) && (
+                      <span className="ml-1 text-blue-600 font-medium">(changed)</span>
+                    )}
+                  </label>
+                  {renderInput(definition)}
+                </div>
+              ))}
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="amendmentEffectiveDate">
+                  Effective Date
+                </label>
+                <input
+                  type="date"
+                  id="amendmentEffectiveDate"
+                  className="w-full p-2 border border-gray-300 rounded-md"
+                  value={formData.effectiveDate}
+                  onChange={(e) => setFormData(prev => ({ ...prev, effectiveDate: e.target.value }))}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="amendmentDocument">
+                  Signed Amendment Document
+                </label>
+                <input
+                  type="file"
+                  id="amendmentDocument"
+                  accept=".pdf,.doc,.docx,image/*"
+                  className="w-full p-1 border border-gray-300 rounded-md"
+                  onChange={(e) => setFormData(prev => ({ ...prev, file: e.target.files?.[0] || null }))}
+                />
+              </div>
+            </div>
+
+            {changes.length === 0 && (
+              <p className="text-sm text-gray-500 mb-4">
+                No terms changed. The amendment will be recorded as a note only.
+              </p>
+            )}
+
+            <div className="flex justify-end space-x-2">
+              <button
+                type="button"
+                onClick={() => setIsShowingForm(false)}
+                className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={isAddingAmendment}
+                className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+              >
+                {isAddingAmendment ? <Spinner size="sm" /> : 'Save Amendment'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {history.length > 0 ? (
+        <ol className="relative border-l border-gray-200 ml-3">
+          <li className="mb-6 ml-6">
+            <span className="absolute -left-3 flex items-center justify-center w-6 h-6 bg-gray-100 rounded-full text-xs font-medium">
+              1
+            </span>
+            <div className="flex justify-between items-start">
+              <div>
+                <p className="font-medium">Original lease</p>
+                <p className="text-sm text-gray-500">
+                  {formatAmendmentValue('leaseStartDate', original.leaseStartDate)} – {formatAmendmentValue('leaseEndDate', original.leaseEndDate)}
+                </p>
+              </div>
+              <button
+                onClick={() => handleGenerateVersion(null)}
+                disabled={generatingVersion !== null}
+                className="inline-flex items-center text-sm text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                title="Generate the lease agreement as originally signed"
+              >
+                {generatingVersion === 1 ? <Spinner size="sm" className="mr-1" /> : <FaFilePdf className="mr-1" />}
+                Version 1
+              </button>
+            </div>
+          </li>
+
+          {history.map((amendment) => {
+            const isApproved = Boolean(amendment.approvedAt || amendment.approvedBy);
+            // Note-only amendments change no terms, so there is nothing to approve
+            const isApplied = isApproved || !amendment.changes?.length;
+            const document = amendment.documentId ? documentsById[amendment.documentId] : null;
+            return (
+              <li key={amendment._id || amendment.version} className="mb-6 ml-6">
+                <span className={`absolute -left-3 flex items-center justify-center w-6 h-6 rounded-full text-xs font-medium ${
+                  isApplied ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'
+                }`}>
+                  {amendment.version}
+                </span>
+                <div className="flex justify-between items-start">
+                  <div>
+                    <p className="font-medium">{amendment.description}</p>
+                    <p className="text-sm text-gray-500">
+                      Added {formatDateTime(amendment.createdAt)}
+                      {getUserName(amendment.createdBy) && ` by ${getUserName(amendment.createdBy)}`}
+                      {amendment.effectiveDate && ` · Effective ${formatDate(amendment.effectiveDate)}`}
+                    </p>
+                  </div>
+                  {isApplied && (
+                    <button
+                      onClick={() => handleGenerateVersion(amendment)}
+                      disabled={generatingVersion !== null}
+                      className="inline-flex items-center text-sm text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                      title="Generate the lease agreement as of this amendment"
+                    >
+                      {generatingVersion === amendment.version ? <Spinner size="sm" className="mr-1" /> : <FaFilePdf className="mr-1" />}
+                      Version {amendment.version}
+                    </button>
+                  )}
+                </div>
+
+                {amendment.changes?.length > 0 && (
+                  <table className="mt-2 text-sm">
+                    <tbody>
+                      {amendment.changes.map(change => (
+                        <tr key={change.field}>
+                          <td className="pr-4 py-1 text-gray-500 align-top">{getAmendmentFieldLabel(change.field)}</td>
+                          <td className="pr-2 py-1 text-red-600 line-through align-top whitespace-pre-line">
+                            {formatAmendmentValue(change.field, change.from, lease.currency)}
+                          </td>
+                          <td className="pr-2 py-1 text-gray-400 align-top"><FaArrowRight /></td>
+                          <td className="py-1 text-green-700 font-medium align-top whitespace-pre-line">
+                            {formatAmendmentValue(change.field, change.to, lease.currency)}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+
+                <div className="mt-2 flex flex-wrap items-center gap-4 text-sm">
+                  {isApproved ? (
+                    <span className="inline-flex items-center text-green-700">
+                      <FaCheckCircle className="mr-1" />
+                      Approved{getUserName(amendment.approvedBy) && ` by ${getUserName(amendment.approvedBy)}`}
+                      {amendment.approvedAt && ` on ${formatDate(amendment.approvedAt)}`}
+                    </span>
+                  ) : !isApplied && (
+                    <span className="inline-flex items-center text-yellow-700">
+                      <FaClock className="mr-1" /> Awaiting approval
+                      {canEdit && (
+                        <button
+                          onClick={() => approveAmendment({ leaseId: lease._id, amendmentId: amendment._id })}
+                          disabled={isApprovingAmendment}
+                          className="ml-3 px-2 py-0.5 bg-green-600 text-white rounded-md hover:bg-green-700 disabled:opacity-50"
+                        >
+                          Approve
+                        </button>
+                      )}
+                    </span>
+                  )}
+                  {amendment.documentId && (
+                    <button
+                      onClick={() => downloadDocument(lease._id, amendment.documentId)}
+                      className="inline-flex items-center text-blue-600 hover:text-blue-800"
+                    >
+                      <FaFileDownload className="mr-1" />
+                      {document?.fileName || 'Amendment document'}
+                    </button>
+                  )}
+                </div>
+              </li>
+            );
+          })}
+        </ol>
+      ) : (
+        <div className="text-center py-8 text-gray-500">
+          <FaFileSignature className="mx-auto text-gray-300 text-4xl mb-3" />
+          <p>No amendments have been added to this lease.</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LeaseAmendmentHistory;
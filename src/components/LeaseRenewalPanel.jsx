@@ -0,0 +1,362 @@
+// frontend/src/components/LeaseRenewalPanel.jsx
+
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { FaSyncAlt, FaPaperPlane, FaSave, FaUndo, FaCheckCircle, FaTimesCircle, FaClock } from 'react-icons/fa';
+import { useRenewalOffer, useLeaseRenewalMutations } from '../hooks/useLeases';
+import useRoleBasedPath from '../hooks/useRoleBasedPath';
+import Spinner from './common/Spinner';
+import { RENEWAL_OFFER_STATUS, LEASE_STATUS_ENUM, ROUTES } from '../utils/constants';
+import { formatCurrency, formatDate } from '../utils/helpers';
+import { getCurrencySymbol } from '../utils/currency';
+import { toDateInputValue } from '../utils/rentSchedule';
+import { getDefaultRenewalTerms, describeRentChange } from '../utils/leaseRenewal';
+
+const RENEWABLE_STATUSES = [LEASE_STATUS_ENUM.ACTIVE, LEASE_STATUS_ENUM.PENDING_RENEWAL];
+
+// Offers the landlord can (re)work into a new draft
+const EDITABLE_STATUSES = [RENEWAL_OFFER_STATUS.DRAFT, RENEWAL_OFFER_STATUS.DECLINED, RENEWAL_OFFER_STATUS.WITHDRAWN];
+
+const toFormData = (offer, lease) => {
+  if (!offer) return getDefaultRenewalTerms(lease);
+  return {
+    leaseStartDate: toDateInputValue(offer.leaseStartDate),
+    leaseEndDate: toDateInputValue(offer.leaseEndDate),
+    monthlyRent: offer.monthlyRent ?? '',
+    securityDeposit: offer.securityDeposit ?? '',
+    paymentDueDay: offer.paymentDueDay ?? 1,
+    terms: offer.terms || '',
+    message: offer.message || '',
+    respondBy: toDateInputValue(offer.respondBy)
+  };
+};
+
+/**
+ * Renewal pipeline for a lease: the landlord drafts and sends an offer, the tenant answers
+ * it from their portal, and accepting it creates the successor lease on the backend.
+ *
+ * @param {object} props
+ * @param {object} props.lease - Formatted lease (see leaseService.formatLease).
+ * @param {boolean} props.canEdit - Whether the user manages this lease.
+ */
+const LeaseRenewalPanel = ({ lease, canEdit }) => {
+  const { getPath } = useRoleBasedPath();
+  const { data: offer, isLoading } = useRenewalOffer(lease._id);
+  const {
+    saveOffer, isSavingOffer,
+    sendOffer, isSendingOffer,
+    withdrawOffer, isWithdrawingOffer
+  } = useLeaseRenewalMutations();
+
+  const [formData, setFormData] = useState(() => toFormData(null, lease));
+  const [errors, setErrors] = useState({});
+
+  useEffect(() => {
+    setFormData(toFormData(offer, lease));
+  }, [offer, lease]);
+
+  if (isLoading) {
+    return (
+      <div className="bg-white rounded-lg shadow-md p-6 mb-6 flex justify-center">
+        <Spinner />
+      </div>
+    );
+  }
+
+  const status = offer?.status;
+  const isEditable = canEdit && (!offer || EDITABLE_STATUSES.includes(status)) && RENEWABLE_STATUSES.includes(lease.status);
+
+  // Nothing to show tenants until an offer has been sent
+  if (!canEdit && (!offer || status === RENEWAL_OFFER_STATUS.DRAFT || status === RENEWAL_OFFER_STATUS.WITHDRAWN)) {
+    return null;
+  }
+  if (!offer && !isEditable) {
+    return null;
+  }
+
+  const formatAmount = (amount) => formatCurrency(amount, lease.currency);
+  const rentChange = describeRentChange(lease, isEditable ? formData : offer);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+    if (!formData.leaseStartDate) newErrors.leaseStartDate = 'Start date is required';
+    if (!formData.leaseEndDate) newErrors.leaseEndDate = 'End date is required';
+    if (formData.leaseStartDate && formData.leaseEndDate && formData.leaseEndDate <= formData.leaseStartDate) {
+      newErrors.leaseEndDate = 'End date must be after the start date';
+    }
+    if (!formData.monthlyRent || parseFloat(formData.monthlyRent) <= 0) {
+      newErrors.monthlyRent = 'Rent must be greater than zero';
+    }
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const buildOfferData = () => ({
+    ...formData,
+    monthlyRent: parseFloat(formData.monthlyRent),
+    securityDeposit: formData.securityDeposit === '' ? null : parseFloat(formData.securityDeposit),
+    paymentDueDay: parseInt(formData.paymentDueDay, 10) || 1,
+    respondBy: formData.respondBy || null
+  });
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    if (!validateForm()) return;
+    saveOffer({ leaseId: lease._id, offerData: buildOfferData() });
+  };
+
+  const handleSend = () => {
+    if (!validateForm()) return;
+    if (!window.confirm(`Send this renewal offer to ${lease.tenantName}?`)) return;
+    // Save the latest terms first so the tenant sees exactly what is on screen
+    saveOffer({ leaseId: lease._id, offerData: buildOfferData() }, {
+      onSuccess: () => sendOffer(lease._id)
+    });
+  };
+
+  const handleWithdraw = () => {
+    if (!window.confirm('Withdraw this renewal offer? The tenant will no longer be able to accept it.')) return;
+    withdrawOffer(lease._id);
+  };
+
+  const renderTerms = () => (
+    <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+      <div>
+        <p className="text-sm text-gray-500">New Term</p>
+        <p className="font-medium">{formatDate(offer.leaseStartDate)} – {formatDate(offer.leaseEndDate)}</p>
+      </div>
+      <div>
+        <p className="text-sm text-gray-500">Monthly Rent</p>
+        <p className="font-medium">
+          {formatAmount(offer.monthlyRent)}
+          {rentChange && <span className="ml-2 text-xs text-gray-500">({rentChange})</span>}
+        </p>
+      </div>
+      <div>
+        <p className="text-sm text-gray-500">Security Deposit</p>
+        <p className="font-medium">{offer.securityDeposit != null ? formatAmount(offer.securityDeposit) : lease.formattedDeposit}</p>
+      </div>
+      <div>
+        <p className="text-sm text-gray-500">Respond By</p>
+        <p className="font-medium">{offer.respondBy ? formatDate(offer.respondBy) : 'N/A'}</p>
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+      <h2 className="text-xl font-semibold mb-4 flex items-center">
+        <FaSyncAlt className="mr-2 text-blue-600" /> Renewal
+      </h2>
+
+      {status === RENEWAL_OFFER_STATUS.DECLINED && (
+        <div className="mb-4 p-3 bg-red-50 text-red-700 rounded-md flex items-start">
+          <FaTimesCircle className="mr-2 mt-1" />
+          <div>
+            The tenant declined the offer on {formatDate(offer.respondedAt)}.
+            {offer.responseNote && <p className="italic mt-1">&ldquo;{offer.responseNote}&rdquo;</p>}
+            {canEdit && <p className="mt-1">You can revise the terms and send a new offer.</p>}
+          </div>
+        </div>
+      )}
+
+      {isEditable ? (
+        <form onSubmit={handleSave}>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="renewalStartDate">New Start Date*</label>
+              <input
+                type="date"
+                id="renewalStartDate"
+                name="leaseStartDate"
+                className={`w-full p-2 border rounded-md ${errors.leaseStartDate ? 'border-red-500' : 'border-gray-300'}`}
+                value={formData.leaseStartDate}
+                onChange={handleChange}
+              />
+              {errors.leaseStartDate && <p className="text-red-500 text-sm mt-1">{errors.leaseStartDate}</p>}
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="renewalEndDate">New End Date*</label>
+              <input
+                type="date"
+                id="renewalEndDate"
+                name="leaseEndDate"
+                className={`w-full p-2 border rounded-md ${errors.leaseEndDate ? 'border-red-500' : 'border-gray-300'}`}
+                value={formData.leaseEndDate}
+                onChange={handleChange}
+              />
+              {errors.leaseEndDate && <p className="text-red-500 text-sm mt-1">{errors.leaseEndDate}</p>}
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="renewalRespondBy">Respond By</label>
+              <input
+                type="date"
+                id="renewalRespondBy"
+                name="respondBy"
+                className="w-full p-2 border border-gray-300 rounded-md"
+                value={formData.respondBy}
+                onChange={handleChange}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="renewalRent">Monthly Rent*</label>
+              <div className="relative">
+                <span className="absolute inset-y-0 left-0 flex items-center pl-3 text-gray-500 text-sm">
+                  {getCurrencySymbol(lease.currency)}
+                </span>
+                <input
+                  type="number"
+                  id="renewalRent"
+                  name="monthlyRent"
+                  min="0"
+                  step="0.01"
+                  className={`w-full p-2 pl-12 border rounded-md ${errors.monthlyRent ? 'border-red-500' : 'border-gray-300'}`}
+                  value={formData.monthlyRent}
+                  onChange={handleChange}
+                />
+              </div>
+              {rentChange && <p className="text-gray-500 text-xs mt-1">{rentChange} from the current rent of {lease.formattedRent}</p>}
+              {errors.monthlyRent && <p className="text-red-500 text-sm mt-1">{errors.monthlyRent}</p>}
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="renewalDeposit">Security Deposit</label>
+              <div className="relative">
+                <span className="absolute inset-y-0 left-0 flex items-center pl-3 text-gray-500 text-sm">
+                  {getCurrencySymbol(lease.currency)}
+                </span>
+                <input
+                  type="number"
+                  id="renewalDeposit"
+                  name="securityDeposit"
+                  min="0"
+                  step="0.01"
+                  className="w-full p-2 pl-12 border border-gray-300 rounded-md"
+                  value={formData.securityDeposit}
+                  onChange={handleChange}
+                />
+              </div>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="renewalDueDay">Payment Due Day</label>
+              <input
+                type="number"
+                id="renewalDueDay"
+                name="paymentDueDay"
+                min="1"
+                max="31"
+                className="w-full p-2 border border-gray-300 rounded-md"
+                value={formData.paymentDueDay}
+                onChange={handleChange}
+              />
+            </div>
+          </div>
+
+          <div className="mt-4">
+            <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="renewalTerms">Terms & Conditions</label>
+            <textarea
+              id="renewalTerms"
+              name="terms"
+              rows="3"
+              className="w-full p-2 border border-gray-300 rounded-md"
+              value={formData.terms}
+              onChange={handleChange}
+            />
+          </div>
+          <div className="mt-4">
+            <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="renewalMessage">Message to Tenant</label>
+            <textarea
+              id="renewalMessage"
+              name="message"
+              rows="2"
+              className="w-full p-2 border border-gray-300 rounded-md"
+              value={formData.message}
+              onChange={handleChange}
+            />
+          </div>
+
+          <div className="mt-4 flex justify-end space-x-2">
+            <button
+              type="submit"
+              disabled={isSavingOffer || isSendingOffer}
+              className="inline-flex items-center px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isSavingOffer ? <Spinner size="sm" className="mr-2" /> : <FaSave className="mr-2" />}
+              Save Draft
+            </button>
+            <button
+              type="button"
+              onClick={handleSend}
+              disabled={isSavingOffer || isSendingOffer}
+              className="inline-flex items-center px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isSendingOffer ? <Spinner size="sm" className="mr-2" /> : <FaPaperPlane className="mr-2" />}
+              Send Offer
+            </button>
+          </div>
+        </form>
+      ) : status === RENEWAL_OFFER_STATUS.SENT ? (
+        <>
+          {renderTerms()}
+          <div className="flex items-center justify-between p-3 bg-yellow-50 text-yellow-800 rounded-md">
+            <span className="flex items-center">
+              <FaClock className="mr-2" />
+              {canEdit
+                ? `Sent on ${formatDate(offer.sentAt)}. Waiting for ${lease.tenantName} to respond.`
+                : 'Your landlord has offered to renew this lease.'}
+            </span>
+            {canEdit ? (
+              <button
+                type="button"
+                onClick={handleWithdraw}
+                disabled={isWithdrawingOffer}
+                className="inline-flex items-center px-3 py-1 bg-white border border-yellow-300 rounded-md hover:bg-yellow-100 disabled:opacity-50"
+              >
+                {isWithdrawingOffer ? <Spinner size="sm" className="mr-1" /> : <FaUndo className="mr-1" />}
+                Withdraw
+              </button>
+            ) : (
+              <Link
+                to={ROUTES.TENANT_LEASE_RENEWAL.replace(':leaseId', lease._id)}
+                className="px-3 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+              >
+                Review Offer
+              </Link>
+            )}
+          </div>
+        </>
+      ) : status === RENEWAL_OFFER_STATUS.COMPLETED ? (
+        <>
+          {renderTerms()}
+          <div className="flex items-center justify-between p-3 bg-green-50 text-green-800 rounded-md">
+            <span className="flex items-center">
+              <FaCheckCircle className="mr-2" />
+              This lease was renewed. It runs until {formatDate(lease.leaseEndDate)}; the new lease and its rent schedule start on {formatDate(offer.leaseStartDate)}.
+            </span>
+            {offer.successorLease && (
+              <Link
+                to={getPath(`leases/${offer.successorLease._id || offer.successorLease}`)}
+                className="text-blue-600 hover:underline font-medium"
+              >
+                View New Lease &rarr;
+              </Link>
+            )}
+          </div>
+        </>
+      ) : (
+        <>
+          {renderTerms()}
+          <p className="text-gray-600 italic">
+            {status === RENEWAL_OFFER_STATUS.WITHDRAWN ? 'This offer was withdrawn.' : 'This offer is no longer open.'}
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default LeaseRenewalPanel;
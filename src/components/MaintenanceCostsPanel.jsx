@@ -0,0 +1,366 @@
+// frontend/src/components/MaintenanceCostsPanel.jsx
+
+import React, { useState } from 'react';
+import { Receipt, Plus, CheckCircle, XCircle, Trash2, Paperclip, FileText } from 'lucide-react';
+import Button from './common/Button';
+import LoadingSpinner from './common/LoadingSpinner';
+import { useCostEntries, useCostEntryMutations } from '../hooks/useMaintenanceCosts';
+import { useVendorInvoices, useVendorInvoiceMutations } from '../hooks/useVendorInvoices';
+import { useExchangeRates } from '../hooks/useExchangeRates';
+import { COST_ENTRY_TYPES, COST_APPROVAL_STATUS, VENDOR_INVOICE_STATUS } from '../utils/constants';
+import { formatCurrency, formatDate } from '../utils/helpers';
+import { resolveCurrency } from '../utils/currency';
+
+const PRIMARY_COLOR = '#219377';
+
+const TYPE_OPTIONS = [
+  { value: COST_ENTRY_TYPES.LABOUR, label: 'Labour' },
+  { value: COST_ENTRY_TYPES.MATERIALS, label: 'Materials' },
+  { value: COST_ENTRY_TYPES.VENDOR_INVOICE, label: 'Vendor Invoice' },
+  { value: COST_ENTRY_TYPES.OTHER, label: 'Other' },
+];
+
+const emptyForm = () => ({
+  type: COST_ENTRY_TYPES.LABOUR,
+  description: '',
+  amount: '',
+  incurredOn: new Date().toISOString().split('T')[0],
+  invoiceNumber: '',
+  file: null
+});
+
+/**
+ * Costs recorded against a maintenance request or scheduled maintenance task,
+ * with landlord approval of entries above the property's threshold. Invoices the
+ * vendor submitted through the portal are listed until a manager reviews them;
+ * approving one records it as a vendor invoice cost.
+ *
+ * @param {object} props
+ * @param {string} [props.requestId] - Maintenance request the costs belong to.
+ * @param {string} [props.scheduledMaintenanceId] - Scheduled maintenance task the costs belong to.
+ * @param {object} [props.property] - The job's property, for its currency and approval threshold.
+ * @param {boolean} props.canManage - Whether the user can record and delete costs and review vendor invoices.
+ * @param {boolean} props.canApprove - Whether the user can approve or reject pending costs.
+ */
+const MaintenanceCostsPanel = ({ requestId, scheduledMaintenanceId, property, canManage, canApprove }) => {
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const filters = requestId ? { requestId } : { scheduledMaintenanceId };
+  const { data: entries = [], isLoading } = useCostEntries({ filters });
+  const { data: invoicePage } = useVendorInvoices({
+    filters: { ...filters, status: VENDOR_INVOICE_STATUS.SUBMITTED, limit: 100 },
+    enabled: canManage
+  });
+  const submittedInvoices = invoicePage?.data || [];
+  const { approveInvoice, isApprovingInvoice, rejectInvoice, isRejectingInvoice } = useVendorInvoiceMutations();
+  const { sum } = useExchangeRates();
+  const {
+    createCostEntry, isCreatingCostEntry,
+    deleteCostEntry, isDeletingCostEntry,
+    approveCostEntry, isApprovingCostEntry,
+    rejectCostEntry, isRejectingCostEntry
+  } = useCostEntryMutations();
+
+  const currency = resolveCurrency(property?.currency);
+  const threshold = property?.costApprovalThreshold;
+  // Vendor invoices can be in another currency than the property's
+  const totalOf = (items) => sum(items, currency).total;
+  const countedTotal = totalOf(entries.filter(entry => entry.isCounted));
+  const pendingTotal = totalOf(entries.filter(entry => entry.isPending));
+  const invoicedTotal = totalOf(submittedInvoices);
+  const totalsByType = TYPE_OPTIONS
+    .map(option => ({
+      ...option,
+      total: totalOf(entries.filter(entry => entry.isCounted && entry.type === option.value))
+    }))
+    .filter(option => option.total > 0);
+
+  const setField = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+  const needsApproval = threshold != null && Number(form.amount) > threshold;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const isInvoice = form.type === COST_ENTRY_TYPES.VENDOR_INVOICE;
+    createCostEntry({
+      requestId,
+      scheduledMaintenanceId,
+      type: form.type,
+      description: form.description.trim(),
+      amount: Number(form.amount),
+      currency,
+      incurredOn: form.incurredOn || undefined,
+      invoiceNumber: isInvoice ? form.invoiceNumber.trim() || undefined : undefined,
+      file: form.file || undefined
+    }, {
+      onSuccess: () => {
+        setForm(emptyForm());
+        setShowForm(false);
+      }
+    });
+  };
+
+  const handleReject = (entry) => {
+    const reason = window.prompt('Reason for rejecting this cost (optional):');
+    if (reason === null) return;
+    rejectCostEntry({ entryId: entry._id, reason: reason.trim() || undefined });
+  };
+
+  const handleApproveInvoice = (invoice) => {
+    if (!window.confirm(`Approve invoice #${invoice.invoiceNumber} for ${formatCurrency(invoice.amount, invoice.currency)}? It will be recorded as a cost.`)) return;
+    approveInvoice(invoice._id);
+  };
+
+  const handleRejectInvoice = (invoice) => {
+    const reason = window.prompt('Reason for returning this invoice to the vendor:');
+    if (!reason?.trim()) return;
+    rejectInvoice({ invoiceId: invoice._id, reason: reason.trim() });
+  };
+
+  const handleDelete = (entry) => {
+    if (!window.confirm(`Delete the ${entry.typeDisplay.toLowerCase()} cost "${entry.description}"?`)) return;
+    deleteCostEntry(entry._id);
+  };
+
+  return (
+    <div className="bg-white p-8 rounded-xl shadow-lg border mb-8" style={{ borderColor: PRIMARY_COLOR + '14' }}>
+      <div className="flex flex-col md:flex-row md:justify-between md:items-center gap-3 mb-5">
+        <h2 className="text-2xl font-semibold flex items-center" style={{ color: PRIMARY_COLOR }}>
+          <Receipt className="w-6 h-6 mr-2" /> Costs
+        </h2>
+        {canManage && !showForm && (
+          <Button variant="outline" size="sm" onClick={() => setShowForm(true)}>
+            <Plus className="w-4 h-4 mr-1" /> Add Cost
+          </Button>
+        )}
+      </div>
+
+      <div className="flex flex-wrap gap-6 mb-5">
+        <div>
+          <p className="text-xs font-medium text-gray-500 uppercase tracking-wider">Total spend</p>
+          <p className="text-2xl font-bold text-gray-900">{formatCurrency(countedTotal, currency)}</p>
+        </div>
+        {pendingTotal > 0 && (
+          <div>
+            <p className="text-xs font-medium text-gray-500 uppercase tracking-wider">Awaiting approval</p>
+            <p className="text-2xl font-bold text-yellow-700">{formatCurrency(pendingTotal, currency)}</p>
+          </div>
+        )}
+        {invoicedTotal > 0 && (
+          <div>
+            <p className="text-xs font-medium text-gray-500 uppercase tracking-wider">Invoiced, to review</p>
+            <p className="text-2xl font-bold text-blue-700">{formatCurrency(invoicedTotal, currency)}</p>
+          </div>
+        )}
+        {totalsByType.map(option => (
+          <div key={option.value}>
+            <p className="text-xs font-medium text-gray-500 uppercase tracking-wider">{option.label}</p>
+            <p className="text-lg font-semibold text-gray-700">{formatCurrency(option.total, currency)}</p>
+          </div>
+        ))}
+      </div>
+
+      {submittedInvoices.length > 0 && (
+        <div className="mb-6 p-4 bg-blue-50 rounded-lg border border-blue-100">
+          <h3 className="text-sm font-semibold text-blue-900 mb-2">Vendor invoices awaiting review</h3>
+          <ul className="divide-y divide-blue-100">
+            {submittedInvoices.map(invoice => (
+              <li key={invoice._id} className="flex flex-col md:flex-row md:items-center md:justify-between gap-2 py-2">
+                <div className="text-sm">
+                  <p className="font-medium text-gray-800">
+                    #{invoice.invoiceNumber} · {formatCurrency(invoice.amount, invoice.currency)}
+                    {invoice.vendorName && <span className="text-gray-600 font-normal"> · {invoice.vendorName}</span>}
+                  </p>
+                  <p className="text-gray-500">
+                    Submitted {formatDate(invoice.submittedAt || invoice.createdAt)}
+                    {invoice.dueDate && ` · Due ${formatDate(invoice.dueDate)}`}
+                    {invoice.file?.url && (
+                      <a href={invoice.file.url} target="_blank" rel="noopener noreferrer" className="ml-2 inline-flex items-center text-blue-600 hover:underline">
+                        <FileText className="w-3 h-3 mr-0.5" /> Invoice
+                      </a>
+                    )}
+                  </p>
+                  {invoice.notes && <p className="text-gray-600 italic">{invoice.notes}</p>}
+                </div>
+                <div className="flex items-center gap-2">
+                  <button
+                    onClick={() => handleApproveInvoice(invoice)}
+                    disabled={isApprovingInvoice}
+                    className="text-green-600 hover:text-green-800 disabled:opacity-50"
+                    title="Approve invoice"
+                  >
+                    <CheckCircle className="w-5 h-5" />
+                  </button>
+                  <button
+                    onClick={() => handleRejectInvoice(invoice)}
+                    disabled={isRejectingInvoice}
+                    className="text-red-500 hover:text-red-700 disabled:opacity-50"
+                    title="Return to vendor"
+                  >
+                    <XCircle className="w-5 h-5" />
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {showForm && (
+        <form onSubmit={handleSubmit} className="mb-6 p-4 bg-gray-50 rounded-lg border border-gray-200 space-y-3">
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+            <div>
+              <label htmlFor="costType" className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+              <select id="costType" value={form.type} onChange={setField('type')} className="w-full p-2 border border-gray-300 rounded-md">
+                {TYPE_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="md:col-span-2">
+              <label htmlFor="costDescription" className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+              <input
+                id="costDescription"
+                type="text"
+                value={form.description}
+                onChange={setField('description')}
+                placeholder={form.type === COST_ENTRY_TYPES.LABOUR ? 'e.g. 3 hours plumber call-out' : 'e.g. Replacement tap and fittings'}
+                className="w-full p-2 border border-gray-300 rounded-md"
+                required
+              />
+            </div>
+            <div>
+              <label htmlFor="costAmount" className="block text-sm font-medium text-gray-700 mb-1">Amount ({currency})</label>
+              <input
+                id="costAmount"
+                type="number"
+                min="0.01"
+                step="0.01"
+                value={form.amount}
+                onChange={setField('amount')}
+                className="w-full p-2 border border-gray-300 rounded-md"
+                required
+              />
+            </div>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+            <div>
+              <label htmlFor="costIncurredOn" className="block text-sm font-medium text-gray-700 mb-1">Date</label>
+              <input id="costIncurredOn" type="date" value={form.incurredOn} onChange={setField('incurredOn')} className="w-full p-2 border border-gray-300 rounded-md" />
+            </div>
+            {form.type === COST_ENTRY_TYPES.VENDOR_INVOICE && (
+              <div>
+                <label htmlFor="costInvoiceNumber" className="block text-sm font-medium text-gray-700 mb-1">Invoice number</label>
+                <input id="costInvoiceNumber" type="text" value={form.invoiceNumber} onChange={setField('invoiceNumber')} className="w-full p-2 border border-gray-300 rounded-md" />
+              </div>
+            )}
+            <div className="md:col-span-2">
+              <label htmlFor="costFile" className="block text-sm font-medium text-gray-700 mb-1">
+                {form.type === COST_ENTRY_TYPES.VENDOR_INVOICE ? 'Invoice file' : 'Receipt (optional)'}
+              </label>
+              <input
+                id="costFile"
+                type="file"
+                accept="image/*,application/pdf"
+                onChange={(e) => setForm(prev => ({ ...prev, file: e.target.files?.[0] || null }))}
+                className="w-full text-sm"
+                required={form.type === COST_ENTRY_TYPES.VENDOR_INVOICE}
+              />
+            </div>
+          </div>
+          {needsApproval && (
+            <p className="text-sm text-yellow-700">
+              This is above the property's approval threshold of {formatCurrency(threshold, currency)}. It will only count towards spend once the landlord approves it.
+            </p>
+          )}
+          <div className="flex justify-end gap-3">
+            <Button variant="secondary" onClick={() => { setShowForm(false); setForm(emptyForm()); }}>Cancel</Button>
+            <Button type="submit" loading={isCreatingCostEntry} disabled={!form.description.trim() || !(Number(form.amount) > 0)}>
+              Save Cost
+            </Button>
+          </div>
+        </form>
+      )}
+
+      {isLoading ? (
+        <div className="flex justify-center py-6"><LoadingSpinner /></div>
+      ) : entries.length === 0 ? (
+        <p className="text-gray-600 italic">No costs recorded yet.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Type</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Description</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Amount</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                <th className="px-4 py-2" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {entries.map(entry => (
+                <tr key={entry._id} className={entry.approvalStatus === COST_APPROVAL_STATUS.REJECTED ? 'opacity-60' : ''}>
+                  <td className="px-4 py-2 text-sm text-gray-700 whitespace-nowrap">{formatDate(entry.incurredOn || entry.createdAt)}</td>
+                  <td className="px-4 py-2 text-sm text-gray-700">{entry.typeDisplay}</td>
+                  <td className="px-4 py-2 text-sm text-gray-800">
+                    {entry.description}
+                    {entry.vendorName && <span className="text-gray-500"> · {entry.vendorName}</span>}
+                    {entry.invoiceNumber && <span className="text-gray-500"> · #{entry.invoiceNumber}</span>}
+                    {entry.invoiceFile?.url && (
+                      <a href={entry.invoiceFile.url} target="_blank" rel="noopener noreferrer" className="ml-2 inline-flex items-center text-blue-600 hover:underline">
+                        <Paperclip className="w-3 h-3 mr-0.5" /> File
+                      </a>
+                    )}
+                    {entry.rejectionReason && <p className="text-xs text-red-600">{entry.rejectionReason}</p>}
+                    {entry.fromVendorPortal
+                      ? <p className="text-xs text-gray-400">Submitted through the vendor portal</p>
+                      : entry.createdByName && <p className="text-xs text-gray-400">Added by {entry.createdByName}</p>}
+                  </td>
+                  <td className="px-4 py-2 text-sm text-right font-medium text-gray-900 whitespace-nowrap">{formatCurrency(entry.amount, entry.currency)}</td>
+                  <td className="px-4 py-2 text-sm">
+                    <span className={`px-2 py-0.5 text-xs font-semibold rounded-full ${entry.approvalStatusClass}`}>{entry.approvalStatusDisplay}</span>
+                  </td>
+                  <td className="px-4 py-2 text-sm text-right whitespace-nowrap">
+                    {canApprove && entry.isPending && (
+                      <>
+                        <button
+                          onClick={() => approveCostEntry(entry._id)}
+                          disabled={isApprovingCostEntry}
+                          className="text-green-600 hover:text-green-800 disabled:opacity-50 mr-2"
+                          title="Approve"
+                        >
+                          <CheckCircle className="w-5 h-5" />
+                        </button>
+                        <button
+                          onClick={() => handleReject(entry)}
+                          disabled={isRejectingCostEntry}
+                          className="text-red-500 hover:text-red-700 disabled:opacity-50 mr-2"
+                          title="Reject"
+                        >
+                          <XCircle className="w-5 h-5" />
+                        </button>
+                      </>
+                    )}
+                    {canManage && !entry.fromVendorPortal && entry.approvalStatus !== COST_APPROVAL_STATUS.APPROVED && (
+                      <button
+                        onClick={() => handleDelete(entry)}
+                        disabled={isDeletingCostEntry}
+                        className="text-gray-400 hover:text-red-600 disabled:opacity-50"
+                        title="Delete"
+                      >
+                        <Trash2 className="w-5 h-5" />
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MaintenanceCostsPanel;
@@ -0,0 +1,100 @@
+// frontend/src/components/MemberPicker.jsx
+
+import React, { useState, useEffect } from 'react';
+import { FaTimes, FaSearch } from 'react-icons/fa';
+import * as userService from '../services/userService';
+import useDebounce from '../hooks/useDebounce';
+import Spinner from './common/Spinner';
+
+const getUserName = (user) => `${user.firstName || ''} ${user.lastName || ''}`.trim() || user.email;
+
+/**
+ * Searches users and keeps a list of picked members, shown as removable chips.
+ *
+ * @param {object} props
+ * @param {Array<object>} props.selected - Picked users.
+ * @param {function} props.onChange - Called with the new list of picked users.
+ * @param {Array<string>} [props.excludeIds=[]] - User IDs that can't be picked (e.g. existing members).
+ */
+const MemberPicker = ({ selected, onChange, excludeIds = [] }) => {
+  const [query, setQuery] = useState('');
+  const [options, setOptions] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const debouncedQuery = useDebounce(query, 300);
+
+  useEffect(() => {
+    if (debouncedQuery.length < 2) {
+      setOptions([]);
+      return;
+    }
+
+    const controller = new AbortController();
+    setSearching(true);
+    userService.getAllUsers({ search: debouncedQuery, limit: 10 }, controller.signal)
+      .then(response => setOptions(response.data))
+      .catch(error => console.error('Error searching users:', error))
+      .finally(() => setSearching(false));
+
+    return () => controller.abort();
+  }, [debouncedQuery]);
+
+  const unavailable = new Set([...excludeIds, ...selected.map(user => user._id)]);
+  const available = options.filter(user => !unavailable.has(user._id));
+
+  const handleAdd = (user) => {
+    onChange([...selected, user]);
+    setQuery('');
+    setOptions([]);
+  };
+
+  return (
+    <div>
+      {selected.length > 0 && (
+        <div className="flex flex-wrap gap-2 mb-2">
+          {selected.map(user => (
+            <span key={user._id} className="inline-flex items-center bg-blue-100 text-blue-800 text-sm px-2 py-1 rounded-full">
+              {getUserName(user)}
+              <button
+                type="button"
+                onClick={() => onChange(selected.filter(u => u._id !== user._id))}
+                className="ml-1 text-blue-600 hover:text-blue-900"
+                title="Remove"
+              >
+                <FaTimes className="w-3 h-3" />
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+      <div className="relative">
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search people by name or email..."
+          className="w-full p-2 pl-9 border rounded-md"
+        />
+        <FaSearch className="absolute left-3 top-3 text-gray-400" />
+        {searching && <Spinner size="sm" className="absolute right-3 top-2.5" />}
+      </div>
+      {available.length > 0 && (
+        <ul className="mt-1 border rounded-md divide-y max-h-48 overflow-y-auto bg-white">
+          {available.map(user => (
+            <li key={user._id}>
+              <button
+                type="button"
+                onClick={() => handleAdd(user)}
+                className="w-full text-left px-3 py-2 hover:bg-gray-50 text-sm"
+              >
+                {getUserName(user)}
+                {user.role && <span className="ml-2 text-xs text-gray-500 capitalize">{user.role}</span>}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default MemberPicker;
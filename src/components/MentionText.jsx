@@ -0,0 +1,23 @@
+// frontend/src/components/MentionText.jsx
+
+import React from 'react';
+
+/**
+ * Renders comment text with @mentions highlighted.
+ *
+ * @param {object} props
+ * @param {string} props.text - Comment text.
+ * @param {string} [props.className=''] - Classes for the wrapping paragraph.
+ */
+const MentionText = ({ text, className = '' }) => (
+  <p className={`whitespace-pre-wrap ${className}`}>
+    {/* Only "@" at a word start, so email addresses aren't highlighted */}
+    {(text || '').split(/((?<=^|\s)@[a-zA-Z0-9_.-]+)/g).map((part, idx) => (
+      part.startsWith('@') && part.length > 1
+        ? <span key={idx} className="font-medium text-blue-700 bg-blue-50 rounded px-0.5">{part}</span>
+        : <React.Fragment key={idx}>{part}</React.Fragment>
+    ))}
+  </p>
+);
+
+export default MentionText;
@@ -0,0 +1,127 @@
+// frontend/src/components/MentionTextarea.jsx
+
+import React, { useState, useEffect, useRef } from 'react';
+import { getMentionableUsers } from '../services/commentService';
+import useDebounce from '../hooks/useDebounce';
+
+// "@" at the start or after whitespace, followed by the partial handle up to the caret
+const MENTION_QUERY_PATTERN = /(^|\s)@([a-zA-Z0-9_.-]*)$/;
+const MAX_SUGGESTIONS = 8;
+
+/**
+ * Comment textarea that suggests people to @mention while typing. Suggestions are limited
+ * to users with access to the comment's property.
+ *
+ * @param {object} props
+ * @param {string} props.value - Textarea value.
+ * @param {function} props.onChange - Called with the new text (not the event).
+ * @param {string} props.contextType - Comment context type ('request', 'scheduledmaintenance', ...).
+ * @param {string} props.contextId - Comment context ID.
+ * @param {string} [props.className] - Textarea classes.
+ * Other props (placeholder, rows, disabled, id) are passed to the textarea.
+ */
+const MentionTextarea = ({ value, onChange, contextType, contextId, className = '', ...textareaProps }) => {
+  const [query, setQuery] = useState(null); // partial handle being typed, or null when not mentioning
+  const [suggestions, setSuggestions] = useState([]);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const textareaRef = useRef(null);
+  const debouncedQuery = useDebounce(query, 200);
+
+  useEffect(() => {
+    if (debouncedQuery === null || !contextId) {
+      setSuggestions([]);
+      return;
+    }
+
+    const controller = new AbortController();
+    getMentionableUsers({ contextType, contextId, search: debouncedQuery || undefined }, controller.signal)
+      .then(users => {
+        setSuggestions(users.slice(0, MAX_SUGGESTIONS));
+        setActiveIndex(0);
+      })
+      .catch(error => {
+        if (error.message !== 'Request canceled') console.error('Error loading mention suggestions:', error);
+      });
+
+    return () => controller.abort();
+  }, [debouncedQuery, contextType, contextId]);
+
+  const updateQuery = (text, caret) => {
+    const match = text.slice(0, caret).match(MENTION_QUERY_PATTERN);
+    setQuery(match ? match[2] : null);
+  };
+
+  const handleChange = (e) => {
+    onChange(e.target.value);
+    updateQuery(e.target.value, e.target.selectionStart);
+  };
+
+  const handleSelect = (user) => {
+    const textarea = textareaRef.current;
+    const caret = textarea.selectionStart;
+    const before = value.slice(0, caret).replace(MENTION_QUERY_PATTERN, `$1@${user.handle} `);
+    onChange(before + value.slice(caret));
+    setQuery(null);
+    requestAnimationFrame(() => {
+      textarea.focus();
+      textarea.setSelectionRange(before.length, before.length);
+    });
+  };
+
+  const isOpen = query !== null && suggestions.length > 0;
+
+  const handleKeyDown = (e) => {
+    if (!isOpen) return;
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex(prev => (prev + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(prev => (prev - 1 + suggestions.length) % suggestions.length);
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      handleSelect(suggestions[activeIndex]);
+    } else if (e.key === 'Escape') {
+      setQuery(null);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <textarea
+        {...textareaProps}
+        ref={textareaRef}
+        value={value}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        onClick={(e) => updateQuery(value, e.target.selectionStart)}
+        onBlur={() => setTimeout(() => setQuery(null), 150)}
+        className={className}
+        aria-autocomplete="list"
+        aria-expanded={isOpen}
+      />
+      {isOpen && (
+        <ul className="absolute z-20 left-0 right-0 mt-1 bg-white border border-gray-200 rounded-md shadow-lg max-h-60 overflow-y-auto" role="listbox">
+          {suggestions.map((user, idx) => (
+            <li key={user._id} role="option" aria-selected={idx === activeIndex}>
+              <button
+                type="button"
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => handleSelect(user)}
+                className={`w-full text-left px-3 py-2 text-sm flex items-center justify-between ${idx === activeIndex ? 'bg-blue-50' : 'hover:bg-gray-50'}`}
+              >
+                <span>
+                  <span className="font-medium text-gray-900">{user.displayName}</span>
+                  <span className="ml-2 text-gray-500">@{user.handle}</span>
+                </span>
+                {user.role && <span className="text-xs text-gray-500 capitalize">{user.role}</span>}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default MentionTextarea;
@@ -0,0 +1,192 @@
+// frontend/src/components/MentionsInbox.jsx
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { AtSign, CheckCircle2, Loader2 } from 'lucide-react';
+import { formatDistanceToNow } from 'date-fns';
+import Button from './common/Button';
+import Alert from './common/Alert';
+import MentionText from './MentionText';
+import useRoleBasedPath from '../hooks/useRoleBasedPath';
+import { useGlobalAlert } from '../contexts/GlobalAlertContext';
+import * as commentService from '../services/commentService';
+
+const PRIMARY_COLOR = '#219377';
+const SECONDARY_COLOR = '#ffbd59';
+const PAGE_SIZE = 10;
+
+const CONTEXT_LABELS = {
+  request: 'Maintenance Request',
+  scheduledmaintenance: 'Scheduled Maintenance',
+  property: 'Property',
+};
+
+/**
+ * Lists comments that @mention the current user, each linking straight to the comment.
+ *
+ * @param {object} props
+ * @param {function} [props.onMarkedRead] - Called with the number of mentions just marked read.
+ */
+const MentionsInbox = ({ onMarkedRead }) => {
+  const { showError } = useGlobalAlert();
+  const { getPath } = useRoleBasedPath();
+
+  const [mentions, setMentions] = useState([]);
+  const [unreadOnly, setUnreadOnly] = useState(true);
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchMentions = useCallback(async (pageToLoad) => {
+    const isFirstPage = pageToLoad === 1;
+    try {
+      if (isFirstPage) {
+        setLoading(true);
+      } else {
+        setLoadingMore(true);
+      }
+      setError(null);
+      const response = await commentService.getMentions({ unreadOnly, page: pageToLoad, limit: PAGE_SIZE });
+      setMentions(prev => (isFirstPage ? response.data : [...prev, ...response.data]));
+      setPage(pageToLoad);
+      setPages(response.pages);
+    } catch (err) {
+      console.error('Failed to fetch mentions:', err);
+      setError('Failed to load mentions. ' + (err.message || err || 'Please try again.'));
+    } finally {
+      setLoading(false);
+      setLoadingMore(false);
+    }
+  }, [unreadOnly]);
+
+  useEffect(() => {
+    fetchMentions(1);
+  }, [fetchMentions]);
+
+  // Mentions are marked read per resource, so this clears every mention on the same one
+  const handleMarkAsRead = async (mention) => {
+    try {
+      await commentService.markMentionsAsRead({ contextType: mention.contextType, contextId: mention.contextId });
+      const sameContext = m => m.contextType === mention.contextType && m.contextId === mention.contextId;
+      const cleared = mentions.filter(m => sameContext(m) && !m.isRead).length;
+      setMentions(prev => (unreadOnly
+        ? prev.filter(m => !sameContext(m))
+        : prev.map(m => (sameContext(m) ? { ...m, isRead: true } : m))));
+      onMarkedRead?.(cleared);
+    } catch (err) {
+      console.error('Failed to mark mention as read:', err);
+      showError('Failed to mark mention as read');
+    }
+  };
+
+  const formatDate = (dateString) => {
+    try {
+      return formatDistanceToNow(new Date(dateString), { addSuffix: true });
+    } catch {
+      return 'unknown date';
+    }
+  };
+
+  return (
+    <>
+      <div className="p-4 border-b border-gray-200 flex items-center justify-between">
+        <span className="text-gray-600 text-sm">Comments where someone @mentioned you</span>
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={unreadOnly}
+            onChange={(e) => setUnreadOnly(e.target.checked)}
+            className="rounded border-gray-300"
+          />
+          Unread only
+        </label>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center items-center py-12">
+          <Loader2 className="w-6 h-6 animate-spin mr-2" />
+          <span className="text-gray-500">Loading mentions...</span>
+        </div>
+      ) : error ? (
+        <div className="p-6">
+          <Alert type="error" message={error} />
+        </div>
+      ) : mentions.length === 0 ? (
+        <div className="text-center py-12 text-gray-500">
+          <AtSign className="w-12 h-12 mx-auto mb-3 text-gray-300" />
+          <p>{unreadOnly ? 'No unread mentions' : 'No mentions yet'}</p>
+          <p className="text-sm text-gray-400 mt-1">When someone @mentions you in a comment it will appear here</p>
+        </div>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {mentions.map((mention) => (
+            <li key={mention._id} className={`p-4 hover:bg-gray-50 transition ${!mention.isRead ? 'bg-blue-50' : ''}`}>
+              <div className="flex justify-between gap-4">
+                <div className="flex items-center gap-2 min-w-0">
+                  <span
+                    className="inline-block px-2 py-1 text-xs rounded-full whitespace-nowrap"
+                    style={{
+                      backgroundColor: mention.isRead ? '#e5e7eb' : SECONDARY_COLOR,
+                      color: mention.isRead ? '#4b5563' : '#1c2522'
+                    }}
+                  >
+                    {CONTEXT_LABELS[mention.contextType] || mention.contextType}
+                  </span>
+                  <span className="text-sm text-gray-900 truncate">
+                    <span className="font-medium">{mention.senderName}</span>
+                    {mention.contextTitle && <span className="text-gray-500"> on {mention.contextTitle}</span>}
+                  </span>
+                </div>
+                <span className="text-xs text-gray-500 whitespace-nowrap">{formatDate(mention.createdAt)}</span>
+              </div>
+
+              <MentionText text={mention.message} className="mt-1 text-sm text-gray-700 line-clamp-3" />
+
+              <div className="mt-2 flex items-center gap-3">
+                {mention.path && (
+                  <Link to={getPath(mention.path)} className="text-xs font-medium hover:underline" style={{ color: PRIMARY_COLOR }}>
+                    Go to comment →
+                  </Link>
+                )}
+                {!mention.isRead && (
+                  <button
+                    onClick={() => handleMarkAsRead(mention)}
+                    className="text-xs font-medium flex items-center gap-1 hover:underline"
+                    style={{ color: PRIMARY_COLOR }}
+                  >
+                    <CheckCircle2 className="w-3 h-3" />
+                    Mark as read
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {!loading && page < pages && (
+        <div className="p-4 border-t border-gray-200 bg-gray-50 text-center">
+          <Button
+            onClick={() => fetchMentions(page + 1)}
+            disabled={loadingMore}
+            className="px-4 py-2 text-sm font-medium bg-white rounded-md border hover:bg-gray-50"
+            style={{ borderColor: PRIMARY_COLOR, color: PRIMARY_COLOR }}
+          >
+            {loadingMore ? (
+              <>
+                <Loader2 className="w-4 h-4 animate-spin mr-2" />
+                Loading...
+              </>
+            ) : (
+              'Load more mentions'
+            )}
+          </Button>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default MentionsInbox;
@@ -0,0 +1,91 @@
+// frontend/src/components/MessageAttachments.jsx
+
+import React, { useState } from 'react';
+import { FaFilePdf, FaFileAlt, FaDownload } from 'react-icons/fa';
+import DocumentViewerModal from './common/modals/DocumentViewerModal';
+
+const getAttachmentName = (attachment, idx = 0) =>
+  attachment.originalname || attachment.filename || attachment.name || `Attachment ${idx + 1}`;
+
+const getAttachmentType = (attachment) => attachment.mimeType || attachment.mimetype || '';
+
+/**
+ * Inline previews for message attachments: image and PDF thumbnails (PDFs open in a
+ * viewer), and download links for anything else.
+ *
+ * @param {object} props
+ * @param {Array<object>} props.attachments - Media objects ({ _id, url, mimeType, originalname }).
+ * @param {boolean} [props.inverted=false] - Light-on-dark styling, for the sender's own bubbles.
+ */
+const MessageAttachments = ({ attachments, inverted = false }) => {
+  const [viewing, setViewing] = useState(null);
+
+  // Unpopulated attachments are bare media IDs with nothing to show
+  const media = (attachments || []).filter(attachment => attachment && attachment.url);
+  if (media.length === 0) return null;
+
+  const isImage = (attachment) => getAttachmentType(attachment).startsWith('image/');
+  const isPdf = (attachment) => getAttachmentType(attachment) === 'application/pdf';
+  const previews = media.filter(attachment => isImage(attachment) || isPdf(attachment));
+  const files = media.filter(attachment => !isImage(attachment) && !isPdf(attachment));
+
+  return (
+    <div className="mt-2 space-y-2">
+      {previews.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {previews.map((attachment, idx) => isImage(attachment) ? (
+            <a key={attachment._id || idx} href={attachment.url} target="_blank" rel="noopener noreferrer">
+              <img
+                src={attachment.url}
+                alt={getAttachmentName(attachment, idx)}
+                className="w-28 h-28 object-cover rounded-md border border-black/10"
+                loading="lazy"
+              />
+            </a>
+          ) : (
+            <button
+              key={attachment._id || idx}
+              type="button"
+              onClick={() => setViewing(attachment)}
+              className="w-28 h-28 flex flex-col rounded-md border border-black/10 bg-white overflow-hidden text-gray-700"
+              title={getAttachmentName(attachment, idx)}
+            >
+              {/* First page as the thumbnail; clicks go to the button, not the embedded viewer */}
+              <iframe
+                src={`${attachment.url}#page=1&toolbar=0&view=FitH`}
+                title={getAttachmentName(attachment, idx)}
+                className="w-full flex-1 pointer-events-none"
+                tabIndex={-1}
+              />
+              <span className="flex items-center gap-1 px-1 py-0.5 text-xs w-full">
+                <FaFilePdf className="text-red-500 flex-shrink-0" />
+                <span className="truncate">{getAttachmentName(attachment, idx)}</span>
+              </span>
+            </button>
+          ))}
+        </div>
+      )}
+      {files.map((file, idx) => (
+        <div
+          key={file._id || idx}
+          className={`flex items-center gap-2 p-2 rounded-md text-sm ${inverted ? 'bg-white/15' : 'bg-gray-100'}`}
+        >
+          <FaFileAlt className="flex-shrink-0" />
+          <span className="truncate">{getAttachmentName(file, idx)}</span>
+          <a href={file.url} download={getAttachmentName(file, idx)} target="_blank" rel="noopener noreferrer" title="Download" className="ml-auto">
+            <FaDownload />
+          </a>
+        </div>
+      ))}
+
+      <DocumentViewerModal
+        isOpen={!!viewing}
+        onClose={() => setViewing(null)}
+        documentUrl={viewing?.url}
+        title={viewing ? getAttachmentName(viewing) : ''}
+      />
+    </div>
+  );
+};
+
+export default MessageAttachments;
@@ -0,0 +1,212 @@
+// frontend/src/components/MessageComposer.jsx
+
+import React, { useState, useEffect, useRef } from 'react';
+import { FaPaperPlane, FaPaperclip, FaBold, FaItalic, FaCode, FaListUl, FaTimes, FaFilePdf, FaFileAlt } from 'react-icons/fa';
+import * as mediaService from '../services/mediaService';
+import { useGlobalAlert } from '../contexts/GlobalAlertContext';
+import Spinner from './common/Spinner';
+import MessageReplyQuote from './MessageReplyQuote';
+
+const ACCEPTED_FILES = 'image/*,application/pdf,.doc,.docx,.xls,.xlsx,.txt';
+
+// Toolbar buttons: wrap the selection in these markers, or prefix each selected line
+const FORMATS = [
+  { key: 'bold', title: 'Bold', icon: <FaBold />, wrap: '**' },
+  { key: 'italic', title: 'Italic', icon: <FaItalic />, wrap: '_' },
+  { key: 'code', title: 'Code', icon: <FaCode />, wrap: '`' },
+  { key: 'list', title: 'Bullet list', icon: <FaListUl />, prefix: '- ' },
+];
+
+/**
+ * Message input with markdown-lite formatting, file attachments (uploaded straight away
+ * through mediaService) and quote-replies.
+ *
+ * @param {object} props
+ * @param {function} props.onSend - Called with { content, attachments, parentMessage }. Should resolve
+ *   truthy once sent; the composer is then cleared.
+ * @param {object} [props.replyTo] - Message being replied to.
+ * @param {function} [props.onCancelReply] - Clears replyTo.
+ * @param {string} [props.placeholder='Type your message here...'] - Textarea placeholder.
+ * @param {boolean} [props.disabled=false] - Disables the composer.
+ */
+const MessageComposer = ({ onSend, replyTo, onCancelReply, placeholder = 'Type your message here...', disabled = false }) => {
+  const { showError } = useGlobalAlert();
+  const [content, setContent] = useState('');
+  const [attachments, setAttachments] = useState([]);
+  const [uploading, setUploading] = useState(false);
+  const [sending, setSending] = useState(false);
+
+  const textareaRef = useRef(null);
+  const fileInputRef = useRef(null);
+
+  // Auto-resize textarea as user types
+  useEffect(() => {
+    if (textareaRef.current) {
+      textareaRef.current.style.height = 'auto';
+      textareaRef.current.style.height = `${textareaRef.current.scrollHeight}px`;
+    }
+  }, [content]);
+
+  useEffect(() => {
+    if (replyTo) textareaRef.current?.focus();
+  }, [replyTo]);
+
+  const handleFilesSelected = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    setUploading(true);
+    try {
+      const uploaded = await mediaService.uploadMedia(files, { resourceType: 'Message' });
+      setAttachments(prev => [...prev, ...uploaded]);
+    } catch (error) {
+      console.error('Error uploading attachments:', error);
+      showError('Failed to upload attachment. ' + (error.message || error || 'Please try again.'));
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleRemoveAttachment = (media) => {
+    setAttachments(prev => prev.filter(item => item._id !== media._id));
+    // Not sent yet, so nothing else references it
+    mediaService.deleteMedia(media._id).catch(error => console.error('Error removing attachment:', error));
+  };
+
+  const applyFormat = ({ wrap, prefix }) => {
+    const textarea = textareaRef.current;
+    if (!textarea) return;
+    const { selectionStart: start, selectionEnd: end } = textarea;
+    const selected = content.slice(start, end);
+    const replacement = prefix
+      ? (selected || '').split('\n').map(line => `${prefix}${line}`).join('\n')
+      : `${wrap}${selected || 'text'}${wrap}`;
+
+    setContent(content.slice(0, start) + replacement + content.slice(end));
+    requestAnimationFrame(() => {
+      textarea.focus();
+      textarea.setSelectionRange(start, start + replacement.length);
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e?.preventDefault();
+    if ((!content.trim() && attachments.length === 0) || sending || uploading) return;
+
+    setSending(true);
+    try {
+      const sent = await onSend({
+        content: content.trim(),
+        attachments: attachments.map(media => media._id),
+        parentMessage: replyTo?._id
+      });
+      if (sent) {
+        setContent('');
+        setAttachments([]);
+        onCancelReply?.();
+      }
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      handleSubmit(e);
+    }
+  };
+
+  const canSend = (content.trim() || attachments.length > 0) && !sending && !uploading && !disabled;
+
+  return (
+    <form onSubmit={handleSubmit}>
+      {replyTo && <MessageReplyQuote message={replyTo} onClear={onCancelReply} />}
+
+      {(attachments.length > 0 || uploading) && (
+        <div className="flex flex-wrap gap-2 mb-2">
+          {attachments.map(media => (
+            <div key={media._id} className="relative w-16 h-16 rounded-md border bg-gray-50 flex items-center justify-center overflow-hidden">
+              {(media.mimeType || '').startsWith('image/') ? (
+                <img src={media.url} alt={media.originalname || 'Attachment'} className="w-full h-full object-cover" />
+              ) : media.mimeType === 'application/pdf' ? (
+                <FaFilePdf className="text-red-500 text-2xl" title={media.originalname} />
+              ) : (
+                <FaFileAlt className="text-gray-500 text-2xl" title={media.originalname} />
+              )}
+              <button
+                type="button"
+                onClick={() => handleRemoveAttachment(media)}
+                className="absolute top-0.5 right-0.5 bg-white/90 rounded-full p-0.5 text-gray-600 hover:text-red-600"
+                title="Remove attachment"
+              >
+                <FaTimes className="w-3 h-3" />
+              </button>
+            </div>
+          ))}
+          {uploading && (
+            <div className="w-16 h-16 rounded-md border flex items-center justify-center">
+              <Spinner size="sm" />
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className="flex items-center gap-1 mb-1 text-gray-500">
+        {FORMATS.map(format => (
+          <button
+            key={format.key}
+            type="button"
+            onClick={() => applyFormat(format)}
+            className="p-1.5 rounded hover:bg-gray-100 hover:text-gray-800"
+            title={format.title}
+            disabled={disabled}
+          >
+            {format.icon}
+          </button>
+        ))}
+        <button
+          type="button"
+          onClick={() => fileInputRef.current?.click()}
+          className="p-1.5 rounded hover:bg-gray-100 hover:text-gray-800"
+          title="Attach files"
+          disabled={disabled || uploading}
+        >
+          <FaPaperclip />
+        </button>
+        <input ref={fileInputRef} type="file" multiple accept={ACCEPTED_FILES} onChange={handleFilesSelected} className="hidden" />
+        <span className="ml-auto text-xs text-gray-400 hidden sm:inline">Ctrl+Enter to send</span>
+      </div>
+
+      <div className="flex items-end">
+        <textarea
+          ref={textareaRef}
+          value={content}
+          onChange={(e) => setContent(e.target.value)}
+          onKeyDown={handleKeyDown}
+          placeholder={placeholder}
+          className="flex-1 p-3 border rounded-lg resize-none min-h-[60px] max-h-[200px]"
+          rows={1}
+          disabled={sending || disabled}
+        />
+        <button
+          type="submit"
+          disabled={!canSend}
+          className={`ml-3 px-4 py-3 rounded-lg ${
+            canSend
+              ? 'bg-blue-600 text-white hover:bg-blue-700'
+              : 'bg-gray-300 text-gray-500 cursor-not-allowed'
+          }`}
+        >
+          {sending ? (
+            <Spinner size="sm" className="text-white" />
+          ) : (
+            <FaPaperPlane />
+          )}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default MessageComposer;
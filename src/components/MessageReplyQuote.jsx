@@ -0,0 +1,39 @@
+// frontend/src/components/MessageReplyQuote.jsx
+
+import React from 'react';
+import { FaReply, FaTimes } from 'react-icons/fa';
+
+/**
+ * Short quote of the message being replied to, shown above a reply and in the composer.
+ *
+ * @param {object} props
+ * @param {object} props.message - The quoted message ({ content, senderName, hasAttachments }).
+ * @param {function} [props.onClear] - Shows a remove button when given (composer use).
+ * @param {boolean} [props.inverted=false] - Light-on-dark styling, for the sender's own bubbles.
+ */
+const MessageReplyQuote = ({ message, onClear, inverted = false }) => {
+  if (!message) return null;
+
+  const snippet = message.content
+    ? message.content.replace(/[*_~`>]/g, '').slice(0, 120)
+    : (message.hasAttachments ? 'Attachment' : 'Original message unavailable');
+
+  return (
+    <div className={`flex items-start gap-2 border-l-4 pl-2 py-1 mb-2 text-xs rounded-r ${
+      inverted ? 'border-white/60 bg-white/10' : 'border-blue-400 bg-blue-50 text-gray-700'
+    }`}>
+      <FaReply className="mt-0.5 flex-shrink-0 opacity-70" />
+      <div className="min-w-0 flex-1">
+        {message.senderName && <span className="font-semibold block">{message.senderName}</span>}
+        <span className="block truncate">{snippet}</span>
+      </div>
+      {onClear && (
+        <button type="button" onClick={onClear} className="opacity-70 hover:opacity-100" title="Cancel reply">
+          <FaTimes />
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default MessageReplyQuote;
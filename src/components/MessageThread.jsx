@@ -1,17 +1,29 @@
 import React, { useEffect, useRef } from "react";
+import { FaReply } from "react-icons/fa";
+import FormattedMessage from "./FormattedMessage";
+import MessageAttachments from "./MessageAttachments";
+import MessageReplyQuote from "./MessageReplyQuote";
 
 /**
  * MessageThread shows a conversation between users.
- * @param {Object[]} messages - Array of message objects { _id, sender, content, createdAt }
+ * @param {Object[]} messages - Array of message objects { _id, sender, content, createdAt, attachments, parentMessage }
  * @param {string} userId - Current user's ID for alignment
+ * @param {Function} [onReply] - Called with a message to quote-reply to it; shows a reply button when given
  */
-const MessageThread = ({ messages, userId }) => {
+const MessageThread = ({ messages, userId, onReply }) => {
   const bottomRef = useRef();
 
   useEffect(() => {
     bottomRef.current?.scrollIntoView({ behavior: "smooth" });
   }, [messages]);
 
+  // Replies may only carry the parent's ID; look it up in the thread
+  const getParent = (msg) => {
+    if (!msg.parentMessage) return null;
+    if (typeof msg.parentMessage === "object") return msg.parentMessage;
+    return messages.find(m => m._id === msg.parentMessage) || { content: "" };
+  };
+
   return (
     <div style={{
       background: "#f8fafc",
@@ -24,36 +36,51 @@ const MessageThread = ({ messages, userId }) => {
       flexDirection: "column"
     }}>
       {messages && messages.length ? (
-        messages.map(msg => (
-          <div
-            key={msg._id}
-            style={{
-              display: "flex",
-              flexDirection: "column",
-              alignItems: msg.sender === userId ? "flex-end" : "flex-start",
-              marginBottom: "1rem"
-            }}
-          >
-            <div style={{
-              background: msg.sender === userId ? "#1e40af" : "#e0e7ef",
-              color: msg.sender === userId ? "#fff" : "#1e293b",
-              padding: "0.7rem 1rem",
-              borderRadius: "1.2rem",
-              maxWidth: "65%",
-              wordBreak: "break-word",
-              fontSize: "1rem"
-            }}>
-              {msg.content}
+        messages.map(msg => {
+          const isMine = (msg.sender?._id || msg.sender) === userId;
+          return (
+            <div
+              key={msg._id}
+              style={{
+                display: "flex",
+                flexDirection: "column",
+                alignItems: isMine ? "flex-end" : "flex-start",
+                marginBottom: "1rem"
+              }}
+            >
+              <div style={{
+                background: isMine ? "#1e40af" : "#e0e7ef",
+                color: isMine ? "#fff" : "#1e293b",
+                padding: "0.7rem 1rem",
+                borderRadius: "1.2rem",
+                maxWidth: "65%",
+                wordBreak: "break-word",
+                fontSize: "1rem"
+              }}>
+                <MessageReplyQuote message={getParent(msg)} inverted={isMine} />
+                <FormattedMessage text={msg.content} linkClassName={isMine ? "text-blue-100" : "text-blue-700"} />
+                <MessageAttachments attachments={msg.attachments} inverted={isMine} />
+              </div>
+              <span style={{
+                fontSize: "0.8rem",
+                color: "#64748b",
+                marginTop: "0.2rem"
+              }}>
+                {msg.senderName || "User"} &middot; {new Date(msg.createdAt).toLocaleString()}
+                {onReply && (
+                  <button
+                    type="button"
+                    onClick={() => onReply(msg)}
+                    title="Reply"
+                    style={{ marginLeft: "0.5rem", color: "#64748b", verticalAlign: "middle" }}
+                  >
+                    <FaReply />
+                  </button>
+                )}
+              </span>
             </div>
-            <span style={{
-              fontSize: "0.8rem",
-              color: "#64748b",
-              marginTop: "0.2rem"
-            }}>
-              {msg.senderName || "User"} &middot; {new Date(msg.createdAt).toLocaleString()}
-            </span>
-          </div>
-        ))
+          );
+        })
       ) : (
         <div style={{ color: "#64748b", textAlign: "center" }}>No messages yet.</div>
       )}
@@ -62,4 +89,4 @@ const MessageThread = ({ messages, userId }) => {
   );
 };
 
-export default MessageThread;
\ No newline at end of file
+export default MessageThread;
@@ -0,0 +1,189 @@
+// frontend/src/components/NewConversationModal.jsx
+
+import React, { useState, useEffect } from 'react';
+import { FaUsers, FaBullhorn } from 'react-icons/fa';
+import Modal from './common/Modal';
+import Button from './common/Button';
+import MemberPicker from './MemberPicker';
+import * as messageService from '../services/messageService';
+import * as propertyService from '../services/propertyService';
+import { useGlobalAlert } from '../contexts/GlobalAlertContext';
+import { CONVERSATION_TYPES } from '../utils/constants';
+
+const TYPE_OPTIONS = [
+  { value: CONVERSATION_TYPES.GROUP, label: 'Group', icon: <FaUsers className="mr-2" /> },
+  { value: CONVERSATION_TYPES.BROADCAST, label: 'Property broadcast', icon: <FaBullhorn className="mr-2" /> },
+];
+
+/**
+ * Starts a group conversation, or opens a property/unit broadcast channel.
+ *
+ * @param {object} props
+ * @param {boolean} props.isOpen - Whether the modal is shown.
+ * @param {function} props.onClose - Closes the modal.
+ * @param {function} props.onCreated - Called with the created (or existing broadcast) conversation.
+ * @param {boolean} [props.canBroadcast=false] - Whether the user can open broadcast channels.
+ */
+const NewConversationModal = ({ isOpen, onClose, onCreated, canBroadcast = false }) => {
+  const { showError } = useGlobalAlert();
+  const [type, setType] = useState(CONVERSATION_TYPES.GROUP);
+  const [name, setName] = useState('');
+  const [members, setMembers] = useState([]);
+  const [properties, setProperties] = useState([]);
+  const [units, setUnits] = useState([]);
+  const [propertyId, setPropertyId] = useState('');
+  const [unitId, setUnitId] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const isBroadcast = type === CONVERSATION_TYPES.BROADCAST;
+
+  // Properties are only needed to scope a broadcast
+  useEffect(() => {
+    if (!isOpen || !canBroadcast || properties.length > 0) return;
+    propertyService.getAllProperties()
+      .then(response => setProperties(response.properties || []))
+      .catch(error => console.error('Error fetching properties:', error));
+  }, [isOpen, canBroadcast, properties.length]);
+
+  useEffect(() => {
+    setUnitId('');
+    if (!propertyId) {
+      setUnits([]);
+      return;
+    }
+    propertyService.getPropertyById(propertyId)
+      .then(response => setUnits(response?.units || []))
+      .catch(error => console.error('Error fetching units:', error));
+  }, [propertyId]);
+
+  const handleClose = () => {
+    setType(CONVERSATION_TYPES.GROUP);
+    setName('');
+    setMembers([]);
+    setPropertyId('');
+    onClose();
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const conversation = await messageService.createConversation(isBroadcast
+        ? { type, name: name.trim() || undefined, propertyId, unitId: unitId || undefined }
+        : { type, name: name.trim(), memberIds: members.map(member => member._id) }
+      );
+      onCreated(conversation);
+      handleClose();
+    } catch (error) {
+      console.error('Error creating conversation:', error);
+      showError('Failed to start the conversation. ' + (error.message || error || 'Please try again.'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const canSubmit = isBroadcast ? !!propertyId : members.length > 1 && !!name.trim();
+
+  return (
+    <Modal isOpen={isOpen} onClose={handleClose} title="New Conversation">
+      <form onSubmit={handleSubmit} className="space-y-4">
+        {canBroadcast && (
+          <div className="grid grid-cols-2 gap-2">
+            {TYPE_OPTIONS.map(option => (
+              <button
+                key={option.value}
+                type="button"
+                onClick={() => setType(option.value)}
+                className={`flex items-center justify-center p-2 border rounded-md text-sm ${
+                  type === option.value ? 'border-blue-600 bg-blue-50 text-blue-700' : 'text-gray-700'
+                }`}
+              >
+                {option.icon} {option.label}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {isBroadcast ? (
+          <>
+            <div>
+              <label htmlFor="broadcastProperty" className="block text-sm font-medium text-gray-700 mb-1">Property</label>
+              <select
+                id="broadcastProperty"
+                value={propertyId}
+                onChange={(e) => setPropertyId(e.target.value)}
+                className="w-full p-2 border rounded-md"
+                required
+              >
+                <option value="">Select a property</option>
+                {properties.map(property => (
+                  <option key={property._id} value={property._id}>{property.name}</option>
+                ))}
+              </select>
+            </div>
+            {units.length > 0 && (
+              <div>
+                <label htmlFor="broadcastUnit" className="block text-sm font-medium text-gray-700 mb-1">Unit</label>
+                <select
+                  id="broadcastUnit"
+                  value={unitId}
+                  onChange={(e) => setUnitId(e.target.value)}
+                  className="w-full p-2 border rounded-md"
+                >
+                  <option value="">All tenants in the property</option>
+                  {units.map(unit => (
+                    <option key={unit._id} value={unit._id}>Unit {unit.unitName} co-tenants</option>
+                  ))}
+                </select>
+              </div>
+            )}
+            <div>
+              <label htmlFor="broadcastName" className="block text-sm font-medium text-gray-700 mb-1">Name (optional)</label>
+              <input
+                id="broadcastName"
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="Defaults to the property or unit name"
+                className="w-full p-2 border rounded-md"
+              />
+            </div>
+            <p className="text-xs text-gray-500">
+              Members are the current tenants and are kept up to date as leases start and end.
+              If a channel already exists for this property or unit, it is opened instead.
+            </p>
+          </>
+        ) : (
+          <>
+            <div>
+              <label htmlFor="groupName" className="block text-sm font-medium text-gray-700 mb-1">Group name</label>
+              <input
+                id="groupName"
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="e.g. Block B renovation"
+                className="w-full p-2 border rounded-md"
+                required
+              />
+            </div>
+            <div>
+              <span className="block text-sm font-medium text-gray-700 mb-1">Members</span>
+              <MemberPicker selected={members} onChange={setMembers} />
+              <p className="text-xs text-gray-500 mt-1">Pick at least two people. You are added automatically.</p>
+            </div>
+          </>
+        )}
+
+        <div className="flex justify-end gap-3">
+          <Button variant="secondary" onClick={handleClose}>Cancel</Button>
+          <Button type="submit" loading={saving} disabled={!canSubmit}>
+            {isBroadcast ? 'Open Channel' : 'Create Group'}
+          </Button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+export default NewConversationModal;
@@ -3,8 +3,10 @@
 import React, { useState, useRef, useEffect } from 'react';
 import { useNotifications } from '../contexts/NotificationContext';
 import { useOnClickOutside } from '../hooks/useOnClickOutside';
-import { formatDistanceToNow } from 'date-fns';
 import { Link } from 'react-router-dom';
+import { NOTIFICATION_STREAM_STATUS } from '../utils/constants';
+import useI18n from '../hooks/useI18n';
+import { formatRelativeTime } from '../utils/helpers';
 
 /**
  * Renders a notification bell icon with a dropdown of recent notifications
@@ -16,9 +18,11 @@ const NotificationBell = () => {
     loading, 
     markAsRead, 
     markAllAsRead,
-    refreshNotifications 
+    refreshNotifications,
+    connectionStatus
   } = useNotifications();
   
+  const { t } = useI18n();
   const [isOpen, setIsOpen] = useState(false);
   const dropdownRef = useRef(null);
   
@@ -32,22 +36,13 @@ const NotificationBell = () => {
     }
   }, [isOpen, refreshNotifications]);
   
-  // Format notification date
-  const formatDate = (dateString) => {
-    try {
-      return formatDistanceToNow(new Date(dateString), { addSuffix: true });
-    } catch {
-      return 'unknown date';
-    }
-  };
-  
   return (
     <div className="relative" ref={dropdownRef}>
       {/* Notification bell icon */}
       <button
         className="relative p-2 text-gray-700 hover:text-indigo-600 focus:outline-none"
         onClick={() => setIsOpen(!isOpen)}
-        aria-label="Notifications"
+        aria-label={unreadCount > 0 ? t('notifications.unreadCount', { count: unreadCount }) : t('notifications.title')}
       >
         <svg 
           xmlns="http://www.w3.org/2000/svg" 
@@ -77,7 +72,12 @@ const NotificationBell = () => {
         <div className="absolute right-0 mt-2 w-80 bg-white rounded-md shadow-lg z-20 overflow-hidden">
           {/* Header */}
           <div className="p-3 bg-gray-100 border-b flex justify-between items-center">
-            <h3 className="text-sm font-semibold">Notifications</h3>
+            <div>
+              <h3 className="text-sm font-semibold">{t('notifications.title')}</h3>
+              {connectionStatus === NOTIFICATION_STREAM_STATUS.DEGRADED && (
+                <p className="text-xs text-gray-500">{t('notifications.livePaused')}</p>
+              )}
+            </div>
             {unreadCount > 0 && (
               <button
                 onClick={() => {
@@ -86,7 +86,7 @@ const NotificationBell = () => {
                 }}
                 className="text-xs text-indigo-600 hover:text-indigo-800 font-medium"
               >
-                Mark all as read
+                {t('notifications.markAllRead')}
               </button>
             )}
           </div>
@@ -95,11 +95,11 @@ const NotificationBell = () => {
           <div className="max-h-80 overflow-y-auto">
             {loading ? (
               <div className="p-4 text-center text-gray-500">
-                Loading notifications...
+                {t('notifications.loading')}
               </div>
             ) : notifications.length === 0 ? (
               <div className="p-4 text-center text-gray-500">
-                No notifications to display
+                {t('notifications.empty')}
               </div>
             ) : (
               <ul>
@@ -129,7 +129,7 @@ const NotificationBell = () => {
                           )}
                         </span>
                         <span className="text-xs text-gray-500">
-                          {formatDate(notification.sentAt)}
+                          {formatRelativeTime(notification.sentAt)}
                         </span>
                       </div>
                       
@@ -142,7 +142,7 @@ const NotificationBell = () => {
                           to={notification.link}
                           className="text-xs text-indigo-600 hover:text-indigo-800 mt-1 inline-block"
                         >
-                          View details →
+                          {t('notifications.viewDetails')}
                         </Link>
                       )}
                     </div>
@@ -159,7 +159,7 @@ const NotificationBell = () => {
               className="text-sm text-indigo-600 hover:text-indigo-800 font-medium"
               onClick={() => setIsOpen(false)}
             >
-              View all notifications
+              {t('notifications.viewAll')}
             </Link>
           </div>
         </div>
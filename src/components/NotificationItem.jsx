@@ -5,6 +5,7 @@ const iconMap = {
   rent_due: "💰",
   approval_request: "🔔",
   password_reset: "🔑",
+  sla_breach: "⏰",
 };
 
 const NotificationItem = ({ notification, onRead, onDelete }) => {
@@ -0,0 +1,102 @@
+// src/components/OfflineRequestQueue.jsx
+
+import React from "react";
+import { CloudOff, RefreshCcw, Trash2, AlertTriangle, Loader2 } from "lucide-react";
+import { useRequestOutbox } from "../hooks/useRequestOutbox";
+import { OUTBOX_STATUS } from "../utils/requestOutbox";
+import { formatDateTime } from "../utils/helpers";
+
+const STATUS_LABELS = {
+  [OUTBOX_STATUS.PENDING]: { label: "Pending sync", className: "bg-yellow-100 text-yellow-800" },
+  [OUTBOX_STATUS.SYNCING]: { label: "Sending...", className: "bg-blue-100 text-blue-800" },
+  [OUTBOX_STATUS.FAILED]: { label: "Sync failed", className: "bg-red-100 text-red-800" },
+};
+
+/**
+ * Lists maintenance requests saved offline that have not reached the server yet.
+ * Renders nothing when the outbox is empty. Syncing itself is driven by the layout.
+ */
+const OfflineRequestQueue = () => {
+  const { entries, isOnline, isSyncing, syncNow, retryEntry, discardEntry } = useRequestOutbox({ autoSync: false });
+
+  if (entries.length === 0) return null;
+
+  const handleDiscard = (entry) => {
+    if (window.confirm(`Discard "${entry.payload.title}"? It will not be sent.`)) {
+      discardEntry(entry.localId);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-yellow-200 p-4 mb-6">
+      <div className="flex flex-wrap justify-between items-center gap-2 mb-3">
+        <h2 className="text-lg font-semibold text-gray-800 flex items-center">
+          <CloudOff className="w-5 h-5 mr-2 text-yellow-600" />
+          Waiting to be sent ({entries.length})
+        </h2>
+        {isOnline ? (
+          <button
+            type="button"
+            onClick={syncNow}
+            disabled={isSyncing}
+            className="text-sm text-[#219377] hover:underline flex items-center disabled:opacity-50"
+          >
+            <RefreshCcw className={`w-4 h-4 mr-1 ${isSyncing ? 'animate-spin' : ''}`} /> Sync now
+          </button>
+        ) : (
+          <span className="text-sm text-gray-500">You're offline. These will be sent automatically when you reconnect.</span>
+        )}
+      </div>
+
+      <ul className="divide-y divide-gray-100">
+        {entries.map((entry) => {
+          const status = STATUS_LABELS[entry.status] || STATUS_LABELS[OUTBOX_STATUS.PENDING];
+          return (
+            <li key={entry.localId} className="py-3 flex flex-wrap justify-between items-start gap-3">
+              <div>
+                <p className="font-medium text-gray-800">{entry.payload.title}</p>
+                <p className="text-xs text-gray-500">
+                  Saved {formatDateTime(entry.createdAt)}
+                  {entry.files?.length > 0 && ` · ${entry.files.length} attachment${entry.files.length === 1 ? '' : 's'}`}
+                </p>
+                {entry.status === OUTBOX_STATUS.FAILED && entry.lastError && (
+                  <p className="text-xs text-red-600 mt-1 flex items-center">
+                    <AlertTriangle className="w-3 h-3 mr-1" /> {entry.lastError}
+                  </p>
+                )}
+              </div>
+              <div className="flex items-center gap-2">
+                <span className={`px-2 py-1 rounded-full text-xs font-medium flex items-center ${status.className}`}>
+                  {entry.status === OUTBOX_STATUS.SYNCING && <Loader2 className="w-3 h-3 mr-1 animate-spin" />}
+                  {status.label}
+                </span>
+                {entry.status === OUTBOX_STATUS.FAILED && (
+                  <button
+                    type="button"
+                    onClick={() => retryEntry(entry)}
+                    className="text-xs text-[#219377] hover:underline"
+                    disabled={!isOnline}
+                  >
+                    Retry
+                  </button>
+                )}
+                {entry.status !== OUTBOX_STATUS.SYNCING && (
+                  <button
+                    type="button"
+                    onClick={() => handleDiscard(entry)}
+                    className="text-gray-400 hover:text-red-600"
+                    aria-label="Discard queued request"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default OfflineRequestQueue;
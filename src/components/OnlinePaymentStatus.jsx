@@ -0,0 +1,107 @@
+// frontend/src/components/OnlinePaymentStatus.jsx
+
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { CheckCircle, XCircle, Loader2, Landmark } from 'lucide-react';
+import { useOnlinePayment, useOnlinePaymentMutations, isPaymentAwaitingRecording } from '../hooks/useOnlinePayments';
+import { ONLINE_PAYMENT_STATUS, ROUTES } from '../utils/constants';
+import { formatCurrency } from '../utils/helpers';
+import { getPaymentProvider } from '../utils/paymentProviders';
+import Button from './common/Button';
+import useI18n from '../hooks/useI18n';
+
+/**
+ * Follows an online payment until the provider settles it. Confirmed payments are
+ * recorded against the rent record by the backend; this only reports progress.
+ *
+ * @param {object} props
+ * @param {string} props.paymentId - Online payment to follow.
+ * @param {string} [props.message] - Translation key of the text shown while waiting, e.g. the mobile money prompt hint.
+ * @param {object} [props.instructions] - Bank transfer details to show while the payment is pending.
+ * @param {function} [props.onRetry] - Called when the tenant wants to try again after a failure.
+ */
+const OnlinePaymentStatus = ({ paymentId, message, instructions, onRetry }) => {
+  const { data: payment, isLoading } = useOnlinePayment(paymentId);
+  const { cancelPayment, isCanceling } = useOnlinePaymentMutations();
+  const { t } = useI18n();
+
+  if (isLoading || !payment) {
+    return (
+      <div className="flex items-center justify-center p-8 text-gray-600">
+        <Loader2 className="w-6 h-6 mr-2 animate-spin" /> {t('onlinePayment.loading')}
+      </div>
+    );
+  }
+
+  const provider = getPaymentProvider(payment.provider);
+  const amount = formatCurrency(payment.amount, payment.currency);
+
+  if (payment.status === ONLINE_PAYMENT_STATUS.SUCCEEDED) {
+    return (
+      <div className="text-center p-8">
+        <CheckCircle className="w-14 h-14 mx-auto text-green-600 mb-3" />
+        <h2 className="text-xl font-semibold text-gray-800 mb-1">{t('onlinePayment.received', { amount })}</h2>
+        <p className="text-gray-600 mb-1">
+          {provider && t(provider.label)}
+          {payment.providerReference ? ` · ${t('onlinePayment.reference', { reference: payment.providerReference })}` : ''}
+        </p>
+        <p className="text-sm text-gray-500 mb-6">
+          {t(isPaymentAwaitingRecording(payment) ? 'onlinePayment.updatingBalance' : 'onlinePayment.balanceUpdated')}
+        </p>
+        <Link to={ROUTES.TENANT_DASHBOARD} className="text-blue-600 hover:underline font-medium">
+          {t('tenant.common.backToDashboard')} &rarr;
+        </Link>
+      </div>
+    );
+  }
+
+  if (payment.status === ONLINE_PAYMENT_STATUS.FAILED || payment.status === ONLINE_PAYMENT_STATUS.CANCELED) {
+    return (
+      <div className="text-center p-8">
+        <XCircle className="w-14 h-14 mx-auto text-red-500 mb-3" />
+        <h2 className="text-xl font-semibold text-gray-800 mb-1">
+          {t(payment.status === ONLINE_PAYMENT_STATUS.CANCELED ? 'onlinePayment.canceled' : 'onlinePayment.failed')}
+        </h2>
+        <p className="text-gray-600 mb-6">
+          {payment.failureReason || t('onlinePayment.noMoneyTaken')}
+        </p>
+        {onRetry && <Button onClick={onRetry}>{t('tenant.common.tryAgain')}</Button>}
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-8">
+      {instructions ? (
+        <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-6">
+          <h2 className="text-lg font-semibold text-gray-800 mb-3 flex items-center">
+            <Landmark className="w-5 h-5 mr-2" /> {t('onlinePayment.transfer', { amount })}
+          </h2>
+          <dl className="grid grid-cols-2 gap-y-2 text-sm">
+            {instructions.bankName && (<><dt className="text-gray-500">{t('onlinePayment.bank')}</dt><dd className="font-medium">{instructions.bankName}</dd></>)}
+            {instructions.accountName && (<><dt className="text-gray-500">{t('onlinePayment.accountName')}</dt><dd className="font-medium">{instructions.accountName}</dd></>)}
+            {instructions.accountNumber && (<><dt className="text-gray-500">{t('onlinePayment.accountNumber')}</dt><dd className="font-medium">{instructions.accountNumber}</dd></>)}
+            <dt className="text-gray-500">{t('onlinePayment.referenceLabel')}</dt>
+            <dd className="font-medium">{instructions.reference || payment.providerReference || payment._id}</dd>
+          </dl>
+          <p className="text-xs text-gray-500 mt-3">
+            {t('onlinePayment.transferHint')}
+          </p>
+        </div>
+      ) : (
+        <div className="text-center mb-6">
+          <Loader2 className="w-12 h-12 mx-auto text-green-600 animate-spin mb-3" />
+          <h2 className="text-xl font-semibold text-gray-800 mb-1">{t('onlinePayment.waiting', { amount })}</h2>
+          <p className="text-gray-600">{t(message || 'onlinePayment.autoUpdate')}</p>
+        </div>
+      )}
+      <div className="text-center">
+        <Button variant="outline" onClick={() => cancelPayment(payment._id)} loading={isCanceling}>
+          {t('onlinePayment.cancel')}
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default OnlinePaymentStatus;
@@ -0,0 +1,104 @@
+// frontend/src/components/PendingCostApprovals.jsx
+
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { Receipt, CheckCircle, XCircle } from 'lucide-react';
+import LoadingSpinner from './common/LoadingSpinner';
+import { useCostEntries, useCostEntryMutations } from '../hooks/useMaintenanceCosts';
+import { COST_APPROVAL_STATUS, ROUTES } from '../utils/constants';
+import { formatCurrency, formatDate } from '../utils/helpers';
+
+/**
+ * Links a cost entry to the request or scheduled task it was recorded against.
+ */
+const getJobLink = (entry) => {
+  if (entry.request) {
+    return {
+      to: ROUTES.REQUEST_DETAILS.replace(':requestId', entry.request._id || entry.request),
+      label: entry.request.title || 'Maintenance request'
+    };
+  }
+  if (entry.scheduledMaintenance) {
+    return {
+      to: ROUTES.SCHEDULED_MAINTENANCE_DETAILS.replace(':taskId', entry.scheduledMaintenance._id || entry.scheduledMaintenance),
+      label: entry.scheduledMaintenance.title || 'Scheduled maintenance'
+    };
+  }
+  return null;
+};
+
+/**
+ * Maintenance costs above a property's approval threshold, waiting for the landlord.
+ *
+ * @param {object} props
+ * @param {string} [props.className]
+ */
+const PendingCostApprovals = ({ className = '' }) => {
+  const { data: entries = [], isLoading } = useCostEntries({ filters: { approvalStatus: COST_APPROVAL_STATUS.PENDING } });
+  const { approveCostEntry, isApprovingCostEntry, rejectCostEntry, isRejectingCostEntry } = useCostEntryMutations();
+
+  const handleReject = (entry) => {
+    const reason = window.prompt('Reason for rejecting this cost (optional):');
+    if (reason === null) return;
+    rejectCostEntry({ entryId: entry._id, reason: reason.trim() || undefined });
+  };
+
+  return (
+    <div className={`bg-white p-6 rounded-xl shadow-lg border border-gray-100 ${className}`}>
+      <h2 className="text-2xl font-semibold text-gray-800 flex items-center mb-4">
+        <Receipt className="w-6 h-6 mr-2" /> Costs Awaiting Approval
+        {entries.length > 0 && (
+          <span className="ml-2 px-2 py-0.5 text-sm font-semibold rounded-full bg-yellow-100 text-yellow-800">{entries.length}</span>
+        )}
+      </h2>
+
+      {isLoading ? (
+        <LoadingSpinner size="sm" />
+      ) : entries.length === 0 ? (
+        <p className="text-gray-600 italic text-center py-4">Nothing waiting for your approval.</p>
+      ) : (
+        <ul className="divide-y divide-gray-100">
+          {entries.map(entry => {
+            const job = getJobLink(entry);
+            return (
+              <li key={entry._id} className="flex flex-col md:flex-row md:items-center md:justify-between gap-2 py-3">
+                <div>
+                  <p className="font-medium text-gray-800">
+                    {formatCurrency(entry.amount, entry.currency)} · {entry.typeDisplay}
+                    <span className="text-gray-600 font-normal"> · {entry.description}</span>
+                  </p>
+                  <p className="text-sm text-gray-500">
+                    {entry.property?.name && `${entry.property.name} · `}
+                    {job ? <Link to={job.to} className="text-green-600 hover:underline">{job.label}</Link> : 'Unlinked cost'}
+                    {` · ${formatDate(entry.incurredOn || entry.createdAt)}`}
+                    {entry.createdByName && ` · added by ${entry.createdByName}`}
+                  </p>
+                </div>
+                <div className="flex items-center gap-2">
+                  <button
+                    onClick={() => approveCostEntry(entry._id)}
+                    disabled={isApprovingCostEntry}
+                    className="text-green-600 hover:text-green-800 disabled:opacity-50"
+                    title="Approve"
+                  >
+                    <CheckCircle className="w-6 h-6" />
+                  </button>
+                  <button
+                    onClick={() => handleReject(entry)}
+                    disabled={isRejectingCostEntry}
+                    className="text-red-500 hover:text-red-700 disabled:opacity-50"
+                    title="Reject"
+                  >
+                    <XCircle className="w-6 h-6" />
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default PendingCostApprovals;
@@ -0,0 +1,104 @@
+// frontend/src/components/PropertySpendCard.jsx
+
+import React from 'react';
+import { Receipt } from 'lucide-react';
+import LoadingSpinner from './common/LoadingSpinner';
+import { usePropertySpendSummary } from '../hooks/useMaintenanceCosts';
+import { COST_ENTRY_TYPES } from '../utils/constants';
+import { formatCurrency } from '../utils/helpers';
+
+const PRIMARY_COLOR = '#219377';
+
+const TYPE_LABELS = {
+  [COST_ENTRY_TYPES.LABOUR]: 'Labour',
+  [COST_ENTRY_TYPES.MATERIALS]: 'Materials',
+  [COST_ENTRY_TYPES.VENDOR_INVOICE]: 'Vendor Invoices',
+  [COST_ENTRY_TYPES.OTHER]: 'Other',
+};
+
+/**
+ * Budget bar colour: green until 80% of budget is used, then amber, red once over.
+ */
+const getBarColor = (percent) => {
+  if (percent > 100) return '#ef4444';
+  if (percent >= 80) return '#f59e0b';
+  return PRIMARY_COLOR;
+};
+
+/**
+ * This year's maintenance spend for a property against its annual operating budget.
+ *
+ * @param {object} props
+ * @param {string} props.propertyId
+ */
+const PropertySpendCard = ({ propertyId }) => {
+  const year = new Date().getFullYear();
+  const { data: summaries = [], isLoading } = usePropertySpendSummary({ filters: { year, propertyId } });
+  const summary = summaries[0];
+
+  return (
+    <div className="p-8 rounded-xl shadow-lg mb-10" style={{ background: '#fff', border: `1.5px solid ${PRIMARY_COLOR}30` }}>
+      <h2 className="text-2xl font-semibold mb-6 flex items-center" style={{ color: PRIMARY_COLOR }}>
+        <Receipt className="w-6 h-6 mr-2" /> Maintenance Spend {year}
+      </h2>
+
+      {isLoading ? (
+        <div className="flex justify-center py-6"><LoadingSpinner /></div>
+      ) : !summary ? (
+        <p className="text-gray-600 italic">No maintenance costs recorded this year.</p>
+      ) : (
+        <>
+          <div className="flex flex-wrap items-end gap-x-8 gap-y-3 mb-4">
+            <div>
+              <p className="text-xs font-medium text-gray-500 uppercase tracking-wider">Spent</p>
+              <p className="text-3xl font-bold text-gray-900">{formatCurrency(summary.total, summary.currency)}</p>
+            </div>
+            <div>
+              <p className="text-xs font-medium text-gray-500 uppercase tracking-wider">Annual budget</p>
+              <p className="text-xl font-semibold text-gray-700">
+                {summary.budget ? formatCurrency(summary.budget, summary.currency) : 'Not set'}
+              </p>
+            </div>
+            {summary.budget && (
+              <div>
+                <p className="text-xs font-medium text-gray-500 uppercase tracking-wider">{summary.isOverBudget ? 'Over budget by' : 'Remaining'}</p>
+                <p className={`text-xl font-semibold ${summary.isOverBudget ? 'text-red-600' : 'text-gray-700'}`}>
+                  {formatCurrency(Math.abs(summary.remaining), summary.currency)}
+                </p>
+              </div>
+            )}
+            {summary.pendingTotal > 0 && (
+              <div>
+                <p className="text-xs font-medium text-gray-500 uppercase tracking-wider">Awaiting approval</p>
+                <p className="text-xl font-semibold text-yellow-700">{formatCurrency(summary.pendingTotal, summary.currency)}</p>
+              </div>
+            )}
+          </div>
+
+          {summary.budget && (
+            <div className="mb-5">
+              <div className="w-full h-3 bg-gray-200 rounded-full overflow-hidden">
+                <div
+                  className="h-3 rounded-full"
+                  style={{ width: `${Math.min(summary.budgetUsedPercent, 100)}%`, backgroundColor: getBarColor(summary.budgetUsedPercent) }}
+                />
+              </div>
+              <p className="text-sm text-gray-500 mt-1">{summary.budgetUsedPercent}% of budget used</p>
+            </div>
+          )}
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            {Object.entries(TYPE_LABELS).map(([type, label]) => (
+              <div key={type} className="p-3 border rounded-lg">
+                <p className="text-xs text-gray-500">{label}</p>
+                <p className="font-semibold text-gray-800">{formatCurrency(summary.byType?.[type] || 0, summary.currency)}</p>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PropertySpendCard;
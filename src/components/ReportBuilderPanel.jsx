@@ -0,0 +1,263 @@
+// frontend/src/components/ReportBuilderPanel.jsx
+
+import React from 'react';
+import { Table2, BarChart, LineChart, PieChart, ArrowDownWideNarrow, ArrowUpNarrowWide } from 'lucide-react';
+import { REPORT_CHART_TYPES } from '../utils/constants';
+import {
+  REPORT_DATASET_CATALOG,
+  REPORT_CHART_TYPE_LABELS,
+  MAX_REPORT_DIMENSIONS,
+  createReportDefinition,
+} from '../utils/reportBuilder';
+
+const CHART_TYPE_OPTIONS = [
+  { value: REPORT_CHART_TYPES.TABLE, icon: <Table2 className="w-4 h-4" /> },
+  { value: REPORT_CHART_TYPES.BAR, icon: <BarChart className="w-4 h-4" /> },
+  { value: REPORT_CHART_TYPES.LINE, icon: <LineChart className="w-4 h-4" /> },
+  { value: REPORT_CHART_TYPES.PIE, icon: <PieChart className="w-4 h-4" /> },
+];
+
+const INPUT_CLASS = 'w-full p-2 border border-gray-300 rounded-md text-sm focus:ring-[#219377] focus:border-[#219377]';
+
+const formatOption = (value) => value.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+
+/**
+ * Controls for building a custom report definition: dataset, dimensions, measures,
+ * filters, chart type and sorting.
+ *
+ * @param {object} props
+ * @param {object} props.definition - Report definition being edited.
+ * @param {function} props.onChange - Called with the updated definition.
+ * @param {Array<object>} [props.properties=[]] - Properties for the property filter.
+ */
+const ReportBuilderPanel = ({ definition, onChange, properties = [] }) => {
+  const dataset = REPORT_DATASET_CATALOG[definition.dataset];
+  const { filters = {} } = definition;
+
+  const update = (changes) => onChange({ ...definition, ...changes });
+
+  const updateFilter = (name, value) => {
+    update({ filters: { ...filters, [name]: value || undefined } });
+  };
+
+  // Start over on another dataset but keep the date range, which applies to every dataset
+  const handleDatasetChange = (e) => {
+    const next = createReportDefinition(e.target.value);
+    onChange({
+      ...next,
+      name: definition.name,
+      filters: { startDate: filters.startDate, endDate: filters.endDate },
+    });
+  };
+
+  const toggleField = (listName, key) => {
+    const list = definition[listName];
+    const nextList = list.includes(key) ? list.filter(k => k !== key) : [...list, key];
+    const changes = { [listName]: nextList };
+    // Don't leave the report sorted by a field it no longer has
+    if (definition.sort?.by === key && !nextList.includes(key)) {
+      changes.sort = { ...definition.sort, by: definition.measures.find(m => m !== key) || nextList[0] };
+    }
+    update(changes);
+  };
+
+  const sortOptions = [
+    ...dataset.dimensions.filter(d => definition.dimensions.includes(d.key)),
+    ...dataset.measures.filter(m => definition.measures.includes(m.key)),
+  ];
+
+  return (
+    <div className="space-y-5">
+      <div>
+        <label htmlFor="report-dataset" className="block text-sm font-medium text-gray-700 mb-1">Dataset</label>
+        <select id="report-dataset" value={definition.dataset} onChange={handleDatasetChange} className={INPUT_CLASS}>
+          {Object.entries(REPORT_DATASET_CATALOG).map(([key, entry]) => (
+            <option key={key} value={key}>{entry.label}</option>
+          ))}
+        </select>
+      </div>
+
+      <fieldset>
+        <legend className="text-sm font-medium text-gray-700 mb-1">
+          Group by <span className="text-gray-400 font-normal">(up to {MAX_REPORT_DIMENSIONS})</span>
+        </legend>
+        <div className="flex flex-wrap gap-2">
+          {dataset.dimensions.map(dimension => {
+            const checked = definition.dimensions.includes(dimension.key);
+            const atLimit = !checked && definition.dimensions.length >= MAX_REPORT_DIMENSIONS;
+            return (
+              <label
+                key={dimension.key}
+                className={`flex items-center gap-1.5 px-2.5 py-1 rounded-full border text-sm ${
+                  checked ? 'bg-[#219377]/10 border-[#219377] text-[#1b7c66]' : 'border-gray-300 text-gray-700'
+                } ${atLimit ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'}`}
+              >
+                <input
+                  type="checkbox"
+                  checked={checked}
+                  disabled={atLimit}
+                  onChange={() => toggleField('dimensions', dimension.key)}
+                  className="sr-only"
+                />
+                {dimension.label}
+              </label>
+            );
+          })}
+        </div>
+      </fieldset>
+
+      <fieldset>
+        <legend className="text-sm font-medium text-gray-700 mb-1">Measures</legend>
+        <div className="flex flex-wrap gap-2">
+          {dataset.measures.map(measure => {
+            const checked = definition.measures.includes(measure.key);
+            return (
+              <label
+                key={measure.key}
+                className={`flex items-center gap-1.5 px-2.5 py-1 rounded-full border text-sm cursor-pointer ${
+                  checked ? 'bg-[#ffbd59]/20 border-[#ffbd59] text-gray-900' : 'border-gray-300 text-gray-700'
+                }`}
+              >
+                <input
+                  type="checkbox"
+                  checked={checked}
+                  onChange={() => toggleField('measures', measure.key)}
+                  className="sr-only"
+                />
+                {measure.label}
+              </label>
+            );
+          })}
+        </div>
+      </fieldset>
+
+      <fieldset>
+        <legend className="text-sm font-medium text-gray-700 mb-1">Filters</legend>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          {dataset.dateLabel && (
+            <>
+              <div>
+                <label htmlFor="report-start" className="block text-xs text-gray-500 mb-1">{dataset.dateLabel} from</label>
+                <input
+                  id="report-start"
+                  type="date"
+                  value={filters.startDate || ''}
+                  onChange={(e) => updateFilter('startDate', e.target.value)}
+                  className={INPUT_CLASS}
+                />
+              </div>
+              <div>
+                <label htmlFor="report-end" className="block text-xs text-gray-500 mb-1">{dataset.dateLabel} to</label>
+                <input
+                  id="report-end"
+                  type="date"
+                  value={filters.endDate || ''}
+                  onChange={(e) => updateFilter('endDate', e.target.value)}
+                  className={INPUT_CLASS}
+                />
+              </div>
+            </>
+          )}
+          {dataset.propertyScoped && (
+            <div>
+              <label htmlFor="report-property" className="block text-xs text-gray-500 mb-1">Property</label>
+              <select
+                id="report-property"
+                value={filters.propertyId || ''}
+                onChange={(e) => updateFilter('propertyId', e.target.value)}
+                className={INPUT_CLASS}
+              >
+                <option value="">All Properties</option>
+                {properties.map(property => (
+                  <option key={property._id} value={property._id}>{property.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+          {[
+            { name: 'status', label: 'Status', options: dataset.statuses },
+            { name: 'category', label: 'Category', options: dataset.categories },
+            { name: 'priority', label: 'Priority', options: dataset.priorities },
+            { name: 'role', label: 'Role', options: dataset.roles },
+          ].filter(select => select.options).map(select => (
+            <div key={select.name}>
+              <label htmlFor={`report-${select.name}`} className="block text-xs text-gray-500 mb-1">{select.label}</label>
+              <select
+                id={`report-${select.name}`}
+                value={filters[select.name] || ''}
+                onChange={(e) => updateFilter(select.name, e.target.value)}
+                className={INPUT_CLASS}
+              >
+                <option value="">All</option>
+                {select.options.map(option => (
+                  <option key={option} value={option}>{formatOption(option)}</option>
+                ))}
+              </select>
+            </div>
+          ))}
+        </div>
+      </fieldset>
+
+      <div>
+        <span className="block text-sm font-medium text-gray-700 mb-1">Chart</span>
+        <div className="inline-flex rounded-md border border-gray-300 overflow-hidden">
+          {CHART_TYPE_OPTIONS.map(option => (
+            <button
+              key={option.value}
+              type="button"
+              onClick={() => update({ chartType: option.value })}
+              className={`flex items-center gap-1.5 px-3 py-1.5 text-sm border-r last:border-r-0 border-gray-300 ${
+                definition.chartType === option.value ? 'bg-[#219377] text-white' : 'bg-white text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              {option.icon}
+              {REPORT_CHART_TYPE_LABELS[option.value]}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-3 gap-3 items-end">
+        <div className="col-span-2">
+          <label htmlFor="report-sort" className="block text-sm font-medium text-gray-700 mb-1">Sort by</label>
+          <div className="flex gap-2">
+            <select
+              id="report-sort"
+              value={definition.sort?.by || ''}
+              onChange={(e) => update({ sort: { ...definition.sort, by: e.target.value } })}
+              className={INPUT_CLASS}
+            >
+              {sortOptions.map(option => (
+                <option key={option.key} value={option.key}>{option.label}</option>
+              ))}
+            </select>
+            <button
+              type="button"
+              onClick={() => update({ sort: { ...definition.sort, direction: definition.sort?.direction === 'asc' ? 'desc' : 'asc' } })}
+              className="px-2 border border-gray-300 rounded-md text-gray-600 hover:bg-gray-50"
+              title={definition.sort?.direction === 'asc' ? 'Ascending' : 'Descending'}
+            >
+              {definition.sort?.direction === 'asc'
+                ? <ArrowUpNarrowWide className="w-4 h-4" />
+                : <ArrowDownWideNarrow className="w-4 h-4" />}
+            </button>
+          </div>
+        </div>
+        <div>
+          <label htmlFor="report-limit" className="block text-sm font-medium text-gray-700 mb-1">Max rows</label>
+          <input
+            id="report-limit"
+            type="number"
+            min={1}
+            max={500}
+            value={definition.limit || ''}
+            onChange={(e) => update({ limit: Number(e.target.value) || undefined })}
+            className={INPUT_CLASS}
+          />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReportBuilderPanel;
@@ -0,0 +1,168 @@
+// frontend/src/components/ReportResultView.jsx
+
+import React from 'react';
+import { Bar, Line, Pie } from 'react-chartjs-2';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  BarElement,
+  LineElement,
+  PointElement,
+  ArcElement,
+  Tooltip,
+  Legend,
+} from 'chart.js';
+import { REPORT_CHART_TYPES } from '../utils/constants';
+import { getReportField, formatReportValue } from '../utils/reportBuilder';
+
+ChartJS.register(CategoryScale, LinearScale, BarElement, LineElement, PointElement, ArcElement, Tooltip, Legend);
+
+const SERIES_COLORS = ['#219377', '#ffbd59', '#3b82f6', '#ef4444', '#8b5cf6', '#14b8a6', '#f97316', '#64748b'];
+
+const EMPTY_LABEL = '(none)';
+
+const dimensionValue = (row, key) => {
+  const value = row[key];
+  return value === null || value === undefined || value === '' ? EMPTY_LABEL : String(value);
+};
+
+const unique = (values) => [...new Set(values)];
+
+/**
+ * Builds chart.js data. With two dimensions and one measure the second dimension becomes
+ * the series; otherwise each measure is a series over the combined dimension labels.
+ */
+const buildChartData = (definition, rows) => {
+  const [firstDimension, secondDimension] = definition.dimensions;
+
+  if (secondDimension && definition.measures.length === 1 && definition.chartType !== REPORT_CHART_TYPES.PIE) {
+    const [measure] = definition.measures;
+    const labels = unique(rows.map(row => dimensionValue(row, firstDimension)));
+    const series = unique(rows.map(row => dimensionValue(row, secondDimension)));
+    return {
+      labels,
+      datasets: series.map((seriesLabel, idx) => ({
+        label: seriesLabel,
+        data: labels.map(label => {
+          const row = rows.find(r => dimensionValue(r, firstDimension) === label && dimensionValue(r, secondDimension) === seriesLabel);
+          return row ? row[measure] ?? 0 : 0;
+        }),
+        backgroundColor: SERIES_COLORS[idx % SERIES_COLORS.length],
+        borderColor: SERIES_COLORS[idx % SERIES_COLORS.length],
+      })),
+    };
+  }
+
+  const labels = rows.map(row => definition.dimensions.map(key => dimensionValue(row, key)).join(' / '));
+  return {
+    labels,
+    datasets: definition.measures.map((measure, idx) => ({
+      label: getReportField(definition.dataset, measure)?.label || measure,
+      data: rows.map(row => row[measure] ?? 0),
+      backgroundColor: definition.chartType === REPORT_CHART_TYPES.PIE
+        ? rows.map((_, rowIdx) => SERIES_COLORS[rowIdx % SERIES_COLORS.length])
+        : SERIES_COLORS[idx % SERIES_COLORS.length],
+      borderColor: SERIES_COLORS[idx % SERIES_COLORS.length],
+    })),
+  };
+};
+
+const CHART_OPTIONS = {
+  responsive: true,
+  maintainAspectRatio: false,
+  plugins: { legend: { position: 'bottom' } },
+};
+
+const AXIS_CHART_OPTIONS = {
+  ...CHART_OPTIONS,
+  scales: {
+    y: { beginAtZero: true, ticks: { color: '#6b7280' }, grid: { color: '#e5e7eb' } },
+    x: { ticks: { color: '#6b7280' }, grid: { display: false } },
+  },
+};
+
+/**
+ * Shows the result of a custom report as a chart (unless the chart type is 'table')
+ * followed by the aggregated rows and their totals.
+ *
+ * @param {object} props
+ * @param {object} props.definition - Definition the report was run with.
+ * @param {object} props.report - Result from reportService.runCustomReport.
+ */
+const ReportResultView = ({ definition, report }) => {
+  const { rows = [], totals = {}, truncated, currency } = report;
+
+  if (rows.length === 0) {
+    return <p className="text-center text-gray-500 py-12">No data matches this report.</p>;
+  }
+
+  const dimensions = definition.dimensions.map(key => getReportField(definition.dataset, key) || { key, label: key });
+  const measures = definition.measures.map(key => getReportField(definition.dataset, key) || { key, label: key });
+
+  const chartData = definition.chartType !== REPORT_CHART_TYPES.TABLE ? buildChartData(definition, rows) : null;
+
+  return (
+    <div>
+      {chartData && (
+        <div className="h-80 mb-6">
+          {definition.chartType === REPORT_CHART_TYPES.BAR && <Bar data={chartData} options={AXIS_CHART_OPTIONS} />}
+          {definition.chartType === REPORT_CHART_TYPES.LINE && <Line data={chartData} options={AXIS_CHART_OPTIONS} />}
+          {definition.chartType === REPORT_CHART_TYPES.PIE && <Pie data={chartData} options={CHART_OPTIONS} />}
+        </div>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200 text-sm">
+          <thead className="bg-gray-50">
+            <tr>
+              {dimensions.map(dimension => (
+                <th key={dimension.key} className="px-4 py-2 text-left font-medium text-gray-600">{dimension.label}</th>
+              ))}
+              {measures.map(measure => (
+                <th key={measure.key} className="px-4 py-2 text-right font-medium text-gray-600">{measure.label}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {rows.map((row, idx) => (
+              <tr key={idx} className="hover:bg-gray-50">
+                {dimensions.map(dimension => (
+                  <td key={dimension.key} className="px-4 py-2 text-gray-800 capitalize">
+                    {dimensionValue(row, dimension.key).replace(/_/g, ' ')}
+                  </td>
+                ))}
+                {measures.map(measure => (
+                  <td key={measure.key} className="px-4 py-2 text-right text-gray-800 tabular-nums">
+                    {formatReportValue(row[measure.key], measure.format, currency)}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+          {/* Without dimensions the single row already is the total */}
+          {dimensions.length > 0 && (
+            <tfoot className="bg-gray-50 font-semibold">
+              <tr>
+                <td colSpan={dimensions.length} className="px-4 py-2 text-gray-700">Total</td>
+                {measures.map(measure => (
+                  <td key={measure.key} className="px-4 py-2 text-right text-gray-900 tabular-nums">
+                    {formatReportValue(totals[measure.key], measure.format, currency)}
+                  </td>
+                ))}
+              </tr>
+            </tfoot>
+          )}
+        </table>
+      </div>
+
+      {truncated && (
+        <p className="mt-2 text-xs text-gray-500">
+          Showing the first {rows.length} rows. Totals cover all matching records; raise &quot;Max rows&quot; to see more.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default ReportResultView;
@@ -0,0 +1,257 @@
+// frontend/src/components/ReportSubscriptionModal.jsx
+
+import React, { useState, useEffect } from 'react';
+import { X } from 'lucide-react';
+import Modal from './common/Modal';
+import Button from './common/Button';
+import { useAuth } from '../contexts/AuthContext';
+import { useReportSubscriptionMutations } from '../hooks/useReports';
+import { REPORT_TYPES, REPORT_SUBSCRIPTION_CADENCES, MAINTENANCE_CATEGORIES } from '../utils/constants';
+import { REPORT_TYPE_LABELS } from '../utils/reportBuilder';
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+// Capped at 28 so every month has the day
+const MONTH_DAYS = Array.from({ length: 28 }, (_, idx) => idx + 1);
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Accepts several addresses at once, separated by commas, semicolons or spaces
+const parseEmails = (text) => {
+  const emails = text.split(/[\s,;]+/).map(email => email.trim().toLowerCase()).filter(Boolean);
+  return { emails, invalid: emails.filter(email => !EMAIL_PATTERN.test(email)) };
+};
+
+const INPUT_CLASS = 'w-full p-2 border border-gray-300 rounded-md text-sm focus:ring-[#219377] focus:border-[#219377]';
+
+const buildInitialForm = (subscription, userEmail) => ({
+  name: subscription?.name || '',
+  reportType: subscription?.reportType || REPORT_TYPES.RENT_COLLECTION,
+  propertyId: subscription?.filters?.propertyId || '',
+  category: subscription?.filters?.category || '',
+  format: subscription?.format || 'pdf',
+  recipients: subscription?.recipients || (userEmail ? [userEmail] : []),
+  cadence: subscription?.cadence || REPORT_SUBSCRIPTION_CADENCES.MONTHLY,
+  dayOfWeek: subscription?.dayOfWeek ?? 1,
+  dayOfMonth: subscription?.dayOfMonth ?? 1,
+});
+
+/**
+ * Creates or edits an emailed report subscription.
+ *
+ * @param {object} props
+ * @param {boolean} props.isOpen - Whether the modal is shown.
+ * @param {function} props.onClose - Closes the modal.
+ * @param {object} [props.subscription] - Subscription to edit; creates a new one when omitted.
+ * @param {Array<object>} [props.properties=[]] - Properties for the property filter.
+ */
+const ReportSubscriptionModal = ({ isOpen, onClose, subscription, properties = [] }) => {
+  const { user } = useAuth();
+  const { createSubscription, isCreatingSubscription, updateSubscription, isUpdatingSubscription } = useReportSubscriptionMutations();
+
+  const [form, setForm] = useState(() => buildInitialForm(subscription, user?.email));
+  const [recipientInput, setRecipientInput] = useState('');
+  const [formError, setFormError] = useState('');
+
+  useEffect(() => {
+    if (isOpen) {
+      setForm(buildInitialForm(subscription, user?.email));
+      setRecipientInput('');
+      setFormError('');
+    }
+  }, [isOpen, subscription, user?.email]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const addRecipients = () => {
+    const { emails, invalid } = parseEmails(recipientInput);
+    if (invalid.length > 0) {
+      setFormError(`Not a valid email address: ${invalid.join(', ')}`);
+      return;
+    }
+    if (emails.length === 0) return;
+    setForm(prev => ({ ...prev, recipients: [...new Set([...prev.recipients, ...emails])] }));
+    setRecipientInput('');
+    setFormError('');
+  };
+
+  const handleRecipientKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      addRecipients();
+    }
+  };
+
+  const removeRecipient = (email) => {
+    setForm(prev => ({ ...prev, recipients: prev.recipients.filter(r => r !== email) }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    // Include an address that was typed but not yet added
+    const pending = parseEmails(recipientInput);
+    if (pending.invalid.length > 0) {
+      setFormError(`Not a valid email address: ${pending.invalid.join(', ')}`);
+      return;
+    }
+    const recipients = [...new Set([...form.recipients, ...pending.emails])];
+    if (recipients.length === 0) {
+      setFormError('Add at least one recipient.');
+      return;
+    }
+
+    const isMonthly = form.cadence === REPORT_SUBSCRIPTION_CADENCES.MONTHLY;
+    const payload = {
+      name: form.name.trim() || `${REPORT_TYPE_LABELS[form.reportType]} (${form.cadence})`,
+      reportType: form.reportType,
+      filters: {
+        propertyId: form.propertyId || undefined,
+        category: form.reportType === REPORT_TYPES.MAINTENANCE_SUMMARY ? form.category || undefined : undefined,
+      },
+      format: form.format,
+      recipients,
+      cadence: form.cadence,
+      dayOfWeek: isMonthly ? undefined : Number(form.dayOfWeek),
+      dayOfMonth: isMonthly ? Number(form.dayOfMonth) : undefined,
+    };
+
+    const options = { onSuccess: onClose };
+    if (subscription?._id) {
+      updateSubscription({ subscriptionId: subscription._id, updates: payload }, options);
+    } else {
+      createSubscription(payload, options);
+    }
+  };
+
+  const isSaving = isCreatingSubscription || isUpdatingSubscription;
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title={subscription ? 'Edit Report Subscription' : 'New Report Subscription'}>
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div>
+          <label htmlFor="subscription-name" className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+          <input
+            id="subscription-name"
+            name="name"
+            type="text"
+            value={form.name}
+            onChange={handleChange}
+            placeholder={`${REPORT_TYPE_LABELS[form.reportType]} (${form.cadence})`}
+            className={INPUT_CLASS}
+          />
+        </div>
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <div>
+            <label htmlFor="subscription-type" className="block text-sm font-medium text-gray-700 mb-1">Report</label>
+            <select id="subscription-type" name="reportType" value={form.reportType} onChange={handleChange} className={INPUT_CLASS}>
+              {Object.entries(REPORT_TYPE_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="subscription-format" className="block text-sm font-medium text-gray-700 mb-1">Format</label>
+            <select id="subscription-format" name="format" value={form.format} onChange={handleChange} className={INPUT_CLASS}>
+              <option value="pdf">PDF</option>
+              <option value="csv">CSV</option>
+            </select>
+          </div>
+          <div>
+            <label htmlFor="subscription-property" className="block text-sm font-medium text-gray-700 mb-1">Property</label>
+            <select id="subscription-property" name="propertyId" value={form.propertyId} onChange={handleChange} className={INPUT_CLASS}>
+              <option value="">All Properties</option>
+              {properties.map(property => (
+                <option key={property._id} value={property._id}>{property.name}</option>
+              ))}
+            </select>
+          </div>
+          {form.reportType === REPORT_TYPES.MAINTENANCE_SUMMARY && (
+            <div>
+              <label htmlFor="subscription-category" className="block text-sm font-medium text-gray-700 mb-1">Category</label>
+              <select id="subscription-category" name="category" value={form.category} onChange={handleChange} className={INPUT_CLASS}>
+                <option value="">All Categories</option>
+                {MAINTENANCE_CATEGORIES.map(category => (
+                  <option key={category} value={category} className="capitalize">{category.replace(/_/g, ' ')}</option>
+                ))}
+              </select>
+            </div>
+          )}
+        </div>
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <div>
+            <label htmlFor="subscription-cadence" className="block text-sm font-medium text-gray-700 mb-1">Send</label>
+            <select id="subscription-cadence" name="cadence" value={form.cadence} onChange={handleChange} className={INPUT_CLASS}>
+              <option value={REPORT_SUBSCRIPTION_CADENCES.WEEKLY}>Weekly</option>
+              <option value={REPORT_SUBSCRIPTION_CADENCES.MONTHLY}>Monthly</option>
+            </select>
+          </div>
+          {form.cadence === REPORT_SUBSCRIPTION_CADENCES.WEEKLY ? (
+            <div>
+              <label htmlFor="subscription-day" className="block text-sm font-medium text-gray-700 mb-1">On</label>
+              <select id="subscription-day" name="dayOfWeek" value={form.dayOfWeek} onChange={handleChange} className={INPUT_CLASS}>
+                {WEEKDAYS.map((day, idx) => (
+                  <option key={day} value={idx}>{day}</option>
+                ))}
+              </select>
+            </div>
+          ) : (
+            <div>
+              <label htmlFor="subscription-day" className="block text-sm font-medium text-gray-700 mb-1">On day</label>
+              <select id="subscription-day" name="dayOfMonth" value={form.dayOfMonth} onChange={handleChange} className={INPUT_CLASS}>
+                {MONTH_DAYS.map(day => (
+                  <option key={day} value={day}>{day}</option>
+                ))}
+              </select>
+            </div>
+          )}
+        </div>
+        <p className="text-xs text-gray-500 -mt-2">
+          {form.cadence === REPORT_SUBSCRIPTION_CADENCES.WEEKLY
+            ? 'Each email covers the previous Monday to Sunday.'
+            : 'Each email covers the previous calendar month.'}
+        </p>
+
+        <div>
+          <label htmlFor="subscription-recipients" className="block text-sm font-medium text-gray-700 mb-1">Recipients</label>
+          {form.recipients.length > 0 && (
+            <div className="flex flex-wrap gap-2 mb-2">
+              {form.recipients.map(email => (
+                <span key={email} className="inline-flex items-center gap-1 px-2 py-1 rounded-full bg-gray-100 text-sm text-gray-700">
+                  {email}
+                  <button type="button" onClick={() => removeRecipient(email)} className="text-gray-400 hover:text-red-600" aria-label={`Remove ${email}`}>
+                    <X className="w-3 h-3" />
+                  </button>
+                </span>
+              ))}
+            </div>
+          )}
+          <input
+            id="subscription-recipients"
+            type="text"
+            value={recipientInput}
+            onChange={(e) => setRecipientInput(e.target.value)}
+            onKeyDown={handleRecipientKeyDown}
+            onBlur={addRecipients}
+            placeholder="Add an email address and press Enter"
+            className={INPUT_CLASS}
+          />
+        </div>
+
+        {formError && <p className="text-sm text-red-600">{formError}</p>}
+
+        <div className="flex justify-end gap-3 pt-2">
+          <Button variant="outline" onClick={onClose}>Cancel</Button>
+          <Button type="submit" loading={isSaving} className="bg-[#219377] hover:bg-[#1b7c66] text-white">
+            {subscription ? 'Save Changes' : 'Subscribe'}
+          </Button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+export default ReportSubscriptionModal;
@@ -0,0 +1,275 @@
+// frontend/src/components/ReportSubscriptionsPanel.jsx
+
+import React, { useState } from 'react';
+import { Mail, Plus, Send, Pause, Play, Pencil, Trash2, CheckCircle2, XCircle, AlertTriangle, Clock } from 'lucide-react';
+import LoadingSpinner from './common/LoadingSpinner';
+import ReportSubscriptionModal from './ReportSubscriptionModal';
+import { useProperties } from '../hooks/useProperties';
+import { useReportSubscriptions, useReportDeliveries, useReportSubscriptionMutations } from '../hooks/useReports';
+import { REPORT_SUBSCRIPTION_CADENCES, REPORT_DELIVERY_STATUS } from '../utils/constants';
+import { REPORT_TYPE_LABELS } from '../utils/reportBuilder';
+import { formatDate, formatDateTime } from '../utils/helpers';
+
+const PRIMARY_COLOR = '#219377';
+const DELIVERIES_PER_PAGE = 10;
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const DELIVERY_STATUS_STYLES = {
+  [REPORT_DELIVERY_STATUS.SENT]: { label: 'Sent', className: 'bg-green-100 text-green-800', icon: <CheckCircle2 className="w-3.5 h-3.5" /> },
+  [REPORT_DELIVERY_STATUS.PARTIAL]: { label: 'Partly sent', className: 'bg-yellow-100 text-yellow-800', icon: <AlertTriangle className="w-3.5 h-3.5" /> },
+  [REPORT_DELIVERY_STATUS.FAILED]: { label: 'Failed', className: 'bg-red-100 text-red-800', icon: <XCircle className="w-3.5 h-3.5" /> },
+  [REPORT_DELIVERY_STATUS.PENDING]: { label: 'Pending', className: 'bg-gray-100 text-gray-700', icon: <Clock className="w-3.5 h-3.5" /> },
+};
+
+const DeliveryStatusBadge = ({ status }) => {
+  const style = DELIVERY_STATUS_STYLES[status] || DELIVERY_STATUS_STYLES[REPORT_DELIVERY_STATUS.PENDING];
+  return (
+    <span className={`inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-medium ${style.className}`}>
+      {style.icon}
+      {style.label}
+    </span>
+  );
+};
+
+const describeSchedule = (subscription) => (
+  subscription.cadence === REPORT_SUBSCRIPTION_CADENCES.WEEKLY
+    ? `Weekly on ${WEEKDAYS[subscription.dayOfWeek ?? 1]}`
+    : `Monthly on day ${subscription.dayOfMonth ?? 1}`
+);
+
+/**
+ * Lets the current user manage emailed report subscriptions and see every past send,
+ * including failures.
+ */
+const ReportSubscriptionsPanel = () => {
+  const [modalSubscription, setModalSubscription] = useState(null); // subscription being edited, {} for a new one
+  const [deliveryFilters, setDeliveryFilters] = useState({ status: '', subscriptionId: '', page: 1 });
+
+  const { data: propertiesData } = useProperties();
+  const properties = propertiesData?.properties || [];
+
+  const { data: subscriptions = [], isLoading: isSubscriptionsLoading } = useReportSubscriptions();
+  const { data: deliveriesData, isLoading: isDeliveriesLoading } = useReportDeliveries({
+    filters: {
+      status: deliveryFilters.status || undefined,
+      subscriptionId: deliveryFilters.subscriptionId || undefined,
+      page: deliveryFilters.page,
+      limit: DELIVERIES_PER_PAGE,
+    }
+  });
+  const deliveries = deliveriesData?.data || [];
+  const deliveryPages = deliveriesData?.pages || 1;
+
+  const { updateSubscription, deleteSubscription, sendNow, sendingSubscriptionId } = useReportSubscriptionMutations();
+
+  const handleToggleActive = (subscription) => {
+    updateSubscription({ subscriptionId: subscription._id, updates: { isActive: !subscription.isActive } });
+  };
+
+  const handleDelete = (subscription) => {
+    if (!window.confirm(`Stop sending "${subscription.name}"? Past deliveries stay in the log.`)) return;
+    deleteSubscription(subscription._id);
+  };
+
+  const handleDeliveryFilterChange = (e) => {
+    const { name, value } = e.target;
+    setDeliveryFilters(prev => ({ ...prev, [name]: value, page: 1 }));
+  };
+
+  const subscriptionName = (delivery) => (
+    delivery.subscription?.name
+      || subscriptions.find(s => s._id === delivery.subscription)?.name
+      || REPORT_TYPE_LABELS[delivery.reportType]
+      || 'Deleted subscription'
+  );
+
+  return (
+    <div className="mt-10 p-6 rounded-lg shadow-md border bg-white" style={{ borderColor: PRIMARY_COLOR + '30' }}>
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-4">
+        <div>
+          <h2 className="text-xl font-semibold flex items-center" style={{ color: PRIMARY_COLOR }}>
+            <Mail className="h-6 w-6 mr-2" />
+            Emailed Reports
+          </h2>
+          <p className="text-sm text-gray-600 mt-1">Get reports in your inbox every week or month.</p>
+        </div>
+        <button
+          onClick={() => setModalSubscription({})}
+          className="flex items-center self-start px-4 py-2 bg-[#219377] text-white rounded-md hover:bg-[#1b7c66] transition-colors"
+        >
+          <Plus className="w-4 h-4 mr-2" /> New Subscription
+        </button>
+      </div>
+
+      {isSubscriptionsLoading ? (
+        <div className="flex justify-center py-6"><LoadingSpinner color={PRIMARY_COLOR} /></div>
+      ) : subscriptions.length === 0 ? (
+        <p className="text-gray-500 italic py-4">
+          No report subscriptions yet. Subscribe to have a report such as rent collection emailed to you on a schedule.
+        </p>
+      ) : (
+        <ul className="divide-y divide-gray-200 border border-gray-200 rounded-md">
+          {subscriptions.map(subscription => (
+            <li key={subscription._id} className={`p-4 flex flex-col md:flex-row md:items-center gap-3 ${subscription.isActive === false ? 'bg-gray-50' : ''}`}>
+              <div className="flex-1 min-w-0">
+                <div className="flex items-center gap-2">
+                  <span className="font-medium text-gray-900">{subscription.name}</span>
+                  <span className="text-xs uppercase text-gray-500 border border-gray-300 rounded px-1">{subscription.format}</span>
+                  {subscription.isActive === false && <span className="text-xs text-gray-500">(paused)</span>}
+                </div>
+                <p className="text-sm text-gray-600">
+                  {REPORT_TYPE_LABELS[subscription.reportType] || subscription.reportType}
+                  {subscription.filters?.propertyId && ` · ${properties.find(p => p._id === subscription.filters.propertyId)?.name || 'One property'}`}
+                  {` · ${describeSchedule(subscription)}`}
+                </p>
+                <p className="text-xs text-gray-500 truncate">To: {subscription.recipients?.join(', ')}</p>
+                <p className="text-xs text-gray-500 mt-0.5 flex items-center gap-2">
+                  {subscription.isActive !== false && subscription.nextRunAt && <span>Next: {formatDate(subscription.nextRunAt)}</span>}
+                  {subscription.lastRunAt && (
+                    <span className="flex items-center gap-1">
+                      Last: {formatDate(subscription.lastRunAt)} <DeliveryStatusBadge status={subscription.lastStatus} />
+                    </span>
+                  )}
+                </p>
+              </div>
+              <div className="flex items-center gap-1">
+                <button
+                  onClick={() => sendNow(subscription._id)}
+                  disabled={sendingSubscriptionId === subscription._id}
+                  className="p-2 text-gray-500 hover:text-[#219377] rounded-md hover:bg-gray-100 disabled:opacity-50"
+                  title="Send now"
+                >
+                  <Send className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => handleToggleActive(subscription)}
+                  className="p-2 text-gray-500 hover:text-[#219377] rounded-md hover:bg-gray-100"
+                  title={subscription.isActive === false ? 'Resume' : 'Pause'}
+                >
+                  {subscription.isActive === false ? <Play className="w-4 h-4" /> : <Pause className="w-4 h-4" />}
+                </button>
+                <button
+                  onClick={() => setModalSubscription(subscription)}
+                  className="p-2 text-gray-500 hover:text-[#219377] rounded-md hover:bg-gray-100"
+                  title="Edit"
+                >
+                  <Pencil className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => handleDelete(subscription)}
+                  className="p-2 text-gray-500 hover:text-red-600 rounded-md hover:bg-gray-100"
+                  title="Delete"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* Delivery log */}
+      <div className="mt-8">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-3">
+          <h3 className="text-lg font-semibold text-gray-800">Delivery Log</h3>
+          <div className="flex gap-2">
+            <select
+              name="subscriptionId"
+              value={deliveryFilters.subscriptionId}
+              onChange={handleDeliveryFilterChange}
+              className="p-2 border border-gray-300 rounded-md text-sm"
+            >
+              <option value="">All subscriptions</option>
+              {subscriptions.map(subscription => (
+                <option key={subscription._id} value={subscription._id}>{subscription.name}</option>
+              ))}
+            </select>
+            <select
+              name="status"
+              value={deliveryFilters.status}
+              onChange={handleDeliveryFilterChange}
+              className="p-2 border border-gray-300 rounded-md text-sm"
+            >
+              <option value="">All statuses</option>
+              {Object.entries(DELIVERY_STATUS_STYLES).map(([status, style]) => (
+                <option key={status} value={status}>{style.label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {isDeliveriesLoading ? (
+          <div className="flex justify-center py-6"><LoadingSpinner color={PRIMARY_COLOR} /></div>
+        ) : deliveries.length === 0 ? (
+          <p className="text-gray-500 italic py-4">No reports have been sent yet.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left font-medium text-gray-600">Sent</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-600">Report</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-600">Period</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-600">Recipients</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-600">Status</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {deliveries.map(delivery => (
+                  <tr key={delivery._id} className="align-top">
+                    <td className="px-4 py-2 text-gray-700 whitespace-nowrap">{formatDateTime(delivery.sentAt || delivery.createdAt)}</td>
+                    <td className="px-4 py-2 text-gray-900">
+                      {subscriptionName(delivery)}
+                      {delivery.format && <span className="ml-1 text-xs uppercase text-gray-500">{delivery.format}</span>}
+                    </td>
+                    <td className="px-4 py-2 text-gray-700 whitespace-nowrap">
+                      {delivery.periodStart ? `${formatDate(delivery.periodStart)} – ${formatDate(delivery.periodEnd)}` : '—'}
+                    </td>
+                    <td className="px-4 py-2 text-gray-700">{delivery.recipients?.join(', ') || '—'}</td>
+                    <td className="px-4 py-2">
+                      <DeliveryStatusBadge status={delivery.status} />
+                      {delivery.error && <p className="mt-1 text-xs text-red-600">{delivery.error}</p>}
+                      {delivery.failedRecipients?.length > 0 && (
+                        <p className="mt-1 text-xs text-yellow-700">Not delivered to: {delivery.failedRecipients.join(', ')}</p>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {deliveryPages > 1 && (
+          <div className="flex items-center justify-end gap-3 mt-3 text-sm">
+            <button
+              onClick={() => setDeliveryFilters(prev => ({ ...prev, page: prev.page - 1 }))}
+              disabled={deliveryFilters.page <= 1}
+              className="px-3 py-1 border border-gray-300 rounded-md disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <span className="text-gray-600">Page {deliveryFilters.page} of {deliveryPages}</span>
+            <button
+              onClick={() => setDeliveryFilters(prev => ({ ...prev, page: prev.page + 1 }))}
+              disabled={deliveryFilters.page >= deliveryPages}
+              className="px-3 py-1 border border-gray-300 rounded-md disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+
+      <ReportSubscriptionModal
+        isOpen={!!modalSubscription}
+        onClose={() => setModalSubscription(null)}
+        subscription={modalSubscription?._id ? modalSubscription : undefined}
+        properties={properties}
+      />
+    </div>
+  );
+};
+
+export default ReportSubscriptionsPanel;
@@ -0,0 +1,334 @@
+// frontend/src/components/RequestKanbanBoard.jsx
+
+import React, { useMemo, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useQuery } from '@tanstack/react-query';
+import { Building, User } from 'lucide-react';
+import Modal from './common/Modal';
+import Button from './common/Button';
+import LoadingSpinner from './common/LoadingSpinner';
+import SlaBadge from './SlaBadge';
+import { useRequestBoard, useMoveRequest } from '../hooks/useRequestBoard';
+import { useGlobalAlert } from '../contexts/GlobalAlertContext';
+import { getAllVendors } from '../services/vendorService';
+import { getAllUsers } from '../services/userService';
+import { REQUEST_STATUSES } from '../utils/constants';
+
+const COLUMN_ACCENTS = {
+  [REQUEST_STATUSES.NEW]: '#3b82f6',
+  [REQUEST_STATUSES.ASSIGNED]: '#8b5cf6',
+  [REQUEST_STATUSES.IN_PROGRESS]: '#eab308',
+  [REQUEST_STATUSES.COMPLETED]: '#22c55e',
+  [REQUEST_STATUSES.VERIFIED]: '#14b8a6',
+  [REQUEST_STATUSES.REOPENED]: '#f97316',
+  [REQUEST_STATUSES.ARCHIVED]: '#6b7280',
+};
+
+const PRIORITY_CLASSES = {
+  urgent: 'text-red-600',
+  high: 'text-orange-500',
+};
+
+const SWIMLANES = [
+  { value: 'none', label: 'No swimlanes' },
+  { value: 'property', label: 'By property' },
+  { value: 'assignee', label: 'By assignee' },
+];
+
+const formatStatus = (status) => status.replace(/_/g, ' ');
+
+const getAssigneeLabel = (request) => request.assignedTo?.name
+  || (request.assignedTo?.firstName ? `${request.assignedTo.firstName} ${request.assignedTo.lastName || ''}`.trim() : request.assignedTo?.email)
+  || null;
+
+const getLane = (request, swimlane) => {
+  if (swimlane === 'property') {
+    return { key: request.property?._id || 'none', label: request.property?.name || 'No property' };
+  }
+  if (swimlane === 'assignee') {
+    return { key: request.assignedTo?._id || 'unassigned', label: getAssigneeLabel(request) || 'Unassigned' };
+  }
+  return { key: 'all', label: '' };
+};
+
+/**
+ * Why a request can't be moved to a status, or null if it can.
+ * Verification and reopening only make sense once work has been completed.
+ */
+const getMoveError = (request, status) => {
+  if (status === REQUEST_STATUSES.VERIFIED && request.status !== REQUEST_STATUSES.COMPLETED) {
+    return 'Only completed requests can be verified.';
+  }
+  if (status === REQUEST_STATUSES.REOPENED && ![REQUEST_STATUSES.COMPLETED, REQUEST_STATUSES.VERIFIED].includes(request.status)) {
+    return 'Only completed or verified requests can be reopened.';
+  }
+  return null;
+};
+
+/**
+ * Picks who a request dropped on the Assigned column goes to.
+ */
+const AssignOnDropModal = ({ request, onAssign, onClose }) => {
+  const [assignedToModel, setAssignedToModel] = useState('Vendor');
+  const [assignedToId, setAssignedToId] = useState('');
+
+  const { data: vendors = [] } = useQuery({
+    queryKey: ['boardAssignVendors'],
+    queryFn: ({ signal }) => getAllVendors({}, signal),
+    enabled: !!request,
+    select: (response) => response.data || [],
+  });
+  const { data: users = [] } = useQuery({
+    queryKey: ['boardAssignUsers'],
+    queryFn: ({ signal }) => getAllUsers({ roles: ['propertymanager', 'landlord', 'admin'] }, signal),
+    enabled: !!request,
+    select: (response) => response.data || [],
+  });
+
+  const options = assignedToModel === 'Vendor'
+    ? vendors.map(v => ({ _id: v._id, label: v.name, entity: v }))
+    : users.map(u => ({ _id: u._id, label: u.firstName ? `${u.firstName} ${u.lastName || ''} (${u.role})` : u.email, entity: u }));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const selected = options.find(option => option._id === assignedToId);
+    onAssign({ assignedToId, assignedToModel }, { assignedTo: selected?.entity, assignedToModel });
+  };
+
+  return (
+    <Modal isOpen={!!request} onClose={onClose} title={request ? `Assign "${request.title}"` : ''}>
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div>
+          <label htmlFor="boardAssignModel" className="block text-sm font-medium text-gray-700 mb-1">Assign To Type</label>
+          <select
+            id="boardAssignModel"
+            value={assignedToModel}
+            onChange={(e) => { setAssignedToModel(e.target.value); setAssignedToId(''); }}
+            className="w-full p-2 border border-gray-300 rounded-md"
+          >
+            <option value="Vendor">Vendor</option>
+            <option value="User">Internal User</option>
+          </select>
+        </div>
+        <div>
+          <label htmlFor="boardAssignId" className="block text-sm font-medium text-gray-700 mb-1">Select {assignedToModel}</label>
+          <select
+            id="boardAssignId"
+            value={assignedToId}
+            onChange={(e) => setAssignedToId(e.target.value)}
+            className="w-full p-2 border border-gray-300 rounded-md"
+            required
+          >
+            <option value="">Select...</option>
+            {options.map(option => (
+              <option key={option._id} value={option._id}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="flex justify-end gap-3">
+          <Button variant="secondary" onClick={onClose}>Cancel</Button>
+          <Button type="submit" disabled={!assignedToId}>Assign</Button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+/**
+ * Maintenance requests as a Kanban board with a column per status. Cards are dragged
+ * between columns to change status (or picked from the card's "Move to" menu).
+ *
+ * @param {object} props
+ * @param {object} [props.filters] - Request filters (propertyId, search, createdBy, ...).
+ * @param {string} props.basePath - Role base path for request links, e.g. '/pm'.
+ * @param {boolean} [props.canMove=true] - Whether the user can change request status.
+ */
+const RequestKanbanBoard = ({ filters = {}, basePath, canMove = true }) => {
+  const [swimlane, setSwimlane] = useState('none');
+  const [showArchived, setShowArchived] = useState(false);
+  const [draggingId, setDraggingId] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  const [pendingAssign, setPendingAssign] = useState(null);
+  const { data: board, isLoading } = useRequestBoard({ filters });
+  const { moveRequest } = useMoveRequest();
+  const { showError } = useGlobalAlert();
+
+  const requests = useMemo(() => board?.requests || [], [board]);
+  const isTruncated = !!board && board.total > requests.length;
+
+  const columns = Object.values(REQUEST_STATUSES).filter(status => showArchived || status !== REQUEST_STATUSES.ARCHIVED);
+
+  const lanes = useMemo(() => {
+    const byKey = new Map();
+    requests.forEach(request => {
+      const lane = getLane(request, swimlane);
+      if (!byKey.has(lane.key)) byKey.set(lane.key, { ...lane, requests: [] });
+      byKey.get(lane.key).requests.push(request);
+    });
+    return [...byKey.values()].sort((a, b) => a.label.localeCompare(b.label));
+  }, [requests, swimlane]);
+
+  const draggedRequest = requests.find(request => request._id === draggingId);
+
+  const handleMove = (request, status) => {
+    if (!request || request.status === status) return;
+    const error = getMoveError(request, status);
+    if (error) {
+      showError(error);
+      return;
+    }
+    if (status === REQUEST_STATUSES.ASSIGNED) {
+      setPendingAssign(request);
+      return;
+    }
+    moveRequest({ requestId: request._id, status });
+  };
+
+  const handleAssign = (assignment, assignee) => {
+    moveRequest({ requestId: pendingAssign._id, status: REQUEST_STATUSES.ASSIGNED, assignment, assignee });
+    setPendingAssign(null);
+  };
+
+  const handleDrop = (e, status) => {
+    e.preventDefault();
+    setDropTarget(null);
+    setDraggingId(null);
+    handleMove(requests.find(request => request._id === e.dataTransfer.getData('text/plain')), status);
+  };
+
+  if (isLoading) {
+    return <div className="flex justify-center py-12"><LoadingSpinner /></div>;
+  }
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-4 mb-4">
+        <select
+          value={swimlane}
+          onChange={(e) => setSwimlane(e.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+          aria-label="Swimlanes"
+        >
+          {SWIMLANES.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input type="checkbox" checked={showArchived} onChange={(e) => setShowArchived(e.target.checked)} />
+          Show archived
+        </label>
+        <span className="text-sm text-gray-500">
+          {requests.length} request(s){canMove && ' · drag a card to another column to change its status'}
+        </span>
+      </div>
+
+      {isTruncated && (
+        <p className="mb-4 p-3 text-sm text-orange-800 bg-orange-50 border border-orange-200 rounded-md">
+          Showing the first {requests.length} of {board.total} requests. Narrow the filters, or use the table view, to see the rest.
+        </p>
+      )}
+
+      {requests.length === 0 ? (
+        <p className="text-gray-600 italic text-center py-8">No maintenance requests found matching your criteria.</p>
+      ) : (
+        <div className="overflow-x-auto pb-2">
+          {lanes.map(lane => (
+            <div key={lane.key} className="mb-6">
+              {swimlane !== 'none' && (
+                <h3 className="text-sm font-semibold text-gray-700 mb-2 flex items-center">
+                  {swimlane === 'property' ? <Building className="w-4 h-4 mr-1" /> : <User className="w-4 h-4 mr-1" />}
+                  {lane.label} <span className="ml-1 font-normal text-gray-500">({lane.requests.length})</span>
+                </h3>
+              )}
+              <div className="flex gap-3 min-w-max">
+                {columns.map(status => {
+                  const cards = lane.requests.filter(request => request.status === status);
+                  const targetKey = `${lane.key}:${status}`;
+                  const isValidTarget = !!draggedRequest && draggedRequest.status !== status && !getMoveError(draggedRequest, status);
+                  return (
+                    <div
+                      key={status}
+                      onDragOver={(e) => {
+                        if (!isValidTarget) return;
+                        e.preventDefault();
+                        setDropTarget(targetKey);
+                      }}
+                      onDragLeave={() => setDropTarget(prev => (prev === targetKey ? null : prev))}
+                      onDrop={(e) => handleDrop(e, status)}
+                      className={`w-64 flex-shrink-0 rounded-lg p-2 transition-colors ${
+                        dropTarget === targetKey ? 'bg-green-50 ring-2 ring-green-400' : 'bg-gray-100'
+                      }`}
+                    >
+                      <div className="flex items-center justify-between px-1 mb-2 border-t-4 pt-1 rounded-t" style={{ borderColor: COLUMN_ACCENTS[status] }}>
+                        <span className="text-xs font-semibold uppercase text-gray-600">{formatStatus(status)}</span>
+                        <span className="text-xs text-gray-500">{cards.length}</span>
+                      </div>
+                      <div className="space-y-2 min-h-[4rem]">
+                        {cards.map(request => (
+                          <div
+                            key={request._id}
+                            draggable={canMove}
+                            onDragStart={(e) => {
+                              e.dataTransfer.setData('text/plain', request._id);
+                              e.dataTransfer.effectAllowed = 'move';
+                              setDraggingId(request._id);
+                            }}
+                            onDragEnd={() => { setDraggingId(null); setDropTarget(null); }}
+                            className={`bg-white rounded-md shadow-sm border border-gray-200 p-3 text-sm ${canMove ? 'cursor-grab' : ''} ${
+                              draggingId === request._id ? 'opacity-50' : ''
+                            }`}
+                          >
+                            <Link to={`${basePath}/requests/${request._id}`} className="font-medium text-gray-900 hover:underline">
+                              {request.title}
+                            </Link>
+                            <p className="text-xs text-gray-500 mt-1">
+                              <span className={`font-semibold capitalize ${PRIORITY_CLASSES[request.priority] || 'text-gray-600'}`}>{request.priority || 'medium'}</span>
+                              {' · '}<span className="capitalize">{request.category}</span>
+                            </p>
+                            {swimlane !== 'property' && (
+                              <p className="text-xs text-gray-500">
+                                {request.property?.name || 'N/A'}{request.unit?.unitName ? ` / ${request.unit.unitName}` : ''}
+                              </p>
+                            )}
+                            {swimlane !== 'assignee' && getAssigneeLabel(request) && (
+                              <p className="text-xs text-gray-500">→ {getAssigneeLabel(request)}</p>
+                            )}
+                            <div className="mt-2"><SlaBadge request={request} /></div>
+                            {canMove && (
+                              <select
+                                value=""
+                                onChange={(e) => handleMove(request, e.target.value)}
+                                className="mt-2 w-full text-xs border border-gray-200 rounded p-1 text-gray-600"
+                                aria-label={`Move ${request.title}`}
+                              >
+                                <option value="">Move to...</option>
+                                {columns
+                                  .filter(target => target !== request.status && !getMoveError(request, target))
+                                  .map(target => (
+                                    <option key={target} value={target} className="capitalize">{formatStatus(target)}</option>
+                                  ))}
+                              </select>
+                            )}
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <AssignOnDropModal
+        key={pendingAssign?._id || 'none'}
+        request={pendingAssign}
+        onAssign={handleAssign}
+        onClose={() => setPendingAssign(null)}
+      />
+    </div>
+  );
+};
+
+export default RequestKanbanBoard;
@@ -0,0 +1,150 @@
+// frontend/src/components/RequestQuotesModal.jsx
+
+import React, { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import Modal from './common/Modal';
+import Button from './common/Button';
+import LoadingSpinner from './common/LoadingSpinner';
+import { getVendorsByService } from '../services/vendorService';
+import { useQuoteMutations } from '../hooks/useQuotes';
+import { MAINTENANCE_CATEGORIES } from '../utils/constants';
+
+const formatCategory = (category) => category.replace(/_/g, ' ');
+
+/**
+ * Invites vendors who offer the request's service to quote for it.
+ *
+ * @param {object} props
+ * @param {boolean} props.isOpen
+ * @param {function} props.onClose
+ * @param {object} props.request - The maintenance request being quoted.
+ * @param {string[]} [props.invitedVendorIds] - Vendors who already have an open invitation.
+ */
+const RequestQuotesModal = ({ isOpen, onClose, request, invitedVendorIds = [] }) => {
+  const [service, setService] = useState(request?.category || '');
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [dueDate, setDueDate] = useState('');
+  const [notes, setNotes] = useState('');
+  const { requestQuotes, isRequestingQuotes } = useQuoteMutations();
+
+  const { data: vendors = [], isLoading } = useQuery({
+    queryKey: ['vendorsByService', service],
+    queryFn: ({ signal }) => getVendorsByService(service, signal),
+    enabled: isOpen && !!service,
+    select: (response) => (response.data || []).filter(vendor => vendor.active !== false),
+  });
+
+  const toggleVendor = (vendorId) => {
+    setSelectedIds(prev => (prev.includes(vendorId) ? prev.filter(id => id !== vendorId) : [...prev, vendorId]));
+  };
+
+  const handleClose = () => {
+    setSelectedIds([]);
+    setDueDate('');
+    setNotes('');
+    onClose();
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    requestQuotes({
+      requestId: request._id,
+      vendorIds: selectedIds,
+      dueDate: dueDate || undefined,
+      scopeNotes: notes.trim() || undefined
+    }, { onSuccess: handleClose });
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={handleClose} title="Request Quotes" className="max-w-2xl">
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div>
+          <label htmlFor="quoteService" className="block text-sm font-medium text-gray-700 mb-1">Service</label>
+          <select
+            id="quoteService"
+            value={service}
+            onChange={(e) => { setService(e.target.value); setSelectedIds([]); }}
+            className="w-full p-2 border border-gray-300 rounded-md capitalize"
+          >
+            <option value="">Select a service</option>
+            {MAINTENANCE_CATEGORIES.map(category => (
+              <option key={category} value={category}>{formatCategory(category)}</option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <p className="block text-sm font-medium text-gray-700 mb-1">Vendors</p>
+          {isLoading ? (
+            <div className="flex justify-center py-4"><LoadingSpinner /></div>
+          ) : vendors.length === 0 ? (
+            <p className="text-sm text-gray-500 italic">
+              {service ? `No vendors offer ${formatCategory(service)}.` : 'Choose a service to see vendors.'}
+            </p>
+          ) : (
+            <ul className="max-h-60 overflow-y-auto border border-gray-200 rounded-md divide-y divide-gray-100">
+              {vendors.map(vendor => {
+                const alreadyInvited = invitedVendorIds.includes(vendor._id);
+                return (
+                  <li key={vendor._id}>
+                    <label className={`flex items-center justify-between p-3 ${alreadyInvited ? 'opacity-60' : 'cursor-pointer hover:bg-gray-50'}`}>
+                      <span className="flex items-center gap-3">
+                        <input
+                          type="checkbox"
+                          checked={alreadyInvited || selectedIds.includes(vendor._id)}
+                          disabled={alreadyInvited}
+                          onChange={() => toggleVendor(vendor._id)}
+                        />
+                        <span>
+                          <span className="font-medium text-gray-800">{vendor.name}</span>
+                          {vendor.contactPerson && <span className="text-sm text-gray-500"> · {vendor.contactPerson}</span>}
+                        </span>
+                      </span>
+                      <span className="text-sm text-gray-500">
+                        {alreadyInvited ? 'Already invited' : vendor.phone || vendor.email}
+                      </span>
+                    </label>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label htmlFor="quoteDueDate" className="block text-sm font-medium text-gray-700 mb-1">Bids due by</label>
+            <input
+              id="quoteDueDate"
+              type="date"
+              value={dueDate}
+              min={new Date().toISOString().split('T')[0]}
+              onChange={(e) => setDueDate(e.target.value)}
+              className="w-full p-2 border border-gray-300 rounded-md"
+            />
+          </div>
+          <div className="md:col-span-2">
+            <label htmlFor="quoteNotes" className="block text-sm font-medium text-gray-700 mb-1">Scope notes for vendors</label>
+            <textarea
+              id="quoteNotes"
+              rows="2"
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              placeholder="Access arrangements, materials to match, anything to price separately..."
+              className="w-full p-2 border border-gray-300 rounded-md"
+            />
+          </div>
+        </div>
+
+        <div className="flex justify-end gap-3 pt-2">
+          <Button variant="secondary" onClick={handleClose}>Cancel</Button>
+          <Button type="submit" loading={isRequestingQuotes} disabled={selectedIds.length === 0}>
+            Send to {selectedIds.length} vendor(s)
+          </Button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+export default RequestQuotesModal;
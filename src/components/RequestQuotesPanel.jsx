@@ -0,0 +1,214 @@
+// frontend/src/components/RequestQuotesPanel.jsx
+
+import React, { useState } from 'react';
+import { FileSpreadsheet, Send, CheckCircle, XCircle } from 'lucide-react';
+import Button from './common/Button';
+import LoadingSpinner from './common/LoadingSpinner';
+import RequestQuotesModal from './RequestQuotesModal';
+import { useQuotes, useQuoteMutations } from '../hooks/useQuotes';
+import { QUOTE_STATUS, DEFAULT_CURRENCY, REQUEST_STATUSES } from '../utils/constants';
+import { formatCurrency, formatDate } from '../utils/helpers';
+
+const PRIMARY_COLOR = '#219377';
+
+/**
+ * Vendor quotes for a maintenance request: invitations, bids side by side,
+ * and approval of the winning bid.
+ *
+ * @param {object} props
+ * @param {object} props.request - The maintenance request.
+ * @param {boolean} props.canManage - Whether the user can request and approve quotes.
+ * @param {function} [props.onApproved] - Called after a bid is approved and the request assigned.
+ */
+const RequestQuotesPanel = ({ request, canManage, onApproved }) => {
+  const [showRequestModal, setShowRequestModal] = useState(false);
+  const { data: quotes = [], isLoading } = useQuotes({ filters: { requestId: request._id } });
+  const { approveQuote, isApprovingQuote, withdrawQuote, isWithdrawingQuote } = useQuoteMutations();
+
+  const bids = quotes.filter(quote => quote.hasBid);
+  const pending = quotes.filter(quote => !quote.hasBid);
+  const hasApproved = quotes.some(quote => quote.status === QUOTE_STATUS.ACCEPTED);
+  const isClosed = [REQUEST_STATUSES.COMPLETED, REQUEST_STATUSES.VERIFIED, REQUEST_STATUSES.ARCHIVED].includes(request.status);
+  const openVendorIds = quotes
+    .filter(quote => [QUOTE_STATUS.REQUESTED, QUOTE_STATUS.SUBMITTED].includes(quote.status))
+    .map(quote => quote.vendorId);
+
+  // Highlight the cheapest and quickest of the bids still in the running
+  const liveBids = bids.filter(quote => quote.status === QUOTE_STATUS.SUBMITTED);
+  const lowestTotal = liveBids.length > 1 ? Math.min(...liveBids.map(quote => quote.total)) : null;
+  const fastestEta = liveBids.length > 1 ? Math.min(...liveBids.map(quote => quote.etaDays ?? Infinity)) : null;
+
+  const handleApprove = (quote) => {
+    const amount = formatCurrency(quote.total, quote.currency || DEFAULT_CURRENCY);
+    if (!window.confirm(`Approve ${quote.vendorName}'s quote of ${amount}? The request will be assigned to them and the other bids will be rejected.`)) return;
+    approveQuote({ quoteId: quote._id }, { onSuccess: ({ request: updated }) => onApproved?.(updated) });
+  };
+
+  const handleWithdraw = (quote) => {
+    if (!window.confirm(`Withdraw the quote request sent to ${quote.vendorName}?`)) return;
+    withdrawQuote(quote._id);
+  };
+
+  const rowClass = 'px-4 py-3 text-sm align-top';
+  const labelClass = 'px-4 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider align-top whitespace-nowrap';
+
+  return (
+    <div className="bg-white p-8 rounded-xl shadow-lg border mb-8" style={{ borderColor: PRIMARY_COLOR + '14' }}>
+      <div className="flex flex-col md:flex-row md:justify-between md:items-center gap-3 mb-5">
+        <h2 className="text-2xl font-semibold flex items-center" style={{ color: PRIMARY_COLOR }}>
+          <FileSpreadsheet className="w-6 h-6 mr-2" /> Vendor Quotes
+        </h2>
+        {canManage && !hasApproved && !isClosed && (
+          <Button variant="outline" size="sm" onClick={() => setShowRequestModal(true)}>
+            <Send className="w-4 h-4 mr-1" /> Request Quotes
+          </Button>
+        )}
+      </div>
+
+      {request.approvedBudget?.amount != null && (
+        <p className="mb-4 text-gray-700">
+          <strong>Approved budget:</strong>{' '}
+          {formatCurrency(request.approvedBudget.amount, request.approvedBudget.currency || DEFAULT_CURRENCY)}
+          {request.approvedBudget.approvedAt && <span className="text-sm text-gray-500"> · approved {formatDate(request.approvedBudget.approvedAt)}</span>}
+        </p>
+      )}
+
+      {isLoading ? (
+        <div className="flex justify-center py-6"><LoadingSpinner /></div>
+      ) : quotes.length === 0 ? (
+        <p className="text-gray-600 italic">No quotes have been requested for this job.</p>
+      ) : (
+        <>
+          {bids.length > 0 && (
+            <div className="overflow-x-auto mb-6">
+              <table className="min-w-full divide-y divide-gray-200 border border-gray-200 rounded-lg">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className={labelClass} />
+                    {bids.map(quote => (
+                      <th key={quote._id} className="px-4 py-3 text-left min-w-[14rem]">
+                        <p className="font-semibold text-gray-800">{quote.vendorName}</p>
+                        <span className={`px-2 py-0.5 text-xs font-semibold rounded-full ${quote.statusClass}`}>{quote.statusDisplay}</span>
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  <tr>
+                    <td className={labelClass}>Total</td>
+                    {bids.map(quote => (
+                      <td key={quote._id} className={rowClass}>
+                        <span className="text-lg font-bold text-gray-900">{formatCurrency(quote.total, quote.currency || DEFAULT_CURRENCY)}</span>
+                        {quote.status === QUOTE_STATUS.SUBMITTED && quote.total === lowestTotal && (
+                          <span className="ml-2 px-2 py-0.5 text-xs font-semibold rounded-full bg-green-100 text-green-800">Lowest</span>
+                        )}
+                      </td>
+                    ))}
+                  </tr>
+                  <tr>
+                    <td className={labelClass}>ETA</td>
+                    {bids.map(quote => (
+                      <td key={quote._id} className={rowClass}>
+                        {quote.etaDays != null ? `${quote.etaDays} working day(s)` : '—'}
+                        {quote.status === QUOTE_STATUS.SUBMITTED && quote.etaDays === fastestEta && (
+                          <span className="ml-2 px-2 py-0.5 text-xs font-semibold rounded-full bg-blue-100 text-blue-800">Fastest</span>
+                        )}
+                        {quote.availableFrom && <p className="text-gray-500">Can start {formatDate(quote.availableFrom)}</p>}
+                      </td>
+                    ))}
+                  </tr>
+                  <tr>
+                    <td className={labelClass}>Line items</td>
+                    {bids.map(quote => (
+                      <td key={quote._id} className={rowClass}>
+                        <ul className="space-y-1">
+                          {(quote.lineItems || []).map((item, index) => (
+                            <li key={item._id || index} className="flex justify-between gap-3">
+                              <span className="text-gray-700">{item.quantity} × {item.description}</span>
+                              <span className="text-gray-900 whitespace-nowrap">
+                                {formatCurrency((Number(item.quantity) || 0) * (Number(item.unitPrice) || 0), quote.currency || DEFAULT_CURRENCY)}
+                              </span>
+                            </li>
+                          ))}
+                        </ul>
+                      </td>
+                    ))}
+                  </tr>
+                  <tr>
+                    <td className={labelClass}>Valid until</td>
+                    {bids.map(quote => (
+                      <td key={quote._id} className={rowClass}>{quote.validUntil ? formatDate(quote.validUntil) : '—'}</td>
+                    ))}
+                  </tr>
+                  <tr>
+                    <td className={labelClass}>Notes</td>
+                    {bids.map(quote => (
+                      <td key={quote._id} className={`${rowClass} text-gray-600 whitespace-pre-wrap`}>{quote.notes || '—'}</td>
+                    ))}
+                  </tr>
+                  {canManage && !hasApproved && (
+                    <tr>
+                      <td className={labelClass} />
+                      {bids.map(quote => (
+                        <td key={quote._id} className={rowClass}>
+                          {quote.status === QUOTE_STATUS.SUBMITTED && (
+                            <Button size="sm" onClick={() => handleApprove(quote)} loading={isApprovingQuote} disabled={isApprovingQuote}>
+                              <CheckCircle className="w-4 h-4 mr-1" /> Approve & Assign
+                            </Button>
+                          )}
+                        </td>
+                      ))}
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {pending.length > 0 && (
+            <div>
+              <h3 className="text-sm font-semibold text-gray-700 mb-2">Invitations without a bid</h3>
+              <ul className="divide-y divide-gray-100">
+                {pending.map(quote => (
+                  <li key={quote._id} className="flex items-center justify-between py-2">
+                    <div>
+                      <span className="font-medium text-gray-800">{quote.vendorName}</span>
+                      {quote.dueDateFormatted && (
+                        <span className={`text-sm ml-2 ${quote.isPastDue ? 'text-red-600' : 'text-gray-500'}`}>due {quote.dueDateFormatted}</span>
+                      )}
+                      {quote.declineReason && <p className="text-sm text-gray-500">{quote.declineReason}</p>}
+                    </div>
+                    <div className="flex items-center gap-3">
+                      <span className={`px-2 py-0.5 text-xs font-semibold rounded-full ${quote.statusClass}`}>{quote.statusDisplay}</span>
+                      {canManage && quote.status === QUOTE_STATUS.REQUESTED && (
+                        <button
+                          onClick={() => handleWithdraw(quote)}
+                          disabled={isWithdrawingQuote}
+                          className="text-gray-400 hover:text-red-600 disabled:opacity-50"
+                          title="Withdraw"
+                        >
+                          <XCircle className="w-5 h-5" />
+                        </button>
+                      )}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </>
+      )}
+
+      {canManage && (
+        <RequestQuotesModal
+          isOpen={showRequestModal}
+          onClose={() => setShowRequestModal(false)}
+          request={request}
+          invitedVendorIds={openVendorIds}
+        />
+      )}
+    </div>
+  );
+};
+
+export default RequestQuotesPanel;
@@ -0,0 +1,129 @@
+// frontend/src/components/SendForSignatureModal.jsx
+
+import React, { useState } from 'react';
+import { FaPaperPlane } from 'react-icons/fa';
+import Modal from './common/Modal';
+import Spinner from './common/Spinner';
+import { useAuth } from '../contexts/AuthContext';
+import { useSignatureMutations } from '../hooks/useSignatures';
+import { SIGNER_ROLES } from '../utils/constants';
+
+const getId = (value) => value?._id || value || null;
+
+const getName = (person) => (person?.firstName
+  ? `${person.firstName} ${person.lastName || ''}`.trim()
+  : null);
+
+/**
+ * Sends a lease or onboarding PDF to the tenant and the landlord for signature. The tenant
+ * signs first; when the property's landlord isn't known, the current user signs for them.
+ *
+ * @param {object} props
+ * @param {boolean} props.isOpen
+ * @param {function} props.onClose
+ * @param {string} props.documentType - One of SIGNATURE_DOCUMENT_TYPES.
+ * @param {string} props.resourceId - Lease or onboarding document ID.
+ * @param {string} props.sourceDocumentId - Media ID of the PDF to sign.
+ * @param {string} props.title - Document title shown to signers.
+ * @param {object} props.tenant - Tenant user (populated or ID).
+ * @param {object} [props.landlord] - Landlord user (populated or ID).
+ * @param {function} [props.onSent] - Called with the created signature request.
+ */
+const SendForSignatureModal = ({
+  isOpen,
+  onClose,
+  documentType,
+  resourceId,
+  sourceDocumentId,
+  title,
+  tenant,
+  landlord,
+  onSent
+}) => {
+  const { user } = useAuth();
+  const { sendForSignature, isSending } = useSignatureMutations();
+  const [message, setMessage] = useState('');
+
+  const landlordSigner = getId(landlord) ? landlord : user;
+  const signers = [
+    { role: SIGNER_ROLES.TENANT, userId: getId(tenant), name: getName(tenant) || 'Tenant' },
+    {
+      role: SIGNER_ROLES.LANDLORD,
+      userId: getId(landlordSigner),
+      name: getId(landlordSigner) === getId(user) ? 'You' : getName(landlordSigner) || 'Landlord'
+    }
+  ];
+  const canSend = signers.every(signer => signer.userId) && sourceDocumentId;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!canSend) return;
+
+    sendForSignature({
+      documentType,
+      resourceId,
+      sourceDocumentId,
+      title,
+      signers: signers.map(({ role, userId }) => ({ role, userId })),
+      message: message.trim() || undefined
+    }, {
+      onSuccess: (request) => {
+        setMessage('');
+        onClose();
+        if (onSent) onSent(request);
+      }
+    });
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Send for Signature">
+      <form onSubmit={handleSubmit}>
+        <p className="text-sm text-gray-600 mb-3">
+          <span className="font-medium text-gray-800">{title}</span> will be sent to these people, in this order:
+        </p>
+        <ol className="list-decimal list-inside text-sm text-gray-700 mb-4 space-y-1">
+          {signers.map(signer => (
+            <li key={signer.role}>
+              {signer.name} <span className="text-gray-500 capitalize">({signer.role})</span>
+            </li>
+          ))}
+        </ol>
+
+        {!getId(tenant) && (
+          <p className="text-sm text-red-600 mb-4">This document has no tenant to sign it.</p>
+        )}
+
+        <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="signatureMessage">
+          Message (optional)
+        </label>
+        <textarea
+          id="signatureMessage"
+          rows="3"
+          className="w-full p-2 border border-gray-300 rounded-md mb-4"
+          value={message}
+          onChange={(e) => setMessage(e.target.value)}
+        />
+
+        <div className="flex justify-end space-x-2">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={!canSend || isSending}
+            className="inline-flex items-center px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            {isSending ? <Spinner size="sm" className="mr-2" /> : <FaPaperPlane className="mr-2" />}
+            Send
+          </button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+export default SendForSignatureModal;
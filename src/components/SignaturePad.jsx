@@ -0,0 +1,174 @@
+// frontend/src/components/SignaturePad.jsx
+
+import React, { useState, useEffect, useRef } from 'react';
+import { SIGNATURE_METHODS } from '../utils/constants';
+
+const PAD_WIDTH = 500;
+const PAD_HEIGHT = 160;
+const TYPED_FONT = 'italic 48px "Brush Script MT", "Segoe Script", cursive';
+
+// Renders a typed name onto an offscreen canvas so both methods produce an image
+const renderTypedSignature = (name) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = PAD_WIDTH;
+  canvas.height = PAD_HEIGHT;
+  const context = canvas.getContext('2d');
+  context.font = TYPED_FONT;
+  context.fillStyle = '#1f2937';
+  context.textBaseline = 'middle';
+  context.fillText(name, 20, PAD_HEIGHT / 2, PAD_WIDTH - 40);
+  return canvas.toDataURL('image/png');
+};
+
+/**
+ * Captures a signature either drawn with a mouse, pen or finger, or typed and rendered
+ * in a script font.
+ *
+ * @param {object} props
+ * @param {function} props.onChange - Called with { method, signatureImage, typedName },
+ *   or null when the pad is empty.
+ * @param {string} [props.defaultName] - Name to prefill in the typed tab.
+ * @param {boolean} [props.disabled]
+ */
+const SignaturePad = ({ onChange, defaultName = '', disabled = false }) => {
+  const canvasRef = useRef(null);
+  const drawingRef = useRef(false);
+  const [method, setMethod] = useState(SIGNATURE_METHODS.DRAWN);
+  const [hasDrawing, setHasDrawing] = useState(false);
+  const [typedName, setTypedName] = useState(defaultName);
+  // Latest callback, so a new identity from the parent doesn't re-render the typed name
+  const onChangeRef = useRef(onChange);
+
+  useEffect(() => {
+    onChangeRef.current = onChange;
+  }, [onChange]);
+
+  useEffect(() => {
+    if (method !== SIGNATURE_METHODS.DRAWN) return;
+    const context = canvasRef.current?.getContext('2d');
+    if (!context) return;
+    context.lineWidth = 2.5;
+    context.lineCap = 'round';
+    context.lineJoin = 'round';
+    context.strokeStyle = '#1f2937';
+  }, [method]);
+
+  useEffect(() => {
+    if (method === SIGNATURE_METHODS.TYPED) {
+      const name = typedName.trim();
+      onChangeRef.current(name ? { method, signatureImage: renderTypedSignature(name), typedName: name } : null);
+    }
+  }, [method, typedName]);
+
+  const getPoint = (event) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return {
+      x: (event.clientX - rect.left) * (PAD_WIDTH / rect.width),
+      y: (event.clientY - rect.top) * (PAD_HEIGHT / rect.height)
+    };
+  };
+
+  const handlePointerDown = (event) => {
+    if (disabled) return;
+    event.currentTarget.setPointerCapture(event.pointerId);
+    const { x, y } = getPoint(event);
+    const context = canvasRef.current.getContext('2d');
+    context.beginPath();
+    context.moveTo(x, y);
+    drawingRef.current = true;
+  };
+
+  const handlePointerMove = (event) => {
+    if (!drawingRef.current) return;
+    const { x, y } = getPoint(event);
+    const context = canvasRef.current.getContext('2d');
+    context.lineTo(x, y);
+    context.stroke();
+  };
+
+  const handlePointerUp = () => {
+    if (!drawingRef.current) return;
+    drawingRef.current = false;
+    setHasDrawing(true);
+    onChange({ method: SIGNATURE_METHODS.DRAWN, signatureImage: canvasRef.current.toDataURL('image/png') });
+  };
+
+  const handleClear = () => {
+    if (method === SIGNATURE_METHODS.DRAWN) {
+      const canvas = canvasRef.current;
+      canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+      setHasDrawing(false);
+      onChange(null);
+    } else {
+      setTypedName('');
+    }
+  };
+
+  const handleMethodChange = (nextMethod) => {
+    if (nextMethod === method) return;
+    setMethod(nextMethod);
+    setHasDrawing(false);
+    onChange(null);
+  };
+
+  const tabClass = (tabMethod) => `px-3 py-1 text-sm rounded-md ${
+    method === tabMethod ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+  }`;
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <div className="flex space-x-2">
+          <button type="button" className={tabClass(SIGNATURE_METHODS.DRAWN)} onClick={() => handleMethodChange(SIGNATURE_METHODS.DRAWN)} disabled={disabled}>
+            Draw
+          </button>
+          <button type="button" className={tabClass(SIGNATURE_METHODS.TYPED)} onClick={() => handleMethodChange(SIGNATURE_METHODS.TYPED)} disabled={disabled}>
+            Type
+          </button>
+        </div>
+        <button type="button" className="text-sm text-gray-600 hover:underline" onClick={handleClear} disabled={disabled}>
+          Clear
+        </button>
+      </div>
+
+      {method === SIGNATURE_METHODS.DRAWN ? (
+        <div className="relative">
+          <canvas
+            ref={canvasRef}
+            width={PAD_WIDTH}
+            height={PAD_HEIGHT}
+            className="w-full border border-gray-300 rounded-md bg-white touch-none cursor-crosshair"
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerLeave={handlePointerUp}
+          />
+          {!hasDrawing && (
+            <span className="absolute inset-0 flex items-center justify-center text-gray-400 text-sm pointer-events-none">
+              Sign here
+            </span>
+          )}
+        </div>
+      ) : (
+        <div>
+          <input
+            type="text"
+            value={typedName}
+            onChange={(e) => setTypedName(e.target.value)}
+            placeholder="Type your full name"
+            className="w-full p-2 border border-gray-300 rounded-md mb-2"
+            disabled={disabled}
+          />
+          <div
+            className="h-24 flex items-center px-4 border border-gray-300 rounded-md bg-white text-4xl text-gray-800 overflow-hidden"
+            style={{ font: TYPED_FONT }}
+          >
+            {typedName}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SignaturePad;
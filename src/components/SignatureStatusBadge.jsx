@@ -0,0 +1,32 @@
+// frontend/src/components/SignatureStatusBadge.jsx
+
+import React from 'react';
+import { Link } from 'react-router-dom';
+import useRoleBasedPath from '../hooks/useRoleBasedPath';
+
+/**
+ * Signing status pill for a lease or onboarding document, linking to the signing page.
+ *
+ * @param {object} props
+ * @param {object} [props.request] - Formatted signature request (see signatureService.formatSignatureRequest).
+ * @param {string} [props.emptyLabel] - Text shown when the document was never sent for signature.
+ */
+const SignatureStatusBadge = ({ request, emptyLabel = 'Not sent' }) => {
+  const { getPath } = useRoleBasedPath();
+
+  if (!request) {
+    return <span className="text-xs text-gray-400">{emptyLabel}</span>;
+  }
+
+  return (
+    <Link
+      to={getPath(`/documents/sign/${request._id}`)}
+      className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full hover:underline ${request.statusClass}`}
+      title={request.title}
+    >
+      {request.statusDisplay}
+    </Link>
+  );
+};
+
+export default SignatureStatusBadge;
@@ -0,0 +1,54 @@
+// frontend/src/components/SlaBadge.jsx
+
+import React, { useEffect, useState } from 'react';
+import { Timer } from 'lucide-react';
+import { getRequestSla } from '../utils/sla';
+import { SLA_STATUS } from '../utils/constants';
+
+const STATUS_CLASSES = {
+  [SLA_STATUS.ON_TRACK]: 'bg-green-100 text-green-800',
+  [SLA_STATUS.AT_RISK]: 'bg-yellow-100 text-yellow-800',
+  [SLA_STATUS.BREACHED]: 'bg-red-100 text-red-800',
+  [SLA_STATUS.MET]: 'bg-gray-100 text-gray-700',
+  [SLA_STATUS.STOPPED]: 'bg-gray-100 text-gray-500',
+};
+
+const TICK_MS = 60000;
+
+/**
+ * SLA countdown for a maintenance request, refreshed every minute.
+ * Renders nothing when no SLA policy applies to the request.
+ *
+ * @param {object} props
+ * @param {object} props.request - Maintenance request with `sla`.
+ * @param {boolean} [props.showDeadline=false] - Also show the deadline date and time.
+ */
+const SlaBadge = ({ request, showDeadline = false }) => {
+  const [now, setNow] = useState(() => new Date());
+  const sla = getRequestSla(request, now);
+  const isCounting = !!sla?.stage;
+
+  useEffect(() => {
+    if (!isCounting) return undefined;
+    const timer = setInterval(() => setNow(new Date()), TICK_MS);
+    return () => clearInterval(timer);
+  }, [isCounting]);
+
+  if (!sla) return null;
+
+  return (
+    <span className="inline-flex items-center gap-2">
+      <span
+        className={`inline-flex items-center px-2 text-xs leading-5 font-semibold rounded-full whitespace-nowrap ${STATUS_CLASSES[sla.status]}`}
+        title={request.sla?.policy?.name ? `SLA policy: ${request.sla.policy.name}` : undefined}
+      >
+        <Timer className="w-3 h-3 mr-1" /> {sla.label}
+      </span>
+      {showDeadline && sla.dueAt && (
+        <span className="text-xs text-gray-500 whitespace-nowrap">due {new Date(sla.dueAt).toLocaleString()}</span>
+      )}
+    </span>
+  );
+};
+
+export default SlaBadge;
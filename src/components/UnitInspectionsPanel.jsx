@@ -0,0 +1,92 @@
+// frontend/src/components/UnitInspectionsPanel.jsx
+
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { ClipboardCheck, Plus, Columns, ChevronRight } from 'lucide-react';
+import Button from './common/Button';
+import LoadingSpinner from './common/LoadingSpinner';
+import { useInspections } from '../hooks/useInspections';
+import useRoleBasedPath from '../hooks/useRoleBasedPath';
+import { INSPECTION_TYPES, INSPECTION_STATUS } from '../utils/constants';
+
+const PRIMARY_COLOR = '#219377';
+
+/**
+ * Condition reports for a unit, newest first.
+ *
+ * @param {object} props
+ * @param {string} props.propertyId
+ * @param {string} props.unitId
+ * @param {boolean} props.canManage - Whether the user can start and compare inspections.
+ */
+const UnitInspectionsPanel = ({ propertyId, unitId, canManage }) => {
+  const { getPath } = useRoleBasedPath();
+  const { data: inspections = [], isLoading } = useInspections({ filters: { unitId }, enabled: !!unitId });
+
+  const unitPath = `properties/${propertyId}/units/${unitId}/inspections`;
+  const hasCompleted = (type) => inspections.some(inspection => inspection.type === type && inspection.status !== INSPECTION_STATUS.DRAFT);
+  const canCompare = hasCompleted(INSPECTION_TYPES.MOVE_IN) && hasCompleted(INSPECTION_TYPES.MOVE_OUT);
+
+  return (
+    <div className="p-8 rounded-xl shadow-lg mb-10 bg-white" style={{ border: `1.5px solid ${PRIMARY_COLOR}15` }}>
+      <div className="flex flex-col md:flex-row md:justify-between md:items-center gap-3 mb-6">
+        <h2 className="text-2xl font-semibold flex items-center" style={{ color: PRIMARY_COLOR }}>
+          <ClipboardCheck className="w-6 h-6 mr-2" /> Inspections
+        </h2>
+        {canManage && (
+          <div className="flex flex-wrap gap-2">
+            {canCompare && (
+              <Link to={getPath(`${unitPath}/compare`)}>
+                <Button variant="outline" size="sm"><Columns className="w-4 h-4 mr-1" /> Compare Move-in / Move-out</Button>
+              </Link>
+            )}
+            <Link to={getPath(`${unitPath}/add?type=${INSPECTION_TYPES.MOVE_IN}`)}>
+              <Button variant="outline" size="sm"><Plus className="w-4 h-4 mr-1" /> Move-in</Button>
+            </Link>
+            <Link to={getPath(`${unitPath}/add?type=${INSPECTION_TYPES.MOVE_OUT}`)}>
+              <Button variant="outline" size="sm"><Plus className="w-4 h-4 mr-1" /> Move-out</Button>
+            </Link>
+            <Link to={getPath(`${unitPath}/add?type=${INSPECTION_TYPES.ROUTINE}`)}>
+              <Button variant="outline" size="sm"><Plus className="w-4 h-4 mr-1" /> Routine</Button>
+            </Link>
+          </div>
+        )}
+      </div>
+
+      {isLoading ? (
+        <div className="flex justify-center py-6"><LoadingSpinner /></div>
+      ) : inspections.length === 0 ? (
+        <p className="text-gray-600 italic text-center py-4">No inspections have been recorded for this unit.</p>
+      ) : (
+        <ul className="divide-y divide-gray-100">
+          {inspections.map(inspection => (
+            <li key={inspection._id}>
+              <Link
+                to={getPath(`inspections/${inspection._id}`)}
+                className="flex items-center justify-between py-3 hover:bg-gray-50 px-2 rounded"
+              >
+                <div>
+                  <p className="font-medium text-gray-800">
+                    {inspection.typeDisplay} · {inspection.formattedDate}
+                  </p>
+                  <p className="text-sm text-gray-500">
+                    {inspection.ratedCount}/{inspection.itemCount} items rated
+                    {inspection.issueCount > 0 && <> · <span className="text-red-600">{inspection.issueCount} poor or damaged</span></>}
+                  </p>
+                </div>
+                <div className="flex items-center gap-2">
+                  <span className={`px-2 py-0.5 text-xs font-semibold rounded-full ${inspection.statusClass}`}>
+                    {inspection.statusDisplay}
+                  </span>
+                  <ChevronRight className="w-4 h-4 text-gray-400" />
+                </div>
+              </Link>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default UnitInspectionsPanel;
@@ -1,34 +1,37 @@
 import React from 'react';
 import { NavLink, useNavigate } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
+import useI18n from '../../hooks/useI18n';
 import {
   LayoutDashboard, Users, Building, FileText, DollarSign, Wrench,
   CalendarCheck, Truck, MailPlus, MessageSquare, Bell, ClipboardList,
-  BarChart3, History, Image, ShieldCheck, UserCircle, LogOut
+  BarChart3, History, Image, ShieldCheck, UserCircle, LogOut, Receipt
 } from 'lucide-react';
 
 const navLinks = [
-  { to: "/admin/dashboard", label: "Dashboard", icon: <LayoutDashboard size={20} /> },
-  { to: "/admin/profile", label: "My Profile", icon: <UserCircle size={20} /> },
-  { to: "/admin/users", label: "Users", icon: <Users size={20} /> },
-  { to: "/admin/properties", label: "Properties", icon: <Building size={20} /> },
-  { to: "/admin/leases", label: "Leases", icon: <FileText size={20} /> },
-  { to: "/admin/payments", label: "Payments", icon: <DollarSign size={20} /> },
-  { to: "/admin/requests", label: "Maintenance", icon: <Wrench size={20} /> },
-  { to: "/admin/scheduled-maintenance", label: "Scheduled Tasks", icon: <CalendarCheck size={20} /> },
-  { to: "/admin/vendors", label: "Vendors", icon: <Truck size={20} /> },
-  { to: "/admin/invites", label: "Invites", icon: <MailPlus size={20} /> },
-  { to: "/admin/messages", label: "Messages", icon: <MessageSquare size={20} /> },
-  { to: "/admin/notifications", label: "Notifications", icon: <Bell size={20} /> },
-  { to: "/admin/onboarding", label: "Onboarding", icon: <ClipboardList size={20} /> },
-  { to: "/admin/reports", label: "Reports", icon: <BarChart3 size={20} /> },
-  { to: "/admin/audit-logs", label: "Audit Logs", icon: <History size={20} /> },
-  { to: "/admin/media", label: "Media Gallery", icon: <Image size={20} /> },
-  { to: "/admin/system", label: "System Health", icon: <ShieldCheck size={20} /> },
+  { to: "/admin/dashboard", labelKey: "nav.dashboard", icon: <LayoutDashboard size={20} /> },
+  { to: "/admin/profile", labelKey: "nav.myProfile", icon: <UserCircle size={20} /> },
+  { to: "/admin/users", labelKey: "nav.users", icon: <Users size={20} /> },
+  { to: "/admin/properties", labelKey: "nav.properties", icon: <Building size={20} /> },
+  { to: "/admin/leases", labelKey: "nav.leases", icon: <FileText size={20} /> },
+  { to: "/admin/payments", labelKey: "nav.payments", icon: <DollarSign size={20} /> },
+  { to: "/admin/requests", labelKey: "nav.maintenance", icon: <Wrench size={20} /> },
+  { to: "/admin/scheduled-maintenance", labelKey: "nav.scheduledTasks", icon: <CalendarCheck size={20} /> },
+  { to: "/admin/vendors", labelKey: "nav.vendors", icon: <Truck size={20} /> },
+  { to: "/admin/vendor-invoices", labelKey: "nav.vendorInvoices", icon: <Receipt size={20} /> },
+  { to: "/admin/invites", labelKey: "nav.invites", icon: <MailPlus size={20} /> },
+  { to: "/admin/messages", labelKey: "nav.messages", icon: <MessageSquare size={20} /> },
+  { to: "/admin/notifications", labelKey: "nav.notifications", icon: <Bell size={20} /> },
+  { to: "/admin/onboarding", labelKey: "nav.onboarding", icon: <ClipboardList size={20} /> },
+  { to: "/admin/reports", labelKey: "nav.reports", icon: <BarChart3 size={20} /> },
+  { to: "/admin/audit-logs", labelKey: "nav.auditLogs", icon: <History size={20} /> },
+  { to: "/admin/media", labelKey: "nav.mediaGallery", icon: <Image size={20} /> },
+  { to: "/admin/system", labelKey: "nav.systemHealth", icon: <ShieldCheck size={20} /> },
 ];
 
 const AdminSidebar = ({ open, onClose }) => {
   const { logout } = useAuth();
+  const { t } = useI18n();
   const navigate = useNavigate();
 
   const handleLogout = () => {
@@ -71,7 +74,7 @@ const AdminSidebar = ({ open, onClose }) => {
           {navLinks.map(link => (
             <NavLink key={link.to} to={link.to} className={navLinkClass} onClick={onClose}>
               {link.icon}
-              <span>{link.label}</span>
+              <span>{t(link.labelKey)}</span>
             </NavLink>
           ))}
         </nav>
@@ -82,7 +85,7 @@ const AdminSidebar = ({ open, onClose }) => {
             className="w-full flex items-center justify-center gap-3 px-4 py-2.5 text-sm font-semibold text-center text-[#219377] bg-white rounded-lg hover:bg-[#ffbd59] transition-colors duration-200"
           >
             <LogOut size={18} />
-            <span>Logout</span>
+            <span>{t('common.logout')}</span>
           </button>
         </div>
       </aside>
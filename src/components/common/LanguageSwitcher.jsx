@@ -0,0 +1,60 @@
+// src/components/common/LanguageSwitcher.jsx
+
+import React from 'react';
+import { Check } from 'lucide-react';
+import useI18n from '../../hooks/useI18n';
+import { useGlobalAlert } from '../../contexts/GlobalAlertContext';
+import { formatDateTime } from '../../utils/helpers';
+import { translate } from '../../utils/i18n';
+
+/**
+ * Lets the user pick the UI language. The choice is stored on this device and applies
+ * to translated text as well as date and number formatting.
+ */
+const LanguageSwitcher = () => {
+  const { locale, locales, setLocale, t } = useI18n();
+  const { showSuccess } = useGlobalAlert();
+
+  const handleSelect = (code) => {
+    if (code === locale) return;
+    setLocale(code);
+    // Confirm in the newly selected language
+    showSuccess(translate('settings.languageSaved', {}, code));
+  };
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-600">{t('settings.languageDescription')}</p>
+
+      <div role="radiogroup" aria-label={t('settings.languageLabel')} className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        {locales.map(({ code, name }) => {
+          const isActive = code === locale;
+          return (
+            <button
+              key={code}
+              type="button"
+              role="radio"
+              aria-checked={isActive}
+              lang={code}
+              onClick={() => handleSelect(code)}
+              className={`flex items-center justify-between p-3 rounded-lg border text-left transition-colors ${
+                isActive
+                  ? 'border-[#219377] bg-[#e6f7f2] text-[#219377] font-semibold'
+                  : 'border-gray-200 bg-gray-50 text-gray-700 hover:bg-gray-100'
+              }`}
+            >
+              <span>{name}</span>
+              {isActive && <Check className="w-4 h-4" />}
+            </button>
+          );
+        })}
+      </div>
+
+      <p className="text-xs text-gray-500">
+        {t('settings.preview', { date: formatDateTime(new Date()) })}
+      </p>
+    </div>
+  );
+};
+
+export default LanguageSwitcher;
@@ -0,0 +1,69 @@
+// frontend/src/components/common/ReportingCurrencySelector.jsx
+import React, { useState } from 'react';
+import { Coins, Settings2 } from 'lucide-react';
+import ExchangeRatesModal from './modals/ExchangeRatesModal.jsx';
+import { useExchangeRateMutations } from '../../hooks/useExchangeRates.js';
+import { CURRENCIES } from '../../utils/constants.js';
+
+/**
+ * Picks the currency that portfolio totals are shown in, and optionally lets the
+ * user edit the exchange-rate table behind the conversion.
+ *
+ * @param {object} props - Component props.
+ * @param {ReturnType<import('../../hooks/useExchangeRates.js').useExchangeRates>} props.exchangeRates - Result of useExchangeRates().
+ * @param {boolean} [props.canEditRates=false] - Shows the "Edit rates" action.
+ * @param {string} [props.className=''] - Additional Tailwind CSS classes.
+ */
+const ReportingCurrencySelector = ({ exchangeRates, canEditRates = false, className = '' }) => {
+  const { reportingCurrency, setReportingCurrency, rateTable, isUsingFallbackRates } = exchangeRates;
+  const { updateRates, isUpdating } = useExchangeRateMutations();
+  const [isRatesModalOpen, setIsRatesModalOpen] = useState(false);
+
+  const handleSaveRates = (newRateTable) => {
+    updateRates(newRateTable, { onSuccess: () => setIsRatesModalOpen(false) });
+  };
+
+  return (
+    <div className={`flex flex-wrap items-center gap-2 text-sm ${className}`}>
+      <label htmlFor="reportingCurrency" className="flex items-center text-gray-600 font-medium">
+        <Coins className="w-4 h-4 mr-1" /> Totals in
+      </label>
+      <select
+        id="reportingCurrency"
+        value={reportingCurrency}
+        onChange={(e) => setReportingCurrency(e.target.value)}
+        className="px-2 py-1 border border-gray-300 rounded-md focus:ring-[#219377] focus:border-[#219377]"
+      >
+        {CURRENCIES.map(({ code }) => (
+          <option key={code} value={code}>{code}</option>
+        ))}
+      </select>
+      {canEditRates && (
+        <button
+          type="button"
+          onClick={() => setIsRatesModalOpen(true)}
+          className="flex items-center text-[#219377] hover:underline"
+        >
+          <Settings2 className="w-4 h-4 mr-1" /> Edit rates
+        </button>
+      )}
+      {isUsingFallbackRates && (
+        <span className="text-xs text-gray-400" title="Configured exchange rates could not be loaded">
+          (approximate rates)
+        </span>
+      )}
+
+      {canEditRates && (
+        <ExchangeRatesModal
+          isOpen={isRatesModalOpen}
+          onClose={() => setIsRatesModalOpen(false)}
+          rateTable={rateTable}
+          onSubmit={handleSaveRates}
+          loading={isUpdating}
+        />
+      )}
+    </div>
+  );
+};
+
+export default ReportingCurrencySelector;
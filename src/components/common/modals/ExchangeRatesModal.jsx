@@ -0,0 +1,140 @@
+// frontend/src/components/common/modals/ExchangeRatesModal.jsx
+import React, { useState, useEffect } from 'react';
+import Modal from '../Modal.jsx';
+import Button from '../Button.jsx';
+import { CURRENCIES } from '../../../utils/constants.js';
+import { formatDateTime } from '../../../utils/helpers.js';
+
+/**
+ * A modal for editing the exchange-rate table used to convert portfolio totals.
+ * Rates are entered as units of each currency per 1 unit of the base currency.
+ *
+ * @param {object} props - The component props.
+ * @param {boolean} props.isOpen - Controls the visibility of the modal.
+ * @param {function} props.onClose - Function to call when the modal is requested to be closed.
+ * @param {{ baseCurrency: string, rates: object, updatedAt?: string }} props.rateTable - The current rate table.
+ * @param {function} props.onSubmit - Called with the new rate table.
+ * @param {boolean} [props.loading=false] - Indicates if the save is in progress.
+ */
+const ExchangeRatesModal = ({ isOpen, onClose, rateTable, onSubmit, loading = false }) => {
+  const [baseCurrency, setBaseCurrency] = useState(rateTable.baseCurrency);
+  const [rates, setRates] = useState({});
+  const [error, setError] = useState('');
+
+  // Reset the form every time the modal opens
+  useEffect(() => {
+    if (!isOpen) return;
+    setBaseCurrency(rateTable.baseCurrency);
+    setRates(Object.fromEntries(
+      CURRENCIES.map(({ code }) => [code, rateTable.rates?.[code] ? String(rateTable.rates[code]) : ''])
+    ));
+    setError('');
+  }, [isOpen, rateTable]);
+
+  // Re-express the entered rates against the new base so switching base keeps them consistent
+  const handleBaseChange = (e) => {
+    const newBase = e.target.value;
+    const newBaseRate = newBase === baseCurrency ? 1 : parseFloat(rates[newBase]);
+    if (newBaseRate > 0) {
+      setRates(prev => Object.fromEntries(
+        CURRENCIES.map(({ code }) => {
+          const current = code === baseCurrency ? 1 : parseFloat(prev[code]);
+          return [code, current > 0 ? String(+(current / newBaseRate).toPrecision(6)) : ''];
+        })
+      ));
+    }
+    setBaseCurrency(newBase);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const parsedRates = { [baseCurrency]: 1 };
+    for (const { code } of CURRENCIES) {
+      if (code === baseCurrency || rates[code] === '') continue;
+      const value = parseFloat(rates[code]);
+      if (isNaN(value) || value <= 0) {
+        setError(`Rate for ${code} must be a positive number.`);
+        return;
+      }
+      parsedRates[code] = value;
+    }
+    onSubmit({ baseCurrency, rates: parsedRates });
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Exchange Rates">
+      <form onSubmit={handleSubmit} className="space-y-4">
+        {error && (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative" role="alert">
+            <span className="block sm:inline">{error}</span>
+          </div>
+        )}
+
+        <div>
+          <label htmlFor="baseCurrency" className="block text-sm font-medium text-gray-700 mb-1">
+            Base Currency
+          </label>
+          <select
+            id="baseCurrency"
+            value={baseCurrency}
+            onChange={handleBaseChange}
+            className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:ring-[#219377] focus:border-[#219377]"
+            disabled={loading}
+          >
+            {CURRENCIES.map(({ code, name }) => (
+              <option key={code} value={code}>{code} - {name}</option>
+            ))}
+          </select>
+          <p className="text-xs text-gray-500 mt-1">
+            Enter how many units of each currency equal 1 {baseCurrency}. Leave blank to exclude a currency.
+          </p>
+        </div>
+
+        <div className="grid grid-cols-2 gap-3">
+          {CURRENCIES.filter(({ code }) => code !== baseCurrency).map(({ code }) => (
+            <div key={code}>
+              <label htmlFor={`rate-${code}`} className="block text-sm font-medium text-gray-700 mb-1">
+                {code}
+              </label>
+              <input
+                id={`rate-${code}`}
+                type="number"
+                min="0"
+                step="any"
+                value={rates[code] ?? ''}
+                onChange={(e) => setRates(prev => ({ ...prev, [code]: e.target.value }))}
+                className="block w-full px-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:ring-[#219377] focus:border-[#219377]"
+                disabled={loading}
+              />
+            </div>
+          ))}
+        </div>
+
+        {rateTable.updatedAt && (
+          <p className="text-xs text-gray-500">Last updated {formatDateTime(rateTable.updatedAt)}</p>
+        )}
+
+        <div className="flex justify-end space-x-3 mt-6">
+          <Button
+            type="button"
+            onClick={onClose}
+            className="bg-gray-200 hover:bg-gray-300 text-gray-800 py-2 px-4 rounded-lg"
+            disabled={loading}
+          >
+            Cancel
+          </Button>
+          <Button
+            type="submit"
+            className="bg-[#219377] hover:bg-[#1a7b64] text-white py-2 px-4 rounded-lg transition"
+            loading={loading}
+            disabled={loading}
+          >
+            Save Rates
+          </Button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+export default ExchangeRatesModal;
@@ -1,8 +1,10 @@
-import React, { createContext, useContext, useEffect, useState, useCallback, useMemo } from "react";
+import React, { createContext, useContext, useEffect, useState, useCallback, useMemo, useRef } from "react";
 import * as authService from "../services/authService.js";
-import api from "../api/axios.js";
+import api, { setSessionExpiredHandler } from "../api/axios.js";
 import { useGlobalAlert } from "./GlobalAlertContext.jsx";
 import { USER_ROLES } from '../utils/constants.js';
+import { clearCachedApiResponses } from '../utils/serviceWorkerRegistration.js';
+import { REQUEST_FORM_PROPERTIES_CACHE_KEY } from '../utils/requestOutbox.js';
 
 export const AuthContext = createContext();
 
@@ -13,15 +15,22 @@ export const AuthProvider = ({ children }) => {
     const [loading, setLoading] = useState(true);
     const [authError, setAuthError] = useState(null);
 
+    // Set while an expired-session logout is in progress so queued 401s don't repeat it
+    const sessionExpiringRef = useRef(false);
+
     const clearSession = useCallback(() => {
         setUser(null);
         localStorage.removeItem("user");
         localStorage.removeItem("token");
+        localStorage.removeItem("refreshToken");
+        localStorage.removeItem(REQUEST_FORM_PROPERTIES_CACHE_KEY);
         delete api.defaults.headers.common["Authorization"];
+        clearCachedApiResponses();
         setAuthError(null);
     }, []);
 
     const setupSession = useCallback((backendUser, accessToken) => {
+        sessionExpiringRef.current = false;
         setUser(backendUser);
         localStorage.setItem("user", JSON.stringify(backendUser));
         localStorage.setItem("token", accessToken);
@@ -102,6 +111,30 @@ export const AuthProvider = ({ children }) => {
         }
     }, [setupSession, clearSession, showSuccess, showError]);
 
+    // The axios client calls this only after a token refresh has failed
+    useEffect(() => {
+        setSessionExpiredHandler(async () => {
+            if (sessionExpiringRef.current || !localStorage.getItem("token")) {
+                return;
+            }
+            sessionExpiringRef.current = true;
+            showError("Your session has expired. Please log in again.");
+            await logout();
+        });
+        return () => setSessionExpiredHandler(null);
+    }, [logout, showError]);
+
+    // Follow logouts made in other tabs
+    useEffect(() => {
+        const handleStorage = (event) => {
+            if (event.key === "token" && !event.newValue) {
+                clearSession();
+            }
+        };
+        window.addEventListener("storage", handleStorage);
+        return () => window.removeEventListener("storage", handleStorage);
+    }, [clearSession]);
+
     useEffect(() => {
         const checkAuthStatus = async () => {
             const token = localStorage.getItem("token");
@@ -114,15 +147,20 @@ export const AuthProvider = ({ children }) => {
             try {
                 const response = await authService.getMe();
                 if (response?.user) {
-                    setupSession(response.user, token);
+                    // The 401 interceptor may have refreshed the token while getMe() ran
+                    setupSession(response.user, localStorage.getItem("token") || token);
                 } else {
                     await logout();
                 }
             } catch (error) {
                 const status = error.response?.status;
                 if (status === 401 || status === 403) {
-                    showError("Your session has expired. Please log in again.");
-                    await logout();
+                    // The session-expired handler may already have shown the toast and logged out
+                    if (!sessionExpiringRef.current) {
+                        sessionExpiringRef.current = true;
+                        showError("Your session has expired. Please log in again.");
+                        await logout();
+                    }
                 } else if (error.code !== 'ERR_CANCELED') {
                     setAuthError("Could not verify session. Please check your connection.");
                 }
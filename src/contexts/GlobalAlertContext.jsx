@@ -1,6 +1,16 @@
 // frontend/src/contexts/GlobalAlertContext.jsx
 
 import React, { createContext, useState, useContext, useCallback, useEffect, useMemo, useRef } from 'react';
+import { translate, translateMessage } from '../utils/i18n.js';
+
+/**
+ * Keyed failure messages end with the reason (`{error}`); fall back to a generic hint
+ * when the error carried no message.
+ */
+const withErrorFallback = (message) => {
+    if (!message?.key || !message.params || !('error' in message.params) || message.params.error) return message;
+    return { ...message, params: { ...message.params, error: translate('alerts.tryAgain') } };
+};
 
 // Create the GlobalAlertContext
 export const GlobalAlertContext = createContext();
@@ -11,7 +21,7 @@ export const GlobalAlertContext = createContext();
  */
 export const GlobalAlertProvider = ({ children }) => {
     // State to manage the current alert message and its type
-    const [alert, setAlert] = useState(null); // { message: '...', type: 'success' | 'error' | 'info' }
+    const [alert, setAlert] = useState(null); // { message: '...', type: 'success' | 'error' | 'info', action?: { label, onClick } }
 
     // ✅ FIX: Use useRef for the timeout ID. Refs do not trigger re-renders on change.
     const timeoutIdRef = useRef(null);
@@ -29,17 +39,29 @@ export const GlobalAlertProvider = ({ children }) => {
 
     /**
      * Displays an alert message. This function is now stable.
-     * @param {string} message - The message to display.
+     * Messages given as `{ key, params }` are translated into the user's language;
+     * a missing `params.error` reads as "Please try again.".
+     * @param {string|{ key: string, params?: Object }} message - The message to display.
      * @param {'success' | 'error' | 'info'} type - The type of alert.
-     * @param {number} [duration=5000] - How long the alert should be visible in milliseconds.
+     * @param {number|null} [duration=5000] - How long the alert should be visible in milliseconds. Pass null to keep it until dismissed.
+     * @param {{ label: string|{ key: string }, onClick: Function }} [action] - Optional button shown next to the message.
      */
-    const showAlert = useCallback((message, type = 'info', duration = 5000) => {
+    const showAlert = useCallback((message, type = 'info', duration = 5000, action = null) => {
         // Clear any existing timeout before showing a new one
         if (timeoutIdRef.current) {
             clearTimeout(timeoutIdRef.current);
+            timeoutIdRef.current = null;
         }
 
-        setAlert({ message, type });
+        setAlert({
+            message: translateMessage(withErrorFallback(message)),
+            type,
+            action: action && { ...action, label: translateMessage(action.label) },
+        });
+
+        if (duration === null) {
+            return;
+        }
 
         // Set a new timeout and store its ID in the ref
         timeoutIdRef.current = setTimeout(() => {
@@ -96,6 +118,17 @@ export const GlobalAlertProvider = ({ children }) => {
                     role="alert"
                 >
                     {alert.message}
+                    {alert.action && (
+                        <button
+                            onClick={() => {
+                                clearAlert();
+                                alert.action.onClick();
+                            }}
+                            className="ml-4 px-3 py-1 rounded bg-white/20 hover:bg-white/30 font-semibold text-sm"
+                        >
+                            {alert.action.label}
+                        </button>
+                    )}
                     <button
                         onClick={clearAlert}
                         className="ml-4 font-bold text-lg leading-none"
@@ -0,0 +1,57 @@
+// frontend/src/contexts/I18nContext.jsx
+
+import React, { useState, useCallback, useEffect, useMemo } from 'react';
+import {
+    SUPPORTED_LOCALES,
+    getCurrentLocale,
+    setCurrentLocale,
+    subscribeToLocale,
+    translate,
+} from '../utils/i18n.js';
+import { I18nContext } from '../hooks/useI18n.js';
+
+/**
+ * I18nProvider component
+ * Exposes the active locale and a translate function. Components that read the context
+ * re-render when the locale changes; the tree is not remounted, so form input survives.
+ */
+export const I18nProvider = ({ children }) => {
+    const [locale, setLocaleState] = useState(getCurrentLocale);
+
+    // The locale can also change outside React (or in another tab through localStorage)
+    useEffect(() => {
+        const unsubscribe = subscribeToLocale(setLocaleState);
+        const handleStorage = (event) => {
+            if (event.key === 'locale' && event.newValue) {
+                setCurrentLocale(event.newValue);
+            }
+        };
+        window.addEventListener('storage', handleStorage);
+        return () => {
+            unsubscribe();
+            window.removeEventListener('storage', handleStorage);
+        };
+    }, []);
+
+    const setLocale = useCallback((code) => setCurrentLocale(code), []);
+
+    /**
+     * Translates a message key in the active locale.
+     * @param {string} key - Dot-separated message key, e.g. 'nav.dashboard'
+     * @param {Object} [params] - Interpolation values; `count` selects the plural form
+     */
+    const t = useCallback((key, params) => translate(key, params, locale), [locale]);
+
+    const contextValue = useMemo(() => ({
+        locale,
+        locales: SUPPORTED_LOCALES,
+        setLocale,
+        t,
+    }), [locale, setLocale, t]);
+
+    return (
+        <I18nContext.Provider value={contextValue}>
+            {children}
+        </I18nContext.Provider>
+    );
+};
@@ -4,6 +4,7 @@ import React, { createContext, useState, useEffect, useContext, useCallback, use
 import { useAuth } from './AuthContext.jsx';
 import * as notificationService from '../services/notificationService.js';
 import { useGlobalAlert } from './GlobalAlertContext.jsx';
+import { NOTIFICATION_STREAM_STATUS } from '../utils/constants.js';
 
 export const NotificationContext = createContext();
 
@@ -21,11 +22,18 @@ export const NotificationProvider = ({ children }) => {
   const [page, setPage] = useState(1);
   const [limit, setLimit] = useState(10);
   const [totalPages, setTotalPages] = useState(1);
+  const [connectionStatus, setConnectionStatus] = useState(NOTIFICATION_STREAM_STATUS.CLOSED);
   
-  // For polling unread count
+  // Polling is only a fallback for when the real-time stream is degraded
   const pollingIntervalRef = useRef(null);
   const pollingDelayMs = 30000; // 30 seconds
   
+  // Latest notifications, so stream handlers can skip duplicates without re-subscribing
+  const notificationsRef = useRef([]);
+  useEffect(() => {
+    notificationsRef.current = notifications;
+  }, [notifications]);
+  
   /**
    * Fetch notifications with optional filters
    * @param {Object} options - Fetch options
@@ -132,6 +140,23 @@ export const NotificationProvider = ({ children }) => {
     }
   }, [isAuthenticated]);
   
+  /**
+   * Push a notification received from the real-time stream into state
+   * @param {Object} notification - Notification object from the stream
+   */
+  const handleIncomingNotification = useCallback((notification) => {
+    // A resumed stream may replay events we already have
+    if (notificationsRef.current.some(n => n._id === notification._id)) {
+      return;
+    }
+    
+    setNotifications(prev => [notification, ...prev.filter(n => n._id !== notification._id)]);
+    setTotalCount(prev => prev + 1);
+    if (!notification.read) {
+      setUnreadCount(prev => prev + 1);
+    }
+  }, []);
+  
   /**
    * Mark a notification as read
    * @param {string} notificationId - Notification ID
@@ -253,11 +278,6 @@ export const NotificationProvider = ({ children }) => {
       // Fetch notifications and preferences
       fetchNotifications({ reset: true, signal: controller.signal });
       fetchPreferences();
-      
-      // Start polling for unread count
-      pollingIntervalRef.current = setInterval(() => {
-        fetchUnreadCount(new AbortController().signal);
-      }, pollingDelayMs);
     } else if (!authLoading && !isAuthenticated) {
       // Reset state if not authenticated
       setNotifications([]);
@@ -265,21 +285,48 @@ export const NotificationProvider = ({ children }) => {
       setTotalCount(0);
       setPreferences(null);
       setLoading(false);
-      
-      // Clear polling interval
-      if (pollingIntervalRef.current) {
-        clearInterval(pollingIntervalRef.current);
-      }
     }
     
     // Cleanup function
     return () => {
       controller.abort();
+    };
+  }, [authLoading, isAuthenticated, fetchNotifications, fetchPreferences]);
+  
+  // Real-time stream, falling back to polling the unread count while it is degraded
+  useEffect(() => {
+    if (authLoading || !isAuthenticated) {
+      return;
+    }
+    
+    const stopPolling = () => {
       if (pollingIntervalRef.current) {
         clearInterval(pollingIntervalRef.current);
+        pollingIntervalRef.current = null;
+      }
+    };
+    
+    const unsubscribe = notificationService.subscribeToNotifications(handleIncomingNotification, {
+      onStatusChange: (status) => {
+        setConnectionStatus(status);
+        
+        if (status === NOTIFICATION_STREAM_STATUS.DEGRADED && !pollingIntervalRef.current) {
+          pollingIntervalRef.current = setInterval(() => {
+            fetchUnreadCount();
+          }, pollingDelayMs);
+        } else if (status === NOTIFICATION_STREAM_STATUS.CONNECTED) {
+          stopPolling();
+          // Resync in case anything was missed while disconnected
+          fetchUnreadCount();
+        }
       }
+    });
+    
+    return () => {
+      unsubscribe();
+      stopPolling();
     };
-  }, [authLoading, isAuthenticated, fetchNotifications, fetchPreferences, fetchUnreadCount]);
+  }, [authLoading, isAuthenticated, handleIncomingNotification, fetchUnreadCount]);
   
   // Memoized context value
   const value = useMemo(() => ({
@@ -292,6 +339,8 @@ export const NotificationProvider = ({ children }) => {
     limit,
     totalPages,
     preferences,
+    connectionStatus,
+    isLive: connectionStatus === NOTIFICATION_STREAM_STATUS.CONNECTED,
     fetchNotifications,
     refreshNotifications,
     loadMoreNotifications,
@@ -312,6 +361,7 @@ export const NotificationProvider = ({ children }) => {
     limit,
     totalPages,
     preferences,
+    connectionStatus,
     fetchNotifications,
     refreshNotifications,
     loadMoreNotifications,
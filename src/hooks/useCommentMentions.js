@@ -0,0 +1,44 @@
+// src/hooks/useCommentMentions.js
+import { useEffect, useRef } from 'react';
+import { useLocation } from 'react-router-dom';
+import useAuth from './useAuth';
+import { markMentionsAsRead } from '../services/commentService';
+
+/**
+ * Handles arriving at a resource's comments from a mention: scrolls to the comment named
+ * in the URL hash (#comment-<id>) and marks the current user's mentions there as read.
+ * @param {Object} options
+ * @param {Array<Object>} options.comments - Loaded comments
+ * @param {string} options.contextType - Comment context type ('request', 'scheduledmaintenance', ...)
+ * @param {string} options.contextId - Comment context ID
+ * @returns {string|null} ID of the comment linked to, for highlighting
+ */
+const useCommentMentions = ({ comments, contextType, contextId }) => {
+  const { user } = useAuth();
+  const { hash } = useLocation();
+  const markedContextRef = useRef(null);
+
+  const linkedCommentId = hash.startsWith('#comment-') ? hash.slice('#comment-'.length) : null;
+
+  useEffect(() => {
+    if (!linkedCommentId || !comments?.length) return;
+    document.getElementById(`comment-${linkedCommentId}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }, [linkedCommentId, comments]);
+
+  useEffect(() => {
+    if (!user?._id || !contextId || !comments?.length || markedContextRef.current === contextId) return;
+
+    const hasUnreadMention = comments.some(comment => comment.mentions?.some(mention =>
+      (mention.user?._id || mention.user) === user._id && !mention.readAt
+    ));
+    if (!hasUnreadMention) return;
+
+    markedContextRef.current = contextId;
+    markMentionsAsRead({ contextType, contextId })
+      .catch(error => console.error('Failed to mark mentions as read:', error));
+  }, [comments, contextType, contextId, user?._id]);
+
+  return linkedCommentId;
+};
+
+export default useCommentMentions;
@@ -0,0 +1,86 @@
+// src/hooks/useExchangeRates.js
+import { useState, useCallback } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import * as exchangeRateService from '../services/exchangeRateService';
+import useAuth from './useAuth';
+import { useGlobalAlert } from '../contexts/GlobalAlertContext';
+import { DEFAULT_EXCHANGE_RATES } from '../utils/constants';
+import {
+  convertAmount,
+  sumInCurrency,
+  getReportingCurrency,
+  setReportingCurrency as persistReportingCurrency
+} from '../utils/currency';
+
+/**
+ * Hook exposing the exchange-rate table and the user's reporting currency, with
+ * helpers to convert amounts and total records across currencies.
+ * Falls back to DEFAULT_EXCHANGE_RATES while the table is loading or unavailable.
+ * @returns {Object} Rate table, reporting currency and conversion helpers
+ */
+export const useExchangeRates = () => {
+  const { isAuthenticated } = useAuth();
+  const [reportingCurrency, setReportingCurrencyState] = useState(getReportingCurrency);
+
+  const query = useQuery({
+    queryKey: ['exchangeRates'],
+    queryFn: ({ signal }) => exchangeRateService.getExchangeRates(signal),
+    enabled: isAuthenticated,
+    staleTime: 60 * 60 * 1000, // Rates are edited rarely
+    retry: 1,
+  });
+
+  const rateTable = query.data?.rates ? query.data : DEFAULT_EXCHANGE_RATES;
+
+  const setReportingCurrency = useCallback((code) => {
+    persistReportingCurrency(code);
+    setReportingCurrencyState(code);
+  }, []);
+
+  const convert = useCallback(
+    (amount, fromCurrency, toCurrency = reportingCurrency) => convertAmount(amount, fromCurrency, toCurrency, rateTable),
+    [rateTable, reportingCurrency]
+  );
+
+  const sum = useCallback(
+    (entries, toCurrency = reportingCurrency) => sumInCurrency(entries, toCurrency, rateTable),
+    [rateTable, reportingCurrency]
+  );
+
+  return {
+    rateTable,
+    isLoading: query.isLoading,
+    isUsingFallbackRates: !query.data?.rates,
+    reportingCurrency,
+    setReportingCurrency,
+    convert,
+    sum
+  };
+};
+
+/**
+ * Hook that provides the exchange-rate update mutation
+ */
+export const useExchangeRateMutations = () => {
+  const queryClient = useQueryClient();
+  const { showError, showSuccess } = useGlobalAlert();
+
+  const updateRates = useMutation({
+    mutationFn: (rateTable) => exchangeRateService.updateExchangeRates(rateTable),
+    onSuccess: (data) => {
+      queryClient.setQueryData(['exchangeRates'], data);
+      showSuccess({ key: 'alerts.exchangeRates.updated' });
+    },
+    onError: (error) => {
+      console.error("Failed to update exchange rates:", error);
+      showError({ key: 'alerts.exchangeRates.updateFailed', params: { error: error.message || error } });
+    }
+  });
+
+  return {
+    updateRates: updateRates.mutate,
+    isUpdating: updateRates.isPending
+  };
+};
+
+export default useExchangeRates;
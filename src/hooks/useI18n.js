@@ -0,0 +1,24 @@
+// frontend/src/hooks/useI18n.js
+
+// Access to the active locale and the translate function provided by I18nProvider.
+// The context object lives here rather than in I18nContext.jsx so that file only
+// exports components (keeps React fast refresh working).
+
+import { createContext, useContext } from 'react';
+
+export const I18nContext = createContext();
+
+/**
+ * Custom hook to access the i18n context.
+ * Throws an error if used outside of an I18nProvider.
+ * @returns {object} The i18n context value (locale, locales, setLocale, t).
+ */
+const useI18n = () => {
+    const context = useContext(I18nContext);
+    if (context === undefined) {
+        throw new Error('useI18n must be used within an I18nProvider');
+    }
+    return context;
+};
+
+export default useI18n;
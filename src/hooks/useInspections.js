@@ -0,0 +1,184 @@
+// src/hooks/useInspections.js
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import * as inspectionService from '../services/inspectionService';
+import * as mediaService from '../services/mediaService';
+import * as requestService from '../services/requestService';
+import useAuth from './useAuth';
+import { useGlobalAlert } from '../contexts/GlobalAlertContext';
+import { PRIORITY_LEVELS } from '../utils/constants';
+import { getConditionDetails } from '../utils/inspections';
+
+/**
+ * Hook for fetching inspections
+ * @param {Object} options - Query options
+ * @param {Object} options.filters - Filter parameters (unitId, leaseId, type)
+ * @returns {Object} Query result with inspections
+ */
+export const useInspections = (options = {}) => {
+  const { isAuthenticated } = useAuth();
+  const { filters = {}, enabled = true } = options;
+
+  return useQuery({
+    queryKey: ['inspections', filters],
+    queryFn: ({ signal }) => inspectionService.getInspections({ limit: 50, sort: 'inspectionDate', order: 'desc', ...filters }, signal),
+    enabled: isAuthenticated && enabled,
+    select: (response) => response.data,
+  });
+};
+
+/**
+ * Hook for fetching a single inspection
+ * @param {string} inspectionId - Inspection ID
+ * @returns {Object} Query result with the inspection
+ */
+export const useInspection = (inspectionId) => {
+  const { isAuthenticated } = useAuth();
+
+  return useQuery({
+    queryKey: ['inspection', inspectionId],
+    queryFn: ({ signal }) => inspectionService.getInspectionById(inspectionId, signal),
+    enabled: isAuthenticated && !!inspectionId,
+  });
+};
+
+/**
+ * Hook that provides inspection operations
+ */
+export const useInspectionMutations = () => {
+  const queryClient = useQueryClient();
+  const { showError, showSuccess } = useGlobalAlert();
+
+  const onInspectionChanged = (inspection) => {
+    queryClient.setQueryData(['inspection', inspection._id], inspection);
+    queryClient.invalidateQueries({ queryKey: ['inspections'] });
+  };
+
+  // Create inspection
+  const createInspection = useMutation({
+    mutationFn: (inspectionData) => inspectionService.createInspection(inspectionData),
+    onSuccess: (inspection) => {
+      onInspectionChanged(inspection);
+      showSuccess({ key: 'alerts.inspections.saved' });
+    },
+    onError: (error) => {
+      console.error("Failed to create inspection:", error);
+      showError({ key: 'alerts.inspections.saveFailed', params: { error: error.message || error } });
+    }
+  });
+
+  // Update draft inspection
+  const updateInspection = useMutation({
+    mutationFn: ({ inspectionId, updates }) => inspectionService.updateInspection(inspectionId, updates),
+    onSuccess: (inspection) => {
+      onInspectionChanged(inspection);
+      showSuccess({ key: 'alerts.inspections.saved' });
+    },
+    onError: (error) => {
+      console.error("Failed to update inspection:", error);
+      showError({ key: 'alerts.inspections.saveFailed', params: { error: error.message || error } });
+    }
+  });
+
+  // Delete draft inspection
+  const deleteInspection = useMutation({
+    mutationFn: (inspectionId) => inspectionService.deleteInspection(inspectionId),
+    onSuccess: (_, inspectionId) => {
+      queryClient.removeQueries({ queryKey: ['inspection', inspectionId] });
+      queryClient.invalidateQueries({ queryKey: ['inspections'] });
+      showSuccess({ key: 'alerts.inspections.deleted' });
+    },
+    onError: (error) => {
+      console.error("Failed to delete inspection:", error);
+      showError({ key: 'alerts.inspections.deleteFailed', params: { error: error.message || error } });
+    }
+  });
+
+  // Complete and send to the tenant to countersign
+  const completeInspection = useMutation({
+    mutationFn: (inspectionId) => inspectionService.completeInspection(inspectionId),
+    onSuccess: (inspection) => {
+      onInspectionChanged(inspection);
+      showSuccess({ key: 'alerts.inspections.completed' });
+    },
+    onError: (error) => {
+      console.error("Failed to complete inspection:", error);
+      showError({ key: 'alerts.inspections.completeFailed', params: { error: error.message || error } });
+    }
+  });
+
+  // Tenant countersigns or disputes the report
+  const countersign = useMutation({
+    mutationFn: ({ inspectionId, response }) => inspectionService.countersignInspection(inspectionId, response),
+    onSuccess: (inspection, { response }) => {
+      onInspectionChanged(inspection);
+      showSuccess(response.agree ? { key: 'alerts.inspections.signed' } : { key: 'alerts.inspections.commentsSent' });
+    },
+    onError: (error) => {
+      console.error("Failed to countersign inspection:", error);
+      showError({ key: 'alerts.inspections.responseFailed', params: { error: error.message || error } });
+    }
+  });
+
+  // Upload photos for a checklist item; the caller adds them to the item
+  const uploadItemPhotos = useMutation({
+    mutationFn: ({ inspectionId, files, description }) => mediaService.uploadMedia(files, {
+      resourceType: 'Inspection',
+      resourceId: inspectionId,
+      description
+    }),
+    onError: (error) => {
+      console.error("Failed to upload photos:", error);
+      showError({ key: 'alerts.inspections.photoUploadFailed', params: { error: error.message || error } });
+    }
+  });
+
+  // Raise a maintenance request for an item and link it back to the inspection
+  const createRequestFromItem = useMutation({
+    mutationFn: async ({ inspection, roomIndex, itemIndex }) => {
+      const room = inspection.rooms[roomIndex];
+      const item = room.items[itemIndex];
+      const condition = getConditionDetails(item.condition).label;
+
+      const request = await requestService.createRequest({
+        title: `${room.name}: ${item.name} (${condition.toLowerCase()})`,
+        description: [
+          `Found during the ${inspection.typeDisplay.toLowerCase()} inspection on ${inspection.formattedDate}.`,
+          item.notes
+        ].filter(Boolean).join('\n\n'),
+        category: 'general_repair',
+        priority: PRIORITY_LEVELS.MEDIUM,
+        propertyId: inspection.propertyId,
+        unitId: inspection.unitId
+      });
+
+      // Only the link is written; the rest of a completed or signed report is left untouched
+      return inspectionService.linkItemRequest(inspection._id, { roomIndex, itemIndex, requestId: request._id });
+    },
+    onSuccess: (inspection) => {
+      onInspectionChanged(inspection);
+      queryClient.invalidateQueries({ queryKey: ['maintenanceRequests'] });
+      showSuccess({ key: 'alerts.inspections.requestCreated' });
+    },
+    onError: (error) => {
+      console.error("Failed to create maintenance request:", error);
+      showError({ key: 'alerts.inspections.requestCreateFailed', params: { error: error.message || error } });
+    }
+  });
+
+  return {
+    createInspection: createInspection.mutate,
+    isCreating: createInspection.isPending,
+    updateInspection: updateInspection.mutate,
+    isUpdating: updateInspection.isPending,
+    deleteInspection: deleteInspection.mutate,
+    isDeleting: deleteInspection.isPending,
+    completeInspection: completeInspection.mutate,
+    isCompleting: completeInspection.isPending,
+    countersign: countersign.mutate,
+    isCountersigning: countersign.isPending,
+    uploadItemPhotos: uploadItemPhotos.mutate,
+    isUploadingPhotos: uploadItemPhotos.isPending,
+    createRequestFromItem: createRequestFromItem.mutate,
+    isCreatingRequest: createRequestFromItem.isPending
+  };
+};
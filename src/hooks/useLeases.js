@@ -8,11 +8,12 @@ import { useGlobalAlert } from '../contexts/GlobalAlertContext';
  * Hook for fetching a list of leases
  * @param {Object} options - Query options
  * @param {Object} options.filters - Filter parameters
+ * @param {boolean} [options.enabled=true] - Whether to run the query
  * @returns {Object} Query result with leases data
  */
 export const useLeases = (options = {}) => {
   const { isAuthenticated, user } = useAuth();
-  const { filters = {} } = options;
+  const { filters = {}, enabled = true } = options;
   
   // Add tenant filter if user is a tenant
   const queryFilters = { ...filters };
@@ -23,7 +24,7 @@ export const useLeases = (options = {}) => {
   return useQuery({
     queryKey: ['leases', queryFilters],
     queryFn: ({ signal }) => leaseService.getLeases(queryFilters, signal),
-    enabled: isAuthenticated,
+    enabled: isAuthenticated && enabled,
     select: (response) => ({
       leases: response.data?.map(lease => leaseService.formatLease(lease)) || [],
       pagination: {
@@ -88,11 +89,11 @@ export const useLeaseMutations = () => {
     onSuccess: () => {
       queryClient.invalidateQueries({ queryKey: ['leases'] });
       queryClient.invalidateQueries({ queryKey: ['expiringLeases'] });
-      showSuccess("Lease created successfully!");
+      showSuccess({ key: 'alerts.leases.created' });
     },
     onError: (error) => {
       console.error("Failed to create lease:", error);
-      showError("Failed to create lease. " + (error.message || "Please try again."));
+      showError({ key: 'alerts.leases.createFailed', params: { error: error.message } });
     }
   });
 
@@ -104,11 +105,11 @@ export const useLeaseMutations = () => {
       queryClient.invalidateQueries({ queryKey: ['leases'] });
       queryClient.invalidateQueries({ queryKey: ['lease', leaseId] });
       queryClient.invalidateQueries({ queryKey: ['expiringLeases'] });
-      showSuccess("Lease updated successfully!");
+      showSuccess({ key: 'alerts.leases.updated' });
     },
     onError: (error) => {
       console.error("Failed to update lease:", error);
-      showError("Failed to update lease. " + (error.message || "Please try again."));
+      showError({ key: 'alerts.leases.updateFailed', params: { error: error.message } });
     }
   });
 
@@ -118,11 +119,11 @@ export const useLeaseMutations = () => {
     onSuccess: (data, leaseId) => {
       queryClient.invalidateQueries({ queryKey: ['leases'] });
       queryClient.invalidateQueries({ queryKey: ['lease', leaseId] });
-      showSuccess("Lease deleted successfully!");
+      showSuccess({ key: 'alerts.leases.deleted' });
     },
     onError: (error) => {
       console.error("Failed to delete lease:", error);
-      showError("Failed to delete lease. " + (error.message || "Please try again."));
+      showError({ key: 'alerts.leases.deleteFailed', params: { error: error.message } });
     }
   });
 
@@ -132,11 +133,11 @@ export const useLeaseMutations = () => {
     onSuccess: (data, leaseId) => {
       queryClient.invalidateQueries({ queryKey: ['lease', leaseId] });
       queryClient.invalidateQueries({ queryKey: ['expiringLeases'] });
-      showSuccess("Renewal notice marked as sent!");
+      showSuccess({ key: 'alerts.leases.renewalNoticeSent' });
     },
     onError: (error) => {
       console.error("Failed to mark renewal notice:", error);
-      showError("Failed to mark renewal notice. " + (error.message || "Please try again."));
+      showError({ key: 'alerts.leases.renewalNoticeFailed', params: { error: error.message } });
     }
   });
 
@@ -145,25 +146,39 @@ export const useLeaseMutations = () => {
     mutationFn: ({ leaseId, file }) => leaseService.uploadLeaseDocument(leaseId, file),
     onSuccess: (data, { leaseId }) => {
       queryClient.invalidateQueries({ queryKey: ['lease', leaseId] });
-      showSuccess("Document uploaded successfully!");
+      showSuccess({ key: 'alerts.leases.documentUploaded' });
     },
     onError: (error) => {
       console.error("Failed to upload document:", error);
-      showError("Failed to upload document. " + (error.message || "Please try again."));
+      showError({ key: 'alerts.leases.documentUploadFailed', params: { error: error.message } });
     }
   });
 
-  // Add amendment mutation
+  // Add amendment mutation, with its supporting document in the same request when one is attached
   const addAmendment = useMutation({
-    mutationFn: ({ leaseId, amendmentData }) => 
-      leaseService.addLeaseAmendment(leaseId, amendmentData),
+    mutationFn: ({ leaseId, amendmentData, file }) => leaseService.addLeaseAmendment(leaseId, amendmentData, file),
     onSuccess: (data, { leaseId }) => {
       queryClient.invalidateQueries({ queryKey: ['lease', leaseId] });
-      showSuccess("Amendment added successfully!");
+      showSuccess({ key: 'alerts.leases.amendmentAdded' });
     },
     onError: (error) => {
       console.error("Failed to add amendment:", error);
-      showError("Failed to add amendment. " + (error.message || "Please try again."));
+      showError({ key: 'alerts.leases.amendmentAddFailed', params: { error: error.message } });
+    }
+  });
+
+  // Approve amendment mutation
+  const approveAmendment = useMutation({
+    mutationFn: ({ leaseId, amendmentId }) =>
+      leaseService.approveLeaseAmendment(leaseId, amendmentId),
+    onSuccess: (data, { leaseId }) => {
+      queryClient.invalidateQueries({ queryKey: ['lease', leaseId] });
+      queryClient.invalidateQueries({ queryKey: ['leases'] });
+      showSuccess({ key: 'alerts.leases.amendmentApproved' });
+    },
+    onError: (error) => {
+      console.error("Failed to approve amendment:", error);
+      showError({ key: 'alerts.leases.amendmentApproveFailed', params: { error: error.message || error } });
     }
   });
 
@@ -179,7 +194,198 @@ export const useLeaseMutations = () => {
     uploadDocument: uploadDocument.mutate,
     isUploading: uploadDocument.isPending,
     addAmendment: addAmendment.mutate,
-    isAddingAmendment: addAmendment.isPending
+    isAddingAmendment: addAmendment.isPending,
+    approveAmendment: approveAmendment.mutate,
+    isApprovingAmendment: approveAmendment.isPending
+  };
+};
+
+/**
+ * Hook for fetching the renewal offer of a lease
+ * @param {string} leaseId - Lease ID
+ * @returns {Object} Query result with the renewal offer (null when none exists)
+ */
+export const useRenewalOffer = (leaseId) => {
+  const { isAuthenticated } = useAuth();
+
+  return useQuery({
+    queryKey: ['leaseRenewal', leaseId],
+    queryFn: ({ signal }) => leaseService.getRenewalOffer(leaseId, signal),
+    enabled: isAuthenticated && !!leaseId,
+  });
+};
+
+/**
+ * Hook that provides the lease renewal workflow: draft, send, withdraw and respond
+ */
+export const useLeaseRenewalMutations = () => {
+  const queryClient = useQueryClient();
+  const { showError, showSuccess } = useGlobalAlert();
+
+  const onOfferChanged = (offer, leaseId) => {
+    queryClient.setQueryData(['leaseRenewal', leaseId], offer);
+    queryClient.invalidateQueries({ queryKey: ['lease', leaseId] });
+    queryClient.invalidateQueries({ queryKey: ['leases'] });
+    queryClient.invalidateQueries({ queryKey: ['expiringLeases'] });
+  };
+
+  // Save draft offer mutation
+  const saveOffer = useMutation({
+    mutationFn: ({ leaseId, offerData }) => leaseService.saveRenewalOffer(leaseId, offerData),
+    onSuccess: (offer, { leaseId }) => {
+      onOfferChanged(offer, leaseId);
+      showSuccess({ key: 'alerts.leases.renewalTermsSaved' });
+    },
+    onError: (error) => {
+      console.error("Failed to save renewal terms:", error);
+      showError({ key: 'alerts.leases.renewalTermsFailed', params: { error: error.message || error } });
+    }
+  });
+
+  // Send offer mutation
+  const sendOffer = useMutation({
+    mutationFn: (leaseId) => leaseService.sendRenewalOffer(leaseId),
+    onSuccess: (offer, leaseId) => {
+      onOfferChanged(offer, leaseId);
+      showSuccess({ key: 'alerts.leases.renewalOfferSent' });
+    },
+    onError: (error) => {
+      console.error("Failed to send renewal offer:", error);
+      showError({ key: 'alerts.leases.renewalOfferFailed', params: { error: error.message || error } });
+    }
+  });
+
+  // Withdraw offer mutation
+  const withdrawOffer = useMutation({
+    mutationFn: (leaseId) => leaseService.withdrawRenewalOffer(leaseId),
+    onSuccess: (offer, leaseId) => {
+      onOfferChanged(offer, leaseId);
+      showSuccess({ key: 'alerts.leases.renewalOfferWithdrawn' });
+    },
+    onError: (error) => {
+      console.error("Failed to withdraw renewal offer:", error);
+      showError({ key: 'alerts.leases.renewalWithdrawFailed', params: { error: error.message || error } });
+    }
+  });
+
+  // Tenant accepts or declines the offer; accepting creates the successor lease on the backend
+  const respondToOffer = useMutation({
+    mutationFn: ({ leaseId, accept, note }) => leaseService.respondToRenewalOffer(leaseId, { accept, note }),
+    onSuccess: (offer, { leaseId, accept }) => {
+      onOfferChanged(offer, leaseId);
+      if (accept) {
+        queryClient.invalidateQueries({ queryKey: ['rentSchedules'] });
+      }
+      showSuccess(accept
+        ? { key: 'alerts.leases.renewalAccepted' }
+        : { key: 'alerts.leases.renewalDeclined' });
+    },
+    onError: (error) => {
+      console.error("Failed to respond to renewal offer:", error);
+      showError({ key: 'alerts.leases.renewalResponseFailed', params: { error: error.message || error } });
+    }
+  });
+
+  return {
+    saveOffer: saveOffer.mutate,
+    isSavingOffer: saveOffer.isPending,
+    sendOffer: sendOffer.mutate,
+    isSendingOffer: sendOffer.isPending,
+    withdrawOffer: withdrawOffer.mutate,
+    isWithdrawingOffer: withdrawOffer.isPending,
+    respondToOffer: respondToOffer.mutate,
+    isResponding: respondToOffer.isPending
+  };
+};
+
+/**
+ * Hook for fetching the security deposit record of a lease
+ * @param {string} leaseId - Lease ID
+ * @returns {Object} Query result with formatted deposit data
+ */
+export const useLeaseDeposit = (leaseId) => {
+  const { isAuthenticated } = useAuth();
+
+  return useQuery({
+    queryKey: ['leaseDeposit', leaseId],
+    queryFn: ({ signal }) => leaseService.getLeaseDeposit(leaseId, signal),
+    enabled: isAuthenticated && !!leaseId,
+  });
+};
+
+/**
+ * Hook that provides security deposit operations: receipt, deductions and refund
+ */
+export const useLeaseDepositMutations = () => {
+  const queryClient = useQueryClient();
+  const { showError, showSuccess } = useGlobalAlert();
+
+  const onDepositChanged = (data, { leaseId }) => {
+    queryClient.setQueryData(['leaseDeposit', leaseId], data);
+    queryClient.invalidateQueries({ queryKey: ['lease', leaseId] });
+  };
+
+  // Record receipt mutation
+  const recordReceipt = useMutation({
+    mutationFn: ({ leaseId, receiptData }) => leaseService.recordDepositReceipt(leaseId, receiptData),
+    onSuccess: (data, variables) => {
+      onDepositChanged(data, variables);
+      showSuccess({ key: 'alerts.leases.depositReceived' });
+    },
+    onError: (error) => {
+      console.error("Failed to record deposit receipt:", error);
+      showError({ key: 'alerts.leases.depositReceiptFailed', params: { error: error.message || error } });
+    }
+  });
+
+  // Add deduction mutation
+  const addDeduction = useMutation({
+    mutationFn: ({ leaseId, deductionData }) => leaseService.addDepositDeduction(leaseId, deductionData),
+    onSuccess: (data, variables) => {
+      onDepositChanged(data, variables);
+      showSuccess({ key: 'alerts.leases.deductionAdded' });
+    },
+    onError: (error) => {
+      console.error("Failed to add deduction:", error);
+      showError({ key: 'alerts.leases.deductionAddFailed', params: { error: error.message || error } });
+    }
+  });
+
+  // Remove deduction mutation
+  const removeDeduction = useMutation({
+    mutationFn: ({ leaseId, deductionId }) => leaseService.removeDepositDeduction(leaseId, deductionId),
+    onSuccess: (data, variables) => {
+      onDepositChanged(data, variables);
+      showSuccess({ key: 'alerts.leases.deductionRemoved' });
+    },
+    onError: (error) => {
+      console.error("Failed to remove deduction:", error);
+      showError({ key: 'alerts.leases.deductionRemoveFailed', params: { error: error.message || error } });
+    }
+  });
+
+  // Record refund mutation
+  const recordRefund = useMutation({
+    mutationFn: ({ leaseId, refundData }) => leaseService.recordDepositRefund(leaseId, refundData),
+    onSuccess: (data, variables) => {
+      onDepositChanged(data, variables);
+      showSuccess({ key: 'alerts.leases.depositRefunded' });
+    },
+    onError: (error) => {
+      console.error("Failed to record deposit refund:", error);
+      showError({ key: 'alerts.leases.depositRefundFailed', params: { error: error.message || error } });
+    }
+  });
+
+  return {
+    recordReceipt: recordReceipt.mutate,
+    isRecordingReceipt: recordReceipt.isPending,
+    addDeduction: addDeduction.mutate,
+    isAddingDeduction: addDeduction.isPending,
+    removeDeduction: removeDeduction.mutate,
+    isRemovingDeduction: removeDeduction.isPending,
+    recordRefund: recordRefund.mutate,
+    isRecordingRefund: recordRefund.isPending
   };
 };
 
@@ -194,24 +400,24 @@ export const useLeaseDocuments = () => {
     try {
       const downloadInfo = await leaseService.getLeaseDocumentDownloadInfo(leaseId, documentId);
       await leaseService.downloadLeaseDocument(downloadInfo.downloadUrl, downloadInfo.fileName);
-      showSuccess("Document download started!");
+      showSuccess({ key: 'alerts.leases.documentDownloadStarted' });
       return true;
     } catch (error) {
       console.error("Failed to download document:", error);
-      showError("Failed to download document. " + (error.message || "Please try again."));
+      showError({ key: 'alerts.leases.documentDownloadFailed', params: { error: error.message } });
       return false;
     }
   };
 
   // Generate document
-  const generateDocument = async (leaseId, documentType) => {
+  const generateDocument = async (leaseId, documentType, options) => {
     try {
-      const response = await leaseService.generateLeaseDocument(leaseId, documentType);
-      showSuccess("Document generated successfully!");
+      const response = await leaseService.generateLeaseDocument(leaseId, documentType, options);
+      showSuccess({ key: 'alerts.leases.documentGenerated' });
       return response;
     } catch (error) {
       console.error("Failed to generate document:", error);
-      showError("Failed to generate document. " + (error.message || "Please try again."));
+      showError({ key: 'alerts.leases.documentGenerateFailed', params: { error: error.message } });
       throw error;
     }
   };
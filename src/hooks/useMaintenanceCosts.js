@@ -0,0 +1,118 @@
+// src/hooks/useMaintenanceCosts.js
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import * as maintenanceCostService from '../services/maintenanceCostService';
+import useAuth from './useAuth';
+import { useGlobalAlert } from '../contexts/GlobalAlertContext';
+
+/**
+ * Hook for fetching cost entries
+ * @param {Object} options - Query options
+ * @param {Object} options.filters - Filter parameters (requestId, scheduledMaintenanceId, propertyId, approvalStatus)
+ * @param {boolean} [options.enabled=true] - Whether to run the query
+ * @returns {Object} Query result with cost entries
+ */
+export const useCostEntries = (options = {}) => {
+  const { isAuthenticated } = useAuth();
+  const { filters = {}, enabled = true } = options;
+
+  return useQuery({
+    queryKey: ['costEntries', filters],
+    queryFn: ({ signal }) => maintenanceCostService.getCostEntries({ limit: 100, ...filters }, signal),
+    enabled: isAuthenticated && enabled,
+    select: (response) => response.data,
+  });
+};
+
+/**
+ * Hook for fetching maintenance spend per property against the annual budget
+ * @param {Object} options - Query options
+ * @param {Object} options.filters - Filter parameters (year, propertyId)
+ * @param {boolean} [options.enabled=true] - Whether to run the query
+ * @returns {Object} Query result with one spend summary per property
+ */
+export const usePropertySpendSummary = (options = {}) => {
+  const { isAuthenticated } = useAuth();
+  const { filters = {}, enabled = true } = options;
+
+  return useQuery({
+    queryKey: ['costSpendSummary', filters],
+    queryFn: ({ signal }) => maintenanceCostService.getPropertySpendSummary(filters, signal),
+    enabled: isAuthenticated && enabled,
+  });
+};
+
+/**
+ * Hook that provides cost entry operations
+ */
+export const useCostEntryMutations = () => {
+  const queryClient = useQueryClient();
+  const { showError, showSuccess } = useGlobalAlert();
+
+  const onCostsChanged = () => {
+    queryClient.invalidateQueries({ queryKey: ['costEntries'] });
+    queryClient.invalidateQueries({ queryKey: ['costSpendSummary'] });
+  };
+
+  // Record a cost
+  const createCostEntry = useMutation({
+    mutationFn: (entryData) => maintenanceCostService.createCostEntry(entryData),
+    onSuccess: (entry) => {
+      onCostsChanged();
+      showSuccess(entry?.isPending ? { key: 'alerts.maintenanceCosts.recordedPendingApproval' } : { key: 'alerts.maintenanceCosts.recorded' });
+    },
+    onError: (error) => {
+      console.error("Failed to record cost:", error);
+      showError({ key: 'alerts.maintenanceCosts.recordFailed', params: { error: error.message || error } });
+    }
+  });
+
+  // Remove a cost
+  const deleteCostEntry = useMutation({
+    mutationFn: (entryId) => maintenanceCostService.deleteCostEntry(entryId),
+    onSuccess: () => {
+      onCostsChanged();
+      showSuccess({ key: 'alerts.maintenanceCosts.deleted' });
+    },
+    onError: (error) => {
+      console.error("Failed to delete cost entry:", error);
+      showError({ key: 'alerts.maintenanceCosts.deleteFailed', params: { error: error.message || error } });
+    }
+  });
+
+  // Landlord approves a cost over the threshold
+  const approveCostEntry = useMutation({
+    mutationFn: (entryId) => maintenanceCostService.approveCostEntry(entryId),
+    onSuccess: () => {
+      onCostsChanged();
+      showSuccess({ key: 'alerts.maintenanceCosts.approved' });
+    },
+    onError: (error) => {
+      console.error("Failed to approve cost:", error);
+      showError({ key: 'alerts.maintenanceCosts.approveFailed', params: { error: error.message || error } });
+    }
+  });
+
+  // Landlord rejects a cost over the threshold
+  const rejectCostEntry = useMutation({
+    mutationFn: ({ entryId, reason }) => maintenanceCostService.rejectCostEntry(entryId, reason),
+    onSuccess: () => {
+      onCostsChanged();
+      showSuccess({ key: 'alerts.maintenanceCosts.rejected' });
+    },
+    onError: (error) => {
+      console.error("Failed to reject cost:", error);
+      showError({ key: 'alerts.maintenanceCosts.rejectFailed', params: { error: error.message || error } });
+    }
+  });
+
+  return {
+    createCostEntry: createCostEntry.mutate,
+    isCreatingCostEntry: createCostEntry.isPending,
+    deleteCostEntry: deleteCostEntry.mutate,
+    isDeletingCostEntry: deleteCostEntry.isPending,
+    approveCostEntry: approveCostEntry.mutate,
+    isApprovingCostEntry: approveCostEntry.isPending,
+    rejectCostEntry: rejectCostEntry.mutate,
+    isRejectingCostEntry: rejectCostEntry.isPending,
+  };
+};
@@ -0,0 +1,114 @@
+// src/hooks/useOnlinePayments.js
+import { useEffect } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import * as paymentService from '../services/paymentService';
+import useAuth from './useAuth';
+import { useGlobalAlert } from '../contexts/GlobalAlertContext';
+import { ONLINE_PAYMENT_STATUS } from '../utils/constants';
+
+const FINAL_STATUSES = [
+  ONLINE_PAYMENT_STATUS.SUCCEEDED,
+  ONLINE_PAYMENT_STATUS.FAILED,
+  ONLINE_PAYMENT_STATUS.CANCELED
+];
+
+/**
+ * Whether an online payment has reached a status the provider will not change again
+ * @param {Object} payment - Online payment
+ * @returns {boolean}
+ */
+export const isPaymentFinal = (payment) => FINAL_STATUSES.includes(payment?.status);
+
+/**
+ * Whether a succeeded payment still has to be recorded against its rent record by the backend
+ * @param {Object} payment - Online payment
+ * @returns {boolean}
+ */
+export const isPaymentAwaitingRecording = (payment) =>
+  payment?.status === ONLINE_PAYMENT_STATUS.SUCCEEDED && !payment.recordedAgainst;
+
+/**
+ * Hook for following an online payment. Polls while the provider is still working on it
+ * and until the backend has recorded a succeeded payment, then refreshes the rent data.
+ * @param {string} paymentId - Online payment ID
+ * @param {Object} [options={}]
+ * @param {number} [options.pollInterval=3000] - Milliseconds between status checks
+ * @returns {Object} Query result with the payment
+ */
+export const useOnlinePayment = (paymentId, options = {}) => {
+  const queryClient = useQueryClient();
+  const { isAuthenticated } = useAuth();
+  const { pollInterval = 3000 } = options;
+
+  const query = useQuery({
+    queryKey: ['onlinePayment', paymentId],
+    queryFn: ({ signal }) => paymentService.getPayment(paymentId, signal),
+    enabled: isAuthenticated && !!paymentId,
+    refetchInterval: ({ state }) => (
+      isPaymentFinal(state.data) && !isPaymentAwaitingRecording(state.data) ? false : pollInterval
+    ),
+  });
+
+  const recordedAgainst = query.data?.recordedAgainst;
+  useEffect(() => {
+    if (!recordedAgainst) return;
+    queryClient.invalidateQueries({ queryKey: ['rents'] });
+    queryClient.invalidateQueries({ queryKey: ['rent', recordedAgainst] });
+    queryClient.invalidateQueries({ queryKey: ['upcomingRents'] });
+  }, [recordedAgainst, queryClient]);
+
+  return query;
+};
+
+/**
+ * Hook that provides the tenant checkout operations
+ */
+export const useOnlinePaymentMutations = () => {
+  const queryClient = useQueryClient();
+  const { showError } = useGlobalAlert();
+
+  // Create the pending payment with the chosen provider
+  const startPayment = useMutation({
+    mutationFn: (paymentData) => paymentService.createPayment(paymentData),
+    onSuccess: (payment) => {
+      queryClient.setQueryData(['onlinePayment', payment._id], payment);
+    },
+    onError: (error) => {
+      console.error("Failed to start payment:", error);
+      showError({ key: 'alerts.payments.startFailed', params: { error: error.message || error } });
+    }
+  });
+
+  // Forward a provider callback for verification
+  const submitCallback = useMutation({
+    mutationFn: ({ paymentId, callbackData }) => paymentService.submitProviderCallback(paymentId, callbackData),
+    onSuccess: (payment) => {
+      queryClient.setQueryData(['onlinePayment', payment._id], payment);
+    },
+    onError: (error) => {
+      console.error("Failed to verify payment:", error);
+      showError({ key: 'alerts.payments.verifyFailed', params: { error: error.message || error } });
+    }
+  });
+
+  // Cancel a pending payment
+  const cancelPayment = useMutation({
+    mutationFn: (paymentId) => paymentService.cancelPayment(paymentId),
+    onSuccess: (payment) => {
+      queryClient.setQueryData(['onlinePayment', payment._id], payment);
+    },
+    onError: (error) => {
+      console.error("Failed to cancel payment:", error);
+      showError({ key: 'alerts.payments.cancelFailed', params: { error: error.message || error } });
+    }
+  });
+
+  return {
+    startPayment: startPayment.mutate,
+    isStarting: startPayment.isPending,
+    submitCallback: submitCallback.mutate,
+    isSubmittingCallback: submitCallback.isPending,
+    cancelPayment: cancelPayment.mutate,
+    isCanceling: cancelPayment.isPending
+  };
+};
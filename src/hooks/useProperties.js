@@ -21,7 +21,7 @@ export const useProperties = (options = {}) => {
     enabled: isAuthenticated,
     onError: (error) => {
       console.error("Failed to fetch properties:", error);
-      showError("Failed to load properties. " + (error.message || "Please try again."));
+      showError({ key: 'alerts.properties.loadFailed', params: { error: error.message } });
     },
     // Already properly formatted by the service
   });
@@ -42,7 +42,7 @@ export const useProperty = (propertyId) => {
     enabled: isAuthenticated && !!propertyId,
     onError: (error) => {
       console.error(`Failed to fetch property ${propertyId}:`, error);
-      showError("Failed to load property details. " + (error.message || "Please try again."));
+      showError({ key: 'alerts.properties.detailsLoadFailed', params: { error: error.message } });
     },
     select: (data) => propertyService.formatProperty(data),
   });
@@ -60,11 +60,11 @@ export const usePropertyMutations = () => {
     mutationFn: (propertyData) => propertyService.createProperty(propertyData),
     onSuccess: () => {
       queryClient.invalidateQueries({ queryKey: ['properties'] });
-      showSuccess("Property created successfully!");
+      showSuccess({ key: 'alerts.properties.created' });
     },
     onError: (error) => {
       console.error("Failed to create property:", error);
-      showError("Failed to create property. " + (error.message || "Please try again."));
+      showError({ key: 'alerts.properties.createFailed', params: { error: error.message } });
     }
   });
 
@@ -75,11 +75,11 @@ export const usePropertyMutations = () => {
     onSuccess: (data, { propertyId }) => {
       queryClient.invalidateQueries({ queryKey: ['properties'] });
       queryClient.invalidateQueries({ queryKey: ['property', propertyId] });
-      showSuccess("Property updated successfully!");
+      showSuccess({ key: 'alerts.properties.updated' });
     },
     onError: (error) => {
       console.error("Failed to update property:", error);
-      showError("Failed to update property. " + (error.message || "Please try again."));
+      showError({ key: 'alerts.properties.updateFailed', params: { error: error.message } });
     }
   });
 
@@ -89,11 +89,11 @@ export const usePropertyMutations = () => {
     onSuccess: (data, propertyId) => {
       queryClient.invalidateQueries({ queryKey: ['properties'] });
       queryClient.invalidateQueries({ queryKey: ['property', propertyId] });
-      showSuccess("Property deleted successfully!");
+      showSuccess({ key: 'alerts.properties.deleted' });
     },
     onError: (error) => {
       console.error("Failed to delete property:", error);
-      showError("Failed to delete property. " + (error.message || "Please try again."));
+      showError({ key: 'alerts.properties.deleteFailed', params: { error: error.message } });
     }
   });
 
@@ -103,11 +103,11 @@ export const usePropertyMutations = () => {
       propertyService.assignUserToProperty(propertyId, userId, roles, unitId),
     onSuccess: (data, { propertyId }) => {
       queryClient.invalidateQueries({ queryKey: ['property', propertyId] });
-      showSuccess("User assigned successfully!");
+      showSuccess({ key: 'alerts.properties.userAssigned' });
     },
     onError: (error) => {
       console.error("Failed to assign user:", error);
-      showError("Failed to assign user. " + (error.message || "Please try again."));
+      showError({ key: 'alerts.properties.userAssignFailed', params: { error: error.message } });
     }
   });
 
@@ -117,11 +117,11 @@ export const usePropertyMutations = () => {
       propertyService.removeUserFromProperty(propertyId, userId, roles, unitId),
     onSuccess: (data, { propertyId }) => {
       queryClient.invalidateQueries({ queryKey: ['property', propertyId] });
-      showSuccess("User removed successfully!");
+      showSuccess({ key: 'alerts.properties.userRemoved' });
     },
     onError: (error) => {
       console.error("Failed to remove user:", error);
-      showError("Failed to remove user. " + (error.message || "Please try again."));
+      showError({ key: 'alerts.properties.userRemoveFailed', params: { error: error.message } });
     }
   });
 
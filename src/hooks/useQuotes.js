@@ -0,0 +1,116 @@
+// src/hooks/useQuotes.js
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import * as quoteService from '../services/quoteService';
+import useAuth from './useAuth';
+import { useGlobalAlert } from '../contexts/GlobalAlertContext';
+
+/**
+ * Hook for fetching quotes
+ * @param {Object} options - Query options
+ * @param {Object} options.filters - Filter parameters (requestId, status)
+ * @param {boolean} [options.enabled=true] - Whether to run the query
+ * @returns {Object} Query result with quotes
+ */
+export const useQuotes = (options = {}) => {
+  const { isAuthenticated } = useAuth();
+  const { filters = {}, enabled = true } = options;
+
+  return useQuery({
+    queryKey: ['quotes', filters],
+    queryFn: ({ signal }) => quoteService.getQuotes({ limit: 100, ...filters }, signal),
+    enabled: isAuthenticated && enabled,
+    select: (response) => response.data,
+  });
+};
+
+/**
+ * Hook that provides quote operations for managers and vendors
+ */
+export const useQuoteMutations = () => {
+  const queryClient = useQueryClient();
+  const { showError, showSuccess } = useGlobalAlert();
+
+  const onQuotesChanged = () => {
+    queryClient.invalidateQueries({ queryKey: ['quotes'] });
+  };
+
+  // Invite vendors to quote
+  const requestQuotes = useMutation({
+    mutationFn: (solicitation) => quoteService.requestQuotes(solicitation),
+    onSuccess: (quotes) => {
+      onQuotesChanged();
+      showSuccess({ key: 'alerts.quotes.requested', params: { count: quotes.length } });
+    },
+    onError: (error) => {
+      console.error("Failed to request quotes:", error);
+      showError({ key: 'alerts.quotes.requestFailed', params: { error: error.message || error } });
+    }
+  });
+
+  // Vendor submits or revises a bid
+  const submitQuote = useMutation({
+    mutationFn: ({ quoteId, bid }) => quoteService.submitQuote(quoteId, bid),
+    onSuccess: () => {
+      onQuotesChanged();
+      showSuccess({ key: 'alerts.quotes.submitted' });
+    },
+    onError: (error) => {
+      console.error("Failed to submit quote:", error);
+      showError({ key: 'alerts.quotes.submitFailed', params: { error: error.message || error } });
+    }
+  });
+
+  // Vendor declines to bid
+  const declineQuote = useMutation({
+    mutationFn: ({ quoteId, reason }) => quoteService.declineQuote(quoteId, reason),
+    onSuccess: () => {
+      onQuotesChanged();
+      showSuccess({ key: 'alerts.quotes.declined' });
+    },
+    onError: (error) => {
+      console.error("Failed to decline quote:", error);
+      showError({ key: 'alerts.quotes.declineFailed', params: { error: error.message || error } });
+    }
+  });
+
+  // Approve a bid, which assigns the request to the vendor
+  const approveQuote = useMutation({
+    mutationFn: ({ quoteId, notes }) => quoteService.approveQuote(quoteId, { notes }),
+    onSuccess: ({ quote }) => {
+      onQuotesChanged();
+      showSuccess(quote?.vendorName
+        ? { key: 'alerts.quotes.approved', params: { vendor: quote.vendorName } }
+        : { key: 'alerts.quotes.approvedUnnamed' });
+    },
+    onError: (error) => {
+      console.error("Failed to approve quote:", error);
+      showError({ key: 'alerts.quotes.approveFailed', params: { error: error.message || error } });
+    }
+  });
+
+  // Withdraw an open invitation
+  const withdrawQuote = useMutation({
+    mutationFn: (quoteId) => quoteService.withdrawQuote(quoteId),
+    onSuccess: () => {
+      onQuotesChanged();
+      showSuccess({ key: 'alerts.quotes.withdrawn' });
+    },
+    onError: (error) => {
+      console.error("Failed to withdraw quote:", error);
+      showError({ key: 'alerts.quotes.withdrawFailed', params: { error: error.message || error } });
+    }
+  });
+
+  return {
+    requestQuotes: requestQuotes.mutate,
+    isRequestingQuotes: requestQuotes.isPending,
+    submitQuote: submitQuote.mutate,
+    isSubmittingQuote: submitQuote.isPending,
+    declineQuote: declineQuote.mutate,
+    isDecliningQuote: declineQuote.isPending,
+    approveQuote: approveQuote.mutate,
+    isApprovingQuote: approveQuote.isPending,
+    withdrawQuote: withdrawQuote.mutate,
+    isWithdrawingQuote: withdrawQuote.isPending,
+  };
+};
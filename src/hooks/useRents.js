@@ -48,7 +48,7 @@ export const useRent = (rentId) => {
     select: (response) => response.data,
     onError: (error) => {
       console.error(`Failed to fetch rent record ${rentId}:`, error);
-      showError("Failed to load rent record. " + (error.message || "Please try again."));
+      showError({ key: 'alerts.rents.loadFailed', params: { error: error.message } });
     }
   });
 };
@@ -93,6 +93,24 @@ export const useRentSchedules = (options = {}) => {
   });
 };
 
+/**
+ * Hook for fetching the full rent history (unpaginated), e.g. for a lease ledger
+ * @param {Object} options - Query options
+ * @param {Object} options.filters - Filter parameters such as leaseId or tenantId
+ * @returns {Object} Query result with rent records
+ */
+export const useRentHistory = (options = {}) => {
+  const { isAuthenticated } = useAuth();
+  const { filters = {} } = options;
+
+  return useQuery({
+    queryKey: ['rentHistory', filters],
+    queryFn: ({ signal }) => rentService.getRentHistory(filters, signal),
+    enabled: isAuthenticated && Object.values(filters).some(Boolean),
+    select: (response) => response.data || [],
+  });
+};
+
 /**
  * Hook that provides rent record mutation operations
  */
@@ -106,11 +124,11 @@ export const useRentMutations = () => {
     onSuccess: () => {
       queryClient.invalidateQueries({ queryKey: ['rents'] });
       queryClient.invalidateQueries({ queryKey: ['upcomingRents'] });
-      showSuccess("Rent record created successfully!");
+      showSuccess({ key: 'alerts.rents.created' });
     },
     onError: (error) => {
       console.error("Failed to create rent record:", error);
-      showError("Failed to create rent record. " + (error.message || "Please try again."));
+      showError({ key: 'alerts.rents.createFailed', params: { error: error.message } });
     }
   });
 
@@ -122,11 +140,11 @@ export const useRentMutations = () => {
       queryClient.invalidateQueries({ queryKey: ['rents'] });
       queryClient.invalidateQueries({ queryKey: ['rent', rentId] });
       queryClient.invalidateQueries({ queryKey: ['upcomingRents'] });
-      showSuccess("Rent record updated successfully!");
+      showSuccess({ key: 'alerts.rents.updated' });
     },
     onError: (error) => {
       console.error("Failed to update rent record:", error);
-      showError("Failed to update rent record. " + (error.message || "Please try again."));
+      showError({ key: 'alerts.rents.updateFailed', params: { error: error.message } });
     }
   });
 
@@ -136,11 +154,11 @@ export const useRentMutations = () => {
     onSuccess: (data, rentId) => {
       queryClient.invalidateQueries({ queryKey: ['rents'] });
       queryClient.invalidateQueries({ queryKey: ['rent', rentId] });
-      showSuccess("Rent record deleted successfully!");
+      showSuccess({ key: 'alerts.rents.deleted' });
     },
     onError: (error) => {
       console.error("Failed to delete rent record:", error);
-      showError("Failed to delete rent record. " + (error.message || "Please try again."));
+      showError({ key: 'alerts.rents.deleteFailed', params: { error: error.message } });
     }
   });
 
@@ -152,11 +170,12 @@ export const useRentMutations = () => {
       queryClient.invalidateQueries({ queryKey: ['rents'] });
       queryClient.invalidateQueries({ queryKey: ['rent', rentId] });
       queryClient.invalidateQueries({ queryKey: ['upcomingRents'] });
-      showSuccess("Payment recorded successfully!");
+      queryClient.invalidateQueries({ queryKey: ['rentHistory'] });
+      showSuccess({ key: 'alerts.rents.paymentRecorded' });
     },
     onError: (error) => {
       console.error("Failed to record payment:", error);
-      showError("Failed to record payment. " + (error.message || "Please try again."));
+      showError({ key: 'alerts.rents.paymentRecordFailed', params: { error: error.message } });
     }
   });
 
@@ -166,11 +185,41 @@ export const useRentMutations = () => {
       rentService.uploadPaymentProof(rentId, file, metadata),
     onSuccess: (data, { rentId }) => {
       queryClient.invalidateQueries({ queryKey: ['rent', rentId] });
-      showSuccess("Payment proof uploaded successfully!");
+      showSuccess({ key: 'alerts.rents.proofUploaded' });
     },
     onError: (error) => {
       console.error("Failed to upload payment proof:", error);
-      showError("Failed to upload payment proof. " + (error.message || "Please try again."));
+      showError({ key: 'alerts.rents.proofUploadFailed', params: { error: error.message } });
+    }
+  });
+
+  // Post accrued late fee mutation
+  const assessLateFee = useMutation({
+    mutationFn: ({ rentId, feeData }) => rentService.assessLateFee(rentId, feeData),
+    onSuccess: (data, { rentId }) => {
+      queryClient.invalidateQueries({ queryKey: ['rents'] });
+      queryClient.invalidateQueries({ queryKey: ['rent', rentId] });
+      queryClient.invalidateQueries({ queryKey: ['rentHistory'] });
+      showSuccess({ key: 'alerts.rents.lateFeePosted' });
+    },
+    onError: (error) => {
+      console.error("Failed to post late fee:", error);
+      showError({ key: 'alerts.rents.lateFeePostFailed', params: { error: error.message } });
+    }
+  });
+
+  // Waive late fee mutation
+  const waiveLateFee = useMutation({
+    mutationFn: ({ rentId, waiverData }) => rentService.waiveLateFee(rentId, waiverData),
+    onSuccess: (data, { rentId }) => {
+      queryClient.invalidateQueries({ queryKey: ['rents'] });
+      queryClient.invalidateQueries({ queryKey: ['rent', rentId] });
+      queryClient.invalidateQueries({ queryKey: ['rentHistory'] });
+      showSuccess({ key: 'alerts.rents.lateFeeWaived' });
+    },
+    onError: (error) => {
+      console.error("Failed to waive late fee:", error);
+      showError({ key: 'alerts.rents.lateFeeWaiveFailed', params: { error: error.message } });
     }
   });
 
@@ -184,7 +233,11 @@ export const useRentMutations = () => {
     recordPayment: recordPayment.mutate,
     isRecordingPayment: recordPayment.isPending,
     uploadProof: uploadProof.mutate,
-    isUploading: uploadProof.isPending
+    isUploading: uploadProof.isPending,
+    assessLateFee: assessLateFee.mutate,
+    isAssessingLateFee: assessLateFee.isPending,
+    waiveLateFee: waiveLateFee.mutate,
+    isWaivingLateFee: waiveLateFee.isPending
   };
 };
 
@@ -200,11 +253,11 @@ export const useRentScheduleMutations = () => {
     mutationFn: (scheduleData) => rentService.createRentSchedule(scheduleData),
     onSuccess: () => {
       queryClient.invalidateQueries({ queryKey: ['rentSchedules'] });
-      showSuccess("Rent schedule created successfully!");
+      showSuccess({ key: 'alerts.rents.scheduleCreated' });
     },
     onError: (error) => {
       console.error("Failed to create rent schedule:", error);
-      showError("Failed to create rent schedule. " + (error.message || "Please try again."));
+      showError({ key: 'alerts.rents.scheduleCreateFailed', params: { error: error.message } });
     }
   });
 
@@ -214,11 +267,11 @@ export const useRentScheduleMutations = () => {
       rentService.updateRentSchedule(scheduleId, updateData),
     onSuccess: () => {
       queryClient.invalidateQueries({ queryKey: ['rentSchedules'] });
-      showSuccess("Rent schedule updated successfully!");
+      showSuccess({ key: 'alerts.rents.scheduleUpdated' });
     },
     onError: (error) => {
       console.error("Failed to update rent schedule:", error);
-      showError("Failed to update rent schedule. " + (error.message || "Please try again."));
+      showError({ key: 'alerts.rents.scheduleUpdateFailed', params: { error: error.message } });
     }
   });
 
@@ -227,11 +280,11 @@ export const useRentScheduleMutations = () => {
     mutationFn: (scheduleId) => rentService.deleteRentSchedule(scheduleId),
     onSuccess: () => {
       queryClient.invalidateQueries({ queryKey: ['rentSchedules'] });
-      showSuccess("Rent schedule deleted successfully!");
+      showSuccess({ key: 'alerts.rents.scheduleDeleted' });
     },
     onError: (error) => {
       console.error("Failed to delete rent schedule:", error);
-      showError("Failed to delete rent schedule. " + (error.message || "Please try again."));
+      showError({ key: 'alerts.rents.scheduleDeleteFailed', params: { error: error.message } });
     }
   });
 
@@ -241,11 +294,11 @@ export const useRentScheduleMutations = () => {
     onSuccess: (data) => {
       queryClient.invalidateQueries({ queryKey: ['rents'] });
       queryClient.invalidateQueries({ queryKey: ['upcomingRents'] });
-      showSuccess(`Rent generation completed successfully! Generated: ${data.generated || 0}, Skipped: ${data.skipped || 0}`);
+      showSuccess({ key: 'alerts.rents.generated', params: { generated: data.generated || 0, skipped: data.skipped || 0 } });
     },
     onError: (error) => {
       console.error("Failed to generate rent records:", error);
-      showError("Failed to generate rent records. " + (error.message || "Please try again."));
+      showError({ key: 'alerts.rents.generateFailed', params: { error: error.message } });
     }
   });
 
@@ -272,11 +325,11 @@ export const useRentUtils = () => {
     try {
       const downloadInfo = await rentService.getPaymentProofDownloadInfo(rentId);
       await rentService.downloadPaymentProof(downloadInfo.downloadUrl, downloadInfo.fileName);
-      showSuccess("Download started!");
+      showSuccess({ key: 'alerts.rents.downloadStarted' });
       return true;
     } catch (error) {
       console.error("Failed to download payment proof:", error);
-      showError("Failed to download payment proof. " + (error.message || "Please try again."));
+      showError({ key: 'alerts.rents.proofDownloadFailed', params: { error: error.message } });
       return false;
     }
   };
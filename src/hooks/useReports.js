@@ -0,0 +1,227 @@
+// src/hooks/useReports.js
+import { useQuery, useMutation, useQueryClient, keepPreviousData } from '@tanstack/react-query';
+import * as reportService from '../services/reportService';
+import useAuth from './useAuth';
+import { useGlobalAlert } from '../contexts/GlobalAlertContext';
+
+/**
+ * Hook for the reports dashboard headline figures
+ * @param {Object} options - Query options
+ * @param {Object} options.filters - Filter parameters (propertyId, startDate, endDate)
+ * @returns {Object} Query result with the summary figures
+ */
+export const useReportSummary = (options = {}) => {
+  const { isAuthenticated } = useAuth();
+  const { filters = {} } = options;
+
+  return useQuery({
+    queryKey: ['reportSummary', filters],
+    queryFn: ({ signal }) => reportService.getReportSummary(filters, signal),
+    enabled: isAuthenticated,
+  });
+};
+
+/**
+ * Hook for running a custom report definition. Keeps the last result on screen while a
+ * changed definition runs, so the result carries the definition it was run with.
+ * @param {Object|null} definition - Definition to run; nothing runs while null
+ * @returns {Object} Query result with { rows, totals, truncated, currency, definition }
+ */
+export const useCustomReport = (definition) => {
+  const { isAuthenticated } = useAuth();
+
+  return useQuery({
+    queryKey: ['customReport', definition],
+    queryFn: async ({ signal }) => ({
+      ...(await reportService.runCustomReport(definition, signal)),
+      definition,
+    }),
+    enabled: isAuthenticated && !!definition,
+    placeholderData: keepPreviousData,
+  });
+};
+
+/**
+ * Hook for fetching saved custom report definitions
+ * @returns {Object} Query result with saved reports
+ */
+export const useSavedReports = () => {
+  const { isAuthenticated } = useAuth();
+
+  return useQuery({
+    queryKey: ['savedReports'],
+    queryFn: ({ signal }) => reportService.getSavedReports({}, signal),
+    enabled: isAuthenticated,
+  });
+};
+
+/**
+ * Hook that provides saved report operations
+ */
+export const useSavedReportMutations = () => {
+  const queryClient = useQueryClient();
+  const { showError, showSuccess } = useGlobalAlert();
+
+  const onReportsChanged = () => {
+    queryClient.invalidateQueries({ queryKey: ['savedReports'] });
+  };
+
+  // Save a new report
+  const createReport = useMutation({
+    mutationFn: (definition) => reportService.createSavedReport(definition),
+    onSuccess: () => {
+      onReportsChanged();
+      showSuccess({ key: 'alerts.reports.saved' });
+    },
+    onError: (error) => {
+      console.error("Failed to save report:", error);
+      showError({ key: 'alerts.reports.saveFailed', params: { error: error.message || error } });
+    }
+  });
+
+  // Overwrite a saved report
+  const updateReport = useMutation({
+    mutationFn: ({ reportId, updates }) => reportService.updateSavedReport(reportId, updates),
+    onSuccess: () => {
+      onReportsChanged();
+      showSuccess({ key: 'alerts.reports.updated' });
+    },
+    onError: (error) => {
+      console.error("Failed to update report:", error);
+      showError({ key: 'alerts.reports.updateFailed', params: { error: error.message || error } });
+    }
+  });
+
+  // Delete a saved report
+  const deleteReport = useMutation({
+    mutationFn: (reportId) => reportService.deleteSavedReport(reportId),
+    onSuccess: () => {
+      onReportsChanged();
+      showSuccess({ key: 'alerts.reports.deleted' });
+    },
+    onError: (error) => {
+      console.error("Failed to delete report:", error);
+      showError({ key: 'alerts.reports.deleteFailed', params: { error: error.message || error } });
+    }
+  });
+
+  return {
+    createReport: createReport.mutate,
+    isCreatingReport: createReport.isPending,
+    updateReport: updateReport.mutate,
+    isUpdatingReport: updateReport.isPending,
+    deleteReport: deleteReport.mutate,
+    isDeletingReport: deleteReport.isPending,
+  };
+};
+
+/**
+ * Hook for fetching the current user's report subscriptions
+ * @returns {Object} Query result with subscriptions
+ */
+export const useReportSubscriptions = () => {
+  const { isAuthenticated } = useAuth();
+
+  return useQuery({
+    queryKey: ['reportSubscriptions'],
+    queryFn: ({ signal }) => reportService.getReportSubscriptions({}, signal),
+    enabled: isAuthenticated,
+  });
+};
+
+/**
+ * Hook for the report subscription delivery log
+ * @param {Object} options - Query options
+ * @param {Object} options.filters - Filter parameters (subscriptionId, status, page, limit)
+ * @returns {Object} Query result with { data, total, page, pages }
+ */
+export const useReportDeliveries = (options = {}) => {
+  const { isAuthenticated } = useAuth();
+  const { filters = {} } = options;
+
+  return useQuery({
+    queryKey: ['reportDeliveries', filters],
+    queryFn: ({ signal }) => reportService.getReportDeliveries(filters, signal),
+    enabled: isAuthenticated,
+    placeholderData: keepPreviousData,
+  });
+};
+
+/**
+ * Hook that provides report subscription operations
+ */
+export const useReportSubscriptionMutations = () => {
+  const queryClient = useQueryClient();
+  const { showError, showSuccess } = useGlobalAlert();
+
+  const onSubscriptionsChanged = () => {
+    queryClient.invalidateQueries({ queryKey: ['reportSubscriptions'] });
+  };
+
+  // Create a subscription
+  const createSubscription = useMutation({
+    mutationFn: (subscriptionData) => reportService.createReportSubscription(subscriptionData),
+    onSuccess: () => {
+      onSubscriptionsChanged();
+      showSuccess({ key: 'alerts.reports.subscriptionCreated' });
+    },
+    onError: (error) => {
+      console.error("Failed to create report subscription:", error);
+      showError({ key: 'alerts.reports.subscriptionCreateFailed', params: { error: error.message || error } });
+    }
+  });
+
+  // Update (or pause/resume) a subscription
+  const updateSubscription = useMutation({
+    mutationFn: ({ subscriptionId, updates }) => reportService.updateReportSubscription(subscriptionId, updates),
+    onSuccess: () => {
+      onSubscriptionsChanged();
+      showSuccess({ key: 'alerts.reports.subscriptionUpdated' });
+    },
+    onError: (error) => {
+      console.error("Failed to update report subscription:", error);
+      showError({ key: 'alerts.reports.subscriptionUpdateFailed', params: { error: error.message || error } });
+    }
+  });
+
+  // Delete a subscription
+  const deleteSubscription = useMutation({
+    mutationFn: (subscriptionId) => reportService.deleteReportSubscription(subscriptionId),
+    onSuccess: () => {
+      onSubscriptionsChanged();
+      showSuccess({ key: 'alerts.reports.subscriptionDeleted' });
+    },
+    onError: (error) => {
+      console.error("Failed to delete report subscription:", error);
+      showError({ key: 'alerts.reports.subscriptionDeleteFailed', params: { error: error.message || error } });
+    }
+  });
+
+  // Send a subscription's report right away
+  const sendNow = useMutation({
+    mutationFn: (subscriptionId) => reportService.sendReportSubscriptionNow(subscriptionId),
+    onSuccess: () => {
+      onSubscriptionsChanged();
+      queryClient.invalidateQueries({ queryKey: ['reportDeliveries'] });
+      showSuccess({ key: 'alerts.reports.sent' });
+    },
+    onError: (error) => {
+      // A failed send is still logged
+      queryClient.invalidateQueries({ queryKey: ['reportDeliveries'] });
+      console.error("Failed to send report:", error);
+      showError({ key: 'alerts.reports.sendFailed', params: { error: error.message || error } });
+    }
+  });
+
+  return {
+    createSubscription: createSubscription.mutate,
+    isCreatingSubscription: createSubscription.isPending,
+    updateSubscription: updateSubscription.mutate,
+    isUpdatingSubscription: updateSubscription.isPending,
+    deleteSubscription: deleteSubscription.mutate,
+    isDeletingSubscription: deleteSubscription.isPending,
+    sendNow: sendNow.mutate,
+    isSendingNow: sendNow.isPending,
+    sendingSubscriptionId: sendNow.isPending ? sendNow.variables : null,
+  };
+};
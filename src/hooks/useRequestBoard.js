@@ -0,0 +1,90 @@
+// src/hooks/useRequestBoard.js
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import * as requestService from '../services/requestService';
+import useAuth from './useAuth';
+import { useGlobalAlert } from '../contexts/GlobalAlertContext';
+import { REQUEST_STATUSES } from '../utils/constants';
+
+// The board loads matching requests in one go rather than paging; beyond this it shows
+// a notice asking to narrow the filters
+const BOARD_LIMIT = 500;
+
+/**
+ * Hook for fetching the requests shown on the Kanban board
+ * @param {Object} options - Query options
+ * @param {Object} options.filters - Filter parameters (propertyId, search, createdBy, ...)
+ * @returns {Object} Query result with { requests, total }; total counts every match, not just those loaded
+ */
+export const useRequestBoard = (options = {}) => {
+  const { isAuthenticated } = useAuth();
+  const { filters = {} } = options;
+
+  return useQuery({
+    queryKey: ['requestBoard', filters],
+    queryFn: ({ signal }) => requestService.getAllRequests({ ...filters, limit: BOARD_LIMIT }, signal),
+    enabled: isAuthenticated,
+    select: (response) => ({ requests: response.requests || [], total: response.total || 0 }),
+  });
+};
+
+/**
+ * Calls the endpoint that moves a request into a status. Moves to assigned, verified,
+ * reopened and archived go through their own endpoints; the rest are plain status updates.
+ * @param {Object} move - { requestId, status, assignment }
+ * @returns {Promise<Object>} Updated request
+ */
+const moveRequest = ({ requestId, status, assignment }) => {
+  switch (status) {
+    case REQUEST_STATUSES.ASSIGNED: return requestService.assignRequest(requestId, assignment);
+    case REQUEST_STATUSES.VERIFIED: return requestService.verifyRequest(requestId);
+    case REQUEST_STATUSES.REOPENED: return requestService.reopenRequest(requestId);
+    case REQUEST_STATUSES.ARCHIVED: return requestService.archiveRequest(requestId);
+    default: return requestService.updateRequest(requestId, { status });
+  }
+};
+
+/**
+ * Hook for moving a request between board columns. The card moves straight away and
+ * goes back to its old column if the server rejects the change.
+ */
+export const useMoveRequest = () => {
+  const queryClient = useQueryClient();
+  const { showError, showSuccess } = useGlobalAlert();
+
+  const mutation = useMutation({
+    mutationFn: moveRequest,
+    onMutate: async ({ requestId, status, assignee }) => {
+      await queryClient.cancelQueries({ queryKey: ['requestBoard'] });
+      const previousBoards = queryClient.getQueriesData({ queryKey: ['requestBoard'] });
+
+      queryClient.setQueriesData({ queryKey: ['requestBoard'] }, (board) => board && {
+        ...board,
+        requests: board.requests.map(request => (
+          request._id === requestId
+            ? { ...request, status, ...(assignee ? { assignedTo: assignee.assignedTo, assignedToModel: assignee.assignedToModel } : {}) }
+            : request
+        ))
+      });
+
+      return { previousBoards };
+    },
+    onSuccess: (updated) => {
+      showSuccess(updated?.title
+        ? { key: 'alerts.requests.moved', params: { title: updated.title } }
+        : { key: 'alerts.requests.movedUntitled' });
+    },
+    onError: (error, _move, context) => {
+      context?.previousBoards?.forEach(([queryKey, board]) => queryClient.setQueryData(queryKey, board));
+      console.error("Failed to move request:", error);
+      showError({ key: 'alerts.requests.moveFailed', params: { error: error.message || error } });
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: ['requestBoard'] });
+    }
+  });
+
+  return {
+    moveRequest: mutation.mutate,
+    isMovingRequest: mutation.isPending,
+  };
+};
@@ -0,0 +1,99 @@
+// src/hooks/useRequestOutbox.js
+import { useState, useEffect, useCallback } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import useAuth from './useAuth';
+import { useGlobalAlert } from '../contexts/GlobalAlertContext';
+import * as requestOutbox from '../utils/requestOutbox';
+
+/**
+ * Hook exposing the offline maintenance request outbox for the current user.
+ * Replays queued requests on mount and whenever the browser comes back online.
+ * @param {Object} [options={}] - Hook options
+ * @param {boolean} [options.autoSync=true] - Whether this instance triggers syncs
+ * @returns {Object} Outbox entries, online state and actions
+ */
+export const useRequestOutbox = (options = {}) => {
+  const { autoSync = true } = options;
+  const { user } = useAuth();
+  const { showSuccess, showError } = useGlobalAlert();
+  const queryClient = useQueryClient();
+  const userId = user?._id;
+
+  const [entries, setEntries] = useState([]);
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+  const [isSyncing, setIsSyncing] = useState(false);
+
+  const loadEntries = useCallback(async () => {
+    if (!userId) {
+      setEntries([]);
+      return;
+    }
+    try {
+      setEntries(await requestOutbox.getOutboxEntries(userId));
+    } catch (error) {
+      console.error("Failed to read request outbox:", error);
+    }
+  }, [userId]);
+
+  const syncNow = useCallback(async () => {
+    if (!userId || !navigator.onLine) return;
+    setIsSyncing(true);
+    try {
+      const { synced, failed } = await requestOutbox.syncOutbox(userId);
+      if (synced.length > 0) {
+        queryClient.invalidateQueries({ queryKey: ['maintenanceRequests'] });
+        showSuccess({ key: 'alerts.requests.offlineSynced', params: { count: synced.length } });
+      }
+      if (failed.length > 0) {
+        showError({ key: 'alerts.requests.offlineRejected', params: { count: failed.length } });
+      }
+    } catch (error) {
+      console.error("Failed to sync request outbox:", error);
+    } finally {
+      setIsSyncing(false);
+    }
+  }, [userId, queryClient, showSuccess, showError]);
+
+  // Keep entries in sync with outbox changes from any component
+  useEffect(() => {
+    loadEntries();
+    return requestOutbox.subscribeToOutbox(() => loadEntries());
+  }, [loadEntries]);
+
+  useEffect(() => {
+    const handleOnline = () => {
+      setIsOnline(true);
+      if (autoSync) syncNow();
+    };
+    const handleOffline = () => setIsOnline(false);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    if (autoSync) syncNow();
+
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [autoSync, syncNow]);
+
+  const retryEntry = useCallback(async (entry) => {
+    await requestOutbox.retryOutboxEntry(entry);
+    syncNow();
+  }, [syncNow]);
+
+  const discardEntry = useCallback((localId) => requestOutbox.removeFromOutbox(localId), []);
+
+  return {
+    entries,
+    pendingCount: entries.filter(e => e.status !== requestOutbox.OUTBOX_STATUS.FAILED).length,
+    failedCount: entries.filter(e => e.status === requestOutbox.OUTBOX_STATUS.FAILED).length,
+    isOnline,
+    isSyncing,
+    syncNow,
+    retryEntry,
+    discardEntry
+  };
+};
+
+export default useRequestOutbox;
@@ -7,7 +7,7 @@ import { USER_ROLES } from '../utils/constants';
 
 /**
  * Custom hook to get role-based paths for navigation
- * Automatically determines the current base path (e.g., /admin, /pm, /landlord, /tenant)
+ * Automatically determines the current base path (e.g., /admin, /pm, /landlord, /tenant, /vendor)
  * and provides methods to generate correct paths for shared components
  */
 const useRoleBasedPath = () => {
@@ -20,7 +20,7 @@ const useRoleBasedPath = () => {
     const pathParts = pathname.split('/');
     if (pathParts.length > 1) {
       const firstSegment = pathParts[1].toLowerCase();
-      if (['admin', 'pm', 'landlord', 'tenant'].includes(firstSegment)) {
+      if (['admin', 'pm', 'landlord', 'tenant', 'vendor'].includes(firstSegment)) {
         return `/${firstSegment}`;
       }
     }
@@ -36,6 +36,8 @@ const useRoleBasedPath = () => {
           return '/landlord';
         case USER_ROLES.TENANT:
           return '/tenant';
+        case USER_ROLES.VENDOR:
+          return '/vendor';
         default:
           return '';
       }
@@ -0,0 +1,28 @@
+// frontend/src/hooks/useServiceWorker.js
+
+// Registers the PWA service worker and surfaces "update available" through the global alert.
+
+import { useEffect } from 'react';
+import { useGlobalAlert } from '../contexts/GlobalAlertContext.jsx';
+import { registerServiceWorker, applyServiceWorkerUpdate } from '../utils/serviceWorkerRegistration.js';
+
+/**
+ * Custom hook that registers the service worker once and prompts the user
+ * to reload when a new version of the app has been downloaded.
+ */
+const useServiceWorker = () => {
+    const { showAlert } = useGlobalAlert();
+
+    useEffect(() => {
+        return registerServiceWorker({
+            onUpdateAvailable: (registration) => {
+                showAlert({ key: 'alerts.updateAvailable' }, 'info', null, {
+                    label: { key: 'alerts.reload' },
+                    onClick: () => applyServiceWorkerUpdate(registration),
+                });
+            },
+        });
+    }, [showAlert]);
+};
+
+export default useServiceWorker;
@@ -0,0 +1,157 @@
+// src/hooks/useSignatures.js
+import { useMemo } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import * as signatureService from '../services/signatureService';
+import useAuth from './useAuth';
+import { useGlobalAlert } from '../contexts/GlobalAlertContext';
+import { SIGNATURE_DOCUMENT_TYPES, SIGNATURE_REQUEST_STATUS } from '../utils/constants';
+
+/**
+ * Hook for fetching signature requests
+ * @param {Object} options - Query options
+ * @param {Object} options.filters - Filter parameters (documentType, resourceId, signerId)
+ * @returns {Object} Query result with signature requests
+ */
+export const useSignatureRequests = (options = {}) => {
+  const { isAuthenticated } = useAuth();
+  const { filters = {} } = options;
+
+  return useQuery({
+    queryKey: ['signatureRequests', filters],
+    queryFn: ({ signal }) => signatureService.getSignatureRequests({ limit: 100, ...filters }, signal),
+    enabled: isAuthenticated,
+    select: (response) => response.data,
+  });
+};
+
+/**
+ * Latest signature request per lease or onboarding document, for showing signing status in lists
+ * @param {string} documentType - One of SIGNATURE_DOCUMENT_TYPES
+ * @returns {Object} Map of resource ID to its most recent signature request
+ */
+export const useSignatureStatusByResource = (documentType) => {
+  const { data: requests = [] } = useSignatureRequests({ filters: { documentType } });
+
+  return useMemo(() => requests.reduce((byResource, request) => {
+    const current = byResource[request.resourceId];
+    if (!current || new Date(request.createdAt) > new Date(current.createdAt)) {
+      byResource[request.resourceId] = request;
+    }
+    return byResource;
+  }, {}), [requests]);
+};
+
+/**
+ * Hook for fetching a single signature request
+ * @param {string} requestId - Signature request ID
+ * @returns {Object} Query result with the signature request
+ */
+export const useSignatureRequest = (requestId) => {
+  const { isAuthenticated } = useAuth();
+
+  return useQuery({
+    queryKey: ['signatureRequest', requestId],
+    queryFn: ({ signal }) => signatureService.getSignatureRequestById(requestId, signal),
+    enabled: isAuthenticated && !!requestId,
+  });
+};
+
+/**
+ * Hook that provides the signing operations
+ */
+export const useSignatureMutations = () => {
+  const queryClient = useQueryClient();
+  const { showError, showSuccess } = useGlobalAlert();
+
+  const onRequestChanged = (request) => {
+    queryClient.setQueryData(['signatureRequest', request._id], request);
+    queryClient.invalidateQueries({ queryKey: ['signatureRequests'] });
+    if (request.documentType === SIGNATURE_DOCUMENT_TYPES.LEASE) {
+      queryClient.invalidateQueries({ queryKey: ['lease', request.resourceId] });
+    }
+  };
+
+  // Send a document out for signature
+  const sendForSignature = useMutation({
+    mutationFn: (requestData) => signatureService.createSignatureRequest(requestData),
+    onSuccess: (request) => {
+      onRequestChanged(request);
+      showSuccess({ key: 'alerts.signatures.sent' });
+    },
+    onError: (error) => {
+      console.error("Failed to send document for signature:", error);
+      showError({ key: 'alerts.signatures.sendFailed', params: { error: error.message || error } });
+    }
+  });
+
+  // Sign as the current user; the backend files the signed copy after the last signature
+  const sign = useMutation({
+    mutationFn: ({ requestId, signature }) => signatureService.signDocument(requestId, signature),
+    onSuccess: (request) => {
+      onRequestChanged(request);
+      if (request.status !== SIGNATURE_REQUEST_STATUS.COMPLETED) {
+        showSuccess({ key: 'alerts.signatures.signed' });
+      } else if (request.storedDocumentId) {
+        showSuccess({ key: 'alerts.signatures.completed' });
+      } else {
+        showError({ key: 'alerts.signatures.completedWithoutCopy' });
+      }
+    },
+    onError: (error) => {
+      console.error("Failed to sign document:", error);
+      showError({ key: 'alerts.signatures.signFailed', params: { error: error.message || error } });
+    }
+  });
+
+  // Retry filing the signed copy when it failed after the last signature
+  const retryStoreSignedCopy = useMutation({
+    mutationFn: (request) => signatureService.storeSignedCopy(request._id),
+    onSuccess: (request) => {
+      onRequestChanged(request);
+      showSuccess({ key: 'alerts.signatures.copySaved' });
+    },
+    onError: (error) => {
+      console.error("Failed to save signed copy:", error);
+      showError({ key: 'alerts.signatures.copySaveFailed', params: { error: error.message || error } });
+    }
+  });
+
+  // Decline to sign
+  const decline = useMutation({
+    mutationFn: ({ requestId, reason }) => signatureService.declineSignature(requestId, reason),
+    onSuccess: (request) => {
+      onRequestChanged(request);
+      showSuccess({ key: 'alerts.signatures.declined' });
+    },
+    onError: (error) => {
+      console.error("Failed to decline signature:", error);
+      showError({ key: 'alerts.signatures.declineFailed', params: { error: error.message || error } });
+    }
+  });
+
+  // Cancel an open request
+  const cancelRequest = useMutation({
+    mutationFn: (requestId) => signatureService.cancelSignatureRequest(requestId),
+    onSuccess: (request) => {
+      onRequestChanged(request);
+      showSuccess({ key: 'alerts.signatures.canceled' });
+    },
+    onError: (error) => {
+      console.error("Failed to cancel signature request:", error);
+      showError({ key: 'alerts.signatures.cancelFailed', params: { error: error.message || error } });
+    }
+  });
+
+  return {
+    sendForSignature: sendForSignature.mutate,
+    isSending: sendForSignature.isPending,
+    sign: sign.mutate,
+    isSigning: sign.isPending,
+    retryStoreSignedCopy: retryStoreSignedCopy.mutate,
+    isStoringSignedCopy: retryStoreSignedCopy.isPending,
+    decline: decline.mutate,
+    isDeclining: decline.isPending,
+    cancelRequest: cancelRequest.mutate,
+    isCanceling: cancelRequest.isPending
+  };
+};
@@ -0,0 +1,82 @@
+// src/hooks/useSlaPolicies.js
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import * as slaPolicyService from '../services/slaPolicyService';
+import useAuth from './useAuth';
+import { useGlobalAlert } from '../contexts/GlobalAlertContext';
+
+/**
+ * Hook for fetching SLA policies
+ * @param {Object} options - Query options
+ * @param {Object} options.filters - Filter parameters (priority)
+ * @returns {Object} Query result with SLA policies
+ */
+export const useSlaPolicies = (options = {}) => {
+  const { isAuthenticated } = useAuth();
+  const { filters = {} } = options;
+
+  return useQuery({
+    queryKey: ['slaPolicies', filters],
+    queryFn: ({ signal }) => slaPolicyService.getSlaPolicies(filters, signal),
+    enabled: isAuthenticated,
+  });
+};
+
+/**
+ * Hook that provides SLA policy operations
+ */
+export const useSlaPolicyMutations = () => {
+  const queryClient = useQueryClient();
+  const { showError, showSuccess } = useGlobalAlert();
+
+  const onPoliciesChanged = () => {
+    queryClient.invalidateQueries({ queryKey: ['slaPolicies'] });
+  };
+
+  // Create a policy
+  const createPolicy = useMutation({
+    mutationFn: (policyData) => slaPolicyService.createSlaPolicy(policyData),
+    onSuccess: () => {
+      onPoliciesChanged();
+      showSuccess({ key: 'alerts.slaPolicies.created' });
+    },
+    onError: (error) => {
+      console.error("Failed to create SLA policy:", error);
+      showError({ key: 'alerts.slaPolicies.createFailed', params: { error: error.message || error } });
+    }
+  });
+
+  // Update a policy
+  const updatePolicy = useMutation({
+    mutationFn: ({ policyId, updates }) => slaPolicyService.updateSlaPolicy(policyId, updates),
+    onSuccess: () => {
+      onPoliciesChanged();
+      showSuccess({ key: 'alerts.slaPolicies.updated' });
+    },
+    onError: (error) => {
+      console.error("Failed to update SLA policy:", error);
+      showError({ key: 'alerts.slaPolicies.updateFailed', params: { error: error.message || error } });
+    }
+  });
+
+  // Delete a policy
+  const deletePolicy = useMutation({
+    mutationFn: (policyId) => slaPolicyService.deleteSlaPolicy(policyId),
+    onSuccess: () => {
+      onPoliciesChanged();
+      showSuccess({ key: 'alerts.slaPolicies.deleted' });
+    },
+    onError: (error) => {
+      console.error("Failed to delete SLA policy:", error);
+      showError({ key: 'alerts.slaPolicies.deleteFailed', params: { error: error.message || error } });
+    }
+  });
+
+  return {
+    createPolicy: createPolicy.mutate,
+    isCreatingPolicy: createPolicy.isPending,
+    updatePolicy: updatePolicy.mutate,
+    isUpdatingPolicy: updatePolicy.isPending,
+    deletePolicy: deletePolicy.mutate,
+    isDeletingPolicy: deletePolicy.isPending,
+  };
+};
@@ -0,0 +1,87 @@
+// src/hooks/useVendorInvoices.js
+import { useQuery, useMutation, useQueryClient, keepPreviousData } from '@tanstack/react-query';
+import * as vendorInvoiceService from '../services/vendorInvoiceService';
+import useAuth from './useAuth';
+import { useGlobalAlert } from '../contexts/GlobalAlertContext';
+
+/**
+ * Hook for fetching invoices vendors submitted through the portal
+ * @param {Object} options - Query options
+ * @param {Object} options.filters - Filter parameters (status, vendorId, propertyId, requestId, scheduledMaintenanceId, page, limit)
+ * @param {boolean} [options.enabled=true] - Whether to run the query
+ * @returns {Object} Query result with { data, total, page, pages }
+ */
+export const useVendorInvoices = (options = {}) => {
+  const { isAuthenticated } = useAuth();
+  const { filters = {}, enabled = true } = options;
+
+  return useQuery({
+    queryKey: ['vendorInvoices', filters],
+    queryFn: ({ signal }) => vendorInvoiceService.getVendorInvoices({ limit: 20, ...filters }, signal),
+    enabled: isAuthenticated && enabled,
+    placeholderData: keepPreviousData,
+  });
+};
+
+/**
+ * Hook that provides the manager's invoice review operations
+ */
+export const useVendorInvoiceMutations = () => {
+  const queryClient = useQueryClient();
+  const { showError, showSuccess } = useGlobalAlert();
+
+  // Approved invoices are recorded as costs, so spend views refresh too
+  const onInvoiceChanged = () => {
+    queryClient.invalidateQueries({ queryKey: ['vendorInvoices'] });
+    queryClient.invalidateQueries({ queryKey: ['costEntries'] });
+    queryClient.invalidateQueries({ queryKey: ['costSpendSummary'] });
+  };
+
+  // Approve a submitted invoice for payment
+  const approveInvoice = useMutation({
+    mutationFn: (invoiceId) => vendorInvoiceService.approveVendorInvoice(invoiceId),
+    onSuccess: () => {
+      onInvoiceChanged();
+      showSuccess({ key: 'alerts.vendorInvoices.approved' });
+    },
+    onError: (error) => {
+      console.error("Failed to approve vendor invoice:", error);
+      showError({ key: 'alerts.vendorInvoices.approveFailed', params: { error: error.message || error } });
+    }
+  });
+
+  // Return a submitted invoice to the vendor
+  const rejectInvoice = useMutation({
+    mutationFn: ({ invoiceId, reason }) => vendorInvoiceService.rejectVendorInvoice(invoiceId, reason),
+    onSuccess: () => {
+      onInvoiceChanged();
+      showSuccess({ key: 'alerts.vendorInvoices.rejected' });
+    },
+    onError: (error) => {
+      console.error("Failed to reject vendor invoice:", error);
+      showError({ key: 'alerts.vendorInvoices.rejectFailed', params: { error: error.message || error } });
+    }
+  });
+
+  // Record payment of an approved invoice
+  const markInvoicePaid = useMutation({
+    mutationFn: ({ invoiceId, paymentData }) => vendorInvoiceService.markVendorInvoicePaid(invoiceId, paymentData),
+    onSuccess: () => {
+      onInvoiceChanged();
+      showSuccess({ key: 'alerts.vendorInvoices.markedPaid' });
+    },
+    onError: (error) => {
+      console.error("Failed to mark vendor invoice paid:", error);
+      showError({ key: 'alerts.vendorInvoices.markPaidFailed', params: { error: error.message || error } });
+    }
+  });
+
+  return {
+    approveInvoice: approveInvoice.mutate,
+    isApprovingInvoice: approveInvoice.isPending,
+    rejectInvoice: rejectInvoice.mutate,
+    isRejectingInvoice: rejectInvoice.isPending,
+    markInvoicePaid: markInvoicePaid.mutate,
+    isMarkingInvoicePaid: markInvoicePaid.isPending,
+  };
+};
@@ -0,0 +1,131 @@
+// src/hooks/useVendorPortal.js
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import * as vendorPortalService from '../services/vendorPortalService';
+import useAuth from './useAuth';
+import { useGlobalAlert } from '../contexts/GlobalAlertContext';
+
+/**
+ * Hook for fetching the logged-in vendor's job queue
+ * @param {Object} options - Query options
+ * @param {Object} options.filters - Filter parameters (status, jobType, search)
+ * @returns {Object} Query result with jobs
+ */
+export const useVendorJobs = (options = {}) => {
+  const { isAuthenticated } = useAuth();
+  const { filters = {} } = options;
+
+  return useQuery({
+    queryKey: ['vendorJobs', filters],
+    queryFn: ({ signal }) => vendorPortalService.getMyJobs({ limit: 100, ...filters }, signal),
+    enabled: isAuthenticated,
+    select: (response) => response.data,
+  });
+};
+
+/**
+ * Hook for fetching a single job
+ * @param {string} jobType - One of VENDOR_JOB_TYPES
+ * @param {string} jobId - Job ID
+ * @returns {Object} Query result with the job
+ */
+export const useVendorJob = (jobType, jobId) => {
+  const { isAuthenticated } = useAuth();
+
+  return useQuery({
+    queryKey: ['vendorJob', jobType, jobId],
+    queryFn: ({ signal }) => vendorPortalService.getJobById(jobType, jobId, signal),
+    enabled: isAuthenticated && !!jobType && !!jobId,
+  });
+};
+
+/**
+ * Hook that provides job operations for vendors
+ */
+export const useVendorJobMutations = () => {
+  const queryClient = useQueryClient();
+  const { showError, showSuccess } = useGlobalAlert();
+
+  const onJobChanged = (job) => {
+    queryClient.setQueryData(['vendorJob', job.jobType, job._id], job);
+    queryClient.invalidateQueries({ queryKey: ['vendorJobs'] });
+  };
+
+  // Start or complete a job
+  const updateStatus = useMutation({
+    mutationFn: ({ jobType, jobId, status, note }) => vendorPortalService.updateJobStatus(jobType, jobId, { status, note }),
+    onSuccess: (job) => {
+      onJobChanged(job);
+      const statusKey = { in_progress: 'jobStarted', completed: 'jobCompleted' }[job.status] || 'statusUpdated';
+      showSuccess({ key: `alerts.vendorPortal.${statusKey}` });
+    },
+    onError: (error) => {
+      console.error("Failed to update job status:", error);
+      showError({ key: 'alerts.vendorPortal.statusUpdateFailed', params: { error: error.message || error } });
+    }
+  });
+
+  // Upload photos of the work
+  const uploadPhotos = useMutation({
+    mutationFn: ({ jobType, jobId, files }) => vendorPortalService.uploadJobPhotos(jobType, jobId, files),
+    onSuccess: (job) => {
+      onJobChanged(job);
+      showSuccess({ key: 'alerts.vendorPortal.photosUploaded' });
+    },
+    onError: (error) => {
+      console.error("Failed to upload job photos:", error);
+      showError({ key: 'alerts.vendorPortal.photoUploadFailed', params: { error: error.message || error } });
+    }
+  });
+
+  // Log time or materials
+  const addWorkLog = useMutation({
+    mutationFn: ({ jobType, jobId, logData }) => vendorPortalService.addWorkLog(jobType, jobId, logData),
+    onSuccess: (job) => {
+      onJobChanged(job);
+      showSuccess({ key: 'alerts.vendorPortal.workLogged' });
+    },
+    onError: (error) => {
+      console.error("Failed to add work log:", error);
+      showError({ key: 'alerts.vendorPortal.workLogFailed', params: { error: error.message || error } });
+    }
+  });
+
+  // Remove an uninvoiced work log entry
+  const deleteWorkLog = useMutation({
+    mutationFn: ({ jobType, jobId, logId }) => vendorPortalService.deleteWorkLog(jobType, jobId, logId),
+    onSuccess: (job) => {
+      onJobChanged(job);
+      showSuccess({ key: 'alerts.vendorPortal.entryRemoved' });
+    },
+    onError: (error) => {
+      console.error("Failed to delete work log:", error);
+      showError({ key: 'alerts.vendorPortal.entryRemoveFailed', params: { error: error.message || error } });
+    }
+  });
+
+  // Submit an invoice for the job
+  const submitInvoice = useMutation({
+    mutationFn: ({ jobType, jobId, invoiceData }) => vendorPortalService.submitInvoice(jobType, jobId, invoiceData),
+    onSuccess: (job) => {
+      onJobChanged(job);
+      showSuccess({ key: 'alerts.vendorPortal.invoiceSubmitted' });
+    },
+    onError: (error) => {
+      console.error("Failed to submit invoice:", error);
+      showError({ key: 'alerts.vendorPortal.invoiceSubmitFailed', params: { error: error.message || error } });
+    }
+  });
+
+  return {
+    updateStatus: updateStatus.mutate,
+    isUpdatingStatus: updateStatus.isPending,
+    uploadPhotos: uploadPhotos.mutate,
+    isUploadingPhotos: uploadPhotos.isPending,
+    addWorkLog: addWorkLog.mutate,
+    isAddingWorkLog: addWorkLog.isPending,
+    deleteWorkLog: deleteWorkLog.mutate,
+    isDeletingWorkLog: deleteWorkLog.isPending,
+    submitInvoice: submitInvoice.mutate,
+    isSubmittingInvoice: submitInvoice.isPending,
+  };
+};
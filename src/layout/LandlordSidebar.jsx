@@ -1,6 +1,7 @@
 import React from 'react';
 import { NavLink, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import useI18n from '../hooks/useI18n';
 import {
   LayoutDashboard, Users, Building, FileText, DollarSign, Wrench,
   CalendarCheck, Truck, MailPlus, MessageSquare, Bell, ClipboardList,
@@ -8,24 +9,25 @@ import {
 } from 'lucide-react';
 
 const navLinks = [
-  { to: "/landlord/dashboard", label: "Dashboard", icon: <LayoutDashboard size={20} /> },
-  { to: "/landlord/profile", label: "My Profile", icon: <UserCircle size={20} /> },
-  { to: "/landlord/users", label: "Users", icon: <Users size={20} /> },
-  { to: "/landlord/properties", label: "Properties", icon: <Building size={20} /> },
-  { to: "/landlord/leases", label: "Leases", icon: <FileText size={20} /> },
-  { to: "/landlord/payments", label: "Payments", icon: <DollarSign size={20} /> },
-  { to: "/landlord/requests", label: "Maintenance", icon: <Wrench size={20} /> },
-  { to: "/landlord/scheduled-maintenance", label: "Scheduled Tasks", icon: <CalendarCheck size={20} /> },
-  { to: "/landlord/vendors", label: "Vendors", icon: <Truck size={20} /> },
-  { to: "/landlord/invites", label: "Invites", icon: <MailPlus size={20} /> },
-  { to: "/landlord/messages", label: "Messages", icon: <MessageSquare size={20} /> },
-  { to: "/landlord/notifications", label: "Notifications", icon: <Bell size={20} /> },
-  { to: "/landlord/onboarding", label: "Onboarding", icon: <ClipboardList size={20} /> },
-  { to: "/landlord/reports", label: "Reports", icon: <BarChart3 size={20} /> },
+  { to: "/landlord/dashboard", labelKey: "nav.dashboard", icon: <LayoutDashboard size={20} /> },
+  { to: "/landlord/profile", labelKey: "nav.myProfile", icon: <UserCircle size={20} /> },
+  { to: "/landlord/users", labelKey: "nav.users", icon: <Users size={20} /> },
+  { to: "/landlord/properties", labelKey: "nav.properties", icon: <Building size={20} /> },
+  { to: "/landlord/leases", labelKey: "nav.leases", icon: <FileText size={20} /> },
+  { to: "/landlord/payments", labelKey: "nav.payments", icon: <DollarSign size={20} /> },
+  { to: "/landlord/requests", labelKey: "nav.maintenance", icon: <Wrench size={20} /> },
+  { to: "/landlord/scheduled-maintenance", labelKey: "nav.scheduledTasks", icon: <CalendarCheck size={20} /> },
+  { to: "/landlord/vendors", labelKey: "nav.vendors", icon: <Truck size={20} /> },
+  { to: "/landlord/invites", labelKey: "nav.invites", icon: <MailPlus size={20} /> },
+  { to: "/landlord/messages", labelKey: "nav.messages", icon: <MessageSquare size={20} /> },
+  { to: "/landlord/notifications", labelKey: "nav.notifications", icon: <Bell size={20} /> },
+  { to: "/landlord/onboarding", labelKey: "nav.onboarding", icon: <ClipboardList size={20} /> },
+  { to: "/landlord/reports", labelKey: "nav.reports", icon: <BarChart3 size={20} /> },
 ];
 
 const LandlordSidebar = ({ open, onClose }) => {
   const { logout } = useAuth();
+  const { t } = useI18n();
   const navigate = useNavigate();
 
   const handleLogout = () => {
@@ -68,7 +70,7 @@ const LandlordSidebar = ({ open, onClose }) => {
           {navLinks.map(link => (
             <NavLink key={link.to} to={link.to} className={navLinkClass} onClick={onClose}>
               {link.icon}
-              <span>{link.label}</span>
+              <span>{t(link.labelKey)}</span>
             </NavLink>
           ))}
         </nav>
@@ -79,7 +81,7 @@ const LandlordSidebar = ({ open, onClose }) => {
             className="w-full flex items-center justify-center gap-3 px-4 py-2.5 text-sm font-semibold text-center text-[#219377] bg-white rounded-lg hover:bg-[#ffbd59] transition-colors duration-200"
           >
             <LogOut size={18} />
-            <span>Logout</span>
+            <span>{t('common.logout')}</span>
           </button>
         </div>
       </aside>
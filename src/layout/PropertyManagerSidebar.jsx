@@ -1,31 +1,34 @@
 import React from 'react';
 import { NavLink, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import useI18n from '../hooks/useI18n';
 import {
   LayoutDashboard, Users, Building, FileText, DollarSign, Wrench,
   CalendarCheck, Truck, MailPlus, MessageSquare, Bell, ClipboardList,
-  BarChart3, UserCircle, LogOut, Building2
+  BarChart3, UserCircle, LogOut, Building2, Receipt
 } from 'lucide-react';
 
 const navLinks = [
-  { to: "/pm/dashboard", label: "Dashboard", icon: <LayoutDashboard size={20} /> },
-  { to: "/pm/profile", label: "My Profile", icon: <UserCircle size={20} /> },
-  { to: "/pm/users", label: "Users", icon: <Users size={20} /> },
-  { to: "/pm/properties", label: "Properties", icon: <Building size={20} /> },
-  { to: "/pm/leases", label: "Leases", icon: <FileText size={20} /> },
-  { to: "/pm/payments", label: "Payments", icon: <DollarSign size={20} /> },
-  { to: "/pm/requests", label: "Maintenance", icon: <Wrench size={20} /> },
-  { to: "/pm/scheduled-maintenance", label: "Scheduled Tasks", icon: <CalendarCheck size={20} /> },
-  { to: "/pm/vendors", label: "Vendors", icon: <Truck size={20} /> },
-  { to: "/pm/invites", label: "Invites", icon: <MailPlus size={20} /> },
-  { to: "/pm/messages", label: "Messages", icon: <MessageSquare size={20} /> },
-  { to: "/pm/notifications", label: "Notifications", icon: <Bell size={20} /> },
-  { to: "/pm/onboarding", label: "Onboarding", icon: <ClipboardList size={20} /> },
-  { to: "/pm/reports", label: "Reports", icon: <BarChart3 size={20} /> },
+  { to: "/pm/dashboard", labelKey: "nav.dashboard", icon: <LayoutDashboard size={20} /> },
+  { to: "/pm/profile", labelKey: "nav.myProfile", icon: <UserCircle size={20} /> },
+  { to: "/pm/users", labelKey: "nav.users", icon: <Users size={20} /> },
+  { to: "/pm/properties", labelKey: "nav.properties", icon: <Building size={20} /> },
+  { to: "/pm/leases", labelKey: "nav.leases", icon: <FileText size={20} /> },
+  { to: "/pm/payments", labelKey: "nav.payments", icon: <DollarSign size={20} /> },
+  { to: "/pm/requests", labelKey: "nav.maintenance", icon: <Wrench size={20} /> },
+  { to: "/pm/scheduled-maintenance", labelKey: "nav.scheduledTasks", icon: <CalendarCheck size={20} /> },
+  { to: "/pm/vendors", labelKey: "nav.vendors", icon: <Truck size={20} /> },
+  { to: "/pm/vendor-invoices", labelKey: "nav.vendorInvoices", icon: <Receipt size={20} /> },
+  { to: "/pm/invites", labelKey: "nav.invites", icon: <MailPlus size={20} /> },
+  { to: "/pm/messages", labelKey: "nav.messages", icon: <MessageSquare size={20} /> },
+  { to: "/pm/notifications", labelKey: "nav.notifications", icon: <Bell size={20} /> },
+  { to: "/pm/onboarding", labelKey: "nav.onboarding", icon: <ClipboardList size={20} /> },
+  { to: "/pm/reports", labelKey: "nav.reports", icon: <BarChart3 size={20} /> },
 ];
 
 const PropertyManagerSidebar = ({ open, onClose }) => {
   const { logout } = useAuth();
+  const { t } = useI18n();
   const navigate = useNavigate();
 
   const handleLogout = () => {
@@ -68,7 +71,7 @@ const PropertyManagerSidebar = ({ open, onClose }) => {
           {navLinks.map(link => (
             <NavLink key={link.to} to={link.to} className={navLinkClass} onClick={onClose}>
               {link.icon}
-              <span>{link.label}</span>
+              <span>{t(link.labelKey)}</span>
             </NavLink>
           ))}
         </nav>
@@ -79,7 +82,7 @@ const PropertyManagerSidebar = ({ open, onClose }) => {
             className="w-full flex items-center justify-center gap-3 px-4 py-2.5 text-sm font-semibold text-center text-[#219377] bg-white rounded-lg hover:bg-[#ffbd59] transition-colors duration-200"
           >
             <LogOut size={18} />
-            <span>Logout</span>
+            <span>{t('common.logout')}</span>
           </button>
         </div>
       </aside>
@@ -2,10 +2,14 @@ import React, { useState } from 'react';
 import { Outlet } from 'react-router-dom';
 import TenantNavbar from './TenantNavbar';
 import TenantSidebar from './TenantSidebar';
+import { useRequestOutbox } from '../hooks/useRequestOutbox';
 
 function TenantLayout() {
   const [sidebarOpen, setSidebarOpen] = useState(false);
 
+  // Replays maintenance requests saved offline, wherever the tenant is in the app
+  useRequestOutbox();
+
   // Authorization logic is now handled by ProtectedRoute in App.jsx.
   // This component's only responsibility is the layout structure.
 
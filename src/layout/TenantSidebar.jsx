@@ -1,26 +1,28 @@
 import React from 'react';
 import { NavLink, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import useI18n from '../hooks/useI18n';
 import {
   LayoutDashboard, Home, Wrench, MessageSquare, Bell, Calendar,
   FileText, UserCircle, LogOut, DollarSign, CalendarCheck, ClipboardList
 } from 'lucide-react';
 
 const navLinks = [
-  { to: "/tenant/dashboard", label: "Dashboard", icon: <LayoutDashboard size={20} /> },
-  { to: "/tenant/profile", label: "My Profile", icon: <UserCircle size={20} /> },
-  { to: "/tenant/my-unit", label: "My Unit", icon: <Home size={20} /> },
-  { to: "/tenant/requests", label: "Maintenance Requests", icon: <Wrench size={20} /> },
-  { to: "/tenant/scheduled-maintenance", label: "Scheduled Maintenance", icon: <CalendarCheck size={20} /> },
-  { to: "/tenant/payments", label: "Payments", icon: <DollarSign size={20} /> },
-  { to: "/tenant/leases", label: "My Lease", icon: <FileText size={20} /> },
-  { to: "/tenant/messages", label: "Messages", icon: <MessageSquare size={20} /> },
-  { to: "/tenant/notifications", label: "Notifications", icon: <Bell size={20} /> },
-  { to: "/tenant/onboarding", label: "Onboarding", icon: <ClipboardList size={20} /> },
+  { to: "/tenant/dashboard", labelKey: "nav.dashboard", icon: <LayoutDashboard size={20} /> },
+  { to: "/tenant/profile", labelKey: "nav.myProfile", icon: <UserCircle size={20} /> },
+  { to: "/tenant/my-unit", labelKey: "nav.myUnit", icon: <Home size={20} /> },
+  { to: "/tenant/requests", labelKey: "nav.maintenanceRequests", icon: <Wrench size={20} /> },
+  { to: "/tenant/scheduled-maintenance", labelKey: "nav.scheduledMaintenance", icon: <CalendarCheck size={20} /> },
+  { to: "/tenant/payments", labelKey: "nav.payments", icon: <DollarSign size={20} /> },
+  { to: "/tenant/leases", labelKey: "nav.myLease", icon: <FileText size={20} /> },
+  { to: "/tenant/messages", labelKey: "nav.messages", icon: <MessageSquare size={20} /> },
+  { to: "/tenant/notifications", labelKey: "nav.notifications", icon: <Bell size={20} /> },
+  { to: "/tenant/onboarding", labelKey: "nav.onboarding", icon: <ClipboardList size={20} /> },
 ];
 
 const TenantSidebar = ({ open, onClose }) => {
   const { logout } = useAuth();
+  const { t } = useI18n();
   const navigate = useNavigate();
 
   const handleLogout = () => {
@@ -63,7 +65,7 @@ const TenantSidebar = ({ open, onClose }) => {
           {navLinks.map(link => (
             <NavLink key={link.to} to={link.to} className={navLinkClass} onClick={onClose}>
               {link.icon}
-              <span>{link.label}</span>
+              <span>{t(link.labelKey)}</span>
             </NavLink>
           ))}
         </nav>
@@ -74,7 +76,7 @@ const TenantSidebar = ({ open, onClose }) => {
             className="w-full flex items-center justify-center gap-3 px-4 py-2.5 text-sm font-semibold text-center text-[#219377] bg-white rounded-lg hover:bg-[#ffbd59] transition-colors duration-200"
           >
             <LogOut size={18} />
-            <span>Logout</span>
+            <span>{t('common.logout')}</span>
           </button>
         </div>
       </aside>
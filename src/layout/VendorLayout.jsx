@@ -0,0 +1,25 @@
+import React, { useState } from 'react';
+import { Outlet } from 'react-router-dom';
+import VendorNavbar from './VendorNavbar';
+import VendorSidebar from './VendorSidebar';
+
+function VendorLayout() {
+  const [sidebarOpen, setSidebarOpen] = useState(false);
+
+  return (
+    <div className="flex h-screen bg-gray-100 font-sans">
+      <VendorSidebar
+        open={sidebarOpen}
+        onClose={() => setSidebarOpen(false)}
+      />
+      <div className="flex-1 flex flex-col overflow-hidden">
+        <VendorNavbar onMenuClick={() => setSidebarOpen(true)} />
+        <main className="flex-1 overflow-x-hidden overflow-y-auto p-6">
+          <Outlet />
+        </main>
+      </div>
+    </div>
+  );
+}
+
+export default VendorLayout;
@@ -0,0 +1,16 @@
+import React from 'react';
+import Navbar from './UserNavbar';
+
+const VendorNavbar = ({ onMenuClick }) => {
+  return (
+    <Navbar
+      onMenuClick={onMenuClick}
+      portalName="Vendor"
+      portalAccent="Portal"
+      dashboardPath="/vendor/jobs"
+      showNotifications={true}
+    />
+  );
+};
+
+export default VendorNavbar;
@@ -0,0 +1,600 @@
+// frontend/src/locales/en.js
+
+// English message catalog. This is the source catalog: every key used in the UI
+// must exist here, other locales fall back to it for anything they don't define.
+// Plural messages are objects keyed by Intl.PluralRules categories ('one', 'other', ...).
+
+import { API_MESSAGES } from '../utils/constants.js';
+
+const en = {
+    languageName: 'English',
+    common: {
+        logout: 'Logout',
+        loading: 'Loading...',
+        cancel: 'Cancel',
+        save: 'Save',
+    },
+    nav: {
+        dashboard: 'Dashboard',
+        myProfile: 'My Profile',
+        myUnit: 'My Unit',
+        maintenanceRequests: 'Maintenance Requests',
+        scheduledMaintenance: 'Scheduled Maintenance',
+        payments: 'Payments',
+        myLease: 'My Lease',
+        messages: 'Messages',
+        notifications: 'Notifications',
+        onboarding: 'Onboarding',
+        users: 'Users',
+        properties: 'Properties',
+        leases: 'Leases',
+        maintenance: 'Maintenance',
+        scheduledTasks: 'Scheduled Tasks',
+        vendors: 'Vendors',
+        vendorInvoices: 'Vendor Invoices',
+        invites: 'Invites',
+        reports: 'Reports',
+        auditLogs: 'Audit Logs',
+        mediaGallery: 'Media Gallery',
+        systemHealth: 'System Health',
+        jobQueue: 'Job Queue',
+        quoteRequests: 'Quote Requests',
+    },
+    notifications: {
+        title: 'Notifications',
+        markAllRead: 'Mark all as read',
+        loading: 'Loading notifications...',
+        empty: 'No notifications to display',
+        viewDetails: 'View details →',
+        viewAll: 'View all notifications',
+        livePaused: 'Live updates paused, checking periodically',
+        unreadCount: {
+            one: '{count} unread notification',
+            other: '{count} unread notifications',
+        },
+    },
+    settings: {
+        languageTitle: 'Language & Region',
+        languageDescription: 'Choose the language used across the app. Dates and numbers follow the same choice.',
+        languageLabel: 'Language',
+        languageSaved: 'Language updated.',
+        preview: 'Preview: {date}',
+    },
+    alerts: {
+        tryAgain: 'Please try again.',
+        updateAvailable: 'A new version of Fixit is available.',
+        reload: 'Reload',
+        payments: {
+            startFailed: 'Failed to start payment. {error}',
+            verifyFailed: 'Failed to verify payment. {error}',
+            cancelFailed: 'Failed to cancel payment. {error}',
+        },
+        reports: {
+            saved: 'Report saved!',
+            saveFailed: 'Failed to save report. {error}',
+            updated: 'Report updated!',
+            updateFailed: 'Failed to update report. {error}',
+            deleted: 'Report deleted.',
+            deleteFailed: 'Failed to delete report. {error}',
+            subscriptionCreated: 'Report subscription created!',
+            subscriptionCreateFailed: 'Failed to create report subscription. {error}',
+            subscriptionUpdated: 'Report subscription updated!',
+            subscriptionUpdateFailed: 'Failed to update report subscription. {error}',
+            subscriptionDeleted: 'Report subscription deleted.',
+            subscriptionDeleteFailed: 'Failed to delete report subscription. {error}',
+            sent: 'Report sent.',
+            sendFailed: 'Failed to send report. {error}',
+        },
+        exchangeRates: {
+            updated: 'Exchange rates updated successfully!',
+            updateFailed: 'Failed to update exchange rates. {error}',
+        },
+        slaPolicies: {
+            created: 'SLA policy created!',
+            createFailed: 'Failed to create SLA policy. {error}',
+            updated: 'SLA policy updated!',
+            updateFailed: 'Failed to update SLA policy. {error}',
+            deleted: 'SLA policy deleted.',
+            deleteFailed: 'Failed to delete SLA policy. {error}',
+        },
+        signatures: {
+            sent: 'Document sent for signature!',
+            sendFailed: 'Failed to send document for signature. {error}',
+            signed: 'Document signed!',
+            completed: 'Document signed by everyone. The signed copy has been saved.',
+            completedWithoutCopy: 'Document signed by everyone, but the signed copy could not be saved with the document yet.',
+            signFailed: 'Failed to sign document. {error}',
+            copySaved: 'Signed copy saved!',
+            copySaveFailed: 'Failed to save the signed copy. {error}',
+            declined: 'You declined to sign this document.',
+            declineFailed: 'Failed to decline. {error}',
+            canceled: 'Signature request canceled.',
+            cancelFailed: 'Failed to cancel signature request. {error}',
+        },
+        leases: {
+            created: 'Lease created successfully!',
+            createFailed: 'Failed to create lease. {error}',
+            updated: 'Lease updated successfully!',
+            updateFailed: 'Failed to update lease. {error}',
+            deleted: 'Lease deleted successfully!',
+            deleteFailed: 'Failed to delete lease. {error}',
+            renewalNoticeSent: 'Renewal notice marked as sent!',
+            renewalNoticeFailed: 'Failed to mark renewal notice. {error}',
+            documentUploaded: 'Document uploaded successfully!',
+            documentUploadFailed: 'Failed to upload document. {error}',
+            amendmentAdded: 'Amendment added successfully!',
+            amendmentAddFailed: 'Failed to add amendment. {error}',
+            amendmentApproved: 'Amendment approved and applied to the lease!',
+            amendmentApproveFailed: 'Failed to approve amendment. {error}',
+            renewalTermsSaved: 'Renewal terms saved!',
+            renewalTermsFailed: 'Failed to save renewal terms. {error}',
+            renewalOfferSent: 'Renewal offer sent to the tenant!',
+            renewalOfferFailed: 'Failed to send renewal offer. {error}',
+            renewalOfferWithdrawn: 'Renewal offer withdrawn.',
+            renewalWithdrawFailed: 'Failed to withdraw renewal offer. {error}',
+            renewalAccepted: 'You accepted the renewal. Your new lease has been created.',
+            renewalDeclined: 'You declined the renewal offer.',
+            renewalResponseFailed: 'Failed to send your response. {error}',
+            depositReceived: 'Deposit receipt recorded!',
+            depositReceiptFailed: 'Failed to record deposit receipt. {error}',
+            deductionAdded: 'Deduction added!',
+            deductionAddFailed: 'Failed to add deduction. {error}',
+            deductionRemoved: 'Deduction removed!',
+            deductionRemoveFailed: 'Failed to remove deduction. {error}',
+            depositRefunded: 'Deposit refund recorded!',
+            depositRefundFailed: 'Failed to record deposit refund. {error}',
+            documentDownloadStarted: 'Document download started!',
+            documentDownloadFailed: 'Failed to download document. {error}',
+            documentGenerated: 'Document generated successfully!',
+            documentGenerateFailed: 'Failed to generate document. {error}',
+        },
+        rents: {
+            loadFailed: 'Failed to load rent record. {error}',
+            created: 'Rent record created successfully!',
+            createFailed: 'Failed to create rent record. {error}',
+            updated: 'Rent record updated successfully!',
+            updateFailed: 'Failed to update rent record. {error}',
+            deleted: 'Rent record deleted successfully!',
+            deleteFailed: 'Failed to delete rent record. {error}',
+            paymentRecorded: 'Payment recorded successfully!',
+            paymentRecordFailed: 'Failed to record payment. {error}',
+            proofUploaded: 'Payment proof uploaded successfully!',
+            proofUploadFailed: 'Failed to upload payment proof. {error}',
+            lateFeePosted: 'Late fee posted successfully!',
+            lateFeePostFailed: 'Failed to post late fee. {error}',
+            lateFeeWaived: 'Late fee waived successfully!',
+            lateFeeWaiveFailed: 'Failed to waive late fee. {error}',
+            scheduleCreated: 'Rent schedule created successfully!',
+            scheduleCreateFailed: 'Failed to create rent schedule. {error}',
+            scheduleUpdated: 'Rent schedule updated successfully!',
+            scheduleUpdateFailed: 'Failed to update rent schedule. {error}',
+            scheduleDeleted: 'Rent schedule deleted successfully!',
+            scheduleDeleteFailed: 'Failed to delete rent schedule. {error}',
+            generated: 'Rent generation completed successfully! Generated: {generated}, Skipped: {skipped}',
+            generateFailed: 'Failed to generate rent records. {error}',
+            downloadStarted: 'Download started!',
+            proofDownloadFailed: 'Failed to download payment proof. {error}',
+        },
+        properties: {
+            loadFailed: 'Failed to load properties. {error}',
+            detailsLoadFailed: 'Failed to load property details. {error}',
+            created: 'Property created successfully!',
+            createFailed: 'Failed to create property. {error}',
+            updated: 'Property updated successfully!',
+            updateFailed: 'Failed to update property. {error}',
+            deleted: 'Property deleted successfully!',
+            deleteFailed: 'Failed to delete property. {error}',
+            userAssigned: 'User assigned successfully!',
+            userAssignFailed: 'Failed to assign user. {error}',
+            userRemoved: 'User removed successfully!',
+            userRemoveFailed: 'Failed to remove user. {error}',
+        },
+        maintenanceCosts: {
+            recorded: 'Cost recorded!',
+            recordedPendingApproval: 'Cost recorded and sent to the landlord for approval.',
+            recordFailed: 'Failed to record cost. {error}',
+            deleted: 'Cost entry deleted.',
+            deleteFailed: 'Failed to delete cost entry. {error}',
+            approved: 'Cost approved.',
+            approveFailed: 'Failed to approve cost. {error}',
+            rejected: 'Cost rejected.',
+            rejectFailed: 'Failed to reject cost. {error}',
+        },
+        inspections: {
+            saved: 'Inspection saved!',
+            saveFailed: 'Failed to save inspection. {error}',
+            deleted: 'Inspection deleted.',
+            deleteFailed: 'Failed to delete inspection. {error}',
+            completed: 'Inspection completed and sent to the tenant to countersign.',
+            completeFailed: 'Failed to complete inspection. {error}',
+            signed: 'Inspection report signed!',
+            commentsSent: 'Your comments have been sent.',
+            responseFailed: 'Failed to submit your response. {error}',
+            photoUploadFailed: 'Failed to upload photos. {error}',
+            requestCreated: 'Maintenance request created!',
+            requestCreateFailed: 'Failed to create maintenance request. {error}',
+        },
+        requests: {
+            offlineSynced: {
+                one: '{count} offline request sent successfully.',
+                other: '{count} offline requests sent successfully.',
+            },
+            offlineRejected: {
+                one: '{count} offline request was rejected. Review it in your requests list.',
+                other: '{count} offline requests were rejected. Review them in your requests list.',
+            },
+            moved: '"{title}" moved.',
+            movedUntitled: 'Request moved.',
+            moveFailed: 'Failed to move request. {error}',
+        },
+        vendorPortal: {
+            jobStarted: 'Job started.',
+            jobCompleted: 'Job marked as completed.',
+            statusUpdated: 'Job status updated.',
+            statusUpdateFailed: 'Failed to update job status. {error}',
+            photosUploaded: 'Photos uploaded!',
+            photoUploadFailed: 'Failed to upload photos. {error}',
+            workLogged: 'Work logged!',
+            workLogFailed: 'Failed to log work. {error}',
+            entryRemoved: 'Entry removed.',
+            entryRemoveFailed: 'Failed to remove entry. {error}',
+            invoiceSubmitted: 'Invoice submitted!',
+            invoiceSubmitFailed: 'Failed to submit invoice. {error}',
+        },
+        vendorInvoices: {
+            approved: 'Invoice approved and recorded as a cost.',
+            approveFailed: 'Failed to approve the invoice. {error}',
+            rejected: 'Invoice returned to the vendor.',
+            rejectFailed: 'Failed to reject the invoice. {error}',
+            markedPaid: 'Invoice marked as paid.',
+            markPaidFailed: 'Failed to record the payment. {error}',
+        },
+        quotes: {
+            requested: {
+                one: 'Quote request sent to {count} vendor.',
+                other: 'Quote requests sent to {count} vendors.',
+            },
+            requestFailed: 'Failed to request quotes. {error}',
+            submitted: 'Quote submitted!',
+            submitFailed: 'Failed to submit quote. {error}',
+            declined: 'Quote request declined.',
+            declineFailed: 'Failed to decline quote request. {error}',
+            approved: 'Quote from {vendor} approved and the request assigned.',
+            approvedUnnamed: 'Quote approved and the request assigned.',
+            approveFailed: 'Failed to approve quote. {error}',
+            withdrawn: 'Quote request withdrawn.',
+            withdrawFailed: 'Failed to withdraw quote request. {error}',
+        },
+    },
+    tenant: {
+        common: {
+            goToDashboard: 'Go to Dashboard',
+            contactSupport: 'Contact Support',
+            error: 'Error',
+            notAvailable: 'N/A',
+            tryAgain: 'Try Again',
+            backToDashboard: 'Back to Dashboard',
+        },
+        dashboard: {
+            ratingRequired: 'Please provide a rating (1-5 stars) to submit feedback.',
+            feedbackSubmitted: 'Feedback submitted successfully!',
+            feedbackFailed: 'Failed to submit feedback. {error}',
+            loading: 'Loading your dashboard...',
+            welcome: 'Welcome, {name}!',
+            subtitle: "Here's a snapshot of your property, maintenance, and financial activity.",
+            yourProfile: 'Your Profile',
+            name: 'Name:',
+            email: 'Email:',
+            phone: 'Phone:',
+            manageProfile: 'Manage Profile',
+            quickActions: 'Quick Actions',
+            submitRequest: 'Submit New Request',
+            inviteHint: 'You will typically be invited to join a property by your landlord or property manager.',
+            currentUnit: 'My Current Unit',
+            property: 'Property:',
+            unit: 'Unit:',
+            viewUnit: 'View Unit Details',
+            noUnit: 'No unit assigned yet. Please contact your property manager.',
+            myLeases: 'My Leases',
+            viewAllLeases: 'View All Leases',
+            noLeases: 'No lease agreements found.',
+            columns: {
+                propertyUnit: 'Property / Unit',
+                leaseTerm: 'Lease Term',
+                rentAmount: 'Rent Amount',
+                status: 'Status',
+                actions: 'Actions',
+                amount: 'Amount',
+                dueDate: 'Due Date',
+                paidOn: 'Paid On',
+                title: 'Title',
+                category: 'Category',
+                submitted: 'Submitted',
+                property: 'Property',
+                unit: 'Unit',
+                scheduledDate: 'Scheduled Date',
+            },
+            month: 'month',
+            viewDetails: 'View Details',
+            reviewRenewal: 'Review Renewal Offer',
+            recentPayments: 'Recent Payments',
+            viewAllPayments: 'View All Payments',
+            noPayments: 'No recent payment records found.',
+            pay: 'Pay {amount}',
+            myRequests: 'My Maintenance Requests',
+            viewAllRequests: 'View All Requests',
+            noRequests: 'You have no maintenance requests submitted yet.',
+            view: 'View',
+            giveFeedback: 'Give Feedback',
+            feedbackGiven: 'Feedback Given',
+            upcomingMaintenance: 'Upcoming Scheduled Maintenance',
+            viewAll: 'View All',
+            noMaintenance: 'No upcoming scheduled maintenance for your unit/property.',
+            recentNotifications: 'Recent Notifications',
+            viewAllNotifications: 'View All Notifications',
+            noNotifications: 'No recent notifications.',
+            feedbackTitle: 'Submit Feedback',
+            feedbackQuestion: 'How would you rate the resolution of this request?',
+            feedbackPlaceholder: 'Optional comments...',
+            submitFeedback: 'Submit Feedback',
+        },
+        myUnit: {
+            profileLoadFailed: 'Failed to load profile. {error}',
+            unitLoadFailed: 'Failed to load unit details. {error}',
+            loading: 'Loading unit details...',
+            accessRestricted: 'Access Restricted',
+            notAuthorized: 'You are not authorized to view this unit, or it does not exist.',
+            notLinked: "This can happen if you've not been officially linked to a property or unit yet.",
+            whatToDo: 'What to do:',
+            contactManager: 'Contact your property manager if you need access.',
+            reachSupport: 'If you believe this is an error, please reach out to support.',
+            loadError: 'Failed to load unit details. Please try again later.',
+            notFoundTitle: 'Unit Not Found',
+            notFound: 'The unit you are trying to view could not be found.',
+            title: 'Unit: {name}',
+            property: 'Property:',
+            address: 'Address:',
+            unitName: 'Unit Name:',
+            floor: 'Floor:',
+            details: 'Details:',
+            noDetails: 'No additional details.',
+            bedrooms: 'Bedrooms:',
+            bathrooms: 'Bathrooms:',
+            squareFootage: 'Square Footage:',
+            squareFeet: '{value} sq ft',
+            rentAmount: 'Rent Amount:',
+            status: 'Status:',
+            occupants: 'Occupants:',
+            you: 'You',
+            submitRequest: 'Submit Request for this Unit',
+        },
+        requests: {
+            loadFailed: 'Failed to load maintenance requests. {error}',
+            title: 'My Maintenance Requests',
+            subtitle: 'View and manage all your maintenance requests',
+            newRequest: 'New Request',
+            searchPlaceholder: 'Search by title or description...',
+            filters: 'Filters',
+            sortBy: 'Sort By',
+            status: 'Status',
+            category: 'Category',
+            clearFilters: 'Clear Filters',
+            loading: 'Loading maintenance requests...',
+            loadError: 'Failed to load maintenance requests.',
+            tryLater: 'Please try again later.',
+            emptyTitle: 'No maintenance requests found',
+            noMatches: 'No requests match your current filters. Try adjusting your search criteria.',
+            noRequests: "You haven't submitted any maintenance requests yet.",
+            submitNew: 'Submit a New Request',
+            showing: {
+                one: 'Showing {shown} of {count} maintenance request',
+                other: 'Showing {shown} of {count} maintenance requests',
+            },
+            categoryLabel: 'Category:',
+            priorityLabel: 'Priority:',
+            createdLabel: 'Created:',
+            propertyLabel: 'Property:',
+            unitLabel: 'Unit:',
+            loadMore: 'Load More',
+            statuses: {
+                all: 'All Statuses',
+                new: 'New',
+                assigned: 'Assigned',
+                inProgress: 'In Progress',
+                completed: 'Completed',
+                verified: 'Verified',
+                reopened: 'Reopened',
+                archived: 'Archived',
+            },
+            categories: {
+                all: 'All Categories',
+                plumbing: 'Plumbing',
+                electrical: 'Electrical',
+                hvac: 'HVAC',
+                appliance: 'Appliance',
+                structural: 'Structural',
+                pest: 'Pest Control',
+                cleaning: 'Cleaning',
+                safety: 'Safety & Security',
+                general: 'General Maintenance',
+            },
+            sort: {
+                createdAt: 'Date Created',
+                updatedAt: 'Last Updated',
+                priority: 'Priority',
+                status: 'Status',
+            },
+        },
+        scheduledWorks: {
+            loadFailed: 'Failed to load scheduled works. {error}',
+            loading: 'Loading scheduled maintenance...',
+            loadErrorTitle: 'Error Loading Data',
+            loadError: "We couldn't load your scheduled maintenance tasks. Please try again later.",
+            title: 'Scheduled Maintenance',
+            subtitle: 'View upcoming and past scheduled maintenance for your unit and property.',
+            upcoming: 'Upcoming',
+            past: 'Past',
+            noUpcomingTitle: 'No scheduled maintenance upcoming',
+            noPastTitle: 'No scheduled maintenance in the past',
+            noUpcoming: 'There is no scheduled maintenance planned at this time.',
+            noPast: 'No past maintenance records were found.',
+            scheduled: 'Scheduled:',
+            property: 'Property:',
+            unit: 'Unit:',
+            category: 'Category:',
+            general: 'General',
+            assignedTo: 'Assigned To:',
+            noDescription: 'No additional details provided.',
+            completedOn: 'Completed on {date}',
+            inProgress: 'Work in progress',
+            recurring: 'Recurring: {frequency}',
+            regularly: 'regularly',
+            oneTime: 'One-time scheduled maintenance',
+        },
+        leaseRenewal: {
+            noOffer: 'There is no renewal offer for this lease right now.',
+            confirmAccept: 'Accept this renewal offer? A new lease will be created on these terms.',
+            confirmDecline: 'Decline this renewal offer?',
+            term: 'Term',
+            monthlyRent: 'Monthly Rent',
+            securityDeposit: 'Security Deposit',
+            rentDueDay: 'Rent Due Day',
+            title: 'Lease Renewal Offer',
+            respondBy: 'Please respond by {date}',
+            currentLease: 'Current Lease',
+            renewalOffer: 'Renewal Offer',
+            updatedTerms: 'Updated Terms & Conditions',
+            noteLabel: 'Note to your landlord (optional)',
+            decline: 'Decline',
+            accept: 'Accept Renewal',
+            declinedOn: 'You declined this offer on {date}.',
+            acceptedOn: 'You accepted this offer on {date}. Your renewed lease starts on {startDate}.',
+        },
+        payRent: {
+            loadError: "We couldn't load this rent record.",
+            amountRequired: 'Please enter an amount to pay',
+            amountTooHigh: 'You can pay at most {amount}',
+            methodRequired: "Please choose how you'd like to pay",
+            simulating: 'Simulating the provider response...',
+            redirectMissing: "The payment provider didn't return a checkout link. Please try again or choose another method.",
+            title: 'Pay Rent',
+            propertyUnit: 'Property / Unit',
+            dueDate: 'Due Date',
+            rent: 'Rent',
+            lateFees: 'Late Fees',
+            alreadyPaid: 'Already Paid',
+            balance: 'Balance',
+            fullyPaid: 'This rent is fully paid. Nothing to pay right now.',
+            amount: 'Amount',
+            partialHint: 'You can pay part of the balance ({amount} due).',
+            paymentMethod: 'Payment Method',
+            noMethods: 'No online payment methods are available for {currency}. Please contact your property manager.',
+            payAmount: 'Pay {amount}',
+            pay: 'Pay',
+        },
+        paymentCallback: {
+            title: 'Payment Status',
+            missingReference: 'This link is missing its payment reference.',
+        },
+        profile: {
+            loadFailed: 'Failed to load profile data: {error}',
+            updated: 'Profile updated successfully!',
+            updateFailed: 'Failed to update profile: {error}',
+            passwordChanged: 'Password changed successfully! Please log in with your new password if redirected.',
+            passwordChangeFailed: 'Failed to change password: {error}',
+            loading: 'Loading your profile...',
+            notFound: 'Profile not found or could not be loaded.',
+            title: 'My Profile & Settings',
+            personalInfo: 'Personal Information',
+            fullName: 'Full Name',
+            fullNamePlaceholder: 'Your Full Name',
+            email: 'Email Address',
+            emailReadOnly: 'Email cannot be changed here. Contact support for email updates.',
+            phone: 'Phone Number',
+            phonePlaceholder: 'e.g., +2567xxxxxxxx',
+            emailNotifications: 'Receive Email Notifications',
+            saving: 'Saving...',
+            saveProfile: 'Save Profile',
+            associations: 'Your Property & Unit Associations',
+            propertyLabel: 'Property:',
+            unitLabel: 'Unit:',
+            viewUnit: 'View Unit Details',
+            noAssociations: 'You are not currently associated with any properties or units as a tenant. Please contact your property manager if this is incorrect.',
+            changePassword: 'Change Password',
+            changing: 'Changing...',
+            currentPassword: 'Current Password',
+            currentPasswordPlaceholder: 'Enter your current password',
+            newPassword: 'New Password',
+            newPasswordPlaceholder: 'Minimum 8 characters',
+            confirmPassword: 'Confirm New Password',
+            confirmPasswordPlaceholder: 'Re-enter new password',
+            hideCurrent: 'Hide current password',
+            showCurrent: 'Show current password',
+            hideNew: 'Hide new password',
+            showNew: 'Show new password',
+            hideConfirm: 'Hide confirmed new password',
+            showConfirm: 'Show confirmed new password',
+            errors: {
+                nameRequired: 'Full Name is required.',
+                phoneInvalid: 'Please enter a valid phone number (7-15 digits).',
+                currentPasswordRequired: 'Current password is required.',
+                newPasswordRequired: 'New password is required.',
+                newPasswordTooShort: 'New password must be at least 8 characters long.',
+                confirmRequired: 'Please confirm your new password.',
+                passwordsMismatch: 'New passwords do not match.',
+            },
+        },
+    },
+    onlinePayment: {
+        loading: 'Loading payment...',
+        received: 'Payment of {amount} received',
+        reference: 'Ref {reference}',
+        updatingBalance: 'Updating your rent balance...',
+        balanceUpdated: 'Your rent balance has been updated.',
+        canceled: 'Payment canceled',
+        failed: 'Payment failed',
+        noMoneyTaken: 'No money was taken. You can try again or choose another payment method.',
+        transfer: 'Transfer {amount}',
+        bank: 'Bank',
+        accountName: 'Account Name',
+        accountNumber: 'Account Number',
+        referenceLabel: 'Reference',
+        transferHint: 'Use the reference exactly as shown. Your rent is marked as paid once the transfer arrives.',
+        waiting: 'Waiting for confirmation of {amount}',
+        autoUpdate: 'This page updates automatically once the payment is confirmed.',
+        cancel: 'Cancel Payment',
+    },
+    paymentProviders: {
+        phoneRequired: 'Phone number is required',
+        phoneInvalid: 'Enter the phone number with country code, e.g. +256 77 123 4567',
+        phoneLabel: 'Mobile Money Number',
+        mtnMomo: {
+            label: 'MTN Mobile Money',
+            description: 'Approve the payment prompt sent to your MTN line.',
+            prompt: 'Check your phone and enter your Mobile Money PIN to approve the payment.',
+        },
+        airtelMoney: {
+            label: 'Airtel Money',
+            description: 'Approve the payment prompt sent to your Airtel line.',
+            prompt: 'Check your phone and enter your Airtel Money PIN to approve the payment.',
+        },
+        card: {
+            label: 'Debit / Credit Card',
+            description: "You'll be taken to a secure card payment page.",
+        },
+        bankTransfer: {
+            label: 'Bank Transfer',
+            description: 'Transfer from your bank using the reference we give you.',
+        },
+        mock: {
+            label: 'Test Provider',
+            description: 'Development only: simulates a provider confirming or declining the payment.',
+            outcomeLabel: 'Simulated Outcome',
+            succeeds: 'Payment succeeds',
+            declined: 'Payment is declined',
+        },
+    },
+    apiMessages: API_MESSAGES,
+};
+
+export default en;
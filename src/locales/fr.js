@@ -0,0 +1,614 @@
+// frontend/src/locales/fr.js
+
+// French message catalog. Missing keys fall back to English (see en.js).
+
+const fr = {
+    languageName: 'Français',
+    common: {
+        logout: 'Déconnexion',
+        loading: 'Chargement...',
+        cancel: 'Annuler',
+        save: 'Enregistrer',
+    },
+    nav: {
+        dashboard: 'Tableau de bord',
+        myProfile: 'Mon profil',
+        myUnit: 'Mon logement',
+        maintenanceRequests: 'Demandes de maintenance',
+        scheduledMaintenance: 'Maintenance planifiée',
+        payments: 'Paiements',
+        myLease: 'Mon bail',
+        messages: 'Messages',
+        notifications: 'Notifications',
+        onboarding: 'Intégration',
+        users: 'Utilisateurs',
+        properties: 'Propriétés',
+        leases: 'Baux',
+        maintenance: 'Maintenance',
+        scheduledTasks: 'Tâches planifiées',
+        vendors: 'Prestataires',
+        vendorInvoices: 'Factures prestataires',
+        invites: 'Invitations',
+        reports: 'Rapports',
+        auditLogs: "Journaux d'audit",
+        mediaGallery: 'Médiathèque',
+        systemHealth: 'État du système',
+        jobQueue: 'File de travaux',
+        quoteRequests: 'Demandes de devis',
+    },
+    notifications: {
+        title: 'Notifications',
+        markAllRead: 'Tout marquer comme lu',
+        loading: 'Chargement des notifications...',
+        empty: 'Aucune notification à afficher',
+        viewDetails: 'Voir les détails →',
+        viewAll: 'Voir toutes les notifications',
+        livePaused: 'Mises à jour en direct suspendues, vérification périodique',
+        unreadCount: {
+            one: '{count} notification non lue',
+            other: '{count} notifications non lues',
+        },
+    },
+    settings: {
+        languageTitle: 'Langue et région',
+        languageDescription: "Choisissez la langue de l'application. Les dates et les nombres suivent ce choix.",
+        languageLabel: 'Langue',
+        languageSaved: 'Langue mise à jour.',
+        preview: 'Aperçu : {date}',
+    },
+    alerts: {
+        tryAgain: 'Veuillez réessayer.',
+        updateAvailable: 'Une nouvelle version de Fixit est disponible.',
+        reload: 'Recharger',
+        payments: {
+            startFailed: 'Impossible de lancer le paiement. {error}',
+            verifyFailed: 'Impossible de vérifier le paiement. {error}',
+            cancelFailed: "Impossible d'annuler le paiement. {error}",
+        },
+        reports: {
+            saved: 'Rapport enregistré !',
+            saveFailed: "Impossible d'enregistrer le rapport. {error}",
+            updated: 'Rapport mis à jour !',
+            updateFailed: 'Impossible de mettre à jour le rapport. {error}',
+            deleted: 'Rapport supprimé.',
+            deleteFailed: 'Impossible de supprimer le rapport. {error}',
+            subscriptionCreated: 'Abonnement au rapport créé !',
+            subscriptionCreateFailed: "Impossible de créer l'abonnement au rapport. {error}",
+            subscriptionUpdated: 'Abonnement au rapport mis à jour !',
+            subscriptionUpdateFailed: "Impossible de mettre à jour l'abonnement au rapport. {error}",
+            subscriptionDeleted: 'Abonnement au rapport supprimé.',
+            subscriptionDeleteFailed: "Impossible de supprimer l'abonnement au rapport. {error}",
+            sent: 'Rapport envoyé.',
+            sendFailed: "Impossible d'envoyer le rapport. {error}",
+        },
+        exchangeRates: {
+            updated: 'Taux de change mis à jour avec succès !',
+            updateFailed: 'Impossible de mettre à jour les taux de change. {error}',
+        },
+        slaPolicies: {
+            created: 'Politique de SLA créée !',
+            createFailed: 'Impossible de créer la politique de SLA. {error}',
+            updated: 'Politique de SLA mise à jour !',
+            updateFailed: 'Impossible de mettre à jour la politique de SLA. {error}',
+            deleted: 'Politique de SLA supprimée.',
+            deleteFailed: 'Impossible de supprimer la politique de SLA. {error}',
+        },
+        signatures: {
+            sent: 'Document envoyé pour signature !',
+            sendFailed: "Impossible d'envoyer le document pour signature. {error}",
+            signed: 'Document signé !',
+            completed: 'Document signé par tous. La copie signée a été enregistrée.',
+            completedWithoutCopy: "Document signé par tous, mais la copie signée n'a pas encore pu être enregistrée avec le document.",
+            signFailed: 'Impossible de signer le document. {error}',
+            copySaved: 'Copie signée enregistrée !',
+            copySaveFailed: "Impossible d'enregistrer la copie signée. {error}",
+            declined: 'Vous avez refusé de signer ce document.',
+            declineFailed: 'Impossible de refuser. {error}',
+            canceled: 'Demande de signature annulée.',
+            cancelFailed: "Impossible d'annuler la demande de signature. {error}",
+        },
+        leases: {
+            created: 'Bail créé avec succès !',
+            createFailed: 'Impossible de créer le bail. {error}',
+            updated: 'Bail mis à jour avec succès !',
+            updateFailed: 'Impossible de mettre à jour le bail. {error}',
+            deleted: 'Bail supprimé avec succès !',
+            deleteFailed: 'Impossible de supprimer le bail. {error}',
+            renewalNoticeSent: 'Avis de renouvellement marqué comme envoyé !',
+            renewalNoticeFailed: "Impossible de marquer l'avis de renouvellement. {error}",
+            documentUploaded: 'Document téléversé avec succès !',
+            documentUploadFailed: 'Impossible de téléverser le document. {error}',
+            amendmentAdded: 'Avenant ajouté avec succès !',
+            amendmentAddFailed: "Impossible d'ajouter l'avenant. {error}",
+            amendmentApproved: 'Avenant approuvé et appliqué au bail !',
+            amendmentApproveFailed: "Impossible d'approuver l'avenant. {error}",
+            renewalTermsSaved: 'Conditions de renouvellement enregistrées !',
+            renewalTermsFailed: "Impossible d'enregistrer les conditions de renouvellement. {error}",
+            renewalOfferSent: 'Offre de renouvellement envoyée au locataire !',
+            renewalOfferFailed: "Impossible d'envoyer l'offre de renouvellement. {error}",
+            renewalOfferWithdrawn: 'Offre de renouvellement retirée.',
+            renewalWithdrawFailed: "Impossible de retirer l'offre de renouvellement. {error}",
+            renewalAccepted: 'Vous avez accepté le renouvellement. Votre nouveau bail a été créé.',
+            renewalDeclined: "Vous avez refusé l'offre de renouvellement.",
+            renewalResponseFailed: "Impossible d'envoyer votre réponse. {error}",
+            depositReceived: 'Réception du dépôt de garantie enregistrée !',
+            depositReceiptFailed: "Impossible d'enregistrer la réception du dépôt de garantie. {error}",
+            deductionAdded: 'Retenue ajoutée !',
+            deductionAddFailed: "Impossible d'ajouter la retenue. {error}",
+            deductionRemoved: 'Retenue supprimée !',
+            deductionRemoveFailed: 'Impossible de supprimer la retenue. {error}',
+            depositRefunded: 'Remboursement du dépôt de garantie enregistré !',
+            depositRefundFailed: "Impossible d'enregistrer le remboursement du dépôt de garantie. {error}",
+            documentDownloadStarted: 'Téléchargement du document lancé !',
+            documentDownloadFailed: 'Impossible de télécharger le document. {error}',
+            documentGenerated: 'Document généré avec succès !',
+            documentGenerateFailed: 'Impossible de générer le document. {error}',
+        },
+        rents: {
+            loadFailed: 'Impossible de charger le loyer. {error}',
+            created: 'Loyer créé avec succès !',
+            createFailed: 'Impossible de créer le loyer. {error}',
+            updated: 'Loyer mis à jour avec succès !',
+            updateFailed: 'Impossible de mettre à jour le loyer. {error}',
+            deleted: 'Loyer supprimé avec succès !',
+            deleteFailed: 'Impossible de supprimer le loyer. {error}',
+            paymentRecorded: 'Paiement enregistré avec succès !',
+            paymentRecordFailed: "Impossible d'enregistrer le paiement. {error}",
+            proofUploaded: 'Justificatif de paiement téléversé avec succès !',
+            proofUploadFailed: 'Impossible de téléverser le justificatif de paiement. {error}',
+            lateFeePosted: 'Pénalité de retard appliquée avec succès !',
+            lateFeePostFailed: "Impossible d'appliquer la pénalité de retard. {error}",
+            lateFeeWaived: 'Pénalité de retard annulée avec succès !',
+            lateFeeWaiveFailed: "Impossible d'annuler la pénalité de retard. {error}",
+            scheduleCreated: 'Échéancier de loyer créé avec succès !',
+            scheduleCreateFailed: "Impossible de créer l'échéancier de loyer. {error}",
+            scheduleUpdated: 'Échéancier de loyer mis à jour avec succès !',
+            scheduleUpdateFailed: "Impossible de mettre à jour l'échéancier de loyer. {error}",
+            scheduleDeleted: 'Échéancier de loyer supprimé avec succès !',
+            scheduleDeleteFailed: "Impossible de supprimer l'échéancier de loyer. {error}",
+            generated: 'Génération des loyers terminée ! Générés : {generated}, ignorés : {skipped}',
+            generateFailed: 'Impossible de générer les loyers. {error}',
+            downloadStarted: 'Téléchargement lancé !',
+            proofDownloadFailed: 'Impossible de télécharger le justificatif de paiement. {error}',
+        },
+        properties: {
+            loadFailed: 'Impossible de charger les propriétés. {error}',
+            detailsLoadFailed: 'Impossible de charger les détails de la propriété. {error}',
+            created: 'Propriété créée avec succès !',
+            createFailed: 'Impossible de créer la propriété. {error}',
+            updated: 'Propriété mise à jour avec succès !',
+            updateFailed: 'Impossible de mettre à jour la propriété. {error}',
+            deleted: 'Propriété supprimée avec succès !',
+            deleteFailed: 'Impossible de supprimer la propriété. {error}',
+            userAssigned: 'Utilisateur affecté avec succès !',
+            userAssignFailed: "Impossible d'affecter l'utilisateur. {error}",
+            userRemoved: 'Utilisateur retiré avec succès !',
+            userRemoveFailed: "Impossible de retirer l'utilisateur. {error}",
+        },
+        maintenanceCosts: {
+            recorded: 'Coût enregistré !',
+            recordedPendingApproval: 'Coût enregistré et envoyé au propriétaire pour approbation.',
+            recordFailed: "Impossible d'enregistrer le coût. {error}",
+            deleted: 'Coût supprimé.',
+            deleteFailed: 'Impossible de supprimer le coût. {error}',
+            approved: 'Coût approuvé.',
+            approveFailed: "Impossible d'approuver le coût. {error}",
+            rejected: 'Coût refusé.',
+            rejectFailed: 'Impossible de refuser le coût. {error}',
+        },
+        inspections: {
+            saved: 'Inspection enregistrée !',
+            saveFailed: "Impossible d'enregistrer l'inspection. {error}",
+            deleted: 'Inspection supprimée.',
+            deleteFailed: "Impossible de supprimer l'inspection. {error}",
+            completed: 'Inspection terminée et envoyée au locataire pour contre-signature.',
+            completeFailed: "Impossible de terminer l'inspection. {error}",
+            signed: "Rapport d'inspection signé !",
+            commentsSent: 'Vos commentaires ont été envoyés.',
+            responseFailed: "Impossible d'envoyer votre réponse. {error}",
+            photoUploadFailed: 'Impossible de téléverser les photos. {error}',
+            requestCreated: 'Demande de maintenance créée !',
+            requestCreateFailed: 'Impossible de créer la demande de maintenance. {error}',
+        },
+        requests: {
+            offlineSynced: {
+                one: '{count} demande hors ligne envoyée avec succès.',
+                other: '{count} demandes hors ligne envoyées avec succès.',
+            },
+            offlineRejected: {
+                one: '{count} demande hors ligne a été refusée. Consultez-la dans la liste de vos demandes.',
+                other: '{count} demandes hors ligne ont été refusées. Consultez-les dans la liste de vos demandes.',
+            },
+            moved: '« {title} » déplacée.',
+            movedUntitled: 'Demande déplacée.',
+            moveFailed: 'Impossible de déplacer la demande. {error}',
+        },
+        vendorPortal: {
+            jobStarted: 'Intervention commencée.',
+            jobCompleted: 'Intervention marquée comme terminée.',
+            statusUpdated: "Statut de l'intervention mis à jour.",
+            statusUpdateFailed: "Impossible de mettre à jour le statut de l'intervention. {error}",
+            photosUploaded: 'Photos téléversées !',
+            photoUploadFailed: 'Impossible de téléverser les photos. {error}',
+            workLogged: 'Travail enregistré !',
+            workLogFailed: "Impossible d'enregistrer le travail. {error}",
+            entryRemoved: 'Entrée supprimée.',
+            entryRemoveFailed: "Impossible de supprimer l'entrée. {error}",
+            invoiceSubmitted: 'Facture envoyée !',
+            invoiceSubmitFailed: "Impossible d'envoyer la facture. {error}",
+        },
+        vendorInvoices: {
+            approved: 'Facture approuvée et enregistrée comme dépense.',
+            approveFailed: "Impossible d'approuver la facture. {error}",
+            rejected: 'Facture renvoyée au prestataire.',
+            rejectFailed: 'Impossible de refuser la facture. {error}',
+            markedPaid: 'Facture marquée comme payée.',
+            markPaidFailed: "Impossible d'enregistrer le paiement. {error}",
+        },
+        quotes: {
+            requested: {
+                one: 'Demande de devis envoyée à {count} prestataire.',
+                other: 'Demandes de devis envoyées à {count} prestataires.',
+            },
+            requestFailed: 'Impossible de demander des devis. {error}',
+            submitted: 'Devis envoyé !',
+            submitFailed: "Impossible d'envoyer le devis. {error}",
+            declined: 'Demande de devis refusée.',
+            declineFailed: 'Impossible de refuser la demande de devis. {error}',
+            approved: 'Devis de {vendor} approuvé et demande attribuée.',
+            approvedUnnamed: 'Devis approuvé et demande attribuée.',
+            approveFailed: "Impossible d'approuver le devis. {error}",
+            withdrawn: 'Demande de devis retirée.',
+            withdrawFailed: 'Impossible de retirer la demande de devis. {error}',
+        },
+    },
+    tenant: {
+        common: {
+            goToDashboard: 'Aller au tableau de bord',
+            contactSupport: "Contacter l'assistance",
+            error: 'Erreur',
+            notAvailable: 'N/D',
+            tryAgain: 'Réessayer',
+            backToDashboard: 'Retour au tableau de bord',
+        },
+        dashboard: {
+            ratingRequired: 'Veuillez donner une note (1 à 5 étoiles) pour envoyer votre avis.',
+            feedbackSubmitted: 'Avis envoyé avec succès !',
+            feedbackFailed: "Impossible d'envoyer votre avis. {error}",
+            loading: 'Chargement de votre tableau de bord...',
+            welcome: 'Bienvenue, {name} !',
+            subtitle: 'Voici un aperçu de votre logement, de la maintenance et de vos finances.',
+            yourProfile: 'Votre profil',
+            name: 'Nom :',
+            email: 'E-mail :',
+            phone: 'Téléphone :',
+            manageProfile: 'Gérer le profil',
+            quickActions: 'Actions rapides',
+            submitRequest: 'Nouvelle demande',
+            inviteHint: 'Vous serez généralement invité à rejoindre une propriété par votre propriétaire ou votre gestionnaire.',
+            currentUnit: 'Mon logement actuel',
+            property: 'Propriété :',
+            unit: 'Logement :',
+            viewUnit: 'Voir les détails du logement',
+            noUnit: 'Aucun logement attribué pour le moment. Veuillez contacter votre gestionnaire.',
+            myLeases: 'Mes baux',
+            viewAllLeases: 'Voir tous les baux',
+            noLeases: 'Aucun bail trouvé.',
+            columns: {
+                propertyUnit: 'Propriété / Logement',
+                leaseTerm: 'Durée du bail',
+                rentAmount: 'Montant du loyer',
+                status: 'Statut',
+                actions: 'Actions',
+                amount: 'Montant',
+                dueDate: 'Échéance',
+                paidOn: 'Payé le',
+                title: 'Titre',
+                category: 'Catégorie',
+                submitted: 'Envoyée le',
+                property: 'Propriété',
+                unit: 'Logement',
+                scheduledDate: 'Date prévue',
+            },
+            month: 'mois',
+            viewDetails: 'Voir les détails',
+            reviewRenewal: "Examiner l'offre de renouvellement",
+            recentPayments: 'Paiements récents',
+            viewAllPayments: 'Voir tous les paiements',
+            noPayments: 'Aucun paiement récent trouvé.',
+            pay: 'Payer {amount}',
+            myRequests: 'Mes demandes de maintenance',
+            viewAllRequests: 'Voir toutes les demandes',
+            noRequests: "Vous n'avez encore envoyé aucune demande de maintenance.",
+            view: 'Voir',
+            giveFeedback: 'Donner un avis',
+            feedbackGiven: 'Avis donné',
+            upcomingMaintenance: 'Maintenance planifiée à venir',
+            viewAll: 'Tout voir',
+            noMaintenance: 'Aucune maintenance planifiée à venir pour votre logement ou votre propriété.',
+            recentNotifications: 'Notifications récentes',
+            viewAllNotifications: 'Voir toutes les notifications',
+            noNotifications: 'Aucune notification récente.',
+            feedbackTitle: 'Donner votre avis',
+            feedbackQuestion: 'Comment évaluez-vous la résolution de cette demande ?',
+            feedbackPlaceholder: 'Commentaires (facultatif)...',
+            submitFeedback: "Envoyer l'avis",
+        },
+        myUnit: {
+            profileLoadFailed: 'Impossible de charger le profil. {error}',
+            unitLoadFailed: 'Impossible de charger les détails du logement. {error}',
+            loading: 'Chargement des détails du logement...',
+            accessRestricted: 'Accès restreint',
+            notAuthorized: "Vous n'êtes pas autorisé à consulter ce logement, ou il n'existe pas.",
+            notLinked: "Cela peut arriver si vous n'avez pas encore été rattaché officiellement à une propriété ou à un logement.",
+            whatToDo: 'Que faire :',
+            contactManager: "Contactez votre gestionnaire si vous avez besoin d'un accès.",
+            reachSupport: "Si vous pensez qu'il s'agit d'une erreur, contactez l'assistance.",
+            loadError: 'Impossible de charger les détails du logement. Veuillez réessayer plus tard.',
+            notFoundTitle: 'Logement introuvable',
+            notFound: 'Le logement que vous essayez de consulter est introuvable.',
+            title: 'Logement : {name}',
+            property: 'Propriété :',
+            address: 'Adresse :',
+            unitName: 'Nom du logement :',
+            floor: 'Étage :',
+            details: 'Détails :',
+            noDetails: 'Aucun détail supplémentaire.',
+            bedrooms: 'Chambres :',
+            bathrooms: 'Salles de bain :',
+            squareFootage: 'Superficie :',
+            squareFeet: '{value} pi²',
+            rentAmount: 'Montant du loyer :',
+            status: 'Statut :',
+            occupants: 'Occupants :',
+            you: 'Vous',
+            submitRequest: 'Envoyer une demande pour ce logement',
+        },
+        requests: {
+            loadFailed: 'Impossible de charger les demandes de maintenance. {error}',
+            title: 'Mes demandes de maintenance',
+            subtitle: 'Consultez et gérez toutes vos demandes de maintenance',
+            newRequest: 'Nouvelle demande',
+            searchPlaceholder: 'Rechercher par titre ou description...',
+            filters: 'Filtres',
+            sortBy: 'Trier par',
+            status: 'Statut',
+            category: 'Catégorie',
+            clearFilters: 'Effacer les filtres',
+            loading: 'Chargement des demandes de maintenance...',
+            loadError: 'Impossible de charger les demandes de maintenance.',
+            tryLater: 'Veuillez réessayer plus tard.',
+            emptyTitle: 'Aucune demande de maintenance trouvée',
+            noMatches: 'Aucune demande ne correspond à vos filtres. Essayez de modifier vos critères de recherche.',
+            noRequests: "Vous n'avez encore envoyé aucune demande de maintenance.",
+            submitNew: 'Envoyer une nouvelle demande',
+            showing: {
+                one: '{shown} sur {count} demande de maintenance affichée',
+                other: '{shown} sur {count} demandes de maintenance affichées',
+            },
+            categoryLabel: 'Catégorie :',
+            priorityLabel: 'Priorité :',
+            createdLabel: 'Créée le :',
+            propertyLabel: 'Propriété :',
+            unitLabel: 'Logement :',
+            loadMore: 'Charger plus',
+            statuses: {
+                all: 'Tous les statuts',
+                new: 'Nouvelle',
+                assigned: 'Attribuée',
+                inProgress: 'En cours',
+                completed: 'Terminée',
+                verified: 'Vérifiée',
+                reopened: 'Rouverte',
+                archived: 'Archivée',
+            },
+            categories: {
+                all: 'Toutes les catégories',
+                plumbing: 'Plomberie',
+                electrical: 'Électricité',
+                hvac: 'CVC',
+                appliance: 'Électroménager',
+                structural: 'Structure',
+                pest: 'Lutte antiparasitaire',
+                cleaning: 'Nettoyage',
+                safety: 'Sécurité',
+                general: 'Maintenance générale',
+            },
+            sort: {
+                createdAt: 'Date de création',
+                updatedAt: 'Dernière mise à jour',
+                priority: 'Priorité',
+                status: 'Statut',
+            },
+        },
+        scheduledWorks: {
+            loadFailed: 'Impossible de charger les travaux planifiés. {error}',
+            loading: 'Chargement de la maintenance planifiée...',
+            loadErrorTitle: 'Erreur de chargement des données',
+            loadError: "Nous n'avons pas pu charger vos tâches de maintenance planifiées. Veuillez réessayer plus tard.",
+            title: 'Maintenance planifiée',
+            subtitle: 'Consultez la maintenance planifiée à venir et passée pour votre logement et votre propriété.',
+            upcoming: 'À venir',
+            past: 'Passée',
+            noUpcomingTitle: 'Aucune maintenance planifiée à venir',
+            noPastTitle: 'Aucune maintenance planifiée passée',
+            noUpcoming: "Aucune maintenance n'est planifiée pour le moment.",
+            noPast: "Aucun historique de maintenance n'a été trouvé.",
+            scheduled: 'Planifiée le :',
+            property: 'Propriété :',
+            unit: 'Logement :',
+            category: 'Catégorie :',
+            general: 'Général',
+            assignedTo: 'Attribuée à :',
+            noDescription: 'Aucun détail supplémentaire fourni.',
+            completedOn: 'Terminée le {date}',
+            inProgress: 'Travaux en cours',
+            recurring: 'Récurrente : {frequency}',
+            regularly: 'régulièrement',
+            oneTime: 'Maintenance planifiée ponctuelle',
+        },
+        leaseRenewal: {
+            noOffer: "Il n'y a pas d'offre de renouvellement pour ce bail pour le moment.",
+            confirmAccept: 'Accepter cette offre de renouvellement ? Un nouveau bail sera créé à ces conditions.',
+            confirmDecline: 'Refuser cette offre de renouvellement ?',
+            term: 'Durée',
+            monthlyRent: 'Loyer mensuel',
+            securityDeposit: 'Dépôt de garantie',
+            rentDueDay: "Jour d'échéance du loyer",
+            title: 'Offre de renouvellement de bail',
+            respondBy: 'Veuillez répondre avant le {date}',
+            currentLease: 'Bail actuel',
+            renewalOffer: 'Offre de renouvellement',
+            updatedTerms: 'Conditions générales mises à jour',
+            noteLabel: 'Message à votre propriétaire (facultatif)',
+            decline: 'Refuser',
+            accept: 'Accepter le renouvellement',
+            declinedOn: 'Vous avez refusé cette offre le {date}.',
+            acceptedOn: 'Vous avez accepté cette offre le {date}. Votre bail renouvelé commence le {startDate}.',
+        },
+        payRent: {
+            loadError: "Nous n'avons pas pu charger ce loyer.",
+            amountRequired: 'Veuillez saisir un montant à payer',
+            amountTooHigh: 'Vous pouvez payer au maximum {amount}',
+            methodRequired: 'Veuillez choisir un moyen de paiement',
+            simulating: 'Simulation de la réponse du prestataire...',
+            redirectMissing: "Le prestataire de paiement n'a pas renvoyé de lien de paiement. Veuillez réessayer ou choisir un autre moyen.",
+            title: 'Payer le loyer',
+            propertyUnit: 'Propriété / Logement',
+            dueDate: 'Échéance',
+            rent: 'Loyer',
+            lateFees: 'Pénalités de retard',
+            alreadyPaid: 'Déjà payé',
+            balance: 'Solde',
+            fullyPaid: 'Ce loyer est entièrement payé. Rien à payer pour le moment.',
+            amount: 'Montant',
+            partialHint: 'Vous pouvez payer une partie du solde ({amount} dus).',
+            paymentMethod: 'Moyen de paiement',
+            noMethods: "Aucun moyen de paiement en ligne n'est disponible pour {currency}. Veuillez contacter votre gestionnaire.",
+            payAmount: 'Payer {amount}',
+            pay: 'Payer',
+        },
+        paymentCallback: {
+            title: 'Statut du paiement',
+            missingReference: 'Ce lien ne contient pas de référence de paiement.',
+        },
+        profile: {
+            loadFailed: 'Impossible de charger le profil : {error}',
+            updated: 'Profil mis à jour avec succès !',
+            updateFailed: 'Impossible de mettre à jour le profil : {error}',
+            passwordChanged: 'Mot de passe modifié avec succès ! Connectez-vous avec votre nouveau mot de passe si vous êtes redirigé.',
+            passwordChangeFailed: 'Impossible de modifier le mot de passe : {error}',
+            loading: 'Chargement de votre profil...',
+            notFound: 'Profil introuvable ou impossible à charger.',
+            title: 'Mon profil et mes paramètres',
+            personalInfo: 'Informations personnelles',
+            fullName: 'Nom complet',
+            fullNamePlaceholder: 'Votre nom complet',
+            email: 'Adresse e-mail',
+            emailReadOnly: "L'e-mail ne peut pas être modifié ici. Contactez le support pour le changer.",
+            phone: 'Numéro de téléphone',
+            phonePlaceholder: 'ex. : +2567xxxxxxxx',
+            emailNotifications: 'Recevoir les notifications par e-mail',
+            saving: 'Enregistrement...',
+            saveProfile: 'Enregistrer le profil',
+            associations: 'Vos propriétés et logements associés',
+            propertyLabel: 'Propriété :',
+            unitLabel: 'Logement :',
+            viewUnit: 'Voir le logement',
+            noAssociations: "Vous n'êtes actuellement associé à aucune propriété ni aucun logement en tant que locataire. Contactez votre gestionnaire si c'est une erreur.",
+            changePassword: 'Changer le mot de passe',
+            changing: 'Modification...',
+            currentPassword: 'Mot de passe actuel',
+            currentPasswordPlaceholder: 'Saisissez votre mot de passe actuel',
+            newPassword: 'Nouveau mot de passe',
+            newPasswordPlaceholder: '8 caractères minimum',
+            confirmPassword: 'Confirmer le nouveau mot de passe',
+            confirmPasswordPlaceholder: 'Saisissez à nouveau le nouveau mot de passe',
+            hideCurrent: 'Masquer le mot de passe actuel',
+            showCurrent: 'Afficher le mot de passe actuel',
+            hideNew: 'Masquer le nouveau mot de passe',
+            showNew: 'Afficher le nouveau mot de passe',
+            hideConfirm: 'Masquer la confirmation du mot de passe',
+            showConfirm: 'Afficher la confirmation du mot de passe',
+            errors: {
+                nameRequired: 'Le nom complet est obligatoire.',
+                phoneInvalid: 'Veuillez saisir un numéro de téléphone valide (7 à 15 chiffres).',
+                currentPasswordRequired: 'Le mot de passe actuel est obligatoire.',
+                newPasswordRequired: 'Le nouveau mot de passe est obligatoire.',
+                newPasswordTooShort: 'Le nouveau mot de passe doit contenir au moins 8 caractères.',
+                confirmRequired: 'Veuillez confirmer votre nouveau mot de passe.',
+                passwordsMismatch: 'Les nouveaux mots de passe ne correspondent pas.',
+            },
+        },
+    },
+    onlinePayment: {
+        loading: 'Chargement du paiement...',
+        received: 'Paiement de {amount} reçu',
+        reference: 'Réf. {reference}',
+        updatingBalance: 'Mise à jour du solde de votre loyer...',
+        balanceUpdated: 'Le solde de votre loyer a été mis à jour.',
+        canceled: 'Paiement annulé',
+        failed: 'Échec du paiement',
+        noMoneyTaken: "Aucun montant n'a été prélevé. Vous pouvez réessayer ou choisir un autre moyen de paiement.",
+        transfer: 'Virer {amount}',
+        bank: 'Banque',
+        accountName: 'Titulaire du compte',
+        accountNumber: 'Numéro de compte',
+        referenceLabel: 'Référence',
+        transferHint: 'Utilisez la référence exactement comme indiqué. Votre loyer est marqué comme payé dès réception du virement.',
+        waiting: 'En attente de la confirmation de {amount}',
+        autoUpdate: 'Cette page se met à jour automatiquement dès que le paiement est confirmé.',
+        cancel: 'Annuler le paiement',
+    },
+    paymentProviders: {
+        phoneRequired: 'Le numéro de téléphone est obligatoire',
+        phoneInvalid: "Saisissez le numéro avec l'indicatif du pays, p. ex. +256 77 123 4567",
+        phoneLabel: 'Numéro Mobile Money',
+        mtnMomo: {
+            label: 'MTN Mobile Money',
+            description: 'Validez la demande de paiement envoyée sur votre ligne MTN.',
+            prompt: 'Consultez votre téléphone et saisissez votre code PIN Mobile Money pour valider le paiement.',
+        },
+        airtelMoney: {
+            label: 'Airtel Money',
+            description: 'Validez la demande de paiement envoyée sur votre ligne Airtel.',
+            prompt: 'Consultez votre téléphone et saisissez votre code PIN Airtel Money pour valider le paiement.',
+        },
+        card: {
+            label: 'Carte de débit / crédit',
+            description: 'Vous serez redirigé vers une page de paiement par carte sécurisée.',
+        },
+        bankTransfer: {
+            label: 'Virement bancaire',
+            description: 'Effectuez un virement depuis votre banque avec la référence fournie.',
+        },
+        mock: {
+            label: 'Prestataire de test',
+            description: 'Développement uniquement : simule un prestataire qui confirme ou refuse le paiement.',
+            outcomeLabel: 'Résultat simulé',
+            succeeds: 'Le paiement réussit',
+            declined: 'Le paiement est refusé',
+        },
+    },
+    apiMessages: {
+        SUCCESS: 'Opération réussie !',
+        ERROR: 'Une erreur est survenue. Veuillez réessayer.',
+        NOT_AUTHORIZED: "Vous n'êtes pas autorisé à effectuer cette action.",
+        NOT_FOUND: 'Ressource introuvable.',
+        INVALID_INPUT: 'Données saisies invalides.',
+        LOGIN_SUCCESS: 'Connexion réussie !',
+        REGISTER_SUCCESS: 'Compte créé avec succès !',
+        LOGOUT_SUCCESS: 'Déconnexion réussie.',
+        INVITE_SENT: 'Invitation envoyée avec succès !',
+        INVITE_ACCEPTED: 'Invitation acceptée. Votre compte est prêt !',
+        REQUEST_SUBMITTED: 'Demande de maintenance envoyée avec succès !',
+        TASK_ASSIGNED: 'Tâche attribuée avec succès !',
+        STATUS_UPDATED: 'Statut mis à jour avec succès !',
+        PROPERTY_CREATED: 'Propriété créée avec succès !',
+        UNIT_CREATED: 'Logement créé avec succès !',
+        VENDOR_CREATED: 'Prestataire ajouté avec succès !',
+        SCHEDULE_CREATED: 'Maintenance planifiée créée avec succès !',
+    },
+};
+
+export default fr;
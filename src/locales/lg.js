@@ -0,0 +1,614 @@
+// frontend/src/locales/lg.js
+
+// Luganda message catalog. Missing keys fall back to English (see en.js).
+
+const lg = {
+    languageName: 'Luganda',
+    common: {
+        logout: 'Fuluma',
+        loading: 'Kitegekebwa...',
+        cancel: 'Sazaamu',
+        save: 'Tereka',
+    },
+    nav: {
+        dashboard: 'Olupapula Olukulu',
+        myProfile: 'Ebinkwatako',
+        myUnit: 'Ennyumba Yange',
+        maintenanceRequests: "Okusaba Okuddaabiriza",
+        scheduledMaintenance: 'Okuddaabiriza Okutegekeddwa',
+        payments: 'Okusasula',
+        myLease: "Endagaano Yange ey'Obupangisa",
+        messages: 'Obubaka',
+        notifications: 'Okumanyisibwa',
+        onboarding: 'Okuyingizibwa',
+        users: 'Abakozesa',
+        properties: 'Ebizimbe',
+        leases: "Endagaano z'Obupangisa",
+        maintenance: 'Okuddaabiriza',
+        scheduledTasks: 'Emirimu Egitegekeddwa',
+        vendors: "Abagaba Obuweereza",
+        vendorInvoices: "Invoyisi z'Abagaba Obuweereza",
+        invites: 'Okuyita',
+        reports: 'Lipoota',
+        auditLogs: "Ebiwandiiko by'Okwekenneenya",
+        mediaGallery: 'Ebifaananyi',
+        systemHealth: "Embeera y'Enkola",
+        jobQueue: "Olukalala lw'Emirimu",
+        quoteRequests: "Okusaba Ebbeeyi",
+    },
+    notifications: {
+        title: 'Okumanyisibwa',
+        markAllRead: 'Byonna biteeke nga bisomeddwa',
+        loading: 'Okumanyisibwa kutegekebwa...',
+        empty: 'Tewali kumanyisibwa',
+        viewDetails: 'Laba ebisingawo →',
+        viewAll: 'Laba okumanyisibwa kwonna',
+        livePaused: 'Obubaka obw\'amangu buyimiriziddwa, tukebera buli kaseera',
+        unreadCount: {
+            one: 'Okumanyisibwa {count} tekunnasomebwa',
+            other: 'Okumanyisibwa {count} tekunnasomebwa',
+        },
+    },
+    settings: {
+        languageTitle: "Olulimi n'Ekitundu",
+        languageDescription: "Londa olulimi olukozesebwa mu app. Ennaku n'ennamba bigoberera okulonda kuno.",
+        languageLabel: 'Olulimi',
+        languageSaved: 'Olulimi lukyusiddwa.',
+        preview: 'Ekyokulabirako: {date}',
+    },
+    alerts: {
+        tryAgain: 'Gezaako nate.',
+        updateAvailable: 'Enkyusa empya eya Fixit eriwo.',
+        reload: 'Tikkula nate',
+        payments: {
+            startFailed: 'Kilemeddwa okutandika okusasula. {error}',
+            verifyFailed: 'Kilemeddwa okukakasa okusasula. {error}',
+            cancelFailed: 'Kilemeddwa okusazaamu okusasula. {error}',
+        },
+        reports: {
+            saved: 'Lipooti eterekeddwa!',
+            saveFailed: 'Kilemeddwa okutereka lipooti. {error}',
+            updated: 'Lipooti ezzeemu okutegekebwa!',
+            updateFailed: 'Kilemeddwa okukyusa lipooti. {error}',
+            deleted: 'Lipooti esaziddwamu.',
+            deleteFailed: 'Kilemeddwa okusazaamu lipooti. {error}',
+            subscriptionCreated: 'Okwewandiisa ku lipooti kutondeddwa!',
+            subscriptionCreateFailed: 'Kilemeddwa okutonda okwewandiisa ku lipooti. {error}',
+            subscriptionUpdated: 'Okwewandiisa ku lipooti kukyusiddwa!',
+            subscriptionUpdateFailed: 'Kilemeddwa okukyusa okwewandiisa ku lipooti. {error}',
+            subscriptionDeleted: 'Okwewandiisa ku lipooti kusaziddwamu.',
+            subscriptionDeleteFailed: 'Kilemeddwa okusazaamu okwewandiisa ku lipooti. {error}',
+            sent: 'Lipooti eweerezeddwa.',
+            sendFailed: 'Kilemeddwa okuweereza lipooti. {error}',
+        },
+        exchangeRates: {
+            updated: "Emiwendo gy'okuwanyisiganya ssente gikyusiddwa bulungi!",
+            updateFailed: "Kilemeddwa okukyusa emiwendo gy'okuwanyisiganya ssente. {error}",
+        },
+        slaPolicies: {
+            created: 'Enkola ya SLA etondeddwa!',
+            createFailed: 'Kilemeddwa okutonda enkola ya SLA. {error}',
+            updated: 'Enkola ya SLA ekyusiddwa!',
+            updateFailed: 'Kilemeddwa okukyusa enkola ya SLA. {error}',
+            deleted: 'Enkola ya SLA esaziddwamu.',
+            deleteFailed: 'Kilemeddwa okusazaamu enkola ya SLA. {error}',
+        },
+        signatures: {
+            sent: 'Ekiwandiiko kiweerezeddwa okuteekebwako omukono!',
+            sendFailed: 'Kilemeddwa okuweereza ekiwandiiko okuteekebwako omukono. {error}',
+            signed: 'Ekiwandiiko kiteereddwako omukono!',
+            completed: 'Bonna bateeseeko omukono. Kkopi eriko emikono eterekeddwa.',
+            completedWithoutCopy: 'Bonna bateeseeko omukono, naye kkopi eriko emikono tennaterekebwa wamu n\'ekiwandiiko.',
+            signFailed: 'Kilemeddwa okuteeka omukono ku kiwandiiko. {error}',
+            copySaved: 'Kkopi eriko emikono eterekeddwa!',
+            copySaveFailed: 'Kilemeddwa okutereka kkopi eriko emikono. {error}',
+            declined: 'Ogaanye okuteeka omukono ku kiwandiiko kino.',
+            declineFailed: 'Kilemeddwa okugaana. {error}',
+            canceled: "Okusaba omukono kusaziddwamu.",
+            cancelFailed: 'Kilemeddwa okusazaamu okusaba omukono. {error}',
+        },
+        leases: {
+            created: 'Endagaano etondeddwa bulungi!',
+            createFailed: 'Kilemeddwa okutonda endagaano. {error}',
+            updated: 'Endagaano ekyusiddwa bulungi!',
+            updateFailed: 'Kilemeddwa okukyusa endagaano. {error}',
+            deleted: 'Endagaano esaziddwamu bulungi!',
+            deleteFailed: 'Kilemeddwa okusazaamu endagaano. {error}',
+            renewalNoticeSent: "Ekirango ky'okuzza obuggya kiteereddwako akabonero nti kiweerezeddwa!",
+            renewalNoticeFailed: "Kilemeddwa okuteeka akabonero ku kirango ky'okuzza obuggya. {error}",
+            documentUploaded: 'Ekiwandiiko kiteekeddwayo bulungi!',
+            documentUploadFailed: 'Kilemeddwa okuteekayo ekiwandiiko. {error}',
+            amendmentAdded: 'Enkyukakyuka eyongeddwamu bulungi!',
+            amendmentAddFailed: 'Kilemeddwa okwongeramu enkyukakyuka. {error}',
+            amendmentApproved: 'Enkyukakyuka ekkiriziddwa era etekeddwa mu ndagaano!',
+            amendmentApproveFailed: 'Kilemeddwa okukkiriza enkyukakyuka. {error}',
+            renewalTermsSaved: "Obukwakkulizo bw'okuzza obuggya buterekeddwa!",
+            renewalTermsFailed: "Kilemeddwa okutereka obukwakkulizo bw'okuzza obuggya. {error}",
+            renewalOfferSent: "Ekiweebwayo eky'okuzza obuggya kiweerezeddwa omupangisa!",
+            renewalOfferFailed: "Kilemeddwa okuweereza ekiweebwayo eky'okuzza obuggya. {error}",
+            renewalOfferWithdrawn: "Ekiweebwayo eky'okuzza obuggya kiggyiddwayo.",
+            renewalWithdrawFailed: "Kilemeddwa okuggyayo ekiweebwayo eky'okuzza obuggya. {error}",
+            renewalAccepted: 'Okkirizza okuzza obuggya. Endagaano yo empya etondeddwa.',
+            renewalDeclined: "Ogaanye ekiweebwayo eky'okuzza obuggya.",
+            renewalResponseFailed: 'Kilemeddwa okuweereza eky\'okuddamu kyo. {error}',
+            depositReceived: "Okufuna omusingo kuwandiisiddwa!",
+            depositReceiptFailed: 'Kilemeddwa okuwandiisa okufuna omusingo. {error}',
+            deductionAdded: 'Ekisaliddwako kyongeddwamu!',
+            deductionAddFailed: 'Kilemeddwa okwongeramu ekisaliddwako. {error}',
+            deductionRemoved: 'Ekisaliddwako kiggyiddwawo!',
+            deductionRemoveFailed: 'Kilemeddwa okuggyawo ekisaliddwako. {error}',
+            depositRefunded: 'Okuzzaayo omusingo kuwandiisiddwa!',
+            depositRefundFailed: 'Kilemeddwa okuwandiisa okuzzaayo omusingo. {error}',
+            documentDownloadStarted: 'Okuwanula ekiwandiiko kutandise!',
+            documentDownloadFailed: 'Kilemeddwa okuwanula ekiwandiiko. {error}',
+            documentGenerated: 'Ekiwandiiko kikoleddwa bulungi!',
+            documentGenerateFailed: 'Kilemeddwa okukola ekiwandiiko. {error}',
+        },
+        rents: {
+            loadFailed: "Kilemeddwa okutikkula ebikwata ku bupangisa. {error}",
+            created: "Ebikwata ku bupangisa bitondeddwa bulungi!",
+            createFailed: "Kilemeddwa okutonda ebikwata ku bupangisa. {error}",
+            updated: "Ebikwata ku bupangisa bikyusiddwa bulungi!",
+            updateFailed: "Kilemeddwa okukyusa ebikwata ku bupangisa. {error}",
+            deleted: "Ebikwata ku bupangisa bisaziddwamu bulungi!",
+            deleteFailed: "Kilemeddwa okusazaamu ebikwata ku bupangisa. {error}",
+            paymentRecorded: 'Okusasula kuwandiisiddwa bulungi!',
+            paymentRecordFailed: 'Kilemeddwa okuwandiisa okusasula. {error}',
+            proofUploaded: "Obukakafu bw'okusasula buteekeddwayo bulungi!",
+            proofUploadFailed: "Kilemeddwa okuteekayo obukakafu bw'okusasula. {error}",
+            lateFeePosted: "Ebbanja ly'okulwawo liteekeddwako bulungi!",
+            lateFeePostFailed: "Kilemeddwa okuteekako ebbanja ly'okulwawo. {error}",
+            lateFeeWaived: "Ebbanja ly'okulwawo lisonyiyiddwa bulungi!",
+            lateFeeWaiveFailed: "Kilemeddwa okusonyiwa ebbanja ly'okulwawo. {error}",
+            scheduleCreated: "Enteekateeka y'obupangisa etondeddwa bulungi!",
+            scheduleCreateFailed: "Kilemeddwa okutonda enteekateeka y'obupangisa. {error}",
+            scheduleUpdated: "Enteekateeka y'obupangisa ekyusiddwa bulungi!",
+            scheduleUpdateFailed: "Kilemeddwa okukyusa enteekateeka y'obupangisa. {error}",
+            scheduleDeleted: "Enteekateeka y'obupangisa esaziddwamu bulungi!",
+            scheduleDeleteFailed: "Kilemeddwa okusazaamu enteekateeka y'obupangisa. {error}",
+            generated: 'Okukola obupangisa kuwedde! Ebikoleddwa: {generated}, ebibuukiddwa: {skipped}',
+            generateFailed: 'Kilemeddwa okukola ebikwata ku bupangisa. {error}',
+            downloadStarted: 'Okuwanula kutandise!',
+            proofDownloadFailed: "Kilemeddwa okuwanula obukakafu bw'okusasula. {error}",
+        },
+        properties: {
+            loadFailed: 'Kilemeddwa okutikkula ebizimbe. {error}',
+            detailsLoadFailed: "Kilemeddwa okutikkula ebikwata ku kizimbe. {error}",
+            created: 'Ekizimbe kitondeddwa bulungi!',
+            createFailed: 'Kilemeddwa okutonda ekizimbe. {error}',
+            updated: 'Ekizimbe kikyusiddwa bulungi!',
+            updateFailed: 'Kilemeddwa okukyusa ekizimbe. {error}',
+            deleted: 'Ekizimbe kisaziddwamu bulungi!',
+            deleteFailed: 'Kilemeddwa okusazaamu ekizimbe. {error}',
+            userAssigned: 'Omukozesa aweereddwa bulungi!',
+            userAssignFailed: 'Kilemeddwa okuwa omukozesa. {error}',
+            userRemoved: 'Omukozesa aggyiddwawo bulungi!',
+            userRemoveFailed: 'Kilemeddwa okuggyawo omukozesa. {error}',
+        },
+        maintenanceCosts: {
+            recorded: 'Ensaasaanya ewandiisiddwa!',
+            recordedPendingApproval: 'Ensaasaanya ewandiisiddwa era eweerezeddwa nnannyini nnyumba okugikkiriza.',
+            recordFailed: 'Kilemeddwa okuwandiisa ensaasaanya. {error}',
+            deleted: 'Ensaasaanya esaziddwamu.',
+            deleteFailed: 'Kilemeddwa okusazaamu ensaasaanya. {error}',
+            approved: 'Ensaasaanya ekkiriziddwa.',
+            approveFailed: 'Kilemeddwa okukkiriza ensaasaanya. {error}',
+            rejected: 'Ensaasaanya egaaniddwa.',
+            rejectFailed: 'Kilemeddwa okugaana ensaasaanya. {error}',
+        },
+        inspections: {
+            saved: 'Okukebera kuterekeddwa!',
+            saveFailed: 'Kilemeddwa okutereka okukebera. {error}',
+            deleted: 'Okukebera kusaziddwamu.',
+            deleteFailed: 'Kilemeddwa okusazaamu okukebera. {error}',
+            completed: 'Okukebera kuwedde era kuweerezeddwa omupangisa okuteekako omukono.',
+            completeFailed: 'Kilemeddwa okumaliriza okukebera. {error}',
+            signed: "Lipooti y'okukebera eteereddwako omukono!",
+            commentsSent: 'Ebirowoozo byo biweerezeddwa.',
+            responseFailed: "Kilemeddwa okuweereza eky'okuddamu kyo. {error}",
+            photoUploadFailed: 'Kilemeddwa okuteekayo ebifaananyi. {error}',
+            requestCreated: 'Okusaba okuddaabiriza kutondeddwa!',
+            requestCreateFailed: 'Kilemeddwa okutonda okusaba okuddaabiriza. {error}',
+        },
+        requests: {
+            offlineSynced: {
+                one: "Okusaba {count} okwakolebwa nga toli ku mutimbagano kuweerezeddwa bulungi.",
+                other: "Okusaba {count} okwakolebwa nga toli ku mutimbagano kuweerezeddwa bulungi.",
+            },
+            offlineRejected: {
+                one: "Okusaba {count} okwakolebwa nga toli ku mutimbagano kugaaniddwa. Kukebere mu lukalala lw'okusaba kwo.",
+                other: "Okusaba {count} okwakolebwa nga toli ku mutimbagano kugaaniddwa. Kukebere mu lukalala lw'okusaba kwo.",
+            },
+            moved: '"{title}" kujjuluziddwa.',
+            movedUntitled: 'Okusaba kujjuluziddwa.',
+            moveFailed: 'Kilemeddwa okujjuluza okusaba. {error}',
+        },
+        vendorPortal: {
+            jobStarted: 'Omulimu gutandise.',
+            jobCompleted: 'Omulimu guteereddwako akabonero nti guwedde.',
+            statusUpdated: "Embeera y'omulimu ekyusiddwa.",
+            statusUpdateFailed: "Kilemeddwa okukyusa embeera y'omulimu. {error}",
+            photosUploaded: 'Ebifaananyi biteekeddwayo!',
+            photoUploadFailed: 'Kilemeddwa okuteekayo ebifaananyi. {error}',
+            workLogged: 'Omulimu guwandiisiddwa!',
+            workLogFailed: 'Kilemeddwa okuwandiisa omulimu. {error}',
+            entryRemoved: 'Ekiwandiikiddwa kiggyiddwawo.',
+            entryRemoveFailed: 'Kilemeddwa okuggyawo ekiwandiikiddwa. {error}',
+            invoiceSubmitted: 'Invoyisi eweerezeddwa!',
+            invoiceSubmitFailed: 'Kilemeddwa okuweereza invoyisi. {error}',
+        },
+        vendorInvoices: {
+            approved: "Invoyisi ekkiriziddwa era ewandiikiddwa ng'ensaasaanya.",
+            approveFailed: 'Kilemeddwa okukkiriza invoyisi. {error}',
+            rejected: 'Invoyisi ezziddwa eri omugaba obuweereza.',
+            rejectFailed: 'Kilemeddwa okugaana invoyisi. {error}',
+            markedPaid: 'Invoyisi eteekeddwako nti esasuddwa.',
+            markPaidFailed: 'Kilemeddwa okuwandiika okusasula. {error}',
+        },
+        quotes: {
+            requested: {
+                one: "Okusaba ebbeeyi kuweerezeddwa agaba obuweereza {count}.",
+                other: "Okusaba ebbeeyi kuweerezeddwa abagaba obuweereza {count}.",
+            },
+            requestFailed: 'Kilemeddwa okusaba ebbeeyi. {error}',
+            submitted: 'Ebbeeyi eweerezeddwa!',
+            submitFailed: 'Kilemeddwa okuweereza ebbeeyi. {error}',
+            declined: 'Okusaba ebbeeyi kugaaniddwa.',
+            declineFailed: 'Kilemeddwa okugaana okusaba ebbeeyi. {error}',
+            approved: 'Ebbeeyi ya {vendor} ekkiriziddwa era okusaba kuweereddwa.',
+            approvedUnnamed: 'Ebbeeyi ekkiriziddwa era okusaba kuweereddwa.',
+            approveFailed: 'Kilemeddwa okukkiriza ebbeeyi. {error}',
+            withdrawn: 'Okusaba ebbeeyi kuggyiddwayo.',
+            withdrawFailed: 'Kilemeddwa okuggyayo okusaba ebbeeyi. {error}',
+        },
+    },
+    tenant: {
+        common: {
+            goToDashboard: 'Genda ku Dashboard',
+            contactSupport: 'Tuukirira Obuyambi',
+            error: 'Ensobi',
+            notAvailable: 'Tekiriiwo',
+            tryAgain: 'Gezaako Nate',
+            backToDashboard: 'Ddayo ku Dashboard',
+        },
+        dashboard: {
+            ratingRequired: 'Wa obubonero (emmunyeenye 1-5) okusobola okuweereza endowooza yo.',
+            feedbackSubmitted: 'Endowooza yo eweerezeddwa bulungi!',
+            feedbackFailed: 'Kilemeddwa okuweereza endowooza. {error}',
+            loading: 'Dashboard yo etegekebwa...',
+            welcome: 'Tukusanyukidde, {name}!',
+            subtitle: "Kuno kwe kulambika ku nnyumba yo, okuddaabiriza n'ensasula yo.",
+            yourProfile: 'Ebikukwatako',
+            name: 'Erinnya:',
+            email: 'Email:',
+            phone: 'Essimu:',
+            manageProfile: 'Ddukanya Ebikukwatako',
+            quickActions: 'Ebikolebwa Amangu',
+            submitRequest: 'Weereza Okusaba Okupya',
+            inviteHint: "Bulijjo oyitibwa okwegatta ku kizimbe nnannyini nnyumba oba omuddukanya w'ekizimbe.",
+            currentUnit: 'Ennyumba Yange Kati',
+            property: 'Ekizimbe:',
+            unit: 'Ennyumba:',
+            viewUnit: 'Laba Ebikwata ku Nnyumba',
+            noUnit: "Tonnaweebwa nnyumba. Tuukirira omuddukanya w'ekizimbe kyo.",
+            myLeases: 'Endagaano Zange',
+            viewAllLeases: 'Laba Endagaano Zonna',
+            noLeases: 'Tewali ndagaano za bupangisa zizuuliddwa.',
+            columns: {
+                propertyUnit: 'Ekizimbe / Ennyumba',
+                leaseTerm: "Ebbanga ly'Endagaano",
+                rentAmount: "Omuwendo gw'Obupangisa",
+                status: 'Embeera',
+                actions: 'Ebikolebwa',
+                amount: 'Omuwendo',
+                dueDate: "Olunaku lw'Okusasula",
+                paidOn: 'Yasasulwa',
+                title: 'Omutwe',
+                category: 'Ekika',
+                submitted: 'Yaweerezebwa',
+                property: 'Ekizimbe',
+                unit: 'Ennyumba',
+                scheduledDate: 'Olunaku Olutegekeddwa',
+            },
+            month: 'omwezi',
+            viewDetails: 'Laba Ebisingawo',
+            reviewRenewal: "Kebera Ekiweebwayo eky'Okuzza Obuggya",
+            recentPayments: "Ensasula Ez'Okumpi",
+            viewAllPayments: 'Laba Ensasula Zonna',
+            noPayments: 'Tewali nsasula za kumpi zizuuliddwa.',
+            pay: 'Sasula {amount}',
+            myRequests: "Okusaba Kwange okw'Okuddaabiriza",
+            viewAllRequests: 'Laba Okusaba Kwonna',
+            noRequests: "Tonnaweereza kusaba kwonna okw'okuddaabiriza.",
+            view: 'Laba',
+            giveFeedback: 'Waayo Endowooza',
+            feedbackGiven: 'Endowooza Eweereddwa',
+            upcomingMaintenance: 'Okuddaabiriza Okutegekeddwa Okujja',
+            viewAll: 'Laba Byonna',
+            noMaintenance: 'Tewali kuddaabiriza kutegekeddwa okujja ku nnyumba/ekizimbe kyo.',
+            recentNotifications: "Obubaka Obw'Okumpi",
+            viewAllNotifications: 'Laba Obubaka Bwonna',
+            noNotifications: 'Tewali bubaka bwa kumpi.',
+            feedbackTitle: 'Weereza Endowooza',
+            feedbackQuestion: 'Okugonjoola okusaba kuno okugerageranya otya?',
+            feedbackPlaceholder: 'Ebirowoozo (si kya buwaze)...',
+            submitFeedback: 'Weereza Endowooza',
+        },
+        myUnit: {
+            profileLoadFailed: 'Kilemeddwa okutikkula ebikukwatako. {error}',
+            unitLoadFailed: 'Kilemeddwa okutikkula ebikwata ku nnyumba. {error}',
+            loading: 'Ebikwata ku nnyumba bitegekebwa...',
+            accessRestricted: 'Okuyingira Kuziyiddwa',
+            notAuthorized: 'Tolina lukusa kulaba nnyumba eno, oba teriiyo.',
+            notLinked: "Kino kiyinza okubaawo bw'oba tonnagattibwa mu butongole ku kizimbe oba ennyumba.",
+            whatToDo: "Eky'okukola:",
+            contactManager: "Tuukirira omuddukanya w'ekizimbe kyo bw'oba weetaaga okuyingira.",
+            reachSupport: "Bw'oba olowooza nti eno nsobi, tuukirira obuyambi.",
+            loadError: 'Kilemeddwa okutikkula ebikwata ku nnyumba. Gezaako nate oluvannyuma.',
+            notFoundTitle: 'Ennyumba Tezuuliddwa',
+            notFound: "Ennyumba gy'ogezaako okulaba tezuuliddwa.",
+            title: 'Ennyumba: {name}',
+            property: 'Ekizimbe:',
+            address: 'Endagiriro:',
+            unitName: "Erinnya ly'Ennyumba:",
+            floor: 'Omwaliiro:',
+            details: 'Ebikwata ku yo:',
+            noDetails: 'Tewali birala bikwata ku yo.',
+            bedrooms: "Ebisenge eby'okwebakamu:",
+            bathrooms: 'Ebinaabiro:',
+            squareFootage: 'Obunene:',
+            squareFeet: 'ffuuti za sikweya {value}',
+            rentAmount: "Omuwendo gw'Obupangisa:",
+            status: 'Embeera:',
+            occupants: 'Abagibeeramu:',
+            you: 'Ggwe',
+            submitRequest: 'Weereza Okusaba ku Nnyumba Eno',
+        },
+        requests: {
+            loadFailed: "Kilemeddwa okutikkula okusaba okw'okuddaabiriza. {error}",
+            title: "Okusaba Kwange okw'Okuddaabiriza",
+            subtitle: "Laba era oddukanye okusaba kwo kwonna okw'okuddaabiriza",
+            newRequest: 'Okusaba Okupya',
+            searchPlaceholder: "Noonya ng'okozesa omutwe oba ennyinyonnyola...",
+            filters: 'Ebisengejja',
+            sortBy: 'Sengeka okusinziira ku',
+            status: 'Embeera',
+            category: 'Ekika',
+            clearFilters: 'Sazaamu Ebisengejja',
+            loading: "Okusaba okw'okuddaabiriza kutegekebwa...",
+            loadError: "Kilemeddwa okutikkula okusaba okw'okuddaabiriza.",
+            tryLater: 'Gezaako nate oluvannyuma.',
+            emptyTitle: "Tewali kusaba kw'okuddaabiriza kuzuuliddwa",
+            noMatches: "Tewali kusaba kukwatagana na bisengejja byo. Gezaako okukyusa by'onoonya.",
+            noRequests: "Tonnaweereza kusaba kwonna okw'okuddaabiriza.",
+            submitNew: 'Weereza Okusaba Okupya',
+            showing: {
+                one: "Kiraga {shown} ku kusaba {count} okw'okuddaabiriza",
+                other: "Kiraga {shown} ku kusaba {count} okw'okuddaabiriza",
+            },
+            categoryLabel: 'Ekika:',
+            priorityLabel: 'Obukulu:',
+            createdLabel: 'Yatondebwa:',
+            propertyLabel: 'Ekizimbe:',
+            unitLabel: 'Ennyumba:',
+            loadMore: 'Tikkula Ebirala',
+            statuses: {
+                all: 'Embeera Zonna',
+                new: 'Mpya',
+                assigned: 'Eweereddwa',
+                inProgress: 'Egenda mu maaso',
+                completed: 'Ewedde',
+                verified: 'Ekakasiddwa',
+                reopened: 'Eddamu okuggulwawo',
+                archived: 'Eterekeddwa',
+            },
+            categories: {
+                all: 'Ebika Byonna',
+                plumbing: "Payipu z'amazzi",
+                electrical: 'Amasannyalaze',
+                hvac: "Empewo n'Ebbugumu (HVAC)",
+                appliance: "Ebyuma by'omu Nnyumba",
+                structural: 'Enzimba',
+                pest: 'Okulwanyisa Ebiwuka',
+                cleaning: 'Okulongoosa',
+                safety: 'Obukuumi',
+                general: "Okuddaabiriza okw'Awamu",
+            },
+            sort: {
+                createdAt: "Olunaku lw'Okutondebwa",
+                updatedAt: 'Ekyakyusibwa Ogwasembayo',
+                priority: 'Obukulu',
+                status: 'Embeera',
+            },
+        },
+        scheduledWorks: {
+            loadFailed: 'Kilemeddwa okutikkula emirimu egitegekeddwa. {error}',
+            loading: 'Okuddaabiriza okutegekeddwa kutegekebwa...',
+            loadErrorTitle: 'Ensobi mu Kutikkula Ebikwata ku Nsonga',
+            loadError: "Tetusobodde kutikkula mirimu gyo egy'okuddaabiriza egitegekeddwa. Gezaako nate oluvannyuma.",
+            title: 'Okuddaabiriza Okutegekeddwa',
+            subtitle: "Laba okuddaabiriza okujja n'okwayita okw'ennyumba yo n'ekizimbe kyo.",
+            upcoming: 'Ebijja',
+            past: 'Ebyayita',
+            noUpcomingTitle: 'Tewali kuddaabiriza kutegekeddwa okujja',
+            noPastTitle: 'Tewali kuddaabiriza kutegekeddwa okwayita',
+            noUpcoming: 'Tewali kuddaabiriza kutegekeddwa mu kiseera kino.',
+            noPast: 'Tewali byawandiikibwa ku kuddaabiriza okwayita ebizuuliddwa.',
+            scheduled: 'Kitegekeddwa:',
+            property: 'Ekizimbe:',
+            unit: 'Ennyumba:',
+            category: 'Ekika:',
+            general: 'Okutwaliza awamu',
+            assignedTo: 'Aweereddwa:',
+            noDescription: 'Tewali birala biweereddwa.',
+            completedOn: 'Kyawedde nga {date}',
+            inProgress: 'Omulimu gugenda mu maaso',
+            recurring: 'Kiddiŋŋana: {frequency}',
+            regularly: 'buli kiseera',
+            oneTime: "Okuddaabiriza okutegekeddwa okw'omulundi gumu",
+        },
+        leaseRenewal: {
+            noOffer: 'Tewali kiweebwayo kya kuzza buggya ndagaano eno kati.',
+            confirmAccept: "Okkiriza ekiweebwayo kino eky'okuzza obuggya? Endagaano empya ejja kutondebwa ku bukwakkulizo buno.",
+            confirmDecline: "Ogaana ekiweebwayo kino eky'okuzza obuggya?",
+            term: 'Ebbanga',
+            monthlyRent: "Obupangisa bw'Omwezi",
+            securityDeposit: 'Omusingo',
+            rentDueDay: "Olunaku lw'Okusasula Obupangisa",
+            title: "Ekiweebwayo eky'Okuzza Obuggya Endagaano",
+            respondBy: 'Ddamu nga {date} tennatuuka',
+            currentLease: 'Endagaano Eriwo',
+            renewalOffer: "Ekiweebwayo eky'Okuzza Obuggya",
+            updatedTerms: 'Obukwakkulizo Obukyusiddwa',
+            noteLabel: 'Obubaka eri nnannyini nnyumba (si kya buwaze)',
+            decline: 'Gaana',
+            accept: 'Kkiriza Okuzza Obuggya',
+            declinedOn: 'Wagaana ekiweebwayo kino nga {date}.',
+            acceptedOn: 'Wakkiriza ekiweebwayo kino nga {date}. Endagaano yo empya etandika nga {startDate}.',
+        },
+        payRent: {
+            loadError: 'Tetusobodde kutikkula bikwata ku bupangisa buno.',
+            amountRequired: "Yingiza omuwendo gw'osasula",
+            amountTooHigh: 'Osobola okusasula {amount} okusinga',
+            methodRequired: "Londa engeri gy'oyagala okusasulamu",
+            simulating: "Tukoppa eky'okuddamu ky'agaba obuweereza...",
+            redirectMissing: "Agaba obuweereza bw'okusasula tazzizzaayo linki y'okusasuliramu. Gezaako nate oba londa engeri endala.",
+            title: 'Sasula Obupangisa',
+            propertyUnit: 'Ekizimbe / Ennyumba',
+            dueDate: "Olunaku lw'Okusasula",
+            rent: 'Obupangisa',
+            lateFees: "Ebbanja ly'Okulwawo",
+            alreadyPaid: 'Ebisasuddwa',
+            balance: 'Ebisigadde',
+            fullyPaid: 'Obupangisa buno busasuddwa bwonna. Tewali kya kusasula kati.',
+            amount: 'Omuwendo',
+            partialHint: 'Osobola okusasula ekitundu ku bisigadde ({amount} ebibanjibwa).',
+            paymentMethod: "Engeri y'Okusasula",
+            noMethods: "Tewali ngeri za kusasula ku mutimbagano eza {currency}. Tuukirira omuddukanya w'ekizimbe kyo.",
+            payAmount: 'Sasula {amount}',
+            pay: 'Sasula',
+        },
+        paymentCallback: {
+            title: "Embeera y'Okusasula",
+            missingReference: 'Link eno terina nnamba ya kusasula.',
+        },
+        profile: {
+            loadFailed: 'Kilemeddwa okutikkula ebikukwatako: {error}',
+            updated: 'Ebikukwatako bikyusiddwa bulungi!',
+            updateFailed: 'Kilemeddwa okukyusa ebikukwatako: {error}',
+            passwordChanged: "Ekigambo ky'okuyingira kikyusiddwa bulungi! Bw'oddizibwayo, yingira n'ekigambo ekipya.",
+            passwordChangeFailed: "Kilemeddwa okukyusa ekigambo ky'okuyingira: {error}",
+            loading: 'Ebikukwatako bitikkulwa...',
+            notFound: 'Ebikukwatako tebizuuliddwa oba tebisobodde kutikkulwa.',
+            title: "Ebinkwatako n'Entegeka",
+            personalInfo: 'Ebikukwatako',
+            fullName: 'Erinnya Lyonna',
+            fullNamePlaceholder: 'Erinnya Lyo Lyonna',
+            email: 'Endagiriro ya Email',
+            emailReadOnly: "Email tesobola kukyusibwa wano. Tuukirira ab'obuyambi okugikyusa.",
+            phone: "Ennamba y'Essimu",
+            phonePlaceholder: 'okugeza, +2567xxxxxxxx',
+            emailNotifications: 'Funa Obubaka ku Email',
+            saving: 'Kiterekebwa...',
+            saveProfile: 'Tereka Ebikukwatako',
+            associations: "Ebizimbe n'Ennyumba Ebikukwatako",
+            propertyLabel: 'Ekizimbe:',
+            unitLabel: 'Ennyumba:',
+            viewUnit: 'Laba Ebikwata ku Nnyumba',
+            noAssociations: "Kati tokwatagana na kizimbe wadde ennyumba yonna ng'omupangisa. Tuukirira omuddukanya wo bwe kiba nga si kituufu.",
+            changePassword: "Kyusa Ekigambo ky'Okuyingira",
+            changing: 'Kikyusibwa...',
+            currentPassword: "Ekigambo ky'Okuyingira Ekiriwo",
+            currentPasswordPlaceholder: "Yingiza ekigambo kyo eky'okuyingira ekiriwo",
+            newPassword: "Ekigambo ky'Okuyingira Ekipya",
+            newPasswordPlaceholder: 'Waakiri ennukuta 8',
+            confirmPassword: 'Kakasa Ekigambo Ekipya',
+            confirmPasswordPlaceholder: 'Ddamu oyingize ekigambo ekipya',
+            hideCurrent: 'Kweka ekigambo ekiriwo',
+            showCurrent: 'Laga ekigambo ekiriwo',
+            hideNew: 'Kweka ekigambo ekipya',
+            showNew: 'Laga ekigambo ekipya',
+            hideConfirm: 'Kweka ekigambo ekikakasiddwa',
+            showConfirm: 'Laga ekigambo ekikakasiddwa',
+            errors: {
+                nameRequired: 'Erinnya lyonna lyetaagisa.',
+                phoneInvalid: "Yingiza ennamba y'essimu entuufu (ennamba 7-15).",
+                currentPasswordRequired: 'Ekigambo ekiriwo kyetaagisa.',
+                newPasswordRequired: 'Ekigambo ekipya kyetaagisa.',
+                newPasswordTooShort: "Ekigambo ekipya kiteekwa okuba n'ennukuta waakiri 8.",
+                confirmRequired: 'Kakasa ekigambo kyo ekipya.',
+                passwordsMismatch: 'Ebigambo ebipya tebikwatagana.',
+            },
+        },
+    },
+    onlinePayment: {
+        loading: 'Okusasula kutegekebwa...',
+        received: 'Okusasula kwa {amount} kufunise',
+        reference: 'Nnamba {reference}',
+        updatingBalance: 'Ebisigadde ku bupangisa bwo bikyusibwa...',
+        balanceUpdated: 'Ebisigadde ku bupangisa bwo bikyusiddwa.',
+        canceled: 'Okusasula kusaziddwamu',
+        failed: 'Okusasula kulemeddwa',
+        noMoneyTaken: "Tewali ssente zitwaliddwa. Osobola okugezaako nate oba okulonda engeri endala ey'okusasula.",
+        transfer: 'Weereza {amount}',
+        bank: 'Bbanka',
+        accountName: 'Erinnya lya Akawunti',
+        accountNumber: 'Nnamba ya Akawunti',
+        referenceLabel: "Nnamba y'Okujjukira",
+        transferHint: "Kozesa nnamba y'okujjukira nga bw'eragiddwa. Obupangisa bwo bulambibwa nti busasuddwa ssente bwe zituuka.",
+        waiting: 'Tulinda okukakasa kwa {amount}',
+        autoUpdate: 'Olupapula luno lwekyusa lwokka okusasula bwe kukakasibwa.',
+        cancel: 'Sazaamu Okusasula',
+    },
+    paymentProviders: {
+        phoneRequired: "Nnamba y'essimu yeetaagibwa",
+        phoneInvalid: "Yingiza nnamba y'essimu ne koodi y'eggwanga, okugeza +256 77 123 4567",
+        phoneLabel: 'Nnamba ya Mobile Money',
+        mtnMomo: {
+            label: 'MTN Mobile Money',
+            description: "Kkiriza okusaba okw'okusasula okuweerezeddwa ku layini yo eya MTN.",
+            prompt: 'Kebera essimu yo oyingize PIN yo eya Mobile Money okukkiriza okusasula.',
+        },
+        airtelMoney: {
+            label: 'Airtel Money',
+            description: "Kkiriza okusaba okw'okusasula okuweerezeddwa ku layini yo eya Airtel.",
+            prompt: 'Kebera essimu yo oyingize PIN yo eya Airtel Money okukkiriza okusasula.',
+        },
+        card: {
+            label: 'Kaadi ya Bbanka',
+            description: "Ojja kutwalibwa ku lupapula olukuumiddwa olw'okusasula na kaadi.",
+        },
+        bankTransfer: {
+            label: 'Okuweereza okuyita mu Bbanka',
+            description: "Weereza okuva mu bbanka yo ng'okozesa nnamba y'okujjukira gye tukuwa.",
+        },
+        mock: {
+            label: "Agaba Obuweereza ow'Okugezesa",
+            description: "Kya kukola pulogulaamu kyokka: kikoppa agaba obuweereza ng'akakasa oba ng'agaana okusasula.",
+            outcomeLabel: 'Ekiva mu Kukoppa',
+            succeeds: 'Okusasula kutuuka',
+            declined: 'Okusasula kugaanibwa',
+        },
+    },
+    apiMessages: {
+        SUCCESS: 'Kituukiddwako!',
+        ERROR: 'Wabaddewo ensobi. Gezaako nate.',
+        NOT_AUTHORIZED: "Tolina lukusa kukola kino.",
+        NOT_FOUND: 'Tekizuuliddwa.',
+        INVALID_INPUT: 'Ebiyingiziddwa si bituufu.',
+        LOGIN_SUCCESS: 'Oyingidde bulungi!',
+        REGISTER_SUCCESS: 'Akawunti etondeddwa bulungi!',
+        LOGOUT_SUCCESS: 'Ofulumye bulungi.',
+        INVITE_SENT: 'Okuyita kuweerezeddwa bulungi!',
+        INVITE_ACCEPTED: 'Okuyita kukkiriziddwa. Akawunti yo etegese!',
+        REQUEST_SUBMITTED: 'Okusaba okuddaabiriza kuweerezeddwa bulungi!',
+        TASK_ASSIGNED: 'Omulimu guweereddwa bulungi!',
+        STATUS_UPDATED: 'Embeera ekyusiddwa bulungi!',
+        PROPERTY_CREATED: 'Ekizimbe kitondeddwa bulungi!',
+        UNIT_CREATED: 'Ennyumba etondeddwa bulungi!',
+        VENDOR_CREATED: 'Agaba obuweereza ayongeddwamu bulungi!',
+        SCHEDULE_CREATED: 'Okuddaabiriza okutegekeddwa kutondeddwa bulungi!',
+    },
+};
+
+export default lg;
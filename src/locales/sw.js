@@ -0,0 +1,614 @@
+// frontend/src/locales/sw.js
+
+// Swahili message catalog. Missing keys fall back to English (see en.js).
+
+const sw = {
+    languageName: 'Kiswahili',
+    common: {
+        logout: 'Ondoka',
+        loading: 'Inapakia...',
+        cancel: 'Ghairi',
+        save: 'Hifadhi',
+    },
+    nav: {
+        dashboard: 'Dashibodi',
+        myProfile: 'Wasifu Wangu',
+        myUnit: 'Nyumba Yangu',
+        maintenanceRequests: 'Maombi ya Matengenezo',
+        scheduledMaintenance: 'Matengenezo Yaliyopangwa',
+        payments: 'Malipo',
+        myLease: 'Mkataba Wangu wa Upangaji',
+        messages: 'Ujumbe',
+        notifications: 'Arifa',
+        onboarding: 'Usajili',
+        users: 'Watumiaji',
+        properties: 'Majengo',
+        leases: 'Mikataba ya Upangaji',
+        maintenance: 'Matengenezo',
+        scheduledTasks: 'Kazi Zilizopangwa',
+        vendors: 'Watoa Huduma',
+        vendorInvoices: 'Ankara za Watoa Huduma',
+        invites: 'Mialiko',
+        reports: 'Ripoti',
+        auditLogs: 'Kumbukumbu za Ukaguzi',
+        mediaGallery: 'Maktaba ya Picha',
+        systemHealth: 'Hali ya Mfumo',
+        jobQueue: 'Orodha ya Kazi',
+        quoteRequests: 'Maombi ya Bei',
+    },
+    notifications: {
+        title: 'Arifa',
+        markAllRead: 'Weka zote kuwa zimesomwa',
+        loading: 'Inapakia arifa...',
+        empty: 'Hakuna arifa za kuonyesha',
+        viewDetails: 'Angalia maelezo →',
+        viewAll: 'Angalia arifa zote',
+        livePaused: 'Masasisho ya moja kwa moja yamesitishwa, tunaangalia mara kwa mara',
+        unreadCount: {
+            one: 'Arifa {count} haijasomwa',
+            other: 'Arifa {count} hazijasomwa',
+        },
+    },
+    settings: {
+        languageTitle: 'Lugha na Eneo',
+        languageDescription: 'Chagua lugha ya programu. Tarehe na namba zitafuata chaguo hili.',
+        languageLabel: 'Lugha',
+        languageSaved: 'Lugha imesasishwa.',
+        preview: 'Mfano: {date}',
+    },
+    alerts: {
+        tryAgain: 'Tafadhali jaribu tena.',
+        updateAvailable: 'Toleo jipya la Fixit linapatikana.',
+        reload: 'Pakia upya',
+        payments: {
+            startFailed: 'Imeshindwa kuanzisha malipo. {error}',
+            verifyFailed: 'Imeshindwa kuthibitisha malipo. {error}',
+            cancelFailed: 'Imeshindwa kughairi malipo. {error}',
+        },
+        reports: {
+            saved: 'Ripoti imehifadhiwa!',
+            saveFailed: 'Imeshindwa kuhifadhi ripoti. {error}',
+            updated: 'Ripoti imesasishwa!',
+            updateFailed: 'Imeshindwa kusasisha ripoti. {error}',
+            deleted: 'Ripoti imefutwa.',
+            deleteFailed: 'Imeshindwa kufuta ripoti. {error}',
+            subscriptionCreated: 'Usajili wa ripoti umeundwa!',
+            subscriptionCreateFailed: 'Imeshindwa kuunda usajili wa ripoti. {error}',
+            subscriptionUpdated: 'Usajili wa ripoti umesasishwa!',
+            subscriptionUpdateFailed: 'Imeshindwa kusasisha usajili wa ripoti. {error}',
+            subscriptionDeleted: 'Usajili wa ripoti umefutwa.',
+            subscriptionDeleteFailed: 'Imeshindwa kufuta usajili wa ripoti. {error}',
+            sent: 'Ripoti imetumwa.',
+            sendFailed: 'Imeshindwa kutuma ripoti. {error}',
+        },
+        exchangeRates: {
+            updated: 'Viwango vya ubadilishaji vimesasishwa kwa mafanikio!',
+            updateFailed: 'Imeshindwa kusasisha viwango vya ubadilishaji. {error}',
+        },
+        slaPolicies: {
+            created: 'Sera ya SLA imeundwa!',
+            createFailed: 'Imeshindwa kuunda sera ya SLA. {error}',
+            updated: 'Sera ya SLA imesasishwa!',
+            updateFailed: 'Imeshindwa kusasisha sera ya SLA. {error}',
+            deleted: 'Sera ya SLA imefutwa.',
+            deleteFailed: 'Imeshindwa kufuta sera ya SLA. {error}',
+        },
+        signatures: {
+            sent: 'Hati imetumwa kwa ajili ya kusainiwa!',
+            sendFailed: 'Imeshindwa kutuma hati kwa ajili ya kusainiwa. {error}',
+            signed: 'Hati imesainiwa!',
+            completed: 'Hati imesainiwa na wote. Nakala iliyosainiwa imehifadhiwa.',
+            completedWithoutCopy: 'Hati imesainiwa na wote, lakini nakala iliyosainiwa bado haijaweza kuhifadhiwa pamoja na hati.',
+            signFailed: 'Imeshindwa kusaini hati. {error}',
+            copySaved: 'Nakala iliyosainiwa imehifadhiwa!',
+            copySaveFailed: 'Imeshindwa kuhifadhi nakala iliyosainiwa. {error}',
+            declined: 'Umekataa kusaini hati hii.',
+            declineFailed: 'Imeshindwa kukataa. {error}',
+            canceled: 'Ombi la saini limeghairiwa.',
+            cancelFailed: 'Imeshindwa kughairi ombi la saini. {error}',
+        },
+        leases: {
+            created: 'Mkataba umeundwa kwa mafanikio!',
+            createFailed: 'Imeshindwa kuunda mkataba. {error}',
+            updated: 'Mkataba umesasishwa kwa mafanikio!',
+            updateFailed: 'Imeshindwa kusasisha mkataba. {error}',
+            deleted: 'Mkataba umefutwa kwa mafanikio!',
+            deleteFailed: 'Imeshindwa kufuta mkataba. {error}',
+            renewalNoticeSent: 'Notisi ya kuhuisha imewekwa alama kuwa imetumwa!',
+            renewalNoticeFailed: 'Imeshindwa kuweka alama kwenye notisi ya kuhuisha. {error}',
+            documentUploaded: 'Hati imepakiwa kwa mafanikio!',
+            documentUploadFailed: 'Imeshindwa kupakia hati. {error}',
+            amendmentAdded: 'Marekebisho yameongezwa kwa mafanikio!',
+            amendmentAddFailed: 'Imeshindwa kuongeza marekebisho. {error}',
+            amendmentApproved: 'Marekebisho yameidhinishwa na kutumika kwenye mkataba!',
+            amendmentApproveFailed: 'Imeshindwa kuidhinisha marekebisho. {error}',
+            renewalTermsSaved: 'Masharti ya kuhuisha yamehifadhiwa!',
+            renewalTermsFailed: 'Imeshindwa kuhifadhi masharti ya kuhuisha. {error}',
+            renewalOfferSent: 'Ofa ya kuhuisha imetumwa kwa mpangaji!',
+            renewalOfferFailed: 'Imeshindwa kutuma ofa ya kuhuisha. {error}',
+            renewalOfferWithdrawn: 'Ofa ya kuhuisha imeondolewa.',
+            renewalWithdrawFailed: 'Imeshindwa kuondoa ofa ya kuhuisha. {error}',
+            renewalAccepted: 'Umekubali kuhuisha. Mkataba wako mpya umeundwa.',
+            renewalDeclined: 'Umekataa ofa ya kuhuisha.',
+            renewalResponseFailed: 'Imeshindwa kutuma jibu lako. {error}',
+            depositReceived: 'Upokeaji wa amana umerekodiwa!',
+            depositReceiptFailed: 'Imeshindwa kurekodi upokeaji wa amana. {error}',
+            deductionAdded: 'Makato yameongezwa!',
+            deductionAddFailed: 'Imeshindwa kuongeza makato. {error}',
+            deductionRemoved: 'Makato yameondolewa!',
+            deductionRemoveFailed: 'Imeshindwa kuondoa makato. {error}',
+            depositRefunded: 'Urejeshaji wa amana umerekodiwa!',
+            depositRefundFailed: 'Imeshindwa kurekodi urejeshaji wa amana. {error}',
+            documentDownloadStarted: 'Upakuaji wa hati umeanza!',
+            documentDownloadFailed: 'Imeshindwa kupakua hati. {error}',
+            documentGenerated: 'Hati imetengenezwa kwa mafanikio!',
+            documentGenerateFailed: 'Imeshindwa kutengeneza hati. {error}',
+        },
+        rents: {
+            loadFailed: 'Imeshindwa kupakia rekodi ya kodi. {error}',
+            created: 'Rekodi ya kodi imeundwa kwa mafanikio!',
+            createFailed: 'Imeshindwa kuunda rekodi ya kodi. {error}',
+            updated: 'Rekodi ya kodi imesasishwa kwa mafanikio!',
+            updateFailed: 'Imeshindwa kusasisha rekodi ya kodi. {error}',
+            deleted: 'Rekodi ya kodi imefutwa kwa mafanikio!',
+            deleteFailed: 'Imeshindwa kufuta rekodi ya kodi. {error}',
+            paymentRecorded: 'Malipo yamerekodiwa kwa mafanikio!',
+            paymentRecordFailed: 'Imeshindwa kurekodi malipo. {error}',
+            proofUploaded: 'Uthibitisho wa malipo umepakiwa kwa mafanikio!',
+            proofUploadFailed: 'Imeshindwa kupakia uthibitisho wa malipo. {error}',
+            lateFeePosted: 'Ada ya kuchelewa imewekwa kwa mafanikio!',
+            lateFeePostFailed: 'Imeshindwa kuweka ada ya kuchelewa. {error}',
+            lateFeeWaived: 'Ada ya kuchelewa imesamehewa kwa mafanikio!',
+            lateFeeWaiveFailed: 'Imeshindwa kusamehe ada ya kuchelewa. {error}',
+            scheduleCreated: 'Ratiba ya kodi imeundwa kwa mafanikio!',
+            scheduleCreateFailed: 'Imeshindwa kuunda ratiba ya kodi. {error}',
+            scheduleUpdated: 'Ratiba ya kodi imesasishwa kwa mafanikio!',
+            scheduleUpdateFailed: 'Imeshindwa kusasisha ratiba ya kodi. {error}',
+            scheduleDeleted: 'Ratiba ya kodi imefutwa kwa mafanikio!',
+            scheduleDeleteFailed: 'Imeshindwa kufuta ratiba ya kodi. {error}',
+            generated: 'Utengenezaji wa kodi umekamilika! Zilizotengenezwa: {generated}, zilizorukwa: {skipped}',
+            generateFailed: 'Imeshindwa kutengeneza rekodi za kodi. {error}',
+            downloadStarted: 'Upakuaji umeanza!',
+            proofDownloadFailed: 'Imeshindwa kupakua uthibitisho wa malipo. {error}',
+        },
+        properties: {
+            loadFailed: 'Imeshindwa kupakia majengo. {error}',
+            detailsLoadFailed: 'Imeshindwa kupakia maelezo ya jengo. {error}',
+            created: 'Jengo limeundwa kwa mafanikio!',
+            createFailed: 'Imeshindwa kuunda jengo. {error}',
+            updated: 'Jengo limesasishwa kwa mafanikio!',
+            updateFailed: 'Imeshindwa kusasisha jengo. {error}',
+            deleted: 'Jengo limefutwa kwa mafanikio!',
+            deleteFailed: 'Imeshindwa kufuta jengo. {error}',
+            userAssigned: 'Mtumiaji amekabidhiwa kwa mafanikio!',
+            userAssignFailed: 'Imeshindwa kumkabidhi mtumiaji. {error}',
+            userRemoved: 'Mtumiaji ameondolewa kwa mafanikio!',
+            userRemoveFailed: 'Imeshindwa kumwondoa mtumiaji. {error}',
+        },
+        maintenanceCosts: {
+            recorded: 'Gharama imerekodiwa!',
+            recordedPendingApproval: 'Gharama imerekodiwa na kutumwa kwa mwenye nyumba ili iidhinishwe.',
+            recordFailed: 'Imeshindwa kurekodi gharama. {error}',
+            deleted: 'Gharama imefutwa.',
+            deleteFailed: 'Imeshindwa kufuta gharama. {error}',
+            approved: 'Gharama imeidhinishwa.',
+            approveFailed: 'Imeshindwa kuidhinisha gharama. {error}',
+            rejected: 'Gharama imekataliwa.',
+            rejectFailed: 'Imeshindwa kukataa gharama. {error}',
+        },
+        inspections: {
+            saved: 'Ukaguzi umehifadhiwa!',
+            saveFailed: 'Imeshindwa kuhifadhi ukaguzi. {error}',
+            deleted: 'Ukaguzi umefutwa.',
+            deleteFailed: 'Imeshindwa kufuta ukaguzi. {error}',
+            completed: 'Ukaguzi umekamilika na kutumwa kwa mpangaji ili ausaini.',
+            completeFailed: 'Imeshindwa kukamilisha ukaguzi. {error}',
+            signed: 'Ripoti ya ukaguzi imesainiwa!',
+            commentsSent: 'Maoni yako yametumwa.',
+            responseFailed: 'Imeshindwa kutuma jibu lako. {error}',
+            photoUploadFailed: 'Imeshindwa kupakia picha. {error}',
+            requestCreated: 'Ombi la matengenezo limeundwa!',
+            requestCreateFailed: 'Imeshindwa kuunda ombi la matengenezo. {error}',
+        },
+        requests: {
+            offlineSynced: {
+                one: 'Ombi {count} lililofanywa nje ya mtandao limetumwa kwa mafanikio.',
+                other: 'Maombi {count} yaliyofanywa nje ya mtandao yametumwa kwa mafanikio.',
+            },
+            offlineRejected: {
+                one: 'Ombi {count} lililofanywa nje ya mtandao limekataliwa. Liangalie kwenye orodha ya maombi yako.',
+                other: 'Maombi {count} yaliyofanywa nje ya mtandao yamekataliwa. Yaangalie kwenye orodha ya maombi yako.',
+            },
+            moved: '"{title}" limehamishwa.',
+            movedUntitled: 'Ombi limehamishwa.',
+            moveFailed: 'Imeshindwa kuhamisha ombi. {error}',
+        },
+        vendorPortal: {
+            jobStarted: 'Kazi imeanzishwa.',
+            jobCompleted: 'Kazi imewekwa alama kuwa imekamilika.',
+            statusUpdated: 'Hali ya kazi imesasishwa.',
+            statusUpdateFailed: 'Imeshindwa kusasisha hali ya kazi. {error}',
+            photosUploaded: 'Picha zimepakiwa!',
+            photoUploadFailed: 'Imeshindwa kupakia picha. {error}',
+            workLogged: 'Kazi imerekodiwa!',
+            workLogFailed: 'Imeshindwa kurekodi kazi. {error}',
+            entryRemoved: 'Kipengele kimeondolewa.',
+            entryRemoveFailed: 'Imeshindwa kuondoa kipengele. {error}',
+            invoiceSubmitted: 'Ankara imetumwa!',
+            invoiceSubmitFailed: 'Imeshindwa kutuma ankara. {error}',
+        },
+        vendorInvoices: {
+            approved: 'Ankara imeidhinishwa na kurekodiwa kama gharama.',
+            approveFailed: 'Imeshindwa kuidhinisha ankara. {error}',
+            rejected: 'Ankara imerudishwa kwa mtoa huduma.',
+            rejectFailed: 'Imeshindwa kukataa ankara. {error}',
+            markedPaid: 'Ankara imewekwa alama kuwa imelipwa.',
+            markPaidFailed: 'Imeshindwa kurekodi malipo. {error}',
+        },
+        quotes: {
+            requested: {
+                one: 'Ombi la bei limetumwa kwa mtoa huduma {count}.',
+                other: 'Maombi ya bei yametumwa kwa watoa huduma {count}.',
+            },
+            requestFailed: 'Imeshindwa kuomba bei. {error}',
+            submitted: 'Bei imetumwa!',
+            submitFailed: 'Imeshindwa kutuma bei. {error}',
+            declined: 'Ombi la bei limekataliwa.',
+            declineFailed: 'Imeshindwa kukataa ombi la bei. {error}',
+            approved: 'Bei kutoka kwa {vendor} imeidhinishwa na ombi limekabidhiwa.',
+            approvedUnnamed: 'Bei imeidhinishwa na ombi limekabidhiwa.',
+            approveFailed: 'Imeshindwa kuidhinisha bei. {error}',
+            withdrawn: 'Ombi la bei limeondolewa.',
+            withdrawFailed: 'Imeshindwa kuondoa ombi la bei. {error}',
+        },
+    },
+    tenant: {
+        common: {
+            goToDashboard: 'Nenda kwenye Dashibodi',
+            contactSupport: 'Wasiliana na Usaidizi',
+            error: 'Hitilafu',
+            notAvailable: 'Haipo',
+            tryAgain: 'Jaribu Tena',
+            backToDashboard: 'Rudi kwenye Dashibodi',
+        },
+        dashboard: {
+            ratingRequired: 'Tafadhali toa ukadiriaji (nyota 1-5) ili kutuma maoni.',
+            feedbackSubmitted: 'Maoni yametumwa kwa mafanikio!',
+            feedbackFailed: 'Imeshindwa kutuma maoni. {error}',
+            loading: 'Inapakia dashibodi yako...',
+            welcome: 'Karibu, {name}!',
+            subtitle: 'Huu ni muhtasari wa makazi yako, matengenezo na shughuli za kifedha.',
+            yourProfile: 'Wasifu Wako',
+            name: 'Jina:',
+            email: 'Barua pepe:',
+            phone: 'Simu:',
+            manageProfile: 'Simamia Wasifu',
+            quickActions: 'Vitendo vya Haraka',
+            submitRequest: 'Tuma Ombi Jipya',
+            inviteHint: 'Kwa kawaida utaalikwa kujiunga na jengo na mwenye nyumba au msimamizi wa jengo.',
+            currentUnit: 'Nyumba Yangu ya Sasa',
+            property: 'Jengo:',
+            unit: 'Nyumba:',
+            viewUnit: 'Tazama Maelezo ya Nyumba',
+            noUnit: 'Bado hujapewa nyumba. Tafadhali wasiliana na msimamizi wa jengo lako.',
+            myLeases: 'Mikataba Yangu',
+            viewAllLeases: 'Tazama Mikataba Yote',
+            noLeases: 'Hakuna mikataba ya upangaji iliyopatikana.',
+            columns: {
+                propertyUnit: 'Jengo / Nyumba',
+                leaseTerm: 'Muda wa Mkataba',
+                rentAmount: 'Kiasi cha Kodi',
+                status: 'Hali',
+                actions: 'Vitendo',
+                amount: 'Kiasi',
+                dueDate: 'Tarehe ya Mwisho',
+                paidOn: 'Ililipwa',
+                title: 'Kichwa',
+                category: 'Aina',
+                submitted: 'Ilitumwa',
+                property: 'Jengo',
+                unit: 'Nyumba',
+                scheduledDate: 'Tarehe Iliyopangwa',
+            },
+            month: 'mwezi',
+            viewDetails: 'Tazama Maelezo',
+            reviewRenewal: 'Kagua Ofa ya Kuhuisha',
+            recentPayments: 'Malipo ya Hivi Karibuni',
+            viewAllPayments: 'Tazama Malipo Yote',
+            noPayments: 'Hakuna rekodi za malipo ya hivi karibuni.',
+            pay: 'Lipa {amount}',
+            myRequests: 'Maombi Yangu ya Matengenezo',
+            viewAllRequests: 'Tazama Maombi Yote',
+            noRequests: 'Bado hujatuma ombi lolote la matengenezo.',
+            view: 'Tazama',
+            giveFeedback: 'Toa Maoni',
+            feedbackGiven: 'Maoni Yametolewa',
+            upcomingMaintenance: 'Matengenezo Yajayo Yaliyopangwa',
+            viewAll: 'Tazama Yote',
+            noMaintenance: 'Hakuna matengenezo yajayo yaliyopangwa kwa nyumba/jengo lako.',
+            recentNotifications: 'Arifa za Hivi Karibuni',
+            viewAllNotifications: 'Tazama Arifa Zote',
+            noNotifications: 'Hakuna arifa za hivi karibuni.',
+            feedbackTitle: 'Tuma Maoni',
+            feedbackQuestion: 'Ungekadiriaje utatuzi wa ombi hili?',
+            feedbackPlaceholder: 'Maoni (si lazima)...',
+            submitFeedback: 'Tuma Maoni',
+        },
+        myUnit: {
+            profileLoadFailed: 'Imeshindwa kupakia wasifu. {error}',
+            unitLoadFailed: 'Imeshindwa kupakia maelezo ya nyumba. {error}',
+            loading: 'Inapakia maelezo ya nyumba...',
+            accessRestricted: 'Ufikiaji Umezuiwa',
+            notAuthorized: 'Huna ruhusa ya kuona nyumba hii, au haipo.',
+            notLinked: 'Hili linaweza kutokea ikiwa bado hujaunganishwa rasmi na jengo au nyumba.',
+            whatToDo: 'Nini cha kufanya:',
+            contactManager: 'Wasiliana na msimamizi wa jengo lako ikiwa unahitaji ufikiaji.',
+            reachSupport: 'Ikiwa unaamini hili ni kosa, tafadhali wasiliana na usaidizi.',
+            loadError: 'Imeshindwa kupakia maelezo ya nyumba. Tafadhali jaribu tena baadaye.',
+            notFoundTitle: 'Nyumba Haikupatikana',
+            notFound: 'Nyumba unayojaribu kuona haikupatikana.',
+            title: 'Nyumba: {name}',
+            property: 'Jengo:',
+            address: 'Anwani:',
+            unitName: 'Jina la Nyumba:',
+            floor: 'Ghorofa:',
+            details: 'Maelezo:',
+            noDetails: 'Hakuna maelezo zaidi.',
+            bedrooms: 'Vyumba vya kulala:',
+            bathrooms: 'Bafu:',
+            squareFootage: 'Ukubwa:',
+            squareFeet: 'futi za mraba {value}',
+            rentAmount: 'Kiasi cha Kodi:',
+            status: 'Hali:',
+            occupants: 'Wakazi:',
+            you: 'Wewe',
+            submitRequest: 'Tuma Ombi kwa Nyumba Hii',
+        },
+        requests: {
+            loadFailed: 'Imeshindwa kupakia maombi ya matengenezo. {error}',
+            title: 'Maombi Yangu ya Matengenezo',
+            subtitle: 'Tazama na usimamie maombi yako yote ya matengenezo',
+            newRequest: 'Ombi Jipya',
+            searchPlaceholder: 'Tafuta kwa kichwa au maelezo...',
+            filters: 'Vichujio',
+            sortBy: 'Panga kwa',
+            status: 'Hali',
+            category: 'Aina',
+            clearFilters: 'Futa Vichujio',
+            loading: 'Inapakia maombi ya matengenezo...',
+            loadError: 'Imeshindwa kupakia maombi ya matengenezo.',
+            tryLater: 'Tafadhali jaribu tena baadaye.',
+            emptyTitle: 'Hakuna maombi ya matengenezo yaliyopatikana',
+            noMatches: 'Hakuna maombi yanayolingana na vichujio vyako. Jaribu kubadilisha vigezo vya utafutaji.',
+            noRequests: 'Bado hujatuma ombi lolote la matengenezo.',
+            submitNew: 'Tuma Ombi Jipya',
+            showing: {
+                one: 'Inaonyesha {shown} kati ya ombi {count} la matengenezo',
+                other: 'Inaonyesha {shown} kati ya maombi {count} ya matengenezo',
+            },
+            categoryLabel: 'Aina:',
+            priorityLabel: 'Kipaumbele:',
+            createdLabel: 'Imeundwa:',
+            propertyLabel: 'Jengo:',
+            unitLabel: 'Nyumba:',
+            loadMore: 'Pakia Zaidi',
+            statuses: {
+                all: 'Hali Zote',
+                new: 'Mpya',
+                assigned: 'Imekabidhiwa',
+                inProgress: 'Inaendelea',
+                completed: 'Imekamilika',
+                verified: 'Imethibitishwa',
+                reopened: 'Imefunguliwa upya',
+                archived: 'Imehifadhiwa kumbukumbu',
+            },
+            categories: {
+                all: 'Aina Zote',
+                plumbing: 'Mabomba',
+                electrical: 'Umeme',
+                hvac: 'Joto na Hewa (HVAC)',
+                appliance: 'Vifaa vya Nyumbani',
+                structural: 'Muundo wa Jengo',
+                pest: 'Udhibiti wa Wadudu',
+                cleaning: 'Usafi',
+                safety: 'Usalama',
+                general: 'Matengenezo ya Jumla',
+            },
+            sort: {
+                createdAt: 'Tarehe ya Kuundwa',
+                updatedAt: 'Ilisasishwa Mwisho',
+                priority: 'Kipaumbele',
+                status: 'Hali',
+            },
+        },
+        scheduledWorks: {
+            loadFailed: 'Imeshindwa kupakia kazi zilizopangwa. {error}',
+            loading: 'Inapakia matengenezo yaliyopangwa...',
+            loadErrorTitle: 'Hitilafu Kupakia Data',
+            loadError: 'Hatukuweza kupakia kazi zako za matengenezo zilizopangwa. Tafadhali jaribu tena baadaye.',
+            title: 'Matengenezo Yaliyopangwa',
+            subtitle: 'Tazama matengenezo yajayo na yaliyopita ya nyumba na jengo lako.',
+            upcoming: 'Yajayo',
+            past: 'Yaliyopita',
+            noUpcomingTitle: 'Hakuna matengenezo yaliyopangwa yajayo',
+            noPastTitle: 'Hakuna matengenezo yaliyopangwa yaliyopita',
+            noUpcoming: 'Hakuna matengenezo yaliyopangwa kwa sasa.',
+            noPast: 'Hakuna rekodi za matengenezo yaliyopita zilizopatikana.',
+            scheduled: 'Imepangwa:',
+            property: 'Jengo:',
+            unit: 'Nyumba:',
+            category: 'Aina:',
+            general: 'Jumla',
+            assignedTo: 'Amekabidhiwa:',
+            noDescription: 'Hakuna maelezo zaidi yaliyotolewa.',
+            completedOn: 'Ilikamilika tarehe {date}',
+            inProgress: 'Kazi inaendelea',
+            recurring: 'Inajirudia: {frequency}',
+            regularly: 'mara kwa mara',
+            oneTime: 'Matengenezo yaliyopangwa ya mara moja',
+        },
+        leaseRenewal: {
+            noOffer: 'Hakuna ofa ya kuhuisha mkataba huu kwa sasa.',
+            confirmAccept: 'Ukubali ofa hii ya kuhuisha? Mkataba mpya utaundwa kwa masharti haya.',
+            confirmDecline: 'Ukatae ofa hii ya kuhuisha?',
+            term: 'Muda',
+            monthlyRent: 'Kodi ya Mwezi',
+            securityDeposit: 'Amana',
+            rentDueDay: 'Siku ya Kulipa Kodi',
+            title: 'Ofa ya Kuhuisha Mkataba',
+            respondBy: 'Tafadhali jibu kabla ya {date}',
+            currentLease: 'Mkataba wa Sasa',
+            renewalOffer: 'Ofa ya Kuhuisha',
+            updatedTerms: 'Sheria na Masharti Yaliyosasishwa',
+            noteLabel: 'Ujumbe kwa mwenye nyumba (si lazima)',
+            decline: 'Kataa',
+            accept: 'Kubali Kuhuisha',
+            declinedOn: 'Ulikataa ofa hii tarehe {date}.',
+            acceptedOn: 'Ulikubali ofa hii tarehe {date}. Mkataba wako uliohuishwa unaanza tarehe {startDate}.',
+        },
+        payRent: {
+            loadError: 'Hatukuweza kupakia rekodi hii ya kodi.',
+            amountRequired: 'Tafadhali weka kiasi cha kulipa',
+            amountTooHigh: 'Unaweza kulipa hadi {amount}',
+            methodRequired: 'Tafadhali chagua jinsi ungependa kulipa',
+            simulating: 'Inaiga jibu la mtoa huduma...',
+            redirectMissing: 'Mtoa huduma wa malipo hakurudisha kiungo cha kulipia. Tafadhali jaribu tena au chagua njia nyingine.',
+            title: 'Lipa Kodi',
+            propertyUnit: 'Jengo / Nyumba',
+            dueDate: 'Tarehe ya Mwisho',
+            rent: 'Kodi',
+            lateFees: 'Ada za Kuchelewa',
+            alreadyPaid: 'Kilicholipwa',
+            balance: 'Salio',
+            fullyPaid: 'Kodi hii imelipwa yote. Hakuna cha kulipa kwa sasa.',
+            amount: 'Kiasi',
+            partialHint: 'Unaweza kulipa sehemu ya salio ({amount} zinadaiwa).',
+            paymentMethod: 'Njia ya Malipo',
+            noMethods: 'Hakuna njia za malipo mtandaoni kwa {currency}. Tafadhali wasiliana na msimamizi wa jengo lako.',
+            payAmount: 'Lipa {amount}',
+            pay: 'Lipa',
+        },
+        paymentCallback: {
+            title: 'Hali ya Malipo',
+            missingReference: 'Kiungo hiki hakina kumbukumbu ya malipo.',
+        },
+        profile: {
+            loadFailed: 'Imeshindwa kupakia wasifu: {error}',
+            updated: 'Wasifu umesasishwa kikamilifu!',
+            updateFailed: 'Imeshindwa kusasisha wasifu: {error}',
+            passwordChanged: 'Nenosiri limebadilishwa kikamilifu! Tafadhali ingia kwa nenosiri jipya ukielekezwa.',
+            passwordChangeFailed: 'Imeshindwa kubadilisha nenosiri: {error}',
+            loading: 'Inapakia wasifu wako...',
+            notFound: 'Wasifu haukupatikana au haukuweza kupakiwa.',
+            title: 'Wasifu na Mipangilio Yangu',
+            personalInfo: 'Taarifa Binafsi',
+            fullName: 'Jina Kamili',
+            fullNamePlaceholder: 'Jina Lako Kamili',
+            email: 'Barua Pepe',
+            emailReadOnly: 'Barua pepe haiwezi kubadilishwa hapa. Wasiliana na msaada ili kuibadilisha.',
+            phone: 'Nambari ya Simu',
+            phonePlaceholder: 'mfano, +2567xxxxxxxx',
+            emailNotifications: 'Pokea Arifa kwa Barua Pepe',
+            saving: 'Inahifadhi...',
+            saveProfile: 'Hifadhi Wasifu',
+            associations: 'Majengo na Nyumba Zako',
+            propertyLabel: 'Jengo:',
+            unitLabel: 'Nyumba:',
+            viewUnit: 'Tazama Maelezo ya Nyumba',
+            noAssociations: 'Kwa sasa hujaunganishwa na jengo wala nyumba yoyote kama mpangaji. Tafadhali wasiliana na msimamizi wako ikiwa si sahihi.',
+            changePassword: 'Badilisha Nenosiri',
+            changing: 'Inabadilisha...',
+            currentPassword: 'Nenosiri la Sasa',
+            currentPasswordPlaceholder: 'Weka nenosiri lako la sasa',
+            newPassword: 'Nenosiri Jipya',
+            newPasswordPlaceholder: 'Angalau herufi 8',
+            confirmPassword: 'Thibitisha Nenosiri Jipya',
+            confirmPasswordPlaceholder: 'Weka tena nenosiri jipya',
+            hideCurrent: 'Ficha nenosiri la sasa',
+            showCurrent: 'Onyesha nenosiri la sasa',
+            hideNew: 'Ficha nenosiri jipya',
+            showNew: 'Onyesha nenosiri jipya',
+            hideConfirm: 'Ficha nenosiri lililothibitishwa',
+            showConfirm: 'Onyesha nenosiri lililothibitishwa',
+            errors: {
+                nameRequired: 'Jina kamili linahitajika.',
+                phoneInvalid: 'Tafadhali weka nambari sahihi ya simu (tarakimu 7-15).',
+                currentPasswordRequired: 'Nenosiri la sasa linahitajika.',
+                newPasswordRequired: 'Nenosiri jipya linahitajika.',
+                newPasswordTooShort: 'Nenosiri jipya lazima liwe na angalau herufi 8.',
+                confirmRequired: 'Tafadhali thibitisha nenosiri lako jipya.',
+                passwordsMismatch: 'Manenosiri mapya hayalingani.',
+            },
+        },
+    },
+    onlinePayment: {
+        loading: 'Inapakia malipo...',
+        received: 'Malipo ya {amount} yamepokelewa',
+        reference: 'Kumb. {reference}',
+        updatingBalance: 'Inasasisha salio la kodi yako...',
+        balanceUpdated: 'Salio la kodi yako limesasishwa.',
+        canceled: 'Malipo yameghairiwa',
+        failed: 'Malipo yameshindwa',
+        noMoneyTaken: 'Hakuna pesa iliyochukuliwa. Unaweza kujaribu tena au kuchagua njia nyingine ya malipo.',
+        transfer: 'Hamisha {amount}',
+        bank: 'Benki',
+        accountName: 'Jina la Akaunti',
+        accountNumber: 'Nambari ya Akaunti',
+        referenceLabel: 'Kumbukumbu',
+        transferHint: 'Tumia kumbukumbu kama ilivyoonyeshwa. Kodi yako itawekwa alama kuwa imelipwa pesa zikifika.',
+        waiting: 'Inasubiri uthibitisho wa {amount}',
+        autoUpdate: 'Ukurasa huu utasasishwa wenyewe malipo yakithibitishwa.',
+        cancel: 'Ghairi Malipo',
+    },
+    paymentProviders: {
+        phoneRequired: 'Nambari ya simu inahitajika',
+        phoneInvalid: 'Weka nambari ya simu pamoja na msimbo wa nchi, mfano +256 77 123 4567',
+        phoneLabel: 'Nambari ya Pesa ya Simu',
+        mtnMomo: {
+            label: 'MTN Mobile Money',
+            description: 'Idhinisha ombi la malipo lililotumwa kwa laini yako ya MTN.',
+            prompt: 'Angalia simu yako na uweke PIN yako ya Mobile Money ili kuidhinisha malipo.',
+        },
+        airtelMoney: {
+            label: 'Airtel Money',
+            description: 'Idhinisha ombi la malipo lililotumwa kwa laini yako ya Airtel.',
+            prompt: 'Angalia simu yako na uweke PIN yako ya Airtel Money ili kuidhinisha malipo.',
+        },
+        card: {
+            label: 'Kadi ya Benki / Mkopo',
+            description: 'Utapelekwa kwenye ukurasa salama wa malipo kwa kadi.',
+        },
+        bankTransfer: {
+            label: 'Uhamisho wa Benki',
+            description: 'Hamisha kutoka benki yako ukitumia kumbukumbu tutakayokupa.',
+        },
+        mock: {
+            label: 'Mtoa Huduma wa Majaribio',
+            description: 'Kwa uundaji tu: huiga mtoa huduma akithibitisha au kukataa malipo.',
+            outcomeLabel: 'Matokeo ya Kuiga',
+            succeeds: 'Malipo yanafanikiwa',
+            declined: 'Malipo yanakataliwa',
+        },
+    },
+    apiMessages: {
+        SUCCESS: 'Imefanikiwa!',
+        ERROR: 'Hitilafu imetokea. Tafadhali jaribu tena.',
+        NOT_AUTHORIZED: 'Huna ruhusa ya kufanya kitendo hiki.',
+        NOT_FOUND: 'Haikupatikana.',
+        INVALID_INPUT: 'Taarifa zilizowekwa si sahihi.',
+        LOGIN_SUCCESS: 'Umeingia kwa mafanikio!',
+        REGISTER_SUCCESS: 'Akaunti imeundwa kwa mafanikio!',
+        LOGOUT_SUCCESS: 'Umeondoka kwa mafanikio.',
+        INVITE_SENT: 'Mwaliko umetumwa kwa mafanikio!',
+        INVITE_ACCEPTED: 'Mwaliko umekubaliwa. Akaunti yako iko tayari!',
+        REQUEST_SUBMITTED: 'Ombi la matengenezo limetumwa kwa mafanikio!',
+        TASK_ASSIGNED: 'Kazi imekabidhiwa kwa mafanikio!',
+        STATUS_UPDATED: 'Hali imesasishwa kwa mafanikio!',
+        PROPERTY_CREATED: 'Jengo limeundwa kwa mafanikio!',
+        UNIT_CREATED: 'Nyumba imeundwa kwa mafanikio!',
+        VENDOR_CREATED: 'Mtoa huduma ameongezwa kwa mafanikio!',
+        SCHEDULE_CREATED: 'Matengenezo yaliyopangwa yameundwa kwa mafanikio!',
+    },
+};
+
+export default sw;
@@ -17,6 +17,7 @@ import { NotificationProvider } from "./contexts/NotificationContext.jsx";
 import { GlobalAlertProvider } from "./contexts/GlobalAlertContext.jsx";
 import { QueryProvider } from "./contexts/QueryProvider.jsx";
 import { RouteProvider } from "./contexts/RouteContext";
+import { I18nProvider } from "./contexts/I18nContext.jsx";
 
 console.log("React is rendering...");
 
@@ -30,7 +31,9 @@ root.render(
             <PermissionProvider>
               <RouteProvider>
                 <QueryProvider>
-                  <App />
+                  <I18nProvider>
+                    <App />
+                  </I18nProvider>
                 </QueryProvider>
               </RouteProvider>
             </PermissionProvider>
@@ -17,6 +17,8 @@ const LeaseStatusBadge = ({ status }) => {
     switch(statusLower) {
       case 'active':
         return 'bg-green-100 text-green-800';
+      case 'upcoming':
+        return 'bg-indigo-100 text-indigo-800';
       case 'expired':
         return 'bg-gray-100 text-gray-800';
       case 'pending_renewal':
@@ -270,6 +272,7 @@ const AdminLeaseManagementPage = () => {
   const leaseStatusOptions = [
     { value: '', label: 'All Statuses' },
     { value: 'active', label: 'Active' },
+    { value: 'upcoming', label: 'Upcoming' },
     { value: 'expired', label: 'Expired' },
     { value: 'pending_renewal', label: 'Pending Renewal' },
     { value: 'terminated', label: 'Terminated' },
@@ -1,15 +1,17 @@
 // frontend/src/pages/admin/AdminProfilePage.jsx
 
 import React, { useState, useEffect, useCallback, useRef } from "react";
-import { User, Lock, Bell, Save, Eye, EyeOff, Shield } from "lucide-react";
+import { User, Lock, Bell, Save, Eye, EyeOff, Shield, Globe } from "lucide-react";
 
 import Input from "../../components/common/Input.jsx"; 
 import Button from "../../components/common/Button.jsx";
 import LoadingSpinner from "../../components/common/LoadingSpinner.jsx";
+import LanguageSwitcher from "../../components/common/LanguageSwitcher.jsx";
 import * as userService from "../../services/userService.js";
 import * as authService from "../../services/authService.js";
 import { useAuth } from "../../contexts/AuthContext.jsx";
 import { useGlobalAlert } from "../../contexts/GlobalAlertContext.jsx";
+import useI18n from "../../hooks/useI18n.js";
 import useForm from "../../hooks/useForm.js";
 
 // Theme colors
@@ -79,6 +81,7 @@ const validateNotificationForm = (values) => {
 const AdminProfilePage = () => {
   const { user, setUser } = useAuth();
   const { showSuccess, showError } = useGlobalAlert();
+  const { t } = useI18n();
   
   // Request cancellation
   const profileAbortController = useRef(null);
@@ -490,6 +493,15 @@ const AdminProfilePage = () => {
             </div>
           </section>
           
+          {/* Language & Region */}
+          <section className="bg-white p-6 rounded-xl shadow-lg border border-[#e6f7f2] mb-8">
+            <h2 className="text-xl font-semibold mb-5 text-[#219377] flex items-center">
+              <Globe className="w-5 h-5 mr-2 text-[#219377]" />
+              {t('settings.languageTitle')}
+            </h2>
+            <LanguageSwitcher />
+          </section>
+
           {/* Notification Preferences */}
           <section className="bg-white p-6 rounded-xl shadow-lg border border-[#e6f7f2]">
             <h2 className="text-xl font-semibold mb-5 text-[#219377] flex items-center">
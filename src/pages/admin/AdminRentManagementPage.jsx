@@ -9,6 +9,9 @@ import LoadingSpinner from '../../components/common/LoadingSpinner.jsx';
 import { RENT_STATUS_ENUM, ROUTES } from '../../utils/constants.js';
 import { formatDate, formatCurrency } from '../../utils/helpers.js';
 import useDebounce from '../../hooks/useDebounce.js';
+import useExchangeRates from '../../hooks/useExchangeRates.js';
+import ReportingCurrencySelector from '../../components/common/ReportingCurrencySelector.jsx';
+import { resolveCurrency } from '../../utils/currency.js';
 
 // Payment Status Badge Component
 const PaymentStatusBadge = ({ status }) => {
@@ -39,6 +42,8 @@ const PaymentStatusBadge = ({ status }) => {
 
 const AdminRentManagementPage = () => {
   const { showError, showSuccess } = useGlobalAlert();
+  const exchangeRates = useExchangeRates();
+  const { reportingCurrency, sum } = exchangeRates;
   
   // State for rent records data
   const [rentRecords, setRentRecords] = useState([]);
@@ -50,6 +55,7 @@ const AdminRentManagementPage = () => {
     totalPartiallyPaid: 0,
     currentMonthCollection: 0,
     collectionRate: 0,
+    unconvertedCurrencies: [],
   });
   
   // Pagination state
@@ -171,9 +177,13 @@ const AdminRentManagementPage = () => {
       if (response && response.data) {
         const rentData = response.data;
         
-        // Calculate basic stats
-        const totalDue = rentData.reduce((sum, rent) => sum + (rent.amountDue || 0), 0);
-        const totalPaid = rentData.reduce((sum, rent) => sum + (rent.amountPaid || 0), 0);
+        // Calculate basic stats, converting each rent from its lease currency into the reporting currency
+        const toEntries = (records, getAmount) =>
+          records.map(rent => ({ amount: getAmount(rent), currency: resolveCurrency(rent.currency, rent.lease?.currency) }));
+        const due = sum(toEntries(rentData, rent => rent.amountDue || 0));
+        const paid = sum(toEntries(rentData, rent => rent.amountPaid || 0));
+        const totalDue = due.total;
+        const totalPaid = paid.total;
         
         // Count by status
         const statusCounts = rentData.reduce((counts, rent) => {
@@ -191,7 +201,7 @@ const AdminRentManagementPage = () => {
           return paymentDate.getMonth() === currentMonth && paymentDate.getFullYear() === currentYear;
         });
         
-        const currentMonthCollection = currentMonthPayments.reduce((sum, rent) => sum + (rent.amountPaid || 0), 0);
+        const currentMonthCollection = sum(toEntries(currentMonthPayments, rent => rent.amountPaid || 0)).total;
         
         // Collection rate
         const collectionRate = totalDue > 0 ? (totalPaid / totalDue) * 100 : 0;
@@ -204,6 +214,7 @@ const AdminRentManagementPage = () => {
           totalPartiallyPaid: statusCounts.partially_paid || 0,
           currentMonthCollection,
           collectionRate,
+          unconvertedCurrencies: [...new Set([...due.unconvertedCurrencies, ...paid.unconvertedCurrencies])],
         });
       }
     } catch (error) {
@@ -211,7 +222,7 @@ const AdminRentManagementPage = () => {
     } finally {
       setStatsLoading(false);
     }
-  }, []);
+  }, [sum]);
 
   // Handle recording a payment
   const handleRecordPayment = useCallback(async (rentId) => {
@@ -303,15 +314,23 @@ const AdminRentManagementPage = () => {
       </div>
       
       {/* Stats Overview */}
+      <div className="flex justify-end mb-2">
+        <ReportingCurrencySelector exchangeRates={exchangeRates} canEditRates />
+      </div>
+      {!statsLoading && overviewStats.unconvertedCurrencies.length > 0 && (
+        <p className="text-sm text-orange-600 mb-2 text-right">
+          No exchange rate for {overviewStats.unconvertedCurrencies.join(', ')}; those amounts are left out of the totals and the collection rate.
+        </p>
+      )}
       {!statsLoading && (
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-4 mb-8">
           <div className="bg-white p-4 rounded-lg shadow border border-gray-200">
             <h3 className="text-sm font-medium text-gray-500">Total Due</h3>
-            <p className="text-2xl font-bold text-gray-800">{formatCurrency(overviewStats.totalDue)}</p>
+            <p className="text-2xl font-bold text-gray-800">{formatCurrency(overviewStats.totalDue, reportingCurrency)}</p>
           </div>
           <div className="bg-white p-4 rounded-lg shadow border border-gray-200">
             <h3 className="text-sm font-medium text-gray-500">Total Paid</h3>
-            <p className="text-2xl font-bold text-green-600">{formatCurrency(overviewStats.totalPaid)}</p>
+            <p className="text-2xl font-bold text-green-600">{formatCurrency(overviewStats.totalPaid, reportingCurrency)}</p>
           </div>
           <div className="bg-white p-4 rounded-lg shadow border border-gray-200">
             <h3 className="text-sm font-medium text-gray-500">Collection Rate</h3>
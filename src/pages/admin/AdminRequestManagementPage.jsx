@@ -8,6 +8,8 @@ import LoadingSpinner from '../../components/common/LoadingSpinner.jsx';
 import { MAINTENANCE_CATEGORIES, PRIORITY_LEVELS, REQUEST_STATUSES, ROUTES } from '../../utils/constants.js';
 import { formatDate } from '../../utils/helpers.js';
 import useDebounce from '../../hooks/useDebounce.js';
+import SlaBadge from '../../components/SlaBadge.jsx';
+import RequestKanbanBoard from '../../components/RequestKanbanBoard.jsx';
 
 // Status Badge Component
 const StatusBadge = ({ status }) => {
@@ -101,6 +103,9 @@ const AdminRequestManagementPage = () => {
   
   // Debounce search input to avoid excessive API calls
   const debouncedSearch = useDebounce(filters.search, 500);
+
+  // Table or Kanban board
+  const [viewMode, setViewMode] = useState('table');
   
   // Abort controllers for API requests
   const requestsAbortController = useRef(null);
@@ -286,16 +291,42 @@ const AdminRequestManagementPage = () => {
 
   const analyticsSummary = getAnalyticsSummary();
 
+  // The board has a column per status, so it ignores the status filter
+  const boardFilters = Object.fromEntries(
+    Object.entries({ ...filters, status: '', search: debouncedSearch }).filter(([, value]) => value)
+  );
+
   return (
     <div className="p-4 md:p-8 bg-[#f8fafc] min-h-full">
       {/* Page Header */}
-      <div className="mb-8 border-b border-gray-200 pb-5">
-        <h1 className="text-3xl font-extrabold text-[#219377]">
-          Maintenance Request Management
-        </h1>
-        <p className="mt-1 text-lg text-gray-600">
-          View, filter, and manage all maintenance requests across properties.
-        </p>
+      <div className="mb-8 border-b border-gray-200 pb-5 flex flex-wrap justify-between items-end gap-4">
+        <div>
+          <h1 className="text-3xl font-extrabold text-[#219377]">
+            Maintenance Request Management
+          </h1>
+          <p className="mt-1 text-lg text-gray-600">
+            View, filter, and manage all maintenance requests across properties.
+          </p>
+        </div>
+        <div className="flex items-center gap-3">
+          <div className="flex rounded-md border border-[#219377] overflow-hidden text-sm font-medium">
+            {['table', 'board'].map(mode => (
+              <button
+                key={mode}
+                onClick={() => setViewMode(mode)}
+                className={`px-4 py-2 capitalize ${viewMode === mode ? 'bg-[#219377] text-white' : 'text-[#219377] hover:bg-gray-50'}`}
+              >
+                {mode}
+              </button>
+            ))}
+          </div>
+          <Link
+            to={`${ROUTES.ADMIN_BASE}/requests/sla-policies`}
+            className="px-4 py-2 rounded-md border border-[#219377] text-[#219377] text-sm font-medium hover:bg-[#219377] hover:text-white"
+          >
+            SLA Policies
+          </Link>
+        </div>
       </div>
 
       {/* Analytics Summary Cards */}
@@ -457,116 +488,123 @@ const AdminRequestManagementPage = () => {
         </div>
       </div>
       
-      {/* Requests Table */}
-      <div className="bg-white rounded-xl shadow-lg border border-gray-200 overflow-hidden">
-        {loading && (
-          <div className="p-4 bg-blue-50 border-b border-blue-100 flex items-center">
-            <LoadingSpinner size="sm" className="mr-2" />
-            <span className="text-blue-800">Loading maintenance requests...</span>
-          </div>
-        )}
-        
-        <div className="overflow-x-auto">
-          <table className="min-w-full divide-y divide-gray-200">
-            <thead className="bg-gray-50">
-              <tr>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Title</th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Property</th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Unit</th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Priority</th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reported By</th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
-              </tr>
-            </thead>
-            <tbody className="bg-white divide-y divide-gray-200">
-              {requests.length > 0 ? (
-                requests.map(request => (
-                  <tr key={request._id} className="hover:bg-gray-50">
-                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
-                      {request.title}
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                      {request.property?.name || 'N/A'}
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                      {request.unit?.unitName || request.unit?.unitIdentifier || 'N/A'}
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap">
-                      <StatusBadge status={request.status} />
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap">
-                      <PriorityBadge priority={request.priority} />
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                      {request.reportedBy ? 
-                        (request.reportedBy.firstName && request.reportedBy.lastName ? 
-                          `${request.reportedBy.firstName} ${request.reportedBy.lastName}` : 
-                          request.reportedBy.email) : 
-                        'N/A'}
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                      {formatDate(request.createdAt)}
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
-                      <Link 
-                        to={`${ROUTES.ADMIN_REQUESTS}/${request._id}`} 
-                        className="text-indigo-600 hover:text-indigo-900"
-                      >
-                        View
-                      </Link>
-                      <span className="mx-2 text-gray-300">|</span>
-                      <Link 
-                        to={`${ROUTES.ADMIN_REQUESTS}/edit/${request._id}`} 
-                        className="text-blue-600 hover:text-blue-900"
-                      >
-                        Edit
-                      </Link>
-                    </td>
-                  </tr>
-                ))
-              ) : (
-                <tr>
-                  <td colSpan="8" className="px-6 py-10 text-center text-gray-500">
-                    {loading ? 
-                      'Loading requests...' : 
-                      'No maintenance requests found matching your filters.'}
-                  </td>
-                </tr>
-              )}
-            </tbody>
-          </table>
+      {/* Requests Board / Table */}
+      {viewMode === 'board' ? (
+        <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200">
+          <RequestKanbanBoard filters={boardFilters} basePath={ROUTES.ADMIN_BASE} />
         </div>
-        
-        {/* Pagination */}
-        {pagination.pages > 1 && (
-          <div className="px-6 py-4 bg-gray-50 border-t border-gray-200 flex items-center justify-between">
-            <div className="text-sm text-gray-700">
-              Showing <span className="font-medium">{requests.length}</span> of <span className="font-medium">{pagination.total}</span> requests
+      ) : (
+        <div className="bg-white rounded-xl shadow-lg border border-gray-200 overflow-hidden">
+          {loading && (
+            <div className="p-4 bg-blue-50 border-b border-blue-100 flex items-center">
+              <LoadingSpinner size="sm" className="mr-2" />
+              <span className="text-blue-800">Loading maintenance requests...</span>
             </div>
-            <div className="flex space-x-2">
-              <button
-                onClick={() => handlePageChange(pagination.page - 1)}
-                disabled={pagination.page <= 1}
-                className="px-4 py-2 bg-white border border-gray-300 rounded text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
-              >
-                Previous
-              </button>
-              <div className="flex items-center">
-                <span className="text-gray-700 mx-2">Page {pagination.page} of {pagination.pages}</span>
+          )}
+          
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Title</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Property</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Unit</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Priority</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reported By</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {requests.length > 0 ? (
+                  requests.map(request => (
+                    <tr key={request._id} className="hover:bg-gray-50">
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                        {request.title}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {request.property?.name || 'N/A'}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {request.unit?.unitName || request.unit?.unitIdentifier || 'N/A'}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <StatusBadge status={request.status} />
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <PriorityBadge priority={request.priority} />
+                        <div className="mt-1"><SlaBadge request={request} /></div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {request.reportedBy ? 
+                          (request.reportedBy.firstName && request.reportedBy.lastName ? 
+                            `${request.reportedBy.firstName} ${request.reportedBy.lastName}` : 
+                            request.reportedBy.email) : 
+                          'N/A'}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {formatDate(request.createdAt)}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                        <Link 
+                          to={`${ROUTES.ADMIN_REQUESTS}/${request._id}`} 
+                          className="text-indigo-600 hover:text-indigo-900"
+                        >
+                          View
+                        </Link>
+                        <span className="mx-2 text-gray-300">|</span>
+                        <Link 
+                          to={`${ROUTES.ADMIN_REQUESTS}/edit/${request._id}`} 
+                          className="text-blue-600 hover:text-blue-900"
+                        >
+                          Edit
+                        </Link>
+                      </td>
+                    </tr>
+                  ))
+                ) : (
+                  <tr>
+                    <td colSpan="8" className="px-6 py-10 text-center text-gray-500">
+                      {loading ? 
+                        'Loading requests...' : 
+                        'No maintenance requests found matching your filters.'}
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+          
+          {/* Pagination */}
+          {pagination.pages > 1 && (
+            <div className="px-6 py-4 bg-gray-50 border-t border-gray-200 flex items-center justify-between">
+              <div className="text-sm text-gray-700">
+                Showing <span className="font-medium">{requests.length}</span> of <span className="font-medium">{pagination.total}</span> requests
+              </div>
+              <div className="flex space-x-2">
+                <button
+                  onClick={() => handlePageChange(pagination.page - 1)}
+                  disabled={pagination.page <= 1}
+                  className="px-4 py-2 bg-white border border-gray-300 rounded text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Previous
+                </button>
+                <div className="flex items-center">
+                  <span className="text-gray-700 mx-2">Page {pagination.page} of {pagination.pages}</span>
+                </div>
+                <button
+                  onClick={() => handlePageChange(pagination.page + 1)}
+                  disabled={pagination.page >= pagination.pages}
+                  className="px-4 py-2 bg-white border border-gray-300 rounded text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Next
+                </button>
               </div>
-              <button
-                onClick={() => handlePageChange(pagination.page + 1)}
-                disabled={pagination.page >= pagination.pages}
-                className="px-4 py-2 bg-white border border-gray-300 rounded text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
-              >
-                Next
-              </button>
             </div>
-          </div>
-        )}
-      </div>
+          )}
+        </div>
+      )}
     </div>
   );
 };
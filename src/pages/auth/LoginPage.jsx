@@ -80,6 +80,8 @@ const LoginPage = () => {
         navigate(ROUTES.PM_DASHBOARD);
       } else if (role === 'landlord') {
         navigate(ROUTES.LANDLORD_DASHBOARD);
+      } else if (role === 'vendor') {
+        navigate(ROUTES.VENDOR_DASHBOARD);
       } else {
         navigate(redirectPath);
       }
@@ -0,0 +1,261 @@
+import React, { useState } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { useSignatureRequest, useSignatureMutations } from '../../hooks/useSignatures';
+import { useAuth } from '../../contexts/AuthContext';
+import { useGlobalAlert } from '../../contexts/GlobalAlertContext';
+import useRoleBasedPath from '../../hooks/useRoleBasedPath';
+import Spinner from '../../components/common/Spinner';
+import SignaturePad from '../../components/SignaturePad';
+import { getSignedPdf } from '../../services/signatureService';
+import { USER_ROLES, SIGNATURE_DOCUMENT_TYPES, SIGNATURE_REQUEST_STATUS } from '../../utils/constants';
+import { formatDate } from '../../utils/helpers';
+import {
+  FaChevronLeft, FaFileSignature, FaFileDownload, FaCheckCircle,
+  FaTimesCircle, FaClock, FaBan, FaRedo
+} from 'react-icons/fa';
+
+const SIGNER_STATUS_ICONS = {
+  signed: <FaCheckCircle className="text-green-600" />,
+  declined: <FaTimesCircle className="text-red-500" />,
+  pending: <FaClock className="text-yellow-500" />
+};
+
+const formatDateTime = (value) => (value ? `${formatDate(value)} ${new Date(value).toLocaleTimeString()}` : '');
+
+const SignDocumentPage = () => {
+  const { requestId } = useParams();
+  const navigate = useNavigate();
+  const { getPath } = useRoleBasedPath();
+  const { user } = useAuth();
+  const { showError } = useGlobalAlert();
+
+  const { data: request, isLoading, isError } = useSignatureRequest(requestId);
+  const {
+    sign, isSigning,
+    decline, isDeclining,
+    cancelRequest, isCanceling,
+    retryStoreSignedCopy, isStoringSignedCopy
+  } = useSignatureMutations();
+
+  const [signature, setSignature] = useState(null);
+  const [consent, setConsent] = useState(false);
+  const [isDownloading, setIsDownloading] = useState(false);
+
+  const isManager = [USER_ROLES.ADMIN, USER_ROLES.PROPERTY_MANAGER, USER_ROLES.LANDLORD].includes(user?.role);
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <Spinner size="lg" />
+      </div>
+    );
+  }
+
+  if (isError || !request) {
+    return (
+      <div className="p-4">
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          <p>Signature request not found or you don't have access to it.</p>
+        </div>
+        <button onClick={() => navigate(-1)} className="text-blue-600 hover:underline flex items-center">
+          <FaChevronLeft className="mr-1" /> Back
+        </button>
+      </div>
+    );
+  }
+
+  // Signers sign in order, so it's the current user's turn only when they're first in line
+  const nextSigner = request.signers.find(signer => signer.status === 'pending');
+  const isMyTurn = request.isOpen && nextSigner?.userId === user?._id;
+  const isWaitingOnOthers = request.isOpen && !isMyTurn
+    && request.signers.some(signer => signer.userId === user?._id && signer.status === 'pending');
+  const isCompleted = request.status === SIGNATURE_REQUEST_STATUS.COMPLETED;
+
+  const resourcePath = request.documentType === SIGNATURE_DOCUMENT_TYPES.LEASE
+    ? getPath(`leases/${request.resourceId}`)
+    : getPath(`onboarding/${request.resourceId}`);
+
+  const handleSign = () => {
+    if (!signature || !consent) return;
+    sign({ requestId, signature: { ...signature, consent } });
+  };
+
+  const handleDecline = () => {
+    const reason = window.prompt('Why are you declining to sign? (optional)');
+    if (reason === null) return;
+    decline({ requestId, reason: reason.trim() || undefined });
+  };
+
+  const handleCancel = () => {
+    if (!window.confirm('Cancel this signature request? Signatures collected so far will be discarded.')) return;
+    cancelRequest(requestId);
+  };
+
+  const handleDownloadSigned = async () => {
+    setIsDownloading(true);
+    try {
+      const blob = await getSignedPdf(requestId);
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${request.title || 'document'} (signed).pdf`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      showError('Failed to download signed document. ' + (error.message || error || ''));
+    } finally {
+      setIsDownloading(false);
+    }
+  };
+
+  return (
+    <div className="container mx-auto px-4 py-6">
+      <div className="flex items-center mb-6">
+        <button onClick={() => navigate(resourcePath)} className="mr-4 text-blue-600 hover:text-blue-800">
+          <FaChevronLeft className="inline mr-1" /> Back
+        </button>
+        <h1 className="text-2xl font-bold flex items-center">
+          <FaFileSignature className="mr-2 text-gray-500" /> {request.title}
+        </h1>
+        <span className={`ml-4 px-3 py-1 text-sm font-semibold rounded-full ${request.statusClass}`}>
+          {request.statusDisplay}
+        </span>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="lg:col-span-2 bg-white rounded-lg shadow-md p-4">
+          {request.sourceDocument?.url ? (
+            <iframe
+              src={request.sourceDocument.url}
+              title={request.title}
+              className="w-full h-[70vh] border border-gray-200 rounded"
+            />
+          ) : (
+            <p className="text-gray-500 text-center py-16">Document preview is not available.</p>
+          )}
+        </div>
+
+        <div className="space-y-6">
+          <div className="bg-white rounded-lg shadow-md p-6">
+            <h2 className="text-lg font-semibold mb-3">Signers</h2>
+            {request.message && (
+              <p className="text-sm text-gray-600 italic border-l-4 border-gray-200 pl-3 mb-4">{request.message}</p>
+            )}
+            <ol className="space-y-3">
+              {request.signers.map(signer => (
+                <li key={signer.role} className="flex items-start">
+                  <span className="mt-1 mr-2">{SIGNER_STATUS_ICONS[signer.status] || SIGNER_STATUS_ICONS.pending}</span>
+                  <div className="text-sm">
+                    <p className="font-medium text-gray-900">
+                      {signer.name} <span className="text-gray-500 capitalize">({signer.role})</span>
+                    </p>
+                    {signer.status === 'signed' && (
+                      <p className="text-gray-500">
+                        Signed {formatDateTime(signer.signedAt)}
+                        {signer.ipAddress && <> from {signer.ipAddress}</>}
+                      </p>
+                    )}
+                    {signer.status === 'declined' && (
+                      <p className="text-red-600">
+                        Declined {formatDateTime(signer.declinedAt)}
+                        {signer.declineReason && <>: {signer.declineReason}</>}
+                      </p>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ol>
+          </div>
+
+          {isMyTurn && (
+            <div className="bg-white rounded-lg shadow-md p-6">
+              <h2 className="text-lg font-semibold mb-3">Your Signature</h2>
+              <SignaturePad
+                onChange={setSignature}
+                defaultName={`${user?.firstName || ''} ${user?.lastName || ''}`.trim()}
+                disabled={isSigning}
+              />
+              <label className="flex items-start mt-4 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  className="mt-1 mr-2"
+                  checked={consent}
+                  onChange={(e) => setConsent(e.target.checked)}
+                />
+                I agree to sign this document electronically and that my electronic signature is as valid as a handwritten one.
+              </label>
+              <p className="text-xs text-gray-500 mt-2">The time of signing and your IP address are recorded with your signature.</p>
+              <div className="flex justify-end space-x-2 mt-4">
+                <button
+                  onClick={handleDecline}
+                  disabled={isDeclining || isSigning}
+                  className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                >
+                  Decline
+                </button>
+                <button
+                  onClick={handleSign}
+                  disabled={!signature || !consent || isSigning}
+                  className="inline-flex items-center px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+                >
+                  {isSigning ? <Spinner size="sm" className="mr-2" /> : <FaFileSignature className="mr-2" />}
+                  Sign Document
+                </button>
+              </div>
+            </div>
+          )}
+
+          {isWaitingOnOthers && (
+            <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 rounded-lg p-4 text-sm">
+              Waiting for {nextSigner.name} to sign before you can sign.
+            </div>
+          )}
+
+          {isCompleted && (
+            <div className="bg-white rounded-lg shadow-md p-6">
+              <p className="text-sm text-gray-700 mb-3">
+                Everyone has signed. {request.storedDocumentId
+                  ? 'The signed copy is saved with the document.'
+                  : 'The signed copy has not been saved with the document yet.'}
+              </p>
+              <div className="flex flex-wrap gap-2">
+                <button
+                  onClick={handleDownloadSigned}
+                  disabled={isDownloading}
+                  className="inline-flex items-center px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+                >
+                  {isDownloading ? <Spinner size="sm" className="mr-2" /> : <FaFileDownload className="mr-2" />}
+                  Download Signed Copy
+                </button>
+                {isManager && !request.storedDocumentId && (
+                  <button
+                    onClick={() => retryStoreSignedCopy(request)}
+                    disabled={isStoringSignedCopy}
+                    className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                  >
+                    {isStoringSignedCopy ? <Spinner size="sm" className="mr-2" /> : <FaRedo className="mr-2" />}
+                    Save Signed Copy
+                  </button>
+                )}
+              </div>
+            </div>
+          )}
+
+          {isManager && request.isOpen && (
+            <button
+              onClick={handleCancel}
+              disabled={isCanceling}
+              className="inline-flex items-center text-sm text-red-600 hover:underline disabled:opacity-50"
+            >
+              <FaBan className="mr-1" /> Cancel Signature Request
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SignDocumentPage;
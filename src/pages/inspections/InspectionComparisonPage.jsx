@@ -0,0 +1,239 @@
+// frontend/src/pages/inspections/InspectionComparisonPage.jsx
+
+import React, { useState } from 'react';
+import { useParams, useNavigate, useSearchParams, Link } from 'react-router-dom';
+import { ArrowLeft, Wrench, Receipt, ArrowRight } from 'lucide-react';
+import Button from '../../components/common/Button';
+import LoadingSpinner from '../../components/common/LoadingSpinner';
+import { useInspections, useInspectionMutations } from '../../hooks/useInspections';
+import { useLeaseDeposit, useLeaseDepositMutations } from '../../hooks/useLeases';
+import useRoleBasedPath from '../../hooks/useRoleBasedPath';
+import { useGlobalAlert } from '../../contexts/GlobalAlertContext';
+import { INSPECTION_TYPES, INSPECTION_STATUS, DEPOSIT_DEDUCTION_CATEGORIES } from '../../utils/constants';
+import { compareInspections, getConditionDetails } from '../../utils/inspections';
+import { formatCurrency } from '../../utils/helpers';
+
+const PRIMARY_COLOR = '#219377';
+
+const ConditionCell = ({ item }) => {
+  if (!item) return <span className="text-sm text-gray-400 italic">Not inspected</span>;
+  const condition = getConditionDetails(item.condition);
+  return (
+    <div>
+      <span className={`px-2 py-0.5 text-xs font-semibold rounded-full ${condition.className}`}>{condition.label}</span>
+      {item.notes && <p className="text-sm text-gray-600 mt-1">{item.notes}</p>}
+      {item.photos?.length > 0 && (
+        <div className="flex flex-wrap gap-1 mt-2">
+          {item.photos.map(photo => (
+            <a key={photo._id || photo} href={photo.url} target="_blank" rel="noopener noreferrer">
+              <img src={photo.url} alt={item.name} className="w-14 h-14 object-cover rounded border" />
+            </a>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Move-in and move-out reports for a unit side by side. Items that got worse can be charged
+ * to the security deposit or turned into maintenance requests.
+ */
+function InspectionComparisonPage() {
+  const { propertyId, unitId } = useParams();
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const { getPath } = useRoleBasedPath();
+  const { showError } = useGlobalAlert();
+
+  const { data: inspections = [], isLoading } = useInspections({ filters: { unitId } });
+  const { createRequestFromItem, isCreatingRequest } = useInspectionMutations();
+  const { addDeduction, isAddingDeduction } = useLeaseDepositMutations();
+
+  const [amounts, setAmounts] = useState({});
+  const [activeItem, setActiveItem] = useState(null);
+
+  const completed = inspections.filter(inspection => inspection.status !== INSPECTION_STATUS.DRAFT);
+  const findById = (id) => inspections.find(inspection => inspection._id === id);
+  const latestOfType = (type, leaseId) => completed.find(inspection => inspection.type === type
+    && (!leaseId || inspection.leaseId === leaseId));
+
+  const moveOut = searchParams.get('moveOut')
+    ? findById(searchParams.get('moveOut'))
+    : latestOfType(INSPECTION_TYPES.MOVE_OUT);
+  // Prefer the move-in from the same lease as the move-out
+  const moveIn = searchParams.get('moveIn')
+    ? findById(searchParams.get('moveIn'))
+    : (moveOut?.leaseId && latestOfType(INSPECTION_TYPES.MOVE_IN, moveOut.leaseId)) || latestOfType(INSPECTION_TYPES.MOVE_IN);
+  const leaseId = moveOut?.leaseId || moveIn?.leaseId;
+
+  const { data: deposit } = useLeaseDeposit(leaseId);
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  const unitPath = getPath(`properties/${propertyId}/units/${unitId}`);
+
+  if (!moveIn || !moveOut) {
+    return (
+      <div className="p-4 md:p-8">
+        <button onClick={() => navigate(unitPath)} className="flex items-center text-gray-600 hover:text-gray-900 mb-4">
+          <ArrowLeft className="w-5 h-5 mr-1" /> Back to Unit
+        </button>
+        <p className="text-gray-600">
+          A completed move-in and move-out inspection are both needed to compare the unit's condition.
+        </p>
+      </div>
+    );
+  }
+
+  const rooms = compareInspections(moveIn, moveOut);
+  const worsenedCount = rooms.reduce((count, room) => count + room.items.filter(row => row.worsened).length, 0);
+
+  // Items already charged from this move-out inspection, so a reload cannot charge them twice
+  const chargedItems = new Set((deposit?.deductions || [])
+    .filter(deduction => deduction.inspectionId === moveOut._id && deduction.inspectionItem)
+    .map(deduction => deduction.inspectionItem));
+  const canDeduct = !!deposit && !deposit.isSettled;
+
+  const handleCharge = (room, row) => {
+    const amount = parseFloat(amounts[row.key]);
+    if (!leaseId || !canDeduct || !(amount > 0)) return;
+    if (amount > deposit.refundDue) {
+      showError(`Deductions cannot exceed the deposit held (${formatCurrency(deposit.refundDue, deposit.currency)} remaining)`);
+      return;
+    }
+    const before = getConditionDetails(row.before?.condition).label;
+    const after = getConditionDetails(row.after?.condition).label;
+
+    setActiveItem(row.key);
+    addDeduction({
+      leaseId,
+      deductionData: {
+        category: DEPOSIT_DEDUCTION_CATEGORIES.DAMAGE,
+        description: `${room.room}: ${row.name} (${before} at move-in, ${after} at move-out)${row.after?.notes ? ` – ${row.after.notes}` : ''}`,
+        amount,
+        requestId: row.after?.requestId?._id || row.after?.requestId || undefined,
+        mediaIds: (row.after?.photos || []).map(photo => photo._id || photo),
+        inspectionId: moveOut._id,
+        inspectionItem: row.key
+      }
+    }, {
+      onSettled: () => setActiveItem(null)
+    });
+  };
+
+  const handleCreateRequest = (row) => {
+    setActiveItem(row.key);
+    createRequestFromItem({ inspection: moveOut, ...row.afterPosition }, { onSettled: () => setActiveItem(null) });
+  };
+
+  return (
+    <div className="p-4 md:p-8 min-h-full bg-gray-50">
+      <button onClick={() => navigate(unitPath)} className="flex items-center text-gray-600 hover:text-gray-900 mb-2">
+        <ArrowLeft className="w-5 h-5 mr-1" /> Back to Unit
+      </button>
+
+      <div className="flex flex-col md:flex-row md:justify-between md:items-center gap-4 mb-7 border-b pb-3" style={{ borderColor: PRIMARY_COLOR }}>
+        <div>
+          <h1 className="text-3xl font-extrabold" style={{ color: PRIMARY_COLOR }}>Move-in vs Move-out</h1>
+          <p className="text-gray-600">
+            {moveOut.propertyName} / Unit {moveOut.unitName} · {worsenedCount} item(s) in worse condition
+          </p>
+        </div>
+        {leaseId && (
+          <div className="text-right">
+            <Link to={getPath(`leases/${leaseId}/deposit`)} className="text-sm font-medium inline-flex items-center" style={{ color: PRIMARY_COLOR }}>
+              Security Deposit <ArrowRight className="w-4 h-4 ml-1" />
+            </Link>
+            {deposit && (
+              <p className="text-xs text-gray-500">
+                {deposit.isSettled ? 'Deposit already settled' : `${formatCurrency(deposit.refundDue, deposit.currency)} of the deposit remaining`}
+              </p>
+            )}
+          </div>
+        )}
+      </div>
+
+      {rooms.map(room => (
+        <div key={room.room} className="bg-white rounded-xl shadow-lg mb-6 overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-sm font-semibold w-48" style={{ color: PRIMARY_COLOR }}>{room.room}</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  <Link to={getPath(`inspections/${moveIn._id}`)} className="hover:underline">Move-in · {moveIn.formattedDate}</Link>
+                </th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  <Link to={getPath(`inspections/${moveOut._id}`)} className="hover:underline">Move-out · {moveOut.formattedDate}</Link>
+                </th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider w-72">Follow-up</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {room.items.map(row => (
+                <tr key={row.key} className={row.worsened ? 'bg-red-50' : ''}>
+                  <td className="px-4 py-3 text-sm font-medium text-gray-800 align-top">{row.name}</td>
+                  <td className="px-4 py-3 align-top"><ConditionCell item={row.before} /></td>
+                  <td className="px-4 py-3 align-top"><ConditionCell item={row.after} /></td>
+                  <td className="px-4 py-3 align-top">
+                    {row.worsened && (
+                      <div className="flex flex-col items-end gap-2">
+                        {leaseId && (chargedItems.has(row.key) ? (
+                          <span className="text-sm text-green-700">Added to deposit deductions</span>
+                        ) : canDeduct && (
+                          <div className="flex items-center gap-2">
+                            <input
+                              type="number"
+                              min="0"
+                              step="0.01"
+                              placeholder="Amount"
+                              value={amounts[row.key] || ''}
+                              onChange={(e) => setAmounts(prev => ({ ...prev, [row.key]: e.target.value }))}
+                              className="w-24 p-1 border border-gray-300 rounded-md text-sm"
+                            />
+                            <Button
+                              variant="outline"
+                              size="sm"
+                              onClick={() => handleCharge(room, row)}
+                              loading={isAddingDeduction && activeItem === row.key}
+                              disabled={!(parseFloat(amounts[row.key]) > 0) || isAddingDeduction}
+                            >
+                              <Receipt className="w-4 h-4 mr-1" /> Deduct
+                            </Button>
+                          </div>
+                        ))}
+                        {row.after?.requestId ? (
+                          <Link to={getPath(`requests/${row.after.requestId._id || row.after.requestId}`)} className="text-sm text-blue-600 hover:underline">
+                            View Request
+                          </Link>
+                        ) : (
+                          <Button
+                            variant="outline"
+                            size="sm"
+                            onClick={() => handleCreateRequest(row)}
+                            loading={isCreatingRequest && activeItem === row.key}
+                            disabled={isCreatingRequest}
+                          >
+                            <Wrench className="w-4 h-4 mr-1" /> Create Request
+                          </Button>
+                        )}
+                      </div>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default InspectionComparisonPage;
@@ -0,0 +1,254 @@
+// frontend/src/pages/inspections/InspectionDetailPage.jsx
+
+import React, { useState } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { ArrowLeft, Edit, Trash2, Send, Wrench, CheckCircle, AlertTriangle, Columns } from 'lucide-react';
+import Button from '../../components/common/Button';
+import LoadingSpinner from '../../components/common/LoadingSpinner';
+import SignaturePad from '../../components/SignaturePad';
+import { useInspection, useInspectionMutations } from '../../hooks/useInspections';
+import useRoleBasedPath from '../../hooks/useRoleBasedPath';
+import { useAuth } from '../../contexts/AuthContext';
+import { INSPECTION_STATUS, INSPECTION_TYPES, INSPECTION_CONDITIONS } from '../../utils/constants';
+import { getConditionDetails } from '../../utils/inspections';
+
+const PRIMARY_COLOR = '#219377';
+
+const NEEDS_REPAIR = [INSPECTION_CONDITIONS.POOR, INSPECTION_CONDITIONS.DAMAGED];
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : '');
+
+/**
+ * Read-only inspection report. Managers complete it and raise repairs from it; the tenant
+ * countersigns it or disputes it with comments.
+ */
+function InspectionDetailPage() {
+  const { inspectionId } = useParams();
+  const navigate = useNavigate();
+  const { getPath } = useRoleBasedPath();
+  const { user, isAdmin, isPropertyManager, isLandlord } = useAuth();
+  const isManager = isAdmin || isPropertyManager || isLandlord;
+
+  const { data: inspection, isLoading, isError } = useInspection(inspectionId);
+  const {
+    deleteInspection, isDeleting,
+    completeInspection, isCompleting,
+    countersign, isCountersigning,
+    createRequestFromItem, isCreatingRequest
+  } = useInspectionMutations();
+
+  const [signature, setSignature] = useState(null);
+  const [comments, setComments] = useState('');
+  const [requestingItem, setRequestingItem] = useState(null);
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  if (isError || !inspection) {
+    return (
+      <div className="p-4 md:p-8">
+        <p className="text-red-600 mb-4">Inspection not found or you don't have access to it.</p>
+        <button onClick={() => navigate(-1)} className="text-blue-600 hover:underline">Go back</button>
+      </div>
+    );
+  }
+
+  const canCountersign = inspection.status === INSPECTION_STATUS.AWAITING_TENANT && inspection.tenantId === user?._id;
+  const tenantSignature = inspection.tenantSignature;
+
+  const handleDelete = () => {
+    if (!window.confirm('Delete this draft inspection?')) return;
+    deleteInspection(inspectionId, {
+      onSuccess: () => navigate(getPath(`properties/${inspection.propertyId}/units/${inspection.unitId}`))
+    });
+  };
+
+  const handleComplete = () => {
+    if (inspection.ratedCount < inspection.itemCount
+      && !window.confirm(`${inspection.itemCount - inspection.ratedCount} item(s) are not rated. Complete the inspection anyway?`)) {
+      return;
+    }
+    completeInspection(inspectionId);
+  };
+
+  const handleCountersign = (agree) => {
+    if (agree && !signature) return;
+    if (!agree && !comments.trim()) return;
+    countersign({
+      inspectionId,
+      response: { agree, ...(agree ? signature : {}), comments: comments.trim() || undefined }
+    });
+  };
+
+  const handleCreateRequest = (roomIndex, itemIndex) => {
+    setRequestingItem(`${roomIndex}-${itemIndex}`);
+    createRequestFromItem({ inspection, roomIndex, itemIndex }, { onSettled: () => setRequestingItem(null) });
+  };
+
+  return (
+    <div className="p-4 md:p-8 min-h-full bg-gray-50">
+      <button onClick={() => navigate(-1)} className="flex items-center text-gray-600 hover:text-gray-900 mb-2">
+        <ArrowLeft className="w-5 h-5 mr-1" /> Back
+      </button>
+
+      <div className="flex flex-col md:flex-row md:justify-between md:items-center gap-4 mb-7 border-b pb-3" style={{ borderColor: PRIMARY_COLOR }}>
+        <div>
+          <h1 className="text-3xl font-extrabold" style={{ color: PRIMARY_COLOR }}>
+            {inspection.typeDisplay} Inspection
+          </h1>
+          <p className="text-gray-600">
+            {inspection.propertyName} / Unit {inspection.unitName} · {inspection.formattedDate} · by {inspection.inspectorName}
+          </p>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <span className={`px-3 py-1 rounded-full text-sm font-semibold ${inspection.statusClass}`}>
+            {inspection.statusDisplay}
+          </span>
+          {isManager && inspection.type === INSPECTION_TYPES.MOVE_OUT && (
+            <Link to={getPath(`properties/${inspection.propertyId}/units/${inspection.unitId}/inspections/compare?moveOut=${inspection._id}`)}>
+              <Button variant="outline" size="sm"><Columns className="w-4 h-4 mr-1" /> Compare with Move-in</Button>
+            </Link>
+          )}
+          {isManager && inspection.isEditable && (
+            <>
+              <Link to={getPath(`inspections/${inspection._id}/edit`)}>
+                <Button variant="outline" size="sm"><Edit className="w-4 h-4 mr-1" /> Edit</Button>
+              </Link>
+              <Button size="sm" onClick={handleComplete} loading={isCompleting}>
+                <Send className="w-4 h-4 mr-1" /> Complete & Send to Tenant
+              </Button>
+              <Button variant="danger" size="sm" onClick={handleDelete} loading={isDeleting}>
+                <Trash2 className="w-4 h-4" />
+              </Button>
+            </>
+          )}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+        {[
+          { label: 'Tenant', value: inspection.tenantName },
+          { label: 'Items Rated', value: `${inspection.ratedCount} / ${inspection.itemCount}` },
+          { label: 'Poor or Damaged', value: inspection.issueCount },
+          { label: 'Photos', value: inspection.photoCount }
+        ].map(stat => (
+          <div key={stat.label} className="bg-white p-4 rounded-xl shadow">
+            <p className="text-sm text-gray-500">{stat.label}</p>
+            <p className="text-lg font-semibold text-gray-800">{stat.value}</p>
+          </div>
+        ))}
+      </div>
+
+      {inspection.notes && (
+        <div className="bg-white p-6 rounded-xl shadow-lg mb-6">
+          <p className="text-gray-700 whitespace-pre-line">{inspection.notes}</p>
+        </div>
+      )}
+
+      {(inspection.rooms || []).map((room, roomIndex) => (
+        <div key={`${room.name}-${roomIndex}`} className="bg-white p-6 rounded-xl shadow-lg mb-6">
+          <h2 className="text-xl font-semibold mb-4" style={{ color: PRIMARY_COLOR }}>{room.name}</h2>
+          <div className="divide-y divide-gray-100">
+            {(room.items || []).map((item, itemIndex) => {
+              const condition = getConditionDetails(item.condition);
+              const itemKey = `${roomIndex}-${itemIndex}`;
+              return (
+                <div key={itemKey} className="py-3 flex flex-col md:flex-row md:items-start gap-3">
+                  <div className="md:w-48 font-medium text-gray-800">{item.name}</div>
+                  <span className={`self-start px-2 py-0.5 text-xs font-semibold rounded-full ${condition.className}`}>
+                    {condition.label}
+                  </span>
+                  <div className="flex-1">
+                    {item.notes && <p className="text-sm text-gray-600 mb-2">{item.notes}</p>}
+                    {item.photos?.length > 0 && (
+                      <div className="flex flex-wrap gap-2">
+                        {item.photos.map(photo => (
+                          <a key={photo._id || photo} href={photo.url} target="_blank" rel="noopener noreferrer">
+                            <img src={photo.url} alt={item.name} className="w-20 h-20 object-cover rounded-md border" />
+                          </a>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                  {isManager && (item.requestId ? (
+                    <Link to={getPath(`requests/${item.requestId._id || item.requestId}`)} className="text-sm text-blue-600 hover:underline flex items-center">
+                      <Wrench className="w-4 h-4 mr-1" /> View Request
+                    </Link>
+                  ) : NEEDS_REPAIR.includes(item.condition) && (
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={() => handleCreateRequest(roomIndex, itemIndex)}
+                      loading={isCreatingRequest && requestingItem === itemKey}
+                      disabled={isCreatingRequest}
+                    >
+                      <Wrench className="w-4 h-4 mr-1" /> Create Request
+                    </Button>
+                  ))}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      ))}
+
+      {tenantSignature?.signedAt && (
+        <div className="bg-white p-6 rounded-xl shadow-lg mb-6">
+          <h2 className="text-xl font-semibold mb-3 flex items-center" style={{ color: PRIMARY_COLOR }}>
+            {inspection.status === INSPECTION_STATUS.SIGNED
+              ? <><CheckCircle className="w-5 h-5 mr-2" /> Countersigned by Tenant</>
+              : <><AlertTriangle className="w-5 h-5 mr-2 text-red-500" /> Disputed by Tenant</>}
+          </h2>
+          {tenantSignature.signatureImage && (
+            <img src={tenantSignature.signatureImage} alt="Tenant signature" className="h-20 mb-2" />
+          )}
+          <p className="text-sm text-gray-500">
+            {inspection.tenantName} · {formatDateTime(tenantSignature.signedAt)}
+            {tenantSignature.ipAddress && <> · {tenantSignature.ipAddress}</>}
+          </p>
+          {tenantSignature.comments && (
+            <p className="mt-3 text-gray-700 whitespace-pre-line border-l-4 border-gray-200 pl-3">{tenantSignature.comments}</p>
+          )}
+        </div>
+      )}
+
+      {canCountersign && (
+        <div className="bg-white p-6 rounded-xl shadow-lg mb-6">
+          <h2 className="text-xl font-semibold mb-2" style={{ color: PRIMARY_COLOR }}>Your Countersignature</h2>
+          <p className="text-sm text-gray-600 mb-4">
+            Sign to confirm this report reflects the condition of the unit. If you disagree with anything,
+            leave a comment and dispute it instead.
+          </p>
+          <SignaturePad
+            onChange={setSignature}
+            defaultName={`${user?.firstName || ''} ${user?.lastName || ''}`.trim()}
+            disabled={isCountersigning}
+          />
+          <label className="block text-sm font-medium text-gray-700 mt-4 mb-1" htmlFor="comments">Comments</label>
+          <textarea
+            id="comments"
+            rows="3"
+            className="w-full p-2 border border-gray-300 rounded-md"
+            value={comments}
+            onChange={(e) => setComments(e.target.value)}
+          />
+          <div className="flex justify-end gap-2 mt-4">
+            <Button variant="outline" onClick={() => handleCountersign(false)} disabled={!comments.trim() || isCountersigning}>
+              Dispute Report
+            </Button>
+            <Button onClick={() => handleCountersign(true)} loading={isCountersigning} disabled={!signature}>
+              Sign Report
+            </Button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default InspectionDetailPage;
@@ -0,0 +1,380 @@
+// frontend/src/pages/inspections/InspectionFormPage.jsx
+
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate, useSearchParams, Link } from 'react-router-dom';
+import { useQuery } from '@tanstack/react-query';
+import { ArrowLeft, Plus, Trash2, Camera, X, Save, Send } from 'lucide-react';
+import Button from '../../components/common/Button';
+import LoadingSpinner from '../../components/common/LoadingSpinner';
+import { useInspection, useInspections, useInspectionMutations } from '../../hooks/useInspections';
+import useRoleBasedPath from '../../hooks/useRoleBasedPath';
+import { getUnitById } from '../../services/unitService';
+import { getInspectionTypeDisplay } from '../../services/inspectionService';
+import { INSPECTION_TYPES } from '../../utils/constants';
+import { CONDITION_OPTIONS, buildChecklist } from '../../utils/inspections';
+import { toDateInputValue } from '../../utils/rentSchedule';
+
+const PRIMARY_COLOR = '#219377';
+
+// Photos are held as media objects while editing and saved as IDs
+const toPayload = (formData) => ({
+  ...formData,
+  rooms: formData.rooms.map(room => ({
+    name: room.name.trim(),
+    items: room.items.map(item => ({
+      ...item,
+      name: item.name.trim(),
+      photos: (item.photos || []).map(photo => photo._id || photo)
+    }))
+  }))
+});
+
+/**
+ * Create or edit a unit inspection: the room-by-room checklist with a condition rating,
+ * notes and photos for every item.
+ */
+function InspectionFormPage() {
+  const { inspectionId, propertyId: routePropertyId, unitId: routeUnitId } = useParams();
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const { getPath } = useRoleBasedPath();
+  const isEditMode = !!inspectionId;
+
+  const { data: inspection, isLoading: isLoadingInspection } = useInspection(inspectionId);
+  const propertyId = routePropertyId || inspection?.propertyId;
+  const unitId = routeUnitId || inspection?.unitId;
+
+  const { data: unit, isLoading: isLoadingUnit } = useQuery({
+    queryKey: ['unit', propertyId, unitId],
+    queryFn: () => getUnitById(propertyId, unitId),
+    enabled: !!propertyId && !!unitId
+  });
+
+  // The unit's latest inspection provides the checklist layout for a new one
+  const { data: previousInspections = [], isLoading: isLoadingPrevious } = useInspections({
+    filters: { unitId },
+    enabled: !isEditMode && !!unitId
+  });
+
+  const {
+    createInspection, isCreating,
+    updateInspection, isUpdating,
+    completeInspection, isCompleting,
+    uploadItemPhotos, isUploadingPhotos
+  } = useInspectionMutations();
+
+  const [formData, setFormData] = useState(null);
+  const [newRoomName, setNewRoomName] = useState('');
+  const [uploadingItem, setUploadingItem] = useState(null);
+
+  useEffect(() => {
+    if (isEditMode && inspection) {
+      setFormData({
+        type: inspection.type,
+        inspectionDate: toDateInputValue(inspection.inspectionDate),
+        notes: inspection.notes || '',
+        rooms: inspection.rooms || []
+      });
+    }
+  }, [isEditMode, inspection]);
+
+  useEffect(() => {
+    if (!isEditMode && !formData && !isLoadingPrevious) {
+      setFormData({
+        type: searchParams.get('type') || INSPECTION_TYPES.MOVE_IN,
+        inspectionDate: toDateInputValue(new Date()),
+        notes: '',
+        rooms: buildChecklist(previousInspections[0])
+      });
+    }
+  }, [isEditMode, formData, isLoadingPrevious, previousInspections, searchParams]);
+
+  if (isLoadingInspection || isLoadingUnit || !formData) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  if (isEditMode && !inspection?.isEditable) {
+    return (
+      <div className="p-4 md:p-8">
+        <p className="text-gray-600 mb-4">This inspection has been completed and can no longer be edited.</p>
+        <Link to={getPath(`inspections/${inspectionId}`)} className="text-blue-600 hover:underline">View inspection</Link>
+      </div>
+    );
+  }
+
+  // `changes` may be a function of the current room/item, for updates that land after an await
+  const updateRoom = (roomIndex, changes) => {
+    setFormData(prev => ({
+      ...prev,
+      rooms: prev.rooms.map((room, index) => (
+        index === roomIndex ? { ...room, ...(typeof changes === 'function' ? changes(room) : changes) } : room
+      ))
+    }));
+  };
+
+  const updateItem = (roomIndex, itemIndex, changes) => {
+    updateRoom(roomIndex, room => ({
+      items: room.items.map((item, index) => (
+        index === itemIndex ? { ...item, ...(typeof changes === 'function' ? changes(item) : changes) } : item
+      ))
+    }));
+  };
+
+  const handleAddRoom = () => {
+    if (!newRoomName.trim()) return;
+    setFormData(prev => ({ ...prev, rooms: [...prev.rooms, { name: newRoomName.trim(), items: [] }] }));
+    setNewRoomName('');
+  };
+
+  const handleRemoveRoom = (roomIndex) => {
+    if (!window.confirm(`Remove ${formData.rooms[roomIndex].name} and all of its items?`)) return;
+    setFormData(prev => ({ ...prev, rooms: prev.rooms.filter((_, index) => index !== roomIndex) }));
+  };
+
+  const handleAddItem = (roomIndex) => {
+    updateRoom(roomIndex, room => ({
+      items: [...room.items, { name: '', condition: '', notes: '', photos: [] }]
+    }));
+  };
+
+  const handleRemoveItem = (roomIndex, itemIndex) => {
+    updateRoom(roomIndex, room => ({ items: room.items.filter((_, index) => index !== itemIndex) }));
+  };
+
+  const handlePhotoUpload = (roomIndex, itemIndex, fileList) => {
+    const files = Array.from(fileList || []);
+    if (files.length === 0) return;
+    const room = formData.rooms[roomIndex];
+    const item = room.items[itemIndex];
+
+    setUploadingItem(`${roomIndex}-${itemIndex}`);
+    uploadItemPhotos({ inspectionId, files, description: `${room.name}: ${item.name}` }, {
+      // Appends to the item as it is now, keeping edits made during the upload
+      onSuccess: (media) => updateItem(roomIndex, itemIndex, current => ({ photos: [...(current.photos || []), ...media] })),
+      onSettled: () => setUploadingItem(null)
+    });
+  };
+
+  const isValid = formData.rooms.length > 0
+    && formData.rooms.every(room => room.name.trim() && room.items.every(item => item.name.trim()));
+
+  const handleSave = (andComplete = false) => {
+    if (!isValid) return;
+    const payload = toPayload(formData);
+
+    if (isEditMode) {
+      updateInspection({ inspectionId, updates: payload }, {
+        onSuccess: () => {
+          if (andComplete) {
+            completeInspection(inspectionId, { onSuccess: () => navigate(getPath(`inspections/${inspectionId}`)) });
+          }
+        }
+      });
+      return;
+    }
+
+    createInspection({
+      ...payload,
+      propertyId,
+      unitId,
+      leaseId: unit?.lease?._id || unit?.lease || undefined,
+      tenantId: unit?.tenant?._id || unit?.tenant || undefined
+    }, {
+      // Photos need a saved inspection to attach to, so new inspections continue in edit mode
+      onSuccess: (created) => navigate(getPath(`inspections/${created._id}/edit`), { replace: true })
+    });
+  };
+
+  const unitLabel = unit ? `Unit ${unit.unitName}` : 'Unit';
+
+  return (
+    <div className="p-4 md:p-8 min-h-full bg-gray-50">
+      <button
+        onClick={() => navigate(-1)}
+        className="flex items-center text-gray-600 hover:text-gray-900 mb-2"
+      >
+        <ArrowLeft className="w-5 h-5 mr-1" /> Back
+      </button>
+
+      <h1 className="text-3xl font-extrabold mb-7 border-b pb-3" style={{ color: PRIMARY_COLOR, borderColor: PRIMARY_COLOR }}>
+        {isEditMode ? 'Edit' : 'New'} {getInspectionTypeDisplay(formData.type)} Inspection – {unitLabel}
+      </h1>
+
+      <div className="bg-white p-6 rounded-xl shadow-lg mb-6 grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="type">Type</label>
+          <select
+            id="type"
+            className="w-full p-2 border border-gray-300 rounded-md"
+            value={formData.type}
+            onChange={(e) => setFormData(prev => ({ ...prev, type: e.target.value }))}
+          >
+            {Object.values(INSPECTION_TYPES).map(type => (
+              <option key={type} value={type}>{getInspectionTypeDisplay(type)}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="inspectionDate">Date</label>
+          <input
+            id="inspectionDate"
+            type="date"
+            className="w-full p-2 border border-gray-300 rounded-md"
+            value={formData.inspectionDate}
+            onChange={(e) => setFormData(prev => ({ ...prev, inspectionDate: e.target.value }))}
+          />
+        </div>
+        <div className="md:col-span-3">
+          <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="notes">General Notes</label>
+          <textarea
+            id="notes"
+            rows="2"
+            className="w-full p-2 border border-gray-300 rounded-md"
+            value={formData.notes}
+            onChange={(e) => setFormData(prev => ({ ...prev, notes: e.target.value }))}
+          />
+        </div>
+      </div>
+
+      {!isEditMode && (
+        <p className="text-sm text-gray-600 mb-4">Save the draft to start adding photos to items.</p>
+      )}
+
+      {formData.rooms.map((room, roomIndex) => (
+        <div key={roomIndex} className="bg-white p-6 rounded-xl shadow-lg mb-6">
+          <div className="flex items-center justify-between mb-4">
+            <input
+              type="text"
+              value={room.name}
+              onChange={(e) => updateRoom(roomIndex, { name: e.target.value })}
+              className="text-xl font-semibold p-1 border-b border-transparent focus:border-gray-300 outline-none"
+              style={{ color: PRIMARY_COLOR }}
+              aria-label="Room name"
+            />
+            <button onClick={() => handleRemoveRoom(roomIndex)} className="text-red-600 hover:text-red-800" title="Remove room">
+              <Trash2 className="w-5 h-5" />
+            </button>
+          </div>
+
+          <div className="space-y-4">
+            {room.items.map((item, itemIndex) => (
+              <div key={itemIndex} className="border border-gray-200 rounded-lg p-4">
+                <div className="flex flex-col md:flex-row md:items-center gap-3 mb-3">
+                  <input
+                    type="text"
+                    value={item.name}
+                    onChange={(e) => updateItem(roomIndex, itemIndex, { name: e.target.value })}
+                    placeholder="Item"
+                    className="md:w-48 p-2 border border-gray-300 rounded-md"
+                  />
+                  <div className="flex flex-wrap gap-1">
+                    {CONDITION_OPTIONS.map(option => (
+                      <button
+                        key={option.value}
+                        type="button"
+                        onClick={() => updateItem(roomIndex, itemIndex, { condition: option.value })}
+                        className={`px-2 py-1 text-xs font-semibold rounded-full border ${
+                          item.condition === option.value ? `${option.className} border-current` : 'bg-white text-gray-500 border-gray-200'
+                        }`}
+                      >
+                        {option.label}
+                      </button>
+                    ))}
+                  </div>
+                  <button
+                    onClick={() => handleRemoveItem(roomIndex, itemIndex)}
+                    className="md:ml-auto text-gray-400 hover:text-red-600"
+                    title="Remove item"
+                  >
+                    <X className="w-4 h-4" />
+                  </button>
+                </div>
+
+                <textarea
+                  rows="1"
+                  value={item.notes || ''}
+                  onChange={(e) => updateItem(roomIndex, itemIndex, { notes: e.target.value })}
+                  placeholder="Notes"
+                  className="w-full p-2 border border-gray-300 rounded-md text-sm mb-3"
+                />
+
+                <div className="flex flex-wrap items-center gap-2">
+                  {(item.photos || []).map(photo => (
+                    <div key={photo._id || photo} className="relative">
+                      <img src={photo.url} alt={item.name} className="w-20 h-20 object-cover rounded-md border" />
+                      <button
+                        onClick={() => updateItem(roomIndex, itemIndex, {
+                          photos: item.photos.filter(existing => (existing._id || existing) !== (photo._id || photo))
+                        })}
+                        className="absolute -top-2 -right-2 bg-white rounded-full shadow p-0.5 text-gray-500 hover:text-red-600"
+                        title="Remove photo"
+                      >
+                        <X className="w-3 h-3" />
+                      </button>
+                    </div>
+                  ))}
+                  {isEditMode && (
+                    <label className="w-20 h-20 flex flex-col items-center justify-center border-2 border-dashed border-gray-300 rounded-md text-gray-400 hover:text-gray-600 cursor-pointer text-xs">
+                      {uploadingItem === `${roomIndex}-${itemIndex}` ? <LoadingSpinner size="sm" /> : <Camera className="w-5 h-5 mb-1" />}
+                      Add photo
+                      <input
+                        type="file"
+                        accept="image/*"
+                        capture="environment"
+                        multiple
+                        className="hidden"
+                        disabled={isUploadingPhotos}
+                        onChange={(e) => {
+                          handlePhotoUpload(roomIndex, itemIndex, e.target.files);
+                          e.target.value = '';
+                        }}
+                      />
+                    </label>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <button onClick={() => handleAddItem(roomIndex)} className="mt-4 flex items-center text-sm font-medium" style={{ color: PRIMARY_COLOR }}>
+            <Plus className="w-4 h-4 mr-1" /> Add Item
+          </button>
+        </div>
+      ))}
+
+      <div className="bg-white p-6 rounded-xl shadow-lg mb-6 flex gap-2">
+        <input
+          type="text"
+          value={newRoomName}
+          onChange={(e) => setNewRoomName(e.target.value)}
+          placeholder="Room name, e.g. Second Bedroom"
+          className="flex-1 p-2 border border-gray-300 rounded-md"
+        />
+        <Button variant="outline" onClick={handleAddRoom} disabled={!newRoomName.trim()}>
+          <Plus className="w-4 h-4 mr-1" /> Add Room
+        </Button>
+      </div>
+
+      {!isValid && (
+        <p className="text-sm text-red-600 mb-4">Every room and item needs a name, and the checklist needs at least one room.</p>
+      )}
+
+      <div className="flex justify-end gap-2">
+        <Button variant="outline" onClick={() => handleSave(false)} loading={isCreating || isUpdating} disabled={!isValid}>
+          <Save className="w-4 h-4 mr-1" /> Save Draft
+        </Button>
+        {isEditMode && (
+          <Button onClick={() => handleSave(true)} loading={isCompleting} disabled={!isValid || isUpdating}>
+            <Send className="w-4 h-4 mr-1" /> Complete & Send to Tenant
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default InspectionFormPage;
@@ -1,17 +1,22 @@
 // frontend/src/pages/landlord/LandlordDashboardPage.jsx
 
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { Link } from 'react-router-dom';
-import { Home, Users, Wrench, Building2, FileText, DollarSign, CalendarDays } from 'lucide-react';
+import { Home, Users, Wrench, Building2, FileText, DollarSign, CalendarDays, Wallet, AlertTriangle } from 'lucide-react';
+import { useQuery } from '@tanstack/react-query';
 import { useAuth } from '../../contexts/AuthContext.jsx';
 import { useGlobalAlert } from '../../contexts/GlobalAlertContext.jsx';
 
 // Import DashboardService for optimized data fetching
 import DashboardService from '../../services/dashboardService.js';
+import { getRentCollectionReport } from '../../services/reportService.js';
+import useExchangeRates from '../../hooks/useExchangeRates.js';
 
 // Component Imports
 import StatCard from '../../components/StatCard.jsx';
 import LoadingSpinner from '../../components/common/LoadingSpinner.jsx';
+import ReportingCurrencySelector from '../../components/common/ReportingCurrencySelector.jsx';
+import PendingCostApprovals from '../../components/PendingCostApprovals.jsx';
 
 // Constants & Helpers
 import {
@@ -21,7 +26,9 @@ import {
   SCHEDULED_MAINTENANCE_STATUS_ENUM,
   ROUTES
 } from '../../utils/constants.js';
-import { formatDate, formatDateTime } from '../../utils/helpers.js';
+import { formatDate, formatDateTime, formatCurrency } from '../../utils/helpers.js';
+import { resolveCurrency } from '../../utils/currency.js';
+import { toDateInputValue } from '../../utils/rentSchedule.js';
 
 // Branding colors
 const PRIMARY_COLOR = '#219377';
@@ -52,6 +59,7 @@ const LeaseStatusBadge = ({ status }) => {
   const base = "px-2.5 py-1 rounded-full text-xs font-semibold uppercase tracking-wide";
   switch (status?.toLowerCase()) {
     case LEASE_STATUS_ENUM.ACTIVE: return `${base} bg-green-100 text-green-800`;
+    case LEASE_STATUS_ENUM.UPCOMING: return `${base} bg-indigo-100 text-indigo-800`;
     case LEASE_STATUS_ENUM.EXPIRED: return `${base} bg-red-100 text-red-800`;
     case LEASE_STATUS_ENUM.PENDING_RENEWAL: return `${base} bg-yellow-100 text-yellow-800`;
     case LEASE_STATUS_ENUM.TERMINATED: return `${base} bg-gray-100 text-gray-800`;
@@ -100,6 +108,36 @@ const LandlordDashboardPage = () => {
 
   const { user } = useAuth();
   const { showError } = useGlobalAlert();
+  const exchangeRates = useExchangeRates();
+  const { reportingCurrency, sum } = exchangeRates;
+
+  // Rent records due this month, across every lease currency in the portfolio
+  const monthRange = useMemo(() => {
+    const now = new Date();
+    return {
+      startDate: toDateInputValue(new Date(now.getFullYear(), now.getMonth(), 1)),
+      endDate: toDateInputValue(new Date(now.getFullYear(), now.getMonth() + 1, 0))
+    };
+  }, []);
+  const { data: monthRentReport, isLoading: isMonthRentLoading } = useQuery({
+    queryKey: ['rentCollectionReport', monthRange],
+    queryFn: ({ signal }) => getRentCollectionReport(monthRange, signal),
+    enabled: !!user,
+  });
+
+  const monthRentTotals = useMemo(() => {
+    const rentRecords = monthRentReport?.rentRecords || [];
+    const toEntries = (getAmount) =>
+      rentRecords.map(rent => ({ amount: getAmount(rent), currency: resolveCurrency(rent.currency, rent.lease?.currency) }));
+    const due = sum(toEntries(rent => (rent.amountDue || 0) + (rent.lateFeeTotal || 0)));
+    const collected = sum(toEntries(rent => rent.amountPaid || 0));
+    return {
+      due: due.total,
+      collected: collected.total,
+      outstanding: Math.max(0, due.total - collected.total),
+      unconvertedCurrencies: due.unconvertedCurrencies
+    };
+  }, [monthRentReport, sum]);
 
   // Function to fetch main dashboard data - now using a single API call!
   const fetchDashboardData = useCallback(async () => {
@@ -229,6 +267,50 @@ const LandlordDashboardPage = () => {
         />
       </div>
 
+      {/* Rent This Month (portfolio totals in the reporting currency) */}
+      <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-100 mb-8">
+        <div className="flex flex-wrap justify-between items-center gap-3 mb-4">
+          <h2 className="text-2xl font-semibold text-gray-800 flex items-center">
+            <Wallet className="w-6 h-6 mr-2" /> Rent This Month
+          </h2>
+          <ReportingCurrencySelector exchangeRates={exchangeRates} canEditRates />
+        </div>
+        {isMonthRentLoading ? (
+          <LoadingSpinner size="sm" color={PRIMARY_COLOR} />
+        ) : (
+          <>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+              <StatCard
+                title="Rent Due"
+                value={formatCurrency(monthRentTotals.due, reportingCurrency)}
+                icon={DollarSign}
+                color={PRIMARY_COLOR}
+              />
+              <StatCard
+                title="Collected"
+                value={formatCurrency(monthRentTotals.collected, reportingCurrency)}
+                icon={Wallet}
+                color="#10b981" // Emerald
+              />
+              <StatCard
+                title="Outstanding"
+                value={formatCurrency(monthRentTotals.outstanding, reportingCurrency)}
+                icon={AlertTriangle}
+                color="#ef4444" // Red
+              />
+            </div>
+            {monthRentTotals.unconvertedCurrencies.length > 0 && (
+              <p className="text-sm text-orange-600 mt-3">
+                No exchange rate for {monthRentTotals.unconvertedCurrencies.join(', ')}; those rents are left out of the totals.
+              </p>
+            )}
+          </>
+        )}
+      </div>
+
+      {/* Maintenance costs above a property's approval threshold */}
+      <PendingCostApprovals className="mb-8" />
+
       <div className="grid grid-cols-1 lg:grid-cols-3 gap-8 mb-8">
         {/* Recent Maintenance Requests */}
         <div
@@ -369,7 +451,7 @@ const LandlordDashboardPage = () => {
                       {formatDate(lease.leaseStartDate)} - {formatDate(lease.leaseEndDate)}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
-                      ${lease.monthlyRent?.toFixed(2) || "0.00"} / {lease.rentFrequency || "month"}
+                      {formatCurrency(lease.monthlyRent || 0, resolveCurrency(lease.currency))} / {lease.rentFrequency || "month"}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
                       <span className={LeaseStatusBadge({ status: lease.status })}>
@@ -451,7 +533,7 @@ const LandlordDashboardPage = () => {
                       {rent.tenant?.firstName} {rent.tenant?.lastName || "N/A"}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
-                      ${rent.amountDue?.toFixed(2) || "0.00"}
+                      {formatCurrency(rent.amountDue || 0, resolveCurrency(rent.currency, rent.lease?.currency))}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
                       {formatDate(rent.dueDate)}
@@ -1,17 +1,19 @@
 // frontend/src/pages/landlord/LandlordProfilePage.jsx
 
 import React, { useState, useEffect, useCallback } from "react";
-import { User, Lock, Bell, Save, Eye, EyeOff, Home, Building2 } from "lucide-react"; // Added Home and Building2 icons
+import { User, Lock, Bell, Save, Eye, EyeOff, Globe, Home, Building2 } from "lucide-react"; // Added Home and Building2 icons
 
 import Input from "../../components/common/Input.jsx";
 import Button from "../../components/common/Button.jsx";
-import LoadingSpinner from "../../components/common/LoadingSpinner.jsx"; // Standardized Spinner
+import LoadingSpinner from "../../components/common/LoadingSpinner.jsx";
+import LanguageSwitcher from "../../components/common/LanguageSwitcher.jsx"; // Standardized Spinner
 
 import { getMyProfile, updateMyProfile } from "../../services/userService.js";
 import { changePassword } from "../../services/authService.js";
 import { getAllProperties } from "../../services/propertyService.js"; // To fetch properties for associations
 import { useAuth } from "../../contexts/AuthContext.jsx";
 import { useGlobalAlert } from "../../contexts/GlobalAlertContext.jsx";
+import useI18n from "../../hooks/useI18n.js";
 import useForm from "../../hooks/useForm.js";
 import { ROUTES } from "../../utils/constants.js";
 
@@ -61,6 +63,7 @@ const validatePasswordForm = (values) => {
 function LandlordProfilePage() {
   const { setUser } = useAuth();
   const { showSuccess, showError } = useGlobalAlert();
+  const { t } = useI18n();
 
   // State for initial profile data loading and properties
   const [initialProfileLoad, setInitialProfileLoad] = useState(true);
@@ -244,6 +247,15 @@ function LandlordProfilePage() {
         </form>
       </section>
 
+      {/* Language & Region Section */}
+      <section className="bg-white p-8 rounded-xl shadow-lg border border-[#e6f7f2] mb-8">
+        <h2 className="text-2xl font-semibold mb-5 flex items-center" style={{ color: PRIMARY_COLOR }}>
+          <Globe className="w-6 h-6 mr-2" style={{ color: PRIMARY_COLOR }} />
+          {t('settings.languageTitle')}
+        </h2>
+        <LanguageSwitcher />
+      </section>
+
       {/* Managed Properties Section */}
       <section className="bg-white p-8 rounded-xl shadow-lg border border-[#e6f7f2] mb-8">
         <h2 className="text-2xl font-semibold mb-5 flex items-center" style={{ color: PRIMARY_COLOR }}>
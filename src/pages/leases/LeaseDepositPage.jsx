@@ -0,0 +1,645 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { useQuery } from '@tanstack/react-query';
+import { useLease, useLeaseDeposit, useLeaseDepositMutations } from '../../hooks/useLeases';
+import { useInspections } from '../../hooks/useInspections';
+import { useGlobalAlert } from '../../contexts/GlobalAlertContext';
+import useRoleBasedPath from '../../hooks/useRoleBasedPath';
+import Spinner from '../../components/common/Spinner';
+import * as requestService from '../../services/requestService';
+import * as mediaService from '../../services/mediaService';
+import { generateDocument, downloadDocument } from '../../services/documentGenerationService';
+import { DEPOSIT_DEDUCTION_CATEGORIES } from '../../utils/constants';
+import { formatCurrency, formatDate, isImage } from '../../utils/helpers';
+import { getCurrencySymbol } from '../../utils/currency';
+import { toDateInputValue } from '../../utils/rentSchedule';
+import {
+  FaChevronLeft, FaFilePdf, FaTrash, FaPlus, FaMoneyBillWave,
+  FaUndo, FaInfoCircle, FaTools, FaImage
+} from 'react-icons/fa';
+
+const DEDUCTION_CATEGORY_LABELS = {
+  [DEPOSIT_DEDUCTION_CATEGORIES.DAMAGE]: 'Damage',
+  [DEPOSIT_DEDUCTION_CATEGORIES.CLEANING]: 'Cleaning',
+  [DEPOSIT_DEDUCTION_CATEGORIES.UNPAID_RENT]: 'Unpaid Rent',
+  [DEPOSIT_DEDUCTION_CATEGORIES.UTILITIES]: 'Utilities',
+  [DEPOSIT_DEDUCTION_CATEGORIES.OTHER]: 'Other'
+};
+
+const PAYMENT_METHOD_OPTIONS = [
+  { value: 'cash', label: 'Cash' },
+  { value: 'bank_transfer', label: 'Bank Transfer' },
+  { value: 'check', label: 'Check' },
+  { value: 'mobile_money', label: 'Mobile Money' },
+  { value: 'other', label: 'Other' }
+];
+
+const today = () => toDateInputValue(new Date());
+
+const emptyDeduction = {
+  category: DEPOSIT_DEDUCTION_CATEGORIES.DAMAGE,
+  description: '',
+  amount: '',
+  requestId: '',
+  mediaIds: []
+};
+
+const LeaseDepositPage = () => {
+  const { leaseId } = useParams();
+  const { getPath } = useRoleBasedPath();
+  const { showError, showSuccess } = useGlobalAlert();
+
+  const { data: lease, isLoading: isLoadingLease, isError } = useLease(leaseId);
+  const { data: deposit, isLoading: isLoadingDeposit } = useLeaseDeposit(leaseId);
+  const {
+    recordReceipt, isRecordingReceipt,
+    addDeduction, isAddingDeduction,
+    removeDeduction, isRemovingDeduction,
+    recordRefund, isRecordingRefund
+  } = useLeaseDepositMutations();
+
+  const unitId = lease?.unit?._id || lease?.unit;
+
+  // Maintenance requests for the unit, to back damage deductions
+  const { data: requests = [] } = useQuery({
+    queryKey: ['maintenanceRequests', { unitId, purpose: 'depositDeductions' }],
+    queryFn: ({ signal }) => requestService.getAllRequests({ unitId, limit: 50, sort: 'createdAt', order: 'desc' }, signal)
+      .then(response => response.requests || []),
+    enabled: !!unitId
+  });
+
+  // Move-out inspection photos attached to the lease
+  const { data: leasePhotos = [] } = useQuery({
+    queryKey: ['media', 'Lease', leaseId],
+    queryFn: ({ signal }) => mediaService.getMediaByResource('Lease', leaseId, { limit: 100 }, signal)
+      .then(response => (response.data || []).filter(item => isImage(item.mimetype))),
+    enabled: !!leaseId
+  });
+
+  // Photos taken during the lease's inspections; deductions charged from the
+  // move-in/move-out comparison point at these
+  const { data: inspections = [] } = useInspections({ filters: { leaseId }, enabled: !!leaseId });
+  const photos = useMemo(() => {
+    const inspectionPhotos = inspections
+      .flatMap(inspection => (inspection.rooms || []).flatMap(room => room.items || []))
+      .flatMap(item => item.photos || [])
+      .filter(photo => photo?._id && photo.url);
+    return [...new Map([...leasePhotos, ...inspectionPhotos].map(photo => [photo._id, photo])).values()];
+  }, [leasePhotos, inspections]);
+
+  const [receiptForm, setReceiptForm] = useState({ amount: '', receivedAt: today(), paymentMethod: 'bank_transfer', reference: '' });
+  const [deductionForm, setDeductionForm] = useState(emptyDeduction);
+  const [refundForm, setRefundForm] = useState({ amount: '', refundedAt: today(), paymentMethod: 'bank_transfer', reference: '' });
+  const [isGeneratingLetter, setIsGeneratingLetter] = useState(false);
+
+  const currency = deposit?.currency || lease?.currency;
+  const formatAmount = (amount) => formatCurrency(amount, currency);
+  const expectedAmount = deposit?.amount ?? lease?.securityDeposit ?? 0;
+
+  useEffect(() => {
+    if (expectedAmount) {
+      setReceiptForm(prev => ({ ...prev, amount: prev.amount || String(expectedAmount) }));
+    }
+  }, [expectedAmount]);
+
+  useEffect(() => {
+    if (deposit) {
+      setRefundForm(prev => ({ ...prev, amount: String(deposit.refundDue) }));
+    }
+  }, [deposit]);
+
+  const requestsById = useMemo(
+    () => Object.fromEntries(requests.map(request => [request._id, request])),
+    [requests]
+  );
+  const photosById = useMemo(
+    () => Object.fromEntries(photos.map(photo => [photo._id, photo])),
+    [photos]
+  );
+
+  const handleReceiptSubmit = (e) => {
+    e.preventDefault();
+    const amount = parseFloat(receiptForm.amount);
+    if (!amount || amount <= 0) {
+      showError('Please enter the amount received');
+      return;
+    }
+    recordReceipt({ leaseId, receiptData: { ...receiptForm, amount } });
+  };
+
+  const handleDeductionChange = (e) => {
+    const { name, value } = e.target;
+    setDeductionForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const togglePhoto = (mediaId) => {
+    setDeductionForm(prev => ({
+      ...prev,
+      mediaIds: prev.mediaIds.includes(mediaId)
+        ? prev.mediaIds.filter(id => id !== mediaId)
+        : [...prev.mediaIds, mediaId]
+    }));
+  };
+
+  const handleDeductionSubmit = (e) => {
+    e.preventDefault();
+    const amount = parseFloat(deductionForm.amount);
+    if (!deductionForm.description.trim()) {
+      showError('Please describe the deduction');
+      return;
+    }
+    if (!amount || amount <= 0) {
+      showError('Deduction amount must be greater than zero');
+      return;
+    }
+    if (amount > deposit.refundDue) {
+      showError(`Deductions cannot exceed the deposit held (${formatAmount(deposit.refundDue)} remaining)`);
+      return;
+    }
+    addDeduction({
+      leaseId,
+      deductionData: {
+        ...deductionForm,
+        description: deductionForm.description.trim(),
+        amount,
+        requestId: deductionForm.requestId || null
+      }
+    }, {
+      onSuccess: () => setDeductionForm(emptyDeduction)
+    });
+  };
+
+  const handleRemoveDeduction = (deductionId) => {
+    if (!window.confirm('Remove this deduction?')) return;
+    removeDeduction({ leaseId, deductionId });
+  };
+
+  const handleRefundSubmit = (e) => {
+    e.preventDefault();
+    const amount = parseFloat(refundForm.amount) || 0;
+    if (amount < 0 || amount > deposit.refundDue) {
+      showError(`The refund must be between ${formatAmount(0)} and ${formatAmount(deposit.refundDue)}`);
+      return;
+    }
+    if (!window.confirm(`Record a refund of ${formatAmount(amount)}? Deductions can no longer be changed afterwards.`)) {
+      return;
+    }
+    recordRefund({ leaseId, refundData: { ...refundForm, amount } });
+  };
+
+  const handleGenerateLetter = async () => {
+    setIsGeneratingLetter(true);
+    try {
+      const response = await generateDocument('deposit_disposition', {
+        tenantName: lease.tenantName,
+        propertyName: lease.propertyName,
+        unitName: lease.unitName,
+        leaseStartDate: lease.leaseStartDate,
+        leaseEndDate: lease.leaseEndDate,
+        currency,
+        depositAmount: deposit.receivedAmount,
+        receivedAt: deposit.receivedAt,
+        deductions: deposit.deductions.map(deduction => ({
+          category: DEDUCTION_CATEGORY_LABELS[deduction.category] || deduction.category,
+          description: deduction.description,
+          amount: deduction.amount,
+          requestTitle: requestsById[deduction.requestId]?.title || null,
+          photoUrls: (deduction.mediaIds || []).map(id => photosById[id]?.url).filter(Boolean)
+        })),
+        totalDeductions: deposit.totalDeductions,
+        refundAmount: deposit.isSettled ? deposit.refundedAmount : deposit.refundDue,
+        refundedAt: deposit.refund?.refundedAt || null
+      }, {
+        relatedResourceId: leaseId,
+        relatedResourceType: 'Lease'
+      });
+      const documentId = response.data?.documentId || response.data?._id;
+      if (documentId) {
+        await downloadDocument(documentId);
+      }
+      showSuccess('Disposition letter generated successfully');
+    } catch (error) {
+      showError('Failed to generate disposition letter: ' + (error.message || error || 'Please try again.'));
+    } finally {
+      setIsGeneratingLetter(false);
+    }
+  };
+
+  if (isLoadingLease || isLoadingDeposit) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <Spinner size="lg" />
+      </div>
+    );
+  }
+
+  if (isError || !lease || !deposit) {
+    return (
+      <div className="container mx-auto px-4 py-6">
+        <div className="bg-red-50 text-red-600 p-4 rounded-md text-center">
+          Could not load the deposit for this lease. Please try again.
+        </div>
+        <div className="mt-4 text-center">
+          <Link to={getPath('leases')} className="inline-flex items-center text-blue-600">
+            <FaChevronLeft className="mr-1" /> Back to Leases
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  const hasReceipt = deposit.receivedAmount > 0;
+  const canDeduct = hasReceipt && !deposit.isSettled;
+
+  return (
+    <div className="container mx-auto px-4 py-6">
+      <div className="mb-6 flex items-center justify-between">
+        <div className="flex items-center">
+          <Link to={getPath(`leases/${leaseId}`)} className="mr-4 text-blue-600 hover:text-blue-800">
+            <FaChevronLeft /> Back
+          </Link>
+          <div>
+            <h1 className="text-2xl font-bold">Security Deposit</h1>
+            <p className="text-sm text-gray-600">
+              {lease.tenantName} · {lease.propertyName} · {lease.unitName}
+            </p>
+          </div>
+        </div>
+
+        {hasReceipt && (
+          <button
+            type="button"
+            onClick={handleGenerateLetter}
+            disabled={isGeneratingLetter}
+            className="inline-flex items-center px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isGeneratingLetter ? <Spinner size="sm" className="mr-2" /> : <FaFilePdf className="mr-2" />}
+            Disposition Letter
+          </button>
+        )}
+      </div>
+
+      {/* Summary */}
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-6">
+        <div className="bg-white shadow-md rounded-lg p-4">
+          <p className="text-sm text-gray-500">Status</p>
+          <span className={`inline-block mt-1 px-2 py-1 rounded-full text-xs font-medium ${deposit.statusClass}`}>
+            {deposit.statusDisplay}
+          </span>
+        </div>
+        <div className="bg-white shadow-md rounded-lg p-4">
+          <p className="text-sm text-gray-500">Required</p>
+          <p className="text-lg font-semibold">{formatAmount(expectedAmount)}</p>
+        </div>
+        <div className="bg-white shadow-md rounded-lg p-4">
+          <p className="text-sm text-gray-500">Received</p>
+          <p className="text-lg font-semibold">{deposit.formattedReceived}</p>
+          {deposit.receivedAt && <p className="text-xs text-gray-500">{formatDate(deposit.receivedAt)}</p>}
+        </div>
+        <div className="bg-white shadow-md rounded-lg p-4">
+          <p className="text-sm text-gray-500">Deductions</p>
+          <p className="text-lg font-semibold text-red-600">{deposit.formattedDeductions}</p>
+        </div>
+        <div className="bg-white shadow-md rounded-lg p-4">
+          <p className="text-sm text-gray-500">{deposit.isSettled ? 'Refunded' : 'Refund Due'}</p>
+          <p className="text-lg font-semibold text-green-700">
+            {deposit.isSettled ? deposit.formattedRefunded : formatAmount(deposit.refundDue)}
+          </p>
+          {deposit.refund?.refundedAt && <p className="text-xs text-gray-500">{formatDate(deposit.refund.refundedAt)}</p>}
+        </div>
+      </div>
+
+      {!hasReceipt && (
+        <form onSubmit={handleReceiptSubmit} className="bg-white shadow-md rounded-lg p-6 mb-6">
+          <h2 className="text-lg font-semibold mb-4 pb-2 border-b flex items-center">
+            <FaMoneyBillWave className="mr-2 text-green-600" /> Record Receipt
+          </h2>
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="receiptAmount">Amount*</label>
+              <div className="relative">
+                <span className="absolute inset-y-0 left-0 flex items-center pl-3 text-gray-500 text-sm">
+                  {getCurrencySymbol(currency)}
+                </span>
+                <input
+                  type="number"
+                  id="receiptAmount"
+                  min="0"
+                  step="0.01"
+                  className="w-full p-2 pl-12 border border-gray-300 rounded-md"
+                  value={receiptForm.amount}
+                  onChange={(e) => setReceiptForm(prev => ({ ...prev, amount: e.target.value }))}
+                  required
+                />
+              </div>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="receivedAt">Date Received*</label>
+              <input
+                type="date"
+                id="receivedAt"
+                className="w-full p-2 border border-gray-300 rounded-md"
+                value={receiptForm.receivedAt}
+                onChange={(e) => setReceiptForm(prev => ({ ...prev, receivedAt: e.target.value }))}
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="receiptMethod">Payment Method</label>
+              <select
+                id="receiptMethod"
+                className="w-full p-2 border border-gray-300 rounded-md"
+                value={receiptForm.paymentMethod}
+                onChange={(e) => setReceiptForm(prev => ({ ...prev, paymentMethod: e.target.value }))}
+              >
+                {PAYMENT_METHOD_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="receiptReference">Reference</label>
+              <input
+                type="text"
+                id="receiptReference"
+                className="w-full p-2 border border-gray-300 rounded-md"
+                value={receiptForm.reference}
+                onChange={(e) => setReceiptForm(prev => ({ ...prev, reference: e.target.value }))}
+              />
+            </div>
+          </div>
+          <div className="mt-4 flex justify-end">
+            <button
+              type="submit"
+              disabled={isRecordingReceipt}
+              className="inline-flex items-center px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isRecordingReceipt ? <Spinner size="sm" className="mr-2" /> : <FaMoneyBillWave className="mr-2" />}
+              Record Receipt
+            </button>
+          </div>
+        </form>
+      )}
+
+      {hasReceipt && (
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          {/* Deductions */}
+          <div className="lg:col-span-2 bg-white shadow-md rounded-lg p-6">
+            <h2 className="text-lg font-semibold mb-4 pb-2 border-b">Move-out Deductions</h2>
+
+            {deposit.deductions.length === 0 ? (
+              <p className="text-gray-500 italic mb-4">No deductions. The full deposit is due back to the tenant.</p>
+            ) : (
+              <ul className="divide-y mb-4">
+                {deposit.deductions.map(deduction => {
+                  const request = requestsById[deduction.requestId];
+                  const deductionPhotos = (deduction.mediaIds || []).map(id => photosById[id]).filter(Boolean);
+                  return (
+                    <li key={deduction._id} className="py-3 flex items-start justify-between">
+                      <div>
+                        <p className="font-medium">
+                          {deduction.description}
+                          <span className="ml-2 px-2 py-0.5 bg-gray-100 text-gray-700 rounded-full text-xs">
+                            {DEDUCTION_CATEGORY_LABELS[deduction.category] || deduction.category}
+                          </span>
+                        </p>
+                        {deduction.requestId && (
+                          <Link
+                            to={getPath(`requests/${deduction.requestId}`)}
+                            className="text-sm text-blue-600 hover:underline inline-flex items-center"
+                          >
+                            <FaTools className="mr-1" /> {request?.title || 'Maintenance request'}
+                          </Link>
+                        )}
+                        {deductionPhotos.length > 0 && (
+                          <div className="flex space-x-2 mt-2">
+                            {deductionPhotos.map(photo => (
+                              <a key={photo._id} href={photo.url} target="_blank" rel="noopener noreferrer">
+                                <img src={photo.url} alt={photo.originalname} className="h-12 w-12 object-cover rounded" />
+                              </a>
+                            ))}
+                          </div>
+                        )}
+                      </div>
+                      <div className="flex items-center">
+                        <span className="font-semibold text-red-600 mr-3">{formatAmount(deduction.amount)}</span>
+                        {canDeduct && (
+                          <button
+                            type="button"
+                            onClick={() => handleRemoveDeduction(deduction._id)}
+                            disabled={isRemovingDeduction}
+                            className="text-red-600 hover:text-red-800 disabled:opacity-50"
+                            title="Remove deduction"
+                          >
+                            <FaTrash />
+                          </button>
+                        )}
+                      </div>
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+
+            {canDeduct && (
+              <form onSubmit={handleDeductionSubmit} className="border-t pt-4">
+                <h3 className="font-medium mb-3">Add Deduction</h3>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="category">Category*</label>
+                    <select
+                      id="category"
+                      name="category"
+                      className="w-full p-2 border border-gray-300 rounded-md"
+                      value={deductionForm.category}
+                      onChange={handleDeductionChange}
+                    >
+                      {Object.values(DEPOSIT_DEDUCTION_CATEGORIES).map(category => (
+                        <option key={category} value={category}>{DEDUCTION_CATEGORY_LABELS[category]}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="md:col-span-2">
+                    <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="description">Description*</label>
+                    <input
+                      type="text"
+                      id="description"
+                      name="description"
+                      className="w-full p-2 border border-gray-300 rounded-md"
+                      value={deductionForm.description}
+                      onChange={handleDeductionChange}
+                      placeholder="e.g. Replace cracked bathroom mirror"
+                      required
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="deductionAmount">Amount*</label>
+                    <div className="relative">
+                      <span className="absolute inset-y-0 left-0 flex items-center pl-3 text-gray-500 text-sm">
+                        {getCurrencySymbol(currency)}
+                      </span>
+                      <input
+                        type="number"
+                        id="deductionAmount"
+                        name="amount"
+                        min="0"
+                        step="0.01"
+                        max={deposit.refundDue}
+                        className="w-full p-2 pl-12 border border-gray-300 rounded-md"
+                        value={deductionForm.amount}
+                        onChange={handleDeductionChange}
+                        required
+                      />
+                    </div>
+                  </div>
+                  <div className="md:col-span-2">
+                    <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="requestId">Maintenance Request</label>
+                    <select
+                      id="requestId"
+                      name="requestId"
+                      className="w-full p-2 border border-gray-300 rounded-md"
+                      value={deductionForm.requestId}
+                      onChange={handleDeductionChange}
+                    >
+                      <option value="">None</option>
+                      {requests.map(request => (
+                        <option key={request._id} value={request._id}>
+                          {request.title} ({request.statusDisplay || request.status})
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+
+                <div className="mt-4">
+                  <p className="block text-sm font-medium text-gray-700 mb-2">Inspection Photos</p>
+                  {photos.length === 0 ? (
+                    <p className="text-sm text-gray-500 flex items-center">
+                      <FaImage className="mr-2" /> No photos are attached to this lease or its inspections. Upload move-out inspection photos from the lease documents.
+                    </p>
+                  ) : (
+                    <div className="flex flex-wrap gap-2">
+                      {photos.map(photo => {
+                        const isSelected = deductionForm.mediaIds.includes(photo._id);
+                        return (
+                          <button
+                            key={photo._id}
+                            type="button"
+                            onClick={() => togglePhoto(photo._id)}
+                            className={`rounded border-2 ${isSelected ? 'border-blue-600' : 'border-transparent'}`}
+                            title={photo.originalname}
+                          >
+                            <img src={photo.url} alt={photo.originalname} className="h-16 w-16 object-cover rounded" />
+                          </button>
+                        );
+                      })}
+                    </div>
+                  )}
+                </div>
+
+                <div className="mt-4 flex justify-end">
+                  <button
+                    type="submit"
+                    disabled={isAddingDeduction}
+                    className="inline-flex items-center px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {isAddingDeduction ? <Spinner size="sm" className="mr-2" /> : <FaPlus className="mr-2" />}
+                    Add Deduction
+                  </button>
+                </div>
+              </form>
+            )}
+          </div>
+
+          {/* Refund */}
+          <div className="bg-white shadow-md rounded-lg p-6">
+            <h2 className="text-lg font-semibold mb-4 pb-2 border-b flex items-center">
+              <FaUndo className="mr-2 text-green-600" /> Refund
+            </h2>
+            {deposit.isSettled ? (
+              <div className="space-y-2 text-sm">
+                <p><span className="text-gray-500">Amount:</span> <span className="font-medium">{deposit.formattedRefunded}</span></p>
+                <p><span className="text-gray-500">Date:</span> <span className="font-medium">{formatDate(deposit.refund?.refundedAt)}</span></p>
+                {deposit.refund?.paymentMethod && (
+                  <p><span className="text-gray-500">Method:</span> <span className="font-medium">{deposit.refund.paymentMethod.replace(/_/g, ' ')}</span></p>
+                )}
+                {deposit.refund?.reference && (
+                  <p><span className="text-gray-500">Reference:</span> <span className="font-medium">{deposit.refund.reference}</span></p>
+                )}
+              </div>
+            ) : (
+              <form onSubmit={handleRefundSubmit}>
+                <div className="mb-3 p-3 bg-blue-50 text-blue-700 rounded-md text-sm flex items-start">
+                  <FaInfoCircle className="mr-2 mt-0.5" />
+                  Add all deductions first. Deductions are locked once the refund is recorded.
+                </div>
+                <div className="mb-3">
+                  <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="refundAmount">Amount</label>
+                  <div className="relative">
+                    <span className="absolute inset-y-0 left-0 flex items-center pl-3 text-gray-500 text-sm">
+                      {getCurrencySymbol(currency)}
+                    </span>
+                    <input
+                      type="number"
+                      id="refundAmount"
+                      min="0"
+                      step="0.01"
+                      max={deposit.refundDue}
+                      className="w-full p-2 pl-12 border border-gray-300 rounded-md"
+                      value={refundForm.amount}
+                      onChange={(e) => setRefundForm(prev => ({ ...prev, amount: e.target.value }))}
+                    />
+                  </div>
+                </div>
+                <div className="mb-3">
+                  <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="refundedAt">Date Refunded*</label>
+                  <input
+                    type="date"
+                    id="refundedAt"
+                    className="w-full p-2 border border-gray-300 rounded-md"
+                    value={refundForm.refundedAt}
+                    onChange={(e) => setRefundForm(prev => ({ ...prev, refundedAt: e.target.value }))}
+                    required
+                  />
+                </div>
+                <div className="mb-3">
+                  <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="refundMethod">Payment Method</label>
+                  <select
+                    id="refundMethod"
+                    className="w-full p-2 border border-gray-300 rounded-md"
+                    value={refundForm.paymentMethod}
+                    onChange={(e) => setRefundForm(prev => ({ ...prev, paymentMethod: e.target.value }))}
+                  >
+                    {PAYMENT_METHOD_OPTIONS.map(option => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="mb-4">
+                  <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="refundReference">Reference</label>
+                  <input
+                    type="text"
+                    id="refundReference"
+                    className="w-full p-2 border border-gray-300 rounded-md"
+                    value={refundForm.reference}
+                    onChange={(e) => setRefundForm(prev => ({ ...prev, reference: e.target.value }))}
+                  />
+                </div>
+                <button
+                  type="submit"
+                  disabled={isRecordingRefund}
+                  className="w-full inline-flex justify-center items-center px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {isRecordingRefund ? <Spinner size="sm" className="mr-2" /> : <FaUndo className="mr-2" />}
+                  Record Refund
+                </button>
+              </form>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LeaseDepositPage;
@@ -1,26 +1,37 @@
 import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
 import { useLease, useLeaseMutations, useLeaseDocuments } from '../../hooks/useLeases';
+import { useSignatureRequests } from '../../hooks/useSignatures';
 import { useAuth } from '../../contexts/AuthContext';
+import useRoleBasedPath from '../../hooks/useRoleBasedPath';
 import { useGlobalAlert } from '../../contexts/GlobalAlertContext';
 import Spinner from '../../components/common/Spinner';
-import { USER_ROLES } from '../../utils/constants';
+import LeaseRenewalPanel from '../../components/LeaseRenewalPanel';
+import LeaseAmendmentHistory from '../../components/LeaseAmendmentHistory';
+import SendForSignatureModal from '../../components/SendForSignatureModal';
+import SignatureStatusBadge from '../../components/SignatureStatusBadge';
+import { USER_ROLES, SIGNATURE_DOCUMENT_TYPES, SIGNATURE_REQUEST_STATUS } from '../../utils/constants';
+import { formatCurrency } from '../../utils/helpers';
+import { resolveCurrency } from '../../utils/currency';
+import { getLateFeeTerms, describeLateFeeTerms } from '../../utils/lateFees';
 import { 
   FaEdit, FaTrash, FaFileDownload, FaFilePdf, 
-  FaFileSignature, FaPrint, FaPlus, FaEnvelope,
-  FaChevronLeft, FaExclamationTriangle, FaClock
+  FaFileSignature, FaPrint, FaEnvelope,
+  FaChevronLeft, FaExclamationTriangle, FaClock, FaCalendarAlt, FaBook, FaShieldAlt,
+  FaPenNib
 } from 'react-icons/fa';
 
 const LeaseDetailPage = () => {
-  const { id } = useParams();
+  const { leaseId: id } = useParams();
+  const { getPath } = useRoleBasedPath();
   const navigate = useNavigate();
   const { user } = useAuth();
   const { showSuccess, showError } = useGlobalAlert();
   
   // State for document generation
   const [isGeneratingDoc, setIsGeneratingDoc] = useState(false);
-  const [isShowingAmendmentForm, setIsShowingAmendmentForm] = useState(false);
-  const [amendmentData, setAmendmentData] = useState({ description: '' });
+  // Document being sent for signature
+  const [signingDocument, setSigningDocument] = useState(null);
   
   // Get current user role
   const isAdmin = user?.role === USER_ROLES.ADMIN;
@@ -37,13 +48,28 @@ const LeaseDetailPage = () => {
     deleteLease, 
     isDeleting,
     markRenewalNoticeSent, 
-    isMarkingRenewalSent,
-    addAmendment,
-    isAddingAmendment
+    isMarkingRenewalSent
   } = useLeaseMutations();
   
   // Get document utilities
   const { downloadDocument, generateDocument } = useLeaseDocuments();
+
+  // Signature requests for this lease, latest per document
+  const { data: signatureRequests = [] } = useSignatureRequests({
+    filters: { documentType: SIGNATURE_DOCUMENT_TYPES.LEASE, resourceId: id }
+  });
+  const signatureByDocument = signatureRequests.reduce((byDocument, request) => {
+    const current = byDocument[request.sourceDocumentId];
+    if (!current || new Date(request.createdAt) > new Date(current.createdAt)) {
+      byDocument[request.sourceDocumentId] = request;
+    }
+    return byDocument;
+  }, {});
+  // A document can go out again once its last request was declined or canceled
+  const canSendForSignature = (documentId) => {
+    const request = signatureByDocument[documentId];
+    return canEdit && (!request || (!request.isOpen && request.status !== SIGNATURE_REQUEST_STATUS.COMPLETED));
+  };
   
   // Delete lease handler
   const handleDelete = async () => {
@@ -54,7 +80,7 @@ const LeaseDetailPage = () => {
     try {
       await deleteLease(id);
       showSuccess('Lease deleted successfully');
-      navigate('/leases');
+      navigate(getPath('leases'));
     } catch (error) {
       showError('Failed to delete lease');
     }
@@ -94,25 +120,6 @@ const LeaseDetailPage = () => {
     }
   };
   
-  // Add amendment handler
-  const handleAddAmendment = async (e) => {
-    e.preventDefault();
-    if (!amendmentData.description.trim()) {
-      showError('Amendment description is required');
-      return;
-    }
-    
-    try {
-      await addAmendment({ leaseId: id, amendmentData });
-      setAmendmentData({ description: '' });
-      setIsShowingAmendmentForm(false);
-      refetch();
-      showSuccess('Amendment added successfully');
-    } catch (error) {
-      showError('Failed to add amendment');
-    }
-  };
-  
   if (isLoading) {
     return (
       <div className="flex justify-center items-center h-64">
@@ -129,7 +136,7 @@ const LeaseDetailPage = () => {
           An error occurred while loading lease details. Please try again.
         </div>
         <div className="mt-4 text-center">
-          <Link to="/leases" className="inline-flex items-center text-blue-600">
+          <Link to={getPath('leases')} className="inline-flex items-center text-blue-600">
             <FaChevronLeft className="mr-1" /> Back to Leases
           </Link>
         </div>
@@ -144,7 +151,7 @@ const LeaseDetailPage = () => {
           No lease found with the specified ID.
         </div>
         <div className="mt-4 text-center">
-          <Link to="/leases" className="inline-flex items-center text-blue-600">
+          <Link to={getPath('leases')} className="inline-flex items-center text-blue-600">
             <FaChevronLeft className="mr-1" /> Back to Leases
           </Link>
         </div>
@@ -156,31 +163,54 @@ const LeaseDetailPage = () => {
     <div className="container mx-auto px-4 py-6">
       <div className="mb-6 flex items-center justify-between">
         <div className="flex items-center">
-          <Link to="/leases" className="mr-4 text-blue-600 hover:text-blue-800">
+          <Link to={getPath('leases')} className="mr-4 text-blue-600 hover:text-blue-800">
             <FaChevronLeft /> Back
           </Link>
           <h1 className="text-2xl font-bold">Lease Details</h1>
         </div>
         
-        {canEdit && (
-          <div className="flex space-x-2">
-            <Link
-              to={`/leases/${id}/edit`}
-              className="inline-flex items-center px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
-            >
-              <FaEdit className="mr-2" />
-              Edit Lease
-            </Link>
-            <button
-              onClick={handleDelete}
-              disabled={isDeleting}
-              className="inline-flex items-center px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed"
-            >
-              {isDeleting ? <Spinner size="sm" className="mr-2" /> : <FaTrash className="mr-2" />}
-              Delete
-            </button>
-          </div>
-        )}
+        <div className="flex space-x-2">
+          <Link
+            to={getPath(`leases/${id}/ledger`)}
+            className="inline-flex items-center px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50"
+          >
+            <FaBook className="mr-2" />
+            Statement
+          </Link>
+          {canEdit && (
+            <>
+              <Link
+                to={getPath(`leases/edit/${id}`)}
+                className="inline-flex items-center px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+              >
+                <FaEdit className="mr-2" />
+                Edit Lease
+              </Link>
+              <Link
+                to={getPath(`leases/${id}/rent-schedule`)}
+                className="inline-flex items-center px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700"
+              >
+                <FaCalendarAlt className="mr-2" />
+                Rent Schedule
+              </Link>
+              <Link
+                to={getPath(`leases/${id}/deposit`)}
+                className="inline-flex items-center px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50"
+              >
+                <FaShieldAlt className="mr-2" />
+                Deposit
+              </Link>
+              <button
+                onClick={handleDelete}
+                disabled={isDeleting}
+                className="inline-flex items-center px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {isDeleting ? <Spinner size="sm" className="mr-2" /> : <FaTrash className="mr-2" />}
+                Delete
+              </button>
+            </>
+          )}
+        </div>
       </div>
       
       {/* Status banner */}
@@ -233,6 +263,9 @@ const LeaseDetailPage = () => {
         </div>
       )}
       
+      {/* Renewal offer and successor lease */}
+      <LeaseRenewalPanel lease={lease} canEdit={canEdit} />
+      
       <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
         {/* Main Lease Info */}
         <div className="bg-white rounded-lg shadow-md p-6">
@@ -262,8 +295,9 @@ const LeaseDetailPage = () => {
             <div>
               <p className="text-sm text-gray-500">Late Fee</p>
               <p className="font-medium">
-                {lease.lateFee ? `${lease.currency} ${lease.lateFee}` : 'N/A'}
-                {lease.gracePeriod ? ` (${lease.gracePeriod} days grace)` : ''}
+                {lease.lateFee
+                  ? describeLateFeeTerms(getLateFeeTerms(lease), amount => formatCurrency(amount, resolveCurrency(lease.currency)))
+                  : 'N/A'}
               </p>
             </div>
           </div>
@@ -383,6 +417,9 @@ const LeaseDetailPage = () => {
                   <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                     Type
                   </th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Signing
+                  </th>
                   <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
                     Actions
                   </th>
@@ -406,7 +443,19 @@ const LeaseDetailPage = () => {
                         {doc.documentType || 'Document'}
                       </span>
                     </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <SignatureStatusBadge request={signatureByDocument[doc._id]} emptyLabel="—" />
+                    </td>
                     <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                      {canSendForSignature(doc._id) && (
+                        <button
+                          onClick={() => setSigningDocument(doc)}
+                          className="text-blue-600 hover:text-blue-900 mr-3"
+                          title="Send for Signature"
+                        >
+                          <FaPenNib />
+                        </button>
+                      )}
                       <button
                         onClick={() => handleDownloadDocument(doc._id)}
                         className="text-blue-600 hover:text-blue-900"
@@ -428,82 +477,21 @@ const LeaseDetailPage = () => {
         )}
       </div>
       
+      {canEdit && (
+        <SendForSignatureModal
+          isOpen={!!signingDocument}
+          onClose={() => setSigningDocument(null)}
+          documentType={SIGNATURE_DOCUMENT_TYPES.LEASE}
+          resourceId={lease._id}
+          sourceDocumentId={signingDocument?._id}
+          title={`${signingDocument?.fileName || 'Lease Document'} – ${lease.propertyName} / ${lease.unitName}`}
+          tenant={lease.tenant}
+          landlord={lease.property?.landlord}
+        />
+      )}
+
       {/* Amendments Section */}
-      <div className="bg-white rounded-lg shadow-md p-6">
-        <div className="flex justify-between items-center mb-4">
-          <h2 className="text-xl font-semibold">Amendments</h2>
-          
-          {canEdit && (
-            <button
-              onClick={() => setIsShowingAmendmentForm(!isShowingAmendmentForm)}
-              className="inline-flex items-center px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
-            >
-              <FaPlus className="mr-2" />
-              Add Amendment
-            </button>
-          )}
-        </div>
-        
-        {isShowingAmendmentForm && (
-          <div className="mb-6 p-4 border border-gray-200 rounded-md">
-            <h3 className="text-lg font-medium mb-2">Add New Amendment</h3>
-            <form onSubmit={handleAddAmendment}>
-              <div className="mb-4">
-                <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="description">
-                  Amendment Description*
-                </label>
-                <textarea
-                  id="description"
-                  className="w-full p-2 border rounded-md"
-                  rows="3"
-                  value={amendmentData.description}
-                  onChange={(e) => setAmendmentData({...amendmentData, description: e.target.value})}
-                  required
-                ></textarea>
-              </div>
-              <div className="flex justify-end space-x-2">
-                <button
-                  type="button"
-                  onClick={() => setIsShowingAmendmentForm(false)}
-                  className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
-                >
-                  Cancel
-                </button>
-                <button
-                  type="submit"
-                  disabled={isAddingAmendment}
-                  className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
-                >
-                  {isAddingAmendment ? <Spinner size="sm" /> : 'Save Amendment'}
-                </button>
-              </div>
-            </form>
-          </div>
-        )}
-        
-        {lease.hasAmendments ? (
-          <div className="space-y-4">
-            {lease.amendments?.map((amendment, index) => (
-              <div key={amendment._id || index} className="p-4 border border-gray-200 rounded-md">
-                <div className="flex justify-between">
-                  <span className="text-sm text-gray-500">
-                    Added on {new Date(amendment.createdAt).toLocaleDateString()}
-                  </span>
-                  <span className="text-sm font-medium">
-                    Amendment #{index + 1}
-                  </span>
-                </div>
-                <p className="mt-2">{amendment.description}</p>
-              </div>
-            ))}
-          </div>
-        ) : (
-          <div className="text-center py-8 text-gray-500">
-            <FaFileSignature className="mx-auto text-gray-300 text-4xl mb-3" />
-            <p>No amendments have been added to this lease.</p>
-          </div>
-        )}
-      </div>
+      <LeaseAmendmentHistory lease={lease} canEdit={canEdit} />
     </div>
   );
 };
@@ -5,7 +5,8 @@ import { useProperties } from '../../hooks/useProperties';
 import { useAuth } from '../../contexts/AuthContext';
 import { useGlobalAlert } from '../../contexts/GlobalAlertContext';
 import Spinner from '../../components/common/Spinner';
-import { USER_ROLES } from '../../utils/constants';
+import { USER_ROLES, CURRENCIES, DEFAULT_CURRENCY, LATE_FEE_TYPES } from '../../utils/constants';
+import { getCurrencySymbol } from '../../utils/currency';
 import { FaChevronLeft, FaSave, FaUpload, FaExclamationCircle } from 'react-icons/fa';
 
 const LeaseFormPage = () => {
@@ -47,9 +48,11 @@ const LeaseFormPage = () => {
     leaseEndDate: '',
     monthlyRent: '',
     securityDeposit: '',
-    currency: 'USD',
+    currency: DEFAULT_CURRENCY,
     paymentDueDay: '1',
     lateFee: '',
+    lateFeeType: LATE_FEE_TYPES.FLAT,
+    lateFeeCap: '',
     gracePeriod: '5',
     terms: '',
     notes: '',
@@ -89,9 +92,11 @@ const LeaseFormPage = () => {
         leaseEndDate: existingLease.leaseEndDate ? new Date(existingLease.leaseEndDate).toISOString().split('T')[0] : '',
         monthlyRent: existingLease.monthlyRent || '',
         securityDeposit: existingLease.securityDeposit || '',
-        currency: existingLease.currency || 'USD',
+        currency: existingLease.currency || DEFAULT_CURRENCY,
         paymentDueDay: existingLease.paymentDueDay?.toString() || '1',
         lateFee: existingLease.lateFee || '',
+        lateFeeType: existingLease.lateFeeType || LATE_FEE_TYPES.FLAT,
+        lateFeeCap: existingLease.lateFeeCap || '',
         gracePeriod: existingLease.gracePeriod?.toString() || '5',
         terms: existingLease.terms || '',
         notes: existingLease.notes || '',
@@ -129,6 +134,9 @@ const LeaseFormPage = () => {
     }
     if (!formData.monthlyRent) newErrors.monthlyRent = 'Monthly rent is required';
     if (formData.monthlyRent && isNaN(formData.monthlyRent)) newErrors.monthlyRent = 'Monthly rent must be a number';
+    if (formData.lateFeeType === LATE_FEE_TYPES.PERCENTAGE && parseFloat(formData.lateFee) > 100) {
+      newErrors.lateFee = 'Late fee percentage cannot exceed 100%';
+    }
     
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
@@ -397,9 +405,9 @@ const LeaseFormPage = () => {
                     value={formData.currency}
                     onChange={handleChange}
                   >
-                    <option value="USD">$</option>
-                    <option value="EUR">€</option>
-                    <option value="GBP">£</option>
+                    {CURRENCIES.map(({ code, name }) => (
+                      <option key={code} value={code} title={name}>{code}</option>
+                    ))}
                   </select>
                   <input
                     type="number"
@@ -427,7 +435,7 @@ const LeaseFormPage = () => {
                 </label>
                 <div className="flex">
                   <span className="p-2 border-t border-l border-b border-gray-300 rounded-l-md bg-gray-50">
-                    {formData.currency === 'USD' ? '$' : formData.currency === 'EUR' ? '€' : '£'}
+                    {getCurrencySymbol(formData.currency)}
                   </span>
                   <input
                     type="number"
@@ -469,7 +477,7 @@ const LeaseFormPage = () => {
                 </label>
                 <div className="flex">
                   <span className="p-2 border-t border-l border-b border-gray-300 rounded-l-md bg-gray-50">
-                    {formData.currency === 'USD' ? '$' : formData.currency === 'EUR' ? '€' : '£'}
+                    {formData.lateFeeType === LATE_FEE_TYPES.PERCENTAGE ? '%' : getCurrencySymbol(formData.currency)}
                   </span>
                   <input
                     type="number"
@@ -485,6 +493,47 @@ const LeaseFormPage = () => {
               </div>
             </div>
             
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="lateFeeType">
+                  Late Fee Type
+                </label>
+                <select
+                  id="lateFeeType"
+                  name="lateFeeType"
+                  className="w-full p-2 border border-gray-300 rounded-md"
+                  value={formData.lateFeeType}
+                  onChange={handleChange}
+                >
+                  <option value={LATE_FEE_TYPES.FLAT}>Flat amount</option>
+                  <option value={LATE_FEE_TYPES.PERCENTAGE}>Percentage of rent</option>
+                  <option value={LATE_FEE_TYPES.DAILY}>Amount per day late</option>
+                </select>
+              </div>
+              
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="lateFeeCap">
+                  Late Fee Cap
+                </label>
+                <div className="flex">
+                  <span className="p-2 border-t border-l border-b border-gray-300 rounded-l-md bg-gray-50">
+                    {getCurrencySymbol(formData.currency)}
+                  </span>
+                  <input
+                    type="number"
+                    id="lateFeeCap"
+                    name="lateFeeCap"
+                    className="flex-1 p-2 border-t border-r border-b border-gray-300 rounded-r-md"
+                    value={formData.lateFeeCap}
+                    onChange={handleChange}
+                    min="0"
+                    step="0.01"
+                    placeholder="No cap"
+                  />
+                </div>
+              </div>
+            </div>
+            
             <div className="mb-4">
               <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="gracePeriod">
                 Grace Period (days)
@@ -0,0 +1,322 @@
+import React, { useState, useMemo, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { useLease, useLeases, useLeaseDeposit } from '../../hooks/useLeases';
+import { useRentHistory } from '../../hooks/useRents';
+import { useAuth } from '../../contexts/AuthContext';
+import { useGlobalAlert } from '../../contexts/GlobalAlertContext';
+import useRoleBasedPath from '../../hooks/useRoleBasedPath';
+import Spinner from '../../components/common/Spinner';
+import { generateDocument, downloadDocument } from '../../services/documentGenerationService';
+import { USER_ROLES } from '../../utils/constants';
+import { formatCurrency, formatDate, downloadCsv } from '../../utils/helpers';
+import { resolveCurrency } from '../../utils/currency';
+import {
+  buildLedger, ledgerToRows, getDepositTransactions,
+  LEDGER_ENTRY_TYPES, LEDGER_ENTRY_LABELS
+} from '../../utils/ledger';
+import { FaChevronLeft, FaFileCsv, FaFilePdf, FaBook } from 'react-icons/fa';
+
+const ENTRY_BADGE_CLASSES = {
+  [LEDGER_ENTRY_TYPES.RENT]: 'bg-blue-100 text-blue-800',
+  [LEDGER_ENTRY_TYPES.PAYMENT]: 'bg-green-100 text-green-800',
+  [LEDGER_ENTRY_TYPES.LATE_FEE]: 'bg-red-100 text-red-800',
+  [LEDGER_ENTRY_TYPES.WAIVER]: 'bg-purple-100 text-purple-800',
+  [LEDGER_ENTRY_TYPES.DEPOSIT]: 'bg-yellow-100 text-yellow-800'
+};
+
+const LeaseLedgerPage = () => {
+  const { leaseId: leaseIdParam } = useParams();
+  const { user } = useAuth();
+  const { showError, showSuccess } = useGlobalAlert();
+  const { getPath } = useRoleBasedPath();
+  const isTenant = user?.role === USER_ROLES.TENANT;
+
+  // Tenants reach this page without a lease in the URL and pick one of their own
+  const { data: leasesData } = useLeases({ enabled: isTenant && !leaseIdParam });
+  const [selectedLeaseId, setSelectedLeaseId] = useState('');
+  const leaseId = leaseIdParam || selectedLeaseId;
+
+  useEffect(() => {
+    if (!leaseIdParam && !selectedLeaseId && leasesData?.leases?.length) {
+      const active = leasesData.leases.find(l => l.status === 'active') || leasesData.leases[0];
+      setSelectedLeaseId(active._id);
+    }
+  }, [leaseIdParam, selectedLeaseId, leasesData]);
+
+  const { data: lease, isLoading: isLoadingLease } = useLease(leaseId);
+  const { data: rents = [], isLoading: isLoadingRents, isError } = useRentHistory({ filters: { leaseId } });
+  // Leases without a deposit record fall back to the lease's own deposit terms
+  const { data: deposit } = useLeaseDeposit(leaseId);
+
+  const [dateRange, setDateRange] = useState({ startDate: '', endDate: '' });
+  const [isExportingPdf, setIsExportingPdf] = useState(false);
+
+  const currency = resolveCurrency(lease?.currency);
+  const formatAmount = (amount) => formatCurrency(amount, currency);
+
+  const ledger = useMemo(() => buildLedger({
+    rents,
+    depositTransactions: getDepositTransactions(lease, deposit),
+    startDate: dateRange.startDate,
+    endDate: dateRange.endDate
+  }), [rents, lease, deposit, dateRange]);
+
+  const rangeLabel = dateRange.startDate || dateRange.endDate
+    ? `${dateRange.startDate ? formatDate(dateRange.startDate) : 'Start'} – ${dateRange.endDate ? formatDate(dateRange.endDate) : 'Today'}`
+    : 'All activity';
+
+  const exportFileName = (extension) => {
+    const tenant = (lease?.tenantName || 'tenant').toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    const suffix = dateRange.startDate || dateRange.endDate
+      ? `${dateRange.startDate || 'start'}-to-${dateRange.endDate || 'today'}`
+      : 'all';
+    return `statement-${tenant}-${suffix}.${extension}`;
+  };
+
+  const handleExportCsv = () => {
+    downloadCsv(exportFileName('csv'), ledgerToRows(ledger));
+  };
+
+  const handleExportPdf = async () => {
+    setIsExportingPdf(true);
+    try {
+      const response = await generateDocument('tenant_statement', {
+        tenantName: lease.tenantName,
+        propertyName: lease.propertyName,
+        unitName: lease.unitName,
+        currency,
+        period: rangeLabel,
+        startDate: dateRange.startDate || null,
+        endDate: dateRange.endDate || null,
+        openingBalance: ledger.openingBalance,
+        closingBalance: ledger.closingBalance,
+        totalCharges: ledger.totalDebits,
+        totalCredits: ledger.totalCredits,
+        entries: ledger.entries.map(entry => ({
+          date: formatDate(entry.date),
+          type: LEDGER_ENTRY_LABELS[entry.type],
+          description: entry.description,
+          reference: entry.reference || '',
+          debit: entry.debit,
+          credit: entry.credit,
+          balance: entry.balance
+        }))
+      }, {
+        relatedResourceId: leaseId,
+        relatedResourceType: 'Lease',
+        fileName: exportFileName('pdf')
+      });
+      const documentId = response.data?.documentId || response.data?._id;
+      if (documentId) {
+        await downloadDocument(documentId);
+      }
+      showSuccess('Statement generated successfully');
+    } catch (error) {
+      showError('Failed to generate statement PDF: ' + (error.message || 'Please try again.'));
+    } finally {
+      setIsExportingPdf(false);
+    }
+  };
+
+  const backLink = isTenant
+    ? { to: getPath('dashboard'), label: 'Back to Dashboard' }
+    : { to: getPath(`leases/${leaseId}`), label: 'Back to Lease' };
+
+  if (!leaseId) {
+    return (
+      <div className="container mx-auto px-4 py-6">
+        <h1 className="text-2xl font-bold mb-4">Statement of Account</h1>
+        <p className="text-gray-600">You don't have any leases yet, so there is no statement to show.</p>
+      </div>
+    );
+  }
+
+  if (isLoadingLease || isLoadingRents) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <Spinner size="lg" />
+      </div>
+    );
+  }
+
+  if (isError || !lease) {
+    return (
+      <div className="container mx-auto px-4 py-6">
+        <div className="bg-red-50 text-red-600 p-4 rounded-md text-center">
+          Could not load this statement. Please try again.
+        </div>
+        <div className="mt-4 text-center">
+          <Link to={backLink.to} className="inline-flex items-center text-blue-600">
+            <FaChevronLeft className="mr-1" /> {backLink.label}
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="container mx-auto px-4 py-6">
+      <div className="mb-6 flex flex-wrap items-center justify-between gap-4">
+        <div className="flex items-center">
+          <Link to={backLink.to} className="mr-4 text-blue-600 hover:text-blue-800">
+            <FaChevronLeft /> Back
+          </Link>
+          <div>
+            <h1 className="text-2xl font-bold flex items-center">
+              <FaBook className="mr-2 text-gray-500" /> Statement of Account
+            </h1>
+            <p className="text-sm text-gray-600">
+              {lease.tenantName} · {lease.propertyName} · {lease.unitName}
+            </p>
+          </div>
+        </div>
+
+        <div className="flex space-x-2">
+          <button
+            type="button"
+            onClick={handleExportCsv}
+            className="inline-flex items-center px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50"
+          >
+            <FaFileCsv className="mr-2" /> Export CSV
+          </button>
+          <button
+            type="button"
+            onClick={handleExportPdf}
+            disabled={isExportingPdf}
+            className="inline-flex items-center px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isExportingPdf ? <Spinner size="sm" className="mr-2" /> : <FaFilePdf className="mr-2" />}
+            Export PDF
+          </button>
+        </div>
+      </div>
+
+      <div className="bg-white shadow-md rounded-lg p-4 mb-6 flex flex-wrap items-end gap-4">
+        {!leaseIdParam && leasesData?.leases?.length > 1 && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="leaseSelect">Lease</label>
+            <select
+              id="leaseSelect"
+              className="p-2 border border-gray-300 rounded-md"
+              value={leaseId}
+              onChange={(e) => setSelectedLeaseId(e.target.value)}
+            >
+              {leasesData.leases.map(option => (
+                <option key={option._id} value={option._id}>
+                  {option.propertyName} / {option.unitName} ({option.statusDisplay})
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="startDate">From</label>
+          <input
+            type="date"
+            id="startDate"
+            className="p-2 border border-gray-300 rounded-md"
+            value={dateRange.startDate}
+            onChange={(e) => setDateRange(prev => ({ ...prev, startDate: e.target.value }))}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="endDate">To</label>
+          <input
+            type="date"
+            id="endDate"
+            className="p-2 border border-gray-300 rounded-md"
+            value={dateRange.endDate}
+            min={dateRange.startDate || undefined}
+            onChange={(e) => setDateRange(prev => ({ ...prev, endDate: e.target.value }))}
+          />
+        </div>
+        {(dateRange.startDate || dateRange.endDate) && (
+          <button
+            type="button"
+            onClick={() => setDateRange({ startDate: '', endDate: '' })}
+            className="text-sm text-blue-600 hover:underline pb-2"
+          >
+            Show all activity
+          </button>
+        )}
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+        <div className="bg-white shadow-md rounded-lg p-4">
+          <p className="text-sm text-gray-500">Opening Balance</p>
+          <p className="text-xl font-bold">{formatAmount(ledger.openingBalance)}</p>
+        </div>
+        <div className="bg-white shadow-md rounded-lg p-4">
+          <p className="text-sm text-gray-500">Charges</p>
+          <p className="text-xl font-bold text-red-600">{formatAmount(ledger.totalDebits)}</p>
+        </div>
+        <div className="bg-white shadow-md rounded-lg p-4">
+          <p className="text-sm text-gray-500">Payments & Credits</p>
+          <p className="text-xl font-bold text-green-600">{formatAmount(ledger.totalCredits)}</p>
+        </div>
+        <div className="bg-white shadow-md rounded-lg p-4">
+          <p className="text-sm text-gray-500">Closing Balance</p>
+          <p className={`text-xl font-bold ${ledger.closingBalance > 0 ? 'text-red-600' : 'text-green-600'}`}>
+            {formatAmount(ledger.closingBalance)}
+          </p>
+        </div>
+      </div>
+
+      <div className="bg-white shadow-md rounded-lg overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200 text-sm">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Type</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Description</th>
+              <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Charges</th>
+              <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Credits</th>
+              <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Balance</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            <tr className="bg-gray-50 font-medium">
+              <td className="px-4 py-2" colSpan={5}>Opening balance</td>
+              <td className="px-4 py-2 text-right">{formatAmount(ledger.openingBalance)}</td>
+            </tr>
+            {ledger.entries.length === 0 ? (
+              <tr>
+                <td className="px-4 py-6 text-center text-gray-500 italic" colSpan={6}>
+                  No activity in this period.
+                </td>
+              </tr>
+            ) : ledger.entries.map(entry => (
+              <tr key={entry.id}>
+                <td className="px-4 py-2 whitespace-nowrap">{formatDate(entry.date)}</td>
+                <td className="px-4 py-2">
+                  <span className={`px-2 py-0.5 rounded-full text-xs ${ENTRY_BADGE_CLASSES[entry.type]}`}>
+                    {LEDGER_ENTRY_LABELS[entry.type]}
+                  </span>
+                </td>
+                <td className="px-4 py-2">
+                  {entry.rentId && !isTenant ? (
+                    <Link to={getPath(`payments/${entry.rentId}`)} className="text-blue-600 hover:underline">
+                      {entry.description}
+                    </Link>
+                  ) : entry.description}
+                  {entry.reference && <span className="ml-2 text-xs text-gray-500">Ref {entry.reference}</span>}
+                </td>
+                <td className="px-4 py-2 text-right">{entry.debit ? formatAmount(entry.debit) : ''}</td>
+                <td className="px-4 py-2 text-right text-green-700">{entry.credit ? formatAmount(entry.credit) : ''}</td>
+                <td className="px-4 py-2 text-right font-medium">{formatAmount(entry.balance)}</td>
+              </tr>
+            ))}
+            <tr className="bg-gray-50 font-semibold">
+              <td className="px-4 py-2" colSpan={3}>Closing balance</td>
+              <td className="px-4 py-2 text-right">{formatAmount(ledger.totalDebits)}</td>
+              <td className="px-4 py-2 text-right">{formatAmount(ledger.totalCredits)}</td>
+              <td className="px-4 py-2 text-right">{formatAmount(ledger.closingBalance)}</td>
+            </tr>
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default LeaseLedgerPage;
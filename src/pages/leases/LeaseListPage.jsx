@@ -2,10 +2,12 @@ import React, { useState, useEffect } from 'react';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { useLeases, useExpiringLeases, useLeaseMutations } from '../../hooks/useLeases';
 import { useProperties } from '../../hooks/useProperties';
+import { useSignatureStatusByResource } from '../../hooks/useSignatures';
 import { useAuth } from '../../contexts/AuthContext';
 import { useGlobalAlert } from '../../contexts/GlobalAlertContext';
 import Spinner from '../../components/common/Spinner';
-import { USER_ROLES } from '../../utils/constants';
+import SignatureStatusBadge from '../../components/SignatureStatusBadge';
+import { USER_ROLES, SIGNATURE_DOCUMENT_TYPES } from '../../utils/constants';
 import { 
   FaPlus, FaFilter, FaSearch, FaTimes, FaEye, 
   FaEdit, FaTrash, FaFileAlt, FaExclamationTriangle 
@@ -54,6 +56,9 @@ const LeaseListPage = () => {
 const leases = data?.leases || [];
 const pagination = data?.pagination;
   
+  // Latest signature request per lease, for the Signing column
+  const signatureByLease = useSignatureStatusByResource(SIGNATURE_DOCUMENT_TYPES.LEASE);
+
   // Fetch expiring leases
   const { 
     data: expiringLeases = [], 
@@ -187,6 +192,7 @@ const pagination = data?.pagination;
               >
                 <option value="">All Statuses</option>
                 <option value="active">Active</option>
+                <option value="upcoming">Upcoming</option>
                 <option value="expired">Expired</option>
                 <option value="terminated">Terminated</option>
                 <option value="pending_renewal">Pending Renewal</option>
@@ -340,6 +346,9 @@ const pagination = data?.pagination;
                   <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                     Status
                   </th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Signing
+                  </th>
                   <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
                     Actions
                   </th>
@@ -386,6 +395,9 @@ const pagination = data?.pagination;
                         {lease.statusDisplay}
                       </span>
                     </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <SignatureStatusBadge request={signatureByLease[lease._id]} />
+                    </td>
                     <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
                       <div className="flex justify-end space-x-2">
                         <Link
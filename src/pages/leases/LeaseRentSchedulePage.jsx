@@ -0,0 +1,535 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { useLease } from '../../hooks/useLeases';
+import { useRents, useRentSchedules, useRentScheduleMutations } from '../../hooks/useRents';
+import useRoleBasedPath from '../../hooks/useRoleBasedPath';
+import Spinner from '../../components/common/Spinner';
+import { formatCurrency, formatDate } from '../../utils/helpers';
+import { resolveCurrency, getCurrencySymbol } from '../../utils/currency';
+import {
+  RENT_SCHEDULE_FREQUENCIES,
+  ESCALATION_TYPES,
+  buildRentSchedulePreview,
+  toDateInputValue
+} from '../../utils/rentSchedule';
+import {
+  FaChevronLeft, FaSave, FaTrash, FaCalendarPlus,
+  FaExclamationCircle, FaInfoCircle
+} from 'react-icons/fa';
+
+const emptySchedule = {
+  amount: '',
+  frequency: RENT_SCHEDULE_FREQUENCIES[1].value,
+  dueDay: 1,
+  startDate: '',
+  endDate: '',
+  proration: { firstPeriod: true, lastPeriod: true },
+  escalation: { type: ESCALATION_TYPES.NONE, value: '', intervalMonths: 12, maxAmount: '' }
+};
+
+// Maps a saved schedule (or the lease defaults) onto the form shape
+const toFormData = (schedule, lease) => {
+  if (schedule) {
+    return {
+      amount: schedule.amount ?? '',
+      frequency: schedule.frequency || emptySchedule.frequency,
+      dueDay: schedule.dueDay || 1,
+      startDate: toDateInputValue(schedule.startDate),
+      endDate: toDateInputValue(schedule.endDate),
+      proration: { ...emptySchedule.proration, ...schedule.proration },
+      escalation: { ...emptySchedule.escalation, ...schedule.escalation }
+    };
+  }
+  return {
+    ...emptySchedule,
+    amount: lease?.monthlyRent ?? '',
+    dueDay: lease?.leaseStartDate ? new Date(lease.leaseStartDate).getDate() : 1,
+    startDate: toDateInputValue(lease?.leaseStartDate),
+    endDate: toDateInputValue(lease?.leaseEndDate)
+  };
+};
+
+const LeaseRentSchedulePage = () => {
+  const { leaseId } = useParams();
+  const { getPath } = useRoleBasedPath();
+
+  const { data: lease, isLoading: isLoadingLease, isError } = useLease(leaseId);
+  const { data: schedules = [], isLoading: isLoadingSchedules } = useRentSchedules({ filters: { leaseId } });
+  const { data: rentsData } = useRents({ filters: { leaseId }, limit: 5 });
+  const {
+    createSchedule, isCreating,
+    updateSchedule, isUpdating,
+    deleteSchedule, isDeleting,
+    generateRents, isGenerating
+  } = useRentScheduleMutations();
+
+  const schedule = schedules[0] || null;
+  const currency = resolveCurrency(schedule?.currency, lease?.currency);
+
+  const [formData, setFormData] = useState(emptySchedule);
+  const [errors, setErrors] = useState({});
+
+  // Reset the form whenever the saved schedule or lease changes
+  useEffect(() => {
+    if (lease) {
+      setFormData(toFormData(schedule, lease));
+    }
+  }, [schedule, lease]);
+
+  const preview = useMemo(() => buildRentSchedulePreview({
+    ...formData,
+    escalation: {
+      ...formData.escalation,
+      value: parseFloat(formData.escalation.value) || 0,
+      intervalMonths: parseInt(formData.escalation.intervalMonths, 10) || 0,
+      maxAmount: parseFloat(formData.escalation.maxAmount) || 0
+    }
+  }, { limit: 12 }), [formData]);
+
+  const isMonthBased = RENT_SCHEDULE_FREQUENCIES.find(f => f.value === formData.frequency)?.months > 0;
+  const hasEscalation = formData.escalation.type !== ESCALATION_TYPES.NONE;
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleProrationChange = (e) => {
+    const { name, checked } = e.target;
+    setFormData(prev => ({ ...prev, proration: { ...prev.proration, [name]: checked } }));
+  };
+
+  const handleEscalationChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, escalation: { ...prev.escalation, [name]: value } }));
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+    if (!formData.amount || parseFloat(formData.amount) <= 0) {
+      newErrors.amount = 'Rent amount must be greater than zero';
+    }
+    if (!formData.startDate) {
+      newErrors.startDate = 'Start date is required';
+    }
+    if (formData.endDate && formData.startDate && formData.endDate < formData.startDate) {
+      newErrors.endDate = 'End date must be after the start date';
+    }
+    const dueDay = parseInt(formData.dueDay, 10);
+    if (isMonthBased && (!dueDay || dueDay < 1 || dueDay > 31)) {
+      newErrors.dueDay = 'Due day must be between 1 and 31';
+    }
+    if (hasEscalation) {
+      if (!formData.escalation.value || parseFloat(formData.escalation.value) <= 0) {
+        newErrors.escalationValue = 'Escalation value must be greater than zero';
+      }
+      if (!formData.escalation.intervalMonths || parseInt(formData.escalation.intervalMonths, 10) < 1) {
+        newErrors.escalationInterval = 'Escalation interval must be at least one month';
+      }
+    }
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!validateForm()) return;
+
+    const payload = {
+      lease: leaseId,
+      tenant: lease.tenant?._id || lease.tenant,
+      property: lease.property?._id || lease.property,
+      unit: lease.unit?._id || lease.unit,
+      amount: parseFloat(formData.amount),
+      currency,
+      frequency: formData.frequency,
+      dueDay: isMonthBased ? parseInt(formData.dueDay, 10) : undefined,
+      startDate: formData.startDate,
+      endDate: formData.endDate || null,
+      proration: formData.proration,
+      escalation: hasEscalation
+        ? {
+            type: formData.escalation.type,
+            value: parseFloat(formData.escalation.value),
+            intervalMonths: parseInt(formData.escalation.intervalMonths, 10),
+            maxAmount: formData.escalation.maxAmount ? parseFloat(formData.escalation.maxAmount) : null
+          }
+        : { type: ESCALATION_TYPES.NONE }
+    };
+
+    if (schedule) {
+      updateSchedule({ scheduleId: schedule._id, updateData: payload });
+    } else {
+      createSchedule(payload);
+    }
+  };
+
+  const handleDelete = () => {
+    if (!window.confirm('Delete this rent schedule? Rent records already generated are kept.')) {
+      return;
+    }
+    deleteSchedule(schedule._id);
+  };
+
+  const handleGenerateNext = () => {
+    generateRents({ scheduleId: schedule._id, leaseId, periods: 1 });
+  };
+
+  if (isLoadingLease || isLoadingSchedules) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <Spinner size="lg" />
+      </div>
+    );
+  }
+
+  if (isError || !lease) {
+    return (
+      <div className="container mx-auto px-4 py-6">
+        <div className="bg-red-50 text-red-600 p-4 rounded-md text-center">
+          Could not load this lease. Please try again.
+        </div>
+        <div className="mt-4 text-center">
+          <Link to={getPath('leases')} className="inline-flex items-center text-blue-600">
+            <FaChevronLeft className="mr-1" /> Back to Leases
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  const isSaving = isCreating || isUpdating;
+  const recentRents = rentsData?.rents || [];
+
+  return (
+    <div className="container mx-auto px-4 py-6">
+      <div className="mb-6 flex items-center justify-between">
+        <div className="flex items-center">
+          <Link to={getPath(`leases/${leaseId}`)} className="mr-4 text-blue-600 hover:text-blue-800">
+            <FaChevronLeft /> Back
+          </Link>
+          <div>
+            <h1 className="text-2xl font-bold">Rent Schedule</h1>
+            <p className="text-sm text-gray-600">
+              {lease.tenantName} · {lease.propertyName} · {lease.unitName}
+            </p>
+          </div>
+        </div>
+
+        {schedule && (
+          <div className="flex space-x-2">
+            <button
+              type="button"
+              onClick={handleGenerateNext}
+              disabled={isGenerating}
+              className="inline-flex items-center px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isGenerating ? <Spinner size="sm" className="mr-2" /> : <FaCalendarPlus className="mr-2" />}
+              Generate Next Period
+            </button>
+            <button
+              type="button"
+              onClick={handleDelete}
+              disabled={isDeleting}
+              className="inline-flex items-center px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isDeleting ? <Spinner size="sm" className="mr-2" /> : <FaTrash className="mr-2" />}
+              Delete
+            </button>
+          </div>
+        )}
+      </div>
+
+      {!schedule && (
+        <div className="mb-6 p-4 bg-blue-50 border border-blue-100 rounded-md flex items-center text-blue-700">
+          <FaInfoCircle className="mr-3" />
+          This lease has no rent schedule yet. The form below is prefilled from the lease terms.
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <form onSubmit={handleSubmit} className="bg-white shadow-md rounded-lg p-6">
+          <h2 className="text-lg font-semibold mb-4 pb-2 border-b">Schedule Terms</h2>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="amount">
+                Rent per Period*
+              </label>
+              <div className="relative">
+                <span className="absolute inset-y-0 left-0 flex items-center pl-3 text-gray-500 text-sm">
+                  {getCurrencySymbol(currency)}
+                </span>
+                <input
+                  type="number"
+                  id="amount"
+                  name="amount"
+                  min="0"
+                  step="0.01"
+                  className={`w-full p-2 pl-12 border rounded-md ${errors.amount ? 'border-red-500' : 'border-gray-300'}`}
+                  value={formData.amount}
+                  onChange={handleChange}
+                  required
+                />
+              </div>
+              <p className="text-gray-500 text-xs mt-1">Billed in {currency}, the lease currency</p>
+              {errors.amount && <p className="text-red-500 text-sm mt-1">{errors.amount}</p>}
+            </div>
+
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="frequency">
+                Frequency*
+              </label>
+              <select
+                id="frequency"
+                name="frequency"
+                className="w-full p-2 border border-gray-300 rounded-md"
+                value={formData.frequency}
+                onChange={handleChange}
+              >
+                {RENT_SCHEDULE_FREQUENCIES.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="startDate">
+                Start Date*
+              </label>
+              <input
+                type="date"
+                id="startDate"
+                name="startDate"
+                className={`w-full p-2 border rounded-md ${errors.startDate ? 'border-red-500' : 'border-gray-300'}`}
+                value={formData.startDate}
+                onChange={handleChange}
+                required
+              />
+              {errors.startDate && <p className="text-red-500 text-sm mt-1">{errors.startDate}</p>}
+            </div>
+
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="endDate">
+                End Date
+              </label>
+              <input
+                type="date"
+                id="endDate"
+                name="endDate"
+                className={`w-full p-2 border rounded-md ${errors.endDate ? 'border-red-500' : 'border-gray-300'}`}
+                value={formData.endDate}
+                onChange={handleChange}
+              />
+              {errors.endDate && <p className="text-red-500 text-sm mt-1">{errors.endDate}</p>}
+            </div>
+
+            {isMonthBased && (
+              <div className="mb-4">
+                <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="dueDay">
+                  Due Day of Month*
+                </label>
+                <input
+                  type="number"
+                  id="dueDay"
+                  name="dueDay"
+                  min="1"
+                  max="31"
+                  className={`w-full p-2 border rounded-md ${errors.dueDay ? 'border-red-500' : 'border-gray-300'}`}
+                  value={formData.dueDay}
+                  onChange={handleChange}
+                />
+                <p className="text-gray-500 text-xs mt-1">Falls back to the last day in shorter months</p>
+                {errors.dueDay && <p className="text-red-500 text-sm mt-1">{errors.dueDay}</p>}
+              </div>
+            )}
+          </div>
+
+          <h3 className="text-md font-semibold mt-2 mb-2">Proration</h3>
+          <div className="mb-4 space-y-2">
+            <label className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                name="firstPeriod"
+                className="mr-2"
+                checked={!!formData.proration.firstPeriod}
+                onChange={handleProrationChange}
+              />
+              Prorate a partial first period by day
+            </label>
+            <label className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                name="lastPeriod"
+                className="mr-2"
+                checked={!!formData.proration.lastPeriod}
+                onChange={handleProrationChange}
+              />
+              Prorate a partial last period by day
+            </label>
+          </div>
+
+          <h3 className="text-md font-semibold mt-2 mb-2">Escalation</h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="escalationType">
+                Escalation Type
+              </label>
+              <select
+                id="escalationType"
+                name="type"
+                className="w-full p-2 border border-gray-300 rounded-md"
+                value={formData.escalation.type}
+                onChange={handleEscalationChange}
+              >
+                <option value={ESCALATION_TYPES.NONE}>No escalation</option>
+                <option value={ESCALATION_TYPES.PERCENTAGE}>Percentage increase</option>
+                <option value={ESCALATION_TYPES.FIXED}>Fixed amount increase</option>
+              </select>
+            </div>
+
+            {hasEscalation && (
+              <>
+                <div className="mb-4">
+                  <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="escalationValue">
+                    {formData.escalation.type === ESCALATION_TYPES.PERCENTAGE ? 'Increase (%)*' : `Increase (${currency})*`}
+                  </label>
+                  <input
+                    type="number"
+                    id="escalationValue"
+                    name="value"
+                    min="0"
+                    step="0.01"
+                    className={`w-full p-2 border rounded-md ${errors.escalationValue ? 'border-red-500' : 'border-gray-300'}`}
+                    value={formData.escalation.value}
+                    onChange={handleEscalationChange}
+                  />
+                  {errors.escalationValue && <p className="text-red-500 text-sm mt-1">{errors.escalationValue}</p>}
+                </div>
+
+                <div className="mb-4">
+                  <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="intervalMonths">
+                    Every (months)*
+                  </label>
+                  <input
+                    type="number"
+                    id="intervalMonths"
+                    name="intervalMonths"
+                    min="1"
+                    className={`w-full p-2 border rounded-md ${errors.escalationInterval ? 'border-red-500' : 'border-gray-300'}`}
+                    value={formData.escalation.intervalMonths}
+                    onChange={handleEscalationChange}
+                  />
+                  {errors.escalationInterval && <p className="text-red-500 text-sm mt-1">{errors.escalationInterval}</p>}
+                </div>
+
+                <div className="mb-4">
+                  <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="maxAmount">
+                    Cap ({currency})
+                  </label>
+                  <input
+                    type="number"
+                    id="maxAmount"
+                    name="maxAmount"
+                    min="0"
+                    step="0.01"
+                    className="w-full p-2 border border-gray-300 rounded-md"
+                    value={formData.escalation.maxAmount}
+                    onChange={handleEscalationChange}
+                    placeholder="No cap"
+                  />
+                </div>
+              </>
+            )}
+          </div>
+
+          <div className="flex justify-end mt-4">
+            <button
+              type="submit"
+              disabled={isSaving}
+              className="inline-flex items-center px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+            >
+              {isSaving ? <Spinner size="sm" className="mr-2" /> : <FaSave className="mr-2" />}
+              {schedule ? 'Update Schedule' : 'Create Schedule'}
+            </button>
+          </div>
+
+          {Object.keys(errors).length > 0 && (
+            <div className="mt-4 p-3 bg-red-50 border border-red-100 rounded-md">
+              <div className="flex items-center text-red-600">
+                <FaExclamationCircle className="mr-2" />
+                <span className="font-medium">Please fix the highlighted fields.</span>
+              </div>
+            </div>
+          )}
+        </form>
+
+        <div className="space-y-6">
+          <div className="bg-white shadow-md rounded-lg p-6">
+            <h2 className="text-lg font-semibold mb-4 pb-2 border-b">Preview</h2>
+            {preview.periods.length === 0 ? (
+              <p className="text-gray-500 text-sm">Enter an amount and start date to preview the rent records.</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500 border-b">
+                      <th className="py-2 pr-4">Due</th>
+                      <th className="py-2 pr-4">Period</th>
+                      <th className="py-2 text-right">Amount</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {preview.periods.map(period => (
+                      <tr key={period.periodStart.getTime()} className="border-b last:border-0">
+                        <td className="py-2 pr-4">{formatDate(period.dueDate)}</td>
+                        <td className="py-2 pr-4 text-gray-600">
+                          {formatDate(period.periodStart)} – {formatDate(period.periodEnd)}
+                        </td>
+                        <td className="py-2 text-right">
+                          {formatCurrency(period.amount, currency)}
+                          {period.isProrated && (
+                            <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-yellow-100 text-yellow-800">Prorated</span>
+                          )}
+                          {period.isEscalated && (
+                            <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-purple-100 text-purple-800">Escalated</span>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {preview.hasMore && (
+                  <p className="text-gray-500 text-xs mt-2">Showing the first {preview.periods.length} periods.</p>
+                )}
+              </div>
+            )}
+          </div>
+
+          <div className="bg-white shadow-md rounded-lg p-6">
+            <h2 className="text-lg font-semibold mb-4 pb-2 border-b">Recently Generated Rent</h2>
+            {recentRents.length === 0 ? (
+              <p className="text-gray-500 text-sm">No rent records have been generated for this lease yet.</p>
+            ) : (
+              <ul className="divide-y">
+                {recentRents.map(rent => (
+                  <li key={rent._id} className="py-2 flex justify-between text-sm">
+                    <Link to={getPath(`payments/${rent._id}`)} className="text-blue-600 hover:text-blue-800">
+                      {formatDate(rent.dueDate)}
+                    </Link>
+                    <span>
+                      {formatCurrency(rent.amountDue || 0, resolveCurrency(rent.currency, currency))}
+                      <span className="ml-2 text-gray-500 capitalize">{rent.status?.replace('_', ' ')}</span>
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LeaseRentSchedulePage;
@@ -0,0 +1,356 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import * as messageService from '../../services/messageService';
+import { useAuth } from '../../contexts/AuthContext';
+import { useGlobalAlert } from '../../contexts/GlobalAlertContext';
+import useRoleBasedPath from '../../hooks/useRoleBasedPath';
+import Spinner from '../../components/common/Spinner';
+import MemberPicker from '../../components/MemberPicker';
+import MessageComposer from '../../components/MessageComposer';
+import FormattedMessage from '../../components/FormattedMessage';
+import MessageAttachments from '../../components/MessageAttachments';
+import MessageReplyQuote from '../../components/MessageReplyQuote';
+import { FaArrowLeft, FaUsers, FaBullhorn, FaTimes, FaUserPlus, FaReply } from 'react-icons/fa';
+
+const MESSAGE_PAGE_SIZE = 100;
+
+// Combines loaded messages with a freshly fetched page, oldest first. The fetched copy
+// wins so read receipts stay current.
+const mergeMessages = (current, incoming) => {
+  const byId = new Map(current.map(message => [message._id, message]));
+  incoming.forEach(message => byId.set(message._id, message));
+  return [...byId.values()].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+};
+
+export default function GroupConversationPage() {
+  const { conversationId } = useParams();
+  const { user, isTenant } = useAuth();
+  const { showError, showSuccess } = useGlobalAlert();
+  const { getPath } = useRoleBasedPath();
+
+  const [conversation, setConversation] = useState(null);
+  const [messages, setMessages] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [olderPage, setOlderPage] = useState(1);
+  const [hasOlder, setHasOlder] = useState(false);
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const [replyTo, setReplyTo] = useState(null);
+  const [showMembers, setShowMembers] = useState(false);
+  const [newMembers, setNewMembers] = useState([]);
+  const [savingMembers, setSavingMembers] = useState(false);
+
+  const messagesEndRef = useRef(null);
+
+  // Fetch the conversation with its members, and its latest messages. Background polls
+  // keep any older pages already loaded and fail quietly, leaving the thread as it was.
+  const fetchConversation = useCallback(async ({ background = false } = {}) => {
+    if (!conversationId || !user) return;
+
+    try {
+      const [conversationData, messagesResponse] = await Promise.all([
+        messageService.getConversationById(conversationId),
+        messageService.getMessages({ conversationId, limit: MESSAGE_PAGE_SIZE })
+      ]);
+
+      const latestMessages = messagesResponse.data;
+
+      setConversation(conversationData);
+      if (background) {
+        setMessages(prev => mergeMessages(prev, latestMessages));
+      } else {
+        setMessages(mergeMessages([], latestMessages));
+        setOlderPage(1);
+        setHasOlder(messagesResponse.pagination.pages > 1);
+      }
+
+      // Mark as read if anything from other members has no receipt of ours yet
+      const hasUnread = latestMessages.some(m =>
+        m.sender?._id !== user._id && !m.readReceipts.some(r => r.user?._id === user._id)
+      );
+      if (hasUnread) {
+        await messageService.markConversationAsRead({ conversationId });
+      }
+    } catch (error) {
+      console.error('Error fetching group conversation:', error);
+      if (!background) {
+        showError('Could not load the conversation. Please try again.');
+      }
+    } finally {
+      setLoading(false);
+    }
+  }, [conversationId, user, showError]);
+
+  useEffect(() => {
+    fetchConversation();
+
+    // Poll for new messages every 15 seconds
+    const intervalId = setInterval(() => fetchConversation({ background: true }), 15000);
+
+    return () => clearInterval(intervalId);
+  }, [fetchConversation]);
+
+  // Scroll to bottom when a newer message arrives, but not when older ones are loaded
+  const lastMessageId = messages[messages.length - 1]?._id;
+  useEffect(() => {
+    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [lastMessageId]);
+
+  // Pages count back from the newest message, so the next page holds older ones.
+  // New messages shift the pages, which can repeat a few messages; merging drops them.
+  const handleLoadOlder = async () => {
+    setLoadingOlder(true);
+    try {
+      const nextPage = olderPage + 1;
+      const response = await messageService.getMessages({ conversationId, limit: MESSAGE_PAGE_SIZE, page: nextPage });
+      setMessages(prev => mergeMessages(prev, response.data));
+      setOlderPage(nextPage);
+      setHasOlder(nextPage < response.pagination.pages);
+    } catch (error) {
+      console.error('Error loading older messages:', error);
+      showError('Could not load older messages. Please try again.');
+    } finally {
+      setLoadingOlder(false);
+    }
+  };
+
+  // Broadcasts are announcements: tenants reply to the sender 1:1 instead
+  const canPost = !conversation?.isBroadcast || !isTenant;
+  // Broadcast membership follows tenancy, so only group members can be edited
+  const canManageMembers = !!conversation && !conversation.isBroadcast &&
+    ((conversation.createdBy?._id || conversation.createdBy) === user?._id || !isTenant);
+
+  const handleSendMessage = async ({ content, attachments, parentMessage }) => {
+    try {
+      const response = await messageService.sendMessage({
+        conversationId,
+        content,
+        attachments,
+        parentMessage
+      });
+
+      if (response.success && response.data) {
+        setMessages(prev => [...prev, messageService.formatMessage(response.data)]);
+      }
+      return response.success;
+    } catch (error) {
+      console.error('Error sending message:', error);
+      showError('Failed to send message. Please try again.');
+      return false;
+    }
+  };
+
+  // Replies may only carry the parent's ID; look it up in the thread
+  const getParentMessage = (message) => {
+    if (!message.parentMessage) return null;
+    if (typeof message.parentMessage === 'object') return message.parentMessage;
+    return messages.find(m => m._id === message.parentMessage) || { content: '' };
+  };
+
+  const handleUpdateMembers = async (changes) => {
+    setSavingMembers(true);
+    try {
+      const updated = await messageService.updateConversationMembers(conversationId, changes);
+      setConversation(updated);
+      setNewMembers([]);
+      showSuccess('Members updated.');
+    } catch (error) {
+      console.error('Error updating members:', error);
+      showError('Failed to update members. ' + (error.message || error || 'Please try again.'));
+    } finally {
+      setSavingMembers(false);
+    }
+  };
+
+  const handleRemoveMember = (member) => {
+    if (!window.confirm(`Remove ${member.firstName || member.email} from this group?`)) return;
+    handleUpdateMembers({ remove: [member._id] });
+  };
+
+  const formatMessageTime = (dateString) => {
+    const date = new Date(dateString);
+    return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  };
+
+  if (!conversationId) {
+    return <div className="text-center p-8">Invalid conversation.</div>;
+  }
+
+  return (
+    <div className="container mx-auto px-4 py-6 flex flex-col h-[calc(100vh-64px)]">
+      {/* Header */}
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center">
+          <Link to={getPath('messages')} className="mr-4 text-blue-600">
+            <FaArrowLeft />
+          </Link>
+          <div>
+            <h1 className="text-xl font-bold flex items-center">
+              {conversation?.isBroadcast ? <FaBullhorn className="mr-2 text-blue-600" /> : <FaUsers className="mr-2 text-blue-600" />}
+              {conversation ? conversation.displayName : 'Loading...'}
+            </h1>
+            {conversation?.contextInfo && (
+              <p className="text-sm text-blue-600">{conversation.contextInfo}</p>
+            )}
+          </div>
+        </div>
+        {conversation && (
+          <button
+            onClick={() => setShowMembers(prev => !prev)}
+            className="text-sm text-blue-600 hover:text-blue-800 flex items-center"
+          >
+            <FaUsers className="mr-1" /> {conversation.memberCount} members
+          </button>
+        )}
+      </div>
+
+      <div className="flex-1 flex gap-4 min-h-0 mb-4">
+        {/* Messages Container */}
+        <div className="flex-1 overflow-y-auto bg-gray-50 rounded-lg p-4">
+          {loading ? (
+            <div className="flex justify-center items-center h-full">
+              <Spinner />
+              <span className="ml-2">Loading conversation...</span>
+            </div>
+          ) : messages.length === 0 ? (
+            <div className="flex flex-col items-center justify-center h-full text-gray-500">
+              <p>No messages yet.</p>
+              {canPost && <p className="mt-2">Send a message to everyone in this thread.</p>}
+            </div>
+          ) : (
+            <>
+              {hasOlder && (
+                <div className="text-center mb-4">
+                  <button
+                    onClick={handleLoadOlder}
+                    disabled={loadingOlder}
+                    className="text-sm text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                  >
+                    {loadingOlder ? 'Loading...' : 'Load older messages'}
+                  </button>
+                </div>
+              )}
+              {messages.map((message) => {
+                const isSentByMe = message.sender?._id === user._id;
+                const otherMemberCount = Math.max((conversation?.memberCount || 1) - 1, 0);
+                const seenBy = message.readReceipts.filter(r => r.user?._id !== message.sender?._id);
+
+                return (
+                  <div
+                    key={message._id}
+                    className={`flex mb-4 ${isSentByMe ? 'justify-end' : 'justify-start'}`}
+                  >
+                    <div
+                      className={`max-w-3/4 rounded-lg p-3 ${
+                        isSentByMe
+                          ? 'bg-blue-600 text-white rounded-tr-none'
+                          : 'bg-white border rounded-tl-none'
+                      }`}
+                    >
+                      <div className="flex justify-between items-center mb-1 gap-3">
+                        {!isSentByMe && <span className="text-xs font-semibold">{message.senderName}</span>}
+                        <span className="text-xs opacity-70">
+                          {formatMessageTime(message.createdAt)}
+                          {canPost && (
+                            <button
+                              onClick={() => setReplyTo(message)}
+                              className="ml-2 opacity-70 hover:opacity-100"
+                              title="Reply"
+                            >
+                              <FaReply />
+                            </button>
+                          )}
+                        </span>
+                      </div>
+                      <MessageReplyQuote message={getParentMessage(message)} inverted={isSentByMe} />
+                      <FormattedMessage text={message.content} linkClassName={isSentByMe ? 'text-blue-100' : 'text-blue-600'} />
+                      <MessageAttachments attachments={message.attachments} inverted={isSentByMe} />
+
+                      {isSentByMe && (
+                        <details className="text-xs opacity-80 mt-1">
+                          <summary className="cursor-pointer">
+                            Seen by {seenBy.length} of {otherMemberCount}
+                          </summary>
+                          <ul className="mt-1 space-y-0.5">
+                            {seenBy.map(receipt => (
+                              <li key={receipt.user?._id}>{receipt.userName} · {receipt.formattedReadAt}</li>
+                            ))}
+                          </ul>
+                        </details>
+                      )}
+                    </div>
+                  </div>
+                );
+              })}
+            </>
+          )}
+          <div ref={messagesEndRef} />
+        </div>
+
+        {/* Member list */}
+        {showMembers && conversation && (
+          <div className="w-72 bg-white rounded-lg shadow-md p-4 overflow-y-auto">
+            <h2 className="font-semibold mb-3">Members</h2>
+            {conversation.isBroadcast && (
+              <p className="text-xs text-gray-500 mb-3">Everyone currently leasing here is a member.</p>
+            )}
+            <ul className="space-y-2 mb-4">
+              {conversation.members.map((member, idx) => (
+                <li key={member._id} className="flex items-center justify-between text-sm">
+                  <span>
+                    {conversation.memberNames[idx]}
+                    {member._id === user._id && <span className="text-gray-500"> (you)</span>}
+                    {member.role && <span className="ml-1 text-xs text-gray-500 capitalize">{member.role}</span>}
+                  </span>
+                  {canManageMembers && member._id !== user._id && (
+                    <button
+                      onClick={() => handleRemoveMember(member)}
+                      disabled={savingMembers}
+                      className="text-red-500 hover:text-red-700 disabled:opacity-50"
+                      title="Remove member"
+                    >
+                      <FaTimes />
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+            {canManageMembers && (
+              <div>
+                <MemberPicker
+                  selected={newMembers}
+                  onChange={setNewMembers}
+                  excludeIds={conversation.members.map(member => member._id)}
+                />
+                {newMembers.length > 0 && (
+                  <button
+                    onClick={() => handleUpdateMembers({ add: newMembers.map(member => member._id) })}
+                    disabled={savingMembers}
+                    className="mt-2 w-full flex items-center justify-center bg-blue-600 text-white text-sm px-3 py-2 rounded-md hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    <FaUserPlus className="mr-2" /> Add {newMembers.length} member(s)
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+
+      {/* Message Input */}
+      {canPost ? (
+        <div className="bg-white rounded-lg shadow-md p-4">
+          <MessageComposer
+            onSend={handleSendMessage}
+            replyTo={replyTo}
+            onCancelReply={() => setReplyTo(null)}
+            placeholder={conversation?.isBroadcast ? 'Write an announcement...' : 'Type your message here...'}
+          />
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500 text-center">
+          This is an announcement channel. Reply to the sender with a direct message.
+        </p>
+      )}
+    </div>
+  );
+}
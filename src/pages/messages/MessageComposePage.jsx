@@ -7,7 +7,8 @@ import { useAuth } from '../../contexts/AuthContext';
 import { useGlobalAlert } from '../../contexts/GlobalAlertContext';
 import { USER_ROLES } from '../../utils/constants';
 import Spinner from '../../components/common/Spinner';
-import { FaArrowLeft, FaPaperPlane, FaTimes, FaHome, FaBuilding } from 'react-icons/fa';
+import MessageComposer from '../../components/MessageComposer';
+import { FaArrowLeft, FaTimes, FaHome, FaBuilding } from 'react-icons/fa';
 
 export default function MessageComposePage() {
   const { user } = useAuth();
@@ -18,15 +19,12 @@ export default function MessageComposePage() {
   const [recipient, setRecipient] = useState('');
   const [recipientOptions, setRecipientOptions] = useState([]);
   const [searchLoading, setSearchLoading] = useState(false);
-  const [message, setMessage] = useState('');
   const [selectedProperty, setSelectedProperty] = useState('');
   const [selectedUnit, setSelectedUnit] = useState('');
   const [properties, setProperties] = useState([]);
   const [units, setUnits] = useState([]);
-  const [sending, setSending] = useState(false);
   const [step, setStep] = useState(1); // 1: select recipient, 2: compose message
   
-  const textareaRef = useRef(null);
   const searchTimeoutRef = useRef(null);
   
   // Load properties for context selection
@@ -65,14 +63,6 @@ export default function MessageComposePage() {
     fetchUnits();
   }, [selectedProperty]);
   
-  // Auto-resize textarea as user types
-  useEffect(() => {
-    if (textareaRef.current) {
-      textareaRef.current.style.height = 'auto';
-      textareaRef.current.style.height = `${textareaRef.current.scrollHeight}px`;
-    }
-  }, [message]);
-  
   // Search for users as potential recipients
   const searchUsers = async (query) => {
     if (!query || query.length < 2) {
@@ -114,20 +104,17 @@ export default function MessageComposePage() {
   };
   
   // Send the message
-  const handleSendMessage = async (e) => {
-    e.preventDefault();
-    
-    if (!recipient || !message.trim()) {
-      showError('Please select a recipient and enter a message');
-      return;
+  const handleSendMessage = async ({ content, attachments }) => {
+    if (!recipient) {
+      showError('Please select a recipient');
+      return false;
     }
     
-    setSending(true);
-    
     try {
       const messageData = {
         recipientId: recipient._id,
-        content: message.trim(),
+        content,
+        attachments,
       };
       
       // Add property context if selected
@@ -146,11 +133,11 @@ export default function MessageComposePage() {
         // Navigate to the conversation with this user
         navigate(`/messages/${recipient._id}`);
       }
+      return response.success;
     } catch (error) {
       console.error('Error sending message:', error);
       showError('Failed to send message. Please try again.');
-    } finally {
-      setSending(false);
+      return false;
     }
   };
   
@@ -245,7 +232,7 @@ export default function MessageComposePage() {
             </div>
           ) : (
             // Step 2: Compose message
-            <form onSubmit={handleSendMessage}>
+            <div>
               {/* Recipient display */}
               <div className="mb-6">
                 <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -327,15 +314,7 @@ export default function MessageComposePage() {
                 <label className="block text-sm font-medium text-gray-700 mb-2">
                   Message:
                 </label>
-                <textarea
-                  ref={textareaRef}
-                  value={message}
-                  onChange={(e) => setMessage(e.target.value)}
-                  placeholder="Type your message here..."
-                  className="w-full p-3 border rounded-lg resize-none min-h-[150px]"
-                  rows={6}
-                  required
-                />
+                <MessageComposer onSend={handleSendMessage} />
               </div>
               
               {/* Action buttons */}
@@ -347,30 +326,8 @@ export default function MessageComposePage() {
                 >
                   Back
                 </button>
-                
-                <button
-                  type="submit"
-                  disabled={sending || !message.trim()}
-                  className={`flex items-center px-4 py-2 rounded-md ${
-                    sending || !message.trim()
-                      ? 'bg-gray-300 text-gray-500 cursor-not-allowed'
-                      : 'bg-blue-600 text-white hover:bg-blue-700'
-                  }`}
-                >
-                  {sending ? (
-                    <>
-                      <Spinner size="sm" className="mr-2" />
-                      Sending...
-                    </>
-                  ) : (
-                    <>
-                      <FaPaperPlane className="mr-2" />
-                      Send Message
-                    </>
-                  )}
-                </button>
               </div>
-            </form>
+            </div>
           )}
         </div>
       </div>
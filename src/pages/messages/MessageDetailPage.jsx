@@ -4,7 +4,11 @@ import * as messageService from '../../services/messageService';
 import { useAuth } from '../../contexts/AuthContext';
 import { useGlobalAlert } from '../../contexts/GlobalAlertContext';
 import Spinner from '../../components/common/Spinner';
-import { FaArrowLeft, FaPaperPlane, FaTrash, FaDownload } from 'react-icons/fa';
+import MessageComposer from '../../components/MessageComposer';
+import FormattedMessage from '../../components/FormattedMessage';
+import MessageAttachments from '../../components/MessageAttachments';
+import MessageReplyQuote from '../../components/MessageReplyQuote';
+import { FaArrowLeft, FaTrash, FaReply } from 'react-icons/fa';
 
 export default function MessageDetailPage() {
   const { userId } = useParams(); // userId of the other user in the conversation
@@ -14,13 +18,11 @@ export default function MessageDetailPage() {
   
   const [messages, setMessages] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [sending, setSending] = useState(false);
-  const [newMessage, setNewMessage] = useState('');
+  const [replyTo, setReplyTo] = useState(null);
   const [otherUser, setOtherUser] = useState(null);
   const [propertyContext, setPropertyContext] = useState(null);
   
   const messagesEndRef = useRef(null);
-  const textareaRef = useRef(null);
   
   // Fetch messages between current user and the selected user
   const fetchConversation = useCallback(async () => {
@@ -98,25 +100,14 @@ export default function MessageDetailPage() {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   }, [messages]);
   
-  // Auto-resize textarea as user types
-  useEffect(() => {
-    if (textareaRef.current) {
-      textareaRef.current.style.height = 'auto';
-      textareaRef.current.style.height = `${textareaRef.current.scrollHeight}px`;
-    }
-  }, [newMessage]);
-  
   // Send a new message
-  const handleSendMessage = async (e) => {
-    e.preventDefault();
-    
-    if (!newMessage.trim()) return;
-    
-    setSending(true);
+  const handleSendMessage = async ({ content, attachments, parentMessage }) => {
     try {
       const messageData = {
         recipientId: userId,
-        content: newMessage,
+        content,
+        attachments,
+        parentMessage,
       };
       
       // Add property context if available
@@ -131,15 +122,14 @@ export default function MessageDetailPage() {
       
       if (response.success && response.data) {
         // Add the new message to the conversation
-        setMessages(prev => [...prev, response.data]);
-        setNewMessage('');
+        setMessages(prev => [...prev, messageService.formatMessage(response.data)]);
         showSuccess('Message sent successfully');
       }
+      return response.success;
     } catch (error) {
       console.error('Error sending message:', error);
       showError('Failed to send message. Please try again.');
-    } finally {
-      setSending(false);
+      return false;
     }
   };
   
@@ -173,6 +163,13 @@ export default function MessageDetailPage() {
     return date.toLocaleDateString([], { year: 'numeric', month: 'long', day: 'numeric' });
   };
   
+  // Replies may only carry the parent's ID; look it up in the conversation
+  const getParentMessage = (message) => {
+    if (!message.parentMessage) return null;
+    if (typeof message.parentMessage === 'object') return message.parentMessage;
+    return messages.find(m => m._id === message.parentMessage) || { content: '' };
+  };
+  
   // Group messages by date
   const groupedMessages = messages.reduce((groups, message) => {
     const date = formatMessageDate(message.createdAt);
@@ -249,6 +246,13 @@ export default function MessageDetailPage() {
                         <span className="text-xs opacity-70">
                           {formatMessageTime(message.createdAt)}
                         </span>
+                        <button 
+                          onClick={() => setReplyTo(message)}
+                          className="text-xs ml-2 opacity-70 hover:opacity-100"
+                          title="Reply"
+                        >
+                          <FaReply />
+                        </button>
                         {isSentByMe && (
                           <button 
                             onClick={() => handleDeleteMessage(message._id)}
@@ -259,26 +263,11 @@ export default function MessageDetailPage() {
                           </button>
                         )}
                       </div>
-                      <p className="whitespace-pre-wrap">{message.content}</p>
+                      <MessageReplyQuote message={getParentMessage(message)} inverted={isSentByMe} />
+                      <FormattedMessage text={message.content} linkClassName={isSentByMe ? 'text-blue-100' : 'text-blue-600'} />
                       
                       {/* Display attachments if any */}
-                      {message.attachments && message.attachments.length > 0 && (
-                        <div className="mt-2">
-                          {message.attachments.map((attachment, idx) => (
-                            <div key={idx} className="flex items-center mt-1">
-                              <FaDownload className="mr-1" />
-                              <a 
-                                href={attachment.url} 
-                                target="_blank" 
-                                rel="noopener noreferrer"
-                                className={`text-sm ${isSentByMe ? 'text-blue-100' : 'text-blue-600'}`}
-                              >
-                                {attachment.name || `Attachment ${idx + 1}`}
-                              </a>
-                            </div>
-                          ))}
-                        </div>
-                      )}
+                      <MessageAttachments attachments={message.attachments} inverted={isSentByMe} />
                       
                       {message.isRead && isSentByMe && (
                         <div className="text-xs opacity-70 mt-1">
@@ -297,32 +286,11 @@ export default function MessageDetailPage() {
       
       {/* Message Input */}
       <div className="bg-white rounded-lg shadow-md p-4">
-        <form onSubmit={handleSendMessage} className="flex items-end">
-          <textarea
-            ref={textareaRef}
-            value={newMessage}
-            onChange={(e) => setNewMessage(e.target.value)}
-            placeholder="Type your message here..."
-            className="flex-1 p-3 border rounded-lg resize-none min-h-[60px] max-h-[200px]"
-            rows={1}
-            disabled={sending}
-          />
-          <button
-            type="submit"
-            disabled={sending || !newMessage.trim()}
-            className={`ml-3 px-4 py-3 rounded-lg ${
-              sending || !newMessage.trim()
-                ? 'bg-gray-300 text-gray-500 cursor-not-allowed'
-                : 'bg-blue-600 text-white hover:bg-blue-700'
-            }`}
-          >
-            {sending ? (
-              <Spinner size="sm" className="text-white" />
-            ) : (
-              <FaPaperPlane />
-            )}
-          </button>
-        </form>
+        <MessageComposer
+          onSend={handleSendMessage}
+          replyTo={replyTo}
+          onCancelReply={() => setReplyTo(null)}
+        />
       </div>
     </div>
   );
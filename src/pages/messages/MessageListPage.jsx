@@ -4,20 +4,21 @@ import * as messageService from '../../services/messageService';
 import { useAuth } from '../../contexts/AuthContext';
 import { useGlobalAlert } from '../../contexts/GlobalAlertContext';
 import Spinner from '../../components/common/Spinner';
-import { FaEnvelope, FaEnvelopeOpen, FaTrash, FaSearch, FaFilter, FaPen } from 'react-icons/fa';
+import NewConversationModal from '../../components/NewConversationModal';
+import { FaEnvelope, FaEnvelopeOpen, FaTrash, FaSearch, FaFilter, FaPen, FaUsers, FaBullhorn } from 'react-icons/fa';
 
 export default function MessageListPage() {
-  const { user } = useAuth();
+  const { user, isTenant } = useAuth();
   const { showError } = useGlobalAlert();
   const navigate = useNavigate();
   
-  const [conversations, setConversations] = useState({});
   const [conversationList, setConversationList] = useState([]);
   const [loading, setLoading] = useState(true);
   const [filterType, setFilterType] = useState('all'); // all, unread, property
   const [searchQuery, setSearchQuery] = useState('');
   const [propertyFilter, setPropertyFilter] = useState('');
   const [totalUnread, setTotalUnread] = useState(0);
+  const [showNewConversation, setShowNewConversation] = useState(false);
 
   // Fetch messages and organize into conversations
   const fetchMessages = useCallback(async () => {
@@ -29,26 +30,38 @@ export default function MessageListPage() {
 
     setLoading(true);
     try {
-      // Get all messages (both inbox and sent)
+      // Get all messages (both inbox and sent), and the group threads the user is in
       const inboxResponse = await messageService.getMessages({ type: 'inbox', limit: 100 });
       const sentResponse = await messageService.getMessages({ type: 'sent', limit: 100 });
+      const groupConversations = await messageService.getConversations();
       
       // Combine all messages
       const allMessages = [...inboxResponse.data, ...sentResponse.data];
       
       // Group by conversation
       const groupedConversations = messageService.groupMessagesByConversation(allMessages, user._id);
-      setConversations(groupedConversations);
       
-      // Create a sorted list of conversations (most recent first)
-      const sortedList = Object.keys(groupedConversations).map(key => ({
+      // Create a sorted list of 1:1 and group conversations (most recent first)
+      const directList = Object.keys(groupedConversations).map(key => ({
+        key,
         otherUserId: key,
         otherUser: groupedConversations[key].otherParty,
         lastMessage: groupedConversations[key].lastMessage,
+        lastActivity: groupedConversations[key].lastMessage?.createdAt,
         unreadCount: groupedConversations[key].unreadCount,
         property: groupedConversations[key].lastMessage?.property || null
-      })).sort((a, b) => 
-        new Date(b.lastMessage?.createdAt) - new Date(a.lastMessage?.createdAt)
+      }));
+      const groupList = groupConversations.map(conversation => ({
+        key: `group-${conversation._id}`,
+        conversationId: conversation._id,
+        conversation,
+        lastMessage: conversation.lastMessage,
+        lastActivity: conversation.lastMessage?.createdAt || conversation.createdAt,
+        unreadCount: conversation.unreadCount,
+        property: conversation.property || null
+      }));
+      const sortedList = [...directList, ...groupList].sort((a, b) => 
+        new Date(b.lastActivity) - new Date(a.lastActivity)
       );
       
       setConversationList(sortedList);
@@ -77,32 +90,26 @@ export default function MessageListPage() {
   }, [fetchMessages, user]); // ✅ Added user as a dependency
 
   // Handle marking a conversation as read
-  const handleMarkAsRead = async (otherUserId, e) => {
+  const handleMarkAsRead = async (conv, e) => {
     e.preventDefault();
     e.stopPropagation();
     
     try {
-      await messageService.markConversationAsRead({ otherUserId });
+      await messageService.markConversationAsRead(
+        conv.conversationId ? { conversationId: conv.conversationId } : { otherUserId: conv.otherUserId }
+      );
       
       // Update local state to reflect the change
-      setConversations(prev => {
-        const updated = { ...prev };
-        if (updated[otherUserId]) {
-          updated[otherUserId].unreadCount = 0;
-        }
-        return updated;
-      });
-      
       setConversationList(prev => 
-        prev.map(conv => 
-          conv.otherUserId === otherUserId 
-            ? { ...conv, unreadCount: 0 } 
-            : conv
+        prev.map(item => 
+          item.key === conv.key 
+            ? { ...item, unreadCount: 0 } 
+            : item
         )
       );
       
       // Update total unread count
-      setTotalUnread(prev => prev - (conversations[otherUserId]?.unreadCount || 0));
+      setTotalUnread(prev => prev - conv.unreadCount);
     } catch (error) {
       console.error('Error marking conversation as read:', error);
       showError('Failed to mark conversation as read.');
@@ -112,7 +119,9 @@ export default function MessageListPage() {
   // Filter conversations based on current filters
   const filteredConversations = conversationList.filter(conv => {
     // Apply search filter
-    const otherUserName = `${conv.otherUser?.firstName || ''} ${conv.otherUser?.lastName || ''}`.toLowerCase();
+    const otherUserName = (conv.conversation
+      ? conv.conversation.displayName
+      : `${conv.otherUser?.firstName || ''} ${conv.otherUser?.lastName || ''}`).toLowerCase();
     const matchesSearch = searchQuery === '' || 
       otherUserName.includes(searchQuery.toLowerCase()) ||
       (conv.lastMessage?.content || '').toLowerCase().includes(searchQuery.toLowerCase());
@@ -133,13 +142,28 @@ export default function MessageListPage() {
     <div className="container mx-auto px-4 py-6">
       <div className="flex justify-between items-center mb-6">
         <h1 className="text-2xl font-bold">Messages {totalUnread > 0 && `(${totalUnread})`}</h1>
-        <Link 
-          to="/messages/compose" 
-          className="bg-blue-600 text-white px-4 py-2 rounded-md flex items-center"
-        >
-          <FaPen className="mr-2" /> New Message
-        </Link>
+        <div className="flex gap-2">
+          <button
+            onClick={() => setShowNewConversation(true)}
+            className="border border-blue-600 text-blue-600 px-4 py-2 rounded-md flex items-center"
+          >
+            <FaUsers className="mr-2" /> New Group
+          </button>
+          <Link 
+            to="/messages/compose" 
+            className="bg-blue-600 text-white px-4 py-2 rounded-md flex items-center"
+          >
+            <FaPen className="mr-2" /> New Message
+          </Link>
+        </div>
       </div>
+
+      <NewConversationModal
+        isOpen={showNewConversation}
+        onClose={() => setShowNewConversation(false)}
+        onCreated={(conversation) => navigate(`groups/${conversation._id}`)}
+        canBroadcast={!isTenant}
+      />
       
       {/* Filters */}
       <div className="bg-white rounded-lg shadow-md p-4 mb-6">
@@ -223,15 +247,19 @@ export default function MessageListPage() {
           <ul className="divide-y divide-gray-200">
             {filteredConversations.map((conv) => (
               <li 
-                key={conv.otherUserId} 
+                key={conv.key} 
                 className={`${conv.unreadCount > 0 ? 'bg-blue-50' : ''} hover:bg-gray-50 transition`}
               >
                 <div 
                   className="p-4 cursor-pointer flex items-start"
-                  onClick={() => navigate(`/messages/${conv.otherUserId}`)}
+                  onClick={() => navigate(conv.conversationId ? `groups/${conv.conversationId}` : `/messages/${conv.otherUserId}`)}
                 >
                   <div className="mr-4 mt-1">
-                    {conv.otherUser?.profileImage ? (
+                    {conv.conversation ? (
+                      <div className="w-10 h-10 rounded-full bg-blue-100 flex items-center justify-center text-blue-600">
+                        {conv.conversation.isBroadcast ? <FaBullhorn /> : <FaUsers />}
+                      </div>
+                    ) : conv.otherUser?.profileImage ? (
                       <img 
                         src={conv.otherUser.profileImage} 
                         alt={conv.otherUser?.firstName || 'User'} 
@@ -247,12 +275,19 @@ export default function MessageListPage() {
                   <div className="flex-1 min-w-0">
                     <div className="flex justify-between items-start">
                       <h3 className="text-sm font-medium text-gray-900 truncate">
-                        {conv.otherUser?.firstName 
+                        {conv.conversation ? (
+                          <>
+                            {conv.conversation.displayName}
+                            <span className="ml-2 text-xs font-normal text-gray-500">
+                              {conv.conversation.memberCount} members
+                            </span>
+                          </>
+                        ) : conv.otherUser?.firstName 
                           ? `${conv.otherUser.firstName} ${conv.otherUser.lastName || ''}`
                           : conv.otherUser?.email || 'Unknown User'}
                       </h3>
                       <span className="text-xs text-gray-500">
-                        {new Date(conv.lastMessage?.createdAt).toLocaleDateString()}
+                        {new Date(conv.lastActivity).toLocaleDateString()}
                       </span>
                     </div>
                     
@@ -264,7 +299,8 @@ export default function MessageListPage() {
                     )}
                     
                     <p className="text-sm text-gray-600 truncate">
-                      {conv.lastMessage?.content || 'No message content'}
+                      {conv.conversation && conv.lastMessage && `${conv.lastMessage.senderName}: `}
+                      {conv.lastMessage?.content || (conv.conversation ? 'No messages yet' : 'No message content')}
                     </p>
                     
                     <div className="mt-1 flex items-center gap-3">
@@ -277,7 +313,7 @@ export default function MessageListPage() {
                       <div className="flex space-x-2 mt-1">
                         {conv.unreadCount > 0 && (
                           <button 
-                            onClick={(e) => handleMarkAsRead(conv.otherUserId, e)}
+                            onClick={(e) => handleMarkAsRead(conv, e)}
                             className="text-sm text-blue-600 hover:text-blue-800"
                             title="Mark as read"
                           >
@@ -1,5 +1,5 @@
 import React, { useState, useEffect, useCallback } from "react";
-import { Link } from "react-router-dom";
+import { Link, useSearchParams } from "react-router-dom";
 import { 
   Bell, 
   Check, 
@@ -12,13 +12,16 @@ import {
   MessageSquare, 
   CheckCircle2,
   Mail,
-  Smartphone
+  Smartphone,
+  AtSign
 } from "lucide-react";
 import Button from "../../components/common/Button";
 import Alert from "../../components/common/Alert";
+import MentionsInbox from "../../components/MentionsInbox";
 import { formatDistanceToNow } from "date-fns";
 import { useGlobalAlert } from "../../contexts/GlobalAlertContext";
 import * as notificationService from "../../services/notificationService";
+import { getUnreadMentionCount } from "../../services/commentService";
 
 // Branding colors
 const PRIMARY_COLOR = "#219377";
@@ -26,6 +29,9 @@ const SECONDARY_COLOR = "#ffbd59";
 
 const NotificationListPage = () => {
   const { showSuccess, showError } = useGlobalAlert();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const activeTab = searchParams.get("tab") === "mentions" ? "mentions" : "notifications";
+  const [unreadMentionCount, setUnreadMentionCount] = useState(0);
   
   // State for notifications
   const [notifications, setNotifications] = useState([]);
@@ -131,6 +137,14 @@ const NotificationListPage = () => {
     fetchPreferences();
   }, [fetchNotifications, fetchPreferences]);
 
+  useEffect(() => {
+    const controller = new AbortController();
+    getUnreadMentionCount(controller.signal)
+      .then(setUnreadMentionCount)
+      .catch(() => {});
+    return () => controller.abort();
+  }, []);
+
   // Update when filter changes
   useEffect(() => {
     fetchNotifications(true);
@@ -441,7 +455,38 @@ const NotificationListPage = () => {
         </div>
       )}
 
-      {/* Notifications section */}
+      {/* Notifications / Mentions tabs */}
+      <div className="flex border-b border-gray-200 mb-4">
+        {[
+          { id: "notifications", label: "Notifications", icon: <Bell className="w-4 h-4" />, count: unreadCount },
+          { id: "mentions", label: "Mentions", icon: <AtSign className="w-4 h-4" />, count: unreadMentionCount }
+        ].map(tab => (
+          <button
+            key={tab.id}
+            type="button"
+            onClick={() => setSearchParams(tab.id === "mentions" ? { tab: "mentions" } : {})}
+            className={`flex items-center gap-2 px-4 py-2 -mb-px border-b-2 text-sm font-medium ${
+              activeTab === tab.id ? "" : "border-transparent text-gray-500 hover:text-gray-700"
+            }`}
+            style={activeTab === tab.id ? { borderColor: PRIMARY_COLOR, color: PRIMARY_COLOR } : {}}
+          >
+            {tab.icon}
+            {tab.label}
+            {tab.count > 0 && (
+              <span className="px-1.5 py-0.5 text-xs rounded-full" style={{ backgroundColor: SECONDARY_COLOR, color: "#1c2522" }}>
+                {tab.count}
+              </span>
+            )}
+          </button>
+        ))}
+      </div>
+
+      {activeTab === "mentions" ? (
+        <div className="bg-white rounded-lg shadow-md border border-gray-200 overflow-hidden">
+          <MentionsInbox onMarkedRead={(count) => setUnreadMentionCount(prev => Math.max(0, prev - count))} />
+        </div>
+      ) : (
+      /* Notifications section */
       <div className="bg-white rounded-lg shadow-md border border-gray-200 overflow-hidden">
         <div className="p-4 border-b border-gray-200">
           <div className="flex flex-col md:flex-row justify-between items-start md:items-center gap-4">
@@ -626,6 +671,7 @@ const NotificationListPage = () => {
           </div>
         )}
       </div>
+      )}
       
       {/* Comments section hint */}
       <div className="mt-8 p-4 bg-gray-50 rounded-lg border border-gray-200">
@@ -4,9 +4,12 @@ import * as onboardingService from '../../services/onboardingService';
 import * as propertyService from '../../services/propertyService';
 import { useAuth } from '../../contexts/AuthContext';
 import { useGlobalAlert } from '../../contexts/GlobalAlertContext';
-import { USER_ROLES } from '../../utils/constants';
+import { useSignatureStatusByResource } from '../../hooks/useSignatures';
+import { USER_ROLES, SIGNATURE_DOCUMENT_TYPES, SIGNATURE_REQUEST_STATUS } from '../../utils/constants';
 import Spinner from '../../components/common/Spinner';
-import { FaPlus, FaDownload, FaCheck, FaFilter, FaSearch, FaTimes, FaEye } from 'react-icons/fa';
+import SignatureStatusBadge from '../../components/SignatureStatusBadge';
+import SendForSignatureModal from '../../components/SendForSignatureModal';
+import { FaPlus, FaDownload, FaCheck, FaFilter, FaSearch, FaTimes, FaEye, FaPenNib } from 'react-icons/fa';
 
 export default function OnboardingListPage() {
   const { user } = useAuth();
@@ -17,6 +20,7 @@ export default function OnboardingListPage() {
   const [loading, setLoading] = useState(true);
   const [properties, setProperties] = useState([]);
   const [processingDocumentId, setProcessingDocumentId] = useState(null);
+  const [signingDocument, setSigningDocument] = useState(null);
   
   // Filter state
   const [categoryFilter, setCategoryFilter] = useState('');
@@ -37,6 +41,19 @@ export default function OnboardingListPage() {
   
   // Determine if the user can create new documents
   const canCreateDocuments = isAdmin || isPropertyManager || isLandlord;
+
+  // Latest signature request per document
+  const signatureByDocument = useSignatureStatusByResource(SIGNATURE_DOCUMENT_TYPES.ONBOARDING);
+
+  // Only documents addressed to one tenant can be signed, and not while a request is open or done
+  const canSendForSignature = (document) => {
+    const request = signatureByDocument[document._id];
+    return canCreateDocuments
+      && document.visibility === 'specific_tenant'
+      && !!document.tenant
+      && !!document.media
+      && (!request || (!request.isOpen && request.status !== SIGNATURE_REQUEST_STATUS.COMPLETED));
+  };
   
   // Fetch onboarding documents
   const fetchDocuments = useCallback(async (pageNum = page, filters = {}) => {
@@ -389,6 +406,9 @@ export default function OnboardingListPage() {
                     <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                       Status
                     </th>
+                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Signing
+                    </th>
                     <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
                       Actions
                     </th>
@@ -426,6 +446,9 @@ export default function OnboardingListPage() {
                           {document.statusDisplay}
                         </span>
                       </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <SignatureStatusBadge request={signatureByDocument[document._id]} emptyLabel="—" />
+                      </td>
                       <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
                         <div className="flex justify-end space-x-2">
                           <Link
@@ -445,6 +468,16 @@ export default function OnboardingListPage() {
                             {processingDocumentId === document._id ? <Spinner size="sm" /> : <FaDownload />}
                           </button>
                           
+                          {canSendForSignature(document) && (
+                            <button
+                              onClick={() => setSigningDocument(document)}
+                              className="text-blue-600 hover:text-blue-900"
+                              title="Send for signature"
+                            >
+                              <FaPenNib />
+                            </button>
+                          )}
+                          
                           {isTenant && !document.isCompleted && (
                             <button
                               onClick={() => handleMarkAsCompleted(document._id)}
@@ -500,6 +533,19 @@ export default function OnboardingListPage() {
           )}
         </>
       )}
+      
+      {canCreateDocuments && (
+        <SendForSignatureModal
+          isOpen={!!signingDocument}
+          onClose={() => setSigningDocument(null)}
+          documentType={SIGNATURE_DOCUMENT_TYPES.ONBOARDING}
+          resourceId={signingDocument?._id}
+          sourceDocumentId={signingDocument?.media?._id || signingDocument?.media}
+          title={signingDocument?.title}
+          tenant={signingDocument?.tenant}
+          landlord={signingDocument?.property?.landlord}
+        />
+      )}
     </div>
   );
 }
\ No newline at end of file
@@ -4,10 +4,13 @@ import { useRent, useRentMutations, useRentUtils } from '../../hooks/useRents';
 import { useAuth } from '../../contexts/AuthContext';
 import { useGlobalAlert } from '../../contexts/GlobalAlertContext';
 import { USER_ROLES } from '../../utils/constants';
+import { getCurrencySymbol, resolveCurrency } from '../../utils/currency';
+import { formatCurrency, formatDate } from '../../utils/helpers';
+import { describeLateFeeTerms } from '../../utils/lateFees';
 import Spinner from '../../components/common/Spinner';
 import { 
   FaArrowLeft, FaDownload, FaEdit, FaTrash, FaMoneyBillWave,
-  FaFileInvoiceDollar, FaCalendarAlt, FaUser, FaBuilding, FaHome
+  FaFileInvoiceDollar, FaCalendarAlt, FaUser, FaBuilding, FaHome, FaGavel
 } from 'react-icons/fa';
 
 export default function PaymentDetailPage() {
@@ -23,6 +26,8 @@ export default function PaymentDetailPage() {
   const [proofFile, setProofFile] = useState(null);
   const [showPaymentForm, setShowPaymentForm] = useState(false);
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [feeToWaive, setFeeToWaive] = useState(null);
+  const [waiverNote, setWaiverNote] = useState('');
   
   // User roles
   const isAdmin = user?.role === USER_ROLES.ADMIN;
@@ -46,7 +51,11 @@ export default function PaymentDetailPage() {
     recordPayment, 
     isRecordingPayment,
     deleteRent,
-    isDeleting
+    isDeleting,
+    assessLateFee,
+    isAssessingLateFee,
+    waiveLateFee,
+    isWaivingLateFee
   } = useRentMutations();
   
   const { downloadProof } = useRentUtils();
@@ -118,6 +127,42 @@ export default function PaymentDetailPage() {
     }
   };
   
+  // Post the accrued late fee as a line item
+  const handlePostLateFee = () => {
+    const { accrued, calculation } = rentRecord.lateFeeSummary;
+    assessLateFee({
+      rentId: paymentId,
+      feeData: {
+        amount: accrued,
+        description: `Late fee (${calculation.daysLate} days late)`
+      }
+    });
+  };
+  
+  // Handle late fee waiver; the note is kept as the audit record
+  const handleWaiveLateFee = (e) => {
+    e.preventDefault();
+    
+    if (!waiverNote.trim()) {
+      showError('Please give a reason for waiving this fee');
+      return;
+    }
+    
+    waiveLateFee({
+      rentId: paymentId,
+      waiverData: {
+        feeId: feeToWaive.feeId,
+        amount: feeToWaive.amount,
+        note: waiverNote.trim()
+      }
+    }, {
+      onSuccess: () => {
+        setFeeToWaive(null);
+        setWaiverNote('');
+      }
+    });
+  };
+  
   // Handle file selection
   const handleFileChange = (e) => {
     if (e.target.files && e.target.files.length > 0) {
@@ -160,6 +205,14 @@ export default function PaymentDetailPage() {
     );
   }
   
+  const currency = resolveCurrency(rentRecord.currency, rentRecord.lease?.currency);
+  const {
+    items: lateFeeItems,
+    accrued: accruedLateFee,
+    calculation: lateFeeCalculation,
+    terms: lateFeeTerms
+  } = rentRecord.lateFeeSummary;
+  
   return (
     <div className="container mx-auto px-4 py-6">
       <div className="max-w-4xl mx-auto">
@@ -275,6 +328,133 @@ export default function PaymentDetailPage() {
               </div>
             </div>
             
+            {/* Charges, including late fee line items */}
+            <div className="mb-6">
+              <h2 className="text-lg font-medium mb-2">Charges</h2>
+              <div className="border rounded-md divide-y">
+                <div className="flex justify-between p-3">
+                  <span>Rent</span>
+                  <span className="font-medium">{rentRecord.formattedAmount}</span>
+                </div>
+                
+                {lateFeeItems.map(fee => (
+                  <div key={fee._id} className="p-3">
+                    <div className="flex justify-between items-center">
+                      <div>
+                        <span className={fee.waived ? 'line-through text-gray-500' : ''}>
+                          {fee.description || 'Late fee'}
+                        </span>
+                        {fee.assessedAt && (
+                          <span className="ml-2 text-xs text-gray-500">Posted {formatDate(fee.assessedAt)}</span>
+                        )}
+                      </div>
+                      <div className="flex items-center">
+                        <span className={`font-medium ${fee.waived ? 'line-through text-gray-500' : 'text-red-600'}`}>
+                          {formatCurrency(fee.amount, currency)}
+                        </span>
+                        {canManagePayments && !fee.waived && (
+                          <button
+                            onClick={() => setFeeToWaive({ feeId: fee._id, amount: fee.amount })}
+                            className="ml-3 text-sm text-purple-600 hover:underline"
+                          >
+                            Waive
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                    {fee.waived && (
+                      <p className="text-xs text-purple-700 mt-1">
+                        Waived{fee.waivedBy?.firstName ? ` by ${fee.waivedBy.firstName} ${fee.waivedBy.lastName || ''}`.trimEnd() : ''}
+                        {fee.waivedAt ? ` on ${formatDate(fee.waivedAt)}` : ''}: {fee.waiverNote}
+                      </p>
+                    )}
+                  </div>
+                ))}
+                
+                {accruedLateFee > 0 && (
+                  <div className="flex justify-between items-center p-3 bg-red-50">
+                    <div>
+                      <span>Late fee accrued</span>
+                      <span className="ml-2 text-xs text-gray-500">
+                        {lateFeeCalculation.daysLate} days late{lateFeeCalculation.isCapped ? ', capped' : ''} · not yet posted
+                      </span>
+                    </div>
+                    <div className="flex items-center">
+                      <span className="font-medium text-red-600">{formatCurrency(accruedLateFee, currency)}</span>
+                      {canManagePayments && (
+                        <>
+                          <button
+                            onClick={handlePostLateFee}
+                            disabled={isAssessingLateFee}
+                            className="ml-3 text-sm text-blue-600 hover:underline disabled:opacity-50"
+                          >
+                            Post
+                          </button>
+                          <button
+                            onClick={() => setFeeToWaive({ feeId: null, amount: accruedLateFee })}
+                            className="ml-3 text-sm text-purple-600 hover:underline"
+                          >
+                            Waive
+                          </button>
+                        </>
+                      )}
+                    </div>
+                  </div>
+                )}
+                
+                {(lateFeeItems.length > 0 || accruedLateFee > 0) && (
+                  <div className="flex justify-between p-3 bg-gray-50">
+                    <span className="font-medium">Total Charges</span>
+                    <span className="font-medium">
+                      {formatCurrency((rentRecord.amountDue || 0) + rentRecord.lateFeeTotal, currency)}
+                    </span>
+                  </div>
+                )}
+              </div>
+              
+              <p className="text-xs text-gray-500 mt-2">
+                <FaGavel className="inline mr-1" />
+                Late fee terms: {describeLateFeeTerms(lateFeeTerms, amount => formatCurrency(amount, currency))}
+                {lateFeeCalculation.isInGracePeriod && ' · currently within the grace period'}
+              </p>
+              
+              {feeToWaive && (
+                <form onSubmit={handleWaiveLateFee} className="border rounded-lg p-4 mt-4">
+                  <h3 className="font-medium mb-2">
+                    Waive late fee of {formatCurrency(feeToWaive.amount, currency)}
+                  </h3>
+                  <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="waiverNote">
+                    Reason*
+                  </label>
+                  <textarea
+                    id="waiverNote"
+                    className="w-full p-2 border rounded-md"
+                    rows="2"
+                    placeholder="Why is this fee being waived?"
+                    value={waiverNote}
+                    onChange={(e) => setWaiverNote(e.target.value)}
+                    required
+                  ></textarea>
+                  <div className="flex justify-end space-x-2 mt-3">
+                    <button
+                      type="button"
+                      onClick={() => { setFeeToWaive(null); setWaiverNote(''); }}
+                      className="px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50"
+                    >
+                      Cancel
+                    </button>
+                    <button
+                      type="submit"
+                      disabled={isWaivingLateFee}
+                      className="px-4 py-2 bg-purple-600 text-white rounded-md hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      {isWaivingLateFee ? 'Waiving...' : 'Waive Fee'}
+                    </button>
+                  </div>
+                </form>
+              )}
+            </div>
+            
             {/* Payment notes */}
             {rentRecord.notes && (
               <div className="mb-6">
@@ -321,7 +501,7 @@ export default function PaymentDetailPage() {
                           Payment Amount*
                         </label>
                         <div className="relative">
-                          <span className="absolute left-3 top-2">{rentRecord.currency || 'UGX'}</span>
+                          <span className="absolute left-3 top-2">{getCurrencySymbol(currency)}</span>
                           <input
                             id="paymentAmount"
                             type="number"
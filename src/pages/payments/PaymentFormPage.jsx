@@ -3,9 +3,10 @@ import { useParams, useNavigate, Link } from 'react-router-dom';
 import { useRent, useRentMutations } from '../../hooks/useRents';
 import * as propertyService from '../../services/propertyService';
 import * as userService from '../../services/userService';
+import * as leaseService from '../../services/leaseService';
 import { useAuth } from '../../contexts/AuthContext';
 import { useGlobalAlert } from '../../contexts/GlobalAlertContext';
-import { USER_ROLES } from '../../utils/constants';
+import { USER_ROLES, CURRENCIES, DEFAULT_CURRENCY, LEASE_STATUS_ENUM } from '../../utils/constants';
 import Spinner from '../../components/common/Spinner';
 import { FaArrowLeft, FaSave, FaTimes, FaCalendarAlt } from 'react-icons/fa';
 
@@ -24,7 +25,8 @@ export default function PaymentFormPage() {
     tenantId: '',
     dueDate: '',
     amountDue: '',
-    currency: 'UGX',
+    currency: DEFAULT_CURRENCY,
+    leaseId: '',
     status: 'due',
     notes: '',
   });
@@ -62,7 +64,8 @@ export default function PaymentFormPage() {
         tenantId: rentRecord.tenant?._id || '',
         dueDate: rentRecord.dueDate ? new Date(rentRecord.dueDate).toISOString().split('T')[0] : '',
         amountDue: rentRecord.amountDue || '',
-        currency: rentRecord.currency || 'UGX',
+        currency: rentRecord.currency || rentRecord.lease?.currency || DEFAULT_CURRENCY,
+        leaseId: rentRecord.lease?._id || rentRecord.lease || '',
         status: rentRecord.status || 'due',
         notes: rentRecord.notes || '',
       });
@@ -145,6 +148,37 @@ export default function PaymentFormPage() {
     fetchTenants();
   }, [formData.propertyId, formData.unitId, showError]);
   
+  // Rent is billed in the lease's currency: link the tenant's active lease and adopt its currency
+  useEffect(() => {
+    if (isEditMode || !formData.tenantId || !formData.unitId) return;
+
+    const controller = new AbortController();
+    const fetchActiveLease = async () => {
+      try {
+        const response = await leaseService.getLeases({
+          tenantId: formData.tenantId,
+          unitId: formData.unitId,
+          status: LEASE_STATUS_ENUM.ACTIVE,
+          limit: 1
+        }, controller.signal);
+        const lease = response.data?.[0];
+        setFormData(prev => ({
+          ...prev,
+          leaseId: lease?._id || '',
+          currency: lease?.currency || prev.currency,
+          amountDue: prev.amountDue || lease?.monthlyRent || ''
+        }));
+      } catch (error) {
+        if (!controller.signal.aborted) {
+          console.error('Error fetching active lease:', error);
+        }
+      }
+    };
+
+    fetchActiveLease();
+    return () => controller.abort();
+  }, [isEditMode, formData.tenantId, formData.unitId]);
+  
   // Handle form input changes
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -182,6 +216,7 @@ export default function PaymentFormPage() {
       const payload = {
         ...formData,
         amountDue: parseFloat(formData.amountDue),
+        leaseId: formData.leaseId || undefined,
       };
       
       if (isEditMode) {
@@ -339,11 +374,12 @@ export default function PaymentFormPage() {
                   className="p-2 border rounded-l-md w-24"
                   value={formData.currency}
                   onChange={handleChange}
+                  disabled={!!formData.leaseId}
+                  title={formData.leaseId ? 'Set by the lease' : undefined}
                 >
-                  <option value="UGX">UGX</option>
-                  <option value="USD">USD</option>
-                  <option value="EUR">EUR</option>
-                  <option value="GBP">GBP</option>
+                  {CURRENCIES.map(({ code, name }) => (
+                    <option key={code} value={code} title={name}>{code}</option>
+                  ))}
                 </select>
                 <input
                   id="amountDue"
@@ -52,6 +52,7 @@ const LeaseStatusBadge = ({ status }) => {
   const base = "px-2.5 py-1 rounded-full text-xs font-semibold uppercase tracking-wide";
   switch (status?.toLowerCase()) {
     case LEASE_STATUS_ENUM.ACTIVE: return `${base} bg-green-100 text-green-800`;
+    case LEASE_STATUS_ENUM.UPCOMING: return `${base} bg-indigo-100 text-indigo-800`;
     case LEASE_STATUS_ENUM.EXPIRED: return `${base} bg-red-100 text-red-800`;
     case LEASE_STATUS_ENUM.PENDING_RENEWAL: return `${base} bg-yellow-100 text-yellow-800`;
     case LEASE_STATUS_ENUM.TERMINATED: return `${base} bg-gray-100 text-gray-800`;
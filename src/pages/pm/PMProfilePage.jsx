@@ -1,16 +1,18 @@
 // frontend/src/pages/pm/PMProfilePage.jsx
 
 import React, { useState, useEffect, useCallback } from "react";
-import { User, Lock, Bell, Save, Eye, EyeOff } from "lucide-react";
+import { User, Lock, Bell, Save, Eye, EyeOff, Globe } from "lucide-react";
 
 import Input from "../../components/common/Input.jsx";
 import Button from "../../components/common/Button.jsx";
 import LoadingSpinner from "../../components/common/LoadingSpinner.jsx";
+import LanguageSwitcher from "../../components/common/LanguageSwitcher.jsx";
 
 import { getMyProfile, updateMyProfile } from "../../services/userService.js";
 import { changePassword } from "../../services/authService.js";
 import { useAuth } from "../../contexts/AuthContext.jsx";
 import { useGlobalAlert } from "../../contexts/GlobalAlertContext.jsx";
+import useI18n from "../../hooks/useI18n.js";
 import useForm from "../../hooks/useForm.js";
 
 // Define primary color for consistent styling
@@ -58,6 +60,7 @@ const validatePasswordForm = (values) => {
 function PMProfilePage() {
   const { setUser } = useAuth(); // Assuming setUser is available to update auth context
   const { showSuccess, showError } = useGlobalAlert();
+  const { t } = useI18n();
 
   // State for initial profile data loading
   const [initialProfileLoad, setInitialProfileLoad] = useState(true);
@@ -230,6 +233,15 @@ function PMProfilePage() {
         </form>
       </section>
 
+      {/* Language & Region Section */}
+      <section className="bg-white p-8 rounded-xl shadow-lg border border-[#e6f7f2] mb-8">
+        <h2 className="text-2xl font-semibold mb-5 flex items-center" style={{ color: PRIMARY_COLOR }}>
+          <Globe className="w-6 h-6 mr-2" style={{ color: PRIMARY_COLOR }} />
+          {t('settings.languageTitle')}
+        </h2>
+        <LanguageSwitcher />
+      </section>
+
       {/* Change Password Section */}
       <section className="bg-white p-8 rounded-xl shadow-lg border border-[#e6f7f2] mb-8">
         <h2 className="text-2xl font-semibold mb-5 flex items-center" style={{ color: PRIMARY_COLOR }}>
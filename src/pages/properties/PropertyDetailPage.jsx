@@ -2,12 +2,13 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { useParams, useNavigate, useLocation } from 'react-router-dom';
 import Button from '../../components/common/Button';
 import Modal from '../../components/common/Modal';
+import PropertySpendCard from '../../components/PropertySpendCard';
 import { useAuth } from '../../contexts/AuthContext';
 import { useGlobalAlert } from '../../contexts/GlobalAlertContext';
 import { ROUTES, USER_ROLES } from '../../utils/constants';
 
 // Service imports
-import { getPropertyById, updateProperty } from '../../services/propertyService';
+import { getPropertyById, updateProperty, formatProperty } from '../../services/propertyService';
 import { createUnit, updateUnit, deleteUnit } from '../../services/unitService';
 
 // Icons
@@ -228,6 +229,8 @@ function PropertyDetailPage() {
     );
   }
 
+  const formattedProperty = formatProperty(property);
+
   return (
     <div
       className="p-4 md:p-8 min-h-full"
@@ -315,11 +318,16 @@ function PropertyDetailPage() {
             <p><strong>Name:</strong> <span style={{ color: "#222" }}>{property.name}</span></p>
             <p><strong>Address:</strong> <span style={{ color: "#222" }}>{property.address?.street}, {property.address?.city}, {property.address?.state}, {property.address?.country}</span></p>
             <p><strong>Details:</strong> <span style={{ color: "#222" }}>{property.details || 'N/A'}</span></p>
+            <p><strong>Annual Operating Budget:</strong> <span style={{ color: "#222" }}>{formattedProperty.formattedBudget}</span></p>
+            <p><strong>Cost Approval Threshold:</strong> <span style={{ color: "#222" }}>{formattedProperty.formattedApprovalThreshold}</span></p>
             <p><strong>Date Created:</strong> <span style={{ color: "#222" }}>{new Date(property.createdAt).toLocaleDateString()}</span></p>
           </div>
         )}
       </div>
 
+      {/* Maintenance Spend vs Budget */}
+      <PropertySpendCard propertyId={propertyId} />
+
      {/* Units Section */}
       <div
         className="p-8 rounded-xl shadow-lg mb-10"
@@ -28,7 +28,9 @@ function PropertyFormPage() {
       state: "",
       country: ""
     },
-    details: ""
+    details: "",
+    annualOperatingBudget: "",
+    costApprovalThreshold: ""
   });
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
@@ -61,7 +63,9 @@ function PropertyFormPage() {
           state: data.address?.state || "",
           country: data.address?.country || ""
         },
-        details: data.details || ""
+        details: data.details || "",
+        annualOperatingBudget: data.annualOperatingBudget ?? "",
+        costApprovalThreshold: data.costApprovalThreshold ?? ""
       });
     } catch (err) {
       const msg = err.response?.data?.message || err.message;
@@ -91,6 +95,12 @@ function PropertyFormPage() {
     if (!formData.name.trim()) errors.name = "Property name is required.";
     if (!formData.address.city.trim()) errors["address.city"] = "City is required.";
     if (!formData.address.country.trim()) errors["address.country"] = "Country is required.";
+    if (formData.annualOperatingBudget !== "" && Number(formData.annualOperatingBudget) < 0) {
+      errors.annualOperatingBudget = "Budget cannot be negative.";
+    }
+    if (formData.costApprovalThreshold !== "" && Number(formData.costApprovalThreshold) < 0) {
+      errors.costApprovalThreshold = "Threshold cannot be negative.";
+    }
     setFormErrors(errors);
     return Object.keys(errors).length === 0;
   };
@@ -103,12 +113,18 @@ function PropertyFormPage() {
       return;
     }
     setLoading(true);
+    // Blank budget fields clear the value rather than saving an empty string
+    const payload = {
+      ...formData,
+      annualOperatingBudget: formData.annualOperatingBudget === "" ? null : Number(formData.annualOperatingBudget),
+      costApprovalThreshold: formData.costApprovalThreshold === "" ? null : Number(formData.costApprovalThreshold)
+    };
     try {
       if (isEditMode) {
-        await updateProperty(propertyId, formData);
+        await updateProperty(propertyId, payload);
         showSuccess("Property updated successfully!");
       } else {
-        await createProperty(formData);
+        await createProperty(payload);
         showSuccess("Property created successfully!");
       }
       navigate(`${getBasePath()}/properties`);
@@ -249,6 +265,49 @@ function PropertyFormPage() {
             </div>
           </fieldset>
 
+          <fieldset className="border p-4 rounded-lg" style={{ borderColor: PRIMARY_COLOR + "20" }}>
+            <legend className="text-lg font-bold px-2 -ml-2" style={{ color: PRIMARY_COLOR }}>Maintenance Budget</legend>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-2">
+              <div>
+                <label htmlFor="annualOperatingBudget" className="block text-sm font-semibold mb-1" style={{ color: PRIMARY_COLOR }}>
+                  Annual Operating Budget (Optional):
+                </label>
+                <input
+                  type="number"
+                  id="annualOperatingBudget"
+                  name="annualOperatingBudget"
+                  min="0"
+                  step="0.01"
+                  value={formData.annualOperatingBudget}
+                  onChange={handleChange}
+                  className={`w-full px-4 py-2 border rounded-lg shadow-sm focus:outline-none ${formErrors.annualOperatingBudget ? 'border-red-500' : 'border-[#219377]'}`}
+                  style={{ color: PRIMARY_COLOR }}
+                  disabled={loading}
+                />
+                {formErrors.annualOperatingBudget && <p className="text-red-500 text-xs mt-1">{formErrors.annualOperatingBudget}</p>}
+              </div>
+              <div>
+                <label htmlFor="costApprovalThreshold" className="block text-sm font-semibold mb-1" style={{ color: PRIMARY_COLOR }}>
+                  Landlord Approval Above (Optional):
+                </label>
+                <input
+                  type="number"
+                  id="costApprovalThreshold"
+                  name="costApprovalThreshold"
+                  min="0"
+                  step="0.01"
+                  value={formData.costApprovalThreshold}
+                  onChange={handleChange}
+                  className={`w-full px-4 py-2 border rounded-lg shadow-sm focus:outline-none ${formErrors.costApprovalThreshold ? 'border-red-500' : 'border-[#219377]'}`}
+                  style={{ color: PRIMARY_COLOR }}
+                  disabled={loading}
+                />
+                {formErrors.costApprovalThreshold && <p className="text-red-500 text-xs mt-1">{formErrors.costApprovalThreshold}</p>}
+                <p className="text-xs text-gray-500 mt-1">Cost entries above this amount wait for landlord approval. Leave blank to never require it.</p>
+              </div>
+            </div>
+          </fieldset>
+
           <div>
             <label htmlFor="propertyDetails" className="block text-sm font-semibold mb-1" style={{ color: PRIMARY_COLOR }}>
               Details (Optional):
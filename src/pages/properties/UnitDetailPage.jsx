@@ -1,6 +1,7 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
 import Button from '../../components/common/Button';
+import UnitInspectionsPanel from '../../components/UnitInspectionsPanel';
 import { useAuth } from '../../contexts/AuthContext';
 import { useGlobalAlert } from '../../contexts/GlobalAlertContext';
 import { ROUTES } from '../../utils/constants';
@@ -415,6 +416,9 @@ function UnitDetailPage() {
           </div>
         </div>
       )}
+
+      {/* Inspections Section */}
+      <UnitInspectionsPanel propertyId={propertyId} unitId={unitId} canManage={isAdmin || isPropertyManager || isLandlord} />
     </div>
   );
 }
@@ -7,6 +7,8 @@ import Spinner from "../../components/common/Spinner";
 import { useGlobalAlert } from "../../contexts/GlobalAlertContext";
 import { getLeaseExpiryReport, exportReport } from "../../services/reportService";
 import { getAllProperties } from "../../services/propertyService";
+import { formatCurrency } from "../../utils/helpers";
+import { resolveCurrency } from "../../utils/currency";
 
 // Branding
 const PRIMARY_COLOR = "#219377";
@@ -336,10 +338,7 @@ const LeaseReportsPage = () => {
                           </span>
                         </td>
                         <td className="px-4 py-2 text-sm">
-                          {lease.monthlyRent ? new Intl.NumberFormat('en-US', {
-                            style: 'currency',
-                            currency: lease.currency || 'USD'
-                          }).format(lease.monthlyRent) : 'N/A'}
+                          {lease.monthlyRent ? formatCurrency(lease.monthlyRent, resolveCurrency(lease.currency)) : 'N/A'}
                         </td>
                         <td className="px-4 py-2 text-sm">
                           <span className={`inline-block px-2 py-1 rounded-full text-xs capitalize ${
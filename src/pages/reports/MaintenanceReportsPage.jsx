@@ -1,18 +1,31 @@
 import React, { useState, useEffect, useMemo } from "react";
 import { Link } from 'react-router-dom';
-import { BarChart, FileText, Download, Filter, ChevronLeft, Clock, AlertTriangle } from "lucide-react";
+import { BarChart, FileText, Download, Filter, ChevronLeft, Clock, AlertTriangle, Receipt, Timer } from "lucide-react";
 import Button from "../../components/common/Button";
 import DashboardFilters from "../../components/common/DashboardFilters";
+import ReportingCurrencySelector from "../../components/common/ReportingCurrencySelector";
 import StatusBadge from "../../components/common/StatusBadge";
 import Spinner from "../../components/common/Spinner";
 import { useGlobalAlert } from "../../contexts/GlobalAlertContext";
-import { getMaintenanceSummaryReport, exportReport } from "../../services/reportService";
+import { getMaintenanceSummaryReport, getSlaComplianceReport, exportReport } from "../../services/reportService";
 import { getAllProperties } from "../../services/propertyService";
+import { usePropertySpendSummary } from "../../hooks/useMaintenanceCosts";
+import { useExchangeRates } from "../../hooks/useExchangeRates";
+import { formatCurrency } from "../../utils/helpers";
+import { resolveCurrency } from "../../utils/currency";
+import { SLA_STAGE_ORDER, SLA_STAGE_LABELS } from "../../utils/sla";
 
 // Branding
 const PRIMARY_COLOR = "#219377";
 const SECONDARY_COLOR = "#ffbd59";
 
+// SLA compliance: green from 90%, amber from 75%, red below
+const getComplianceClass = (rate) => (
+  (rate || 0) >= 90 ? 'text-green-600' : (rate || 0) >= 75 ? 'text-yellow-600' : 'text-red-600'
+);
+
+const formatRate = (rate) => `${(rate || 0).toFixed(1)}%`;
+
 const MaintenanceReportsPage = () => {
   const { showSuccess, showError } = useGlobalAlert();
   const [loading, setLoading] = useState(true);
@@ -27,6 +40,15 @@ const MaintenanceReportsPage = () => {
   });
   const [properties, setProperties] = useState([]);
   const [reportData, setReportData] = useState(null);
+  const [slaData, setSlaData] = useState(null);
+  const exchangeRates = useExchangeRates();
+  const { sum } = exchangeRates;
+
+  // Spend is compared with annual budgets, so use the year the report range ends in
+  const spendYear = new Date(filters.endDate || Date.now()).getFullYear();
+  const { data: propertySpend = [], isLoading: isSpendLoading } = usePropertySpendSummary({
+    filters: { year: spendYear, propertyId: filters.propertyId || undefined }
+  });
 
   // Fetch properties for filter dropdown
   useEffect(() => {
@@ -69,6 +91,26 @@ const MaintenanceReportsPage = () => {
     fetchReportData();
   }, [filters, showError]);
 
+  // Fetch SLA compliance separately so a missing SLA setup doesn't block the main report
+  useEffect(() => {
+    const fetchSlaData = async () => {
+      try {
+        const data = await getSlaComplianceReport({
+          startDate: filters.startDate,
+          endDate: filters.endDate,
+          propertyId: filters.propertyId || undefined,
+          category: filters.category === "all" ? undefined : filters.category,
+        });
+        setSlaData(data);
+      } catch (err) {
+        console.error("Failed to load SLA compliance:", err);
+        setSlaData(null);
+      }
+    };
+
+    fetchSlaData();
+  }, [filters]);
+
   // Handle export
   const handleExport = async (format) => {
     try {
@@ -93,6 +135,15 @@ const MaintenanceReportsPage = () => {
   // Calculate summary metrics
   const summaryMetrics = useMemo(() => {
     if (!reportData) return {};
+
+    // The server's total is in one currency; without it, request costs are in each
+    // property's own currency and have to be converted before they can be added up
+    const requestSpend = reportData.totalCost == null
+      ? sum((reportData.requests || []).map(r => ({
+          amount: Number(r.totalCost) || 0,
+          currency: r.currency || r.property?.currency
+        })))
+      : null;
     
     return {
       totalRequests: reportData.requests?.length || 0,
@@ -103,8 +154,12 @@ const MaintenanceReportsPage = () => {
         ? `${Math.round(reportData.avgResolutionTimeHours)} hours` 
         : 'N/A',
       mostCommonCategory: reportData.mostCommonCategory || 'N/A',
+      totalSpend: requestSpend ? requestSpend.total : reportData.totalCost,
+      currency: requestSpend ? requestSpend.currency : resolveCurrency(reportData.currency),
+      isConvertedSpend: !!requestSpend,
+      unconvertedCurrencies: requestSpend?.unconvertedCurrencies || [],
     };
-  }, [reportData]);
+  }, [reportData, sum]);
 
   // Group requests by status for stats
   const requestsByStatus = useMemo(() => {
@@ -139,8 +194,14 @@ const MaintenanceReportsPage = () => {
         </div>
       )}
 
+      {summaryMetrics.isConvertedSpend && (
+        <div className="flex justify-end mb-2">
+          <ReportingCurrencySelector exchangeRates={exchangeRates} />
+        </div>
+      )}
+
       {/* Summary Cards */}
-      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-4 mb-6">
         <div className="bg-white p-4 rounded-lg shadow-md border border-gray-100">
           <h3 className="text-gray-500 text-sm font-medium mb-1">Total Requests</h3>
           <p className="text-3xl font-bold" style={{ color: PRIMARY_COLOR }}>{summaryMetrics.totalRequests}</p>
@@ -157,6 +218,17 @@ const MaintenanceReportsPage = () => {
           <h3 className="text-gray-500 text-sm font-medium mb-1">Most Common Issue</h3>
           <p className="text-3xl font-bold" style={{ color: SECONDARY_COLOR }}>{summaryMetrics.mostCommonCategory}</p>
         </div>
+        <div className="bg-white p-4 rounded-lg shadow-md border border-gray-100">
+          <h3 className="text-gray-500 text-sm font-medium mb-1">Total Spend</h3>
+          <p className="text-3xl font-bold" style={{ color: PRIMARY_COLOR }}>
+            {formatCurrency(summaryMetrics.totalSpend || 0, summaryMetrics.currency)}
+          </p>
+          {summaryMetrics.unconvertedCurrencies?.length > 0 && (
+            <p className="text-xs text-orange-600 mt-1">
+              No exchange rate for {summaryMetrics.unconvertedCurrencies.join(', ')}; those costs are left out.
+            </p>
+          )}
+        </div>
       </div>
 
       {/* Filters */}
@@ -221,6 +293,123 @@ const MaintenanceReportsPage = () => {
         </div>
       </div>
 
+      {/* SLA Compliance */}
+      <div className="bg-white p-6 rounded-lg shadow-md border border-gray-100 mb-6">
+        <h2 className="text-lg font-semibold mb-4 flex items-center" style={{ color: PRIMARY_COLOR }}>
+          <Timer className="h-5 w-5 mr-2" style={{ color: SECONDARY_COLOR }} />
+          SLA Compliance
+        </h2>
+
+        {!slaData?.overall?.tracked ? (
+          <p className="text-gray-500 text-center py-4">No requests with an SLA in this period.</p>
+        ) : (
+          <>
+            <div className="flex flex-wrap gap-4 mb-6">
+              <div className="flex flex-col items-center p-3 border rounded-lg" style={{ minWidth: '140px' }}>
+                <p className="text-xs text-gray-500">Overall</p>
+                <p className={`text-2xl font-bold ${getComplianceClass(slaData.overall.complianceRate)}`}>
+                  {formatRate(slaData.overall.complianceRate)}
+                </p>
+                <p className="text-xs text-gray-500">{slaData.overall.breached} of {slaData.overall.tracked} breached</p>
+              </div>
+              {SLA_STAGE_ORDER.filter(stage => slaData.byStage?.[stage]?.tracked).map(stage => (
+                <div key={stage} className="flex flex-col items-center p-3 border rounded-lg" style={{ minWidth: '140px' }}>
+                  <p className="text-xs text-gray-500">{SLA_STAGE_LABELS[stage]} on time</p>
+                  <p className={`text-2xl font-bold ${getComplianceClass(slaData.byStage[stage].complianceRate)}`}>
+                    {formatRate(slaData.byStage[stage].complianceRate)}
+                  </p>
+                  <p className="text-xs text-gray-500">{slaData.byStage[stage].met} of {slaData.byStage[stage].tracked}</p>
+                </div>
+              ))}
+            </div>
+
+            {slaData.byPriority?.length > 0 && (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Priority</th>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Requests</th>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Met</th>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Breached</th>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Compliance</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {slaData.byPriority.map(row => (
+                      <tr key={row.priority} className="hover:bg-gray-50">
+                        <td className="px-4 py-2 text-sm capitalize">{row.priority}</td>
+                        <td className="px-4 py-2 text-sm">{row.tracked}</td>
+                        <td className="px-4 py-2 text-sm">{row.met}</td>
+                        <td className="px-4 py-2 text-sm">{row.breached}</td>
+                        <td className={`px-4 py-2 text-sm font-medium ${getComplianceClass(row.complianceRate)}`}>{formatRate(row.complianceRate)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      {/* Spend vs Budget */}
+      <div className="bg-white p-6 rounded-lg shadow-md border border-gray-100 mb-6">
+        <h2 className="text-lg font-semibold mb-4 flex items-center" style={{ color: PRIMARY_COLOR }}>
+          <Receipt className="h-5 w-5 mr-2" style={{ color: SECONDARY_COLOR }} />
+          Spend vs Budget ({spendYear})
+        </h2>
+
+        {isSpendLoading ? (
+          <div className="flex justify-center items-center py-8">
+            <Spinner />
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Property</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Spent</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Awaiting Approval</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Annual Budget</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Remaining</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Used</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {propertySpend.length > 0 ? (
+                  propertySpend.map(spend => (
+                    <tr key={spend.propertyId} className="hover:bg-gray-50">
+                      <td className="px-4 py-2 text-sm">{spend.propertyName}</td>
+                      <td className="px-4 py-2 text-sm text-right font-medium">{formatCurrency(spend.total, spend.currency)}</td>
+                      <td className="px-4 py-2 text-sm text-right text-gray-600">
+                        {spend.pendingTotal ? formatCurrency(spend.pendingTotal, spend.currency) : '-'}
+                      </td>
+                      <td className="px-4 py-2 text-sm text-right">
+                        {spend.budget ? formatCurrency(spend.budget, spend.currency) : 'Not set'}
+                      </td>
+                      <td className={`px-4 py-2 text-sm text-right ${spend.isOverBudget ? 'text-red-600 font-semibold' : ''}`}>
+                        {spend.budget ? formatCurrency(spend.remaining, spend.currency) : '-'}
+                      </td>
+                      <td className={`px-4 py-2 text-sm text-right ${spend.isOverBudget ? 'text-red-600 font-semibold' : ''}`}>
+                        {spend.budgetUsedPercent != null ? `${spend.budgetUsedPercent}%` : '-'}
+                      </td>
+                    </tr>
+                  ))
+                ) : (
+                  <tr>
+                    <td colSpan={6} className="px-4 py-8 text-center text-gray-500">
+                      No maintenance costs recorded for {spendYear}.
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
       {/* Request Table */}
       <div className="bg-white p-6 rounded-lg shadow-md border border-gray-100">
         <h2 className="text-lg font-semibold mb-4 flex items-center" style={{ color: PRIMARY_COLOR }}>
@@ -244,6 +433,7 @@ const MaintenanceReportsPage = () => {
                   <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Property</th>
                   <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Created</th>
                   <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Resolution Time</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Cost</th>
                 </tr>
               </thead>
               <tbody className="bg-white divide-y divide-gray-200">
@@ -271,11 +461,16 @@ const MaintenanceReportsPage = () => {
                           'N/A'
                         )}
                       </td>
+                      <td className="px-4 py-2 text-sm text-right">
+                        {request.totalCost
+                          ? formatCurrency(request.totalCost, resolveCurrency(request.currency, request.property?.currency))
+                          : '-'}
+                      </td>
                     </tr>
                   ))
                 ) : (
                   <tr>
-                    <td colSpan={6} className="px-4 py-8 text-center text-gray-500">
+                    <td colSpan={7} className="px-4 py-8 text-center text-gray-500">
                       No maintenance requests found matching the current filters.
                     </td>
                   </tr>
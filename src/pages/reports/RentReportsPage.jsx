@@ -7,6 +7,12 @@ import Spinner from "../../components/common/Spinner";
 import { useGlobalAlert } from "../../contexts/GlobalAlertContext";
 import { getRentCollectionReport, exportReport } from "../../services/reportService";
 import { getAllProperties } from "../../services/propertyService";
+import ReportingCurrencySelector from "../../components/common/ReportingCurrencySelector";
+import { useAuth } from "../../contexts/AuthContext";
+import useExchangeRates from "../../hooks/useExchangeRates";
+import { formatCurrency } from "../../utils/helpers";
+import { resolveCurrency } from "../../utils/currency";
+import { USER_ROLES } from "../../utils/constants";
 
 // Branding
 const PRIMARY_COLOR = "#219377";
@@ -14,6 +20,10 @@ const SECONDARY_COLOR = "#ffbd59";
 
 const RentReportsPage = () => {
   const { showSuccess, showError } = useGlobalAlert();
+  const { user } = useAuth();
+  const exchangeRates = useExchangeRates();
+  const { reportingCurrency, sum } = exchangeRates;
+  const canEditRates = user?.role === USER_ROLES.ADMIN || user?.role === USER_ROLES.LANDLORD;
   const [loading, setLoading] = useState(true);
   const [exportLoading, setExportLoading] = useState(false);
   const [error, setError] = useState(null);
@@ -86,37 +96,55 @@ const RentReportsPage = () => {
     }
   };
 
-  // Calculate summary metrics
+  // Calculate summary metrics.
+  // Totals are rebuilt from the rent records so amounts in different lease currencies are
+  // converted into the reporting currency instead of being added up as raw numbers.
   const summaryMetrics = useMemo(() => {
-    if (!reportData) return {
-      totalRentRecords: 0,
-      totalCollected: 0,
-      collectionRate: '0%',
-      overdueAmount: 0
-    };
-    
-    const totalRentRecords = reportData.rentRecords?.length || 0;
-    const totalCollected = reportData.totalCollected || 0;
-    const collectionRate = reportData.collectionRate 
-      ? `${reportData.collectionRate.toFixed(1)}%` 
-      : '0%';
-    const overdueAmount = reportData.overdueAmount || 0;
-    
+    const rentRecords = reportData?.rentRecords || [];
+    const amountsOf = (records, getAmount) =>
+      records.map(rent => ({ amount: getAmount(rent), currency: resolveCurrency(rent.currency, rent.lease?.currency) }));
+    // Late fees count towards what is due and outstanding
+    const dueOf = (rent) => (rent.amountDue || 0) + (rent.lateFeeTotal || 0);
+    const outstandingOf = (rent) => Math.max(0, dueOf(rent) - (rent.amountPaid || 0));
+
+    const due = sum(amountsOf(rentRecords, dueOf));
+    const collected = sum(amountsOf(rentRecords, rent => rent.amountPaid || 0));
+    const overdue = sum(amountsOf(rentRecords.filter(rent => rent.status === 'overdue'), outstandingOf));
+    const lateFees = sum(amountsOf(rentRecords, rent => rent.lateFeeTotal || 0));
+    const lateFeesWaived = sum(amountsOf(rentRecords, rent => rent.lateFeesWaived || 0));
+
+    // Per-property performance, in the reporting currency
+    const byProperty = new Map();
+    rentRecords.forEach(rent => {
+      const key = rent.property?._id || rent.property || 'unknown';
+      if (!byProperty.has(key)) {
+        byProperty.set(key, { propertyId: key, propertyName: rent.property?.name, records: [] });
+      }
+      byProperty.get(key).records.push(rent);
+    });
+    const propertyPerformance = [...byProperty.values()].map(({ records, ...property }) => {
+      const totalDue = sum(amountsOf(records, dueOf)).total;
+      const propertyCollected = sum(amountsOf(records, rent => rent.amountPaid || 0)).total;
+      return {
+        ...property,
+        totalDue,
+        collected: propertyCollected,
+        outstanding: sum(amountsOf(records, outstandingOf)).total,
+        collectionRate: totalDue > 0 ? (propertyCollected / totalDue) * 100 : 0
+      };
+    });
+
     return {
-      totalRentRecords,
-      totalCollected,
-      collectionRate,
-      overdueAmount
+      totalRentRecords: rentRecords.length,
+      totalCollected: collected.total,
+      collectionRate: due.total > 0 ? `${((collected.total / due.total) * 100).toFixed(1)}%` : '0%',
+      overdueAmount: overdue.total,
+      lateFees: lateFees.total,
+      lateFeesWaived: lateFeesWaived.total,
+      propertyPerformance,
+      unconvertedCurrencies: [...new Set([...due.unconvertedCurrencies, ...collected.unconvertedCurrencies])]
     };
-  }, [reportData]);
-
-  // Format currency
-  const formatCurrency = (amount, currency = 'USD') => {
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: currency
-    }).format(amount);
-  };
+  }, [reportData, sum]);
 
   return (
     <div className="p-4 md:p-8 min-h-full" style={{ background: "#f9fafb" }}>
@@ -139,6 +167,15 @@ const RentReportsPage = () => {
         </div>
       )}
 
+      <div className="flex justify-end mb-2">
+        <ReportingCurrencySelector exchangeRates={exchangeRates} canEditRates={canEditRates} />
+      </div>
+      {summaryMetrics.unconvertedCurrencies.length > 0 && (
+        <p className="text-sm text-orange-600 mb-2 text-right">
+          No exchange rate for {summaryMetrics.unconvertedCurrencies.join(', ')}; those amounts are left out of the totals.
+        </p>
+      )}
+
       {/* Summary Cards */}
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
         <div className="bg-white p-4 rounded-lg shadow-md border border-gray-100">
@@ -148,7 +185,7 @@ const RentReportsPage = () => {
         <div className="bg-white p-4 rounded-lg shadow-md border border-gray-100">
           <h3 className="text-gray-500 text-sm font-medium mb-1">Total Collected</h3>
           <p className="text-3xl font-bold" style={{ color: SECONDARY_COLOR }}>
-            {formatCurrency(summaryMetrics.totalCollected)}
+            {formatCurrency(summaryMetrics.totalCollected, reportingCurrency)}
           </p>
         </div>
         <div className="bg-white p-4 rounded-lg shadow-md border border-gray-100">
@@ -160,10 +197,23 @@ const RentReportsPage = () => {
         </div>
         <div className="bg-white p-4 rounded-lg shadow-md border border-gray-100">
           <h3 className="text-gray-500 text-sm font-medium mb-1">Overdue Amount</h3>
-          <p className="text-3xl font-bold text-red-600">{formatCurrency(summaryMetrics.overdueAmount)}</p>
+          <p className="text-3xl font-bold text-red-600">{formatCurrency(summaryMetrics.overdueAmount, reportingCurrency)}</p>
         </div>
       </div>
 
+      {(summaryMetrics.lateFees > 0 || summaryMetrics.lateFeesWaived > 0) && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+          <div className="bg-white p-4 rounded-lg shadow-md border border-gray-100">
+            <h3 className="text-gray-500 text-sm font-medium mb-1">Late Fees Charged</h3>
+            <p className="text-2xl font-bold text-red-600">{formatCurrency(summaryMetrics.lateFees, reportingCurrency)}</p>
+          </div>
+          <div className="bg-white p-4 rounded-lg shadow-md border border-gray-100">
+            <h3 className="text-gray-500 text-sm font-medium mb-1">Late Fees Waived</h3>
+            <p className="text-2xl font-bold text-purple-600">{formatCurrency(summaryMetrics.lateFeesWaived, reportingCurrency)}</p>
+          </div>
+        </div>
+      )}
+
       {/* Filters */}
       <div className="bg-white p-6 rounded-lg shadow-md border border-gray-100 mb-6">
         <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-4">
@@ -247,7 +297,7 @@ const RentReportsPage = () => {
       </div>
 
       {/* Property Collection Performance */}
-      {reportData?.propertyPerformance && reportData.propertyPerformance.length > 0 && (
+      {summaryMetrics.propertyPerformance.length > 0 && (
         <div className="bg-white p-6 rounded-lg shadow-md border border-gray-100 mb-6">
           <h2 className="text-lg font-semibold mb-4" style={{ color: PRIMARY_COLOR }}>
             Property Collection Performance
@@ -265,12 +315,12 @@ const RentReportsPage = () => {
                 </tr>
               </thead>
               <tbody className="bg-white divide-y divide-gray-200">
-                {reportData.propertyPerformance.map((property, index) => (
+                {summaryMetrics.propertyPerformance.map((property, index) => (
                   <tr key={property.propertyId || index} className="hover:bg-gray-50">
                     <td className="px-4 py-2 text-sm font-medium">{property.propertyName || 'Unknown Property'}</td>
-                    <td className="px-4 py-2 text-sm">{formatCurrency(property.totalDue || 0)}</td>
-                    <td className="px-4 py-2 text-sm">{formatCurrency(property.collected || 0)}</td>
-                    <td className="px-4 py-2 text-sm">{formatCurrency(property.outstanding || 0)}</td>
+                    <td className="px-4 py-2 text-sm">{formatCurrency(property.totalDue || 0, reportingCurrency)}</td>
+                    <td className="px-4 py-2 text-sm">{formatCurrency(property.collected || 0, reportingCurrency)}</td>
+                    <td className="px-4 py-2 text-sm">{formatCurrency(property.outstanding || 0, reportingCurrency)}</td>
                     <td className="px-4 py-2 text-sm">
                       <div className={`font-medium ${
                         (property.collectionRate || 0) >= 90 ? 'text-green-600' : 
@@ -329,13 +379,13 @@ const RentReportsPage = () => {
                         {rent.property?.name || 'Unknown'} / {rent.unit?.unitName || 'Unknown'}
                       </td>
                       <td className="px-4 py-2 text-sm font-medium">
-                        {formatCurrency(rent.amountDue || 0, rent.currency || 'USD')}
+                        {formatCurrency(rent.amountDue || 0, resolveCurrency(rent.currency, rent.lease?.currency))}
                       </td>
                       <td className="px-4 py-2 text-sm">
-                        {formatCurrency(rent.amountPaid || 0, rent.currency || 'USD')}
+                        {formatCurrency(rent.amountPaid || 0, resolveCurrency(rent.currency, rent.lease?.currency))}
                       </td>
                       <td className="px-4 py-2 text-sm">
-                        {formatCurrency(Math.max(0, (rent.amountDue || 0) - (rent.amountPaid || 0)), rent.currency || 'USD')}
+                        {formatCurrency(Math.max(0, (rent.amountDue || 0) - (rent.amountPaid || 0)), resolveCurrency(rent.currency, rent.lease?.currency))}
                       </td>
                       <td className="px-4 py-2 text-sm">
                         <span className={`inline-block px-2 py-1 rounded-full text-xs capitalize ${
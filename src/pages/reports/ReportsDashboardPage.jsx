@@ -12,6 +12,7 @@ import {
   ExternalLink
 } from 'lucide-react';
 import { useAuth } from '../../contexts/AuthContext';
+import ReportSubscriptionsPanel from '../../components/ReportSubscriptionsPanel';
 import { USER_ROLES } from '../../utils/constants';
 
 // Branding
@@ -121,6 +122,8 @@ const ReportsDashboardPage = () => {
         ))}
       </div>
 
+      {(isAdmin || isPropertyManager || isLandlord) && <ReportSubscriptionsPanel />}
+
       <div className="mt-10 p-6 rounded-lg shadow-md border" style={{ borderColor: PRIMARY_COLOR + '30', background: '#fff' }}>
         <h2 className="text-xl font-semibold mb-4 flex items-center" style={{ color: PRIMARY_COLOR }}>
           <ClipboardList className="h-6 w-6 mr-2" style={{ color: SECONDARY_COLOR }} />
@@ -134,7 +137,7 @@ const ReportsDashboardPage = () => {
           <li>Use filters to narrow down data to specific properties, date ranges, and categories</li>
           <li>Export reports in CSV format for further analysis in spreadsheet applications</li>
           <li>Generate PDF reports for professional presentations and record-keeping</li>
-          <li>Schedule automated reports by setting up preferences in your account settings</li>
+          <li>Subscribe to a report under Emailed Reports to receive it weekly or monthly, and check the delivery log for past sends</li>
         </ul>
       </div>
     </div>
@@ -5,7 +5,7 @@ import Button from "../../components/common/Button";
 import DashboardFilters from "../../components/common/DashboardFilters";
 import Spinner from "../../components/common/Spinner";
 import { useGlobalAlert } from "../../contexts/GlobalAlertContext";
-import { getVendorPerformanceReport, exportReport } from "../../services/reportService";
+import { getVendorPerformanceReport, getSlaComplianceReport, exportReport } from "../../services/reportService";
 import { getAllProperties } from "../../services/propertyService";
 
 // Branding
@@ -25,6 +25,7 @@ const VendorPerformanceReportsPage = () => {
   });
   const [properties, setProperties] = useState([]);
   const [reportData, setReportData] = useState(null);
+  const [slaByVendor, setSlaByVendor] = useState({});
 
   // Fetch properties for filter dropdown
   useEffect(() => {
@@ -66,6 +67,28 @@ const VendorPerformanceReportsPage = () => {
     fetchReportData();
   }, [filters, showError]);
 
+  // Fetch SLA compliance per vendor separately so a missing SLA setup doesn't block the main report
+  useEffect(() => {
+    const fetchSlaData = async () => {
+      try {
+        const data = await getSlaComplianceReport({
+          startDate: filters.startDate,
+          endDate: filters.endDate,
+          propertyId: filters.propertyId || undefined,
+        });
+        setSlaByVendor((data?.byVendor || []).reduce((acc, row) => {
+          acc[row.vendor?._id || row.vendor] = row;
+          return acc;
+        }, {}));
+      } catch (err) {
+        console.error("Failed to load SLA compliance:", err);
+        setSlaByVendor({});
+      }
+    };
+
+    fetchSlaData();
+  }, [filters.startDate, filters.endDate, filters.propertyId]);
+
   // Handle export
   const handleExport = async (format) => {
     try {
@@ -274,6 +297,7 @@ const VendorPerformanceReportsPage = () => {
                   <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Completed Jobs</th>
                   <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Avg. Response Time</th>
                   <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">On-Time Rate</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">SLA Compliance</th>
                 </tr>
               </thead>
               <tbody className="bg-white divide-y divide-gray-200">
@@ -315,11 +339,27 @@ const VendorPerformanceReportsPage = () => {
                           {vendor.onTimeRate?.toFixed(1) || 0}%
                         </div>
                       </td>
+                      <td className="px-4 py-2 text-sm">
+                        {slaByVendor[vendor._id]?.tracked ? (
+                          <div className={`font-medium ${
+                            slaByVendor[vendor._id].complianceRate >= 90 ? 'text-green-600' : 
+                            slaByVendor[vendor._id].complianceRate >= 75 ? 'text-yellow-600' : 
+                            'text-red-600'
+                          }`}>
+                            {slaByVendor[vendor._id].complianceRate.toFixed(1)}%
+                            <span className="ml-1 text-xs font-normal text-gray-500">
+                              ({slaByVendor[vendor._id].breached} breached)
+                            </span>
+                          </div>
+                        ) : (
+                          'N/A'
+                        )}
+                      </td>
                     </tr>
                   ))
                 ) : (
                   <tr>
-                    <td colSpan={6} className="px-4 py-8 text-center text-gray-500">
+                    <td colSpan={7} className="px-4 py-8 text-center text-gray-500">
                       No vendor data found matching the current filters.
                     </td>
                   </tr>
@@ -2,9 +2,16 @@ import React, { useState, useEffect, useCallback } from "react";
 import { useParams, Link, useNavigate } from "react-router-dom";
 import Button from "../../components/common/Button";
 import Modal from "../../components/common/Modal";
+import RequestQuotesPanel from "../../components/RequestQuotesPanel";
+import MaintenanceCostsPanel from "../../components/MaintenanceCostsPanel";
+import SlaBadge from "../../components/SlaBadge";
+import MentionTextarea from "../../components/MentionTextarea";
+import MentionText from "../../components/MentionText";
+import useCommentMentions from "../../hooks/useCommentMentions";
+import { SLA_STAGE_ORDER, SLA_STAGE_LABELS, getSlaStageStatus, getSlaStoppedAt } from "../../utils/sla";
 import { useAuth } from "../../contexts/AuthContext";
 import { useGlobalAlert } from "../../contexts/GlobalAlertContext";
-import { ROUTES, REQUEST_STATUSES } from "../../utils/constants";
+import { ROUTES, REQUEST_STATUSES, SLA_STATUS } from "../../utils/constants";
 
 // Service imports
 import {
@@ -166,10 +173,14 @@ function RequestDetailPage() {
     fetchRequestDetails();
   }, [fetchRequestDetails]);
 
+  const linkedCommentId = useCommentMentions({ comments, contextType: 'request', contextId: requestId });
+
   // Determine if current user can perform various actions
   const canAssign = isAdmin || isPropertyManager || isLandlord;
   const canUpdateStatus = isAdmin || isPropertyManager || isLandlord;
   const canManagePublicLink = isAdmin || isPropertyManager || isLandlord;
+  const canManageCosts = isAdmin || isPropertyManager || isLandlord;
+  const canApproveCosts = isAdmin || isLandlord;
   const canAddComment = true; // Everyone can comment
   const canEdit = isAdmin || isPropertyManager || isLandlord || (isTenant && request?.createdBy?._id === user?._id);
   const canUploadMedia = isAdmin || isPropertyManager || isLandlord || (isTenant && request?.createdBy?._id === user?._id);
@@ -462,6 +473,31 @@ function RequestDetailPage() {
           <div>
             <strong>Priority:</strong> <PriorityBadge priority={request.priority} />
           </div>
+          {request.sla?.stages && (
+            <div className="md:col-span-2">
+              <strong>SLA:</strong> <SlaBadge request={request} showDeadline />
+              {request.sla.policy?.name && <span className="text-sm text-gray-500 ml-2">({request.sla.policy.name})</span>}
+              <ul className="mt-2 flex flex-wrap gap-x-6 gap-y-1 text-sm text-gray-600">
+                {SLA_STAGE_ORDER.filter(stage => request.sla.stages[stage]?.dueAt).map(stage => {
+                  const stageData = request.sla.stages[stage];
+                  const { status } = getSlaStageStatus(stageData, getSlaStoppedAt(request) || undefined);
+                  return (
+                    <li key={stage}>
+                      {SLA_STAGE_LABELS[stage]} by {new Date(stageData.dueAt).toLocaleString()}
+                      {stageData.metAt && (
+                        <span className={status === SLA_STATUS.MET ? 'text-green-700' : 'text-red-600'}>
+                          {' '}· {status === SLA_STATUS.MET ? 'met' : 'missed'} {new Date(stageData.metAt).toLocaleString()}
+                        </span>
+                      )}
+                    </li>
+                  );
+                })}
+              </ul>
+              {request.sla.escalatedAt && (
+                <p className="text-sm text-red-600 mt-1">Escalated to the landlord on {new Date(request.sla.escalatedAt).toLocaleString()}</p>
+              )}
+            </div>
+          )}
           <div className="md:col-span-2">
             <strong>Category:</strong> <span className="capitalize">{request.category}</span>
           </div>
@@ -514,6 +550,21 @@ function RequestDetailPage() {
         </div>
       )}
 
+      {/* Vendor Quotes: solicit bids, compare them and approve one to assign the request */}
+      {canAssign && (
+        <RequestQuotesPanel request={request} canManage={canAssign} onApproved={fetchRequestDetails} />
+      )}
+
+      {/* Costs: labour, materials and vendor invoices, with landlord approval above the property's threshold */}
+      {canManageCosts && (
+        <MaintenanceCostsPanel
+          requestId={request._id}
+          property={request.property}
+          canManage={canManageCosts}
+          canApprove={canApproveCosts}
+        />
+      )}
+
       {/* Media Section */}
       <div className="bg-white p-8 rounded-xl shadow-lg border mb-8" style={{ borderColor: PRIMARY_COLOR + "14" }}>
         <h2 className="text-2xl font-semibold mb-5 flex items-center" style={{ color: PRIMARY_COLOR }}>
@@ -611,14 +662,18 @@ function RequestDetailPage() {
         <div className="space-y-6 mb-6">
           {comments && comments.length > 0 ? (
             comments.map((comment) => (
-              <div key={comment._id} className="bg-gray-50 p-4 rounded-lg shadow-sm border border-gray-200">
+              <div
+                key={comment._id}
+                id={`comment-${comment._id}`}
+                className={`bg-gray-50 p-4 rounded-lg shadow-sm border ${comment._id === linkedCommentId ? 'border-blue-400 ring-2 ring-blue-200' : 'border-gray-200'}`}
+              >
                 <div className="flex justify-between items-center mb-2">
                   <p className="font-semibold text-gray-900">
                     {comment.user?.firstName ? `${comment.user.firstName} ${comment.user.lastName || ''}` : comment.user?.email || 'System'}
                   </p>
                   <p className="text-xs text-gray-500">{new Date(comment.createdAt).toLocaleString()}</p>
                 </div>
-                <p className="text-gray-800">{comment.message}</p>
+                <MentionText text={comment.message} className="text-gray-800" />
               </div>
             ))
           ) : (
@@ -629,12 +684,14 @@ function RequestDetailPage() {
           <div className="mt-6 border-t pt-6">
             <h3 className="text-xl font-semibold text-gray-800 mb-3">Add a Comment</h3>
             {commentError && <p className="text-red-500 text-sm mb-3">{commentError}</p>}
-            <textarea
+            <MentionTextarea
               className="w-full p-3 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 h-28 resize-y text-gray-800"
-              placeholder="Type your comment here..."
+              placeholder="Type your comment here... Use @ to mention someone."
               value={newComment}
-              onChange={(e) => setNewComment(e.target.value)}
-            ></textarea>
+              onChange={setNewComment}
+              contextType="request"
+              contextId={requestId}
+            />
             <div className="flex justify-end mt-4">
               <Button onClick={handleAddComment} className="bg-blue-600 hover:bg-blue-700 text-white py-2 px-5 rounded-lg shadow-md flex items-center">
                 <PlusCircle className="w-5 h-5 mr-2" /> Post Comment
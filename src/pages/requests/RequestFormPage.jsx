@@ -11,6 +11,7 @@ import { Wrench, Save, XCircle, UploadCloud, ArrowLeft } from "lucide-react";
 // Import services
 import { createRequest, getRequestById, updateRequest, uploadRequestMedia, deleteRequestMedia } from "../../services/requestService";
 import { getAllProperties } from "../../services/propertyService";
+import { addToOutbox, isNetworkError, REQUEST_FORM_PROPERTIES_CACHE_KEY } from "../../utils/requestOutbox";
 
 // Branding colors
 const PRIMARY_COLOR = "#219377";
@@ -21,7 +22,7 @@ function RequestFormPage() {
   const navigate = useNavigate();
   const location = useLocation();
   const { user, isAdmin, isPropertyManager, isLandlord, isTenant } = useAuth();
-  const { showSuccess, showError } = useGlobalAlert();
+  const { showSuccess, showError, showInfo } = useGlobalAlert();
   
   const isEditMode = !!requestId;
 
@@ -59,7 +60,16 @@ function RequestFormPage() {
       setLoading(true);
       setError(null);
       try {
-        const propertiesData = await getAllProperties();
+        let propertiesData;
+        try {
+          propertiesData = await getAllProperties();
+          // Remember the list so the form still works when the tenant is offline
+          localStorage.setItem(REQUEST_FORM_PROPERTIES_CACHE_KEY, JSON.stringify(propertiesData.properties || propertiesData));
+        } catch (fetchErr) {
+          const cached = localStorage.getItem(REQUEST_FORM_PROPERTIES_CACHE_KEY);
+          if (isEditMode || !cached || !isNetworkError(fetchErr)) throw fetchErr;
+          propertiesData = JSON.parse(cached);
+        }
         setProperties(propertiesData.properties || propertiesData);
 
         // Pre-populate property/unit from URL query params if creating
@@ -176,17 +186,17 @@ function RequestFormPage() {
     }
 
     setLoading(true);
-    try {
-      const payload = {
-        title: formData.title,
-        description: formData.description,
-        category: formData.category,
-        priority: formData.priority,
-        propertyId: formData.propertyId,
-        unitId: formData.unitId || null, // Ensure null if empty
-        media: formData.existingMedia, // Pass existing media URLs back
-      };
+    const payload = {
+      title: formData.title,
+      description: formData.description,
+      category: formData.category,
+      priority: formData.priority,
+      propertyId: formData.propertyId,
+      unitId: formData.unitId || null, // Ensure null if empty
+      media: formData.existingMedia, // Pass existing media URLs back
+    };
 
+    try {
       if (isEditMode) {
         // For updates, send the text fields and then handle new media separately
         await updateRequest(requestId, payload);
@@ -201,6 +211,18 @@ function RequestFormPage() {
       }
       navigate(`${getBasePath()}/requests`);
     } catch (err) {
+      // No connection: keep the new request (and its photos) in the outbox instead of losing it
+      if (!isEditMode && isNetworkError(err)) {
+        try {
+          await addToOutbox(user._id, payload, formData.mediaFiles);
+          showInfo("You're offline. Your request was saved and will be sent automatically when you reconnect.", 8000);
+          navigate(`${getBasePath()}/requests`);
+          return;
+        } catch (outboxErr) {
+          console.error("Failed to save request offline:", outboxErr);
+        }
+      }
+
       const message = err.response?.data?.message || err.message;
       setError(`Failed to ${isEditMode ? 'update' : 'create'} request: ${message}`);
       showError(`Failed to ${isEditMode ? 'update' : 'create'} request: ${message}`);
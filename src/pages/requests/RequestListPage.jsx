@@ -3,6 +3,9 @@ import { Link, useSearchParams, useNavigate } from "react-router-dom";
 import Button from "../../components/common/Button";
 import Modal from "../../components/common/Modal";
 import Pagination from "../../components/common/Pagination";
+import OfflineRequestQueue from "../../components/OfflineRequestQueue";
+import SlaBadge from "../../components/SlaBadge";
+import RequestKanbanBoard from "../../components/RequestKanbanBoard";
 import { useAuth } from "../../contexts/AuthContext";
 import { useGlobalAlert } from "../../contexts/GlobalAlertContext";
 import { ROUTES, REQUEST_STATUSES, PRIORITY_LEVELS } from "../../utils/constants";
@@ -16,13 +19,18 @@ import { getAllUsers } from "../../services/userService";
 // Icons
 import {
   PlusCircle, Search, UserPlus, CheckCircle, RefreshCcw, Archive, Eye, 
-  Edit, Wrench
+  Edit, Wrench, Timer, Table2, Kanban
 } from "lucide-react";
 
 // Constants for styling
 const PRIMARY_COLOR = "#219377";
 const SECONDARY_COLOR = "#ffbd59";
 
+const VIEW_MODES = [
+  { mode: "table", label: "Table", icon: <Table2 className="w-4 h-4 mr-1" /> },
+  { mode: "board", label: "Board", icon: <Kanban className="w-4 h-4 mr-1" /> },
+];
+
 const RequestListPage = () => {
   const navigate = useNavigate();
   const { user, isAdmin, isPropertyManager, isLandlord, isTenant } = useAuth();
@@ -43,6 +51,7 @@ const RequestListPage = () => {
   const [filterSearch, setFilterSearch] = useState(searchParams.get("search") || "");
   const [currentPage, setCurrentPage] = useState(parseInt(searchParams.get("page") || "1"));
   const [itemsPerPage, setItemsPerPage] = useState(10);
+  const [viewMode, setViewMode] = useState(searchParams.get("view") === "board" ? "board" : "table");
   const [totalRequests, setTotalRequests] = useState(0);
 
   // Assignment modal state
@@ -92,8 +101,10 @@ const RequestListPage = () => {
 
   // Fetch requests with filters and pagination
   useEffect(() => {
-    fetchRequests();
+    // The board loads its own data, without paging
+    if (viewMode === "table") fetchRequests();
     const newParams = {};
+    if (viewMode === "board") newParams.view = viewMode;
     if (filterStatus) newParams.status = filterStatus;
     if (filterProperty) newParams.propertyId = filterProperty;
     if (filterSearch) newParams.search = filterSearch;
@@ -101,7 +112,7 @@ const RequestListPage = () => {
     newParams.limit = itemsPerPage;
     setSearchParams(newParams);
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [filterStatus, filterProperty, filterSearch, currentPage, itemsPerPage]);
+  }, [filterStatus, filterProperty, filterSearch, currentPage, itemsPerPage, viewMode]);
 
   const fetchRequests = async () => {
     setLoading(true);
@@ -179,6 +190,13 @@ const RequestListPage = () => {
   const canUpdateStatus = isAdmin || isPropertyManager || isLandlord;
   const canCreate = isAdmin || isPropertyManager || isLandlord || isTenant;
 
+  // Columns already split the board by status, so the status filter only applies to the table
+  const boardFilters = {
+    propertyId: filterProperty || undefined,
+    search: filterSearch || undefined,
+    createdBy: isTenant ? user._id : undefined,
+  };
+
   // CSS helper for status badges
   const getStatusBadgeClass = (status) => {
     switch (status) {
@@ -200,17 +218,30 @@ const RequestListPage = () => {
           <Wrench className="w-8 h-8 mr-3" style={{ color: SECONDARY_COLOR }} />
           Maintenance Requests
         </h1>
-        {canCreate && (
-          <Link to={`${getBasePath()}/requests/add`}>
-            <Button className="flex items-center px-5 py-2 rounded-lg shadow-md" style={{
-              backgroundColor: PRIMARY_COLOR,
-              color: "#fff",
-              fontWeight: 600
-            }}>
-              <PlusCircle className="w-5 h-5 mr-2" /> Create Request
-            </Button>
-          </Link>
-        )}
+        <div className="flex items-center gap-3">
+          {isAdmin && (
+            <Link to={`${getBasePath()}/requests/sla-policies`}>
+              <Button className="flex items-center px-4 py-2 rounded-lg border" style={{
+                borderColor: PRIMARY_COLOR,
+                color: PRIMARY_COLOR,
+                fontWeight: 600
+              }}>
+                <Timer className="w-5 h-5 mr-2" /> SLA Policies
+              </Button>
+            </Link>
+          )}
+          {canCreate && (
+            <Link to={`${getBasePath()}/requests/add`}>
+              <Button className="flex items-center px-5 py-2 rounded-lg shadow-md" style={{
+                backgroundColor: PRIMARY_COLOR,
+                color: "#fff",
+                fontWeight: 600
+              }}>
+                <PlusCircle className="w-5 h-5 mr-2" /> Create Request
+              </Button>
+            </Link>
+          )}
+        </div>
       </div>
 
       {error && (
@@ -220,20 +251,24 @@ const RequestListPage = () => {
         </div>
       )}
 
+      {isTenant && <OfflineRequestQueue />}
+
       {/* Controls and Filters */}
       <div className="flex flex-wrap items-center justify-between gap-4 mb-6 p-4 bg-white rounded-lg shadow-sm border border-gray-100">
         <div className="flex items-center gap-3 flex-wrap">
-          <select
-            id="filterStatus"
-            value={filterStatus}
-            onChange={(e) => setFilterStatus(e.target.value)}
-            className="px-3 py-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
-          >
-            <option value="">All Statuses</option>
-            {Object.entries(REQUEST_STATUSES).map(([key, value]) => (
-              <option key={value} value={value}>{value.replace(/_/g, ' ')}</option>
-            ))}
-          </select>
+          {viewMode === "table" && (
+            <select
+              id="filterStatus"
+              value={filterStatus}
+              onChange={(e) => setFilterStatus(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+            >
+              <option value="">All Statuses</option>
+              {Object.entries(REQUEST_STATUSES).map(([key, value]) => (
+                <option key={value} value={value}>{value.replace(/_/g, ' ')}</option>
+              ))}
+            </select>
+          )}
           
           <select
             id="filterProperty"
@@ -261,159 +296,187 @@ const RequestListPage = () => {
             </Button>
           </form>
         </div>
+        {canUpdateStatus && (
+          <div className="flex items-center rounded-lg border border-gray-300 overflow-hidden">
+            {VIEW_MODES.map(({ mode, label, icon }) => (
+              <button
+                key={mode}
+                onClick={() => setViewMode(mode)}
+                className={`flex items-center px-3 py-2 text-sm font-medium ${viewMode === mode ? "text-white" : "text-gray-700 bg-white hover:bg-gray-50"}`}
+                style={viewMode === mode ? { backgroundColor: PRIMARY_COLOR } : undefined}
+              >
+                {icon} {label}
+              </button>
+            ))}
+          </div>
+        )}
       </div>
 
-      {/* Requests Table */}
-      <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-100">
-        {loading ? (
-          <div className="flex justify-center items-center h-64">
-            <p className="text-xl text-gray-600">Loading requests...</p>
-          </div>
-        ) : requests.length === 0 ? (
-          <p className="text-gray-600 italic text-center py-8">No maintenance requests found matching your criteria.</p>
-        ) : (
-          <div className="overflow-x-auto">
-            <table className="min-w-full divide-y divide-gray-200">
-              <thead className="bg-gray-50">
-                <tr>
-                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Title</th>
-                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
-                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Priority</th>
-                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Category</th>
-                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Property / Unit</th>
-                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Requested By</th>
-                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Assigned To</th>
-                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
-                </tr>
-              </thead>
-              <tbody className="bg-white divide-y divide-gray-200">
-                {requests.map((req) => (
-                  <tr key={req._id} className="hover:bg-gray-50">
-                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
-                      <Link to={`${getBasePath()}/requests/${req._id}`} className="text-indigo-600 hover:underline">
-                        {req.title}
-                      </Link>
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
-                      <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full capitalize ${getStatusBadgeClass(req.status)}`}>
-                        {req.status.replace(/_/g, ' ')}
-                      </span>
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700 capitalize">
-                      <span className={`font-semibold ${
-                        req.priority === 'urgent' ? 'text-red-600' :
-                        req.priority === 'high' ? 'text-orange-500' :
-                        'text-gray-700'
-                      }`}>
-                        {req.priority || 'Medium'}
-                      </span>
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700 capitalize">{req.category}</td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
-                      {req.property?.name || 'N/A'} {req.unit?.unitName ? `/ ${req.unit.unitName}` : ''}
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
-                      {req.createdBy?.firstName ? `${req.createdBy.firstName} ${req.createdBy.lastName || ''}` : req.createdBy?.email || 'N/A'}
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
-                      {req.assignedTo?.name || req.assignedTo?.firstName ? 
-                        `${req.assignedTo.name || `${req.assignedTo.firstName} ${req.assignedTo.lastName || ''}`}` : 
-                        'Unassigned'}
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
-                      <div className="flex items-center space-x-2">
-                        {/* View Details */}
-                        <Link to={`${getBasePath()}/requests/${req._id}`} className="text-indigo-600 hover:text-indigo-900" title="View Details">
-                          <Eye className="w-5 h-5" />
+      {/* Requests Board / Table */}
+      {viewMode === "board" ? (
+        <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-100">
+          <RequestKanbanBoard
+            filters={boardFilters}
+            basePath={getBasePath()}
+            canMove={canUpdateStatus}
+          />
+        </div>
+      ) : (
+        <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-100">
+          {loading ? (
+            <div className="flex justify-center items-center h-64">
+              <p className="text-xl text-gray-600">Loading requests...</p>
+            </div>
+          ) : requests.length === 0 ? (
+            <p className="text-gray-600 italic text-center py-8">No maintenance requests found matching your criteria.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Title</th>
+                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Priority</th>
+                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">SLA</th>
+                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Category</th>
+                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Property / Unit</th>
+                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Requested By</th>
+                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Assigned To</th>
+                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {requests.map((req) => (
+                    <tr key={req._id} className="hover:bg-gray-50">
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                        <Link to={`${getBasePath()}/requests/${req._id}`} className="text-indigo-600 hover:underline">
+                          {req.title}
                         </Link>
-                        
-                        {/* Edit */}
-                        {(isAdmin || isPropertyManager || isLandlord || (isTenant && req.createdBy?._id === user._id)) && (
-                          <Link to={`${getBasePath()}/requests/edit/${req._id}`} className="text-blue-600 hover:text-blue-900" title="Edit Request">
-                            <Edit className="w-5 h-5" />
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                        <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full capitalize ${getStatusBadgeClass(req.status)}`}>
+                          {req.status.replace(/_/g, ' ')}
+                        </span>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700 capitalize">
+                        <span className={`font-semibold ${
+                          req.priority === 'urgent' ? 'text-red-600' :
+                          req.priority === 'high' ? 'text-orange-500' :
+                          'text-gray-700'
+                        }`}>
+                          {req.priority || 'Medium'}
+                        </span>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm">
+                        <SlaBadge request={req} />
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700 capitalize">{req.category}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                        {req.property?.name || 'N/A'} {req.unit?.unitName ? `/ ${req.unit.unitName}` : ''}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                        {req.createdBy?.firstName ? `${req.createdBy.firstName} ${req.createdBy.lastName || ''}` : req.createdBy?.email || 'N/A'}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                        {req.assignedTo?.name || req.assignedTo?.firstName ? 
+                          `${req.assignedTo.name || `${req.assignedTo.firstName} ${req.assignedTo.lastName || ''}`}` : 
+                          'Unassigned'}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                        <div className="flex items-center space-x-2">
+                          {/* View Details */}
+                          <Link to={`${getBasePath()}/requests/${req._id}`} className="text-indigo-600 hover:text-indigo-900" title="View Details">
+                            <Eye className="w-5 h-5" />
                           </Link>
-                        )}
-                        
-                        {/* Assign - only for appropriate roles and status */}
-                        {canAssign && req.status === 'new' && (
-                          <Button 
-                            onClick={() => handleOpenAssignModal(req._id)} 
-                            className="text-purple-600 hover:text-purple-900 p-1 rounded-md" 
-                            style={{ backgroundColor: "#f3e8ff" }}
-                            title="Assign"
-                          >
-                            <UserPlus className="w-5 h-5" />
-                          </Button>
-                        )}
-                        
-                        {/* Status Management Actions */}
-                        {canUpdateStatus && (
-                          <>
-                            {/* Mark Completed */}
-                            {(req.status === 'assigned' || req.status === 'in_progress') && (
-                              <Button 
-                                onClick={() => handleUpdateStatus(req._id, 'completed')} 
-                                className="text-green-600 hover:text-green-900 p-1 rounded-md" 
-                                style={{ backgroundColor: "#dcfce7" }}
-                                title="Mark Completed"
-                              >
-                                <CheckCircle className="w-5 h-5" />
-                              </Button>
-                            )}
-                            
-                            {/* Mark Verified */}
-                            {req.status === 'completed' && (
-                              <Button 
-                                onClick={() => handleUpdateStatus(req._id, 'verified')} 
-                                className="text-teal-600 hover:text-teal-900 p-1 rounded-md" 
-                                style={{ backgroundColor: "#ccfbf1" }}
-                                title="Mark Verified"
-                              >
-                                <CheckCircle className="w-5 h-5" />
-                              </Button>
-                            )}
-                            
-                            {/* Reopen */}
-                            {(req.status === 'completed' || req.status === 'verified') && (
-                              <Button 
-                                onClick={() => handleUpdateStatus(req._id, 'reopened')} 
-                                className="text-orange-600 hover:text-orange-900 p-1 rounded-md" 
-                                style={{ backgroundColor: "#fef3c7" }}
-                                title="Reopen Request"
-                              >
-                                <RefreshCcw className="w-5 h-5" />
-                              </Button>
-                            )}
-                            
-                            {/* Archive */}
-                            {req.status !== 'archived' && (
-                              <Button 
-                                onClick={() => handleUpdateStatus(req._id, 'archived')} 
-                                className="text-gray-600 hover:text-gray-900 p-1 rounded-md" 
-                                style={{ backgroundColor: "#f3f4f6" }}
-                                title="Archive Request"
-                              >
-                                <Archive className="w-5 h-5" />
-                              </Button>
-                            )}
-                          </>
-                        )}
-                      </div>
-                    </td>
-                  </tr>
-                ))}
-              </tbody>
-            </table>
-          </div>
-        )}
-        
-        <Pagination
-          totalItems={totalRequests}
-          itemsPerPage={itemsPerPage}
-          currentPage={currentPage}
-          onPageChange={setCurrentPage}
-        />
-      </div>
+                          
+                          {/* Edit */}
+                          {(isAdmin || isPropertyManager || isLandlord || (isTenant && req.createdBy?._id === user._id)) && (
+                            <Link to={`${getBasePath()}/requests/edit/${req._id}`} className="text-blue-600 hover:text-blue-900" title="Edit Request">
+                              <Edit className="w-5 h-5" />
+                            </Link>
+                          )}
+                          
+                          {/* Assign - only for appropriate roles and status */}
+                          {canAssign && req.status === 'new' && (
+                            <Button 
+                              onClick={() => handleOpenAssignModal(req._id)} 
+                              className="text-purple-600 hover:text-purple-900 p-1 rounded-md" 
+                              style={{ backgroundColor: "#f3e8ff" }}
+                              title="Assign"
+                            >
+                              <UserPlus className="w-5 h-5" />
+                            </Button>
+                          )}
+                          
+                          {/* Status Management Actions */}
+                          {canUpdateStatus && (
+                            <>
+                              {/* Mark Completed */}
+                              {(req.status === 'assigned' || req.status === 'in_progress') && (
+                                <Button 
+                                  onClick={() => handleUpdateStatus(req._id, 'completed')} 
+                                  className="text-green-600 hover:text-green-900 p-1 rounded-md" 
+                                  style={{ backgroundColor: "#dcfce7" }}
+                                  title="Mark Completed"
+                                >
+                                  <CheckCircle className="w-5 h-5" />
+                                </Button>
+                              )}
+                              
+                              {/* Mark Verified */}
+                              {req.status === 'completed' && (
+                                <Button 
+                                  onClick={() => handleUpdateStatus(req._id, 'verified')} 
+                                  className="text-teal-600 hover:text-teal-900 p-1 rounded-md" 
+                                  style={{ backgroundColor: "#ccfbf1" }}
+                                  title="Mark Verified"
+                                >
+                                  <CheckCircle className="w-5 h-5" />
+                                </Button>
+                              )}
+                              
+                              {/* Reopen */}
+                              {(req.status === 'completed' || req.status === 'verified') && (
+                                <Button 
+                                  onClick={() => handleUpdateStatus(req._id, 'reopened')} 
+                                  className="text-orange-600 hover:text-orange-900 p-1 rounded-md" 
+                                  style={{ backgroundColor: "#fef3c7" }}
+                                  title="Reopen Request"
+                                >
+                                  <RefreshCcw className="w-5 h-5" />
+                                </Button>
+                              )}
+                              
+                              {/* Archive */}
+                              {req.status !== 'archived' && (
+                                <Button 
+                                  onClick={() => handleUpdateStatus(req._id, 'archived')} 
+                                  className="text-gray-600 hover:text-gray-900 p-1 rounded-md" 
+                                  style={{ backgroundColor: "#f3f4f6" }}
+                                  title="Archive Request"
+                                >
+                                  <Archive className="w-5 h-5" />
+                                </Button>
+                              )}
+                            </>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+          
+          <Pagination
+            totalItems={totalRequests}
+            itemsPerPage={itemsPerPage}
+            currentPage={currentPage}
+            onPageChange={setCurrentPage}
+          />
+        </div>
+      )}
 
       {/* Assign Request Modal */}
       <Modal
@@ -0,0 +1,224 @@
+// frontend/src/pages/requests/SlaPoliciesPage.jsx
+
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Timer, PlusCircle, Edit, Trash2, ArrowLeft, BellRing } from 'lucide-react';
+import Button from '../../components/common/Button';
+import Modal from '../../components/common/Modal';
+import LoadingSpinner from '../../components/common/LoadingSpinner';
+import { useSlaPolicies, useSlaPolicyMutations } from '../../hooks/useSlaPolicies';
+import useRoleBasedPath from '../../hooks/useRoleBasedPath';
+import { PRIORITY_LEVELS, MAINTENANCE_CATEGORIES } from '../../utils/constants';
+
+const PRIMARY_COLOR = '#219377';
+
+const HOUR_FIELDS = [
+  { name: 'assignWithinHours', label: 'Assign within (hours)' },
+  { name: 'startWithinHours', label: 'Start within (hours)' },
+  { name: 'completeWithinHours', label: 'Complete within (hours)' },
+];
+
+const toPolicyForm = (policy) => ({
+  name: policy?.name || '',
+  priority: policy?.priority || PRIORITY_LEVELS.URGENT,
+  category: policy?.category || '',
+  assignWithinHours: policy?.assignWithinHours ?? '',
+  startWithinHours: policy?.startWithinHours ?? '',
+  completeWithinHours: policy?.completeWithinHours ?? '',
+  escalateToLandlord: policy?.escalateToLandlord ?? true,
+  isActive: policy?.isActive ?? true
+});
+
+const formatHours = (hours) => {
+  if (hours == null || hours === '') return '—';
+  return hours >= 48 && hours % 24 === 0 ? `${hours / 24} days` : `${hours} h`;
+};
+
+/**
+ * Add/edit form for one SLA policy.
+ */
+const PolicyForm = ({ policy, onDone }) => {
+  const [form, setForm] = useState(() => toPolicyForm(policy));
+  const { createPolicy, isCreatingPolicy, updatePolicy, isUpdatingPolicy } = useSlaPolicyMutations();
+
+  const setField = (field) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const hasTarget = HOUR_FIELDS.some(({ name }) => Number(form[name]) > 0);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const policyData = {
+      ...form,
+      name: form.name.trim(),
+      category: form.category || null,
+      ...Object.fromEntries(HOUR_FIELDS.map(({ name }) => [name, form[name] === '' ? null : Number(form[name])]))
+    };
+    if (policy) {
+      updatePolicy({ policyId: policy._id, updates: policyData }, { onSuccess: onDone });
+    } else {
+      createPolicy(policyData, { onSuccess: onDone });
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div>
+        <label htmlFor="slaName" className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+        <input id="slaName" type="text" value={form.name} onChange={setField('name')} placeholder="e.g. Urgent plumbing" className="w-full p-2 border border-gray-300 rounded-md" required />
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label htmlFor="slaPriority" className="block text-sm font-medium text-gray-700 mb-1">Priority</label>
+          <select id="slaPriority" value={form.priority} onChange={setField('priority')} className="w-full p-2 border border-gray-300 rounded-md capitalize">
+            {Object.values(PRIORITY_LEVELS).map(priority => (
+              <option key={priority} value={priority}>{priority}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="slaCategory" className="block text-sm font-medium text-gray-700 mb-1">Category</label>
+          <select id="slaCategory" value={form.category} onChange={setField('category')} className="w-full p-2 border border-gray-300 rounded-md capitalize">
+            <option value="">Any category</option>
+            {MAINTENANCE_CATEGORIES.map(category => (
+              <option key={category} value={category}>{category.replace(/_/g, ' ')}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        {HOUR_FIELDS.map(({ name, label }) => (
+          <div key={name}>
+            <label htmlFor={name} className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+            <input id={name} type="number" min="1" value={form[name]} onChange={setField(name)} className="w-full p-2 border border-gray-300 rounded-md" />
+          </div>
+        ))}
+      </div>
+      <p className="text-xs text-gray-500">All targets are counted from when the request is created. Leave a target blank to not track that stage.</p>
+
+      <label className="flex items-center gap-2 text-sm text-gray-700">
+        <input type="checkbox" checked={form.escalateToLandlord} onChange={setField('escalateToLandlord')} />
+        Notify the property's landlord when a target is breached
+      </label>
+      <label className="flex items-center gap-2 text-sm text-gray-700">
+        <input type="checkbox" checked={form.isActive} onChange={setField('isActive')} />
+        Active (applies to new requests)
+      </label>
+
+      <div className="flex justify-end gap-3">
+        <Button variant="secondary" onClick={onDone}>Cancel</Button>
+        <Button type="submit" loading={isCreatingPolicy || isUpdatingPolicy} disabled={!form.name.trim() || !hasTarget}>
+          {policy ? 'Save Policy' : 'Create Policy'}
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+/**
+ * Response-time targets for maintenance requests, per priority and category.
+ */
+function SlaPoliciesPage() {
+  const [editing, setEditing] = useState(null); // policy being edited, or {} for a new one
+  const { data: policies = [], isLoading } = useSlaPolicies();
+  const { deletePolicy, isDeletingPolicy } = useSlaPolicyMutations();
+  const { getPath } = useRoleBasedPath();
+
+  const handleDelete = (policy) => {
+    if (!window.confirm(`Delete the SLA policy "${policy.name}"? Open requests keep their current deadlines.`)) return;
+    deletePolicy(policy._id);
+  };
+
+  return (
+    <div className="p-4 md:p-8 min-h-full bg-gray-50">
+      <Link to={getPath('requests')} className="flex items-center text-gray-600 hover:text-gray-900 mb-2">
+        <ArrowLeft className="w-5 h-5 mr-1" /> Back to Requests
+      </Link>
+      <div className="flex justify-between items-center mb-7 border-b pb-3" style={{ borderColor: PRIMARY_COLOR }}>
+        <h1 className="text-3xl font-extrabold flex items-center" style={{ color: PRIMARY_COLOR }}>
+          <Timer className="w-8 h-8 mr-3" /> SLA Policies
+        </h1>
+        <Button onClick={() => setEditing({})}>
+          <PlusCircle className="w-5 h-5 mr-2" /> Add Policy
+        </Button>
+      </div>
+
+      <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-100">
+        {isLoading ? (
+          <div className="flex justify-center py-12"><LoadingSpinner /></div>
+        ) : policies.length === 0 ? (
+          <p className="text-gray-600 italic text-center py-8">
+            No SLA policies yet. Add one to start tracking response times, e.g. urgent requests assigned within 2 hours.
+          </p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Policy</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Priority</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Category</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Assign</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Start</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Complete</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {policies.map(policy => (
+                  <tr key={policy._id} className={policy.isActive ? 'hover:bg-gray-50' : 'opacity-60'}>
+                    <td className="px-6 py-4 text-sm font-medium text-gray-900">
+                      {policy.name}
+                      {!policy.isActive && <span className="ml-2 text-xs text-gray-500">(inactive)</span>}
+                      {policy.escalateToLandlord && (
+                        <span className="ml-2 inline-flex items-center text-xs text-gray-500" title="Escalates to the landlord on breach">
+                          <BellRing className="w-3 h-3" />
+                        </span>
+                      )}
+                    </td>
+                    <td className={`px-6 py-4 text-sm font-semibold capitalize ${
+                      policy.priority === 'urgent' ? 'text-red-600' :
+                      policy.priority === 'high' ? 'text-orange-500' :
+                      'text-gray-700'
+                    }`}>
+                      {policy.priority}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-700 capitalize">{policy.categoryDisplay}</td>
+                    <td className="px-6 py-4 text-sm text-gray-700">{formatHours(policy.assignWithinHours)}</td>
+                    <td className="px-6 py-4 text-sm text-gray-700">{formatHours(policy.startWithinHours)}</td>
+                    <td className="px-6 py-4 text-sm text-gray-700">{formatHours(policy.completeWithinHours)}</td>
+                    <td className="px-6 py-4 text-sm">
+                      <div className="flex items-center gap-3">
+                        <button onClick={() => setEditing(policy)} className="text-blue-600 hover:text-blue-900" title="Edit Policy">
+                          <Edit className="w-5 h-5" />
+                        </button>
+                        <button onClick={() => handleDelete(policy)} disabled={isDeletingPolicy} className="text-red-600 hover:text-red-900 disabled:opacity-50" title="Delete Policy">
+                          <Trash2 className="w-5 h-5" />
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <Modal
+        isOpen={!!editing}
+        onClose={() => setEditing(null)}
+        title={editing?._id ? `Edit ${editing.name}` : 'Add SLA Policy'}
+        className="max-w-2xl"
+      >
+        {editing && <PolicyForm key={editing._id || 'new'} policy={editing._id ? editing : null} onDone={() => setEditing(null)} />}
+      </Modal>
+    </div>
+  );
+}
+
+export default SlaPoliciesPage;
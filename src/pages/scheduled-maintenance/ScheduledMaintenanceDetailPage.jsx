@@ -14,6 +14,10 @@ import {
 import Button from '../../components/common/Button';
 import LoadingSpinner from '../../components/common/LoadingSpinner';
 import Modal from '../../components/common/Modal';
+import MaintenanceCostsPanel from '../../components/MaintenanceCostsPanel';
+import MentionTextarea from '../../components/MentionTextarea';
+import MentionText from '../../components/MentionText';
+import useCommentMentions from '../../hooks/useCommentMentions';
 import { useGlobalAlert } from '../../contexts/GlobalAlertContext';
 import { useAuth } from '../../contexts/AuthContext';
 import { formatDate } from '../../utils/helpers';
@@ -52,6 +56,8 @@ const ScheduledMaintenanceDetailPage = () => {
   const canDelete = isAdmin || isPropertyManager || isLandlord;
   const canChangeStatus = isAdmin || isPropertyManager || isLandlord;
   const canCreateRequest = isAdmin || isPropertyManager || isLandlord;
+  const canManageCosts = isAdmin || isPropertyManager || isLandlord;
+  const canApproveCosts = isAdmin || isLandlord;
   
   // Get base URL for navigation
   const getBaseUrl = () => {
@@ -82,6 +88,8 @@ const ScheduledMaintenanceDetailPage = () => {
       fetchTaskDetails();
     }
   }, [taskId, fetchTaskDetails]);
+
+  const linkedCommentId = useCommentMentions({ comments: task?.comments, contextType: 'scheduledmaintenance', contextId: taskId });
   
   // Handle comment submission
   const handleAddComment = async (e) => {
@@ -332,6 +340,16 @@ const ScheduledMaintenanceDetailPage = () => {
             )}
           </div>
           
+          {/* Costs section */}
+          {canManageCosts && (
+            <MaintenanceCostsPanel
+              scheduledMaintenanceId={task._id}
+              property={task.property}
+              canManage={canManageCosts}
+              canApprove={canApproveCosts}
+            />
+          )}
+          
           {/* Comments section */}
           <div className="bg-white rounded-lg shadow p-6">
             <h2 className="text-xl font-semibold text-gray-800 mb-4 flex items-center">
@@ -341,7 +359,11 @@ const ScheduledMaintenanceDetailPage = () => {
             <div className="space-y-4 mb-6">
               {task.comments && task.comments.length > 0 ? (
                 task.comments.map((comment) => (
-                  <div key={comment._id} className="bg-gray-50 p-4 rounded-lg">
+                  <div
+                    key={comment._id}
+                    id={`comment-${comment._id}`}
+                    className={`bg-gray-50 p-4 rounded-lg ${comment._id === linkedCommentId ? 'ring-2 ring-blue-200' : ''}`}
+                  >
                     <div className="flex justify-between items-start">
                       <div className="font-medium text-gray-900">
                         {comment.user?.firstName} {comment.user?.lastName}
@@ -350,7 +372,7 @@ const ScheduledMaintenanceDetailPage = () => {
                       </div>
                       <div className="text-sm text-gray-500">{formatDate(comment.createdAt)}</div>
                     </div>
-                    <p className="mt-2 text-gray-700">{comment.message}</p>
+                    <MentionText text={comment.message} className="mt-2 text-gray-700" />
                   </div>
                 ))
               ) : (
@@ -364,13 +386,15 @@ const ScheduledMaintenanceDetailPage = () => {
                 <label htmlFor="comment" className="block text-sm font-medium text-gray-700 mb-1">
                   Add a Comment
                 </label>
-                <textarea
+                <MentionTextarea
                   id="comment"
                   rows={3}
                   className="w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-blue-500 focus:border-blue-500"
                   value={commentText}
-                  onChange={(e) => setCommentText(e.target.value)}
-                  placeholder="Enter your comment here..."
+                  onChange={setCommentText}
+                  contextType="scheduledmaintenance"
+                  contextId={taskId}
+                  placeholder="Enter your comment here... Use @ to mention someone."
                   disabled={isAddingComment}
                 />
               </div>
@@ -7,7 +7,9 @@ import * as unitService from "../../services/unitService.js";
 import * as userService from "../../services/userService.js";
 import Button from "../../components/common/Button.jsx";
 import LoadingSpinner from "../../components/common/LoadingSpinner.jsx";
+import UnitInspectionsPanel from "../../components/UnitInspectionsPanel.jsx";
 import { useGlobalAlert } from "../../contexts/GlobalAlertContext.jsx";
+import useI18n from "../../hooks/useI18n.js";
 
 // Brand colors for consistency
 const PRIMARY_COLOR = "#219377";
@@ -16,18 +18,19 @@ const SECONDARY_COLOR = "#ffbd59";
 function MyUnitPage() {
   const { unitId } = useParams();
   const { showError } = useGlobalAlert();
+  const { t } = useI18n();
   
   // Fetch user profile to check authorization and get property ID
   const { data: profile, isLoading: profileLoading, isError: profileError } = useQuery({
     queryKey: ['userProfile'],
     queryFn: () => userService.getMyProfile(),
     onError: (error) => {
-      showError("Failed to load profile: " + (error.message || "Unknown error"));
+      showError({ key: "tenant.myUnit.profileLoadFailed", params: { error: error.message } });
     }
   });
   
   // Find the relevant tenancy for this unit
-  const tenancy = profile?.associations?.tenancies?.find(t => t.unit?._id === unitId);
+  const tenancy = profile?.associations?.tenancies?.find(tenancy => tenancy.unit?._id === unitId);
   const propertyId = tenancy?.property?._id;
   
   // Only fetch unit details if we have authorization (propertyId found)
@@ -36,7 +39,7 @@ function MyUnitPage() {
     queryFn: () => unitService.getUnitById(propertyId, unitId),
     enabled: !!propertyId && !!unitId,
     onError: (error) => {
-      showError("Failed to load unit details: " + (error.message || "Unknown error"));
+      showError({ key: "tenant.myUnit.unitLoadFailed", params: { error: error.message } });
     }
   });
 
@@ -50,7 +53,7 @@ function MyUnitPage() {
       <div className="flex justify-center items-center h-full">
         <LoadingSpinner size="lg" color={PRIMARY_COLOR} />
         <p className="ml-4 text-xl" style={{ color: PRIMARY_COLOR + "99" }}>
-          Loading unit details...
+          {t("tenant.myUnit.loading")}
         </p>
       </div>
     );
@@ -61,26 +64,26 @@ function MyUnitPage() {
     return (
       <div className="flex justify-center items-center h-full">
         <div className="bg-yellow-100 text-yellow-800 p-6 rounded-xl shadow-lg max-w-lg text-center border" style={{ borderColor: SECONDARY_COLOR }}>
-          <h2 className="text-2xl font-bold mb-2">Access Restricted</h2>
+          <h2 className="text-2xl font-bold mb-2">{t("tenant.myUnit.accessRestricted")}</h2>
           <p>
-            <strong>You are not authorized to view this unit, or it does not exist.</strong>
+            <strong>{t("tenant.myUnit.notAuthorized")}</strong>
           </p>
           <p className="mt-3">
-            This can happen if you've not been officially linked to a property or unit yet.
+            {t("tenant.myUnit.notLinked")}
           </p>
           <div className="mt-2 text-left text-base">
-            <strong>What to do:</strong>
+            <strong>{t("tenant.myUnit.whatToDo")}</strong>
             <ul className="list-disc list-inside mt-2">
-              <li>Contact your property manager if you need access.</li>
-              <li>If you believe this is an error, please reach out to support.</li>
+              <li>{t("tenant.myUnit.contactManager")}</li>
+              <li>{t("tenant.myUnit.reachSupport")}</li>
             </ul>
           </div>
           <div className="mt-6 flex flex-col sm:flex-row justify-center gap-3">
             <Link to="/tenant/dashboard">
-              <Button className="bg-emerald-600 hover:bg-emerald-700 text-white py-2 px-4 rounded-lg shadow">Go to Dashboard</Button>
+              <Button className="bg-emerald-600 hover:bg-emerald-700 text-white py-2 px-4 rounded-lg shadow">{t("tenant.common.goToDashboard")}</Button>
             </Link>
             <a href="mailto:support@yourcompany.com">
-              <Button className="bg-gray-300 hover:bg-gray-400 text-gray-800 py-2 px-4 rounded-lg shadow">Contact Support</Button>
+              <Button className="bg-gray-300 hover:bg-gray-400 text-gray-800 py-2 px-4 rounded-lg shadow">{t("tenant.common.contactSupport")}</Button>
             </a>
           </div>
         </div>
@@ -93,11 +96,11 @@ function MyUnitPage() {
     return (
       <div className="flex justify-center items-center h-full">
         <div className="bg-red-100 text-red-700 p-6 rounded-xl shadow-lg max-w-lg text-center border" style={{ borderColor: "#ff6b6b" }}>
-          <h2 className="text-xl font-bold mb-2">Error</h2>
-          <p>Failed to load unit details. Please try again later.</p>
+          <h2 className="text-xl font-bold mb-2">{t("tenant.common.error")}</h2>
+          <p>{t("tenant.myUnit.loadError")}</p>
           <div className="mt-4">
             <Link to="/tenant/dashboard">
-              <Button className="bg-emerald-600 hover:bg-emerald-700 text-white py-2 px-4 rounded-lg shadow">Go to Dashboard</Button>
+              <Button className="bg-emerald-600 hover:bg-emerald-700 text-white py-2 px-4 rounded-lg shadow">{t("tenant.common.goToDashboard")}</Button>
             </Link>
           </div>
         </div>
@@ -110,11 +113,11 @@ function MyUnitPage() {
     return (
       <div className="flex justify-center items-center h-full">
         <div className="bg-yellow-50 text-yellow-700 p-6 rounded-xl shadow-lg max-w-lg text-center border" style={{ borderColor: SECONDARY_COLOR }}>
-          <h2 className="text-xl font-bold mb-2">Unit Not Found</h2>
-          <p>The unit you are trying to view could not be found.</p>
+          <h2 className="text-xl font-bold mb-2">{t("tenant.myUnit.notFoundTitle")}</h2>
+          <p>{t("tenant.myUnit.notFound")}</p>
           <div className="mt-4">
             <Link to="/tenant/dashboard">
-              <Button className="bg-emerald-600 hover:bg-emerald-700 text-white py-2 px-4 rounded-lg shadow">Go to Dashboard</Button>
+              <Button className="bg-emerald-600 hover:bg-emerald-700 text-white py-2 px-4 rounded-lg shadow">{t("tenant.common.goToDashboard")}</Button>
             </Link>
           </div>
         </div>
@@ -132,7 +135,7 @@ function MyUnitPage() {
         className="text-3xl font-extrabold mb-7 border-b pb-3 flex items-center"
         style={{ color: PRIMARY_COLOR, borderColor: PRIMARY_COLOR }}
       >
-        Unit: {formattedUnit.unitName}
+        {t("tenant.myUnit.title", { name: formattedUnit.unitName })}
         {formattedUnit.property && (
           <span className="text-xl text-gray-600 ml-4">
             ({formattedUnit.property.name})
@@ -146,42 +149,42 @@ function MyUnitPage() {
       >
         <div className="space-y-4 text-gray-700 text-lg">
           <p>
-            <strong>Property:</strong> {formattedUnit.property?.name || "N/A"}
+            <strong>{t("tenant.myUnit.property")}</strong> {formattedUnit.property?.name || t("tenant.common.notAvailable")}
           </p>
           <p>
-            <strong>Address:</strong>{" "}
+            <strong>{t("tenant.myUnit.address")}</strong>{" "}
             {[
               formattedUnit.property?.address?.street,
               formattedUnit.property?.address?.city,
               formattedUnit.property?.address?.state,
               formattedUnit.property?.address?.country
-            ].filter(Boolean).join(", ") || "N/A"}
+            ].filter(Boolean).join(", ") || t("tenant.common.notAvailable")}
           </p>
           <p>
-            <strong>Unit Name:</strong> {formattedUnit.unitName}
+            <strong>{t("tenant.myUnit.unitName")}</strong> {formattedUnit.unitName}
           </p>
           <p>
-            <strong>Floor:</strong> {formattedUnit.floor || "N/A"}
+            <strong>{t("tenant.myUnit.floor")}</strong> {formattedUnit.floor || t("tenant.common.notAvailable")}
           </p>
           <p>
-            <strong>Details:</strong> {formattedUnit.details || "No additional details."}
+            <strong>{t("tenant.myUnit.details")}</strong> {formattedUnit.details || t("tenant.myUnit.noDetails")}
           </p>
           <p>
-            <strong>Bedrooms:</strong> {formattedUnit.numBedrooms ?? "N/A"}
+            <strong>{t("tenant.myUnit.bedrooms")}</strong> {formattedUnit.numBedrooms ?? t("tenant.common.notAvailable")}
           </p>
           <p>
-            <strong>Bathrooms:</strong> {formattedUnit.numBathrooms ?? "N/A"}
+            <strong>{t("tenant.myUnit.bathrooms")}</strong> {formattedUnit.numBathrooms ?? t("tenant.common.notAvailable")}
           </p>
           <p>
-            <strong>Square Footage:</strong>{" "}
-            {formattedUnit.squareFootage ? `${formattedUnit.squareFootage} sq ft` : "N/A"}
+            <strong>{t("tenant.myUnit.squareFootage")}</strong>{" "}
+            {formattedUnit.squareFootage ? t("tenant.myUnit.squareFeet", { value: formattedUnit.squareFootage }) : t("tenant.common.notAvailable")}
           </p>
           <p>
-            <strong>Rent Amount:</strong>{" "}
-            {formattedUnit.formattedRent || (formattedUnit.rentAmount ? `$${formattedUnit.rentAmount.toLocaleString()}` : "N/A")}
+            <strong>{t("tenant.myUnit.rentAmount")}</strong>{" "}
+            {formattedUnit.formattedRent || (formattedUnit.rentAmount ? `$${formattedUnit.rentAmount.toLocaleString()}` : t("tenant.common.notAvailable"))}
           </p>
           <p>
-            <strong>Status:</strong>{" "}
+            <strong>{t("tenant.myUnit.status")}</strong>{" "}
             <span className={`capitalize ${formattedUnit.statusClass || ""}`}>
               {formattedUnit.status}
             </span>
@@ -190,11 +193,11 @@ function MyUnitPage() {
           {/* Display current tenants if any (excluding self if this is a shared unit) */}
           {formattedUnit.tenants && formattedUnit.tenants.length > 0 && (
             <div className="mt-6 border-t pt-4">
-              <h3 className="text-xl font-semibold mb-3">Occupants:</h3>
+              <h3 className="text-xl font-semibold mb-3">{t("tenant.myUnit.occupants")}</h3>
               <ul className="list-disc list-inside space-y-1">
-                {formattedUnit.tenants.map((t) => (
-                  <li key={t._id}>
-                    {profile && t._id === profile._id ? "You" : t.name || t.email}
+                {formattedUnit.tenants.map((occupant) => (
+                  <li key={occupant._id}>
+                    {profile && occupant._id === profile._id ? t("tenant.myUnit.you") : occupant.name || occupant.email}
                   </li>
                 ))}
               </ul>
@@ -207,12 +210,16 @@ function MyUnitPage() {
             to={`/tenant/requests/add?propertyId=${formattedUnit.property?._id}&unitId=${formattedUnit._id}`}
           >
             <Button className="bg-green-600 hover:bg-green-700 text-white py-2 px-5 rounded-lg shadow-md">
-              Submit Request for this Unit
+              {t("tenant.myUnit.submitRequest")}
             </Button>
           </Link>
           {/* Future: Add more tenant actions here */}
         </div>
       </div>
+
+      <div className="max-w-3xl mx-auto mt-8">
+        <UnitInspectionsPanel propertyId={propertyId} unitId={unitId} canManage={false} />
+      </div>
     </div>
   );
 }
@@ -9,6 +9,7 @@ import LoadingSpinner from "../../components/common/LoadingSpinner.jsx";
 import { Loader2, ServerCrash } from "lucide-react";
 import { FaCalendarAlt } from "react-icons/fa";
 import { useGlobalAlert } from "../../contexts/GlobalAlertContext.jsx";
+import useI18n from "../../hooks/useI18n.js";
 
 // Brand Colors
 const PRIMARY_COLOR = "#219377";
@@ -18,13 +19,14 @@ const ScheduledWorksPage = () => {
   const [filter, setFilter] = useState("upcoming"); // 'upcoming' or 'past'
   const { user } = useAuth();
   const { showError } = useGlobalAlert();
+  const { t } = useI18n();
 
   // Fetch scheduled maintenance tasks
   const { data: maintenanceTasks, isLoading, error } = useQuery({
     queryKey: ['scheduledMaintenance'],
     queryFn: () => scheduledMaintenanceService.getAllScheduledMaintenance(),
     onError: (err) => {
-      showError("Failed to load scheduled works: " + (err.message || "Unknown error"));
+      showError({ key: "tenant.scheduledWorks.loadFailed", params: { error: err.message } });
     }
   });
 
@@ -52,7 +54,7 @@ const ScheduledWorksPage = () => {
     return (
       <div className="flex justify-center items-center min-h-screen bg-gray-50">
         <LoadingSpinner size="lg" color={PRIMARY_COLOR} className="mr-4" />
-        <p className="text-xl text-gray-700 font-semibold">Loading scheduled maintenance...</p>
+        <p className="text-xl text-gray-700 font-semibold">{t("tenant.scheduledWorks.loading")}</p>
       </div>
     );
   }
@@ -61,15 +63,15 @@ const ScheduledWorksPage = () => {
     return (
       <div className="flex flex-col items-center justify-center min-h-screen bg-gray-50 p-6">
         <ServerCrash size={64} className="text-red-500 mb-4" />
-        <h2 className="text-2xl font-bold text-gray-800 mb-2">Error Loading Data</h2>
+        <h2 className="text-2xl font-bold text-gray-800 mb-2">{t("tenant.scheduledWorks.loadErrorTitle")}</h2>
         <p className="text-gray-600 max-w-md text-center mb-6">
-          We couldn't load your scheduled maintenance tasks. Please try again later.
+          {t("tenant.scheduledWorks.loadError")}
         </p>
         <button
           onClick={() => window.location.reload()}
           className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition"
         >
-          Try Again
+          {t("tenant.common.tryAgain")}
         </button>
       </div>
     );
@@ -83,10 +85,10 @@ const ScheduledWorksPage = () => {
             className="text-3xl font-extrabold mb-2" 
             style={{ color: PRIMARY_COLOR }}
           >
-            Scheduled Maintenance
+            {t("tenant.scheduledWorks.title")}
           </h1>
           <p className="text-gray-600">
-            View upcoming and past scheduled maintenance for your unit and property.
+            {t("tenant.scheduledWorks.subtitle")}
           </p>
         </div>
         
@@ -101,7 +103,7 @@ const ScheduledWorksPage = () => {
             style={filter === "upcoming" ? { backgroundColor: PRIMARY_COLOR } : {}}
             onClick={() => setFilter("upcoming")}
           >
-            Upcoming
+            {t("tenant.scheduledWorks.upcoming")}
           </button>
           <button
             className={`px-5 py-2.5 rounded-r-lg font-medium transition ${
@@ -112,7 +114,7 @@ const ScheduledWorksPage = () => {
             style={filter === "past" ? { backgroundColor: PRIMARY_COLOR } : {}}
             onClick={() => setFilter("past")}
           >
-            Past
+            {t("tenant.scheduledWorks.past")}
           </button>
         </div>
       </div>
@@ -121,11 +123,11 @@ const ScheduledWorksPage = () => {
       {filteredTasks.length === 0 ? (
         <div className="bg-white rounded-xl shadow-md p-8 text-center">
           <FaCalendarAlt className="text-gray-400 text-5xl mx-auto mb-4" />
-          <h3 className="text-xl font-medium text-gray-700">No scheduled maintenance {filter === "upcoming" ? "upcoming" : "in the past"}</h3>
+          <h3 className="text-xl font-medium text-gray-700">{t(filter === "upcoming" ? "tenant.scheduledWorks.noUpcomingTitle" : "tenant.scheduledWorks.noPastTitle")}</h3>
           <p className="text-gray-500 mt-2">
             {filter === "upcoming"
-              ? "There is no scheduled maintenance planned at this time."
-              : "No past maintenance records were found."}
+              ? t("tenant.scheduledWorks.noUpcoming")
+              : t("tenant.scheduledWorks.noPast")}
           </p>
         </div>
       ) : (
@@ -145,21 +147,21 @@ const ScheduledWorksPage = () => {
                 
                 <div className="mt-4 space-y-2 text-gray-600">
                   <p>
-                    <strong>Scheduled:</strong>{" "}
+                    <strong>{t("tenant.scheduledWorks.scheduled")}</strong>{" "}
                     {task.scheduledDateFormatted || new Date(task.scheduledDate).toLocaleDateString()}
                   </p>
                   <p>
-                    <strong>Property:</strong> {task.propertyName || "N/A"}
+                    <strong>{t("tenant.scheduledWorks.property")}</strong> {task.propertyName || t("tenant.common.notAvailable")}
                   </p>
                   <p>
-                    <strong>Unit:</strong> {task.unitName || "N/A"}
+                    <strong>{t("tenant.scheduledWorks.unit")}</strong> {task.unitName || t("tenant.common.notAvailable")}
                   </p>
                   <p>
-                    <strong>Category:</strong> {task.categoryDisplay || task.category || "General"}
+                    <strong>{t("tenant.scheduledWorks.category")}</strong> {task.categoryDisplay || task.category || t("tenant.scheduledWorks.general")}
                   </p>
                   {task.assigneeName && (
                     <p>
-                      <strong>Assigned To:</strong> {task.assigneeName}
+                      <strong>{t("tenant.scheduledWorks.assignedTo")}</strong> {task.assigneeName}
                     </p>
                   )}
                 </div>
@@ -168,7 +170,7 @@ const ScheduledWorksPage = () => {
                   <div className="text-gray-700 whitespace-pre-wrap">
                     {task.description && task.description.length > 200
                       ? `${task.description.substring(0, 200)}...`
-                      : task.description || "No additional details provided."}
+                      : task.description || t("tenant.scheduledWorks.noDescription")}
                   </div>
                 </div>
 
@@ -176,19 +178,19 @@ const ScheduledWorksPage = () => {
                 <div className="mt-4 border-t border-gray-100 pt-4">
                   {task.status === "completed" ? (
                     <div className="text-green-600">
-                      Completed on {task.lastExecutedAtFormatted || new Date(task.lastExecutedAt).toLocaleDateString()}
+                      {t("tenant.scheduledWorks.completedOn", { date: task.lastExecutedAtFormatted || new Date(task.lastExecutedAt).toLocaleDateString() })}
                     </div>
                   ) : task.status === "in_progress" ? (
                     <div className="text-yellow-600">
-                      Work in progress
+                      {t("tenant.scheduledWorks.inProgress")}
                     </div>
                   ) : task.recurring ? (
                     <div className="text-blue-600">
-                      {task.frequencyDisplay || `Recurring: ${task.frequency?.type || "regularly"}`}
+                      {task.frequencyDisplay || t("tenant.scheduledWorks.recurring", { frequency: task.frequency?.type || t("tenant.scheduledWorks.regularly") })}
                     </div>
                   ) : (
                     <div className="text-gray-600">
-                      One-time scheduled maintenance
+                      {t("tenant.scheduledWorks.oneTime")}
                     </div>
                   )}
                 </div>
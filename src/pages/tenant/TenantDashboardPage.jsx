@@ -10,6 +10,7 @@ import { useQuery } from "@tanstack/react-query";
 // Import hooks and services
 import { useAuth } from "../../contexts/AuthContext.jsx";
 import { useGlobalAlert } from "../../contexts/GlobalAlertContext.jsx";
+import useI18n from "../../hooks/useI18n.js";
 import { useRents } from "../../hooks/useRents.js";
 import { useLeases } from "../../hooks/useLeases.js";
 import { useProperties } from "../../hooks/useProperties.js";
@@ -53,6 +54,7 @@ const LeaseStatusBadge = ({ status }) => {
   const base = "px-2.5 py-1 rounded-full text-xs font-semibold uppercase tracking-wide";
   switch (status?.toLowerCase()) {
     case LEASE_STATUS_ENUM.ACTIVE: return <span className={`${base} bg-green-100 text-green-800`}>{status}</span>;
+    case LEASE_STATUS_ENUM.UPCOMING: return <span className={`${base} bg-indigo-100 text-indigo-800`}>{status}</span>;
     case LEASE_STATUS_ENUM.EXPIRED: return <span className={`${base} bg-red-100 text-red-800`}>{status}</span>;
     case LEASE_STATUS_ENUM.PENDING_RENEWAL: return <span className={`${base} bg-yellow-100 text-yellow-800`}>{status.replace(/_/g, ' ')}</span>;
     case LEASE_STATUS_ENUM.TERMINATED: return <span className={`${base} bg-gray-100 text-gray-800`}>{status}</span>;
@@ -65,6 +67,7 @@ export default function TenantDashboard() {
   const { user } = useAuth();
   const navigate = useNavigate();
   const { showSuccess, showError } = useGlobalAlert();
+  const { t } = useI18n();
 
   // Feedback modal state
   const [showFeedbackModal, setShowFeedbackModal] = useState(false);
@@ -146,7 +149,7 @@ export default function TenantDashboard() {
 
   const handleSubmitFeedback = async () => {
     if (!selectedRequestId || feedbackRating === 0) {
-      showError("Please provide a rating (1-5 stars) to submit feedback.");
+      showError({ key: "tenant.dashboard.ratingRequired" });
       return;
     }
     try {
@@ -154,16 +157,16 @@ export default function TenantDashboard() {
         rating: feedbackRating,
         comment: feedbackComment,
       });
-      showSuccess("Feedback submitted successfully!");
+      showSuccess({ key: "tenant.dashboard.feedbackSubmitted" });
       handleCloseFeedbackModal();
       
       // Refresh requests data
       refetchRequests();
     } catch (err) {
-      showError(
-        "Failed to submit feedback. " +
-        (err.response?.data?.message || err.message)
-      );
+      showError({
+        key: "tenant.dashboard.feedbackFailed",
+        params: { error: err.response?.data?.message || err.message },
+      });
     }
   };
 
@@ -176,7 +179,7 @@ export default function TenantDashboard() {
     return (
       <div className="flex justify-center items-center min-h-screen bg-gray-50">
         <LoadingSpinner size="lg" color="#219377" className="mr-4" />
-        <p className="text-xl text-gray-700 font-semibold">Loading your dashboard...</p>
+        <p className="text-xl text-gray-700 font-semibold">{t("tenant.dashboard.loading")}</p>
       </div>
     );
   }
@@ -197,10 +200,10 @@ export default function TenantDashboard() {
   return (
     <div className="p-4 md:p-8 min-h-full bg-gray-50">
       <h1 className="text-3xl font-extrabold mb-7 border-b pb-3 text-green-700 border-green-700">
-        Welcome, {profile?.firstName || profile?.email || user?.firstName || user?.email}!
+        {t("tenant.dashboard.welcome", { name: profile?.firstName || profile?.email || user?.firstName || user?.email })}
       </h1>
       <p className="text-lg text-gray-700 mb-8">
-        Here's a snapshot of your property, maintenance, and financial activity.
+        {t("tenant.dashboard.subtitle")}
       </p>
 
       {/* Quick Actions & Profile Summary */}
@@ -208,18 +211,18 @@ export default function TenantDashboard() {
         {/* Your Profile Card */}
         <div className="bg-white p-6 rounded-xl shadow-lg border border-green-200">
           <h2 className="text-xl font-semibold mb-4 text-green-700 flex items-center">
-            <Home className="w-5 h-5 mr-2" /> Your Profile
+            <Home className="w-5 h-5 mr-2" /> {t("tenant.dashboard.yourProfile")}
           </h2>
           {profile && (
             <div className="text-gray-700 space-y-2">
               <div>
-                <b className="font-medium">Name:</b> {profile.firstName} {profile.lastName}
+                <b className="font-medium">{t("tenant.dashboard.name")}</b> {profile.firstName} {profile.lastName}
               </div>
               <div>
-                <b className="font-medium">Email:</b> {profile.email}
+                <b className="font-medium">{t("tenant.dashboard.email")}</b> {profile.email}
               </div>
               <div>
-                <b className="font-medium">Phone:</b> {profile.phone || "N/A"}
+                <b className="font-medium">{t("tenant.dashboard.phone")}</b> {profile.phone || t("tenant.common.notAvailable")}
               </div>
             </div>
           )}
@@ -228,7 +231,7 @@ export default function TenantDashboard() {
               to={ROUTES.TENANT_PROFILE}
               className="text-blue-600 hover:underline font-medium text-lg flex items-center"
             >
-              Manage Profile <span className="ml-1 text-xl">&rarr;</span>
+              {t("tenant.dashboard.manageProfile")} <span className="ml-1 text-xl">&rarr;</span>
             </Link>
           </div>
         </div>
@@ -236,17 +239,17 @@ export default function TenantDashboard() {
         {/* Quick Actions Card */}
         <div className="bg-white p-6 rounded-xl shadow-lg border border-green-200">
           <h2 className="text-xl font-semibold mb-4 text-green-700 flex items-center">
-            <PlusCircle className="w-5 h-5 mr-2" /> Quick Actions
+            <PlusCircle className="w-5 h-5 mr-2" /> {t("tenant.dashboard.quickActions")}
           </h2>
           <div className="flex flex-col space-y-3">
             <Button
               onClick={() => navigate(ROUTES.REQUEST_ADD)}
               className="w-full bg-green-600 hover:bg-green-700 text-white py-3 rounded-lg shadow-md text-lg"
             >
-              + Submit New Request
+              + {t("tenant.dashboard.submitRequest")}
             </Button>
             <p className="text-sm text-gray-500 italic mt-2">
-              You will typically be invited to join a property by your landlord or property manager.
+              {t("tenant.dashboard.inviteHint")}
             </p>
           </div>
         </div>
@@ -254,26 +257,26 @@ export default function TenantDashboard() {
         {/* My Current Unit Card */}
         <div className="bg-white p-6 rounded-xl shadow-lg border border-green-200">
           <h2 className="text-xl font-semibold mb-4 text-green-700 flex items-center">
-            <Home className="w-5 h-5 mr-2" /> My Current Unit
+            <Home className="w-5 h-5 mr-2" /> {t("tenant.dashboard.currentUnit")}
           </h2>
           {currentUnit ? (
             <div className="space-y-2 text-gray-700">
               <p>
-                <strong>Property:</strong> {currentProperty?.name || "N/A"}
+                <strong>{t("tenant.dashboard.property")}</strong> {currentProperty?.name || t("tenant.common.notAvailable")}
               </p>
               <p>
-                <strong>Unit:</strong> {currentUnit.unitName || "N/A"}
+                <strong>{t("tenant.dashboard.unit")}</strong> {currentUnit.unitName || t("tenant.common.notAvailable")}
               </p>
               <Link
                 to={ROUTES.TENANT_MY_UNIT.replace(':unitId', currentUnit._id)}
                 className="text-blue-600 hover:underline"
               >
-                View Unit Details
+                {t("tenant.dashboard.viewUnit")}
               </Link>
             </div>
           ) : (
             <p className="text-gray-600 italic">
-              No unit assigned yet. Please contact your property manager.
+              {t("tenant.dashboard.noUnit")}
             </p>
           )}
         </div>
@@ -283,36 +286,36 @@ export default function TenantDashboard() {
       <div className="bg-white p-6 rounded-xl shadow-lg border border-orange-200 mb-8">
         <div className="flex justify-between items-center mb-4">
           <h3 className="text-2xl font-semibold text-orange-600 flex items-center">
-            <FileText className="w-6 h-6 mr-2" /> My Leases
+            <FileText className="w-6 h-6 mr-2" /> {t("tenant.dashboard.myLeases")}
           </h3>
           <Link
             to={ROUTES.LEASES}
             className="text-blue-600 hover:underline font-medium"
           >
-            View All Leases &rarr;
+            {t("tenant.dashboard.viewAllLeases")} &rarr;
           </Link>
         </div>
         {leases.length === 0 ? (
-          <p className="text-gray-600 italic">No lease agreements found.</p>
+          <p className="text-gray-600 italic">{t("tenant.dashboard.noLeases")}</p>
         ) : (
           <div className="overflow-x-auto">
             <table className="min-w-full divide-y divide-gray-200">
               <thead className="bg-gray-50">
                 <tr>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Property / Unit
+                    {t("tenant.dashboard.columns.propertyUnit")}
                   </th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Lease Term
+                    {t("tenant.dashboard.columns.leaseTerm")}
                   </th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Rent Amount
+                    {t("tenant.dashboard.columns.rentAmount")}
                   </th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Status
+                    {t("tenant.dashboard.columns.status")}
                   </th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Actions
+                    {t("tenant.dashboard.columns.actions")}
                   </th>
                 </tr>
               </thead>
@@ -320,13 +323,13 @@ export default function TenantDashboard() {
                 {leases.slice(0, 3).map((lease) => (
                   <tr key={lease._id}>
                     <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
-                      {lease.propertyName || "N/A"} / {lease.unitName || "N/A"}
+                      {lease.propertyName || t("tenant.common.notAvailable")} / {lease.unitName || t("tenant.common.notAvailable")}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
                       {formatDate(lease.leaseStartDate)} - {formatDate(lease.leaseEndDate)}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
-                      ${lease.monthlyRent?.toFixed(2) || "0.00"} / {lease.rentFrequency || "month"}
+                      ${lease.monthlyRent?.toFixed(2) || "0.00"} / {lease.rentFrequency || t("tenant.dashboard.month")}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
                       <LeaseStatusBadge status={lease.status} />
@@ -336,8 +339,16 @@ export default function TenantDashboard() {
                         to={ROUTES.LEASE_DETAILS.replace(':leaseId', lease._id)}
                         className="text-blue-600 hover:text-blue-900"
                       >
-                        View Details
+                        {t("tenant.dashboard.viewDetails")}
                       </Link>
+                      {lease.status === LEASE_STATUS_ENUM.PENDING_RENEWAL && (
+                        <Link
+                          to={ROUTES.TENANT_LEASE_RENEWAL.replace(':leaseId', lease._id)}
+                          className="ml-4 text-green-700 hover:text-green-900 font-semibold"
+                        >
+                          {t("tenant.dashboard.reviewRenewal")}
+                        </Link>
+                      )}
                     </td>
                   </tr>
                 ))}
@@ -351,36 +362,39 @@ export default function TenantDashboard() {
       <div className="bg-white p-6 rounded-xl shadow-lg border border-orange-200 mb-8">
         <div className="flex justify-between items-center mb-4">
           <h3 className="text-2xl font-semibold text-orange-600 flex items-center">
-            <DollarSign className="w-6 h-6 mr-2" /> Recent Payments
+            <DollarSign className="w-6 h-6 mr-2" /> {t("tenant.dashboard.recentPayments")}
           </h3>
           <Link
             to={ROUTES.PAYMENTS}
             className="text-blue-600 hover:underline font-medium"
           >
-            View All Payments &rarr;
+            {t("tenant.dashboard.viewAllPayments")} &rarr;
           </Link>
         </div>
         {rents.length === 0 ? (
-          <p className="text-gray-600 italic">No recent payment records found.</p>
+          <p className="text-gray-600 italic">{t("tenant.dashboard.noPayments")}</p>
         ) : (
           <div className="overflow-x-auto">
             <table className="min-w-full divide-y divide-gray-200">
               <thead className="bg-gray-50">
                 <tr>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Property / Unit
+                    {t("tenant.dashboard.columns.propertyUnit")}
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    {t("tenant.dashboard.columns.amount")}
                   </th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Amount
+                    {t("tenant.dashboard.columns.dueDate")}
                   </th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Due Date
+                    {t("tenant.dashboard.columns.status")}
                   </th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Status
+                    {t("tenant.dashboard.columns.paidOn")}
                   </th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Paid On
+                    <span className="sr-only">{t("tenant.dashboard.columns.actions")}</span>
                   </th>
                 </tr>
               </thead>
@@ -388,7 +402,7 @@ export default function TenantDashboard() {
                 {rents.slice(0, 3).map((rent) => (
                   <tr key={rent._id}>
                     <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
-                      {rent.propertyName || "N/A"} / {rent.unitName || "N/A"}
+                      {rent.propertyName || t("tenant.common.notAvailable")} / {rent.unitName || t("tenant.common.notAvailable")}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
                       {rent.formattedAmount || `$${rent.amountDue?.toFixed(2) || "0.00"}`}
@@ -397,10 +411,20 @@ export default function TenantDashboard() {
                       {rent.formattedDueDate || formatDate(rent.dueDate)}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700 capitalize">
-                      {rent.statusDisplay || rent.status?.replace(/_/g, ' ') || "N/A"}
+                      {rent.statusDisplay || rent.status?.replace(/_/g, ' ') || t("tenant.common.notAvailable")}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
-                      {rent.formattedPaymentDate || (rent.paymentDate ? formatDate(rent.paymentDate) : "N/A")}
+                      {rent.formattedPaymentDate || (rent.paymentDate ? formatDate(rent.paymentDate) : t("tenant.common.notAvailable"))}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-right">
+                      {rent.balance > 0 && (
+                        <Link
+                          to={ROUTES.TENANT_PAY_RENT.replace(':rentId', rent._id)}
+                          className="inline-flex items-center px-3 py-1.5 rounded-lg bg-green-600 text-white hover:bg-green-700 font-medium"
+                        >
+                          {t("tenant.dashboard.pay", { amount: rent.formattedBalance })}
+                        </Link>
+                      )}
                     </td>
                   </tr>
                 ))}
@@ -414,18 +438,18 @@ export default function TenantDashboard() {
       <div className="bg-white p-6 rounded-xl shadow-lg border border-green-200 mb-8">
         <div className="flex justify-between items-center mb-4">
           <h3 className="text-2xl font-semibold text-green-700 flex items-center">
-            <Wrench className="w-6 h-6 mr-2" /> My Maintenance Requests
+            <Wrench className="w-6 h-6 mr-2" /> {t("tenant.dashboard.myRequests")}
           </h3>
           <Link
             to={ROUTES.REQUESTS}
             className="text-blue-600 hover:underline font-medium"
           >
-            View All Requests &rarr;
+            {t("tenant.dashboard.viewAllRequests")} &rarr;
           </Link>
         </div>
         {recentRequests.length === 0 ? (
           <p className="text-gray-600 italic">
-            You have no maintenance requests submitted yet.
+            {t("tenant.dashboard.noRequests")}
           </p>
         ) : (
           <div className="overflow-x-auto">
@@ -433,19 +457,19 @@ export default function TenantDashboard() {
               <thead className="bg-gray-50">
                 <tr>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Title
+                    {t("tenant.dashboard.columns.title")}
                   </th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Status
+                    {t("tenant.dashboard.columns.status")}
                   </th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Category
+                    {t("tenant.dashboard.columns.category")}
                   </th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Submitted
+                    {t("tenant.dashboard.columns.submitted")}
                   </th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Actions
+                    {t("tenant.dashboard.columns.actions")}
                   </th>
                 </tr>
               </thead>
@@ -471,18 +495,18 @@ export default function TenantDashboard() {
                         to={ROUTES.REQUEST_DETAILS.replace(':requestId', req._id)}
                         className="text-blue-600 hover:text-blue-900 mr-3"
                       >
-                        View
+                        {t("tenant.dashboard.view")}
                       </Link>
                       {req.status === REQUEST_STATUSES.COMPLETED && !req.feedback?.submittedAt && (
                         <button
                           onClick={() => handleOpenFeedbackModal(req._id)}
                           className="text-green-600 hover:text-green-900"
                         >
-                          Give Feedback
+                          {t("tenant.dashboard.giveFeedback")}
                         </button>
                       )}
                       {req.status === REQUEST_STATUSES.COMPLETED && req.feedback?.submittedAt && (
-                        <span className="text-gray-500 italic ml-2">Feedback Given</span>
+                        <span className="text-gray-500 italic ml-2">{t("tenant.dashboard.feedbackGiven")}</span>
                       )}
                     </td>
                   </tr>
@@ -497,18 +521,18 @@ export default function TenantDashboard() {
       <div className="bg-white p-6 rounded-xl shadow-lg border border-green-200 mb-8">
         <div className="flex justify-between items-center mb-4">
           <h3 className="text-2xl font-semibold text-green-700 flex items-center">
-            <CalendarDays className="w-6 h-6 mr-2" /> Upcoming Scheduled Maintenance
+            <CalendarDays className="w-6 h-6 mr-2" /> {t("tenant.dashboard.upcomingMaintenance")}
           </h3>
           <Link
             to={ROUTES.SCHEDULED_MAINTENANCE}
             className="text-blue-600 hover:underline font-medium"
           >
-            View All &rarr;
+            {t("tenant.dashboard.viewAll")} &rarr;
           </Link>
         </div>
         {upcomingMaintenance.length === 0 ? (
           <p className="text-gray-600 italic">
-            No upcoming scheduled maintenance for your unit/property.
+            {t("tenant.dashboard.noMaintenance")}
           </p>
         ) : (
           <div className="overflow-x-auto">
@@ -516,19 +540,19 @@ export default function TenantDashboard() {
               <thead className="bg-gray-50">
                 <tr>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Title
+                    {t("tenant.dashboard.columns.title")}
                   </th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Property
+                    {t("tenant.dashboard.columns.property")}
                   </th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Unit
+                    {t("tenant.dashboard.columns.unit")}
                   </th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Scheduled Date
+                    {t("tenant.dashboard.columns.scheduledDate")}
                   </th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Status
+                    {t("tenant.dashboard.columns.status")}
                   </th>
                 </tr>
               </thead>
@@ -539,10 +563,10 @@ export default function TenantDashboard() {
                       {task.title}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
-                      {task.propertyName || task.property?.name || "N/A"}
+                      {task.propertyName || task.property?.name || t("tenant.common.notAvailable")}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
-                      {task.unitName || task.unit?.unitName || "N/A"}
+                      {task.unitName || task.unit?.unitName || t("tenant.common.notAvailable")}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
                       {task.scheduledDateFormatted || formatDate(task.scheduledDate)}
@@ -562,17 +586,17 @@ export default function TenantDashboard() {
       <div className="bg-white p-6 rounded-xl shadow-lg border border-green-200 mb-8">
         <div className="flex justify-between items-center mb-4">
           <h3 className="text-2xl font-semibold text-green-700 flex items-center">
-            <Bell className="w-6 h-6 mr-2" /> Recent Notifications
+            <Bell className="w-6 h-6 mr-2" /> {t("tenant.dashboard.recentNotifications")}
           </h3>
           <Link
             to={ROUTES.NOTIFICATIONS}
             className="text-blue-600 hover:underline font-medium"
           >
-            View All Notifications &rarr;
+            {t("tenant.dashboard.viewAllNotifications")} &rarr;
           </Link>
         </div>
         {notifications.length === 0 ? (
-          <p className="text-gray-600 italic">No recent notifications.</p>
+          <p className="text-gray-600 italic">{t("tenant.dashboard.noNotifications")}</p>
         ) : (
           <ul className="divide-y divide-gray-200">
             {notifications.slice(0, 5).map((notif) => (
@@ -603,11 +627,11 @@ export default function TenantDashboard() {
       <Modal
         isOpen={showFeedbackModal}
         onClose={handleCloseFeedbackModal}
-        title="Submit Feedback"
+        title={t("tenant.dashboard.feedbackTitle")}
       >
         <div className="p-4">
           <p className="mb-4 text-gray-700">
-            How would you rate the resolution of this request?
+            {t("tenant.dashboard.feedbackQuestion")}
           </p>
           <div className="flex space-x-2 mb-4">
             {[1, 2, 3, 4, 5].map((star) => (
@@ -622,7 +646,7 @@ export default function TenantDashboard() {
           </div>
           <textarea
             className="w-full p-3 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 h-28 resize-y text-gray-800"
-            placeholder="Optional comments..."
+            placeholder={t("tenant.dashboard.feedbackPlaceholder")}
             value={feedbackComment}
             onChange={(e) => setFeedbackComment(e.target.value)}
           ></textarea>
@@ -631,13 +655,13 @@ export default function TenantDashboard() {
               onClick={handleCloseFeedbackModal}
               className="bg-gray-300 hover:bg-gray-400 text-gray-800 py-2 px-4 rounded-lg"
             >
-              Cancel
+              {t("common.cancel")}
             </Button>
             <Button
               onClick={handleSubmitFeedback}
               className="bg-green-600 hover:bg-green-700 text-white py-2 px-4 rounded-lg"
             >
-              Submit Feedback
+              {t("tenant.dashboard.submitFeedback")}
             </Button>
           </div>
         </div>
@@ -0,0 +1,151 @@
+// frontend/src/pages/tenant/TenantLeaseRenewalPage.jsx
+
+import React, { useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import { FileText, ChevronLeft, CheckCircle, XCircle, Clock } from "lucide-react";
+
+import { useLease, useRenewalOffer, useLeaseRenewalMutations } from "../../hooks/useLeases.js";
+import Button from "../../components/common/Button.jsx";
+import LoadingSpinner from "../../components/common/LoadingSpinner.jsx";
+import { ROUTES, RENEWAL_OFFER_STATUS } from "../../utils/constants.js";
+import { formatCurrency, formatDate } from "../../utils/helpers.js";
+import { describeRentChange } from "../../utils/leaseRenewal.js";
+import useI18n from "../../hooks/useI18n.js";
+
+/**
+ * Lets a tenant compare a renewal offer with their current lease and accept or decline it.
+ */
+export default function TenantLeaseRenewalPage() {
+  const { leaseId } = useParams();
+  const { data: lease, isLoading: isLoadingLease } = useLease(leaseId);
+  const { data: offer, isLoading: isLoadingOffer } = useRenewalOffer(leaseId);
+  const { respondToOffer, isResponding } = useLeaseRenewalMutations();
+  const [note, setNote] = useState("");
+  const { t } = useI18n();
+
+  if (isLoadingLease || isLoadingOffer) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  const backLink = (
+    <Link to={ROUTES.TENANT_DASHBOARD} className="text-blue-600 hover:underline flex items-center mb-4">
+      <ChevronLeft className="w-4 h-4 mr-1" /> {t("tenant.common.backToDashboard")}
+    </Link>
+  );
+
+  if (!lease || !offer || offer.status === RENEWAL_OFFER_STATUS.DRAFT || offer.status === RENEWAL_OFFER_STATUS.WITHDRAWN) {
+    return (
+      <div className="p-4 md:p-8">
+        {backLink}
+        <p className="text-gray-600">{t("tenant.leaseRenewal.noOffer")}</p>
+      </div>
+    );
+  }
+
+  const formatAmount = (amount) => formatCurrency(amount, lease.currency);
+  const rentChange = describeRentChange(lease, offer);
+  const isOpen = offer.status === RENEWAL_OFFER_STATUS.SENT;
+
+  const handleRespond = (accept) => {
+    const question = accept
+      ? t("tenant.leaseRenewal.confirmAccept")
+      : t("tenant.leaseRenewal.confirmDecline");
+    if (!window.confirm(question)) return;
+    respondToOffer({ leaseId, accept, note: note.trim() || undefined });
+  };
+
+  const rows = [
+    { label: t("tenant.leaseRenewal.term"), current: `${formatDate(lease.leaseStartDate)} – ${formatDate(lease.leaseEndDate)}`, proposed: `${formatDate(offer.leaseStartDate)} – ${formatDate(offer.leaseEndDate)}` },
+    { label: t("tenant.leaseRenewal.monthlyRent"), current: lease.formattedRent, proposed: `${formatAmount(offer.monthlyRent)}${rentChange ? ` (${rentChange})` : ""}` },
+    { label: t("tenant.leaseRenewal.securityDeposit"), current: lease.formattedDeposit, proposed: offer.securityDeposit != null ? formatAmount(offer.securityDeposit) : lease.formattedDeposit },
+    { label: t("tenant.leaseRenewal.rentDueDay"), current: lease.paymentDueDay || t("tenant.common.notAvailable"), proposed: offer.paymentDueDay || lease.paymentDueDay || t("tenant.common.notAvailable") },
+  ];
+
+  return (
+    <div className="p-4 md:p-8 min-h-full bg-gray-50">
+      <div className="max-w-3xl mx-auto">
+        {backLink}
+        <h1 className="text-3xl font-extrabold mb-6 border-b pb-3 text-green-700 border-green-700 flex items-center">
+          <FileText className="w-7 h-7 mr-2" /> {t("tenant.leaseRenewal.title")}
+        </h1>
+
+        <div className="bg-white p-6 rounded-xl shadow-lg border border-green-200 mb-6">
+          <p className="text-gray-700 mb-4">
+            {lease.propertyName} / {lease.unitName}
+            {offer.respondBy && isOpen && (
+              <span className="ml-2 inline-flex items-center text-sm text-yellow-700">
+                <Clock className="w-4 h-4 mr-1" /> {t("tenant.leaseRenewal.respondBy", { date: formatDate(offer.respondBy) })}
+              </span>
+            )}
+          </p>
+
+          {offer.message && (
+            <blockquote className="border-l-4 border-green-300 pl-4 italic text-gray-600 mb-4">{offer.message}</blockquote>
+          )}
+
+          <table className="min-w-full divide-y divide-gray-200 mb-4">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"></th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{t("tenant.leaseRenewal.currentLease")}</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{t("tenant.leaseRenewal.renewalOffer")}</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {rows.map((row) => (
+                <tr key={row.label}>
+                  <td className="px-4 py-2 text-sm font-medium text-gray-700">{row.label}</td>
+                  <td className="px-4 py-2 text-sm text-gray-600">{row.current}</td>
+                  <td className="px-4 py-2 text-sm text-gray-900 font-medium">{row.proposed}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {offer.terms && offer.terms !== lease.terms && (
+            <div className="mb-4">
+              <p className="text-sm font-medium text-gray-700 mb-1">{t("tenant.leaseRenewal.updatedTerms")}</p>
+              <p className="text-sm text-gray-600 whitespace-pre-line">{offer.terms}</p>
+            </div>
+          )}
+        </div>
+
+        <div className="bg-white p-6 rounded-xl shadow-lg border border-green-200">
+          {isOpen ? (
+            <>
+              <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="note">{t("tenant.leaseRenewal.noteLabel")}</label>
+              <textarea
+                id="note"
+                rows="3"
+                className="w-full p-2 border rounded-md mb-4"
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+              />
+              <div className="flex justify-end space-x-2">
+                <Button variant="outline" onClick={() => handleRespond(false)} disabled={isResponding}>
+                  {t("tenant.leaseRenewal.decline")}
+                </Button>
+                <Button onClick={() => handleRespond(true)} loading={isResponding}>
+                  {t("tenant.leaseRenewal.accept")}
+                </Button>
+              </div>
+            </>
+          ) : offer.status === RENEWAL_OFFER_STATUS.DECLINED ? (
+            <p className="flex items-center text-gray-700">
+              <XCircle className="w-5 h-5 mr-2 text-red-500" /> {t("tenant.leaseRenewal.declinedOn", { date: formatDate(offer.respondedAt) })}
+            </p>
+          ) : (
+            <p className="flex items-center text-gray-700">
+              <CheckCircle className="w-5 h-5 mr-2 text-green-600" />
+              {t("tenant.leaseRenewal.acceptedOn", { date: formatDate(offer.respondedAt), startDate: formatDate(offer.leaseStartDate) })}
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
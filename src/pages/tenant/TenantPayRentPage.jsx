@@ -0,0 +1,266 @@
+// frontend/src/pages/tenant/TenantPayRentPage.jsx
+
+import React, { useState, useEffect, useRef } from "react";
+import { Link, useParams } from "react-router-dom";
+import { CreditCard, ChevronLeft, Smartphone, Landmark, FlaskConical } from "lucide-react";
+
+import { useRent } from "../../hooks/useRents.js";
+import { useOnlinePaymentMutations } from "../../hooks/useOnlinePayments.js";
+import { useGlobalAlert } from "../../contexts/GlobalAlertContext.jsx";
+import useI18n from "../../hooks/useI18n.js";
+import Button from "../../components/common/Button.jsx";
+import LoadingSpinner from "../../components/common/LoadingSpinner.jsx";
+import OnlinePaymentStatus from "../../components/OnlinePaymentStatus.jsx";
+import { ROUTES, PAYMENT_PROVIDERS } from "../../utils/constants.js";
+import { formatCurrency } from "../../utils/helpers.js";
+import { getCurrencySymbol } from "../../utils/currency.js";
+import { getAvailablePaymentProviders, getPaymentProvider } from "../../utils/paymentProviders.js";
+
+const PROVIDER_ICONS = {
+  [PAYMENT_PROVIDERS.MTN_MOMO]: Smartphone,
+  [PAYMENT_PROVIDERS.AIRTEL_MONEY]: Smartphone,
+  [PAYMENT_PROVIDERS.CARD]: CreditCard,
+  [PAYMENT_PROVIDERS.BANK_TRANSFER]: Landmark,
+  [PAYMENT_PROVIDERS.MOCK]: FlaskConical,
+};
+
+export default function TenantPayRentPage() {
+  const { rentId } = useParams();
+  const { showError } = useGlobalAlert();
+  const { t } = useI18n();
+  const { data: rent, isLoading, isError } = useRent(rentId);
+  const { startPayment, isStarting, submitCallback } = useOnlinePaymentMutations();
+
+  const [amount, setAmount] = useState("");
+  const [providerId, setProviderId] = useState("");
+  const [details, setDetails] = useState({});
+  const [activePayment, setActivePayment] = useState(null);
+  const simulationTimer = useRef(null);
+
+  useEffect(() => {
+    if (rent) setAmount(rent.balance ? String(rent.balance) : "");
+  }, [rent]);
+
+  // Don't leave a simulated provider callback pending after leaving the page
+  useEffect(() => () => clearTimeout(simulationTimer.current), []);
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  if (isError || !rent) {
+    return (
+      <div className="p-4 md:p-8">
+        <p className="text-red-600 mb-4">{t("tenant.payRent.loadError")}</p>
+        <Link to={ROUTES.TENANT_DASHBOARD} className="text-blue-600 hover:underline">{t("tenant.common.backToDashboard")}</Link>
+      </div>
+    );
+  }
+
+  const providers = getAvailablePaymentProviders(rent.currency);
+  const provider = getPaymentProvider(providerId);
+
+  const handleProviderChange = (id) => {
+    setProviderId(id);
+    setDetails({});
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    const value = parseFloat(amount);
+    if (!value || value <= 0) {
+      showError({ key: "tenant.payRent.amountRequired" });
+      return;
+    }
+    if (value > rent.balance) {
+      showError({ key: "tenant.payRent.amountTooHigh", params: { amount: rent.formattedBalance } });
+      return;
+    }
+    if (!provider) {
+      showError({ key: "tenant.payRent.methodRequired" });
+      return;
+    }
+    const validationError = provider.validate(details);
+    if (validationError) {
+      showError({ key: validationError });
+      return;
+    }
+
+    startPayment({
+      rentId,
+      amount: value,
+      currency: rent.currency,
+      provider: provider.id,
+      details,
+      returnUrl: `${window.location.origin}${ROUTES.TENANT_PAYMENT_CALLBACK}`
+    }, {
+      onSuccess: (payment) => {
+        const action = provider.start(payment, details);
+        switch (action.type) {
+          case "redirect":
+            if (!action.url) {
+              showError({ key: "tenant.payRent.redirectMissing" });
+              break;
+            }
+            window.location.assign(action.url);
+            break;
+          case "instructions":
+            setActivePayment({ id: payment._id, instructions: action.instructions });
+            break;
+          case "simulate":
+            setActivePayment({ id: payment._id, message: "tenant.payRent.simulating" });
+            simulationTimer.current = setTimeout(() => {
+              submitCallback({
+                paymentId: payment._id,
+                callbackData: { status: action.outcome, providerReference: `MOCK-${Date.now()}` }
+              });
+            }, action.delayMs);
+            break;
+          default:
+            setActivePayment({ id: payment._id, message: action.message });
+        }
+      }
+    });
+  };
+
+  return (
+    <div className="p-4 md:p-8 min-h-full bg-gray-50">
+      <div className="max-w-2xl mx-auto">
+        <Link to={ROUTES.TENANT_DASHBOARD} className="text-blue-600 hover:underline flex items-center mb-4">
+          <ChevronLeft className="w-4 h-4 mr-1" /> {t("tenant.common.backToDashboard")}
+        </Link>
+        <h1 className="text-3xl font-extrabold mb-6 border-b pb-3 text-green-700 border-green-700 flex items-center">
+          <CreditCard className="w-7 h-7 mr-2" /> {t("tenant.payRent.title")}
+        </h1>
+
+        <div className="bg-white p-6 rounded-xl shadow-lg border border-green-200 mb-6">
+          <div className="grid grid-cols-2 gap-y-2 text-gray-700">
+            <span>{t("tenant.payRent.propertyUnit")}</span>
+            <span className="font-medium text-right">{rent.propertyName} / {rent.unitName}</span>
+            <span>{t("tenant.payRent.dueDate")}</span>
+            <span className="font-medium text-right">{rent.formattedDueDate}</span>
+            <span>{t("tenant.payRent.rent")}</span>
+            <span className="font-medium text-right">{rent.formattedAmount}</span>
+            {rent.lateFeeTotal > 0 && (
+              <>
+                <span>{t("tenant.payRent.lateFees")}</span>
+                <span className="font-medium text-right text-red-600">{rent.formattedLateFeeTotal}</span>
+              </>
+            )}
+            {rent.amountPaid > 0 && (
+              <>
+                <span>{t("tenant.payRent.alreadyPaid")}</span>
+                <span className="font-medium text-right">{rent.formattedAmountPaid}</span>
+              </>
+            )}
+            <span className="font-semibold border-t pt-2">{t("tenant.payRent.balance")}</span>
+            <span className="font-semibold text-right border-t pt-2">{rent.formattedBalance}</span>
+          </div>
+        </div>
+
+        <div className="bg-white rounded-xl shadow-lg border border-green-200">
+          {activePayment ? (
+            <OnlinePaymentStatus
+              paymentId={activePayment.id}
+              message={activePayment.message}
+              instructions={activePayment.instructions}
+              onRetry={() => setActivePayment(null)}
+            />
+          ) : rent.balance <= 0 ? (
+            <p className="p-6 text-gray-600 italic">{t("tenant.payRent.fullyPaid")}</p>
+          ) : (
+            <form onSubmit={handleSubmit} className="p-6">
+              <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="amount">{t("tenant.payRent.amount")}</label>
+              <div className="relative mb-1">
+                <span className="absolute left-3 top-2 text-gray-500">{getCurrencySymbol(rent.currency)}</span>
+                <input
+                  id="amount"
+                  type="number"
+                  step="0.01"
+                  min="0.01"
+                  max={rent.balance}
+                  className="w-full pl-14 pr-3 py-2 border rounded-md"
+                  value={amount}
+                  onChange={(e) => setAmount(e.target.value)}
+                  required
+                />
+              </div>
+              <p className="text-xs text-gray-500 mb-5">{t("tenant.payRent.partialHint", { amount: formatCurrency(rent.balance, rent.currency) })}</p>
+
+              <p className="block text-sm font-medium text-gray-700 mb-2">{t("tenant.payRent.paymentMethod")}</p>
+              {providers.length === 0 ? (
+                <p className="text-sm text-gray-600 italic mb-5">
+                  {t("tenant.payRent.noMethods", { currency: rent.currency })}
+                </p>
+              ) : (
+                <div className="space-y-2 mb-5" role="radiogroup">
+                  {providers.map((option) => {
+                    const Icon = PROVIDER_ICONS[option.id] || CreditCard;
+                    return (
+                      <label
+                        key={option.id}
+                        className={`flex items-start p-3 border rounded-lg cursor-pointer ${
+                          providerId === option.id ? "border-green-600 bg-green-50" : "border-gray-200 hover:bg-gray-50"
+                        }`}
+                      >
+                        <input
+                          type="radio"
+                          name="provider"
+                          value={option.id}
+                          checked={providerId === option.id}
+                          onChange={() => handleProviderChange(option.id)}
+                          className="mt-1 mr-3"
+                        />
+                        <Icon className="w-5 h-5 mr-2 mt-0.5 text-green-700" />
+                        <span>
+                          <span className="block font-medium text-gray-800">{t(option.label)}</span>
+                          <span className="block text-sm text-gray-500">{t(option.description)}</span>
+                        </span>
+                      </label>
+                    );
+                  })}
+                </div>
+              )}
+
+              {provider?.fields.map((field) => (
+                <div key={field.name} className="mb-5">
+                  <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor={field.name}>{t(field.label)}</label>
+                  {field.type === "select" ? (
+                    <select
+                      id={field.name}
+                      className="w-full p-2 border rounded-md"
+                      value={details[field.name] || field.options[0].value}
+                      onChange={(e) => setDetails(prev => ({ ...prev, [field.name]: e.target.value }))}
+                    >
+                      {field.options.map(option => (
+                        <option key={option.value} value={option.value}>{t(option.label)}</option>
+                      ))}
+                    </select>
+                  ) : (
+                    <input
+                      id={field.name}
+                      type={field.type}
+                      placeholder={field.placeholder}
+                      className="w-full p-2 border rounded-md"
+                      value={details[field.name] || ""}
+                      onChange={(e) => setDetails(prev => ({ ...prev, [field.name]: e.target.value }))}
+                    />
+                  )}
+                </div>
+              ))}
+
+              <Button type="submit" className="w-full" loading={isStarting} disabled={!provider}>
+                {amount ? t("tenant.payRent.payAmount", { amount: formatCurrency(parseFloat(amount) || 0, rent.currency) }) : t("tenant.payRent.pay")}
+              </Button>
+            </form>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
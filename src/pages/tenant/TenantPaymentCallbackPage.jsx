@@ -0,0 +1,50 @@
+// frontend/src/pages/tenant/TenantPaymentCallbackPage.jsx
+
+import React, { useEffect, useRef } from "react";
+import { Link, useNavigate, useSearchParams } from "react-router-dom";
+import { CreditCard } from "lucide-react";
+
+import { useOnlinePaymentMutations } from "../../hooks/useOnlinePayments.js";
+import OnlinePaymentStatus from "../../components/OnlinePaymentStatus.jsx";
+import { ROUTES } from "../../utils/constants.js";
+import useI18n from "../../hooks/useI18n.js";
+
+/**
+ * Landing page for hosted checkouts. The provider redirects here with its result in the
+ * query string; we hand that to the backend to verify, then follow the payment.
+ */
+export default function TenantPaymentCallbackPage() {
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const { submitCallback } = useOnlinePaymentMutations();
+  const submittedRef = useRef(false);
+  const { t } = useI18n();
+  const paymentId = searchParams.get("paymentId");
+
+  useEffect(() => {
+    if (paymentId && !submittedRef.current) {
+      submittedRef.current = true;
+      submitCallback({ paymentId, callbackData: Object.fromEntries(searchParams) });
+    }
+  }, [paymentId, searchParams, submitCallback]);
+
+  return (
+    <div className="p-4 md:p-8 min-h-full bg-gray-50">
+      <div className="max-w-2xl mx-auto">
+        <h1 className="text-3xl font-extrabold mb-6 border-b pb-3 text-green-700 border-green-700 flex items-center">
+          <CreditCard className="w-7 h-7 mr-2" /> {t("tenant.paymentCallback.title")}
+        </h1>
+        <div className="bg-white rounded-xl shadow-lg border border-green-200">
+          {paymentId ? (
+            <OnlinePaymentStatus paymentId={paymentId} onRetry={() => navigate(ROUTES.TENANT_DASHBOARD)} />
+          ) : (
+            <div className="p-6">
+              <p className="text-gray-600 mb-4">{t("tenant.paymentCallback.missingReference")}</p>
+              <Link to={ROUTES.TENANT_DASHBOARD} className="text-blue-600 hover:underline">{t("tenant.common.backToDashboard")}</Link>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -2,17 +2,19 @@
 
 import React, { useState, useEffect } from "react";
 import { Link } from "react-router-dom";
-import { User, Lock, Bell, Save, Eye, EyeOff, Home } from "lucide-react"; // Added Home icon for associations
+import { User, Lock, Bell, Save, Eye, EyeOff, Globe, Home } from "lucide-react"; // Added Home icon for associations
 import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
 
 import Input from "../../components/common/Input.jsx";
 import Button from "../../components/common/Button.jsx";
 import LoadingSpinner from "../../components/common/LoadingSpinner.jsx";
+import LanguageSwitcher from "../../components/common/LanguageSwitcher.jsx";
 
 import * as userService from "../../services/userService.js";
 import * as authService from "../../services/authService.js";
 import { useAuth } from "../../contexts/AuthContext.jsx";
 import { useGlobalAlert } from "../../contexts/GlobalAlertContext.jsx";
+import useI18n from "../../hooks/useI18n.js";
 import useForm from "../../hooks/useForm.js";
 import { ROUTES } from "../../utils/constants.js";
 
@@ -22,15 +24,15 @@ const PRIMARY_COLOR = "#219377";
 /**
  * Client-side validation for the profile information form.
  * @param {object} values - The form values { name, email, phone, notificationsEnabled }.
- * @returns {object} An object containing validation errors.
+ * @returns {object} An object mapping field names to translation keys.
  */
 const validateProfileForm = (values) => {
   const errors = {};
   if (!values.name.trim()) {
-    errors.name = "Full Name is required.";
+    errors.name = "tenant.profile.errors.nameRequired";
   }
   if (values.phone && !/^\d{7,15}$/.test(values.phone.trim())) {
-    errors.phone = "Please enter a valid phone number (7-15 digits).";
+    errors.phone = "tenant.profile.errors.phoneInvalid";
   }
   return errors;
 };
@@ -38,22 +40,22 @@ const validateProfileForm = (values) => {
 /**
  * Client-side validation for the change password form.
  * @param {object} values - The form values { currentPassword, newPassword, confirmNewPassword }.
- * @returns {object} An object containing validation errors.
+ * @returns {object} An object mapping field names to translation keys.
  */
 const validatePasswordForm = (values) => {
   const errors = {};
   if (!values.currentPassword) {
-    errors.currentPassword = "Current password is required.";
+    errors.currentPassword = "tenant.profile.errors.currentPasswordRequired";
   }
   if (!values.newPassword) {
-    errors.newPassword = "New password is required.";
+    errors.newPassword = "tenant.profile.errors.newPasswordRequired";
   } else if (values.newPassword.length < 8) {
-    errors.newPassword = "New password must be at least 8 characters long.";
+    errors.newPassword = "tenant.profile.errors.newPasswordTooShort";
   }
   if (!values.confirmNewPassword) {
-    errors.confirmNewPassword = "Please confirm your new password.";
+    errors.confirmNewPassword = "tenant.profile.errors.confirmRequired";
   } else if (values.newPassword !== values.confirmNewPassword) {
-    errors.confirmNewPassword = "New passwords do not match.";
+    errors.confirmNewPassword = "tenant.profile.errors.passwordsMismatch";
   }
   return errors;
 };
@@ -61,6 +63,7 @@ const validatePasswordForm = (values) => {
 function TenantProfilePage() {
   const { user, setUser } = useAuth();
   const { showSuccess, showError } = useGlobalAlert();
+  const { t } = useI18n();
   const queryClient = useQueryClient();
 
   // Password Visibility States
@@ -75,7 +78,7 @@ function TenantProfilePage() {
     queryKey: ['userProfile'],
     queryFn: () => userService.getMyProfile(),
     onError: (error) => {
-      showError("Failed to load profile data: " + (error.message || "Unknown error"));
+      showError({ key: "tenant.profile.loadFailed", params: { error: error.message || error } });
     }
   });
 
@@ -83,14 +86,14 @@ function TenantProfilePage() {
   const updateProfileMutation = useMutation({
     mutationFn: (profileData) => userService.updateMyProfile(profileData),
     onSuccess: (data) => {
-      showSuccess("Profile updated successfully!");
+      showSuccess({ key: "tenant.profile.updated" });
       // Update auth context with new user data if needed
       if (setUser) setUser((prev) => ({ ...prev, ...data }));
       // Invalidate the user profile query to refetch
       queryClient.invalidateQueries({ queryKey: ['userProfile'] });
     },
     onError: (error) => {
-      showError("Failed to update profile: " + (error.message || "Unknown error"));
+      showError({ key: "tenant.profile.updateFailed", params: { error: error.message || error } });
     }
   });
 
@@ -99,11 +102,11 @@ function TenantProfilePage() {
     mutationFn: ({ currentPassword, newPassword }) => 
       authService.changePassword(currentPassword, newPassword),
     onSuccess: () => {
-      showSuccess("Password changed successfully! Please log in with your new password if redirected.");
+      showSuccess({ key: "tenant.profile.passwordChanged" });
       resetPasswordForm();
     },
     onError: (error) => {
-      showError("Failed to change password: " + (error.message || "Unknown error"));
+      showError({ key: "tenant.profile.passwordChangeFailed", params: { error: error.message || error } });
     }
   });
 
@@ -169,7 +172,7 @@ function TenantProfilePage() {
     return (
       <div className="flex justify-center items-center min-h-screen bg-gray-50">
         <LoadingSpinner size="lg" color={PRIMARY_COLOR} className="mr-4" />
-        <p className="text-xl text-gray-700 font-semibold">Loading your profile...</p>
+        <p className="text-xl text-gray-700 font-semibold">{t("tenant.profile.loading")}</p>
       </div>
     );
   }
@@ -177,7 +180,7 @@ function TenantProfilePage() {
   if (!profile) {
     return (
       <div className="flex justify-center items-center min-h-screen bg-gray-50 p-8">
-        <p className="text-xl text-red-600">Profile not found or could not be loaded.</p>
+        <p className="text-xl text-red-600">{t("tenant.profile.notFound")}</p>
       </div>
     );
   }
@@ -186,47 +189,47 @@ function TenantProfilePage() {
     <div className="p-4 md:p-8 bg-[#f8fafc] min-h-full">
       <h1 className="text-3xl font-extrabold mb-6 border-b pb-2 flex items-center" style={{ color: PRIMARY_COLOR }}>
         <User className="w-8 h-8 mr-3" style={{ color: PRIMARY_COLOR }} />
-        My Profile & Settings
+        {t("tenant.profile.title")}
       </h1>
 
       {/* Profile Information Section */}
       <section className="bg-white p-8 rounded-xl shadow-lg border border-[#e6f7f2] mb-8">
         <h2 className="text-2xl font-semibold mb-5 flex items-center" style={{ color: PRIMARY_COLOR }}>
           <User className="w-6 h-6 mr-2" style={{ color: PRIMARY_COLOR }} />
-          Personal Information
+          {t("tenant.profile.personalInfo")}
         </h2>
         <form onSubmit={handleUpdateProfile} className="space-y-6">
           <Input
-            label="Full Name"
+            label={t("tenant.profile.fullName")}
             id="name"
             name="name"
             type="text"
             value={profileData.name}
             onChange={handleProfileChange}
-            placeholder="Your Full Name"
+            placeholder={t("tenant.profile.fullNamePlaceholder")}
             required
-            error={profileErrors.name}
+            error={profileErrors.name && t(profileErrors.name)}
             disabled={isUpdatingProfile}
           />
           <Input
-            label="Email Address"
+            label={t("tenant.profile.email")}
             id="email"
             name="email"
             type="email"
             value={profileData.email}
             disabled={true} // Email is read-only
             className="opacity-70 cursor-not-allowed"
-            infoText="Email cannot be changed here. Contact support for email updates."
+            infoText={t("tenant.profile.emailReadOnly")}
           />
           <Input
-            label="Phone Number"
+            label={t("tenant.profile.phone")}
             id="phone"
             name="phone"
             type="tel"
             value={profileData.phone}
             onChange={handleProfileChange}
-            placeholder="e.g., +2567xxxxxxxx"
-            error={profileErrors.phone}
+            placeholder={t("tenant.profile.phonePlaceholder")}
+            error={profileErrors.phone && t(profileErrors.phone)}
             disabled={isUpdatingProfile}
           />
           <div className="flex items-center space-x-3 mt-4 p-4 bg-[#f6fdfc] rounded-lg border border-[#e6f7f2]">
@@ -240,7 +243,7 @@ function TenantProfilePage() {
               disabled={isUpdatingProfile}
             />
             <label htmlFor="notificationsEnabled" className="text-base font-medium text-gray-700 flex items-center">
-              <Bell className="w-5 h-5 mr-2 text-gray-600" /> Receive Email Notifications
+              <Bell className="w-5 h-5 mr-2 text-gray-600" /> {t("tenant.profile.emailNotifications")}
             </label>
           </div>
           <div className="flex justify-end mt-6">
@@ -250,27 +253,36 @@ function TenantProfilePage() {
               loading={isUpdatingProfile}
               disabled={isUpdatingProfile}
             >
-              <Save className="w-5 h-5 mr-2" /> {isUpdatingProfile ? "Saving..." : "Save Profile"}
+              <Save className="w-5 h-5 mr-2" /> {isUpdatingProfile ? t("tenant.profile.saving") : t("tenant.profile.saveProfile")}
             </Button>
           </div>
         </form>
       </section>
 
+      {/* Language & Region Section */}
+      <section className="bg-white p-8 rounded-xl shadow-lg border border-[#e6f7f2] mb-8">
+        <h2 className="text-2xl font-semibold mb-5 flex items-center" style={{ color: PRIMARY_COLOR }}>
+          <Globe className="w-6 h-6 mr-2" style={{ color: PRIMARY_COLOR }} />
+          {t('settings.languageTitle')}
+        </h2>
+        <LanguageSwitcher />
+      </section>
+
       {/* Property & Unit Associations Section (Read-only for Tenant) */}
       <section className="bg-white p-8 rounded-xl shadow-lg border border-[#e6f7f2] mb-8">
         <h2 className="text-2xl font-semibold mb-5 flex items-center" style={{ color: PRIMARY_COLOR }}>
           <Home className="w-6 h-6 mr-2" style={{ color: PRIMARY_COLOR }} />
-          Your Property & Unit Associations
+          {t("tenant.profile.associations")}
         </h2>
         {profile.associations?.tenancies?.length > 0 ? (
           <ul className="list-disc list-inside space-y-3 text-gray-700">
             {profile.associations.tenancies.map((tenancy) => (
               <li key={tenancy.unit?._id || tenancy.property?._id} className="text-lg">
-                <strong>Property:</strong> {tenancy.property?.name || "N/A"}
+                <strong>{t("tenant.profile.propertyLabel")}</strong> {tenancy.property?.name || t("tenant.common.notAvailable")}
                 {tenancy.unit?.unitName && (
                   <>
                     <br />
-                    <strong>Unit:</strong> {tenancy.unit.unitName}
+                    <strong>{t("tenant.profile.unitLabel")}</strong> {tenancy.unit.unitName}
                   </>
                 )}
                 {tenancy.unit?._id && (
@@ -278,7 +290,7 @@ function TenantProfilePage() {
                     to={ROUTES.TENANT_MY_UNIT.replace(':unitId', tenancy.unit._id)}
                     className="ml-3 text-blue-600 hover:underline text-sm"
                   >
-                    View Unit Details
+                    {t("tenant.profile.viewUnit")}
                   </Link>
                 )}
               </li>
@@ -286,8 +298,7 @@ function TenantProfilePage() {
           </ul>
         ) : (
           <p className="text-gray-600 italic">
-            You are not currently associated with any properties or units as a tenant.
-            Please contact your property manager if this is incorrect.
+            {t("tenant.profile.noAssociations")}
           </p>
         )}
       </section>
@@ -296,21 +307,21 @@ function TenantProfilePage() {
       <section className="bg-white p-8 rounded-xl shadow-lg border border-[#e6f7f2] mb-8">
         <h2 className="text-2xl font-semibold mb-5 flex items-center" style={{ color: PRIMARY_COLOR }}>
           <Lock className="w-6 h-6 mr-2" style={{ color: PRIMARY_COLOR }} />
-          Change Password
+          {t("tenant.profile.changePassword")}
         </h2>
         <form onSubmit={handleChangePassword} className="space-y-6">
           {/* Current Password */}
           <div className="relative">
             <Input
-              label="Current Password"
+              label={t("tenant.profile.currentPassword")}
               id="currentPassword"
               name="currentPassword"
               type={showPassword.current ? "text" : "password"}
               value={passwordForm.currentPassword}
               onChange={handlePasswordChange}
-              placeholder="Enter your current password"
+              placeholder={t("tenant.profile.currentPasswordPlaceholder")}
               required
-              error={passwordErrors.currentPassword}
+              error={passwordErrors.currentPassword && t(passwordErrors.currentPassword)}
               disabled={isChangingPassword}
               className="pr-10"
             />
@@ -318,7 +329,7 @@ function TenantProfilePage() {
               type="button"
               onClick={() => togglePasswordVisibility("current")}
               className="absolute inset-y-0 right-3 flex items-center text-gray-500 hover:text-gray-700 transition-colors top-8"
-              aria-label={showPassword.current ? "Hide current password" : "Show current password"}
+              aria-label={showPassword.current ? t("tenant.profile.hideCurrent") : t("tenant.profile.showCurrent")}
               tabIndex={-1}
             >
               {showPassword.current ? <EyeOff className="w-5 h-5" /> : <Eye className="w-5 h-5" />}
@@ -327,15 +338,15 @@ function TenantProfilePage() {
           {/* New Password */}
           <div className="relative">
             <Input
-              label="New Password"
+              label={t("tenant.profile.newPassword")}
               id="newPassword"
               name="newPassword"
               type={showPassword.new ? "text" : "password"}
               value={passwordForm.newPassword}
               onChange={handlePasswordChange}
-              placeholder="Minimum 8 characters"
+              placeholder={t("tenant.profile.newPasswordPlaceholder")}
               required
-              error={passwordErrors.newPassword}
+              error={passwordErrors.newPassword && t(passwordErrors.newPassword)}
               disabled={isChangingPassword}
               minLength={8}
               className="pr-10"
@@ -344,7 +355,7 @@ function TenantProfilePage() {
               type="button"
               onClick={() => togglePasswordVisibility("new")}
               className="absolute inset-y-0 right-3 flex items-center text-gray-500 hover:text-gray-700 transition-colors top-8"
-              aria-label={showPassword.new ? "Hide new password" : "Show new password"}
+              aria-label={showPassword.new ? t("tenant.profile.hideNew") : t("tenant.profile.showNew")}
               tabIndex={-1}
             >
               {showPassword.new ? <EyeOff className="w-5 h-5" /> : <Eye className="w-5 h-5" />}
@@ -353,15 +364,15 @@ function TenantProfilePage() {
           {/* Confirm New Password */}
           <div className="relative">
             <Input
-              label="Confirm New Password"
+              label={t("tenant.profile.confirmPassword")}
               id="confirmNewPassword"
               name="confirmNewPassword"
               type={showPassword.confirm ? "text" : "password"}
               value={passwordForm.confirmNewPassword}
               onChange={handlePasswordChange}
-              placeholder="Re-enter new password"
+              placeholder={t("tenant.profile.confirmPasswordPlaceholder")}
               required
-              error={passwordErrors.confirmNewPassword}
+              error={passwordErrors.confirmNewPassword && t(passwordErrors.confirmNewPassword)}
               disabled={isChangingPassword}
               className="pr-10"
             />
@@ -369,7 +380,7 @@ function TenantProfilePage() {
               type="button"
               onClick={() => togglePasswordVisibility("confirm")}
               className="absolute inset-y-0 right-3 flex items-center text-gray-500 hover:text-gray-700 transition-colors top-8"
-              aria-label={showPassword.confirm ? "Hide confirmed new password" : "Show confirmed new password"}
+              aria-label={showPassword.confirm ? t("tenant.profile.hideConfirm") : t("tenant.profile.showConfirm")}
               tabIndex={-1}
             >
               {showPassword.confirm ? <EyeOff className="w-5 h-5" /> : <Eye className="w-5 h-5" />}
@@ -382,7 +393,7 @@ function TenantProfilePage() {
               loading={isChangingPassword}
               disabled={isChangingPassword}
             >
-              <Save className="w-5 h-5 mr-2" /> {isChangingPassword ? "Changing..." : "Change Password"}
+              <Save className="w-5 h-5 mr-2" /> {isChangingPassword ? t("tenant.profile.changing") : t("tenant.profile.changePassword")}
             </Button>
           </div>
         </form>
@@ -11,8 +11,10 @@ import LoadingSpinner from "../../components/common/LoadingSpinner.jsx";
 import StatusBadge from "../../components/common/StatusBadge.jsx";
 import Select from "../../components/common/Select.jsx";
 import Input from "../../components/common/Input.jsx";
+import OfflineRequestQueue from "../../components/OfflineRequestQueue.jsx";
 import { ROUTES } from "../../utils/constants.js";
 import { useGlobalAlert } from "../../contexts/GlobalAlertContext.jsx";
+import useI18n from "../../hooks/useI18n.js";
 
 // Define brand colors for consistent styling
 const PRIMARY_COLOR = "#219377";
@@ -20,6 +22,7 @@ const PRIMARY_COLOR = "#219377";
 const TenantRequestsPage = () => {
   const { user } = useAuth();
   const { showError } = useGlobalAlert();
+  const { t } = useI18n();
   
   // State for filters
   const [filters, setFilters] = useState({
@@ -33,34 +36,34 @@ const TenantRequestsPage = () => {
   
   // Available filter options
   const statusOptions = [
-    { value: "", label: "All Statuses" },
-    { value: "new", label: "New" },
-    { value: "assigned", label: "Assigned" },
-    { value: "in_progress", label: "In Progress" },
-    { value: "completed", label: "Completed" },
-    { value: "verified", label: "Verified" },
-    { value: "reopened", label: "Reopened" },
-    { value: "archived", label: "Archived" },
+    { value: "", label: t("tenant.requests.statuses.all") },
+    { value: "new", label: t("tenant.requests.statuses.new") },
+    { value: "assigned", label: t("tenant.requests.statuses.assigned") },
+    { value: "in_progress", label: t("tenant.requests.statuses.inProgress") },
+    { value: "completed", label: t("tenant.requests.statuses.completed") },
+    { value: "verified", label: t("tenant.requests.statuses.verified") },
+    { value: "reopened", label: t("tenant.requests.statuses.reopened") },
+    { value: "archived", label: t("tenant.requests.statuses.archived") },
   ];
   
   const categoryOptions = [
-    { value: "", label: "All Categories" },
-    { value: "plumbing", label: "Plumbing" },
-    { value: "electrical", label: "Electrical" },
-    { value: "hvac", label: "HVAC" },
-    { value: "appliance", label: "Appliance" },
-    { value: "structural", label: "Structural" },
-    { value: "pest", label: "Pest Control" },
-    { value: "cleaning", label: "Cleaning" },
-    { value: "safety", label: "Safety & Security" },
-    { value: "general", label: "General Maintenance" },
+    { value: "", label: t("tenant.requests.categories.all") },
+    { value: "plumbing", label: t("tenant.requests.categories.plumbing") },
+    { value: "electrical", label: t("tenant.requests.categories.electrical") },
+    { value: "hvac", label: t("tenant.requests.categories.hvac") },
+    { value: "appliance", label: t("tenant.requests.categories.appliance") },
+    { value: "structural", label: t("tenant.requests.categories.structural") },
+    { value: "pest", label: t("tenant.requests.categories.pest") },
+    { value: "cleaning", label: t("tenant.requests.categories.cleaning") },
+    { value: "safety", label: t("tenant.requests.categories.safety") },
+    { value: "general", label: t("tenant.requests.categories.general") },
   ];
   
   const sortOptions = [
-    { value: "createdAt", label: "Date Created" },
-    { value: "updatedAt", label: "Last Updated" },
-    { value: "priority", label: "Priority" },
-    { value: "status", label: "Status" },
+    { value: "createdAt", label: t("tenant.requests.sort.createdAt") },
+    { value: "updatedAt", label: t("tenant.requests.sort.updatedAt") },
+    { value: "priority", label: t("tenant.requests.sort.priority") },
+    { value: "status", label: t("tenant.requests.sort.status") },
   ];
   
   // Fetch maintenance requests using React Query
@@ -81,7 +84,7 @@ const TenantRequestsPage = () => {
       tenant: user?._id, // Ensure we only get the current user's requests
     }),
     onError: (err) => {
-      showError("Failed to load maintenance requests: " + (err.message || "Unknown error"));
+      showError({ key: "tenant.requests.loadFailed", params: { error: err.message } });
     }
   });
   
@@ -127,10 +130,10 @@ const TenantRequestsPage = () => {
             className="text-3xl font-extrabold mb-2"
             style={{ color: PRIMARY_COLOR }}
           >
-            My Maintenance Requests
+            {t("tenant.requests.title")}
           </h1>
           <p className="text-gray-600">
-            View and manage all your maintenance requests
+            {t("tenant.requests.subtitle")}
           </p>
         </div>
         <Link
@@ -138,10 +141,13 @@ const TenantRequestsPage = () => {
           className="mt-4 sm:mt-0 bg-green-600 hover:bg-green-700 text-white font-medium py-2.5 px-5 rounded-lg flex items-center shadow-sm transition"
         >
           <PlusCircle className="w-5 h-5 mr-2" />
-          New Request
+          {t("tenant.requests.newRequest")}
         </Link>
       </div>
       
+      {/* Requests saved offline that haven't synced yet */}
+      <OfflineRequestQueue />
+      
       {/* Search & Filter Bar */}
       <div className="bg-white rounded-xl shadow-sm p-4 mb-6">
         <div className="flex flex-col md:flex-row gap-4">
@@ -149,7 +155,7 @@ const TenantRequestsPage = () => {
             <div className="relative">
               <Input
                 type="text"
-                placeholder="Search by title or description..."
+                placeholder={t("tenant.requests.searchPlaceholder")}
                 value={filters.search}
                 onChange={(e) => handleFilterChange("search", e.target.value)}
                 className="pl-10 py-2.5"
@@ -163,7 +169,7 @@ const TenantRequestsPage = () => {
             className="bg-gray-100 hover:bg-gray-200 text-gray-800 flex items-center"
           >
             <Filter className="w-5 h-5 mr-2" />
-            Filters
+            {t("tenant.requests.filters")}
             <ChevronDown className={`w-5 h-5 ml-1 transition-transform ${showFilters ? 'rotate-180' : ''}`} />
           </Button>
           
@@ -171,7 +177,7 @@ const TenantRequestsPage = () => {
             value={filters.sortBy}
             onChange={(e) => handleFilterChange("sortBy", e.target.value)}
             className="min-w-[150px]"
-            label="Sort By"
+            label={t("tenant.requests.sortBy")}
           >
             {sortOptions.map((option) => (
               <option key={option.value} value={option.value}>
@@ -192,7 +198,7 @@ const TenantRequestsPage = () => {
         {showFilters && (
           <div className="mt-4 grid grid-cols-1 md:grid-cols-3 gap-4 border-t pt-4">
             <Select
-              label="Status"
+              label={t("tenant.requests.status")}
               value={filters.status}
               onChange={(e) => handleFilterChange("status", e.target.value)}
             >
@@ -204,7 +210,7 @@ const TenantRequestsPage = () => {
             </Select>
             
             <Select
-              label="Category"
+              label={t("tenant.requests.category")}
               value={filters.category}
               onChange={(e) => handleFilterChange("category", e.target.value)}
             >
@@ -220,7 +226,7 @@ const TenantRequestsPage = () => {
                 onClick={clearFilters}
                 className="bg-gray-200 hover:bg-gray-300 text-gray-700"
               >
-                Clear Filters
+                {t("tenant.requests.clearFilters")}
               </Button>
             </div>
           </div>
@@ -231,20 +237,20 @@ const TenantRequestsPage = () => {
       {isLoading && (
         <div className="flex justify-center my-20">
           <LoadingSpinner size="lg" color={PRIMARY_COLOR} />
-          <span className="ml-3 text-gray-600">Loading maintenance requests...</span>
+          <span className="ml-3 text-gray-600">{t("tenant.requests.loading")}</span>
         </div>
       )}
       
       {/* Error State */}
       {isError && (
         <div className="bg-red-50 text-red-700 p-4 rounded-lg text-center mb-6">
-          <p className="font-medium">Failed to load maintenance requests.</p>
-          <p className="text-sm mt-1">{error?.message || "Please try again later."}</p>
+          <p className="font-medium">{t("tenant.requests.loadError")}</p>
+          <p className="text-sm mt-1">{error?.message || t("tenant.requests.tryLater")}</p>
           <Button
             onClick={() => refetch()}
             className="mt-2 bg-red-100 hover:bg-red-200 text-red-700"
           >
-            Try Again
+            {t("tenant.common.tryAgain")}
           </Button>
         </div>
       )}
@@ -253,18 +259,18 @@ const TenantRequestsPage = () => {
       {!isLoading && !isError && requests.length === 0 && (
         <div className="bg-white rounded-lg shadow p-8 text-center">
           <Wrench className="h-16 w-16 mx-auto text-gray-400 mb-4" />
-          <h3 className="text-xl font-medium text-gray-700 mb-2">No maintenance requests found</h3>
+          <h3 className="text-xl font-medium text-gray-700 mb-2">{t("tenant.requests.emptyTitle")}</h3>
           <p className="text-gray-500 mb-6">
             {filters.search || filters.status || filters.category
-              ? "No requests match your current filters. Try adjusting your search criteria."
-              : "You haven't submitted any maintenance requests yet."}
+              ? t("tenant.requests.noMatches")
+              : t("tenant.requests.noRequests")}
           </p>
           <Link
             to={ROUTES.REQUEST_ADD}
             className="inline-flex items-center bg-green-600 hover:bg-green-700 text-white font-medium py-2 px-4 rounded"
           >
             <PlusCircle className="w-5 h-5 mr-2" />
-            Submit a New Request
+            {t("tenant.requests.submitNew")}
           </Link>
         </div>
       )}
@@ -273,7 +279,7 @@ const TenantRequestsPage = () => {
       {!isLoading && !isError && requests.length > 0 && (
         <>
           <p className="text-gray-600 mb-4">
-            Showing {requests.length} of {totalRequests} maintenance requests
+            {t("tenant.requests.showing", { count: totalRequests, shown: requests.length })}
           </p>
           
           <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
@@ -293,23 +299,23 @@ const TenantRequestsPage = () => {
                   
                   <div className="mt-4 space-y-2 text-gray-600">
                     <p>
-                      <strong>Category:</strong>{" "}
+                      <strong>{t("tenant.requests.categoryLabel")}</strong>{" "}
                       {request.categoryDisplay || request.category}
                     </p>
                     <p>
-                      <strong>Priority:</strong>{" "}
+                      <strong>{t("tenant.requests.priorityLabel")}</strong>{" "}
                       {request.priorityDisplay || request.priority}
                     </p>
                     <p>
-                      <strong>Created:</strong>{" "}
+                      <strong>{t("tenant.requests.createdLabel")}</strong>{" "}
                       {request.createdAtFormatted || new Date(request.createdAt).toLocaleDateString()}
                     </p>
                     <p>
-                      <strong>Property:</strong> {request.propertyName}
+                      <strong>{t("tenant.requests.propertyLabel")}</strong> {request.propertyName}
                     </p>
                     {request.unitName && (
                       <p>
-                        <strong>Unit:</strong> {request.unitName}
+                        <strong>{t("tenant.requests.unitLabel")}</strong> {request.unitName}
                       </p>
                     )}
                   </div>
@@ -332,7 +338,7 @@ const TenantRequestsPage = () => {
                   console.log("Load more results");
                 }}
               >
-                Load More
+                {t("tenant.requests.loadMore")}
               </button>
             </div>
           )}
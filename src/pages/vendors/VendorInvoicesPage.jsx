@@ -0,0 +1,255 @@
+// frontend/src/pages/vendors/VendorInvoicesPage.jsx
+
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Receipt, ArrowLeft, CheckCircle, XCircle, Banknote, FileText } from 'lucide-react';
+import Button from '../../components/common/Button';
+import Modal from '../../components/common/Modal';
+import Pagination from '../../components/common/Pagination';
+import LoadingSpinner from '../../components/common/LoadingSpinner';
+import { useVendorInvoices, useVendorInvoiceMutations } from '../../hooks/useVendorInvoices';
+import useRoleBasedPath from '../../hooks/useRoleBasedPath';
+import { VENDOR_INVOICE_STATUS, VENDOR_JOB_TYPES } from '../../utils/constants';
+import { formatCurrency, formatDate } from '../../utils/helpers';
+
+const PRIMARY_COLOR = '#219377';
+
+const STATUS_TABS = [
+  { value: VENDOR_INVOICE_STATUS.SUBMITTED, label: 'To Review' },
+  { value: VENDOR_INVOICE_STATUS.APPROVED, label: 'Approved' },
+  { value: VENDOR_INVOICE_STATUS.PAID, label: 'Paid' },
+  { value: VENDOR_INVOICE_STATUS.REJECTED, label: 'Rejected' },
+  { value: '', label: 'All' },
+];
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Asks for the reason an invoice is being returned to the vendor.
+ */
+const RejectInvoiceForm = ({ invoice, onDone }) => {
+  const [reason, setReason] = useState('');
+  const { rejectInvoice, isRejectingInvoice } = useVendorInvoiceMutations();
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    rejectInvoice({ invoiceId: invoice._id, reason: reason.trim() }, { onSuccess: onDone });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <p className="text-sm text-gray-600">
+        {invoice.vendorName || 'The vendor'} sees this reason and can submit a corrected invoice. Work logged on the invoice becomes uninvoiced again.
+      </p>
+      <div>
+        <label htmlFor="rejectReason" className="block text-sm font-medium text-gray-700 mb-1">Reason</label>
+        <textarea id="rejectReason" rows={3} value={reason} onChange={(e) => setReason(e.target.value)} placeholder="e.g. Materials don't match the agreed quote" className="w-full p-2 border border-gray-300 rounded-md" required />
+      </div>
+      <div className="flex justify-end gap-3">
+        <Button variant="secondary" onClick={onDone}>Cancel</Button>
+        <Button type="submit" variant="danger" loading={isRejectingInvoice} disabled={!reason.trim()}>Reject Invoice</Button>
+      </div>
+    </form>
+  );
+};
+
+/**
+ * Records when and how an approved invoice was paid.
+ */
+const MarkPaidForm = ({ invoice, onDone }) => {
+  const [paidOn, setPaidOn] = useState(today);
+  const [paymentReference, setPaymentReference] = useState('');
+  const { markInvoicePaid, isMarkingInvoicePaid } = useVendorInvoiceMutations();
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    markInvoicePaid({
+      invoiceId: invoice._id,
+      paymentData: { paidOn, paymentReference: paymentReference.trim() || undefined }
+    }, { onSuccess: onDone });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <p className="text-sm text-gray-600">
+        #{invoice.invoiceNumber} · {formatCurrency(invoice.amount, invoice.currency)} to {invoice.vendorName || 'the vendor'}
+      </p>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label htmlFor="paidOn" className="block text-sm font-medium text-gray-700 mb-1">Paid On</label>
+          <input id="paidOn" type="date" value={paidOn} max={today()} onChange={(e) => setPaidOn(e.target.value)} className="w-full p-2 border border-gray-300 rounded-md" required />
+        </div>
+        <div>
+          <label htmlFor="paymentReference" className="block text-sm font-medium text-gray-700 mb-1">Payment Reference</label>
+          <input id="paymentReference" type="text" value={paymentReference} onChange={(e) => setPaymentReference(e.target.value)} placeholder="Bank or mobile money reference" className="w-full p-2 border border-gray-300 rounded-md" />
+        </div>
+      </div>
+      <div className="flex justify-end gap-3">
+        <Button variant="secondary" onClick={onDone}>Cancel</Button>
+        <Button type="submit" loading={isMarkingInvoicePaid} disabled={!paidOn}>Mark as Paid</Button>
+      </div>
+    </form>
+  );
+};
+
+/**
+ * Invoices vendors submitted through the vendor portal. Managers approve them for
+ * payment (which records the cost against the job), return them with a reason, or
+ * record that they were paid.
+ */
+function VendorInvoicesPage() {
+  const [status, setStatus] = useState(VENDOR_INVOICE_STATUS.SUBMITTED);
+  const [page, setPage] = useState(1);
+  const [rejecting, setRejecting] = useState(null);
+  const [paying, setPaying] = useState(null);
+  const { getPath } = useRoleBasedPath();
+  const { approveInvoice, isApprovingInvoice } = useVendorInvoiceMutations();
+
+  const { data, isLoading, isError, error } = useVendorInvoices({
+    filters: { status: status || undefined, page }
+  });
+  const invoices = data?.data || [];
+
+  const handleStatusChange = (value) => {
+    setStatus(value);
+    setPage(1);
+  };
+
+  const handleApprove = (invoice) => {
+    if (!window.confirm(`Approve invoice #${invoice.invoiceNumber} for ${formatCurrency(invoice.amount, invoice.currency)}? It will be recorded as a cost on the job.`)) return;
+    approveInvoice(invoice._id);
+  };
+
+  const getJobPath = (invoice) => {
+    const jobId = invoice.jobType === VENDOR_JOB_TYPES.SCHEDULED_MAINTENANCE
+      ? invoice.scheduledMaintenance?._id || invoice.scheduledMaintenance
+      : invoice.request?._id || invoice.request;
+    if (!jobId) return null;
+    return invoice.jobType === VENDOR_JOB_TYPES.SCHEDULED_MAINTENANCE
+      ? getPath(`scheduled-maintenance/${jobId}`)
+      : getPath(`requests/${jobId}`);
+  };
+
+  return (
+    <div className="p-4 md:p-8 min-h-full bg-gray-50">
+      <Link to={getPath('vendors')} className="flex items-center text-gray-600 hover:text-gray-900 mb-2">
+        <ArrowLeft className="w-5 h-5 mr-1" /> Back to Vendors
+      </Link>
+      <div className="flex justify-between items-center mb-7 border-b pb-3" style={{ borderColor: PRIMARY_COLOR }}>
+        <h1 className="text-3xl font-extrabold flex items-center" style={{ color: PRIMARY_COLOR }}>
+          <Receipt className="w-8 h-8 mr-3" /> Vendor Invoices
+        </h1>
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        {STATUS_TABS.map(tab => (
+          <button
+            key={tab.label}
+            onClick={() => handleStatusChange(tab.value)}
+            className={`px-4 py-2 rounded-full text-sm font-medium transition-colors ${
+              status === tab.value ? 'bg-[#219377] text-white shadow-md' : 'bg-white border border-gray-200 text-gray-700 hover:bg-gray-100'
+            }`}
+          >
+            {tab.label}
+          </button>
+        ))}
+      </div>
+
+      <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-100">
+        {isLoading ? (
+          <div className="flex justify-center py-12"><LoadingSpinner /></div>
+        ) : isError ? (
+          <p className="text-red-600 text-center py-8">Failed to load invoices. {error?.message || error}</p>
+        ) : invoices.length === 0 ? (
+          <p className="text-gray-600 italic text-center py-8">
+            {status === VENDOR_INVOICE_STATUS.SUBMITTED ? 'No invoices waiting for review.' : 'No invoices found.'}
+          </p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Invoice</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Job</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Amount</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Submitted</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {invoices.map(invoice => {
+                  const jobPath = getJobPath(invoice);
+                  return (
+                    <tr key={invoice._id} className="hover:bg-gray-50 align-top">
+                      <td className="px-6 py-4 text-sm">
+                        <p className="font-medium text-gray-900">#{invoice.invoiceNumber}</p>
+                        <p className="text-gray-600">{invoice.vendorName || 'Unknown vendor'}</p>
+                        {invoice.file?.url && (
+                          <a href={invoice.file.url} target="_blank" rel="noopener noreferrer" className="inline-flex items-center text-blue-600 hover:underline">
+                            <FileText className="w-4 h-4 mr-1" /> View document
+                          </a>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 text-sm text-gray-700">
+                        {jobPath ? (
+                          <Link to={jobPath} className="text-green-600 hover:underline">{invoice.jobTitle || 'View job'}</Link>
+                        ) : (invoice.jobTitle || '—')}
+                        {invoice.property?.name && <p className="text-gray-500">{invoice.property.name}</p>}
+                      </td>
+                      <td className="px-6 py-4 text-sm font-semibold text-gray-900">
+                        {formatCurrency(invoice.amount, invoice.currency)}
+                        {invoice.dueDate && <p className="text-xs font-normal text-gray-500">Due {formatDate(invoice.dueDate)}</p>}
+                      </td>
+                      <td className="px-6 py-4 text-sm text-gray-700">{formatDate(invoice.submittedAt || invoice.createdAt)}</td>
+                      <td className="px-6 py-4 text-sm">
+                        <span className={`px-2 py-0.5 text-xs font-semibold rounded-full ${invoice.statusClass}`}>{invoice.statusDisplay}</span>
+                        {invoice.rejectionReason && <p className="text-xs text-red-600 mt-1">{invoice.rejectionReason}</p>}
+                        {invoice.paidOn && (
+                          <p className="text-xs text-gray-500 mt-1">
+                            Paid {formatDate(invoice.paidOn)}{invoice.paymentReference && ` · ${invoice.paymentReference}`}
+                          </p>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 text-sm">
+                        <div className="flex items-center gap-3">
+                          {invoice.canReview && (
+                            <>
+                              <button onClick={() => handleApprove(invoice)} disabled={isApprovingInvoice} className="text-green-600 hover:text-green-800 disabled:opacity-50" title="Approve">
+                                <CheckCircle className="w-6 h-6" />
+                              </button>
+                              <button onClick={() => setRejecting(invoice)} className="text-red-500 hover:text-red-700" title="Reject">
+                                <XCircle className="w-6 h-6" />
+                              </button>
+                            </>
+                          )}
+                          {invoice.canMarkPaid && (
+                            <button onClick={() => setPaying(invoice)} className="text-emerald-600 hover:text-emerald-800" title="Mark as Paid">
+                              <Banknote className="w-6 h-6" />
+                            </button>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+        {data?.pages > 1 && (
+          <Pagination currentPage={page} totalPages={data.pages} onPageChange={setPage} />
+        )}
+      </div>
+
+      <Modal isOpen={!!rejecting} onClose={() => setRejecting(null)} title={`Reject Invoice #${rejecting?.invoiceNumber || ''}`}>
+        {rejecting && <RejectInvoiceForm invoice={rejecting} onDone={() => setRejecting(null)} />}
+      </Modal>
+      <Modal isOpen={!!paying} onClose={() => setPaying(null)} title="Record Payment">
+        {paying && <MarkPaidForm invoice={paying} onDone={() => setPaying(null)} />}
+      </Modal>
+    </div>
+  );
+}
+
+export default VendorInvoicesPage;
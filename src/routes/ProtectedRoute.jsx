@@ -52,6 +52,8 @@ export const InitialRedirect = () => {
                 return <Navigate to={ROUTES.LANDLORD_DASHBOARD} replace />;
             case USER_ROLES.ADMIN:
                 return <Navigate to={ROUTES.ADMIN_DASHBOARD} replace />;
+            case USER_ROLES.VENDOR:
+                return <Navigate to={ROUTES.VENDOR_DASHBOARD} replace />;
             default:
                 return <Navigate to={ROUTES.ACCESS_DENIED} replace />;
         }
@@ -0,0 +1,122 @@
+// frontend/src/service-worker.js
+
+// Service worker for the installable app shell.
+// This file is not bundled with the app: the precache-manifest plugin in vite.config.js
+// fills in the placeholders below and emits it as /sw.js on production builds.
+
+const CACHE_VERSION = self.__CACHE_VERSION__ || 'dev';
+const PRECACHE_URLS = self.__PRECACHE_URLS__ || [];
+
+const SHELL_CACHE = `fixit-shell-${CACHE_VERSION}`;
+const API_CACHE = `fixit-api-${CACHE_VERSION}`;
+const OFFLINE_URL = '/offline.html';
+
+// Read-only API calls that are useful offline (profile, session, leases, upcoming rent).
+// Matched on the path only, since the API may live on another origin.
+const CACHEABLE_API_ROUTES = /\/api\/(auth\/me|users\/profile|leases|rents\/upcoming)$/;
+
+self.addEventListener('install', (event) => {
+    // No skipWaiting here: the app asks the user before switching versions
+    event.waitUntil(
+        caches.open(SHELL_CACHE).then((cache) => cache.addAll(PRECACHE_URLS))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then((keys) => Promise.all(
+                keys
+                    .filter((key) => key.startsWith('fixit-') && key !== SHELL_CACHE && key !== API_CACHE)
+                    .map((key) => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    switch (event.data?.type) {
+        case 'SKIP_WAITING':
+            self.skipWaiting();
+            break;
+        case 'CLEAR_API_CACHE':
+            // Sent on logout so the next user never sees cached personal data
+            event.waitUntil(caches.delete(API_CACHE));
+            break;
+        default:
+            break;
+    }
+});
+
+/**
+ * Network first, falling back to the cache. Successful responses refresh the cache.
+ * @param {Request} request - The request to serve
+ * @param {string} cacheName - Cache to read from and write to
+ * @returns {Promise<Response>}
+ */
+const networkFirst = async (request, cacheName) => {
+    const cache = await caches.open(cacheName);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request);
+        if (cached) return cached;
+        throw error;
+    }
+};
+
+/**
+ * Cache first, for fingerprinted build assets that never change under the same URL.
+ * @param {Request} request - The request to serve
+ * @returns {Promise<Response>}
+ */
+const cacheFirst = async (request) => {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(SHELL_CACHE);
+        cache.put(request, response.clone());
+    }
+    return response;
+};
+
+/**
+ * Serves SPA navigations: live index.html when online, the cached shell when offline,
+ * and the offline page if the shell was never cached.
+ * @param {Request} request - The navigation request
+ * @returns {Promise<Response>}
+ */
+const handleNavigation = async (request) => {
+    try {
+        return await fetch(request);
+    } catch {
+        return (await caches.match('/index.html')) || (await caches.match(OFFLINE_URL)) || Response.error();
+    }
+};
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate') {
+        event.respondWith(handleNavigation(request));
+        return;
+    }
+
+    if (CACHEABLE_API_ROUTES.test(url.pathname)) {
+        event.respondWith(networkFirst(request, API_CACHE));
+        return;
+    }
+
+    if (url.origin === self.location.origin && (url.pathname.startsWith('/assets/') || PRECACHE_URLS.includes(url.pathname))) {
+        event.respondWith(cacheFirst(request));
+    }
+});
@@ -58,6 +58,10 @@ export const loginUser = async (email, password) => {
       localStorage.setItem('token', accessToken);
       api.defaults.headers.common['Authorization'] = `Bearer ${accessToken}`;
     }
+    // Refresh token is only present when the backend doesn't use an httpOnly cookie
+    if (data?.refreshToken) {
+      localStorage.setItem('refreshToken', data.refreshToken);
+    }
     
     logApiResponse(SERVICE_NAME, 'loginUser', { 
       email,
@@ -96,6 +100,10 @@ export const loginWithGoogle = async (credential) => {
       localStorage.setItem('token', accessToken);
       api.defaults.headers.common['Authorization'] = `Bearer ${accessToken}`;
     }
+    // Refresh token is only present when the backend doesn't use an httpOnly cookie
+    if (data?.refreshToken) {
+      localStorage.setItem('refreshToken', data.refreshToken);
+    }
     
     logApiResponse(SERVICE_NAME, 'loginWithGoogle', { 
       success: meta.success,
@@ -153,6 +161,7 @@ export const logoutUser = async () => {
     
     // Clear token from localStorage regardless of response
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
     delete api.defaults.headers.common['Authorization'];
     
     logApiResponse(SERVICE_NAME, 'logoutUser', { 
@@ -168,6 +177,7 @@ export const logoutUser = async () => {
     
     // Clear token even if API call fails
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
     delete api.defaults.headers.common['Authorization'];
     
     throw error.response?.data?.message || error.message;
@@ -7,6 +7,13 @@ import { extractApiResponse, logApiResponse } from "../utils/apiUtils.js";
 const SERVICE_NAME = 'commentService';
 const COMMENT_BASE_URL = '/comments';
 
+// Where each comment context is viewed, relative to the role base path
+const CONTEXT_PATHS = {
+    request: 'requests',
+    scheduledmaintenance: 'scheduled-maintenance',
+    property: 'properties',
+};
+
 /**
  * Adds a new comment to a specified resource
  * @param {Object} data - Comment data
@@ -257,6 +264,89 @@ export const markMentionsAsRead = async (params, signal) => {
     }
 };
 
+/**
+ * Gets the users who can be @mentioned on a resource: everyone with access to the
+ * resource's property (its landlord, managers, tenants and the assigned vendor) who
+ * has a username.
+ * @param {Object} params - Query parameters
+ * @param {string} params.contextType - Resource type ('request', 'scheduledmaintenance', 'property', 'unit')
+ * @param {string} params.contextId - Resource ID
+ * @param {string} [params.search] - Filter by name, username or email
+ * @param {AbortSignal} [signal] - Optional AbortSignal to cancel the request
+ * @returns {Promise<Array<Object>>} Users, each with the handle to insert after '@'
+ * @throws {Error} If request fails
+ */
+export const getMentionableUsers = async (params, signal) => {
+    try {
+        const queryParams = {
+            ...params,
+            contextType: params.contextType.toLowerCase(),
+        };
+        
+        const res = await api.get(`${COMMENT_BASE_URL}/mentionable`, { params: queryParams, signal });
+        const { data } = extractApiResponse(res.data);
+        
+        logApiResponse(SERVICE_NAME, 'getMentionableUsers', { 
+            contextType: params.contextType,
+            contextId: params.contextId,
+            count: Array.isArray(data) ? data.length : 0
+        });
+        
+        // Mentions are resolved by username, so users without one can't be mentioned
+        return Array.isArray(data)
+            ? data.filter(user => user.username).map(user => ({
+                ...user,
+                displayName: `${user.firstName || ''} ${user.lastName || ''}`.trim() || user.email,
+                handle: user.username
+            }))
+            : [];
+    } catch (error) {
+        if (axios.isCancel(error)) {
+            console.log('Request was canceled', error.message);
+            throw new Error('Request canceled');
+        }
+        
+        console.error("getMentionableUsers error:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Gets comments that mention the current user, newest first
+ * @param {Object} [params={}] - Query parameters
+ * @param {boolean} [params.unreadOnly=false] - Only mentions not yet read
+ * @param {number} [params.page=1] - Page number
+ * @param {number} [params.limit=20] - Results per page
+ * @param {AbortSignal} [signal] - Optional AbortSignal to cancel the request
+ * @returns {Promise<Object>} { data: formatted mentions, total, page, pages }
+ * @throws {Error} If request fails
+ */
+export const getMentions = async (params = {}, signal) => {
+    try {
+        const res = await api.get(`${COMMENT_BASE_URL}/mentions`, { params, signal });
+        const { data, meta } = extractApiResponse(res.data);
+        
+        const mentions = Array.isArray(data) ? data.map(comment => formatMention(comment)) : [];
+        
+        logApiResponse(SERVICE_NAME, 'getMentions', { count: mentions.length, total: meta.total });
+        
+        return {
+            data: mentions,
+            total: meta.total || mentions.length,
+            page: meta.page || 1,
+            pages: meta.pages || meta.totalPages || 1
+        };
+    } catch (error) {
+        if (axios.isCancel(error)) {
+            console.log('Request was canceled', error.message);
+            throw new Error('Request canceled');
+        }
+        
+        console.error("getMentions error:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
 /**
  * Utility function to extract mentioned users from a comment message
  * @param {string} message - Comment message
@@ -308,6 +398,32 @@ export const formatComment = (comment) => {
     };
 };
 
+/**
+ * Formats a comment from the mentions inbox. The API marks the current user's own
+ * mention on it as `mention` ({ readAt }).
+ * @param {Object} comment - Comment object
+ * @returns {Object} Formatted comment with link and read state
+ */
+export const formatMention = (comment) => {
+    if (!comment) return null;
+    
+    const contextType = comment.contextType?.toLowerCase();
+    const basePath = CONTEXT_PATHS[contextType];
+    // contextId comes populated with the resource's title/name when the API can
+    const context = typeof comment.contextId === 'object' ? comment.contextId : null;
+    const contextId = context?._id || comment.contextId;
+    
+    return {
+        ...formatComment(comment),
+        contextType,
+        contextId,
+        contextTitle: context?.title || context?.name || null,
+        // Relative to the role base path; the anchor scrolls to the comment
+        path: basePath ? `${basePath}/${contextId}#comment-${comment._id}` : null,
+        isRead: !!comment.mention?.readAt
+    };
+};
+
 /**
  * Highlights @mentions in comment text
  * @param {string} text - Comment text
@@ -330,7 +446,10 @@ export default {
     deleteComment,
     getUnreadMentionCount,
     markMentionsAsRead,
+    getMentionableUsers,
+    getMentions,
     extractMentions,
     formatComment,
+    formatMention,
     highlightMentions
 };
\ No newline at end of file
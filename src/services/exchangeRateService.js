@@ -0,0 +1,60 @@
+// client/src/services/exchangeRateService.js
+
+import api from "../api/axios.js";
+import axios from "axios";
+import { extractApiResponse, logApiResponse } from "../utils/apiUtils.js";
+
+const SERVICE_NAME = 'exchangeRateService';
+const EXCHANGE_RATE_BASE_URL = '/exchange-rates';
+
+/**
+ * Get the configured exchange-rate table
+ * @param {AbortSignal} [signal] - Optional AbortSignal to cancel the request
+ * @returns {Promise<Object>} Rate table: { baseCurrency, rates: { [code]: unitsPerBase }, updatedAt, updatedBy }
+ */
+export const getExchangeRates = async (signal) => {
+    try {
+        const res = await api.get(EXCHANGE_RATE_BASE_URL, { signal });
+        const { data } = extractApiResponse(res.data);
+
+        logApiResponse(SERVICE_NAME, 'getExchangeRates', { data });
+
+        return data;
+    } catch (error) {
+        if (axios.isCancel(error)) {
+            throw new Error("Request was canceled");
+        }
+        console.error("Error fetching exchange rates:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Replace the exchange-rate table (admins and landlords)
+ * @param {Object} rateTable - New rate table
+ * @param {string} rateTable.baseCurrency - Currency the rates are expressed against
+ * @param {Object<string, number>} rateTable.rates - Units of each currency per 1 unit of the base currency
+ * @param {AbortSignal} [signal] - Optional AbortSignal to cancel the request
+ * @returns {Promise<Object>} The saved rate table
+ */
+export const updateExchangeRates = async (rateTable, signal) => {
+    try {
+        const res = await api.put(EXCHANGE_RATE_BASE_URL, rateTable, { signal });
+        const { data } = extractApiResponse(res.data);
+
+        logApiResponse(SERVICE_NAME, 'updateExchangeRates', { data });
+
+        return data;
+    } catch (error) {
+        if (axios.isCancel(error)) {
+            throw new Error("Request was canceled");
+        }
+        console.error("Error updating exchange rates:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+export default {
+    getExchangeRates,
+    updateExchangeRates
+};
@@ -0,0 +1,311 @@
+// client/src/services/inspectionService.js
+
+import api from "../api/axios.js";
+import axios from "axios";
+import { extractApiResponse, logApiResponse } from "../utils/apiUtils.js";
+import { INSPECTION_STATUS, INSPECTION_TYPES } from "../utils/constants.js";
+import { summarizeInspection } from "../utils/inspections.js";
+
+const SERVICE_NAME = 'inspectionService';
+const INSPECTION_BASE_URL = '/inspections';
+
+/**
+ * Gets inspections with filtering
+ * @param {Object} [params={}] - Query parameters
+ * @param {string} [params.unitId] - Filter by unit
+ * @param {string} [params.leaseId] - Filter by lease
+ * @param {string} [params.type] - Filter by INSPECTION_TYPES
+ * @param {AbortSignal} [signal] - Optional AbortSignal to cancel the request
+ * @returns {Promise<Object>} Paginated inspections
+ * @throws {Error} If request fails
+ */
+export const getInspections = async (params = {}, signal) => {
+    try {
+        const res = await api.get(INSPECTION_BASE_URL, { params, signal });
+        const { data, meta } = extractApiResponse(res.data);
+
+        logApiResponse(SERVICE_NAME, 'getInspections', { data, meta });
+
+        return {
+            data: Array.isArray(data) ? data.map(formatInspection) : [],
+            total: meta.total || 0,
+            page: meta.page || 1,
+            limit: meta.limit || 10,
+            pages: meta.pages || 1
+        };
+    } catch (error) {
+        if (axios.isCancel(error)) {
+            throw new Error("Request was canceled");
+        }
+        console.error("Error fetching inspections:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Gets an inspection by ID
+ * @param {string} inspectionId - Inspection ID
+ * @param {AbortSignal} [signal] - Optional AbortSignal to cancel the request
+ * @returns {Promise<Object>} Inspection with rooms, items and photos
+ * @throws {Error} If request fails
+ */
+export const getInspectionById = async (inspectionId, signal) => {
+    try {
+        const res = await api.get(`${INSPECTION_BASE_URL}/${inspectionId}`, { signal });
+        const { data } = extractApiResponse(res.data);
+
+        logApiResponse(SERVICE_NAME, 'getInspectionById', { data });
+
+        return formatInspection(data);
+    } catch (error) {
+        if (axios.isCancel(error)) {
+            throw new Error("Request was canceled");
+        }
+        console.error("Error fetching inspection:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Creates an inspection for a unit
+ * @param {Object} inspectionData - Inspection data
+ * @param {string} inspectionData.propertyId - Property ID
+ * @param {string} inspectionData.unitId - Unit ID
+ * @param {string} [inspectionData.leaseId] - Lease the inspection belongs to
+ * @param {string} inspectionData.type - One of INSPECTION_TYPES
+ * @param {string} inspectionData.inspectionDate - Date of the inspection (YYYY-MM-DD)
+ * @param {Array<Object>} inspectionData.rooms - Rooms with { name, items: [{ name, condition, notes, photos }] }
+ * @param {string} [inspectionData.notes] - General notes
+ * @returns {Promise<Object>} Created inspection
+ * @throws {Error} If request fails
+ */
+export const createInspection = async (inspectionData) => {
+    try {
+        const res = await api.post(INSPECTION_BASE_URL, inspectionData);
+        const { data } = extractApiResponse(res.data);
+
+        logApiResponse(SERVICE_NAME, 'createInspection', { data });
+
+        return formatInspection(data);
+    } catch (error) {
+        console.error("Error creating inspection:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Updates a draft inspection
+ * @param {string} inspectionId - Inspection ID
+ * @param {Object} updates - Fields to update (see createInspection)
+ * @returns {Promise<Object>} Updated inspection
+ * @throws {Error} If request fails
+ */
+export const updateInspection = async (inspectionId, updates) => {
+    try {
+        const res = await api.put(`${INSPECTION_BASE_URL}/${inspectionId}`, updates);
+        const { data } = extractApiResponse(res.data);
+
+        logApiResponse(SERVICE_NAME, 'updateInspection', { data });
+
+        return formatInspection(data);
+    } catch (error) {
+        console.error("Error updating inspection:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Deletes a draft inspection
+ * @param {string} inspectionId - Inspection ID
+ * @returns {Promise<Object>} Success message
+ * @throws {Error} If request fails
+ */
+export const deleteInspection = async (inspectionId) => {
+    try {
+        const res = await api.delete(`${INSPECTION_BASE_URL}/${inspectionId}`);
+        const response = extractApiResponse(res.data);
+
+        logApiResponse(SERVICE_NAME, 'deleteInspection', response);
+
+        return response;
+    } catch (error) {
+        console.error("Error deleting inspection:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Completes an inspection and sends it to the tenant to countersign
+ * @param {string} inspectionId - Inspection ID
+ * @returns {Promise<Object>} Inspection awaiting the tenant's signature
+ * @throws {Error} If request fails
+ */
+export const completeInspection = async (inspectionId) => {
+    try {
+        const res = await api.post(`${INSPECTION_BASE_URL}/${inspectionId}/complete`);
+        const { data } = extractApiResponse(res.data);
+
+        logApiResponse(SERVICE_NAME, 'completeInspection', { data });
+
+        return formatInspection(data);
+    } catch (error) {
+        console.error("Error completing inspection:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Records the tenant's answer to a completed inspection. The backend records the time and
+ * the tenant's IP address with the signature.
+ * @param {string} inspectionId - Inspection ID
+ * @param {Object} response - Tenant response
+ * @param {boolean} response.agree - Countersign (true) or dispute (false) the report
+ * @param {string} [response.method] - One of SIGNATURE_METHODS (when agreeing)
+ * @param {string} [response.signatureImage] - PNG data URL of the signature (when agreeing)
+ * @param {string} [response.typedName] - Name typed by the tenant (typed signatures)
+ * @param {string} [response.comments] - Tenant's comments on the report
+ * @returns {Promise<Object>} Signed or disputed inspection
+ * @throws {Error} If request fails
+ */
+export const countersignInspection = async (inspectionId, { agree, ...response }) => {
+    try {
+        const res = await api.post(`${INSPECTION_BASE_URL}/${inspectionId}/countersign`, {
+            ...response,
+            decision: agree ? 'agree' : 'dispute',
+            signedAt: new Date().toISOString()
+        });
+        const { data } = extractApiResponse(res.data);
+
+        logApiResponse(SERVICE_NAME, 'countersignInspection', { data });
+
+        return formatInspection(data);
+    } catch (error) {
+        console.error("Error countersigning inspection:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Links a maintenance request to a checklist item. Only the item's request link changes,
+ * so this also works on completed and countersigned inspections, whose report stays as signed.
+ * @param {string} inspectionId - Inspection ID
+ * @param {Object} link - Item and request to link
+ * @param {number} link.roomIndex - Index of the room in `rooms`
+ * @param {number} link.itemIndex - Index of the item in the room's `items`
+ * @param {string} link.requestId - Maintenance request raised for the item
+ * @returns {Promise<Object>} Updated inspection
+ * @throws {Error} If request fails
+ */
+export const linkItemRequest = async (inspectionId, { roomIndex, itemIndex, requestId }) => {
+    try {
+        const res = await api.post(`${INSPECTION_BASE_URL}/${inspectionId}/item-requests`, { roomIndex, itemIndex, requestId });
+        const { data } = extractApiResponse(res.data);
+
+        logApiResponse(SERVICE_NAME, 'linkItemRequest', { data });
+
+        return formatInspection(data);
+    } catch (error) {
+        console.error("Error linking maintenance request to inspection:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Formats an inspection for display
+ * @param {Object} inspection - Inspection
+ * @returns {Object} Formatted inspection
+ */
+export const formatInspection = (inspection) => {
+    if (!inspection) return null;
+
+    return {
+        ...inspection,
+        ...summarizeInspection(inspection),
+        propertyId: inspection.property?._id || inspection.property,
+        unitId: inspection.unit?._id || inspection.unit,
+        leaseId: inspection.lease?._id || inspection.lease || null,
+        tenantId: inspection.tenant?._id || inspection.tenant || null,
+        tenantName: inspection.tenant?.firstName
+            ? `${inspection.tenant.firstName} ${inspection.tenant.lastName || ''}`.trim()
+            : 'No tenant',
+        inspectorName: inspection.inspector?.firstName
+            ? `${inspection.inspector.firstName} ${inspection.inspector.lastName || ''}`.trim()
+            : 'Unknown',
+        unitName: inspection.unit?.unitName || 'Unknown Unit',
+        propertyName: inspection.property?.name || 'Unknown Property',
+        formattedDate: inspection.inspectionDate ? new Date(inspection.inspectionDate).toLocaleDateString() : 'N/A',
+        isEditable: inspection.status === INSPECTION_STATUS.DRAFT,
+        typeDisplay: getInspectionTypeDisplay(inspection.type),
+        statusDisplay: getInspectionStatusDisplay(inspection.status),
+        statusClass: getInspectionStatusClass(inspection.status)
+    };
+};
+
+/**
+ * Gets display text for an inspection type
+ * @param {string} type - Inspection type
+ * @returns {string} Display text
+ */
+export const getInspectionTypeDisplay = (type) => {
+    switch (type) {
+        case INSPECTION_TYPES.MOVE_IN:
+            return 'Move-in';
+        case INSPECTION_TYPES.MOVE_OUT:
+            return 'Move-out';
+        case INSPECTION_TYPES.ROUTINE:
+            return 'Routine';
+        default:
+            return 'Inspection';
+    }
+};
+
+/**
+ * Gets display text for an inspection status
+ * @param {string} status - Inspection status
+ * @returns {string} Display text
+ */
+const getInspectionStatusDisplay = (status) => {
+    switch (status) {
+        case INSPECTION_STATUS.DRAFT:
+            return 'Draft';
+        case INSPECTION_STATUS.AWAITING_TENANT:
+            return 'Awaiting Tenant Signature';
+        case INSPECTION_STATUS.SIGNED:
+            return 'Signed';
+        case INSPECTION_STATUS.DISPUTED:
+            return 'Disputed';
+        default:
+            return 'Unknown';
+    }
+};
+
+/**
+ * Gets CSS class for an inspection status
+ * @param {string} status - Inspection status
+ * @returns {string} CSS class name
+ */
+const getInspectionStatusClass = (status) => {
+    switch (status) {
+        case INSPECTION_STATUS.AWAITING_TENANT:
+            return 'bg-yellow-100 text-yellow-800';
+        case INSPECTION_STATUS.SIGNED:
+            return 'bg-green-100 text-green-800';
+        case INSPECTION_STATUS.DISPUTED:
+            return 'bg-red-100 text-red-800';
+        default:
+            return 'bg-gray-100 text-gray-800';
+    }
+};
+
+export default {
+    getInspections,
+    getInspectionById,
+    createInspection,
+    updateInspection,
+    deleteInspection,
+    completeInspection,
+    countersignInspection,
+    linkItemRequest,
+    formatInspection,
+    getInspectionTypeDisplay
+};
@@ -3,6 +3,9 @@
 import api from "../api/axios.js";
 import axios from "axios";
 import { extractApiResponse, logApiResponse } from "../utils/apiUtils.js";
+import { formatCurrency } from "../utils/helpers.js";
+import { resolveCurrency } from "../utils/currency.js";
+import { DEPOSIT_STATUS } from "../utils/constants.js";
 
 const SERVICE_NAME = 'leaseService';
 const LEASE_BASE_URL = '/leases';
@@ -272,12 +275,17 @@ export const downloadLeaseDocument = async (downloadUrl, fileName) => {
  * Generates a lease document from a template
  * @param {string} leaseId - Lease ID
  * @param {string} documentType - Document type
+ * @param {Object} [options={}] - Generation options
+ * @param {number} [options.version] - Generate the lease as it stood at this version (1 is the original, each amendment adds one)
  * @returns {Promise<Object>} Generated document info
  * @throws {Error} If generation fails
  */
-export const generateLeaseDocument = async (leaseId, documentType) => {
+export const generateLeaseDocument = async (leaseId, documentType, options = {}) => {
     try {
-        const res = await api.post(`${LEASE_BASE_URL}/${leaseId}/generate-document`, { documentType });
+        const res = await api.post(`${LEASE_BASE_URL}/${leaseId}/generate-document`, {
+            documentType,
+            version: options.version
+        });
         const { data } = extractApiResponse(res.data);
         
         logApiResponse(SERVICE_NAME, 'generateLeaseDocument', { data });
@@ -290,17 +298,37 @@ export const generateLeaseDocument = async (leaseId, documentType) => {
 };
 
 /**
- * Adds an amendment to a lease
+ * Adds an amendment to a lease. Field changes are applied to the lease once the
+ * amendment is approved.
  * @param {string} leaseId - Lease ID
  * @param {Object} amendmentData - Amendment data
  * @param {string} amendmentData.description - Amendment description
+ * @param {Array<{field: string, from: *, to: *}>} [amendmentData.changes] - Field-level changes
+ * @param {string} [amendmentData.effectiveDate] - Date the changes take effect (YYYY-MM-DD)
  * @param {string} [amendmentData.documentId] - Optional document ID
+ * @param {File} [documentFile] - Optional supporting document, sent in the same request
+ *   so a failed amendment doesn't leave an orphaned upload behind
  * @returns {Promise<Object>} Updated lease
  * @throws {Error} If request fails
  */
-export const addLeaseAmendment = async (leaseId, amendmentData) => {
+export const addLeaseAmendment = async (leaseId, amendmentData, documentFile) => {
     try {
-        const res = await api.post(`${LEASE_BASE_URL}/${leaseId}/amendments`, amendmentData);
+        let payload = amendmentData;
+        let config;
+
+        if (documentFile) {
+            payload = new FormData();
+            Object.keys(amendmentData).forEach(key => {
+                const value = amendmentData[key];
+                if (value !== undefined && value !== null) {
+                    payload.append(key, typeof value === 'object' ? JSON.stringify(value) : value);
+                }
+            });
+            payload.append('documentFile', documentFile);
+            config = { headers: { 'Content-Type': 'multipart/form-data' } };
+        }
+
+        const res = await api.post(`${LEASE_BASE_URL}/${leaseId}/amendments`, payload, config);
         const { data } = extractApiResponse(res.data);
         
         logApiResponse(SERVICE_NAME, 'addLeaseAmendment', { data });
@@ -312,6 +340,27 @@ export const addLeaseAmendment = async (leaseId, amendmentData) => {
     }
 };
 
+/**
+ * Approves a lease amendment and applies its field changes to the lease
+ * @param {string} leaseId - Lease ID
+ * @param {string} amendmentId - Amendment ID
+ * @returns {Promise<Object>} Updated lease
+ * @throws {Error} If request fails
+ */
+export const approveLeaseAmendment = async (leaseId, amendmentId) => {
+    try {
+        const res = await api.post(`${LEASE_BASE_URL}/${leaseId}/amendments/${amendmentId}/approve`);
+        const { data } = extractApiResponse(res.data);
+        
+        logApiResponse(SERVICE_NAME, 'approveLeaseAmendment', { data });
+        
+        return data;
+    } catch (error) {
+        console.error("Error approving lease amendment:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
 /**
  * Gets rent report for a lease
  * @param {string} leaseId - Lease ID
@@ -358,6 +407,331 @@ export const generateRentReportDocument = async (leaseId, params = {}) => {
     }
 };
 
+/**
+ * Gets the renewal offer for a lease
+ * @param {string} leaseId - Lease ID
+ * @param {AbortSignal} [signal] - Optional AbortSignal to cancel the request
+ * @returns {Promise<Object|null>} Current renewal offer, or null if none has been drafted
+ * @throws {Error} If request fails
+ */
+export const getRenewalOffer = async (leaseId, signal) => {
+    try {
+        const res = await api.get(`${LEASE_BASE_URL}/${leaseId}/renewal`, { signal });
+        const { data } = extractApiResponse(res.data);
+        
+        logApiResponse(SERVICE_NAME, 'getRenewalOffer', { data });
+        
+        return data || null;
+    } catch (error) {
+        if (axios.isCancel(error)) {
+            throw new Error("Request was canceled");
+        }
+        console.error("Error fetching renewal offer:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Creates or updates the draft renewal offer for a lease
+ * @param {string} leaseId - Lease ID
+ * @param {Object} offerData - Proposed terms
+ * @param {string} offerData.leaseStartDate - Start of the renewed term (YYYY-MM-DD)
+ * @param {string} offerData.leaseEndDate - End of the renewed term (YYYY-MM-DD)
+ * @param {number} offerData.monthlyRent - Proposed rent
+ * @param {number} [offerData.securityDeposit] - Deposit for the renewed term
+ * @param {number} [offerData.paymentDueDay] - Day of the month rent is due
+ * @param {string} [offerData.terms] - Terms & conditions for the renewed term
+ * @param {string} [offerData.message] - Note to the tenant
+ * @param {string} [offerData.respondBy] - Date the tenant should answer by (YYYY-MM-DD)
+ * @returns {Promise<Object>} Saved renewal offer
+ * @throws {Error} If request fails
+ */
+export const saveRenewalOffer = async (leaseId, offerData) => {
+    try {
+        const res = await api.put(`${LEASE_BASE_URL}/${leaseId}/renewal`, offerData);
+        const { data } = extractApiResponse(res.data);
+        
+        logApiResponse(SERVICE_NAME, 'saveRenewalOffer', { data });
+        
+        return data;
+    } catch (error) {
+        console.error("Error saving renewal offer:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Sends the drafted renewal offer to the tenant. The lease moves to pending_renewal.
+ * @param {string} leaseId - Lease ID
+ * @returns {Promise<Object>} Sent renewal offer
+ * @throws {Error} If request fails
+ */
+export const sendRenewalOffer = async (leaseId) => {
+    try {
+        const res = await api.post(`${LEASE_BASE_URL}/${leaseId}/renewal/send`);
+        const { data } = extractApiResponse(res.data);
+        
+        logApiResponse(SERVICE_NAME, 'sendRenewalOffer', { data });
+        
+        return data;
+    } catch (error) {
+        console.error("Error sending renewal offer:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Withdraws a renewal offer the tenant has not answered yet
+ * @param {string} leaseId - Lease ID
+ * @returns {Promise<Object>} Withdrawn renewal offer
+ * @throws {Error} If request fails
+ */
+export const withdrawRenewalOffer = async (leaseId) => {
+    try {
+        const res = await api.post(`${LEASE_BASE_URL}/${leaseId}/renewal/withdraw`);
+        const { data } = extractApiResponse(res.data);
+        
+        logApiResponse(SERVICE_NAME, 'withdrawRenewalOffer', { data });
+        
+        return data;
+    } catch (error) {
+        console.error("Error withdrawing renewal offer:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Records the tenant's answer to a renewal offer. Accepting completes the renewal on the
+ * backend in a single transaction: it creates the successor lease and its rent schedule
+ * (frequency, proration and escalation carry over from the current schedule) and returns
+ * the offer as completed, with `successorLease` set. The successor is created as `upcoming`
+ * and becomes active on its start date; the current lease stays as it is until its own end
+ * date passes.
+ * @param {string} leaseId - Lease ID
+ * @param {Object} response - Tenant's answer
+ * @param {boolean} response.accept - True to accept, false to decline
+ * @param {string} [response.note] - Optional note to the landlord
+ * @returns {Promise<Object>} Updated renewal offer
+ * @throws {Error} If request fails
+ */
+export const respondToRenewalOffer = async (leaseId, { accept, note }) => {
+    try {
+        const res = await api.post(`${LEASE_BASE_URL}/${leaseId}/renewal/respond`, {
+            decision: accept ? 'accepted' : 'declined',
+            note
+        });
+        const { data } = extractApiResponse(res.data);
+        
+        logApiResponse(SERVICE_NAME, 'respondToRenewalOffer', { data });
+        
+        return data;
+    } catch (error) {
+        console.error("Error responding to renewal offer:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Gets the security deposit record for a lease
+ * @param {string} leaseId - Lease ID
+ * @param {AbortSignal} [signal] - Optional AbortSignal to cancel the request
+ * @returns {Promise<Object>} Formatted deposit record
+ * @throws {Error} If request fails
+ */
+export const getLeaseDeposit = async (leaseId, signal) => {
+    try {
+        const res = await api.get(`${LEASE_BASE_URL}/${leaseId}/deposit`, { signal });
+        const { data } = extractApiResponse(res.data);
+        
+        logApiResponse(SERVICE_NAME, 'getLeaseDeposit', { data });
+        
+        return formatDeposit(data);
+    } catch (error) {
+        if (axios.isCancel(error)) {
+            throw new Error("Request was canceled");
+        }
+        console.error("Error fetching lease deposit:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Records that the security deposit was collected
+ * @param {string} leaseId - Lease ID
+ * @param {Object} receiptData - Receipt details
+ * @param {number} receiptData.amount - Amount collected
+ * @param {string} receiptData.receivedAt - Date collected (YYYY-MM-DD)
+ * @param {string} [receiptData.paymentMethod] - How it was paid
+ * @param {string} [receiptData.reference] - Transaction or receipt reference
+ * @returns {Promise<Object>} Updated deposit record
+ * @throws {Error} If request fails
+ */
+export const recordDepositReceipt = async (leaseId, receiptData) => {
+    try {
+        const res = await api.post(`${LEASE_BASE_URL}/${leaseId}/deposit/receipt`, receiptData);
+        const { data } = extractApiResponse(res.data);
+        
+        logApiResponse(SERVICE_NAME, 'recordDepositReceipt', { data });
+        
+        return formatDeposit(data);
+    } catch (error) {
+        console.error("Error recording deposit receipt:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Adds an itemized deduction against the security deposit
+ * @param {string} leaseId - Lease ID
+ * @param {Object} deductionData - Deduction details
+ * @param {string} deductionData.category - One of DEPOSIT_DEDUCTION_CATEGORIES
+ * @param {string} deductionData.description - What the deduction is for
+ * @param {number} deductionData.amount - Amount deducted
+ * @param {string} [deductionData.requestId] - Related maintenance request
+ * @param {Array<string>} [deductionData.mediaIds] - Supporting move-out inspection photos
+ * @param {string} [deductionData.inspectionId] - Move-out inspection the deduction was charged from
+ * @param {string} [deductionData.inspectionItem] - Key of the charged inspection item (see compareInspections)
+ * @returns {Promise<Object>} Updated deposit record
+ * @throws {Error} If request fails
+ */
+export const addDepositDeduction = async (leaseId, deductionData) => {
+    try {
+        const res = await api.post(`${LEASE_BASE_URL}/${leaseId}/deposit/deductions`, deductionData);
+        const { data } = extractApiResponse(res.data);
+        
+        logApiResponse(SERVICE_NAME, 'addDepositDeduction', { data });
+        
+        return formatDeposit(data);
+    } catch (error) {
+        console.error("Error adding deposit deduction:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Removes a deduction from the security deposit (before the refund is recorded)
+ * @param {string} leaseId - Lease ID
+ * @param {string} deductionId - Deduction ID
+ * @returns {Promise<Object>} Updated deposit record
+ * @throws {Error} If request fails
+ */
+export const removeDepositDeduction = async (leaseId, deductionId) => {
+    try {
+        const res = await api.delete(`${LEASE_BASE_URL}/${leaseId}/deposit/deductions/${deductionId}`);
+        const { data } = extractApiResponse(res.data);
+        
+        logApiResponse(SERVICE_NAME, 'removeDepositDeduction', { data });
+        
+        return formatDeposit(data);
+    } catch (error) {
+        console.error("Error removing deposit deduction:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Records the refund of the remaining security deposit
+ * @param {string} leaseId - Lease ID
+ * @param {Object} refundData - Refund details
+ * @param {number} refundData.amount - Amount returned to the tenant
+ * @param {string} refundData.refundedAt - Date refunded (YYYY-MM-DD)
+ * @param {string} [refundData.paymentMethod] - How it was returned
+ * @param {string} [refundData.reference] - Transaction reference
+ * @returns {Promise<Object>} Updated deposit record
+ * @throws {Error} If request fails
+ */
+export const recordDepositRefund = async (leaseId, refundData) => {
+    try {
+        const res = await api.post(`${LEASE_BASE_URL}/${leaseId}/deposit/refund`, refundData);
+        const { data } = extractApiResponse(res.data);
+        
+        logApiResponse(SERVICE_NAME, 'recordDepositRefund', { data });
+        
+        return formatDeposit(data);
+    } catch (error) {
+        console.error("Error recording deposit refund:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Formats a deposit record with running totals for display
+ * @param {Object} deposit - Deposit record
+ * @returns {Object} Formatted deposit
+ */
+export const formatDeposit = (deposit) => {
+    if (!deposit) return null;
+    
+    const currency = resolveCurrency(deposit.currency);
+    const deductions = Array.isArray(deposit.deductions) ? deposit.deductions : [];
+    const receivedAmount = deposit.receivedAmount || 0;
+    const totalDeductions = deductions.reduce((total, deduction) => total + (deduction.amount || 0), 0);
+    const refundedAmount = deposit.refund?.amount || 0;
+    const status = deposit.status || (receivedAmount > 0 ? DEPOSIT_STATUS.HELD : DEPOSIT_STATUS.PENDING);
+    
+    return {
+        ...deposit,
+        currency,
+        status,
+        deductions,
+        receivedAmount,
+        totalDeductions,
+        refundedAmount,
+        // What the tenant is owed back once deductions are taken off
+        refundDue: Math.max(0, receivedAmount - totalDeductions - refundedAmount),
+        isSettled: [DEPOSIT_STATUS.REFUNDED, DEPOSIT_STATUS.PARTIALLY_REFUNDED, DEPOSIT_STATUS.FORFEITED].includes(status),
+        statusDisplay: getDepositStatusDisplay(status),
+        statusClass: getDepositStatusClass(status),
+        formattedAmount: formatCurrency(deposit.amount || 0, currency),
+        formattedReceived: formatCurrency(receivedAmount, currency),
+        formattedDeductions: formatCurrency(totalDeductions, currency),
+        formattedRefunded: formatCurrency(refundedAmount, currency)
+    };
+};
+
+/**
+ * Gets display text for a deposit status
+ * @param {string} status - Deposit status
+ * @returns {string} Display text
+ */
+const getDepositStatusDisplay = (status) => {
+    switch (status) {
+        case DEPOSIT_STATUS.PENDING:
+            return 'Not Yet Collected';
+        case DEPOSIT_STATUS.HELD:
+            return 'Held';
+        case DEPOSIT_STATUS.PARTIALLY_REFUNDED:
+            return 'Refunded After Deductions';
+        case DEPOSIT_STATUS.REFUNDED:
+            return 'Refunded in Full';
+        case DEPOSIT_STATUS.FORFEITED:
+            return 'Fully Deducted';
+        default:
+            return 'Unknown';
+    }
+};
+
+/**
+ * Gets CSS class for a deposit status
+ * @param {string} status - Deposit status
+ * @returns {string} CSS class name
+ */
+const getDepositStatusClass = (status) => {
+    switch (status) {
+        case DEPOSIT_STATUS.PENDING:
+            return 'bg-yellow-100 text-yellow-800';
+        case DEPOSIT_STATUS.HELD:
+            return 'bg-blue-100 text-blue-800';
+        case DEPOSIT_STATUS.REFUNDED:
+        case DEPOSIT_STATUS.PARTIALLY_REFUNDED:
+            return 'bg-green-100 text-green-800';
+        case DEPOSIT_STATUS.FORFEITED:
+            return 'bg-red-100 text-red-800';
+        default:
+            return 'bg-gray-100 text-gray-800';
+    }
+};
+
 /**
  * Formats lease data for display
  * @param {Object} lease - Lease object
@@ -370,8 +744,9 @@ export const formatLease = (lease) => {
         ...lease,
         formattedStartDate: lease.leaseStartDate ? new Date(lease.leaseStartDate).toLocaleDateString() : 'N/A',
         formattedEndDate: lease.leaseEndDate ? new Date(lease.leaseEndDate).toLocaleDateString() : 'N/A',
-        formattedRent: lease.monthlyRent ? `${lease.currency} ${lease.monthlyRent.toLocaleString()}` : 'N/A',
-        formattedDeposit: lease.securityDeposit ? `${lease.currency} ${lease.securityDeposit.toLocaleString()}` : 'N/A',
+        currency: resolveCurrency(lease.currency),
+        formattedRent: lease.monthlyRent ? formatCurrency(lease.monthlyRent, resolveCurrency(lease.currency)) : 'N/A',
+        formattedDeposit: lease.securityDeposit ? formatCurrency(lease.securityDeposit, resolveCurrency(lease.currency)) : 'N/A',
         daysRemaining: calculateDaysRemaining(lease.leaseEndDate, lease.status),
         statusClass: getStatusClass(lease.status),
         statusDisplay: getStatusDisplay(lease.status),
@@ -412,6 +787,8 @@ const getStatusClass = (status) => {
     switch (status?.toLowerCase()) {
         case 'active':
             return 'bg-green-100 text-green-800';
+        case 'upcoming':
+            return 'bg-indigo-100 text-indigo-800';
         case 'expired':
             return 'bg-gray-100 text-gray-800';
         case 'terminated':
@@ -432,6 +809,8 @@ const getStatusDisplay = (status) => {
     switch (status?.toLowerCase()) {
         case 'active':
             return 'Active';
+        case 'upcoming':
+            return 'Upcoming';
         case 'expired':
             return 'Expired';
         case 'terminated':
@@ -456,7 +835,19 @@ export default {
     downloadLeaseDocument,
     generateLeaseDocument,
     addLeaseAmendment,
+    approveLeaseAmendment,
     getLeaseRentReport,
     generateRentReportDocument,
+    getRenewalOffer,
+    saveRenewalOffer,
+    sendRenewalOffer,
+    withdrawRenewalOffer,
+    respondToRenewalOffer,
+    getLeaseDeposit,
+    recordDepositReceipt,
+    addDepositDeduction,
+    removeDepositDeduction,
+    recordDepositRefund,
+    formatDeposit,
     formatLease
 };
\ No newline at end of file
@@ -0,0 +1,295 @@
+// client/src/services/maintenanceCostService.js
+
+import api from "../api/axios.js";
+import axios from "axios";
+import { extractApiResponse, logApiResponse } from "../utils/apiUtils.js";
+import { COST_ENTRY_TYPES, COST_APPROVAL_STATUS } from "../utils/constants.js";
+import { resolveCurrency } from "../utils/currency.js";
+
+const SERVICE_NAME = 'maintenanceCostService';
+const COST_BASE_URL = '/maintenance-costs';
+
+/**
+ * Builds multipart form data for a cost entry, sending the invoice file as 'invoiceFile'
+ * @param {Object} entryData - Cost entry fields
+ * @returns {FormData} Form data
+ */
+const toFormData = (entryData) => {
+    const formData = new FormData();
+    Object.entries(entryData).forEach(([key, value]) => {
+        if (value === undefined || value === null || value === '') return;
+        formData.append(key === 'file' ? 'invoiceFile' : key, value);
+    });
+    return formData;
+};
+
+/**
+ * Gets cost entries with filtering
+ * @param {Object} [params={}] - Query parameters
+ * @param {string} [params.requestId] - Filter by maintenance request
+ * @param {string} [params.scheduledMaintenanceId] - Filter by scheduled maintenance task
+ * @param {string} [params.propertyId] - Filter by property
+ * @param {string} [params.approvalStatus] - Filter by COST_APPROVAL_STATUS
+ * @param {AbortSignal} [signal] - Optional AbortSignal to cancel the request
+ * @returns {Promise<Object>} Paginated cost entries, including costs recorded from approved vendor portal invoices
+ * @throws {Error} If request fails
+ */
+export const getCostEntries = async (params = {}, signal) => {
+    try {
+        const res = await api.get(COST_BASE_URL, { params, signal });
+        const { data, meta } = extractApiResponse(res.data);
+
+        logApiResponse(SERVICE_NAME, 'getCostEntries', { data, meta });
+
+        return {
+            data: Array.isArray(data) ? data.map(formatCostEntry) : [],
+            total: meta.total || 0,
+            page: meta.page || 1,
+            limit: meta.limit || 10,
+            pages: meta.pages || 1
+        };
+    } catch (error) {
+        if (axios.isCancel(error)) {
+            throw new Error("Request was canceled");
+        }
+        console.error("Error fetching cost entries:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Records a cost against a request or scheduled maintenance task. Entries above the
+ * property's cost approval threshold are saved as pending landlord approval.
+ * @param {Object} entryData - Cost entry data
+ * @param {string} [entryData.requestId] - Maintenance request ID
+ * @param {string} [entryData.scheduledMaintenanceId] - Scheduled maintenance task ID
+ * @param {string} entryData.type - One of COST_ENTRY_TYPES
+ * @param {string} entryData.description - What the cost was for
+ * @param {number} entryData.amount - Total amount
+ * @param {string} [entryData.currency] - Currency code
+ * @param {string} [entryData.incurredOn] - Date the cost was incurred (YYYY-MM-DD)
+ * @param {string} [entryData.vendorId] - Vendor who billed it
+ * @param {string} [entryData.invoiceNumber] - Vendor's invoice number
+ * @param {File} [entryData.file] - Scanned invoice or receipt
+ * @returns {Promise<Object>} Created cost entry
+ * @throws {Error} If request fails
+ */
+export const createCostEntry = async (entryData) => {
+    try {
+        const res = await api.post(COST_BASE_URL, toFormData(entryData), {
+            headers: { "Content-Type": "multipart/form-data" }
+        });
+        const { data } = extractApiResponse(res.data);
+
+        logApiResponse(SERVICE_NAME, 'createCostEntry', { data });
+
+        return formatCostEntry(data);
+    } catch (error) {
+        console.error("Error creating cost entry:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Deletes a cost entry that hasn't been approved
+ * @param {string} entryId - Cost entry ID
+ * @returns {Promise<Object>} Response message
+ * @throws {Error} If request fails
+ */
+export const deleteCostEntry = async (entryId) => {
+    try {
+        const res = await api.delete(`${COST_BASE_URL}/${entryId}`);
+        const { data } = extractApiResponse(res.data);
+
+        logApiResponse(SERVICE_NAME, 'deleteCostEntry', { data });
+
+        return data;
+    } catch (error) {
+        console.error("Error deleting cost entry:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Landlord approves a cost entry that was above the approval threshold
+ * @param {string} entryId - Cost entry ID
+ * @returns {Promise<Object>} Approved cost entry
+ * @throws {Error} If request fails
+ */
+export const approveCostEntry = async (entryId) => {
+    try {
+        const res = await api.post(`${COST_BASE_URL}/${entryId}/approve`);
+        const { data } = extractApiResponse(res.data);
+
+        logApiResponse(SERVICE_NAME, 'approveCostEntry', { data });
+
+        return formatCostEntry(data);
+    } catch (error) {
+        console.error("Error approving cost entry:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Landlord rejects a cost entry that was above the approval threshold
+ * @param {string} entryId - Cost entry ID
+ * @param {string} [reason] - Why it was rejected
+ * @returns {Promise<Object>} Rejected cost entry
+ * @throws {Error} If request fails
+ */
+export const rejectCostEntry = async (entryId, reason) => {
+    try {
+        const res = await api.post(`${COST_BASE_URL}/${entryId}/reject`, { reason });
+        const { data } = extractApiResponse(res.data);
+
+        logApiResponse(SERVICE_NAME, 'rejectCostEntry', { data });
+
+        return formatCostEntry(data);
+    } catch (error) {
+        console.error("Error rejecting cost entry:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Gets maintenance spend per property for a year, with each property's annual operating budget.
+ * Only approved entries, and entries that didn't need approval, count as spend.
+ * @param {Object} [params={}] - Query parameters
+ * @param {number} [params.year] - Calendar year (defaults to the current year)
+ * @param {string} [params.propertyId] - Limit to one property
+ * @param {AbortSignal} [signal] - Optional AbortSignal to cancel the request
+ * @returns {Promise<Array<Object>>} One summary per property: { property, total, byType, pendingTotal, currency }
+ * @throws {Error} If request fails
+ */
+export const getPropertySpendSummary = async (params = {}, signal) => {
+    try {
+        const res = await api.get(`${COST_BASE_URL}/summary`, { params, signal });
+        const { data } = extractApiResponse(res.data);
+
+        logApiResponse(SERVICE_NAME, 'getPropertySpendSummary', { data });
+
+        return Array.isArray(data) ? data.map(formatSpendSummary) : [];
+    } catch (error) {
+        if (axios.isCancel(error)) {
+            throw new Error("Request was canceled");
+        }
+        console.error("Error fetching property spend summary:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Whether a cost entry counts towards spend
+ * @param {Object} entry - Cost entry
+ * @returns {boolean} True if approved or approval wasn't needed
+ */
+export const isCountedCost = (entry) => [
+    COST_APPROVAL_STATUS.NOT_REQUIRED,
+    COST_APPROVAL_STATUS.APPROVED
+].includes(entry?.approvalStatus);
+
+/**
+ * Formats a cost entry for display
+ * @param {Object} entry - Cost entry from API
+ * @returns {Object} Formatted cost entry
+ */
+export const formatCostEntry = (entry) => {
+    if (!entry) return null;
+
+    return {
+        ...entry,
+        amount: Number(entry.amount) || 0,
+        currency: resolveCurrency(entry.currency, entry.property?.currency),
+        typeDisplay: getCostTypeDisplay(entry.type),
+        vendorName: entry.vendor?.name || null,
+        fromVendorPortal: !!entry.vendorInvoice, // Recorded when a manager approved a portal invoice
+        createdByName: entry.createdBy
+            ? `${entry.createdBy.firstName || ''} ${entry.createdBy.lastName || ''}`.trim() || entry.createdBy.email
+            : null,
+        isPending: entry.approvalStatus === COST_APPROVAL_STATUS.PENDING,
+        isCounted: isCountedCost(entry),
+        approvalStatusDisplay: getApprovalStatusDisplay(entry.approvalStatus),
+        approvalStatusClass: getApprovalStatusClass(entry.approvalStatus)
+    };
+};
+
+/**
+ * Formats a property spend summary, comparing spend with the annual operating budget
+ * @param {Object} summary - Spend summary from API
+ * @returns {Object} Formatted summary
+ */
+export const formatSpendSummary = (summary) => {
+    if (!summary) return null;
+
+    const total = Number(summary.total) || 0;
+    const budget = Number(summary.property?.annualOperatingBudget) || 0;
+
+    return {
+        ...summary,
+        total,
+        currency: resolveCurrency(summary.currency, summary.property?.currency),
+        propertyId: summary.property?._id || summary.property,
+        propertyName: summary.property?.name || 'Unknown Property',
+        budget: budget || null,
+        remaining: budget ? budget - total : null,
+        budgetUsedPercent: budget ? Math.round((total / budget) * 100) : null,
+        isOverBudget: !!budget && total > budget
+    };
+};
+
+/**
+ * Gets display text for a cost entry type
+ * @param {string} type - One of COST_ENTRY_TYPES
+ * @returns {string} Display text
+ */
+const getCostTypeDisplay = (type) => {
+    switch (type) {
+        case COST_ENTRY_TYPES.LABOUR: return 'Labour';
+        case COST_ENTRY_TYPES.MATERIALS: return 'Materials';
+        case COST_ENTRY_TYPES.VENDOR_INVOICE: return 'Vendor Invoice';
+        case COST_ENTRY_TYPES.OTHER: return 'Other';
+        default: return type || 'Unknown';
+    }
+};
+
+/**
+ * Gets display text for a cost approval status
+ * @param {string} status - One of COST_APPROVAL_STATUS
+ * @returns {string} Display text
+ */
+const getApprovalStatusDisplay = (status) => {
+    switch (status) {
+        case COST_APPROVAL_STATUS.NOT_REQUIRED: return 'Recorded';
+        case COST_APPROVAL_STATUS.PENDING: return 'Awaiting Approval';
+        case COST_APPROVAL_STATUS.APPROVED: return 'Approved';
+        case COST_APPROVAL_STATUS.REJECTED: return 'Rejected';
+        default: return status || 'Unknown';
+    }
+};
+
+/**
+ * Gets CSS class for a cost approval status
+ * @param {string} status - One of COST_APPROVAL_STATUS
+ * @returns {string} CSS class
+ */
+const getApprovalStatusClass = (status) => {
+    switch (status) {
+        case COST_APPROVAL_STATUS.NOT_REQUIRED: return 'bg-gray-100 text-gray-700';
+        case COST_APPROVAL_STATUS.PENDING: return 'bg-yellow-100 text-yellow-800';
+        case COST_APPROVAL_STATUS.APPROVED: return 'bg-green-100 text-green-800';
+        case COST_APPROVAL_STATUS.REJECTED: return 'bg-red-100 text-red-700';
+        default: return 'bg-gray-100 text-gray-800';
+    }
+};
+
+export default {
+    getCostEntries,
+    createCostEntry,
+    deleteCostEntry,
+    approveCostEntry,
+    rejectCostEntry,
+    getPropertySpendSummary,
+    isCountedCost,
+    formatCostEntry,
+    formatSpendSummary
+};
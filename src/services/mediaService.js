@@ -163,11 +163,51 @@ export const getMediaByResource = async (resourceType, resourceId, params = {},
     }
 };
 
+/**
+ * Uploads media files and attaches them to a resource.
+ * @param {File[]} files - Files to upload
+ * @param {object} resource - Resource the files belong to
+ * @param {string} resource.resourceType - The type of resource (e.g., 'Inspection')
+ * @param {string} resource.resourceId - The ID of the resource
+ * @param {string} [resource.description] - Optional caption stored with each file
+ * @param {AbortSignal} [signal] - Optional AbortSignal to cancel the request
+ * @returns {Promise<object[]>} The created media objects
+ */
+export const uploadMedia = async (files, { resourceType, resourceId, description } = {}, signal) => {
+    try {
+        const formData = new FormData();
+        files.forEach(file => {
+            formData.append('files', file);
+        });
+        if (resourceType) formData.append('resourceType', resourceType);
+        if (resourceId) formData.append('resourceId', resourceId);
+        if (description) formData.append('description', description);
+
+        const res = await api.post(`${MEDIA_BASE_URL}/upload`, formData, {
+            headers: { "Content-Type": "multipart/form-data" },
+            signal
+        });
+        const { data } = extractApiResponse(res.data);
+        
+        logApiResponse(SERVICE_NAME, 'uploadMedia', { data });
+        
+        return Array.isArray(data) ? data : [data];
+    } catch (error) {
+        if (axios.isCancel(error)) {
+            console.log('Request was canceled', error.message);
+            throw new Error("Request canceled");
+        }
+        console.error("uploadMedia error:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
 export default {
     getMedia,
     getMediaById,
     updateMedia,
     deleteMedia,
     getMediaStats,
-    getMediaByResource
+    getMediaByResource,
+    uploadMedia
 };
\ No newline at end of file
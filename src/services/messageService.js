@@ -3,20 +3,24 @@
 import api from "../api/axios.js";
 import axios from "axios";
 import { extractApiResponse, logApiResponse } from "../utils/apiUtils.js";
+import { CONVERSATION_TYPES } from "../utils/constants.js";
 
 const SERVICE_NAME = 'messageService';
 const MESSAGE_BASE_URL = '/messages';
+const CONVERSATION_BASE_URL = `${MESSAGE_BASE_URL}/conversations`;
 
 /**
- * Sends a new message
+ * Sends a new message, either to one user or to a group conversation
  * @param {Object} messageData - Message data
- * @param {string} messageData.recipientId - Recipient user ID
+ * @param {string} [messageData.recipientId] - Recipient user ID, for a 1:1 message
+ * @param {string} [messageData.conversationId] - Group conversation ID, instead of recipientId
  * @param {string} messageData.content - Message content
  * @param {string} [messageData.propertyId] - Optional property context
  * @param {string} [messageData.unitId] - Optional unit context
  * @param {string} [messageData.category='general'] - Message category
- * @param {string[]} [messageData.attachments] - Optional array of media IDs
- * @param {string} [messageData.parentMessage] - Optional parent message ID for replies
+ * @param {string[]} [messageData.attachments] - Optional array of media IDs, uploaded beforehand
+ *   with mediaService.uploadMedia (resourceType 'Message')
+ * @param {string} [messageData.parentMessage] - Optional ID of the message being replied to
  * @param {AbortSignal} [signal] - Optional AbortSignal to cancel the request
  * @returns {Promise<Object>} The created message
  * @throws {Error} If the request fails
@@ -28,7 +32,8 @@ export const sendMessage = async (messageData, signal) => {
         
         logApiResponse(SERVICE_NAME, 'sendMessage', { 
             success: meta.success, 
-            recipientId: messageData.recipientId 
+            recipientId: messageData.recipientId,
+            conversationId: messageData.conversationId
         });
         
         return {
@@ -53,6 +58,7 @@ export const sendMessage = async (messageData, signal) => {
  * @param {string} [params.propertyId] - Filter by property
  * @param {string} [params.unitId] - Filter by unit
  * @param {string} [params.otherUserId] - Filter by conversation partner
+ * @param {string} [params.conversationId] - Messages in a group conversation (type is ignored)
  * @param {string} [params.category] - Filter by category
  * @param {boolean} [params.unreadOnly=false] - Filter to unread messages only
  * @param {number} [params.page=1] - Page number
@@ -165,7 +171,8 @@ export const markMessageAsRead = async (messageId, signal) => {
 /**
  * Marks all messages in a conversation as read
  * @param {Object} data - Request data
- * @param {string} data.otherUserId - Conversation partner ID
+ * @param {string} [data.otherUserId] - Conversation partner ID, for a 1:1 conversation
+ * @param {string} [data.conversationId] - Group conversation ID, instead of otherUserId
  * @param {string} [data.propertyId] - Optional property filter
  * @param {AbortSignal} [signal] - Optional AbortSignal to cancel the request
  * @returns {Promise<Object>} Response with count of marked messages
@@ -178,6 +185,7 @@ export const markConversationAsRead = async (data, signal) => {
         
         logApiResponse(SERVICE_NAME, 'markConversationAsRead', { 
             otherUserId: data.otherUserId,
+            conversationId: data.conversationId,
             success: meta.success,
             count: meta.count
         });
@@ -259,6 +267,122 @@ export const deleteMessage = async (messageId, signal) => {
     }
 };
 
+/**
+ * Gets the group and broadcast conversations the authenticated user belongs to
+ * @param {Object} [params={}] - Query parameters
+ * @param {string} [params.type] - Filter by CONVERSATION_TYPES
+ * @param {string} [params.propertyId] - Filter by property
+ * @param {AbortSignal} [signal] - Optional AbortSignal to cancel the request
+ * @returns {Promise<Array<Object>>} Conversations, each with members, lastMessage and unreadCount
+ * @throws {Error} If the request fails
+ */
+export const getConversations = async (params = {}, signal) => {
+    try {
+        const res = await api.get(CONVERSATION_BASE_URL, { params, signal });
+        const { data } = extractApiResponse(res.data);
+        
+        logApiResponse(SERVICE_NAME, 'getConversations', { 
+            count: Array.isArray(data) ? data.length : 0
+        });
+        
+        return Array.isArray(data) ? data.map(conversation => formatConversation(conversation)) : [];
+    } catch (error) {
+        if (axios.isCancel(error)) {
+            console.log('Request was canceled', error.message);
+            throw new Error('Request canceled');
+        }
+        console.error("getConversations error:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Retrieves a single group conversation with its member list
+ * @param {string} conversationId - Conversation ID
+ * @param {AbortSignal} [signal] - Optional AbortSignal to cancel the request
+ * @returns {Promise<Object>} The conversation
+ * @throws {Error} If the request fails
+ */
+export const getConversationById = async (conversationId, signal) => {
+    try {
+        const res = await api.get(`${CONVERSATION_BASE_URL}/${conversationId}`, { signal });
+        const { data } = extractApiResponse(res.data);
+        
+        logApiResponse(SERVICE_NAME, 'getConversationById', { conversationId });
+        
+        return formatConversation(data);
+    } catch (error) {
+        if (axios.isCancel(error)) {
+            console.log('Request was canceled', error.message);
+            throw new Error('Request canceled');
+        }
+        console.error("getConversationById error:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Creates a group conversation, or opens the broadcast channel for a property or unit.
+ * Broadcast members are the property's (or unit's) current tenants, kept in sync by the
+ * server, and asking for a channel that already exists returns the existing one.
+ * @param {Object} conversationData - Conversation data
+ * @param {string} conversationData.type - One of CONVERSATION_TYPES
+ * @param {string} [conversationData.name] - Thread name (defaults to the property/unit for broadcasts)
+ * @param {string[]} [conversationData.memberIds] - Member user IDs, for a group
+ * @param {string} [conversationData.propertyId] - Property scope (required for a broadcast)
+ * @param {string} [conversationData.unitId] - Unit scope, to only reach a unit's co-tenants
+ * @returns {Promise<Object>} The conversation
+ * @throws {Error} If the request fails
+ */
+export const createConversation = async (conversationData) => {
+    try {
+        const res = await api.post(CONVERSATION_BASE_URL, conversationData);
+        const { data } = extractApiResponse(res.data);
+        
+        logApiResponse(SERVICE_NAME, 'createConversation', { 
+            type: conversationData.type,
+            conversationId: data?._id
+        });
+        
+        return formatConversation(data);
+    } catch (error) {
+        console.error("createConversation error:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Adds or removes members of a group conversation
+ * @param {string} conversationId - Conversation ID
+ * @param {Object} changes - Member changes
+ * @param {string[]} [changes.add] - User IDs to add
+ * @param {string[]} [changes.remove] - User IDs to remove
+ * @returns {Promise<Object>} The updated conversation
+ * @throws {Error} If the request fails
+ */
+export const updateConversationMembers = async (conversationId, changes) => {
+    try {
+        const res = await api.patch(`${CONVERSATION_BASE_URL}/${conversationId}/members`, changes);
+        const { data } = extractApiResponse(res.data);
+        
+        logApiResponse(SERVICE_NAME, 'updateConversationMembers', { conversationId });
+        
+        return formatConversation(data);
+    } catch (error) {
+        console.error("updateConversationMembers error:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Gets a user's display name
+ * @param {Object} user - User object
+ * @returns {string} Full name, falling back to email
+ */
+const getUserName = (user) => user
+    ? `${user.firstName || ''} ${user.lastName || ''}`.trim() || user.email
+    : 'Unknown User';
+
 /**
  * Formats a message for display
  * @param {Object} message - Message object
@@ -267,18 +391,22 @@ export const deleteMessage = async (messageId, signal) => {
 export const formatMessage = (message) => {
     if (!message) return null;
     
-    const senderName = message.sender
-        ? `${message.sender.firstName || ''} ${message.sender.lastName || ''}`.trim() || message.sender.email
-        : 'Unknown User';
-        
-    const recipientName = message.recipient
-        ? `${message.recipient.firstName || ''} ${message.recipient.lastName || ''}`.trim() || message.recipient.email
-        : 'Unknown User';
+    const senderName = getUserName(message.sender);
+    const recipientName = getUserName(message.recipient);
         
     const formattedDate = new Date(message.createdAt).toLocaleString();
     const readStatus = message.isRead ? 'Read' : 'Unread';
     const readDate = message.readAt ? new Date(message.readAt).toLocaleString() : null;
     
+    // Group messages carry a receipt per member instead of a single isRead flag
+    const readReceipts = Array.isArray(message.readBy)
+        ? message.readBy.map(receipt => ({
+            ...receipt,
+            userName: getUserName(receipt.user),
+            formattedReadAt: receipt.readAt ? new Date(receipt.readAt).toLocaleString() : null
+        }))
+        : [];
+    
     const contextInfo = [];
     if (message.property?.name) {
         contextInfo.push(message.property.name);
@@ -295,12 +423,44 @@ export const formatMessage = (message) => {
         readStatus,
         readDate,
         contextInfo: contextInfo.join(' - '),
-        hasAttachments: Array.isArray(message.attachments) && message.attachments.length > 0
+        hasAttachments: Array.isArray(message.attachments) && message.attachments.length > 0,
+        readReceipts,
+        // Replies carry the quoted message when the API populates it, otherwise just its ID
+        parentMessage: message.parentMessage && typeof message.parentMessage === 'object'
+            ? formatMessage(message.parentMessage)
+            : message.parentMessage
     };
 };
 
 /**
- * Groups messages by conversation
+ * Formats a group conversation for display
+ * @param {Object} conversation - Conversation object
+ * @returns {Object} Formatted conversation
+ */
+export const formatConversation = (conversation) => {
+    if (!conversation) return null;
+    
+    const members = Array.isArray(conversation.members) ? conversation.members : [];
+    const scope = [conversation.property?.name, conversation.unit?.unitName && `Unit ${conversation.unit.unitName}`]
+        .filter(Boolean)
+        .join(' - ');
+    
+    return {
+        ...conversation,
+        members,
+        memberCount: members.length,
+        memberNames: members.map(getUserName),
+        displayName: conversation.name || scope || members.map(getUserName).join(', '),
+        contextInfo: scope,
+        isBroadcast: conversation.type === CONVERSATION_TYPES.BROADCAST,
+        unreadCount: conversation.unreadCount || 0,
+        lastMessage: conversation.lastMessage ? formatMessage(conversation.lastMessage) : null
+    };
+};
+
+/**
+ * Groups 1:1 messages by conversation partner. Group messages are skipped; their
+ * threads come from getConversations.
  * @param {Array<Object>} messages - Array of messages
  * @param {string} currentUserId - Current user ID
  * @returns {Object} Grouped conversations
@@ -311,6 +471,8 @@ export const groupMessagesByConversation = (messages, currentUserId) => {
     const conversations = {};
     
     messages.forEach(message => {
+        if (message.conversation) return;
+        
         // Determine the other party in the conversation
         const otherPartyId = message.sender?._id === currentUserId
             ? message.recipient?._id
@@ -363,6 +525,11 @@ export default {
     markConversationAsRead,
     getUnreadMessageCount,
     deleteMessage,
+    getConversations,
+    getConversationById,
+    createConversation,
+    updateConversationMembers,
     formatMessage,
+    formatConversation,
     groupMessagesByConversation
 };
\ No newline at end of file
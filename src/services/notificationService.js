@@ -3,6 +3,12 @@
 import api from "../api/axios.js";
 import axios from "axios";
 import { extractApiResponse, logApiResponse } from "../utils/apiUtils.js";
+import {
+  NOTIFICATION_STREAM_STATUS,
+  NOTIFICATION_STREAM_RECONNECT_BASE_MS,
+  NOTIFICATION_STREAM_RECONNECT_MAX_MS,
+  NOTIFICATION_STREAM_DEGRADED_AFTER
+} from "../utils/constants.js";
 
 const SERVICE_NAME = 'notificationService';
 const NOTIFICATION_BASE_URL = '/notifications';
@@ -233,17 +239,170 @@ export const updateNotificationPreferences = async (preferences, signal) => {
 };
 
 /**
- * Subscribe to real-time notifications (placeholder for future WebSocket/SSE implementation)
+ * Builds the URL for a real-time notification stream endpoint.
+ * EventSource and WebSocket cannot send an Authorization header, so the token
+ * and the last received event id travel as query parameters instead.
+ * @param {string} path - Stream path under the notifications base URL ('stream' or 'ws')
+ * @param {string|null} lastEventId - Id of the last event received, used to resume
+ * @param {boolean} [useWebSocket=false] - Whether to switch the URL to the ws(s) protocol
+ * @returns {string} Absolute stream URL
+ */
+const buildStreamUrl = (path, lastEventId, useWebSocket = false) => {
+  const url = new URL(
+    `${import.meta.env.VITE_API_BASE_URL}/api${NOTIFICATION_BASE_URL}/${path}`,
+    window.location.origin
+  );
+  const token = localStorage.getItem('token');
+  if (token) url.searchParams.set('token', token);
+  if (lastEventId) url.searchParams.set('lastEventId', lastEventId);
+  if (useWebSocket) url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+  return url.toString();
+};
+
+/**
+ * Parses a JSON stream payload, returning null for keep-alives or malformed data.
+ * @param {string} raw - Raw message data
+ * @returns {Object|null} Parsed payload
+ */
+const parseStreamPayload = (raw) => {
+  try {
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Subscribe to real-time notifications.
+ * Opens a Server-Sent Events stream and falls back to a WebSocket when SSE cannot connect.
+ * Dropped connections are retried with exponential backoff and resume from the last event id.
+ * After repeated failures the status is reported as degraded so callers can poll instead.
  * @param {Function} callback - Function to call when a new notification is received
+ * @param {Object} [options={}] - Subscription options
+ * @param {Function} [options.onStatusChange] - Called with a NOTIFICATION_STREAM_STATUS value
  * @returns {Function} Unsubscribe function
  */
-export const subscribeToNotifications = (callback) => {
-  // This is a placeholder for future implementation with WebSockets or SSE
-  // For now, we'll use polling in the NotificationContext
-  console.log('Subscription to real-time notifications is not implemented yet');
-  
-  // Return a dummy unsubscribe function
-  return () => {};
+export const subscribeToNotifications = (callback, options = {}) => {
+  const { onStatusChange } = options;
+  const canUseSse = typeof window.EventSource === 'function';
+  const canUseWebSocket = typeof window.WebSocket === 'function';
+
+  let transport = canUseSse ? 'sse' : 'ws';
+  let openedTransport = null; // The transport that has connected at least once
+  let source = null;
+  let lastEventId = null;
+  let failures = 0;
+  let reconnectTimer = null;
+  let closed = false;
+  let status = null;
+
+  const setStatus = (nextStatus) => {
+    if (status === nextStatus) return;
+    status = nextStatus;
+    logApiResponse(SERVICE_NAME, 'subscribeToNotifications', { status, transport });
+    if (onStatusChange) onStatusChange(nextStatus);
+  };
+
+  const handleEvent = (eventId, payload) => {
+    if (eventId) lastEventId = eventId;
+    const notification = payload?.notification || payload;
+    if (notification?._id) callback(notification);
+  };
+
+  const teardown = () => {
+    if (!source) return;
+    source.onopen = null;
+    source.onmessage = null;
+    source.onerror = null;
+    source.onclose = null;
+    source.close();
+    source = null;
+  };
+
+  const scheduleReconnect = () => {
+    teardown();
+    if (closed) return;
+
+    failures += 1;
+    // Until one transport has worked, alternate between them so a proxy that
+    // blocks SSE (or WebSockets) does not keep us on a dead transport.
+    if (!openedTransport && canUseSse && canUseWebSocket) {
+      transport = transport === 'sse' ? 'ws' : 'sse';
+    }
+
+    setStatus(failures >= NOTIFICATION_STREAM_DEGRADED_AFTER
+      ? NOTIFICATION_STREAM_STATUS.DEGRADED
+      : NOTIFICATION_STREAM_STATUS.RECONNECTING);
+
+    const delay = Math.min(
+      NOTIFICATION_STREAM_RECONNECT_BASE_MS * 2 ** (failures - 1),
+      NOTIFICATION_STREAM_RECONNECT_MAX_MS
+    );
+    // Jitter keeps many clients from reconnecting at the same instant after a server restart
+    reconnectTimer = setTimeout(connect, delay + Math.random() * delay * 0.2);
+  };
+
+  const handleOpen = () => {
+    failures = 0;
+    openedTransport = transport;
+    setStatus(NOTIFICATION_STREAM_STATUS.CONNECTED);
+  };
+
+  const connect = () => {
+    reconnectTimer = null;
+    if (closed) return;
+
+    try {
+      if (transport === 'sse') {
+        const eventSource = new EventSource(buildStreamUrl('stream', lastEventId));
+        const handleMessage = (event) => handleEvent(event.lastEventId, parseStreamPayload(event.data));
+        eventSource.onopen = handleOpen;
+        eventSource.onmessage = handleMessage;
+        eventSource.addEventListener('notification', handleMessage);
+        // EventSource retries on its own without backoff or our resume id, so take over
+        eventSource.onerror = scheduleReconnect;
+        source = eventSource;
+      } else {
+        const socket = new WebSocket(buildStreamUrl('ws', lastEventId, true));
+        socket.onopen = handleOpen;
+        socket.onmessage = (event) => {
+          const message = parseStreamPayload(event.data);
+          if (!message || message.event === 'ping') return;
+          handleEvent(message.id, message.data ?? message);
+        };
+        // onerror is always followed by onclose, so reconnecting here is enough
+        socket.onclose = scheduleReconnect;
+        source = socket;
+      }
+    } catch (error) {
+      console.error("subscribeToNotifications connection error:", error);
+      scheduleReconnect();
+    }
+  };
+
+  // Skip the remaining backoff as soon as the browser reports connectivity again
+  const handleOnline = () => {
+    if (!reconnectTimer) return;
+    clearTimeout(reconnectTimer);
+    connect();
+  };
+
+  if (!canUseSse && !canUseWebSocket) {
+    setStatus(NOTIFICATION_STREAM_STATUS.DEGRADED);
+    return () => setStatus(NOTIFICATION_STREAM_STATUS.CLOSED);
+  }
+
+  window.addEventListener('online', handleOnline);
+  setStatus(NOTIFICATION_STREAM_STATUS.CONNECTING);
+  connect();
+
+  return () => {
+    closed = true;
+    window.removeEventListener('online', handleOnline);
+    if (reconnectTimer) clearTimeout(reconnectTimer);
+    teardown();
+    setStatus(NOTIFICATION_STREAM_STATUS.CLOSED);
+  };
 };
 
 export default {
@@ -0,0 +1,119 @@
+// client/src/services/paymentService.js
+
+import api from "../api/axios.js";
+import axios from "axios";
+import { extractApiResponse, logApiResponse } from "../utils/apiUtils.js";
+
+const SERVICE_NAME = 'paymentService';
+const PAYMENT_BASE_URL = '/online-payments';
+
+/**
+ * Starts an online payment for a rent record. The backend creates a pending payment
+ * with the chosen provider and returns what the client needs to continue
+ * (a checkout URL, mobile money prompt details or transfer instructions).
+ * @param {object} paymentData - Payment details
+ * @param {string} paymentData.rentId - Rent record being paid
+ * @param {number} paymentData.amount - Amount to charge
+ * @param {string} paymentData.currency - Currency of the amount (the lease currency)
+ * @param {string} paymentData.provider - One of PAYMENT_PROVIDERS
+ * @param {object} [paymentData.details] - Provider-specific fields, e.g. { phoneNumber }
+ * @param {string} [paymentData.returnUrl] - Where hosted checkouts send the tenant back to
+ * @param {AbortSignal} [signal] - Optional AbortSignal to cancel the request
+ * @returns {Promise<object>} The pending payment
+ * @throws {Error} If request fails
+ */
+export const createPayment = async (paymentData, signal) => {
+    try {
+        const res = await api.post(PAYMENT_BASE_URL, paymentData, { signal });
+        const { data } = extractApiResponse(res.data);
+
+        logApiResponse(SERVICE_NAME, 'createPayment', { data });
+
+        return data;
+    } catch (error) {
+        if (axios.isCancel(error)) {
+            throw new Error("Request was canceled");
+        }
+        console.error("Error creating online payment:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Gets an online payment, including its current provider status. Once the backend has
+ * recorded a succeeded payment against its rent record, `recordedAgainst` holds the rent ID.
+ * @param {string} paymentId - Online payment ID
+ * @param {AbortSignal} [signal] - Optional AbortSignal to cancel the request
+ * @returns {Promise<object>} The payment
+ * @throws {Error} If request fails
+ */
+export const getPayment = async (paymentId, signal) => {
+    try {
+        const res = await api.get(`${PAYMENT_BASE_URL}/${paymentId}`, { signal });
+        const { data } = extractApiResponse(res.data);
+
+        logApiResponse(SERVICE_NAME, 'getPayment', { data });
+
+        return data;
+    } catch (error) {
+        if (axios.isCancel(error)) {
+            throw new Error("Request was canceled");
+        }
+        console.error("Error fetching online payment:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Forwards a provider callback (e.g. the query string a hosted checkout redirects back
+ * with) so the backend can verify it with the provider and update the payment.
+ * A verified success is recorded against the rent record by the backend, at most once per payment.
+ * @param {string} paymentId - Online payment ID
+ * @param {object} callbackData - Parameters received from the provider
+ * @param {AbortSignal} [signal] - Optional AbortSignal to cancel the request
+ * @returns {Promise<object>} The updated payment
+ * @throws {Error} If request fails
+ */
+export const submitProviderCallback = async (paymentId, callbackData, signal) => {
+    try {
+        const res = await api.post(`${PAYMENT_BASE_URL}/${paymentId}/callback`, callbackData, { signal });
+        const { data } = extractApiResponse(res.data);
+
+        logApiResponse(SERVICE_NAME, 'submitProviderCallback', { data });
+
+        return data;
+    } catch (error) {
+        if (axios.isCancel(error)) {
+            throw new Error("Request was canceled");
+        }
+        console.error("Error submitting payment callback:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Cancels a pending online payment
+ * @param {string} paymentId - Online payment ID
+ * @returns {Promise<object>} The canceled payment
+ * @throws {Error} If request fails
+ */
+export const cancelPayment = async (paymentId) => {
+    try {
+        const res = await api.post(`${PAYMENT_BASE_URL}/${paymentId}/cancel`);
+        const { data } = extractApiResponse(res.data);
+
+        logApiResponse(SERVICE_NAME, 'cancelPayment', { data });
+
+        return data;
+    } catch (error) {
+        console.error("Error canceling online payment:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+export default {
+    createPayment,
+    getPayment,
+    submitProviderCallback,
+    cancelPayment
+};
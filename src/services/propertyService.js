@@ -2,6 +2,8 @@
 
 import api from "../api/axios.js";
 import { extractApiResponse, logApiResponse, handleApiError } from "../utils/apiUtils.js";
+import { formatCurrency } from "../utils/helpers.js";
+import { resolveCurrency } from "../utils/currency.js";
 
 const SERVICE_NAME = 'propertyService';
 const PROPERTY_BASE_URL = '/properties';
@@ -205,8 +207,11 @@ export const formatProperty = (property) => {
         typeDisplay: capitalizeFirstLetter(property.propertyType || 'residential'),
         unitCount: property.units?.length || 0,
         formattedBudget: property.annualOperatingBudget ? 
-            `$${property.annualOperatingBudget.toLocaleString()}` : 
+            formatCurrency(property.annualOperatingBudget, resolveCurrency(property.currency)) : 
             'Not specified',
+        formattedApprovalThreshold: property.costApprovalThreshold != null ?
+            formatCurrency(property.costApprovalThreshold, resolveCurrency(property.currency)) :
+            'No approval required',
         status: property.isActive ? 'Active' : 'Inactive',
         statusClass: property.isActive ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800',
         hasAmenities: Array.isArray(property.amenities) && property.amenities.length > 0,
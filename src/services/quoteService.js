@@ -0,0 +1,248 @@
+// client/src/services/quoteService.js
+
+import api from "../api/axios.js";
+import axios from "axios";
+import { extractApiResponse, logApiResponse } from "../utils/apiUtils.js";
+import { QUOTE_STATUS } from "../utils/constants.js";
+import { formatRequest } from "./requestService.js";
+
+const SERVICE_NAME = 'quoteService';
+const QUOTE_BASE_URL = '/quotes';
+
+/**
+ * Gets quotes with filtering. Managers filter by request; vendors get their own invitations.
+ * @param {Object} [params={}] - Query parameters
+ * @param {string} [params.requestId] - Filter by maintenance request
+ * @param {string} [params.status] - Filter by QUOTE_STATUS
+ * @param {AbortSignal} [signal] - Optional AbortSignal to cancel the request
+ * @returns {Promise<Object>} Paginated quotes
+ * @throws {Error} If request fails
+ */
+export const getQuotes = async (params = {}, signal) => {
+    try {
+        const res = await api.get(QUOTE_BASE_URL, { params, signal });
+        const { data, meta } = extractApiResponse(res.data);
+
+        logApiResponse(SERVICE_NAME, 'getQuotes', { data, meta });
+
+        return {
+            data: Array.isArray(data) ? data.map(formatQuote) : [],
+            total: meta.total || 0,
+            page: meta.page || 1,
+            limit: meta.limit || 10,
+            pages: meta.pages || 1
+        };
+    } catch (error) {
+        if (axios.isCancel(error)) {
+            throw new Error("Request was canceled");
+        }
+        console.error("Error fetching quotes:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Invites vendors to quote for a maintenance request
+ * @param {Object} solicitation - Solicitation data
+ * @param {string} solicitation.requestId - Maintenance request ID
+ * @param {string[]} solicitation.vendorIds - Vendors to invite
+ * @param {string} [solicitation.dueDate] - Deadline for bids (YYYY-MM-DD)
+ * @param {string} [solicitation.scopeNotes] - Scope notes shown to the vendors
+ * @returns {Promise<Array<Object>>} One quote per invited vendor
+ * @throws {Error} If request fails
+ */
+export const requestQuotes = async (solicitation) => {
+    try {
+        const res = await api.post(QUOTE_BASE_URL, solicitation);
+        const { data } = extractApiResponse(res.data);
+
+        logApiResponse(SERVICE_NAME, 'requestQuotes', { data });
+
+        return Array.isArray(data) ? data.map(formatQuote) : [];
+    } catch (error) {
+        console.error("Error requesting quotes:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Submits or revises a vendor's bid
+ * @param {string} quoteId - Quote ID
+ * @param {Object} bid - Bid data
+ * @param {Array<Object>} bid.lineItems - Items of { description, quantity, unitPrice }
+ * @param {number} bid.etaDays - Working days needed to complete the job
+ * @param {string} [bid.availableFrom] - Earliest start date (YYYY-MM-DD)
+ * @param {string} [bid.validUntil] - Date the price is valid until (YYYY-MM-DD)
+ * @param {string} [bid.currency] - Currency code
+ * @param {string} [bid.notes] - Terms, exclusions or other notes
+ * @returns {Promise<Object>} Submitted quote
+ * @throws {Error} If request fails
+ */
+export const submitQuote = async (quoteId, bid) => {
+    try {
+        const res = await api.post(`${QUOTE_BASE_URL}/${quoteId}/submit`, {
+            ...bid,
+            total: calculateQuoteTotal(bid.lineItems)
+        });
+        const { data } = extractApiResponse(res.data);
+
+        logApiResponse(SERVICE_NAME, 'submitQuote', { data });
+
+        return formatQuote(data);
+    } catch (error) {
+        console.error("Error submitting quote:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Declines an invitation to quote
+ * @param {string} quoteId - Quote ID
+ * @param {string} [reason] - Why the vendor isn't bidding
+ * @returns {Promise<Object>} Declined quote
+ * @throws {Error} If request fails
+ */
+export const declineQuote = async (quoteId, reason) => {
+    try {
+        const res = await api.post(`${QUOTE_BASE_URL}/${quoteId}/decline`, { reason });
+        const { data } = extractApiResponse(res.data);
+
+        logApiResponse(SERVICE_NAME, 'declineQuote', { data });
+
+        return formatQuote(data);
+    } catch (error) {
+        console.error("Error declining quote:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Approves a bid. The request is assigned to the vendor, the bid total is recorded
+ * as the request's approved budget, and the other bids are rejected.
+ * @param {string} quoteId - Quote ID
+ * @param {Object} [approval={}] - Approval data
+ * @param {string} [approval.notes] - Note for the vendor
+ * @returns {Promise<Object>} { quote, request }
+ * @throws {Error} If request fails
+ */
+export const approveQuote = async (quoteId, approval = {}) => {
+    try {
+        const res = await api.post(`${QUOTE_BASE_URL}/${quoteId}/approve`, approval);
+        const { data } = extractApiResponse(res.data);
+
+        logApiResponse(SERVICE_NAME, 'approveQuote', { data });
+
+        return {
+            quote: formatQuote(data?.quote),
+            request: formatRequest(data?.request)
+        };
+    } catch (error) {
+        console.error("Error approving quote:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Withdraws an invitation to quote that hasn't been decided yet
+ * @param {string} quoteId - Quote ID
+ * @returns {Promise<Object>} Withdrawn quote
+ * @throws {Error} If request fails
+ */
+export const withdrawQuote = async (quoteId) => {
+    try {
+        const res = await api.post(`${QUOTE_BASE_URL}/${quoteId}/withdraw`);
+        const { data } = extractApiResponse(res.data);
+
+        logApiResponse(SERVICE_NAME, 'withdrawQuote', { data });
+
+        return formatQuote(data);
+    } catch (error) {
+        console.error("Error withdrawing quote:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Adds up a bid's line items
+ * @param {Array<Object>} [lineItems=[]] - Items of { quantity, unitPrice }
+ * @returns {number} Bid total
+ */
+export const calculateQuoteTotal = (lineItems = []) => lineItems.reduce(
+    (total, item) => total + (Number(item.quantity) || 0) * (Number(item.unitPrice) || 0),
+    0
+);
+
+/**
+ * Formats a quote for display
+ * @param {Object} quote - Quote from API
+ * @returns {Object} Formatted quote
+ */
+export const formatQuote = (quote) => {
+    if (!quote) return null;
+
+    const lineItems = quote.lineItems || [];
+    const isDecided = [QUOTE_STATUS.ACCEPTED, QUOTE_STATUS.REJECTED, QUOTE_STATUS.WITHDRAWN].includes(quote.status);
+
+    return {
+        ...quote,
+        requestId: quote.request?._id || quote.request,
+        vendorId: quote.vendor?._id || quote.vendor,
+        vendorName: quote.vendor?.name || 'Unknown Vendor',
+        requestTitle: quote.request?.title || 'Maintenance Request',
+        total: quote.total ?? calculateQuoteTotal(lineItems),
+        hasBid: [QUOTE_STATUS.SUBMITTED, QUOTE_STATUS.ACCEPTED, QUOTE_STATUS.REJECTED].includes(quote.status),
+        // Vendors can bid, or revise their bid, until a decision is made
+        canSubmit: [QUOTE_STATUS.REQUESTED, QUOTE_STATUS.SUBMITTED].includes(quote.status),
+        isDecided,
+        isPastDue: !!quote.dueDate && new Date(quote.dueDate) < new Date() && !isDecided,
+        dueDateFormatted: quote.dueDate ? new Date(quote.dueDate).toLocaleDateString() : null,
+        submittedAtFormatted: quote.submittedAt ? new Date(quote.submittedAt).toLocaleDateString() : null,
+        statusDisplay: getQuoteStatusDisplay(quote.status),
+        statusClass: getQuoteStatusClass(quote.status)
+    };
+};
+
+/**
+ * Gets display text for a quote status
+ * @param {string} status - One of QUOTE_STATUS
+ * @returns {string} Display text
+ */
+const getQuoteStatusDisplay = (status) => {
+    switch (status) {
+        case QUOTE_STATUS.REQUESTED: return 'Awaiting Bid';
+        case QUOTE_STATUS.SUBMITTED: return 'Bid Received';
+        case QUOTE_STATUS.DECLINED: return 'Declined';
+        case QUOTE_STATUS.ACCEPTED: return 'Approved';
+        case QUOTE_STATUS.REJECTED: return 'Not Selected';
+        case QUOTE_STATUS.WITHDRAWN: return 'Withdrawn';
+        default: return status || 'Unknown';
+    }
+};
+
+/**
+ * Gets CSS class for a quote status
+ * @param {string} status - One of QUOTE_STATUS
+ * @returns {string} CSS class
+ */
+const getQuoteStatusClass = (status) => {
+    switch (status) {
+        case QUOTE_STATUS.REQUESTED: return 'bg-yellow-100 text-yellow-800';
+        case QUOTE_STATUS.SUBMITTED: return 'bg-blue-100 text-blue-800';
+        case QUOTE_STATUS.DECLINED: return 'bg-gray-100 text-gray-600';
+        case QUOTE_STATUS.ACCEPTED: return 'bg-green-100 text-green-800';
+        case QUOTE_STATUS.REJECTED: return 'bg-red-100 text-red-700';
+        case QUOTE_STATUS.WITHDRAWN: return 'bg-gray-100 text-gray-600';
+        default: return 'bg-gray-100 text-gray-800';
+    }
+};
+
+export default {
+    getQuotes,
+    requestQuotes,
+    submitQuote,
+    declineQuote,
+    approveQuote,
+    withdrawQuote,
+    calculateQuoteTotal,
+    formatQuote
+};
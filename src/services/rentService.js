@@ -3,6 +3,9 @@
 import api from "../api/axios.js";
 import axios from "axios";
 import { extractApiResponse, logApiResponse } from "../utils/apiUtils.js";
+import { formatCurrency } from "../utils/helpers.js";
+import { resolveCurrency } from "../utils/currency.js";
+import { summarizeLateFees } from "../utils/lateFees.js";
 
 const SERVICE_NAME = 'rentService';
 const RENT_BASE_URL = '/rents';
@@ -16,14 +19,24 @@ const RENT_SCHEDULE_BASE_URL = '/rent-schedules';
 export const formatRent = (rent) => {
     if (!rent) return null;
     
+    // Rents carry their lease's currency; older records may only have it on the populated lease
+    const currency = resolveCurrency(rent.currency, rent.lease?.currency);
+    // Late fees (posted and accrued, less waivers) are owed on top of the rent itself
+    const lateFeeSummary = summarizeLateFees(rent);
+    const balance = Math.max(0, (rent.amountDue || 0) + lateFeeSummary.total - (rent.amountPaid || 0));
+
     return {
         ...rent,
+        currency,
         formattedDueDate: rent.dueDate ? new Date(rent.dueDate).toLocaleDateString() : 'N/A',
         formattedPaymentDate: rent.paymentDate ? new Date(rent.paymentDate).toLocaleDateString() : 'N/A',
-        formattedAmount: rent.amountDue ? `${rent.currency || 'UGX'} ${rent.amountDue.toLocaleString()}` : 'N/A',
-        formattedAmountPaid: rent.amountPaid ? `${rent.currency || 'UGX'} ${rent.amountPaid.toLocaleString()}` : `${rent.currency || 'UGX'} 0`,
-        balance: Math.max(0, (rent.amountDue || 0) - (rent.amountPaid || 0)),
-        formattedBalance: `${rent.currency || 'UGX'} ${Math.max(0, (rent.amountDue || 0) - (rent.amountPaid || 0)).toLocaleString()}`,
+        formattedAmount: rent.amountDue ? formatCurrency(rent.amountDue, currency) : 'N/A',
+        formattedAmountPaid: formatCurrency(rent.amountPaid || 0, currency),
+        balance,
+        formattedBalance: formatCurrency(balance, currency),
+        lateFeeSummary,
+        lateFeeTotal: lateFeeSummary.total,
+        formattedLateFeeTotal: formatCurrency(lateFeeSummary.total, currency),
         isOverdue: rent.status === 'due' && new Date() > new Date(rent.dueDate),
         isPaid: rent.status === 'paid',
         isPartiallyPaid: rent.status === 'partially_paid',
@@ -241,6 +254,57 @@ export const recordPaymentForRentRecord = async (rentId, paymentData, paymentPro
     }
 };
 
+/**
+ * Posts the late fee accrued on a rent record as a line item
+ * @param {string} rentId - Rent record ID
+ * @param {object} feeData - Fee details ({ amount, description })
+ * @param {AbortSignal} [signal] - Optional AbortSignal to cancel the request
+ * @returns {Promise<object>} Updated rent record
+ * @throws {Error} If request fails
+ */
+export const assessLateFee = async (rentId, feeData, signal) => {
+    try {
+        const res = await api.post(`${RENT_BASE_URL}/${rentId}/late-fees`, feeData, { signal });
+        const { data } = extractApiResponse(res.data);
+        
+        logApiResponse(SERVICE_NAME, 'assessLateFee', { data });
+        
+        return formatRent(data);
+    } catch (error) {
+        if (axios.isCancel(error)) {
+            throw new Error("Request was canceled");
+        }
+        console.error("Error assessing late fee:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Waives a late fee on a rent record, keeping the note for the audit trail.
+ * Without a feeId the currently accrued (unposted) fee is posted as waived.
+ * @param {string} rentId - Rent record ID
+ * @param {object} waiverData - Waiver details ({ feeId, amount, note })
+ * @param {AbortSignal} [signal] - Optional AbortSignal to cancel the request
+ * @returns {Promise<object>} Updated rent record
+ * @throws {Error} If request fails
+ */
+export const waiveLateFee = async (rentId, waiverData, signal) => {
+    try {
+        const res = await api.post(`${RENT_BASE_URL}/${rentId}/late-fees/waive`, waiverData, { signal });
+        const { data } = extractApiResponse(res.data);
+        
+        logApiResponse(SERVICE_NAME, 'waiveLateFee', { data });
+        
+        return formatRent(data);
+    } catch (error) {
+        if (axios.isCancel(error)) {
+            throw new Error("Request was canceled");
+        }
+        console.error("Error waiving late fee:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
 /**
  * Deletes a rent record
  * @param {string} rentId - Rent record ID
@@ -571,6 +635,8 @@ export default {
     getRentRecordById,
     updateRentRecord,
     recordPaymentForRentRecord,
+    assessLateFee,
+    waiveLateFee,
     deleteRentRecord,
     getUpcomingRent,
     getRentHistory,
@@ -3,12 +3,16 @@
 import api from "../api/axios.js";
 import axios from "axios";
 import { extractApiResponse, logApiResponse } from "../utils/apiUtils.js";
+import { summarizeLateFees } from "../utils/lateFees.js";
 
 const SERVICE_NAME = 'reportService';
 const REPORT_BASE_URL = '/reports';
+const REPORT_SUBSCRIPTION_BASE_URL = `${REPORT_BASE_URL}/subscriptions`;
 
 /**
  * Get a maintenance summary report
+ * Each request carries `totalCost`, the sum of its approved cost entries, and the report
+ * carries `totalCost` for all requests in range.
  * @param {Object} [filters={}] - Query parameters for filtering
  * @param {AbortSignal} [signal] - Optional AbortSignal to cancel the request
  * @returns {Promise<Object>} The report data
@@ -88,8 +92,38 @@ export const getCommonIssuesReport = async (filters = {}, signal) => {
   }
 };
 
+/**
+ * Get an SLA compliance report: of the requests with an SLA in range, how many met each stage
+ * Returns { overall, byStage, byPriority, byVendor }; each figure is { tracked, met, breached, complianceRate }.
+ * @param {Object} [filters={}] - Query parameters for filtering
+ * @param {AbortSignal} [signal] - Optional AbortSignal to cancel the request
+ * @returns {Promise<Object>} The report data
+ */
+export const getSlaComplianceReport = async (filters = {}, signal) => {
+  try {
+    const res = await api.get(`${REPORT_BASE_URL}/sla-compliance`, { 
+      params: filters,
+      signal
+    });
+    const { data } = extractApiResponse(res.data);
+    
+    logApiResponse(SERVICE_NAME, 'getSlaComplianceReport', { data });
+    
+    return data;
+  } catch (error) {
+    if (axios.isCancel(error)) {
+      console.log('Request was canceled', error.message);
+      throw new Error("Request canceled");
+    }
+    console.error("getSlaComplianceReport error:", error);
+    throw error.response?.data?.message || error.message;
+  }
+};
+
 /**
  * Get a rent collection report
+ * Each rent record gets `lateFeeTotal` (owed, after waivers) and `lateFeesWaived`, worked out
+ * from its lease terms, so report totals can include late fees.
  * @param {Object} [filters={}] - Query parameters for filtering
  * @param {AbortSignal} [signal] - Optional AbortSignal to cancel the request
  * @returns {Promise<Object>} The report data
@@ -102,9 +136,17 @@ export const getRentCollectionReport = async (filters = {}, signal) => {
     });
     const { data } = extractApiResponse(res.data);
     
-    logApiResponse(SERVICE_NAME, 'getRentCollectionReport', { data });
+    const report = {
+      ...data,
+      rentRecords: (data?.rentRecords || []).map(rent => {
+        const lateFeeSummary = summarizeLateFees(rent);
+        return { ...rent, lateFeeTotal: lateFeeSummary.total, lateFeesWaived: lateFeeSummary.waived };
+      })
+    };
     
-    return data;
+    logApiResponse(SERVICE_NAME, 'getRentCollectionReport', { data: report });
+    
+    return report;
   } catch (error) {
     if (axios.isCancel(error)) {
       console.log('Request was canceled', error.message);
@@ -142,6 +184,290 @@ export const getLeaseExpiryReport = async (filters = {}, signal) => {
   }
 };
 
+/**
+ * Get the headline figures for the reports dashboard, aggregated by the API
+ * Returns { totalRequests, openRequests, completedRequests, upcomingMaintenance, totalProperties,
+ * totalUnits, occupancyRate, activeLeases, rentCollectionRate, overdueRent, vendorPerformance,
+ * totalUsers, currency }; rates are percentages and `overdueRent` is in `currency`.
+ * @param {Object} [filters={}] - Query parameters (propertyId, startDate, endDate)
+ * @param {AbortSignal} [signal] - Optional AbortSignal to cancel the request
+ * @returns {Promise<Object>} The summary figures
+ */
+export const getReportSummary = async (filters = {}, signal) => {
+  try {
+    const res = await api.get(`${REPORT_BASE_URL}/summary`, { 
+      params: filters,
+      signal
+    });
+    const { data } = extractApiResponse(res.data);
+    
+    logApiResponse(SERVICE_NAME, 'getReportSummary', { data });
+    
+    return data || {};
+  } catch (error) {
+    if (axios.isCancel(error)) {
+      console.log('Request was canceled', error.message);
+      throw new Error("Request canceled");
+    }
+    console.error("getReportSummary error:", error);
+    throw error.response?.data?.message || error.message;
+  }
+};
+
+/**
+ * Run a custom report definition (see utils/reportBuilder.js) on the server
+ * Returns { rows, totals, truncated, currency }: one row per dimension combination, keyed by
+ * dimension and measure keys, totals for each measure over all rows, whether `limit` cut rows
+ * off, and the currency money measures are in.
+ * @param {Object} definition - Report definition
+ * @param {AbortSignal} [signal] - Optional AbortSignal to cancel the request
+ * @returns {Promise<Object>} The aggregated report
+ */
+export const runCustomReport = async (definition, signal) => {
+  try {
+    const res = await api.post(`${REPORT_BASE_URL}/custom/run`, definition, { signal });
+    const { data } = extractApiResponse(res.data);
+    
+    const report = {
+      rows: data?.rows || [],
+      totals: data?.totals || {},
+      truncated: !!data?.truncated,
+      currency: data?.currency,
+      generatedAt: data?.generatedAt || new Date().toISOString()
+    };
+    
+    logApiResponse(SERVICE_NAME, 'runCustomReport', { rows: report.rows.length });
+    
+    return report;
+  } catch (error) {
+    if (axios.isCancel(error)) {
+      console.log('Request was canceled', error.message);
+      throw new Error("Request canceled");
+    }
+    console.error("runCustomReport error:", error);
+    throw error.response?.data?.message || error.message;
+  }
+};
+
+/**
+ * Get the saved custom report definitions visible to the current user
+ * @param {Object} [params={}] - Query parameters (dataset)
+ * @param {AbortSignal} [signal] - Optional AbortSignal to cancel the request
+ * @returns {Promise<Array<Object>>} Saved reports: the definition plus _id, createdBy and updatedAt
+ */
+export const getSavedReports = async (params = {}, signal) => {
+  try {
+    const res = await api.get(`${REPORT_BASE_URL}/saved`, { params, signal });
+    const { data } = extractApiResponse(res.data);
+    
+    logApiResponse(SERVICE_NAME, 'getSavedReports', { data });
+    
+    return Array.isArray(data) ? data : [];
+  } catch (error) {
+    if (axios.isCancel(error)) {
+      console.log('Request was canceled', error.message);
+      throw new Error("Request canceled");
+    }
+    console.error("getSavedReports error:", error);
+    throw error.response?.data?.message || error.message;
+  }
+};
+
+/**
+ * Save a custom report definition
+ * @param {Object} definition - Report definition; `name` is required
+ * @returns {Promise<Object>} The saved report
+ */
+export const createSavedReport = async (definition) => {
+  try {
+    const res = await api.post(`${REPORT_BASE_URL}/saved`, definition);
+    const { data } = extractApiResponse(res.data);
+    
+    logApiResponse(SERVICE_NAME, 'createSavedReport', { data });
+    
+    return data;
+  } catch (error) {
+    console.error("createSavedReport error:", error);
+    throw error.response?.data?.message || error.message;
+  }
+};
+
+/**
+ * Update a saved custom report definition
+ * @param {string} reportId - Saved report ID
+ * @param {Object} updates - Definition fields to change
+ * @returns {Promise<Object>} The updated report
+ */
+export const updateSavedReport = async (reportId, updates) => {
+  try {
+    const res = await api.put(`${REPORT_BASE_URL}/saved/${reportId}`, updates);
+    const { data } = extractApiResponse(res.data);
+    
+    logApiResponse(SERVICE_NAME, 'updateSavedReport', { data });
+    
+    return data;
+  } catch (error) {
+    console.error("updateSavedReport error:", error);
+    throw error.response?.data?.message || error.message;
+  }
+};
+
+/**
+ * Delete a saved custom report definition
+ * @param {string} reportId - Saved report ID
+ * @returns {Promise<Object>} Success message
+ */
+export const deleteSavedReport = async (reportId) => {
+  try {
+    const res = await api.delete(`${REPORT_BASE_URL}/saved/${reportId}`);
+    const { data } = extractApiResponse(res.data);
+    
+    logApiResponse(SERVICE_NAME, 'deleteSavedReport', { data });
+    
+    return data;
+  } catch (error) {
+    console.error("deleteSavedReport error:", error);
+    throw error.response?.data?.message || error.message;
+  }
+};
+
+/**
+ * Get the current user's report subscriptions
+ * Each subscription is { _id, name, reportType, filters, format, recipients, cadence, dayOfWeek,
+ * dayOfMonth, isActive, nextRunAt, lastRunAt, lastStatus }.
+ * @param {Object} [params={}] - Query parameters (reportType, isActive)
+ * @param {AbortSignal} [signal] - Optional AbortSignal to cancel the request
+ * @returns {Promise<Array<Object>>} Report subscriptions
+ */
+export const getReportSubscriptions = async (params = {}, signal) => {
+  try {
+    const res = await api.get(REPORT_SUBSCRIPTION_BASE_URL, { params, signal });
+    const { data } = extractApiResponse(res.data);
+    
+    logApiResponse(SERVICE_NAME, 'getReportSubscriptions', { data });
+    
+    return Array.isArray(data) ? data : [];
+  } catch (error) {
+    if (axios.isCancel(error)) {
+      console.log('Request was canceled', error.message);
+      throw new Error("Request canceled");
+    }
+    console.error("getReportSubscriptions error:", error);
+    throw error.response?.data?.message || error.message;
+  }
+};
+
+/**
+ * Subscribe to a report by email
+ * @param {Object} subscriptionData - { name, reportType, filters, format, recipients, cadence, dayOfWeek | dayOfMonth }
+ * @returns {Promise<Object>} The created subscription
+ */
+export const createReportSubscription = async (subscriptionData) => {
+  try {
+    const res = await api.post(REPORT_SUBSCRIPTION_BASE_URL, subscriptionData);
+    const { data } = extractApiResponse(res.data);
+    
+    logApiResponse(SERVICE_NAME, 'createReportSubscription', { data });
+    
+    return data;
+  } catch (error) {
+    console.error("createReportSubscription error:", error);
+    throw error.response?.data?.message || error.message;
+  }
+};
+
+/**
+ * Update a report subscription, including pausing it (isActive: false)
+ * @param {string} subscriptionId - Subscription ID
+ * @param {Object} updates - Fields to change
+ * @returns {Promise<Object>} The updated subscription
+ */
+export const updateReportSubscription = async (subscriptionId, updates) => {
+  try {
+    const res = await api.put(`${REPORT_SUBSCRIPTION_BASE_URL}/${subscriptionId}`, updates);
+    const { data } = extractApiResponse(res.data);
+    
+    logApiResponse(SERVICE_NAME, 'updateReportSubscription', { data });
+    
+    return data;
+  } catch (error) {
+    console.error("updateReportSubscription error:", error);
+    throw error.response?.data?.message || error.message;
+  }
+};
+
+/**
+ * Delete a report subscription. Its delivery log is kept.
+ * @param {string} subscriptionId - Subscription ID
+ * @returns {Promise<Object>} Success message
+ */
+export const deleteReportSubscription = async (subscriptionId) => {
+  try {
+    const res = await api.delete(`${REPORT_SUBSCRIPTION_BASE_URL}/${subscriptionId}`);
+    const { data } = extractApiResponse(res.data);
+    
+    logApiResponse(SERVICE_NAME, 'deleteReportSubscription', { data });
+    
+    return data;
+  } catch (error) {
+    console.error("deleteReportSubscription error:", error);
+    throw error.response?.data?.message || error.message;
+  }
+};
+
+/**
+ * Send a subscription's report now, for the period its next scheduled send would cover so far.
+ * Doesn't change the schedule.
+ * @param {string} subscriptionId - Subscription ID
+ * @returns {Promise<Object>} The delivery log entry
+ */
+export const sendReportSubscriptionNow = async (subscriptionId) => {
+  try {
+    const res = await api.post(`${REPORT_SUBSCRIPTION_BASE_URL}/${subscriptionId}/send`);
+    const { data } = extractApiResponse(res.data);
+    
+    logApiResponse(SERVICE_NAME, 'sendReportSubscriptionNow', { data });
+    
+    return data;
+  } catch (error) {
+    console.error("sendReportSubscriptionNow error:", error);
+    throw error.response?.data?.message || error.message;
+  }
+};
+
+/**
+ * Get the delivery log for the current user's report subscriptions, newest first
+ * Each entry is { _id, subscription, reportType, format, recipients, periodStart, periodEnd,
+ * status, error, failedRecipients, sentAt, createdAt }.
+ * @param {Object} [params={}] - Query parameters (subscriptionId, status, page, limit)
+ * @param {AbortSignal} [signal] - Optional AbortSignal to cancel the request
+ * @returns {Promise<Object>} { data: deliveries, total, page, pages }
+ */
+export const getReportDeliveries = async (params = {}, signal) => {
+  try {
+    const res = await api.get(`${REPORT_SUBSCRIPTION_BASE_URL}/deliveries`, { params, signal });
+    const { data, meta } = extractApiResponse(res.data);
+    
+    const deliveries = Array.isArray(data) ? data : [];
+    
+    logApiResponse(SERVICE_NAME, 'getReportDeliveries', { count: deliveries.length, total: meta.total });
+    
+    return {
+      data: deliveries,
+      total: meta.total || deliveries.length,
+      page: meta.page || 1,
+      pages: meta.pages || meta.totalPages || 1
+    };
+  } catch (error) {
+    if (axios.isCancel(error)) {
+      console.log('Request was canceled', error.message);
+      throw new Error("Request canceled");
+    }
+    console.error("getReportDeliveries error:", error);
+    throw error.response?.data?.message || error.message;
+  }
+};
+
 /**
  * Generate a document from a report
  * @param {string} reportType - Type of report
@@ -175,6 +501,7 @@ export const generateReportDocument = async (reportType, filters = {}, options =
 
 /**
  * Export a report in a specific format
+ * Custom reports use reportType 'custom' with `{ definition }` (or `{ reportId }` for a saved one).
  * @param {string} reportType - Type of report
  * @param {string} format - Export format ('csv' or 'pdf')
  * @param {Object} [filters={}] - Filters for the report
@@ -188,8 +515,12 @@ export const exportReport = async (reportType, format, filters = {}) => {
     }
     
     // For CSV format, use the export endpoint with responseType: 'blob'
+    // Custom report definitions are nested, so they travel as JSON
+    const queryFilters = Object.fromEntries(Object.entries(filters).map(([key, value]) => (
+      [key, value !== null && typeof value === 'object' ? JSON.stringify(value) : value]
+    )));
     const params = new URLSearchParams({
-      ...filters,
+      ...queryFilters,
       type: reportType,
       format: 'csv'
     });
@@ -230,8 +561,21 @@ export default {
   getMaintenanceSummaryReport,
   getVendorPerformanceReport,
   getCommonIssuesReport,
+  getSlaComplianceReport,
   getRentCollectionReport,
   getLeaseExpiryReport,
+  getReportSummary,
+  runCustomReport,
+  getSavedReports,
+  createSavedReport,
+  updateSavedReport,
+  deleteSavedReport,
+  getReportSubscriptions,
+  createReportSubscription,
+  updateReportSubscription,
+  deleteReportSubscription,
+  sendReportSubscriptionNow,
+  getReportDeliveries,
   generateReportDocument,
   exportReport
 };
\ No newline at end of file
@@ -0,0 +1,289 @@
+// client/src/services/signatureService.js
+
+import api from "../api/axios.js";
+import axios from "axios";
+import { extractApiResponse, logApiResponse } from "../utils/apiUtils.js";
+import { SIGNATURE_REQUEST_STATUS } from "../utils/constants.js";
+
+const SERVICE_NAME = 'signatureService';
+const SIGNATURE_BASE_URL = '/signature-requests';
+
+/**
+ * Sends a document out for signature
+ * @param {Object} requestData - Signature request data
+ * @param {string} requestData.documentType - One of SIGNATURE_DOCUMENT_TYPES
+ * @param {string} requestData.resourceId - Lease or onboarding document ID
+ * @param {string} requestData.sourceDocumentId - Media ID of the PDF to sign
+ * @param {string} requestData.title - Title shown to signers
+ * @param {Array<{role: string, userId: string}>} requestData.signers - Who signs, in signing order
+ * @param {string} [requestData.message] - Note to the signers
+ * @returns {Promise<Object>} Created signature request
+ * @throws {Error} If request fails
+ */
+export const createSignatureRequest = async (requestData) => {
+    try {
+        const res = await api.post(SIGNATURE_BASE_URL, requestData);
+        const { data } = extractApiResponse(res.data);
+
+        logApiResponse(SERVICE_NAME, 'createSignatureRequest', { data });
+
+        return formatSignatureRequest(data);
+    } catch (error) {
+        console.error("Error creating signature request:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Gets signature requests with filtering
+ * @param {Object} [params={}] - Query parameters
+ * @param {string} [params.documentType] - Filter by SIGNATURE_DOCUMENT_TYPES
+ * @param {string} [params.resourceId] - Filter by lease or onboarding document
+ * @param {string} [params.signerId] - Requests where this user is a signer
+ * @param {AbortSignal} [signal] - Optional AbortSignal to cancel the request
+ * @returns {Promise<Object>} Paginated signature requests
+ * @throws {Error} If request fails
+ */
+export const getSignatureRequests = async (params = {}, signal) => {
+    try {
+        const res = await api.get(SIGNATURE_BASE_URL, { params, signal });
+        const { data, meta } = extractApiResponse(res.data);
+
+        logApiResponse(SERVICE_NAME, 'getSignatureRequests', { data, meta });
+
+        return {
+            data: Array.isArray(data) ? data.map(formatSignatureRequest) : [],
+            total: meta.total || 0,
+            page: meta.page || 1,
+            limit: meta.limit || 10,
+            pages: meta.pages || 1
+        };
+    } catch (error) {
+        if (axios.isCancel(error)) {
+            throw new Error("Request was canceled");
+        }
+        console.error("Error fetching signature requests:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Gets a signature request by ID
+ * @param {string} requestId - Signature request ID
+ * @param {AbortSignal} [signal] - Optional AbortSignal to cancel the request
+ * @returns {Promise<Object>} Signature request with signers and source document
+ * @throws {Error} If request fails
+ */
+export const getSignatureRequestById = async (requestId, signal) => {
+    try {
+        const res = await api.get(`${SIGNATURE_BASE_URL}/${requestId}`, { signal });
+        const { data } = extractApiResponse(res.data);
+
+        logApiResponse(SERVICE_NAME, 'getSignatureRequestById', { data });
+
+        return formatSignatureRequest(data);
+    } catch (error) {
+        if (axios.isCancel(error)) {
+            throw new Error("Request was canceled");
+        }
+        console.error("Error fetching signature request:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Signs a document as the current user. The backend records the time and the signer's
+ * IP address and stamps the signature into the PDF. When this is the last signature it
+ * also files the signed copy on the lease or onboarding document (storedDocumentId).
+ * @param {string} requestId - Signature request ID
+ * @param {Object} signature - Captured signature
+ * @param {string} signature.method - One of SIGNATURE_METHODS
+ * @param {string} signature.signatureImage - PNG data URL of the signature
+ * @param {string} [signature.typedName] - Name typed by the signer (typed signatures)
+ * @param {boolean} signature.consent - Signer agreed to sign electronically
+ * @returns {Promise<Object>} Updated signature request
+ * @throws {Error} If request fails
+ */
+export const signDocument = async (requestId, signature) => {
+    try {
+        const res = await api.post(`${SIGNATURE_BASE_URL}/${requestId}/sign`, {
+            ...signature,
+            signedAt: new Date().toISOString(),
+            timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone
+        });
+        const { data } = extractApiResponse(res.data);
+
+        logApiResponse(SERVICE_NAME, 'signDocument', { data });
+
+        return formatSignatureRequest(data);
+    } catch (error) {
+        console.error("Error signing document:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Declines to sign a document
+ * @param {string} requestId - Signature request ID
+ * @param {string} [reason] - Why the signer declined
+ * @returns {Promise<Object>} Updated signature request
+ * @throws {Error} If request fails
+ */
+export const declineSignature = async (requestId, reason) => {
+    try {
+        const res = await api.post(`${SIGNATURE_BASE_URL}/${requestId}/decline`, { reason });
+        const { data } = extractApiResponse(res.data);
+
+        logApiResponse(SERVICE_NAME, 'declineSignature', { data });
+
+        return formatSignatureRequest(data);
+    } catch (error) {
+        console.error("Error declining signature:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Cancels a signature request that is still open
+ * @param {string} requestId - Signature request ID
+ * @returns {Promise<Object>} Canceled signature request
+ * @throws {Error} If request fails
+ */
+export const cancelSignatureRequest = async (requestId) => {
+    try {
+        const res = await api.post(`${SIGNATURE_BASE_URL}/${requestId}/cancel`);
+        const { data } = extractApiResponse(res.data);
+
+        logApiResponse(SERVICE_NAME, 'cancelSignatureRequest', { data });
+
+        return formatSignatureRequest(data);
+    } catch (error) {
+        console.error("Error canceling signature request:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Downloads the signed PDF with every signature stamped in
+ * @param {string} requestId - Signature request ID
+ * @returns {Promise<Blob>} Signed PDF
+ * @throws {Error} If request fails
+ */
+export const getSignedPdf = async (requestId) => {
+    try {
+        const res = await api.get(`${SIGNATURE_BASE_URL}/${requestId}/signed-pdf`, {
+            responseType: 'blob'
+        });
+
+        logApiResponse(SERVICE_NAME, 'getSignedPdf', { requestId, size: res.data?.size });
+
+        return new Blob([res.data], { type: 'application/pdf' });
+    } catch (error) {
+        console.error("Error downloading signed PDF:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Asks the backend to file the signed copy on the lease or onboarding document again.
+ * The backend files it itself when the last signature completes the request; this is
+ * only needed when that failed (storedDocumentId is still empty).
+ * @param {string} requestId - Signature request ID
+ * @returns {Promise<Object>} Updated signature request
+ * @throws {Error} If request fails
+ */
+export const storeSignedCopy = async (requestId) => {
+    try {
+        const res = await api.post(`${SIGNATURE_BASE_URL}/${requestId}/signed-copy`);
+        const { data } = extractApiResponse(res.data);
+
+        logApiResponse(SERVICE_NAME, 'storeSignedCopy', { data });
+
+        return formatSignatureRequest(data);
+    } catch (error) {
+        console.error("Error storing signed copy:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Formats a signature request with signer progress for display
+ * @param {Object} request - Signature request
+ * @returns {Object} Formatted signature request
+ */
+export const formatSignatureRequest = (request) => {
+    if (!request) return null;
+
+    const signers = (request.signers || []).map(signer => ({
+        ...signer,
+        userId: signer.user?._id || signer.user,
+        name: signer.name || (signer.user?.firstName
+            ? `${signer.user.firstName} ${signer.user.lastName || ''}`.trim()
+            : signer.email || 'Unknown signer')
+    }));
+    const signedCount = signers.filter(signer => signer.status === 'signed').length;
+
+    return {
+        ...request,
+        signers,
+        signedCount,
+        signerCount: signers.length,
+        isOpen: [SIGNATURE_REQUEST_STATUS.PENDING, SIGNATURE_REQUEST_STATUS.PARTIALLY_SIGNED].includes(request.status),
+        statusDisplay: getSignatureStatusDisplay(request.status, signedCount, signers.length),
+        statusClass: getSignatureStatusClass(request.status)
+    };
+};
+
+/**
+ * Gets display text for a signature request status
+ * @param {string} status - Request status
+ * @param {number} signedCount - Signers who have signed
+ * @param {number} signerCount - Total signers
+ * @returns {string} Display text
+ */
+const getSignatureStatusDisplay = (status, signedCount, signerCount) => {
+    switch (status) {
+        case SIGNATURE_REQUEST_STATUS.PENDING:
+        case SIGNATURE_REQUEST_STATUS.PARTIALLY_SIGNED:
+            return `Awaiting Signatures (${signedCount}/${signerCount})`;
+        case SIGNATURE_REQUEST_STATUS.COMPLETED:
+            return 'Signed';
+        case SIGNATURE_REQUEST_STATUS.DECLINED:
+            return 'Signature Declined';
+        case SIGNATURE_REQUEST_STATUS.CANCELED:
+            return 'Signing Canceled';
+        default:
+            return 'Unknown';
+    }
+};
+
+/**
+ * Gets CSS class for a signature request status
+ * @param {string} status - Request status
+ * @returns {string} CSS class name
+ */
+const getSignatureStatusClass = (status) => {
+    switch (status) {
+        case SIGNATURE_REQUEST_STATUS.PENDING:
+        case SIGNATURE_REQUEST_STATUS.PARTIALLY_SIGNED:
+            return 'bg-yellow-100 text-yellow-800';
+        case SIGNATURE_REQUEST_STATUS.COMPLETED:
+            return 'bg-green-100 text-green-800';
+        case SIGNATURE_REQUEST_STATUS.DECLINED:
+            return 'bg-red-100 text-red-800';
+        default:
+            return 'bg-gray-100 text-gray-800';
+    }
+};
+
+export default {
+    createSignatureRequest,
+    getSignatureRequests,
+    getSignatureRequestById,
+    signDocument,
+    declineSignature,
+    cancelSignatureRequest,
+    getSignedPdf,
+    storeSignedCopy,
+    formatSignatureRequest
+};
@@ -0,0 +1,134 @@
+// client/src/services/slaPolicyService.js
+
+import api from "../api/axios.js";
+import axios from "axios";
+import { extractApiResponse, logApiResponse } from "../utils/apiUtils.js";
+import { PRIORITY_LEVELS } from "../utils/constants.js";
+
+const SERVICE_NAME = 'slaPolicyService';
+const SLA_POLICY_BASE_URL = '/sla-policies';
+
+// Most urgent first, for listing policies
+const PRIORITY_ORDER = [PRIORITY_LEVELS.URGENT, PRIORITY_LEVELS.HIGH, PRIORITY_LEVELS.MEDIUM, PRIORITY_LEVELS.LOW];
+
+/**
+ * Gets SLA policies. A request is matched to the active policy for its priority and
+ * category, falling back to the policy for its priority with no category.
+ * @param {Object} [params={}] - Query parameters
+ * @param {string} [params.priority] - Filter by PRIORITY_LEVELS
+ * @param {AbortSignal} [signal] - Optional AbortSignal to cancel the request
+ * @returns {Promise<Array<Object>>} SLA policies, most urgent priority first
+ * @throws {Error} If request fails
+ */
+export const getSlaPolicies = async (params = {}, signal) => {
+    try {
+        const res = await api.get(SLA_POLICY_BASE_URL, { params, signal });
+        const { data } = extractApiResponse(res.data);
+
+        logApiResponse(SERVICE_NAME, 'getSlaPolicies', { data });
+
+        return (Array.isArray(data) ? data.map(formatSlaPolicy) : [])
+            .sort((a, b) => a.priorityRank - b.priorityRank || a.categoryDisplay.localeCompare(b.categoryDisplay));
+    } catch (error) {
+        if (axios.isCancel(error)) {
+            throw new Error("Request was canceled");
+        }
+        console.error("Error fetching SLA policies:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Creates an SLA policy
+ * @param {Object} policyData - Policy data
+ * @param {string} policyData.name - Policy name
+ * @param {string} policyData.priority - One of PRIORITY_LEVELS
+ * @param {string} [policyData.category] - Maintenance category, or empty for any category
+ * @param {number} [policyData.assignWithinHours] - Hours allowed until the request is assigned
+ * @param {number} [policyData.startWithinHours] - Hours allowed until work starts
+ * @param {number} [policyData.completeWithinHours] - Hours allowed until the request is completed
+ * @param {boolean} [policyData.escalateToLandlord] - Notify the property's landlord when a stage is breached
+ * @param {boolean} [policyData.isActive] - Whether the policy applies to new requests
+ * @returns {Promise<Object>} Created policy
+ * @throws {Error} If request fails
+ */
+export const createSlaPolicy = async (policyData) => {
+    try {
+        const res = await api.post(SLA_POLICY_BASE_URL, policyData);
+        const { data } = extractApiResponse(res.data);
+
+        logApiResponse(SERVICE_NAME, 'createSlaPolicy', { data });
+
+        return formatSlaPolicy(data);
+    } catch (error) {
+        console.error("Error creating SLA policy:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Updates an SLA policy. Requests already open keep the deadlines they were given.
+ * @param {string} policyId - Policy ID
+ * @param {Object} updates - Fields to update (see createSlaPolicy)
+ * @returns {Promise<Object>} Updated policy
+ * @throws {Error} If request fails
+ */
+export const updateSlaPolicy = async (policyId, updates) => {
+    try {
+        const res = await api.put(`${SLA_POLICY_BASE_URL}/${policyId}`, updates);
+        const { data } = extractApiResponse(res.data);
+
+        logApiResponse(SERVICE_NAME, 'updateSlaPolicy', { data });
+
+        return formatSlaPolicy(data);
+    } catch (error) {
+        console.error("Error updating SLA policy:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Deletes an SLA policy
+ * @param {string} policyId - Policy ID
+ * @returns {Promise<Object>} Response message
+ * @throws {Error} If request fails
+ */
+export const deleteSlaPolicy = async (policyId) => {
+    try {
+        const res = await api.delete(`${SLA_POLICY_BASE_URL}/${policyId}`);
+        const { data } = extractApiResponse(res.data);
+
+        logApiResponse(SERVICE_NAME, 'deleteSlaPolicy', { data });
+
+        return data;
+    } catch (error) {
+        console.error("Error deleting SLA policy:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Formats an SLA policy for display
+ * @param {Object} policy - Policy from API
+ * @returns {Object} Formatted policy
+ */
+export const formatSlaPolicy = (policy) => {
+    if (!policy) return null;
+
+    const rank = PRIORITY_ORDER.indexOf(policy.priority);
+
+    return {
+        ...policy,
+        priorityRank: rank === -1 ? PRIORITY_ORDER.length : rank,
+        categoryDisplay: policy.category ? policy.category.replace(/_/g, ' ') : 'Any category',
+        isActive: policy.isActive !== false
+    };
+};
+
+export default {
+    getSlaPolicies,
+    createSlaPolicy,
+    updateSlaPolicy,
+    deleteSlaPolicy,
+    formatSlaPolicy
+};
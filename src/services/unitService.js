@@ -3,6 +3,8 @@
 import api from '../api/axios';
 import axios from 'axios';
 import { extractApiResponse, logApiResponse } from "../utils/apiUtils.js";
+import { formatCurrency } from "../utils/helpers.js";
+import { resolveCurrency } from "../utils/currency.js";
 
 const SERVICE_NAME = 'unitService';
 const PROPERTY_UNIT_BASE_URL = '/properties';
@@ -188,8 +190,8 @@ export const formatUnit = (unit) => {
     
     return {
         ...unit,
-        formattedRent: unit.rentAmount ? `$${unit.rentAmount.toLocaleString()}` : 'N/A',
-        formattedDeposit: unit.depositAmount ? `$${unit.depositAmount.toLocaleString()}` : 'N/A',
+        formattedRent: unit.rentAmount ? formatCurrency(unit.rentAmount, resolveCurrency(unit.currency, unit.property?.currency)) : 'N/A',
+        formattedDeposit: unit.depositAmount ? formatCurrency(unit.depositAmount, resolveCurrency(unit.currency, unit.property?.currency)) : 'N/A',
         occupancyStatus: unit.tenants && unit.tenants.length > 0 ? 'Occupied' : 'Vacant',
         tenantCount: unit.tenants ? unit.tenants.length : 0,
         formattedLastInspection: unit.lastInspected ? new Date(unit.lastInspected).toLocaleDateString() : 'Never',
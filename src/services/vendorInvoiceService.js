@@ -0,0 +1,172 @@
+// client/src/services/vendorInvoiceService.js
+
+import api from "../api/axios.js";
+import axios from "axios";
+import { extractApiResponse, logApiResponse } from "../utils/apiUtils.js";
+import { VENDOR_INVOICE_STATUS, VENDOR_JOB_TYPES } from "../utils/constants.js";
+import { resolveCurrency } from "../utils/currency.js";
+
+const SERVICE_NAME = 'vendorInvoiceService';
+const VENDOR_INVOICE_BASE_URL = '/vendor-invoices';
+
+/**
+ * Gets invoices submitted through the vendor portal, for managers to review
+ * @param {Object} [params={}] - Query parameters
+ * @param {string} [params.status] - Filter by VENDOR_INVOICE_STATUS
+ * @param {string} [params.vendorId] - Filter by vendor
+ * @param {string} [params.propertyId] - Filter by property
+ * @param {string} [params.requestId] - Filter by maintenance request
+ * @param {string} [params.scheduledMaintenanceId] - Filter by scheduled maintenance task
+ * @param {number} [params.page] - Page number
+ * @param {number} [params.limit] - Items per page
+ * @param {AbortSignal} [signal] - Optional AbortSignal to cancel the request
+ * @returns {Promise<Object>} Paginated invoices
+ * @throws {Error} If request fails
+ */
+export const getVendorInvoices = async (params = {}, signal) => {
+    try {
+        const res = await api.get(VENDOR_INVOICE_BASE_URL, { params, signal });
+        const { data, meta } = extractApiResponse(res.data);
+
+        logApiResponse(SERVICE_NAME, 'getVendorInvoices', { data, meta });
+
+        return {
+            data: Array.isArray(data) ? data.map(formatVendorInvoice) : [],
+            total: meta.total || 0,
+            page: meta.page || 1,
+            limit: meta.limit || 10,
+            pages: meta.pages || 1
+        };
+    } catch (error) {
+        if (axios.isCancel(error)) {
+            throw new Error("Request was canceled");
+        }
+        console.error("Error fetching vendor invoices:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Approves a submitted invoice for payment. The server records it as a vendor invoice
+ * cost against the job, subject to the property's cost approval threshold.
+ * @param {string} invoiceId - Invoice ID
+ * @returns {Promise<Object>} Approved invoice
+ * @throws {Error} If request fails
+ */
+export const approveVendorInvoice = async (invoiceId) => {
+    try {
+        const res = await api.post(`${VENDOR_INVOICE_BASE_URL}/${invoiceId}/approve`);
+        const { data } = extractApiResponse(res.data);
+
+        logApiResponse(SERVICE_NAME, 'approveVendorInvoice', { data });
+
+        return formatVendorInvoice(data);
+    } catch (error) {
+        console.error("Error approving vendor invoice:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Returns a submitted invoice to the vendor. Its work logs become uninvoiced again.
+ * @param {string} invoiceId - Invoice ID
+ * @param {string} reason - Why it was rejected, shown to the vendor
+ * @returns {Promise<Object>} Rejected invoice
+ * @throws {Error} If request fails
+ */
+export const rejectVendorInvoice = async (invoiceId, reason) => {
+    try {
+        const res = await api.post(`${VENDOR_INVOICE_BASE_URL}/${invoiceId}/reject`, { reason });
+        const { data } = extractApiResponse(res.data);
+
+        logApiResponse(SERVICE_NAME, 'rejectVendorInvoice', { data });
+
+        return formatVendorInvoice(data);
+    } catch (error) {
+        console.error("Error rejecting vendor invoice:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Records payment of an approved invoice
+ * @param {string} invoiceId - Invoice ID
+ * @param {Object} paymentData - Payment details
+ * @param {string} paymentData.paidOn - Date the vendor was paid (YYYY-MM-DD)
+ * @param {string} [paymentData.paymentReference] - Bank or mobile money reference
+ * @returns {Promise<Object>} Paid invoice
+ * @throws {Error} If request fails
+ */
+export const markVendorInvoicePaid = async (invoiceId, paymentData) => {
+    try {
+        const res = await api.post(`${VENDOR_INVOICE_BASE_URL}/${invoiceId}/pay`, paymentData);
+        const { data } = extractApiResponse(res.data);
+
+        logApiResponse(SERVICE_NAME, 'markVendorInvoicePaid', { data });
+
+        return formatVendorInvoice(data);
+    } catch (error) {
+        console.error("Error marking vendor invoice paid:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Formats a vendor invoice for display. Used by the vendor portal too.
+ * @param {Object} invoice - Invoice from API
+ * @returns {Object} Formatted invoice
+ */
+export const formatVendorInvoice = (invoice) => {
+    if (!invoice) return null;
+
+    return {
+        ...invoice,
+        amount: Number(invoice.amount) || 0,
+        currency: resolveCurrency(invoice.currency, invoice.property?.currency),
+        vendorName: invoice.vendor?.name || null,
+        jobTitle: invoice.request?.title || invoice.scheduledMaintenance?.title || null,
+        jobType: invoice.jobType || (invoice.scheduledMaintenance ? VENDOR_JOB_TYPES.SCHEDULED_MAINTENANCE : VENDOR_JOB_TYPES.REQUEST),
+        canReview: invoice.status === VENDOR_INVOICE_STATUS.SUBMITTED,
+        canMarkPaid: invoice.status === VENDOR_INVOICE_STATUS.APPROVED,
+        statusDisplay: getInvoiceStatusDisplay(invoice.status),
+        statusClass: getInvoiceStatusClass(invoice.status)
+    };
+};
+
+/**
+ * Gets display text for an invoice status
+ * @param {string} status - One of VENDOR_INVOICE_STATUS
+ * @returns {string} Display text
+ */
+const getInvoiceStatusDisplay = (status) => {
+    switch (status) {
+        case VENDOR_INVOICE_STATUS.SUBMITTED: return 'Submitted';
+        case VENDOR_INVOICE_STATUS.APPROVED: return 'Approved';
+        case VENDOR_INVOICE_STATUS.REJECTED: return 'Rejected';
+        case VENDOR_INVOICE_STATUS.PAID: return 'Paid';
+        default: return status || 'Unknown';
+    }
+};
+
+/**
+ * Gets CSS class for an invoice status
+ * @param {string} status - One of VENDOR_INVOICE_STATUS
+ * @returns {string} CSS class
+ */
+const getInvoiceStatusClass = (status) => {
+    switch (status) {
+        case VENDOR_INVOICE_STATUS.SUBMITTED: return 'bg-blue-100 text-blue-800';
+        case VENDOR_INVOICE_STATUS.APPROVED: return 'bg-green-100 text-green-800';
+        case VENDOR_INVOICE_STATUS.REJECTED: return 'bg-red-100 text-red-800';
+        case VENDOR_INVOICE_STATUS.PAID: return 'bg-emerald-100 text-emerald-800';
+        default: return 'bg-gray-100 text-gray-800';
+    }
+};
+
+export default {
+    getVendorInvoices,
+    approveVendorInvoice,
+    rejectVendorInvoice,
+    markVendorInvoicePaid,
+    formatVendorInvoice
+};
@@ -0,0 +1,318 @@
+// client/src/services/vendorPortalService.js
+
+import api from "../api/axios.js";
+import axios from "axios";
+import { extractApiResponse, logApiResponse } from "../utils/apiUtils.js";
+import { VENDOR_JOB_TYPES, WORK_LOG_TYPES } from "../utils/constants.js";
+import { formatVendorInvoice } from "./vendorInvoiceService.js";
+
+const SERVICE_NAME = 'vendorPortalService';
+const VENDOR_PORTAL_BASE_URL = '/vendor-portal';
+
+// Jobs are addressed by type and ID: /vendor-portal/jobs/:jobType/:jobId
+const jobUrl = (jobType, jobId) => `${VENDOR_PORTAL_BASE_URL}/jobs/${jobType}/${jobId}`;
+
+/**
+ * Gets the jobs assigned to the logged-in vendor: maintenance requests and scheduled
+ * maintenance tasks in one queue
+ * @param {Object} [params={}] - Query parameters
+ * @param {string} [params.status] - Filter by status
+ * @param {string} [params.jobType] - Filter by VENDOR_JOB_TYPES
+ * @param {string} [params.search] - Search title and description
+ * @param {AbortSignal} [signal] - Optional AbortSignal to cancel the request
+ * @returns {Promise<Object>} Paginated jobs
+ * @throws {Error} If request fails
+ */
+export const getMyJobs = async (params = {}, signal) => {
+    try {
+        const res = await api.get(`${VENDOR_PORTAL_BASE_URL}/jobs`, { params, signal });
+        const { data, meta } = extractApiResponse(res.data);
+
+        logApiResponse(SERVICE_NAME, 'getMyJobs', { data, meta });
+
+        return {
+            data: Array.isArray(data) ? data.map(formatVendorJob) : [],
+            total: meta.total || 0,
+            page: meta.page || 1,
+            limit: meta.limit || 10,
+            pages: meta.pages || 1
+        };
+    } catch (error) {
+        if (axios.isCancel(error)) {
+            throw new Error("Request was canceled");
+        }
+        console.error("Error fetching vendor jobs:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Gets a job assigned to the logged-in vendor
+ * @param {string} jobType - One of VENDOR_JOB_TYPES
+ * @param {string} jobId - Request or scheduled maintenance task ID
+ * @param {AbortSignal} [signal] - Optional AbortSignal to cancel the request
+ * @returns {Promise<Object>} Job with media, work logs and invoices
+ * @throws {Error} If request fails
+ */
+export const getJobById = async (jobType, jobId, signal) => {
+    try {
+        const res = await api.get(jobUrl(jobType, jobId), { signal });
+        const { data } = extractApiResponse(res.data);
+
+        logApiResponse(SERVICE_NAME, 'getJobById', { data });
+
+        return formatVendorJob(data);
+    } catch (error) {
+        if (axios.isCancel(error)) {
+            throw new Error("Request was canceled");
+        }
+        console.error("Error fetching vendor job:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Moves a job to a new status
+ * @param {string} jobType - One of VENDOR_JOB_TYPES
+ * @param {string} jobId - Job ID
+ * @param {Object} statusData - Status data
+ * @param {string} statusData.status - New status (in_progress or completed)
+ * @param {string} [statusData.note] - Note added to the job's comments
+ * @returns {Promise<Object>} Updated job
+ * @throws {Error} If request fails
+ */
+export const updateJobStatus = async (jobType, jobId, statusData) => {
+    try {
+        const res = await api.patch(`${jobUrl(jobType, jobId)}/status`, {
+            ...statusData,
+            status: statusData.status?.toLowerCase()
+        });
+        const { data } = extractApiResponse(res.data);
+
+        logApiResponse(SERVICE_NAME, 'updateJobStatus', { data });
+
+        return formatVendorJob(data);
+    } catch (error) {
+        console.error("Error updating job status:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Uploads photos of the work to a job
+ * @param {string} jobType - One of VENDOR_JOB_TYPES
+ * @param {string} jobId - Job ID
+ * @param {File[]} files - Images or videos to upload
+ * @param {AbortSignal} [signal] - Optional AbortSignal to cancel the request
+ * @returns {Promise<Object>} Updated job
+ * @throws {Error} If request fails
+ */
+export const uploadJobPhotos = async (jobType, jobId, files, signal) => {
+    try {
+        if (!files || files.length === 0) {
+            throw new Error('No files provided for upload.');
+        }
+
+        const formData = new FormData();
+        files.forEach(file => formData.append('mediaFiles', file));
+
+        const res = await api.post(`${jobUrl(jobType, jobId)}/media`, formData, {
+            headers: { "Content-Type": "multipart/form-data" },
+            signal
+        });
+        const { data } = extractApiResponse(res.data);
+
+        logApiResponse(SERVICE_NAME, 'uploadJobPhotos', { data });
+
+        return formatVendorJob(data);
+    } catch (error) {
+        if (axios.isCancel(error)) {
+            throw new Error("Request was canceled");
+        }
+        console.error("Error uploading job photos:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Logs time or materials against a job
+ * @param {string} jobType - One of VENDOR_JOB_TYPES
+ * @param {string} jobId - Job ID
+ * @param {Object} logData - Work log entry
+ * @param {string} logData.type - One of WORK_LOG_TYPES
+ * @param {string} logData.date - Date the work was done (YYYY-MM-DD)
+ * @param {string} logData.description - What was done or used
+ * @param {number} [logData.hours] - Hours worked (time entries)
+ * @param {number} [logData.rate] - Hourly rate (time entries)
+ * @param {number} [logData.quantity] - Quantity used (material entries)
+ * @param {number} [logData.unitCost] - Cost per unit (material entries)
+ * @returns {Promise<Object>} Updated job
+ * @throws {Error} If request fails
+ */
+export const addWorkLog = async (jobType, jobId, logData) => {
+    try {
+        const res = await api.post(`${jobUrl(jobType, jobId)}/work-logs`, logData);
+        const { data } = extractApiResponse(res.data);
+
+        logApiResponse(SERVICE_NAME, 'addWorkLog', { data });
+
+        return formatVendorJob(data);
+    } catch (error) {
+        console.error("Error adding work log:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Removes a work log entry that hasn't been invoiced yet
+ * @param {string} jobType - One of VENDOR_JOB_TYPES
+ * @param {string} jobId - Job ID
+ * @param {string} logId - Work log entry ID
+ * @returns {Promise<Object>} Updated job
+ * @throws {Error} If request fails
+ */
+export const deleteWorkLog = async (jobType, jobId, logId) => {
+    try {
+        const res = await api.delete(`${jobUrl(jobType, jobId)}/work-logs/${logId}`);
+        const { data } = extractApiResponse(res.data);
+
+        logApiResponse(SERVICE_NAME, 'deleteWorkLog', { data });
+
+        return formatVendorJob(data);
+    } catch (error) {
+        console.error("Error deleting work log:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Submits an invoice for a job. Uninvoiced work logs are attached to the invoice.
+ * @param {string} jobType - One of VENDOR_JOB_TYPES
+ * @param {string} jobId - Job ID
+ * @param {Object} invoiceData - Invoice data
+ * @param {string} invoiceData.invoiceNumber - Vendor's invoice number
+ * @param {number} invoiceData.amount - Invoice total
+ * @param {string} [invoiceData.currency] - Currency code
+ * @param {string} [invoiceData.dueDate] - Payment due date (YYYY-MM-DD)
+ * @param {string} [invoiceData.notes] - Notes for the manager
+ * @param {File} [invoiceData.file] - Invoice document (PDF or image)
+ * @returns {Promise<Object>} Updated job
+ * @throws {Error} If request fails
+ */
+export const submitInvoice = async (jobType, jobId, invoiceData) => {
+    try {
+        const formData = new FormData();
+        Object.entries(invoiceData).forEach(([key, value]) => {
+            if (value === undefined || value === null || value === '') return;
+            formData.append(key === 'file' ? 'invoiceFile' : key, value);
+        });
+
+        const res = await api.post(`${jobUrl(jobType, jobId)}/invoices`, formData, {
+            headers: { "Content-Type": "multipart/form-data" }
+        });
+        const { data } = extractApiResponse(res.data);
+
+        logApiResponse(SERVICE_NAME, 'submitInvoice', { data });
+
+        return formatVendorJob(data);
+    } catch (error) {
+        console.error("Error submitting invoice:", error);
+        throw error.response?.data?.message || error.message;
+    }
+};
+
+/**
+ * Works out the cost of a work log entry
+ * @param {Object} log - Work log entry
+ * @returns {number} Hours × rate for time, quantity × unit cost for materials
+ */
+export const getWorkLogAmount = (log) => {
+    if (!log) return 0;
+    if (log.type === WORK_LOG_TYPES.TIME) {
+        return (Number(log.hours) || 0) * (Number(log.rate) || 0);
+    }
+    return (Number(log.quantity) || 0) * (Number(log.unitCost) || 0);
+};
+
+/**
+ * Formats a vendor job for display
+ * @param {Object} job - Job from API
+ * @returns {Object} Formatted job
+ */
+export const formatVendorJob = (job) => {
+    if (!job) return null;
+
+    const workLogs = job.workLogs || [];
+    const invoices = job.invoices || [];
+    const timeLogs = workLogs.filter(log => log.type === WORK_LOG_TYPES.TIME);
+    const materialLogs = workLogs.filter(log => log.type === WORK_LOG_TYPES.MATERIAL);
+    const uninvoicedLogs = workLogs.filter(log => !log.invoiceId);
+
+    return {
+        ...job,
+        jobTypeDisplay: job.jobType === VENDOR_JOB_TYPES.SCHEDULED_MAINTENANCE ? 'Scheduled Maintenance' : 'Maintenance Request',
+        statusDisplay: getJobStatusDisplay(job.status),
+        statusClass: getJobStatusClass(job.status),
+        propertyName: job.property?.name || 'Unknown Property',
+        unitName: job.unit?.unitName || null,
+        dueDateFormatted: job.dueDate ? new Date(job.dueDate).toLocaleDateString() : null,
+        isOverdue: !!job.dueDate && new Date(job.dueDate) < new Date() && !['completed', 'verified', 'archived', 'canceled'].includes(job.status),
+        hoursLogged: timeLogs.reduce((total, log) => total + (Number(log.hours) || 0), 0),
+        labourCost: timeLogs.reduce((total, log) => total + getWorkLogAmount(log), 0),
+        materialsCost: materialLogs.reduce((total, log) => total + getWorkLogAmount(log), 0),
+        uninvoicedTotal: uninvoicedLogs.reduce((total, log) => total + getWorkLogAmount(log), 0),
+        invoices: invoices.map(invoice => formatVendorInvoice({ ...invoice, property: invoice.property || job.property }))
+    };
+};
+
+/**
+ * Gets display text for a job status. Requests and scheduled tasks share
+ * in_progress and completed; the rest are specific to one or the other.
+ * @param {string} status - Job status
+ * @returns {string} Display text
+ */
+const getJobStatusDisplay = (status) => {
+    switch (status?.toLowerCase()) {
+        case 'new': return 'New';
+        case 'assigned': return 'Assigned';
+        case 'active': return 'Scheduled';
+        case 'in_progress': return 'In Progress';
+        case 'completed': return 'Completed';
+        case 'verified': return 'Verified';
+        case 'reopened': return 'Reopened';
+        case 'archived': return 'Archived';
+        case 'canceled': return 'Canceled';
+        default: return status ? status.charAt(0).toUpperCase() + status.slice(1) : 'Unknown';
+    }
+};
+
+/**
+ * Gets CSS class for a job status
+ * @param {string} status - Job status
+ * @returns {string} CSS class
+ */
+const getJobStatusClass = (status) => {
+    switch (status?.toLowerCase()) {
+        case 'new': return 'bg-blue-100 text-blue-800';
+        case 'assigned': return 'bg-purple-100 text-purple-800';
+        case 'active': return 'bg-indigo-100 text-indigo-800';
+        case 'in_progress': return 'bg-yellow-100 text-yellow-800';
+        case 'completed': return 'bg-green-100 text-green-800';
+        case 'verified': return 'bg-green-200 text-green-900';
+        case 'reopened': return 'bg-orange-100 text-orange-800';
+        case 'canceled': return 'bg-red-100 text-red-800';
+        default: return 'bg-gray-100 text-gray-800';
+    }
+};
+
+export default {
+    getMyJobs,
+    getJobById,
+    updateJobStatus,
+    uploadJobPhotos,
+    addWorkLog,
+    deleteWorkLog,
+    submitInvoice,
+    getWorkLogAmount,
+    formatVendorJob
+};
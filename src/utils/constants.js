@@ -31,6 +31,7 @@ export const SCHEDULED_MAINTENANCE_STATUS_ENUM = {
 export const LEASE_STATUS_ENUM = {
     DRAFT: 'draft', // Lease being prepared
     ACTIVE: 'active', // Current, active lease
+    UPCOMING: 'upcoming', // Agreed but not started yet (e.g. a renewal before its start date)
     PENDING_RENEWAL: 'pending_renewal', // Lease is ending soon, renewal in progress
     EXPIRED: 'expired', // Lease term has ended
     TERMINATED: 'terminated', // Lease was ended prematurely
@@ -43,6 +44,23 @@ export const PRIORITY_LEVELS = {
     URGENT: 'urgent', // For critical issues (e.g., burst pipe)
 };
 
+// Response-time targets for maintenance requests, set per priority (and optionally category)
+export const SLA_STAGES = {
+    ASSIGN: 'assign', // From creation until someone is assigned
+    START: 'start', // From creation until work is in progress
+    COMPLETE: 'complete', // From creation until the request is completed
+};
+
+export const SLA_STATUS = {
+    ON_TRACK: 'on_track',
+    AT_RISK: 'at_risk', // Less than SLA_AT_RISK_FRACTION of the target time left
+    BREACHED: 'breached',
+    MET: 'met',
+    STOPPED: 'stopped', // Request was closed or canceled before reaching the stage
+};
+
+export const SLA_AT_RISK_FRACTION = 0.25;
+
 export const MAINTENANCE_CATEGORIES = [
     'plumbing',
     'electrical',
@@ -69,6 +87,179 @@ export const RENT_STATUS_ENUM = {
     WAIVED: 'waived', // Rent waived by landlord/PM
 };
 
+export const RENEWAL_OFFER_STATUS = {
+    DRAFT: 'draft', // Terms being prepared, not visible to the tenant
+    SENT: 'sent', // Waiting for the tenant to respond
+    DECLINED: 'declined', // Tenant declined; terms can be revised and re-sent
+    WITHDRAWN: 'withdrawn', // Pulled back before the tenant responded
+    COMPLETED: 'completed', // Tenant accepted; successor lease and rent schedule created
+};
+
+export const SIGNATURE_REQUEST_STATUS = {
+    PENDING: 'pending', // Sent, nobody has signed yet
+    PARTIALLY_SIGNED: 'partially_signed', // Some signers have signed
+    COMPLETED: 'completed', // Everyone signed; the signed PDF is available
+    DECLINED: 'declined', // A signer refused to sign
+    CANCELED: 'canceled', // Withdrawn by the sender
+};
+
+export const SIGNATURE_DOCUMENT_TYPES = {
+    LEASE: 'lease', // A lease document (see leaseService.generateLeaseDocument)
+    ONBOARDING: 'onboarding', // An onboarding document
+};
+
+export const SIGNER_ROLES = {
+    TENANT: 'tenant',
+    LANDLORD: 'landlord',
+};
+
+export const SIGNATURE_METHODS = {
+    DRAWN: 'drawn', // Drawn on screen with a mouse, finger or stylus
+    TYPED: 'typed', // Full name typed and rendered as a signature
+};
+
+export const DEPOSIT_STATUS = {
+    PENDING: 'pending', // Required by the lease, not yet collected
+    HELD: 'held', // Collected and held for the tenancy
+    PARTIALLY_REFUNDED: 'partially_refunded', // Refunded after deductions
+    REFUNDED: 'refunded', // Returned in full
+    FORFEITED: 'forfeited', // Fully used up by deductions
+};
+
+export const DEPOSIT_DEDUCTION_CATEGORIES = {
+    DAMAGE: 'damage', // Repairs beyond normal wear and tear
+    CLEANING: 'cleaning', // Cleaning needed at move-out
+    UNPAID_RENT: 'unpaid_rent', // Rent or fees still owed
+    UTILITIES: 'utilities', // Unpaid utility bills
+    OTHER: 'other',
+};
+
+export const INSPECTION_TYPES = {
+    MOVE_IN: 'move_in', // Condition when the tenant takes over the unit
+    MOVE_OUT: 'move_out', // Condition when the tenant hands the unit back
+    ROUTINE: 'routine', // Periodic check during the tenancy
+};
+
+export const INSPECTION_STATUS = {
+    DRAFT: 'draft', // Checklist being filled in
+    AWAITING_TENANT: 'awaiting_tenant', // Completed by the inspector, waiting for the tenant to countersign
+    SIGNED: 'signed', // Countersigned by the tenant
+    DISPUTED: 'disputed', // Tenant declined to countersign and left comments
+};
+
+export const INSPECTION_CONDITIONS = {
+    EXCELLENT: 'excellent',
+    GOOD: 'good',
+    FAIR: 'fair',
+    POOR: 'poor',
+    DAMAGED: 'damaged',
+    NOT_APPLICABLE: 'not_applicable', // Item not present in this unit
+};
+
+export const VENDOR_JOB_TYPES = {
+    REQUEST: 'request', // Maintenance request assigned to the vendor
+    SCHEDULED_MAINTENANCE: 'scheduled_maintenance', // Scheduled task assigned to the vendor
+};
+
+export const WORK_LOG_TYPES = {
+    TIME: 'time', // Labour hours on site
+    MATERIAL: 'material', // Parts and materials used
+};
+
+export const VENDOR_INVOICE_STATUS = {
+    SUBMITTED: 'submitted', // Sent by the vendor, awaiting review
+    APPROVED: 'approved', // Accepted for payment
+    REJECTED: 'rejected', // Returned to the vendor with a reason
+    PAID: 'paid', // Payment sent to the vendor
+};
+
+export const COST_ENTRY_TYPES = {
+    LABOUR: 'labour',
+    MATERIALS: 'materials',
+    VENDOR_INVOICE: 'vendor_invoice', // Uploaded vendor bill, or one submitted through the vendor portal
+    OTHER: 'other',
+};
+
+export const COST_APPROVAL_STATUS = {
+    NOT_REQUIRED: 'not_required', // At or below the property's approval threshold
+    PENDING: 'pending', // Above the threshold, waiting for the landlord
+    APPROVED: 'approved',
+    REJECTED: 'rejected',
+};
+
+export const QUOTE_STATUS = {
+    REQUESTED: 'requested', // Vendor invited to quote, no bid yet
+    SUBMITTED: 'submitted', // Bid received, awaiting a decision
+    DECLINED: 'declined', // Vendor chose not to bid
+    ACCEPTED: 'accepted', // Bid approved; the request is assigned to this vendor
+    REJECTED: 'rejected', // Another bid was approved
+    WITHDRAWN: 'withdrawn', // Invitation canceled by the manager
+};
+
+export const PAYMENT_PROVIDERS = {
+    MTN_MOMO: 'mtn_momo', // MTN Mobile Money
+    AIRTEL_MONEY: 'airtel_money', // Airtel Money
+    CARD: 'card', // Hosted card checkout
+    BANK_TRANSFER: 'bank_transfer', // Manual transfer, confirmed when funds arrive
+    MOCK: 'mock', // Local development provider, offered only in dev builds or with VITE_ENABLE_MOCK_PAYMENTS=true
+};
+
+export const ONLINE_PAYMENT_STATUS = {
+    PENDING: 'pending', // Created, waiting for the tenant or provider
+    PROCESSING: 'processing', // Provider is processing the charge
+    SUCCEEDED: 'succeeded', // Provider confirmed the charge
+    FAILED: 'failed', // Provider declined or the charge errored
+    CANCELED: 'canceled', // Tenant abandoned the checkout
+};
+
+export const LATE_FEE_TYPES = {
+    FLAT: 'flat', // One-off amount once the grace period ends
+    PERCENTAGE: 'percentage', // Percentage of the rent due
+    DAILY: 'daily', // Amount per day late after the grace period
+};
+
+export const CONVERSATION_TYPES = {
+    GROUP: 'group', // Hand-picked members
+    BROADCAST: 'broadcast', // Everyone currently leasing in a property or unit
+};
+
+export const REPORT_DATASETS = {
+    REQUESTS: 'requests',
+    SCHEDULED_MAINTENANCE: 'scheduled_maintenance',
+    RENTS: 'rents',
+    LEASES: 'leases',
+    PROPERTIES: 'properties',
+    VENDORS: 'vendors',
+    USERS: 'users',
+};
+
+export const REPORT_CHART_TYPES = {
+    TABLE: 'table',
+    BAR: 'bar',
+    LINE: 'line', // Best with a date dimension
+    PIE: 'pie', // Single dimension, single measure
+};
+
+export const REPORT_TYPES = {
+    MAINTENANCE_SUMMARY: 'maintenance_summary',
+    SCHEDULED_MAINTENANCE: 'scheduled_maintenance',
+    VENDOR_PERFORMANCE: 'vendor_performance',
+    RENT_COLLECTION: 'rent_collection',
+    LEASE_EXPIRY: 'lease_expiry',
+};
+
+export const REPORT_SUBSCRIPTION_CADENCES = {
+    WEEKLY: 'weekly', // Covers the previous Monday-Sunday
+    MONTHLY: 'monthly', // Covers the previous calendar month
+};
+
+export const REPORT_DELIVERY_STATUS = {
+    PENDING: 'pending', // Queued, not sent yet
+    SENT: 'sent', // Emailed to every recipient
+    PARTIAL: 'partial', // Some recipients' emails bounced or were rejected
+    FAILED: 'failed', // Report could not be generated or no email went out
+};
+
 export const INVITATION_STATUSES = {
     PENDING: 'pending', // Consistent lowercase
     ACCEPTED: 'accepted', // Consistent lowercase
@@ -87,6 +278,33 @@ export const FREQUENCY_OPTIONS = {
     CUSTOM: 'custom', // For more complex recurring patterns
 };
 
+// Currencies a lease (and therefore its rents and payments) can be denominated in
+export const CURRENCIES = [
+    { code: 'UGX', name: 'Ugandan Shilling', symbol: 'USh' },
+    { code: 'KES', name: 'Kenyan Shilling', symbol: 'KSh' },
+    { code: 'TZS', name: 'Tanzanian Shilling', symbol: 'TSh' },
+    { code: 'RWF', name: 'Rwandan Franc', symbol: 'FRw' },
+    { code: 'USD', name: 'US Dollar', symbol: '$' },
+    { code: 'EUR', name: 'Euro', symbol: '€' },
+    { code: 'GBP', name: 'British Pound', symbol: '£' },
+];
+export const DEFAULT_CURRENCY = 'UGX'; // Used when a record carries no currency of its own
+
+// Fallback exchange-rate table (units of each currency per 1 unit of the base currency),
+// used only until the configured table has been loaded from the API.
+export const DEFAULT_EXCHANGE_RATES = {
+    baseCurrency: 'USD',
+    rates: {
+        USD: 1,
+        UGX: 3700,
+        KES: 129,
+        TZS: 2600,
+        RWF: 1400,
+        EUR: 0.92,
+        GBP: 0.79,
+    },
+};
+
 // General API response messages (can be used for front-end feedback)
 // These are examples; actual messages should come from backend error responses
 export const API_MESSAGES = {
@@ -129,6 +347,7 @@ export const ROUTES = {
     PM_BASE: '/pm',
     LANDLORD_BASE: '/landlord',
     TENANT_BASE: '/tenant',
+    VENDOR_BASE: '/vendor',
 
     // Role-specific Dashboards (nested under base paths)
     ADMIN_DASHBOARD: '/admin/dashboard',
@@ -136,6 +355,7 @@ export const ROUTES = {
     PM_DASHBOARD: '/pm/dashboard',
     LANDLORD_DASHBOARD: '/landlord/dashboard',
     TENANT_DASHBOARD: '/tenant/dashboard',
+    VENDOR_DASHBOARD: '/vendor/jobs', // Vendors land on their job queue
 
     // Role-specific Profiles (nested under base paths)
     ADMIN_PROFILE: '/admin/profile',
@@ -180,6 +400,7 @@ export const ROUTES = {
     ADMIN_VENDOR_DETAILS: '/admin/vendors/:vendorId',
     ADMIN_VENDOR_ADD: '/admin/vendors/add',
     ADMIN_VENDOR_EDIT: '/admin/vendors/edit/:vendorId',
+    ADMIN_VENDOR_INVOICES: '/admin/vendor-invoices',
     
     ADMIN_INVITES: '/admin/invites',
     ADMIN_INVITE_SEND: '/admin/invites/send',
@@ -188,6 +409,9 @@ export const ROUTES = {
     ADMIN_LEASE_DETAILS: '/admin/leases/:leaseId',
     ADMIN_LEASE_ADD: '/admin/leases/add',
     ADMIN_LEASE_EDIT: '/admin/leases/edit/:leaseId',
+    ADMIN_LEASE_RENT_SCHEDULE: '/admin/leases/:leaseId/rent-schedule',
+    ADMIN_LEASE_LEDGER: '/admin/leases/:leaseId/ledger',
+    ADMIN_LEASE_DEPOSIT: '/admin/leases/:leaseId/deposit',
     
     ADMIN_PAYMENTS: '/admin/payments',
     ADMIN_PAYMENT_DETAILS: '/admin/payments/:paymentId',
@@ -213,6 +437,11 @@ export const ROUTES = {
     // PM-specific routes
     PM_REQUESTS: '/pm/requests',
     PM_REPORTS: '/pm/reports',
+
+    // Vendor portal (nested under VENDOR_BASE)
+    VENDOR_JOBS: '/vendor/jobs',
+    VENDOR_JOB_DETAILS: '/vendor/jobs/:jobType/:jobId',
+    VENDOR_QUOTES: '/vendor/quotes',
     
     // Shared Feature Pages (nested under relevant role base paths)
     // Users
@@ -232,7 +461,11 @@ export const ROUTES = {
     UNIT_DETAILS: '/properties/:propertyId/units/:unitId',
     UNIT_ADD: '/properties/:propertyId/units/add',
     UNIT_EDIT: '/properties/:propertyId/units/edit/:unitId',
-    TENANT_MY_UNIT: '/tenant/my-unit', // Tenant's specific unit page
+    TENANT_MY_UNIT: '/tenant/my-unit/:unitId', // Tenant's specific unit page
+    UNIT_INSPECTION_ADD: '/properties/:propertyId/units/:unitId/inspections/add',
+    UNIT_INSPECTION_COMPARE: '/properties/:propertyId/units/:unitId/inspections/compare',
+    INSPECTION_DETAILS: '/inspections/:inspectionId',
+    INSPECTION_EDIT: '/inspections/:inspectionId/edit',
 
     // Requests
     REQUESTS: '/requests', // Lists all maintenance requests
@@ -251,6 +484,7 @@ export const ROUTES = {
     VENDOR_DETAILS: '/vendors/:vendorId',
     VENDOR_ADD: '/vendors/add',
     VENDOR_EDIT: '/vendors/edit/:vendorId',
+    VENDOR_INVOICES: '/vendor-invoices', // Manager review of invoices submitted through the vendor portal
 
     // Invites
     INVITES: '/invites', // Lists all invites
@@ -261,16 +495,24 @@ export const ROUTES = {
     LEASE_DETAILS: '/leases/:leaseId',
     LEASE_ADD: '/leases/add',
     LEASE_EDIT: '/leases/edit/:leaseId',
+    LEASE_RENT_SCHEDULE: '/leases/:leaseId/rent-schedule',
+    LEASE_LEDGER: '/leases/:leaseId/ledger',
+    LEASE_DEPOSIT: '/leases/:leaseId/deposit',
 
     // Payments
     PAYMENTS: '/payments',
     PAYMENT_DETAILS: '/payments/:paymentId',
     PAYMENT_RECORD: '/payments/record', // Form for recording payments
+    TENANT_STATEMENT: '/tenant/payments', // Tenant statement of account
+    TENANT_PAY_RENT: '/tenant/payments/:rentId/pay', // Tenant online checkout for a rent record
+    TENANT_PAYMENT_CALLBACK: '/tenant/payments/callback', // Where hosted checkout pages return to
+    TENANT_LEASE_RENEWAL: '/tenant/leases/:leaseId/renewal', // Tenant reviews and answers a renewal offer
 
     // Messages
     MESSAGES: '/messages',
     MESSAGE_DETAILS: '/messages/:messageId',
     MESSAGE_COMPOSE: '/messages/compose',
+    MESSAGE_GROUP_DETAILS: '/messages/groups/:conversationId', // Group or broadcast thread
 
     // Notifications
     NOTIFICATIONS: '/notifications', // Centralized notification list page
@@ -314,3 +556,15 @@ export const ROUTES = {
 export const APP_NAME = "Fix It by Threalty";
 export const DEBOUNCE_DELAY_MS = 500; // Default debounce delay for search inputs etc.
 export const NOTIFICATION_POLLING_INTERVAL_MS = 60000; // Poll notifications every 60 seconds
+
+// Real-time notification stream (SSE with WebSocket fallback)
+export const NOTIFICATION_STREAM_STATUS = {
+    CONNECTING: 'connecting', // Opening the first connection
+    CONNECTED: 'connected', // Live stream is open
+    RECONNECTING: 'reconnecting', // Connection dropped, backing off before retrying
+    DEGRADED: 'degraded', // Too many failures, callers should fall back to polling
+    CLOSED: 'closed', // Unsubscribed
+};
+export const NOTIFICATION_STREAM_RECONNECT_BASE_MS = 1000; // First reconnect delay, doubled on each failure
+export const NOTIFICATION_STREAM_RECONNECT_MAX_MS = 30000; // Upper bound for the reconnect delay
+export const NOTIFICATION_STREAM_DEGRADED_AFTER = 3; // Consecutive failures before reporting a degraded stream
@@ -0,0 +1,86 @@
+// frontend/src/utils/currency.js
+
+// Currency lookups, conversion through an exchange-rate table and totals across
+// records that may be denominated in different currencies.
+
+import { CURRENCIES, DEFAULT_CURRENCY, DEFAULT_EXCHANGE_RATES } from './constants.js';
+
+const REPORTING_CURRENCY_STORAGE_KEY = 'reportingCurrency';
+
+/**
+ * Returns the metadata for a currency code, or a minimal entry for unknown codes.
+ * @param {string} code - ISO 4217 currency code
+ * @returns {{ code: string, name: string, symbol: string }}
+ */
+export const getCurrencyInfo = (code) =>
+    CURRENCIES.find(currency => currency.code === code) || { code, name: code, symbol: code };
+
+/**
+ * Returns the display symbol for a currency code (e.g. 'USh' for UGX).
+ * @param {string} code - ISO 4217 currency code
+ * @returns {string}
+ */
+export const getCurrencySymbol = (code) => getCurrencyInfo(code || DEFAULT_CURRENCY).symbol;
+
+/**
+ * Picks the first currency code that is set, falling back to DEFAULT_CURRENCY.
+ * Typical use: resolveCurrency(rent.currency, rent.lease?.currency).
+ * @param {...string} candidates - Currency codes in order of preference
+ * @returns {string}
+ */
+export const resolveCurrency = (...candidates) => candidates.find(Boolean) || DEFAULT_CURRENCY;
+
+/**
+ * Converts an amount between currencies using a rate table.
+ * @param {number} amount - Amount in the source currency
+ * @param {string} fromCurrency - Source currency code
+ * @param {string} toCurrency - Target currency code
+ * @param {{ baseCurrency: string, rates: Object<string, number> }} [rateTable=DEFAULT_EXCHANGE_RATES]
+ * @returns {number|null} Converted amount, or null if either currency has no rate
+ */
+export const convertAmount = (amount, fromCurrency, toCurrency, rateTable = DEFAULT_EXCHANGE_RATES) => {
+    const numericAmount = Number(amount) || 0;
+    if (fromCurrency === toCurrency) return numericAmount;
+
+    const { baseCurrency, rates = {} } = rateTable;
+    const fromRate = fromCurrency === baseCurrency ? 1 : rates[fromCurrency];
+    const toRate = toCurrency === baseCurrency ? 1 : rates[toCurrency];
+    if (!fromRate || !toRate) return null;
+
+    return (numericAmount / fromRate) * toRate;
+};
+
+/**
+ * Sums amounts in different currencies into a single target currency.
+ * Amounts whose currency has no rate are left out and reported, so callers can
+ * flag an incomplete total instead of silently adding unconvertible numbers.
+ * @param {Array<{ amount: number, currency: string }>} entries - Amounts to add up
+ * @param {string} targetCurrency - Currency of the result
+ * @param {Object} [rateTable=DEFAULT_EXCHANGE_RATES] - Exchange-rate table
+ * @returns {{ total: number, currency: string, unconvertedCurrencies: string[] }}
+ */
+export const sumInCurrency = (entries, targetCurrency, rateTable = DEFAULT_EXCHANGE_RATES) => {
+    const unconverted = new Set();
+    const total = entries.reduce((acc, { amount, currency }) => {
+        const converted = convertAmount(amount, resolveCurrency(currency), targetCurrency, rateTable);
+        if (converted === null) {
+            unconverted.add(resolveCurrency(currency));
+            return acc;
+        }
+        return acc + converted;
+    }, 0);
+
+    return { total, currency: targetCurrency, unconvertedCurrencies: [...unconverted] };
+};
+
+/**
+ * Returns the currency the user last chose for portfolio totals.
+ * @returns {string}
+ */
+export const getReportingCurrency = () => localStorage.getItem(REPORTING_CURRENCY_STORAGE_KEY) || DEFAULT_CURRENCY;
+
+/**
+ * Persists the currency used for portfolio totals on this device.
+ * @param {string} code - Currency code
+ */
+export const setReportingCurrency = (code) => localStorage.setItem(REPORTING_CURRENCY_STORAGE_KEY, code);
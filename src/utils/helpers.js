@@ -3,8 +3,11 @@
 // This file contains general utility functions, such as date formatting,
 // string manipulation, and other common helpers.
 
+import { getIntlLocale } from './i18n.js';
+import { DEFAULT_CURRENCY } from './constants.js';
+
 /**
- * Formats a Date object or timestamp into a readable date string.
+ * Formats a Date object or timestamp into a readable date string in the active UI locale.
  * @param {Date|string} dateInput - The date to format (can be Date object or ISO string).
  * @param {object} [options] - Options for Intl.DateTimeFormat (e.g., { year: 'numeric', month: 'long', day: 'numeric' }).
  * @returns {string} The formatted date string.
@@ -18,7 +21,7 @@ export const formatDate = (dateInput, options = {}) => {
         }
         // Default options for a common format if not provided
         const defaultOptions = { year: 'numeric', month: 'short', day: 'numeric' };
-        return new Intl.DateTimeFormat('en-US', { ...defaultOptions, ...options }).format(date);
+        return new Intl.DateTimeFormat(getIntlLocale(), { ...defaultOptions, ...options }).format(date);
     } catch (error) {
         console.error('Error formatting date:', error);
         return 'Date Error';
@@ -26,7 +29,7 @@ export const formatDate = (dateInput, options = {}) => {
 };
 
 /**
- * Formats a Date object or timestamp into a readable date and time string.
+ * Formats a Date object or timestamp into a readable date and time string in the active UI locale.
  * @param {Date|string} dateInput - The date to format.
  * @param {object} [options] - Options for Intl.DateTimeFormat.
  * @returns {string} The formatted date and time string.
@@ -44,9 +47,8 @@ export const formatDateTime = (dateInput, options = {}) => {
             day: 'numeric',
             hour: 'numeric',
             minute: 'numeric',
-            hour12: true, // Use 12-hour clock with AM/PM
         };
-        return new Intl.DateTimeFormat('en-US', { ...defaultOptions, ...options }).format(date);
+        return new Intl.DateTimeFormat(getIntlLocale(), { ...defaultOptions, ...options }).format(date);
     } catch (error) {
         console.error('Error formatting date-time:', error);
         return 'Date/Time Error';
@@ -140,11 +142,11 @@ export const buildQueryParams = (params) => {
 /**
  * Formats a number as a currency string
  * @param {number} amount - The amount to format
- * @param {string} [currencyCode='USD'] - The currency code (e.g., 'USD', 'EUR', 'GBP')
- * @param {string} [locale='en-US'] - The locale to use for formatting
+ * @param {string} [currencyCode=DEFAULT_CURRENCY] - The currency code (e.g., 'UGX', 'USD', 'KES')
+ * @param {string} [locale] - The locale to use for formatting, defaults to the active UI locale
  * @returns {string} The formatted currency string
  */
-export const formatCurrency = (amount, currencyCode = 'USD', locale = 'en-US') => {
+export const formatCurrency = (amount, currencyCode = DEFAULT_CURRENCY, locale = getIntlLocale()) => {
     if (amount === undefined || amount === null) return '';
     
     try {
@@ -156,12 +158,10 @@ export const formatCurrency = (amount, currencyCode = 'USD', locale = 'en-US') =
             return 'Invalid Amount';
         }
         
-        // Format using Intl.NumberFormat
+        // Format using Intl.NumberFormat; fraction digits follow the currency (UGX has none, USD has 2)
         return new Intl.NumberFormat(locale, {
             style: 'currency',
-            currency: currencyCode,
-            minimumFractionDigits: 2,
-            maximumFractionDigits: 2
+            currency: currencyCode || DEFAULT_CURRENCY
         }).format(numericAmount);
     } catch (error) {
         console.error('Error formatting currency:', error);
@@ -169,6 +169,48 @@ export const formatCurrency = (amount, currencyCode = 'USD', locale = 'en-US') =
     }
 };
 
+const RELATIVE_TIME_UNITS = [
+    ['year', 60 * 60 * 24 * 365],
+    ['month', 60 * 60 * 24 * 30],
+    ['week', 60 * 60 * 24 * 7],
+    ['day', 60 * 60 * 24],
+    ['hour', 60 * 60],
+    ['minute', 60],
+];
+
+/**
+ * Formats a date relative to now in the active UI locale (e.g. "3 hours ago", "il y a 3 heures").
+ * @param {Date|string} dateInput - The date to format.
+ * @returns {string} The relative time string.
+ */
+export const formatRelativeTime = (dateInput) => {
+    if (!dateInput) return '';
+    const date = new Date(dateInput);
+    if (isNaN(date.getTime())) return '';
+
+    const seconds = Math.round((date.getTime() - Date.now()) / 1000);
+    const rtf = new Intl.RelativeTimeFormat(getIntlLocale(), { numeric: 'auto' });
+    for (const [unit, unitSeconds] of RELATIVE_TIME_UNITS) {
+        if (Math.abs(seconds) >= unitSeconds) {
+            return rtf.format(Math.round(seconds / unitSeconds), unit);
+        }
+    }
+    return rtf.format(seconds, 'second');
+};
+
+/**
+ * Formats a number in the active UI locale (grouping and decimal separators)
+ * @param {number|string} value - The number to format
+ * @param {object} [options] - Options for Intl.NumberFormat
+ * @returns {string} The formatted number string
+ */
+export const formatNumber = (value, options = {}) => {
+    if (value === undefined || value === null || value === '') return '';
+    const numericValue = typeof value === 'string' ? parseFloat(value) : value;
+    if (isNaN(numericValue)) return String(value);
+    return new Intl.NumberFormat(getIntlLocale(), options).format(numericValue);
+};
+
 /**
  * Formats a size in bytes to a human-readable string (KB, MB, GB, etc)
  * @param {number} bytes - Size in bytes
@@ -185,4 +227,36 @@ export const formatBytes = (bytes, decimals = 2) => {
     const i = Math.floor(Math.log(bytes) / Math.log(k));
     
     return parseFloat((bytes / Math.pow(k, i)).toFixed(dm)) + ' ' + sizes[i];
-};
\ No newline at end of file
+};
+/**
+ * Downloads rows of values as a CSV file, quoting cells that need it and neutralising
+ * text that a spreadsheet would evaluate as a formula
+ * @param {string} fileName - Name for the downloaded file (e.g. 'statement.csv')
+ * @param {Array<Array<string|number>>} rows - Rows of cell values, header row first
+ */
+export const downloadCsv = (fileName, rows) => {
+    const escapeCell = (value) => {
+        let text = value === undefined || value === null ? '' : String(value);
+        // Spreadsheets run text starting with these as a formula; numbers (e.g. -50) are safe
+        if (typeof value !== 'number' && /^[=+\-@]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const csv = rows.map(row => row.map(escapeCell).join(',')).join('\r\n');
+
+    // Leading BOM so spreadsheet apps read accented names as UTF-8
+    const blob = new Blob(['\uFEFF' + csv], { type: 'text/csv;charset=utf-8' });
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.style.display = 'none';
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+
+    setTimeout(() => {
+        window.URL.revokeObjectURL(url);
+        document.body.removeChild(a);
+    }, 100);
+};
@@ -0,0 +1,173 @@
+// frontend/src/utils/i18n.js
+
+// Lightweight i18n layer: message catalogs per locale, interpolation, pluralization
+// via Intl.PluralRules and the active locale used by the formatting helpers.
+// Lives outside React so helpers.js and services can read the current locale too.
+// Coverage: the app shell, alerts and the tenant-facing pages are translated; staff
+// pages (manager, landlord, vendor, admin) still render English text.
+
+import en from '../locales/en.js';
+import fr from '../locales/fr.js';
+import sw from '../locales/sw.js';
+import lg from '../locales/lg.js';
+
+export const DEFAULT_LOCALE = 'en';
+const LOCALE_STORAGE_KEY = 'locale';
+
+/**
+ * Locales the UI can be displayed in. `intl` is the BCP 47 tag handed to Intl APIs
+ * for dates, numbers and plural rules.
+ */
+export const SUPPORTED_LOCALES = [
+    { code: 'en', name: 'English', intl: 'en-US' },
+    { code: 'fr', name: 'Français', intl: 'fr-FR' },
+    { code: 'sw', name: 'Kiswahili', intl: 'sw-KE' },
+    { code: 'lg', name: 'Luganda', intl: 'lg-UG' },
+];
+
+const CATALOGS = { en, fr, sw, lg };
+
+const listeners = new Set();
+const pluralRulesCache = new Map();
+
+const isSupportedLocale = (code) => SUPPORTED_LOCALES.some(locale => locale.code === code);
+
+/**
+ * Picks the initial locale: saved choice first, then the browser's languages, then English.
+ * @returns {string} Supported locale code
+ */
+const detectInitialLocale = () => {
+    const saved = localStorage.getItem(LOCALE_STORAGE_KEY);
+    if (isSupportedLocale(saved)) return saved;
+
+    const browserLanguages = navigator.languages || [navigator.language];
+    for (const language of browserLanguages) {
+        const code = language?.split('-')[0].toLowerCase();
+        if (isSupportedLocale(code)) return code;
+    }
+    return DEFAULT_LOCALE;
+};
+
+let currentLocale = detectInitialLocale();
+document.documentElement.lang = currentLocale;
+
+/**
+ * Returns the active locale code (e.g. 'sw').
+ * @returns {string}
+ */
+export const getCurrentLocale = () => currentLocale;
+
+/**
+ * Returns the Intl locale tag for a locale code, defaulting to the active locale.
+ * @param {string} [code] - Locale code
+ * @returns {string} BCP 47 tag (e.g. 'sw-KE')
+ */
+export const getIntlLocale = (code = currentLocale) =>
+    SUPPORTED_LOCALES.find(locale => locale.code === code)?.intl || 'en-US';
+
+/**
+ * Switches the active locale, persists it and notifies subscribers.
+ * Unsupported codes are ignored.
+ * @param {string} code - Locale code
+ */
+export const setCurrentLocale = (code) => {
+    if (!isSupportedLocale(code) || code === currentLocale) return;
+    currentLocale = code;
+    localStorage.setItem(LOCALE_STORAGE_KEY, code);
+    document.documentElement.lang = code;
+    listeners.forEach(listener => listener(code));
+};
+
+/**
+ * Subscribes to locale changes.
+ * @param {Function} listener - Called with the new locale code
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToLocale = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+const lookup = (catalog, key) =>
+    key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), catalog);
+
+/**
+ * Picks the plural form for `count`. Luganda has no CLDR plural data in most browsers,
+ * so it falls back to English rules, which match its one/other split.
+ */
+const selectPluralForm = (forms, count, code) => {
+    const intlLocale = getIntlLocale(code);
+    if (!pluralRulesCache.has(intlLocale)) {
+        const supported = Intl.PluralRules.supportedLocalesOf(intlLocale).length > 0;
+        pluralRulesCache.set(intlLocale, new Intl.PluralRules(supported ? intlLocale : 'en-US'));
+    }
+    const category = pluralRulesCache.get(intlLocale).select(count);
+    return forms[category] ?? forms.other;
+};
+
+const interpolate = (message, params) =>
+    message.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+
+/**
+ * Translates a message key such as 'nav.dashboard'.
+ * Falls back to the English catalog, then to the key itself, so a missing
+ * translation never breaks the UI. Plural messages are selected with `params.count`.
+ * @param {string} key - Dot-separated message key
+ * @param {Object} [params={}] - Interpolation values, e.g. { count: 3, name: 'Jane' }
+ * @param {string} [code] - Locale code, defaults to the active locale
+ * @returns {string} The translated message
+ */
+export const translate = (key, params = {}, code = currentLocale) => {
+    let message = lookup(CATALOGS[code], key);
+    if (message === undefined && code !== DEFAULT_LOCALE) {
+        message = lookup(CATALOGS[DEFAULT_LOCALE], key);
+    }
+    if (message === undefined) return key;
+
+    if (typeof message === 'object') {
+        message = selectPluralForm(message, Number(params.count) || 0, code);
+    }
+    return typeof message === 'string' ? interpolate(message, params) : key;
+};
+
+/**
+ * Returns a localized API message by its API_MESSAGES key (e.g. 'LOGIN_SUCCESS').
+ * @param {string} key - API_MESSAGES key
+ * @returns {string}
+ */
+export const getApiMessage = (key) => translate(`apiMessages.${key}`);
+
+const API_MESSAGE_KEYS = new Map(Object.entries(en.apiMessages).map(([key, english]) => [english, key]));
+
+/**
+ * Translates a message sent by the server when it is exactly one of the API_MESSAGES values.
+ * Any other text (validation details, free-form errors) is returned unchanged.
+ * @param {string} message - Message from an API response
+ * @returns {string}
+ */
+export const localizeApiMessage = (message) => {
+    const key = typeof message === 'string' ? API_MESSAGE_KEYS.get(message.trim()) : undefined;
+    return key ? getApiMessage(key) : message;
+};
+
+/**
+ * Translates a UI message given as `{ key, params }`. Plain strings are returned as is,
+ * so callers that still build their own text keep working.
+ * @param {string|{ key: string, params?: Object }} message
+ * @returns {string}
+ */
+export const translateMessage = (message) =>
+    (message && typeof message === 'object' && message.key ? translate(message.key, message.params) : message);
+
+export default {
+    SUPPORTED_LOCALES,
+    DEFAULT_LOCALE,
+    getCurrentLocale,
+    getIntlLocale,
+    setCurrentLocale,
+    subscribeToLocale,
+    translate,
+    getApiMessage,
+    localizeApiMessage,
+    translateMessage,
+};
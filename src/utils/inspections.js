@@ -0,0 +1,113 @@
+// frontend/src/utils/inspections.js
+
+// Room-by-room condition checklists for unit inspections. An inspection holds `rooms`,
+// each with `items` of { name, condition, notes, photos }.
+
+import { INSPECTION_CONDITIONS } from './constants.js';
+
+export const CONDITION_OPTIONS = [
+    { value: INSPECTION_CONDITIONS.EXCELLENT, label: 'Excellent', score: 5, className: 'bg-green-100 text-green-800' },
+    { value: INSPECTION_CONDITIONS.GOOD, label: 'Good', score: 4, className: 'bg-emerald-100 text-emerald-800' },
+    { value: INSPECTION_CONDITIONS.FAIR, label: 'Fair', score: 3, className: 'bg-yellow-100 text-yellow-800' },
+    { value: INSPECTION_CONDITIONS.POOR, label: 'Poor', score: 2, className: 'bg-orange-100 text-orange-800' },
+    { value: INSPECTION_CONDITIONS.DAMAGED, label: 'Damaged', score: 1, className: 'bg-red-100 text-red-800' },
+    { value: INSPECTION_CONDITIONS.NOT_APPLICABLE, label: 'N/A', score: null, className: 'bg-gray-100 text-gray-600' },
+];
+
+const CONDITIONS_BY_VALUE = Object.fromEntries(CONDITION_OPTIONS.map(option => [option.value, option]));
+
+// Starting checklist for a unit with no earlier inspection
+export const DEFAULT_INSPECTION_CHECKLIST = [
+    { name: 'Entrance & Hallway', items: ['Door & Lock', 'Walls', 'Floor', 'Lighting'] },
+    { name: 'Living Room', items: ['Walls', 'Ceiling', 'Floor', 'Windows', 'Lighting & Sockets'] },
+    { name: 'Kitchen', items: ['Cabinets', 'Countertops', 'Sink & Taps', 'Stove & Oven', 'Refrigerator', 'Floor'] },
+    { name: 'Bedroom', items: ['Walls', 'Floor', 'Windows', 'Wardrobe', 'Lighting & Sockets'] },
+    { name: 'Bathroom', items: ['Toilet', 'Shower / Bath', 'Sink & Taps', 'Tiles', 'Ventilation'] },
+    { name: 'Exterior', items: ['Balcony / Patio', 'Keys & Remotes', 'Meters'] },
+];
+
+const toItem = (name) => ({ name, condition: '', notes: '', photos: [] });
+
+/**
+ * Blank checklist for a new inspection. Reuses the rooms and items of an earlier
+ * inspection so move-in and move-out reports line up item for item.
+ * @param {Object} [previousInspection] - Latest inspection of the unit
+ * @returns {Array<Object>} Rooms with unrated items
+ */
+export const buildChecklist = (previousInspection) => {
+    if (previousInspection?.rooms?.length) {
+        return previousInspection.rooms.map(room => ({
+            name: room.name,
+            items: (room.items || []).map(item => toItem(item.name))
+        }));
+    }
+    return DEFAULT_INSPECTION_CHECKLIST.map(room => ({ name: room.name, items: room.items.map(toItem) }));
+};
+
+/**
+ * Display details for a condition rating.
+ * @param {string} condition - One of INSPECTION_CONDITIONS
+ * @returns {{ label: string, score: ?number, className: string }}
+ */
+export const getConditionDetails = (condition) => CONDITIONS_BY_VALUE[condition]
+    || { label: 'Not rated', score: null, className: 'bg-gray-50 text-gray-400' };
+
+/**
+ * Counts rated items and items in poor or damaged condition.
+ * @param {Object} inspection
+ * @returns {{ itemCount: number, ratedCount: number, issueCount: number, photoCount: number }}
+ */
+export const summarizeInspection = (inspection) => {
+    const items = (inspection?.rooms || []).flatMap(room => room.items || []);
+    return {
+        itemCount: items.length,
+        ratedCount: items.filter(item => item.condition).length,
+        issueCount: items.filter(item => [INSPECTION_CONDITIONS.POOR, INSPECTION_CONDITIONS.DAMAGED].includes(item.condition)).length,
+        photoCount: items.reduce((count, item) => count + (item.photos?.length || 0), 0)
+    };
+};
+
+const itemKey = (roomName, itemName) => `${roomName}::${itemName}`.toLowerCase();
+
+/**
+ * Lines up a move-in and a move-out inspection item by item. Items are matched on
+ * room and item name; items present in only one report are kept with the other side empty.
+ * @param {Object} moveIn
+ * @param {Object} moveOut
+ * @returns {Array<{ room: string, items: Array<Object> }>} Rows with `before`, `after`, `worsened` and
+ *   the `afterPosition` ({ roomIndex, itemIndex }) of the move-out item
+ */
+export const compareInspections = (moveIn, moveOut) => {
+    const rooms = [];
+    const roomsByName = {};
+
+    const addItem = (roomName, itemName, side, item, position) => {
+        const roomKey = roomName.toLowerCase();
+        if (!roomsByName[roomKey]) {
+            roomsByName[roomKey] = { room: roomName, items: [], byKey: {} };
+            rooms.push(roomsByName[roomKey]);
+        }
+        const room = roomsByName[roomKey];
+        const key = itemKey(roomName, itemName);
+        if (!room.byKey[key]) {
+            room.byKey[key] = { key, name: itemName, before: null, after: null };
+            room.items.push(room.byKey[key]);
+        }
+        room.byKey[key][side] = item;
+        if (position) room.byKey[key].afterPosition = position;
+    };
+
+    (moveIn?.rooms || []).forEach(room => (room.items || []).forEach(item => addItem(room.name, item.name, 'before', item)));
+    (moveOut?.rooms || []).forEach((room, roomIndex) => (room.items || []).forEach((item, itemIndex) => (
+        addItem(room.name, item.name, 'after', item, { roomIndex, itemIndex })
+    )));
+
+    return rooms.map(({ room, items }) => ({
+        room,
+        items: items.map(row => {
+            const before = getConditionDetails(row.before?.condition).score;
+            const after = getConditionDetails(row.after?.condition).score;
+            return { ...row, worsened: before !== null && after !== null && after < before };
+        })
+    }));
+};
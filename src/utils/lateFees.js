@@ -0,0 +1,122 @@
+// frontend/src/utils/lateFees.js
+
+// Late fee rules applied to rent records from their lease terms. Fees that have been
+// posted to a rent record come back from the API in `rent.lateFees`; anything the lease
+// terms say is owed beyond that is shown as an accrued (not yet posted) fee.
+
+import { LATE_FEE_TYPES, RENT_STATUS_ENUM } from './constants.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const startOfDay = (value) => {
+    const date = new Date(value);
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+};
+
+/**
+ * Reads the late fee terms from a lease, with the defaults LeaseFormPage uses.
+ * @param {Object|string} [lease] - Lease record (or the lease populated on a rent record)
+ * @returns {{ type: string, amount: number, gracePeriod: number, cap: number|null }|null}
+ *   Null when the lease isn't populated, so callers can tell "no late fee" from "terms unknown"
+ */
+export const getLateFeeTerms = (lease) => {
+    if (!lease || typeof lease !== 'object') return null;
+    return {
+        type: lease.lateFeeType || LATE_FEE_TYPES.FLAT,
+        amount: parseFloat(lease.lateFee) || 0,
+        gracePeriod: parseInt(lease.gracePeriod, 10) || 0,
+        cap: parseFloat(lease.lateFeeCap) || null,
+    };
+};
+
+/**
+ * Works out the late fee owed on a rent record under the given terms.
+ * Paid records stop accruing on their payment date, and accrue nothing when that date is
+ * missing; waived records never accrue.
+ * @param {Object} rent - Rent record with dueDate, amountDue, amountPaid, status and paymentDate
+ * @param {Object|null} terms - Terms from getLateFeeTerms; null when they aren't known
+ * @param {Date} [asOf=new Date()] - Date to calculate the fee at
+ * @returns {{ amount: number, daysLate: number, chargeableDays: number, isInGracePeriod: boolean, isCapped: boolean }}
+ */
+export const calculateLateFee = (rent, terms, asOf = new Date()) => {
+    const none = { amount: 0, daysLate: 0, chargeableDays: 0, isInGracePeriod: false, isCapped: false };
+    if (!rent?.dueDate || !terms?.amount || rent.status === RENT_STATUS_ENUM.WAIVED) return none;
+
+    const isPaid = rent.status === RENT_STATUS_ENUM.PAID;
+    if (isPaid && !rent.paymentDate) return none;
+
+    const until = isPaid ? rent.paymentDate : asOf;
+    const daysLate = Math.floor((startOfDay(until) - startOfDay(rent.dueDate)) / DAY_MS);
+    if (daysLate <= 0) return none;
+    if (daysLate <= terms.gracePeriod) return { ...none, daysLate, isInGracePeriod: true };
+
+    const chargeableDays = daysLate - terms.gracePeriod;
+    let amount;
+    switch (terms.type) {
+        case LATE_FEE_TYPES.PERCENTAGE:
+            amount = (rent.amountDue || 0) * terms.amount / 100;
+            break;
+        case LATE_FEE_TYPES.DAILY:
+            amount = terms.amount * chargeableDays;
+            break;
+        default:
+            amount = terms.amount;
+    }
+
+    const isCapped = !!terms.cap && amount > terms.cap;
+    return {
+        amount: roundAmount(isCapped ? terms.cap : amount),
+        daysLate,
+        chargeableDays,
+        isInGracePeriod: false,
+        isCapped,
+    };
+};
+
+/**
+ * Summarises the late fees on a rent record: posted line items, the accrued amount not
+ * yet posted, and the totals that count towards the balance. Without a populated lease
+ * only posted fees count, and `terms` is null.
+ * @param {Object} rent - Rent record, ideally with its lease populated
+ * @param {Date} [asOf=new Date()]
+ * @returns {{ items: Array<Object>, accrued: number, calculation: Object, terms: Object|null, total: number, waived: number }}
+ */
+export const summarizeLateFees = (rent, asOf = new Date()) => {
+    const items = Array.isArray(rent?.lateFees) ? rent.lateFees : [];
+    const terms = getLateFeeTerms(rent?.lease);
+    const calculation = calculateLateFee(rent, terms, asOf);
+
+    const posted = items.reduce((total, item) => total + (item.amount || 0), 0);
+    const waived = items.filter(item => item.waived).reduce((total, item) => total + (item.amount || 0), 0);
+    const accrued = roundAmount(Math.max(0, calculation.amount - posted));
+
+    return {
+        items,
+        accrued,
+        calculation,
+        terms,
+        total: roundAmount(posted - waived + accrued),
+        waived: roundAmount(waived),
+    };
+};
+
+/**
+ * Describes the late fee terms for display, e.g. "2% of rent after 5 days (max USh 50,000)".
+ * @param {Object|null} terms - Terms from getLateFeeTerms
+ * @param {Function} formatAmount - Formats an amount in the lease currency
+ * @returns {string}
+ */
+export const describeLateFeeTerms = (terms, formatAmount) => {
+    if (!terms) return 'Unavailable (lease details not loaded)';
+    if (!terms.amount) return 'No late fee';
+    const base = terms.type === LATE_FEE_TYPES.PERCENTAGE
+        ? `${terms.amount}% of rent`
+        : terms.type === LATE_FEE_TYPES.DAILY
+            ? `${formatAmount(terms.amount)} per day`
+            : formatAmount(terms.amount);
+    const grace = terms.gracePeriod ? ` after ${terms.gracePeriod} day${terms.gracePeriod === 1 ? '' : 's'}` : '';
+    const cap = terms.cap ? ` (max ${formatAmount(terms.cap)})` : '';
+    return `${base}${grace}${cap}`;
+};
@@ -0,0 +1,126 @@
+// frontend/src/utils/leaseAmendments.js
+
+// Field-level changes recorded with lease amendments. An amendment stores a `changes`
+// array of { field, from, to }; older amendments only have a description.
+
+import { formatCurrency, formatDate } from './helpers.js';
+import { toDateInputValue } from './rentSchedule.js';
+
+// Lease fields an amendment can change, in display order
+export const AMENDABLE_LEASE_FIELDS = [
+    { field: 'monthlyRent', label: 'Monthly Rent', type: 'currency' },
+    { field: 'securityDeposit', label: 'Security Deposit', type: 'currency' },
+    { field: 'leaseStartDate', label: 'Start Date', type: 'date' },
+    { field: 'leaseEndDate', label: 'End Date', type: 'date' },
+    { field: 'paymentDueDay', label: 'Payment Due Day', type: 'number' },
+    { field: 'terms', label: 'Terms & Conditions', type: 'text' },
+];
+
+const FIELD_DEFINITIONS = Object.fromEntries(AMENDABLE_LEASE_FIELDS.map(definition => [definition.field, definition]));
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+// Compares values the way the form holds them, so '1200' and 1200 are equal
+const normalizeValue = (type, value) => {
+    if (isEmpty(value)) return null;
+    switch (type) {
+        case 'currency':
+        case 'number': {
+            // Keep unparseable input as text; NaN never equals itself and would always diff
+            const number = Number(value);
+            return Number.isNaN(number) ? String(value).trim() : number;
+        }
+        case 'date':
+            return toDateInputValue(value);
+        default:
+            return String(value).trim();
+    }
+};
+
+/**
+ * Current values of the amendable fields, shaped for form inputs.
+ * @param {Object} lease
+ * @returns {Object} Field name to input value
+ */
+export const getAmendableValues = (lease) => Object.fromEntries(
+    AMENDABLE_LEASE_FIELDS.map(({ field, type }) => {
+        const value = lease?.[field];
+        if (isEmpty(value)) return [field, ''];
+        return [field, type === 'date' ? toDateInputValue(value) : value];
+    })
+);
+
+/**
+ * Lists the fields that differ between the lease and the edited values.
+ * @param {Object} lease - Lease before the amendment
+ * @param {Object} values - Edited values (see getAmendableValues)
+ * @returns {Array<{ field: string, from: *, to: * }>}
+ */
+export const diffLeaseFields = (lease, values) => AMENDABLE_LEASE_FIELDS.reduce((changes, { field, type }) => {
+    const from = normalizeValue(type, lease?.[field]);
+    const to = normalizeValue(type, values[field]);
+    if (from !== to) {
+        changes.push({ field, from, to });
+    }
+    return changes;
+}, []);
+
+/**
+ * Label for a changed field, falling back to the raw field name for fields this
+ * screen doesn't edit.
+ * @param {string} field
+ * @returns {string}
+ */
+export const getAmendmentFieldLabel = (field) => FIELD_DEFINITIONS[field]?.label || field;
+
+/**
+ * Formats one side of a change for display.
+ * @param {string} field
+ * @param {*} value
+ * @param {string} currency - Lease currency
+ * @returns {string}
+ */
+export const formatAmendmentValue = (field, value, currency) => {
+    if (isEmpty(value)) return '—';
+    switch (FIELD_DEFINITIONS[field]?.type) {
+        case 'currency':
+            return formatCurrency(Number(value), currency);
+        case 'date':
+            return formatDate(value);
+        default:
+            return String(value);
+    }
+};
+
+/**
+ * Amendments oldest first, each numbered with the lease version it produced
+ * (the original lease is version 1).
+ * @param {Object} lease
+ * @returns {Array<Object>} Amendments with a `version` number
+ */
+export const getAmendmentHistory = (lease) => {
+    const amendments = Array.isArray(lease?.amendments) ? lease.amendments : [];
+    return [...amendments]
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+        .map((amendment, index) => ({ ...amendment, version: amendment.version || index + 2 }));
+};
+
+/**
+ * The lease as originally signed, for the amendable fields. Each field takes the
+ * `from` value of the earliest amendment that changed it, else the current value.
+ * @param {Object} lease
+ * @returns {Object} Field name to original value
+ */
+export const getOriginalLeaseValues = (lease) => {
+    const original = Object.fromEntries(AMENDABLE_LEASE_FIELDS.map(({ field }) => [field, lease?.[field]]));
+    const seen = new Set();
+    getAmendmentHistory(lease).forEach(({ changes }) => {
+        (Array.isArray(changes) ? changes : []).forEach(({ field, from }) => {
+            if (field in original && !seen.has(field)) {
+                original[field] = from;
+                seen.add(field);
+            }
+        });
+    });
+    return original;
+};
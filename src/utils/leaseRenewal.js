@@ -0,0 +1,55 @@
+// frontend/src/utils/leaseRenewal.js
+
+// Helpers for drafting and presenting renewal offers. The backend turns an accepted
+// offer into the successor lease: it keeps the parties, unit and billing rules of the
+// current lease and takes the dates, rent and terms from the offer.
+
+import { toDateInputValue } from './rentSchedule.js';
+
+export const DEFAULT_RENEWAL_TERM_MONTHS = 12;
+
+const addDays = (value, days) => {
+    const date = new Date(value);
+    date.setDate(date.getDate() + days);
+    return date;
+};
+
+const addMonths = (value, months) => {
+    const date = new Date(value);
+    date.setMonth(date.getMonth() + months);
+    return date;
+};
+
+/**
+ * Suggested terms for a new renewal offer: the day after the current lease ends, for
+ * another year, at the current rent.
+ * @param {Object} lease - Lease being renewed
+ * @returns {Object} Offer form values (dates as YYYY-MM-DD)
+ */
+export const getDefaultRenewalTerms = (lease) => {
+    const startDate = lease?.leaseEndDate ? addDays(lease.leaseEndDate, 1) : new Date();
+    return {
+        leaseStartDate: toDateInputValue(startDate),
+        leaseEndDate: toDateInputValue(addDays(addMonths(startDate, DEFAULT_RENEWAL_TERM_MONTHS), -1)),
+        monthlyRent: lease?.monthlyRent ?? '',
+        securityDeposit: lease?.securityDeposit ?? '',
+        paymentDueDay: lease?.paymentDueDay ?? 1,
+        terms: lease?.terms || '',
+        message: '',
+        respondBy: lease?.leaseEndDate ? toDateInputValue(addDays(lease.leaseEndDate, -30)) : '',
+    };
+};
+
+/**
+ * Describes how the offer changes the rent, e.g. "+5.0%".
+ * @param {Object} lease - Current lease
+ * @param {Object} offer - Renewal offer
+ * @returns {string|null} Null when either rent is missing or unchanged
+ */
+export const describeRentChange = (lease, offer) => {
+    const current = Number(lease?.monthlyRent);
+    const proposed = Number(offer?.monthlyRent);
+    if (!current || !proposed || current === proposed) return null;
+    const change = ((proposed - current) / current) * 100;
+    return `${change > 0 ? '+' : ''}${change.toFixed(1)}%`;
+};
@@ -0,0 +1,276 @@
+// frontend/src/utils/ledger.js
+
+// Builds a tenant's statement of account for a lease from its rent records: rent charges,
+// payments, late fees, waivers and security deposit movements in date order, with a
+// running balance. A positive balance means the tenant owes money.
+
+import { formatDate } from './helpers.js';
+
+export const LEDGER_ENTRY_TYPES = {
+    RENT: 'rent',
+    PAYMENT: 'payment',
+    LATE_FEE: 'late_fee',
+    WAIVER: 'waiver',
+    DEPOSIT: 'deposit',
+};
+
+export const LEDGER_ENTRY_LABELS = {
+    [LEDGER_ENTRY_TYPES.RENT]: 'Rent',
+    [LEDGER_ENTRY_TYPES.PAYMENT]: 'Payment',
+    [LEDGER_ENTRY_TYPES.LATE_FEE]: 'Late fee',
+    [LEDGER_ENTRY_TYPES.WAIVER]: 'Waiver',
+    [LEDGER_ENTRY_TYPES.DEPOSIT]: 'Deposit',
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const toTime = (value) => (value ? new Date(value).getTime() : NaN);
+
+/**
+ * Lists the payments made against a rent record. Records that carry a `payments` array
+ * give one entry per payment; older records only have amountPaid and paymentDate.
+ */
+const getRentPayments = (rent) => {
+    if (Array.isArray(rent.payments) && rent.payments.length > 0) {
+        return rent.payments.map((payment, index) => ({
+            id: payment._id || `${rent._id}-payment-${index}`,
+            date: payment.paymentDate || payment.date || payment.createdAt,
+            amount: payment.amount || 0,
+            method: payment.paymentMethod,
+            reference: payment.transactionReference,
+        }));
+    }
+    if (!rent.amountPaid) return [];
+    return [{
+        id: `${rent._id}-payment`,
+        date: rent.paymentDate || rent.updatedAt || rent.dueDate,
+        amount: rent.amountPaid,
+        method: rent.paymentMethod,
+        reference: rent.transactionReference,
+    }];
+};
+
+// Deposit movements that add to what the tenant owes; everything else is a credit
+const DEPOSIT_DEBIT_TYPES = ['charge', 'deduction', 'refund'];
+
+/**
+ * Security deposit movements for a lease. With a deposit record (see leaseService.formatDeposit)
+ * the statement shows the charge, its receipt, move-out deductions and, once refunded, the
+ * deposit released back against those deductions and the refund paid out. Without one it uses
+ * the lease's recorded deposit transactions, or charges the deposit on the lease start date.
+ * @param {Object} lease
+ * @param {Object} [deposit] - Formatted deposit record for the lease
+ * @returns {Array<{ id: string, date: string, type: string, amount: number, description: string }>}
+ */
+export const getDepositTransactions = (lease, deposit) => {
+    if (!lease) return [];
+    if (deposit) {
+        const transactions = [];
+        const depositAmount = deposit.amount || lease.securityDeposit;
+        if (depositAmount) {
+            transactions.push({
+                id: `${lease._id}-deposit`,
+                date: lease.leaseStartDate,
+                type: 'charge',
+                amount: depositAmount,
+                description: 'Security deposit',
+            });
+        }
+        if (deposit.receivedAmount > 0) {
+            transactions.push({
+                id: `${lease._id}-deposit-receipt`,
+                date: deposit.receivedAt,
+                type: 'receipt',
+                amount: deposit.receivedAmount,
+                description: 'Security deposit received',
+            });
+        }
+        deposit.deductions.forEach(deduction => {
+            transactions.push({
+                id: deduction._id,
+                date: deduction.createdAt || deposit.refund?.refundedAt,
+                type: 'deduction',
+                amount: deduction.amount,
+                description: `Deposit deduction: ${deduction.description}`,
+            });
+        });
+        if (deposit.isSettled) {
+            const refundedAt = deposit.refund?.refundedAt || deposit.updatedAt;
+            transactions.push({
+                id: `${lease._id}-deposit-release`,
+                date: refundedAt,
+                type: 'release',
+                amount: deposit.receivedAmount,
+                description: 'Security deposit released at move-out',
+            });
+            if (deposit.refundedAmount > 0) {
+                transactions.push({
+                    id: `${lease._id}-deposit-refund`,
+                    date: refundedAt,
+                    type: 'refund',
+                    amount: deposit.refundedAmount,
+                    description: 'Security deposit refunded',
+                });
+            }
+        }
+        return transactions;
+    }
+    if (Array.isArray(lease.depositTransactions)) return lease.depositTransactions;
+    if (!lease.securityDeposit) return [];
+    return [{
+        id: `${lease._id}-deposit`,
+        date: lease.leaseStartDate,
+        type: 'charge',
+        amount: lease.securityDeposit,
+        description: 'Security deposit',
+    }];
+};
+
+/**
+ * Turns rent records and deposit transactions into unsorted ledger entries.
+ */
+const collectEntries = (rents, depositTransactions) => {
+    const entries = [];
+
+    rents.forEach(rent => {
+        const period = formatDate(rent.dueDate, { month: 'long', year: 'numeric' });
+        entries.push({
+            id: `${rent._id}-rent`,
+            date: rent.dueDate,
+            type: LEDGER_ENTRY_TYPES.RENT,
+            description: `Rent for ${period}`,
+            debit: rent.amountDue || 0,
+            credit: 0,
+            rentId: rent._id,
+        });
+
+        getRentPayments(rent).forEach(payment => {
+            entries.push({
+                id: payment.id,
+                date: payment.date,
+                type: LEDGER_ENTRY_TYPES.PAYMENT,
+                description: `Payment${payment.method ? ` (${payment.method.replace(/_/g, ' ')})` : ''}`,
+                reference: payment.reference,
+                debit: 0,
+                credit: payment.amount,
+                rentId: rent._id,
+            });
+        });
+
+        const lateFeeSummary = rent.lateFeeSummary;
+        (lateFeeSummary?.items || []).forEach(fee => {
+            entries.push({
+                id: `${fee._id}-fee`,
+                date: fee.assessedAt || rent.dueDate,
+                type: LEDGER_ENTRY_TYPES.LATE_FEE,
+                description: fee.description || `Late fee on ${period} rent`,
+                debit: fee.amount || 0,
+                credit: 0,
+                rentId: rent._id,
+            });
+            if (fee.waived) {
+                entries.push({
+                    id: `${fee._id}-waiver`,
+                    date: fee.waivedAt || fee.assessedAt || rent.dueDate,
+                    type: LEDGER_ENTRY_TYPES.WAIVER,
+                    description: `Late fee waived${fee.waiverNote ? `: ${fee.waiverNote}` : ''}`,
+                    debit: 0,
+                    credit: fee.amount || 0,
+                    rentId: rent._id,
+                });
+            }
+        });
+        if (lateFeeSummary?.accrued > 0) {
+            entries.push({
+                id: `${rent._id}-accrued-fee`,
+                date: new Date().toISOString(),
+                type: LEDGER_ENTRY_TYPES.LATE_FEE,
+                description: `Late fee on ${period} rent (accrued, ${lateFeeSummary.calculation.daysLate} days late)`,
+                debit: lateFeeSummary.accrued,
+                credit: 0,
+                rentId: rent._id,
+            });
+        }
+    });
+
+    depositTransactions.forEach(transaction => {
+        const isCharge = DEPOSIT_DEBIT_TYPES.includes(transaction.type);
+        entries.push({
+            id: transaction.id || transaction._id,
+            date: transaction.date,
+            type: LEDGER_ENTRY_TYPES.DEPOSIT,
+            description: transaction.description || 'Security deposit',
+            debit: isCharge ? transaction.amount || 0 : 0,
+            credit: isCharge ? 0 : transaction.amount || 0,
+        });
+    });
+
+    return entries.filter(entry => !isNaN(toTime(entry.date)));
+};
+
+/**
+ * Builds the statement of account for a date range.
+ * Entries before the range roll into the opening balance.
+ * @param {Object} params
+ * @param {Array<Object>} params.rents - Formatted rent records for the lease (see rentService.formatRent)
+ * @param {Array<Object>} [params.depositTransactions=[]] - From getDepositTransactions
+ * @param {string} [params.startDate] - First day of the statement (YYYY-MM-DD); from the beginning when empty
+ * @param {string} [params.endDate] - Last day of the statement (YYYY-MM-DD); up to today when empty
+ * @returns {{ entries: Array<Object>, openingBalance: number, closingBalance: number, totalDebits: number, totalCredits: number }}
+ */
+export const buildLedger = ({ rents = [], depositTransactions = [], startDate, endDate }) => {
+    const from = startDate ? toTime(`${startDate}T00:00:00`) : -Infinity;
+    const to = endDate ? toTime(`${endDate}T23:59:59.999`) : Infinity;
+
+    // Same-day entries list charges before credits so the running balance reads naturally
+    const sorted = collectEntries(rents, depositTransactions).sort((a, b) =>
+        toTime(a.date) - toTime(b.date) || b.debit - a.debit
+    );
+
+    let openingBalance = 0;
+    let balance = 0;
+    let totalDebits = 0;
+    let totalCredits = 0;
+    const entries = [];
+
+    sorted.forEach(entry => {
+        const time = toTime(entry.date);
+        if (time > to) return;
+        balance = roundAmount(balance + entry.debit - entry.credit);
+        if (time < from) {
+            openingBalance = balance;
+            return;
+        }
+        totalDebits += entry.debit;
+        totalCredits += entry.credit;
+        entries.push({ ...entry, balance });
+    });
+
+    return {
+        entries,
+        openingBalance,
+        closingBalance: balance,
+        totalDebits: roundAmount(totalDebits),
+        totalCredits: roundAmount(totalCredits),
+    };
+};
+
+/**
+ * Renders a ledger as CSV rows, including the opening and closing balance lines.
+ * @param {Object} ledger - Result of buildLedger
+ * @returns {Array<Array<string|number>>}
+ */
+export const ledgerToRows = (ledger) => [
+    ['Date', 'Type', 'Description', 'Reference', 'Charges', 'Credits', 'Balance'],
+    ['', '', 'Opening balance', '', '', '', ledger.openingBalance],
+    ...ledger.entries.map(entry => [
+        formatDate(entry.date),
+        LEDGER_ENTRY_LABELS[entry.type],
+        entry.description,
+        entry.reference || '',
+        entry.debit || '',
+        entry.credit || '',
+        entry.balance,
+    ]),
+    ['', '', 'Closing balance', '', ledger.totalDebits, ledger.totalCredits, ledger.closingBalance],
+];
@@ -0,0 +1,108 @@
+// frontend/src/utils/paymentProviders.js
+
+// Online payment providers offered at tenant checkout. The backend talks to the providers;
+// each entry here describes what the tenant has to enter and what the checkout page does
+// once the backend has created the pending payment:
+//   'await_confirmation' - wait (polling) while the tenant approves on their phone
+//   'redirect'           - send the tenant to the provider's hosted checkout page
+//   'instructions'       - show transfer details; staff confirm when funds arrive
+//   'simulate'           - mock provider: post a fake provider callback after a delay
+// Labels, descriptions, messages and validation errors are translation keys (see locales/en.js).
+
+import { PAYMENT_PROVIDERS } from './constants.js';
+
+const PHONE_PATTERN = /^\+?\d{9,15}$/;
+
+const validatePhoneNumber = (details) => {
+    const phoneNumber = (details.phoneNumber || '').replace(/[\s-]/g, '');
+    if (!phoneNumber) return 'paymentProviders.phoneRequired';
+    if (!PHONE_PATTERN.test(phoneNumber)) return 'paymentProviders.phoneInvalid';
+    return null;
+};
+
+const phoneField = {
+    name: 'phoneNumber',
+    label: 'paymentProviders.phoneLabel',
+    type: 'tel',
+    placeholder: '+256 77 123 4567',
+};
+
+const isMockEnabled = import.meta.env.DEV || import.meta.env.VITE_ENABLE_MOCK_PAYMENTS === 'true';
+
+const PROVIDERS = [
+    {
+        id: PAYMENT_PROVIDERS.MTN_MOMO,
+        label: 'paymentProviders.mtnMomo.label',
+        description: 'paymentProviders.mtnMomo.description',
+        paymentMethod: 'mobile_money',
+        currencies: ['UGX', 'RWF'],
+        fields: [phoneField],
+        validate: validatePhoneNumber,
+        start: () => ({ type: 'await_confirmation', message: 'paymentProviders.mtnMomo.prompt' }),
+    },
+    {
+        id: PAYMENT_PROVIDERS.AIRTEL_MONEY,
+        label: 'paymentProviders.airtelMoney.label',
+        description: 'paymentProviders.airtelMoney.description',
+        paymentMethod: 'mobile_money',
+        currencies: ['UGX', 'KES', 'TZS', 'RWF'],
+        fields: [phoneField],
+        validate: validatePhoneNumber,
+        start: () => ({ type: 'await_confirmation', message: 'paymentProviders.airtelMoney.prompt' }),
+    },
+    {
+        id: PAYMENT_PROVIDERS.CARD,
+        label: 'paymentProviders.card.label',
+        description: 'paymentProviders.card.description',
+        paymentMethod: 'credit_card',
+        fields: [],
+        validate: () => null,
+        start: (payment) => ({ type: 'redirect', url: payment.checkoutUrl }),
+    },
+    {
+        id: PAYMENT_PROVIDERS.BANK_TRANSFER,
+        label: 'paymentProviders.bankTransfer.label',
+        description: 'paymentProviders.bankTransfer.description',
+        paymentMethod: 'bank_transfer',
+        fields: [],
+        validate: () => null,
+        start: (payment) => ({ type: 'instructions', instructions: payment.instructions || {} }),
+    },
+    {
+        id: PAYMENT_PROVIDERS.MOCK,
+        label: 'paymentProviders.mock.label',
+        description: 'paymentProviders.mock.description',
+        paymentMethod: 'other',
+        fields: [
+            {
+                name: 'outcome',
+                label: 'paymentProviders.mock.outcomeLabel',
+                type: 'select',
+                options: [
+                    { value: 'succeeded', label: 'paymentProviders.mock.succeeds' },
+                    { value: 'failed', label: 'paymentProviders.mock.declined' },
+                ],
+            },
+        ],
+        validate: () => null,
+        start: (payment, details) => ({ type: 'simulate', outcome: details.outcome || 'succeeded', delayMs: 2000 }),
+        enabled: isMockEnabled,
+    },
+];
+
+/**
+ * Returns the provider definition for an ID.
+ * @param {string} providerId - One of PAYMENT_PROVIDERS
+ * @returns {Object|undefined}
+ */
+export const getPaymentProvider = (providerId) => PROVIDERS.find(provider => provider.id === providerId);
+
+/**
+ * Lists the providers a tenant can use for a payment in the given currency.
+ * @param {string} currency - ISO 4217 currency code of the rent
+ * @returns {Array<Object>}
+ */
+export const getAvailablePaymentProviders = (currency) =>
+    PROVIDERS.filter(provider =>
+        provider.enabled !== false && (!provider.currencies || provider.currencies.includes(currency))
+    );
@@ -0,0 +1,178 @@
+// frontend/src/utils/rentSchedule.js
+
+// Builds the rent records a rent schedule will produce, so the schedule screen can
+// preview them before anything is saved. The backend generates the real records from
+// the same schedule fields; this mirrors its rules for display only.
+
+import { FREQUENCY_OPTIONS } from './constants.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Frequencies offered for rent, with their length in months (weekly is handled in days)
+export const RENT_SCHEDULE_FREQUENCIES = [
+    { value: FREQUENCY_OPTIONS.WEEKLY, label: 'Weekly', months: 0, days: 7 },
+    { value: FREQUENCY_OPTIONS.MONTHLY, label: 'Monthly', months: 1 },
+    { value: FREQUENCY_OPTIONS.QUARTERLY, label: 'Quarterly', months: 3 },
+    { value: FREQUENCY_OPTIONS.BI_ANNUALLY, label: 'Every 6 months', months: 6 },
+    { value: FREQUENCY_OPTIONS.ANNUALLY, label: 'Annually', months: 12 },
+];
+
+export const ESCALATION_TYPES = {
+    NONE: 'none',
+    PERCENTAGE: 'percentage',
+    FIXED: 'fixed',
+};
+
+/**
+ * Parses a 'YYYY-MM-DD' string (or Date) into a local date at midnight.
+ * @param {string|Date} value
+ * @returns {Date|null}
+ */
+const toDate = (value) => {
+    if (!value) return null;
+    if (value instanceof Date) return new Date(value.getFullYear(), value.getMonth(), value.getDate());
+    const [year, month, day] = String(value).split('T')[0].split('-').map(Number);
+    if (!year || !month || !day) return null;
+    return new Date(year, month - 1, day);
+};
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+const daysInMonth = (year, month) => new Date(year, month + 1, 0).getDate();
+
+/**
+ * Adds months, keeping the preferred day of month but clamping it to short months
+ * (a due day of 31 falls on Feb 28/29).
+ */
+const addMonths = (date, months, preferredDay = date.getDate()) => {
+    const target = new Date(date.getFullYear(), date.getMonth() + months, 1);
+    const day = Math.min(preferredDay, daysInMonth(target.getFullYear(), target.getMonth()));
+    return new Date(target.getFullYear(), target.getMonth(), day);
+};
+
+const daysBetween = (start, endInclusive) => Math.round((endInclusive - start) / DAY_MS) + 1;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Returns the next period boundary after `date` for the given frequency.
+ */
+const nextBoundary = (date, frequency, dueDay) =>
+    frequency.months ? addMonths(date, frequency.months, dueDay) : addDays(date, frequency.days);
+
+/**
+ * First due date on or after the schedule start that falls on the due day.
+ */
+const firstAlignedDueDate = (startDate, frequency, dueDay) => {
+    if (!frequency.months) return startDate;
+    const sameMonth = new Date(
+        startDate.getFullYear(),
+        startDate.getMonth(),
+        Math.min(dueDay, daysInMonth(startDate.getFullYear(), startDate.getMonth()))
+    );
+    return sameMonth >= startDate ? sameMonth : addMonths(sameMonth, 1, dueDay);
+};
+
+/**
+ * Applies the escalation clause to the base amount for a period starting on `periodStart`.
+ * Escalations step up every `intervalMonths` after the schedule start, optionally capped.
+ */
+const escalatedAmount = (baseAmount, escalation, scheduleStart, periodStart) => {
+    if (!escalation || escalation.type === ESCALATION_TYPES.NONE || !escalation.value || !escalation.intervalMonths) {
+        return { amount: baseAmount, steps: 0 };
+    }
+    const monthsElapsed = (periodStart.getFullYear() - scheduleStart.getFullYear()) * 12
+        + (periodStart.getMonth() - scheduleStart.getMonth())
+        - (periodStart.getDate() < scheduleStart.getDate() ? 1 : 0);
+    const steps = Math.max(0, Math.floor(monthsElapsed / escalation.intervalMonths));
+
+    let amount = escalation.type === ESCALATION_TYPES.PERCENTAGE
+        ? baseAmount * Math.pow(1 + escalation.value / 100, steps)
+        : baseAmount + escalation.value * steps;
+    if (escalation.maxAmount) amount = Math.min(amount, escalation.maxAmount);
+    return { amount, steps };
+};
+
+/**
+ * Builds the list of rent records a schedule will generate.
+ * @param {Object} schedule - Schedule fields as edited on the form
+ * @param {number|string} schedule.amount - Rent per full period
+ * @param {string} schedule.frequency - One of RENT_SCHEDULE_FREQUENCIES values
+ * @param {number|string} [schedule.dueDay=1] - Day of month rent falls due (monthly and longer)
+ * @param {string} schedule.startDate - First day covered by the schedule (YYYY-MM-DD)
+ * @param {string} [schedule.endDate] - Last day covered; open-ended when empty
+ * @param {{ firstPeriod: boolean, lastPeriod: boolean }} [schedule.proration] - Prorate partial periods by day
+ * @param {{ type: string, value: number, intervalMonths: number, maxAmount?: number }} [schedule.escalation]
+ * @param {Object} [options={}]
+ * @param {number} [options.limit=24] - Maximum number of periods to return
+ * @returns {{ periods: Array<Object>, hasMore: boolean }} Periods with dueDate, periodStart, periodEnd, amount and flags
+ */
+export const buildRentSchedulePreview = (schedule, options = {}) => {
+    const { limit = 24 } = options;
+    const baseAmount = parseFloat(schedule.amount);
+    const startDate = toDate(schedule.startDate);
+    const endDate = toDate(schedule.endDate);
+    const frequency = RENT_SCHEDULE_FREQUENCIES.find(f => f.value === schedule.frequency);
+    const dueDay = Math.min(Math.max(parseInt(schedule.dueDay, 10) || 1, 1), 31);
+
+    if (!frequency || !startDate || isNaN(baseAmount) || baseAmount <= 0 || (endDate && endDate < startDate)) {
+        return { periods: [], hasMore: false };
+    }
+
+    const proration = schedule.proration || {};
+    const periods = [];
+    let periodStart = startDate;
+    const boundary = firstAlignedDueDate(startDate, frequency, dueDay);
+
+    // A start date before the first due day leaves a short first period up to that due day
+    if (boundary > startDate) {
+        const fullPeriodEnd = addDays(boundary, -1);
+        const fullPeriodStart = frequency.months ? addMonths(boundary, -frequency.months, dueDay) : addDays(boundary, -frequency.days);
+        const periodEnd = endDate && endDate < fullPeriodEnd ? endDate : fullPeriodEnd;
+        const ratio = daysBetween(startDate, periodEnd) / daysBetween(fullPeriodStart, fullPeriodEnd);
+        const { amount, steps } = escalatedAmount(baseAmount, schedule.escalation, startDate, startDate);
+        periods.push({
+            dueDate: startDate,
+            periodStart: startDate,
+            periodEnd,
+            amount: roundAmount(proration.firstPeriod ? amount * ratio : amount),
+            isProrated: !!proration.firstPeriod,
+            isEscalated: steps > 0,
+        });
+        periodStart = boundary;
+    }
+
+    while (periods.length < limit + 1 && (!endDate || periodStart <= endDate)) {
+        const next = nextBoundary(periodStart, frequency, dueDay);
+        const fullPeriodEnd = addDays(next, -1);
+        const isPartial = endDate && endDate < fullPeriodEnd;
+        const periodEnd = isPartial ? endDate : fullPeriodEnd;
+        const { amount, steps } = escalatedAmount(baseAmount, schedule.escalation, startDate, periodStart);
+        const ratio = isPartial ? daysBetween(periodStart, periodEnd) / daysBetween(periodStart, fullPeriodEnd) : 1;
+        const prorate = isPartial && proration.lastPeriod;
+
+        periods.push({
+            dueDate: periodStart,
+            periodStart,
+            periodEnd,
+            amount: roundAmount(prorate ? amount * ratio : amount),
+            isProrated: prorate,
+            isEscalated: steps > 0,
+        });
+        periodStart = next;
+    }
+
+    return { periods: periods.slice(0, limit), hasMore: periods.length > limit };
+};
+
+/**
+ * Formats a Date as 'YYYY-MM-DD' for date inputs and API payloads.
+ * @param {Date} date
+ * @returns {string}
+ */
+export const toDateInputValue = (date) => {
+    if (!date) return '';
+    const d = date instanceof Date ? date : new Date(date);
+    if (isNaN(d.getTime())) return '';
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
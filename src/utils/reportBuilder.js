@@ -0,0 +1,298 @@
+// frontend/src/utils/reportBuilder.js
+
+// Custom reports are described by a definition that the report API aggregates:
+//   { name, dataset, dimensions: [key], measures: [key], filters: {...}, chartType, sort: { by, direction }, limit }
+// The catalog below lists what the API can group by (dimensions) and compute (measures)
+// for each dataset; keys must match the server's.
+
+import {
+    REPORT_DATASETS,
+    REPORT_CHART_TYPES,
+    REPORT_TYPES,
+    REQUEST_STATUSES,
+    SCHEDULED_MAINTENANCE_STATUS_ENUM,
+    RENT_STATUS_ENUM,
+    LEASE_STATUS_ENUM,
+    PRIORITY_LEVELS,
+    MAINTENANCE_CATEGORIES,
+    USER_ROLES,
+} from './constants.js';
+import { formatCurrency, formatNumber } from './helpers.js';
+
+export const MAX_REPORT_DIMENSIONS = 2;
+export const DEFAULT_REPORT_LIMIT = 50;
+
+const MONTH_DIMENSION = (label) => ({ key: 'month', label, isDate: true });
+const PROPERTY_DIMENSION = { key: 'property', label: 'Property' };
+const COUNT_MEASURE = { key: 'count', label: 'Count', format: 'number' };
+
+/**
+ * Datasets the report builder can query.
+ * `dateLabel` names the date the start/end filters apply to; `statuses`, `categories`,
+ * `priorities` and `roles` populate the filter selects; `propertyScoped` datasets can be filtered by property.
+ */
+export const REPORT_DATASET_CATALOG = {
+    [REPORT_DATASETS.REQUESTS]: {
+        label: 'Maintenance Requests',
+        dateLabel: 'Created',
+        propertyScoped: true,
+        statuses: Object.values(REQUEST_STATUSES),
+        categories: MAINTENANCE_CATEGORIES,
+        priorities: Object.values(PRIORITY_LEVELS),
+        dimensions: [
+            { key: 'status', label: 'Status' },
+            { key: 'category', label: 'Category' },
+            { key: 'priority', label: 'Priority' },
+            PROPERTY_DIMENSION,
+            { key: 'assignedTo', label: 'Assignee' },
+            MONTH_DIMENSION('Month created'),
+        ],
+        measures: [
+            COUNT_MEASURE,
+            { key: 'totalCost', label: 'Total cost', format: 'currency' },
+            { key: 'avgResolutionHours', label: 'Avg. resolution time', format: 'hours' },
+            { key: 'slaComplianceRate', label: 'SLA compliance', format: 'percent' },
+        ],
+    },
+    [REPORT_DATASETS.SCHEDULED_MAINTENANCE]: {
+        label: 'Scheduled Maintenance',
+        dateLabel: 'Scheduled',
+        propertyScoped: true,
+        statuses: Object.values(SCHEDULED_MAINTENANCE_STATUS_ENUM),
+        categories: MAINTENANCE_CATEGORIES,
+        dimensions: [
+            { key: 'status', label: 'Status' },
+            { key: 'category', label: 'Category' },
+            { key: 'frequency', label: 'Frequency' },
+            PROPERTY_DIMENSION,
+            MONTH_DIMENSION('Month scheduled'),
+        ],
+        measures: [
+            COUNT_MEASURE,
+            { key: 'totalCost', label: 'Total cost', format: 'currency' },
+        ],
+    },
+    [REPORT_DATASETS.RENTS]: {
+        label: 'Rent',
+        dateLabel: 'Due',
+        propertyScoped: true,
+        statuses: Object.values(RENT_STATUS_ENUM),
+        dimensions: [
+            { key: 'status', label: 'Status' },
+            PROPERTY_DIMENSION,
+            { key: 'tenant', label: 'Tenant' },
+            MONTH_DIMENSION('Month due'),
+        ],
+        measures: [
+            COUNT_MEASURE,
+            { key: 'amountDue', label: 'Amount due', format: 'currency' },
+            { key: 'amountPaid', label: 'Amount paid', format: 'currency' },
+            { key: 'lateFees', label: 'Late fees', format: 'currency' },
+            { key: 'collectionRate', label: 'Collection rate', format: 'percent' },
+        ],
+    },
+    [REPORT_DATASETS.LEASES]: {
+        label: 'Leases',
+        dateLabel: 'Lease start',
+        propertyScoped: true,
+        statuses: Object.values(LEASE_STATUS_ENUM),
+        dimensions: [
+            { key: 'status', label: 'Status' },
+            PROPERTY_DIMENSION,
+            MONTH_DIMENSION('Month started'),
+        ],
+        measures: [
+            COUNT_MEASURE,
+            { key: 'monthlyRent', label: 'Monthly rent', format: 'currency' },
+            { key: 'avgMonthlyRent', label: 'Avg. monthly rent', format: 'currency' },
+        ],
+    },
+    [REPORT_DATASETS.PROPERTIES]: {
+        label: 'Properties',
+        propertyScoped: false,
+        dimensions: [
+            { key: 'propertyType', label: 'Property type' },
+            { key: 'city', label: 'City' },
+            { key: 'landlord', label: 'Landlord' },
+        ],
+        measures: [
+            COUNT_MEASURE,
+            { key: 'units', label: 'Units', format: 'number' },
+            { key: 'occupiedUnits', label: 'Occupied units', format: 'number' },
+            { key: 'occupancyRate', label: 'Occupancy rate', format: 'percent' },
+        ],
+    },
+    [REPORT_DATASETS.VENDORS]: {
+        label: 'Vendors',
+        propertyScoped: false,
+        dimensions: [
+            { key: 'service', label: 'Service' },
+            { key: 'status', label: 'Status' },
+        ],
+        measures: [
+            COUNT_MEASURE,
+            { key: 'jobsCompleted', label: 'Jobs completed', format: 'number' },
+            { key: 'averageRating', label: 'Avg. rating', format: 'rating' },
+            { key: 'totalInvoiced', label: 'Total invoiced', format: 'currency' },
+        ],
+    },
+    [REPORT_DATASETS.USERS]: {
+        label: 'Users',
+        dateLabel: 'Joined',
+        propertyScoped: false,
+        roles: Object.values(USER_ROLES),
+        dimensions: [
+            { key: 'role', label: 'Role' },
+            { key: 'status', label: 'Status' },
+            MONTH_DIMENSION('Month joined'),
+        ],
+        measures: [COUNT_MEASURE],
+    },
+};
+
+export const REPORT_CHART_TYPE_LABELS = {
+    [REPORT_CHART_TYPES.TABLE]: 'Table',
+    [REPORT_CHART_TYPES.BAR]: 'Bar',
+    [REPORT_CHART_TYPES.LINE]: 'Line',
+    [REPORT_CHART_TYPES.PIE]: 'Pie',
+};
+
+// Fixed reports, as exported by reportService.exportReport and sent by report subscriptions
+export const REPORT_TYPE_LABELS = {
+    [REPORT_TYPES.MAINTENANCE_SUMMARY]: 'Maintenance summary',
+    [REPORT_TYPES.SCHEDULED_MAINTENANCE]: 'Scheduled maintenance',
+    [REPORT_TYPES.VENDOR_PERFORMANCE]: 'Vendor performance',
+    [REPORT_TYPES.RENT_COLLECTION]: 'Rent collection',
+    [REPORT_TYPES.LEASE_EXPIRY]: 'Lease expiry',
+};
+
+/**
+ * Returns a fresh definition for a dataset: grouped by its first dimension, counting rows.
+ * @param {string} [dataset=REPORT_DATASETS.REQUESTS]
+ * @returns {Object}
+ */
+export const createReportDefinition = (dataset = REPORT_DATASETS.REQUESTS) => {
+    const entry = REPORT_DATASET_CATALOG[dataset];
+    return {
+        name: '',
+        dataset,
+        dimensions: [entry.dimensions[0].key],
+        measures: [COUNT_MEASURE.key],
+        filters: {},
+        chartType: REPORT_CHART_TYPES.BAR,
+        sort: { by: COUNT_MEASURE.key, direction: 'desc' },
+        limit: DEFAULT_REPORT_LIMIT,
+    };
+};
+
+// Starting points replacing the old fixed report tabs
+export const REPORT_PRESETS = [
+    {
+        key: 'requests_by_status',
+        label: 'Requests by status',
+        definition: { ...createReportDefinition(REPORT_DATASETS.REQUESTS), name: 'Requests by status', measures: ['count', 'totalCost'] },
+    },
+    {
+        key: 'requests_by_category',
+        label: 'Requests by category',
+        definition: {
+            ...createReportDefinition(REPORT_DATASETS.REQUESTS),
+            name: 'Requests by category',
+            dimensions: ['category'],
+            measures: ['count', 'avgResolutionHours'],
+        },
+    },
+    {
+        key: 'rent_collection_by_month',
+        label: 'Rent collection by month',
+        definition: {
+            ...createReportDefinition(REPORT_DATASETS.RENTS),
+            name: 'Rent collection by month',
+            dimensions: ['month'],
+            measures: ['amountDue', 'amountPaid'],
+            chartType: REPORT_CHART_TYPES.LINE,
+            sort: { by: 'month', direction: 'asc' },
+        },
+    },
+    {
+        key: 'leases_by_status',
+        label: 'Leases by status',
+        definition: {
+            ...createReportDefinition(REPORT_DATASETS.LEASES),
+            name: 'Leases by status',
+            chartType: REPORT_CHART_TYPES.PIE,
+        },
+    },
+    {
+        key: 'property_occupancy',
+        label: 'Property occupancy',
+        definition: {
+            ...createReportDefinition(REPORT_DATASETS.PROPERTIES),
+            name: 'Property occupancy',
+            dimensions: ['city'],
+            measures: ['units', 'occupiedUnits', 'occupancyRate'],
+            chartType: REPORT_CHART_TYPES.TABLE,
+            sort: { by: 'units', direction: 'desc' },
+        },
+    },
+];
+
+/**
+ * Checks a definition before it is run or saved.
+ * @param {Object} definition
+ * @returns {string|null} What is wrong with it, or null when it can be run
+ */
+export const validateReportDefinition = (definition) => {
+    const entry = REPORT_DATASET_CATALOG[definition?.dataset];
+    if (!entry) return 'Choose a dataset.';
+    if (!definition.measures?.length) return 'Choose at least one measure.';
+    if ((definition.dimensions?.length || 0) > MAX_REPORT_DIMENSIONS) {
+        return `Group by at most ${MAX_REPORT_DIMENSIONS} dimensions.`;
+    }
+    if (definition.chartType !== REPORT_CHART_TYPES.TABLE && !definition.dimensions?.length) {
+        return 'Charts need at least one dimension to group by.';
+    }
+    if (definition.chartType === REPORT_CHART_TYPES.PIE
+        && (definition.dimensions.length !== 1 || definition.measures.length !== 1)) {
+        return 'Pie charts need exactly one dimension and one measure.';
+    }
+    const { startDate, endDate } = definition.filters || {};
+    if (startDate && endDate && new Date(startDate) > new Date(endDate)) {
+        return 'The start date must be before the end date.';
+    }
+    return null;
+};
+
+/**
+ * Looks up a dimension or measure of a dataset by key.
+ * @param {string} dataset
+ * @param {string} key
+ * @returns {Object|undefined} { key, label, format?, isDate? }
+ */
+export const getReportField = (dataset, key) => {
+    const entry = REPORT_DATASET_CATALOG[dataset];
+    return entry?.dimensions.find(d => d.key === key) || entry?.measures.find(m => m.key === key);
+};
+
+/**
+ * Formats a measure value for display.
+ * @param {number|null} value
+ * @param {string} format - 'number', 'currency', 'percent', 'hours' or 'rating'
+ * @param {string} [currency] - Currency for 'currency' values; the default currency when omitted
+ * @returns {string}
+ */
+export const formatReportValue = (value, format, currency) => {
+    if (value === null || value === undefined || Number.isNaN(Number(value))) return '—';
+    switch (format) {
+        case 'currency':
+            return formatCurrency(value, currency);
+        case 'percent':
+            return `${Number(value).toFixed(1)}%`;
+        case 'hours':
+            return `${Number(value).toFixed(1)}h`;
+        case 'rating':
+            return `${Number(value).toFixed(1)}/5`;
+        default:
+            return formatNumber(value);
+    }
+};
@@ -0,0 +1,222 @@
+// frontend/src/utils/requestOutbox.js
+
+// Persistent outbox for maintenance requests created while offline.
+// Entries (including their photo Files) live in IndexedDB and are replayed
+// through requestService.createRequest in the order they were queued.
+
+import { createRequest } from '../services/requestService.js';
+
+const DB_NAME = 'fixit-offline';
+const DB_VERSION = 1;
+const STORE_NAME = 'requestOutbox';
+
+// Properties the request form last loaded, so it can still be filled in offline.
+// Per-user data: cleared with the session.
+export const REQUEST_FORM_PROPERTIES_CACHE_KEY = 'requestFormProperties';
+
+export const OUTBOX_STATUS = {
+    PENDING: 'pending', // Waiting for connectivity
+    SYNCING: 'syncing', // Currently being sent
+    FAILED: 'failed', // Rejected by the server, needs the user's attention
+};
+
+const listeners = new Set();
+let dbPromise = null;
+let syncPromise = null;
+
+/**
+ * Opens (and on first use creates) the outbox database.
+ * @returns {Promise<IDBDatabase>}
+ */
+const openDb = () => {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+            reject(new Error('IndexedDB is not available in this browser.'));
+            return;
+        }
+        const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'localId' });
+            store.createIndex('userId', 'userId', { unique: false });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    }).catch((error) => {
+        dbPromise = null; // Allow a later retry
+        throw error;
+    });
+
+    return dbPromise;
+};
+
+/**
+ * Runs a single operation against the outbox store.
+ * @param {'readonly'|'readwrite'} mode - Transaction mode
+ * @param {Function} operation - Receives the object store, returns an IDBRequest
+ * @returns {Promise<any>} The request result
+ */
+const withStore = async (mode, operation) => {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = operation(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => resolve(request?.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+};
+
+const notifyListeners = (event) => {
+    listeners.forEach((listener) => listener(event));
+};
+
+/**
+ * Subscribes to outbox changes (queued, synced, failed, removed).
+ * @param {Function} listener - Called with { type, entry }
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToOutbox = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+/**
+ * Whether an error means the server could not be reached (as opposed to a rejection).
+ * Services rethrow axios errors as their message string, so check both shapes.
+ * @param {Error|string} error - Error thrown by a service call
+ * @returns {boolean}
+ */
+export const isNetworkError = (error) => {
+    if (!navigator.onLine) return true;
+    const message = typeof error === 'string' ? error : error?.message;
+    return message === 'Network Error'
+        || error?.code === 'ERR_NETWORK'
+        // Timeouts (ECONNABORTED): a slow or flaky connection rather than a rejection
+        || error?.code === 'ECONNABORTED'
+        || /^timeout of \d+ms exceeded$/.test(message || '');
+};
+
+/**
+ * Queues a new maintenance request for later submission.
+ * @param {string} userId - Id of the user who created the request
+ * @param {Object} payload - Request fields as passed to createRequest
+ * @param {File[]} [files=[]] - Photos/videos to upload with the request
+ * @returns {Promise<Object>} The stored outbox entry
+ */
+export const addToOutbox = async (userId, payload, files = []) => {
+    const localId = `local-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const entry = {
+        localId,
+        userId,
+        // Lets the backend recognise a replay of a request it already created
+        payload: { ...payload, clientRequestId: localId },
+        files,
+        status: OUTBOX_STATUS.PENDING,
+        attempts: 0,
+        lastError: null,
+        createdAt: new Date().toISOString(),
+    };
+    await withStore('readwrite', (store) => store.add(entry));
+    notifyListeners({ type: 'queued', entry });
+    return entry;
+};
+
+/**
+ * Gets queued entries for a user, oldest first.
+ * @param {string} userId - User id
+ * @returns {Promise<Object[]>}
+ */
+export const getOutboxEntries = async (userId) => {
+    const entries = await withStore('readonly', (store) => store.index('userId').getAll(userId));
+    return (entries || []).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+};
+
+const putEntry = (entry) => withStore('readwrite', (store) => store.put(entry));
+
+/**
+ * Removes an entry without sending it.
+ * @param {string} localId - Outbox entry id
+ */
+export const removeFromOutbox = async (localId) => {
+    await withStore('readwrite', (store) => store.delete(localId));
+    notifyListeners({ type: 'removed', entry: { localId } });
+};
+
+/**
+ * Puts a failed entry back in the queue so the next sync retries it.
+ * @param {Object} entry - Outbox entry
+ */
+export const retryOutboxEntry = async (entry) => {
+    const updated = { ...entry, status: OUTBOX_STATUS.PENDING, lastError: null };
+    await putEntry(updated);
+    notifyListeners({ type: 'updated', entry: updated });
+};
+
+/**
+ * Replays pending entries in order. Stops at the first network failure so later
+ * requests are never created ahead of earlier ones. Server rejections are marked
+ * failed and skipped. Concurrent calls share the same run.
+ * @param {string} userId - Only this user's entries are sent
+ * @returns {Promise<{synced: Object[], failed: Object[]}>}
+ */
+export const syncOutbox = (userId) => {
+    if (syncPromise) return syncPromise;
+
+    const run = async () => {
+        const synced = [];
+        const failed = [];
+        const entries = await getOutboxEntries(userId);
+
+        for (const entry of entries) {
+            // Entries left in 'syncing' by a closed tab are retried
+            if (entry.status === OUTBOX_STATUS.FAILED) continue;
+            if (!navigator.onLine) break;
+
+            const syncing = { ...entry, status: OUTBOX_STATUS.SYNCING, attempts: entry.attempts + 1 };
+            await putEntry(syncing);
+            notifyListeners({ type: 'updated', entry: syncing });
+
+            try {
+                const created = await createRequest(entry.payload, entry.files);
+                await withStore('readwrite', (store) => store.delete(entry.localId));
+                synced.push({ ...entry, created });
+                notifyListeners({ type: 'synced', entry, created });
+            } catch (error) {
+                if (isNetworkError(error)) {
+                    const pending = { ...syncing, status: OUTBOX_STATUS.PENDING };
+                    await putEntry(pending);
+                    notifyListeners({ type: 'updated', entry: pending });
+                    break;
+                }
+                const rejected = {
+                    ...syncing,
+                    status: OUTBOX_STATUS.FAILED,
+                    lastError: typeof error === 'string' ? error : error?.message || 'Request was rejected by the server.',
+                };
+                await putEntry(rejected);
+                failed.push(rejected);
+                notifyListeners({ type: 'failed', entry: rejected });
+            }
+        }
+
+        return { synced, failed };
+    };
+
+    syncPromise = run().finally(() => {
+        syncPromise = null;
+    });
+    return syncPromise;
+};
+
+export default {
+    OUTBOX_STATUS,
+    subscribeToOutbox,
+    isNetworkError,
+    addToOutbox,
+    getOutboxEntries,
+    removeFromOutbox,
+    retryOutboxEntry,
+    syncOutbox,
+};
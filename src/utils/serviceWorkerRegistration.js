@@ -0,0 +1,77 @@
+// frontend/src/utils/serviceWorkerRegistration.js
+
+// Registers the service worker emitted by the build (see vite.config.js) and
+// reports when a new version is waiting so the UI can offer a reload.
+
+const SW_URL = '/sw.js';
+
+/**
+ * Registers the service worker in production builds.
+ * @param {object} [options] - Registration options.
+ * @param {Function} [options.onUpdateAvailable] - Called with the registration when a new version is waiting.
+ * @returns {Function} Cleanup function that stops reporting updates.
+ */
+export const registerServiceWorker = ({ onUpdateAvailable } = {}) => {
+    if (!import.meta.env.PROD || !('serviceWorker' in navigator)) {
+        return () => {};
+    }
+
+    let cancelled = false;
+
+    const notifyIfWaiting = (registration) => {
+        // A waiting worker with an active controller means an update, not the first install
+        if (!cancelled && registration.waiting && navigator.serviceWorker.controller && onUpdateAvailable) {
+            onUpdateAvailable(registration);
+        }
+    };
+
+    navigator.serviceWorker.register(SW_URL)
+        .then((registration) => {
+            notifyIfWaiting(registration);
+            registration.addEventListener('updatefound', () => {
+                const installing = registration.installing;
+                if (!installing) return;
+                installing.addEventListener('statechange', () => {
+                    if (installing.state === 'installed') {
+                        notifyIfWaiting(registration);
+                    }
+                });
+            });
+        })
+        .catch((error) => {
+            console.error('Service worker registration failed:', error);
+        });
+
+    return () => {
+        cancelled = true;
+    };
+};
+
+/**
+ * Activates a waiting service worker and reloads once it has taken control.
+ * @param {ServiceWorkerRegistration} registration - Registration with a waiting worker.
+ */
+export const applyServiceWorkerUpdate = (registration) => {
+    if (!registration?.waiting) return;
+
+    let reloading = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (reloading) return;
+        reloading = true;
+        window.location.reload();
+    });
+    registration.waiting.postMessage({ type: 'SKIP_WAITING' });
+};
+
+/**
+ * Drops cached API responses, e.g. on logout so another user never sees them offline.
+ */
+export const clearCachedApiResponses = () => {
+    navigator.serviceWorker?.controller?.postMessage({ type: 'CLEAR_API_CACHE' });
+};
+
+export default {
+    registerServiceWorker,
+    applyServiceWorkerUpdate,
+    clearCachedApiResponses
+};
@@ -0,0 +1,123 @@
+// frontend/src/utils/sla.js
+
+// SLA countdowns for maintenance requests. The API attaches `request.sla` from the
+// matching SLA policy: one entry per stage in `sla.stages`, each with the policy's
+// `targetHours`, the `dueAt` deadline and `metAt` once the stage was reached.
+
+import { SLA_STAGES, SLA_STATUS, SLA_AT_RISK_FRACTION, REQUEST_STATUSES } from './constants.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Statuses that end a request; stages it hadn't reached by then stop counting.
+// The API reports withdrawn requests as canceled or closed.
+const SLA_CLOSED_STATUSES = [REQUEST_STATUSES.ARCHIVED, 'canceled', 'closed'];
+
+// Stages in the order a request reaches them
+export const SLA_STAGE_ORDER = [SLA_STAGES.ASSIGN, SLA_STAGES.START, SLA_STAGES.COMPLETE];
+
+export const SLA_STAGE_LABELS = {
+    [SLA_STAGES.ASSIGN]: 'Assign',
+    [SLA_STAGES.START]: 'Start',
+    [SLA_STAGES.COMPLETE]: 'Complete',
+};
+
+/**
+ * Formats a duration as its two largest units, e.g. '2d 4h', '3h 20m' or '45m'.
+ * @param {number} ms - Duration in milliseconds (sign is ignored)
+ * @returns {string}
+ */
+export const formatSlaDuration = (ms) => {
+    const totalMinutes = Math.max(1, Math.round(Math.abs(ms) / 60000));
+    const days = Math.floor(totalMinutes / 1440);
+    const hours = Math.floor((totalMinutes % 1440) / 60);
+    const minutes = totalMinutes % 60;
+    if (days > 0) return hours ? `${days}d ${hours}h` : `${days}d`;
+    if (hours > 0) return minutes ? `${hours}h ${minutes}m` : `${hours}h`;
+    return `${minutes}m`;
+};
+
+/**
+ * Works out where a single SLA stage stands.
+ * @param {Object} stage - Stage from request.sla.stages: { targetHours, dueAt, metAt }
+ * @param {Date} [asOf=new Date()]
+ * @returns {{ status: string, remainingMs: number }} remainingMs is negative once overdue
+ */
+export const getSlaStageStatus = (stage, asOf = new Date()) => {
+    const dueAt = new Date(stage.dueAt).getTime();
+    if (stage.metAt) {
+        const metAt = new Date(stage.metAt).getTime();
+        return { status: metAt <= dueAt ? SLA_STATUS.MET : SLA_STATUS.BREACHED, remainingMs: dueAt - metAt };
+    }
+
+    const remainingMs = dueAt - asOf.getTime();
+    if (remainingMs < 0) return { status: SLA_STATUS.BREACHED, remainingMs };
+    const targetMs = (Number(stage.targetHours) || 0) * HOUR_MS;
+    if (targetMs && remainingMs < targetMs * SLA_AT_RISK_FRACTION) return { status: SLA_STATUS.AT_RISK, remainingMs };
+    return { status: SLA_STATUS.ON_TRACK, remainingMs };
+};
+
+/**
+ * When a request stopped counting against its SLA.
+ * @param {Object} request - Maintenance request
+ * @returns {Date|null} When it was closed or canceled, or null while it is still open
+ */
+export const getSlaStoppedAt = (request) => {
+    if (!SLA_CLOSED_STATUSES.includes(request?.status?.toLowerCase())) return null;
+    return new Date(request.closedAt || request.canceledAt || request.updatedAt || Date.now());
+};
+
+/**
+ * Summarises a request's SLA: the stage it is working towards, how long is left on it
+ * and whether any stage was missed. Returns null when no SLA policy applies. Closed
+ * and canceled requests are judged as of when they ended, and their clock stops.
+ * @param {Object} request - Maintenance request with `sla`
+ * @param {Date} [asOf=new Date()]
+ * @returns {{ stage: string|null, status: string, remainingMs: number|null, dueAt: string|null, hasBreach: boolean, label: string }|null}
+ */
+export const getRequestSla = (request, asOf = new Date()) => {
+    const stages = request?.sla?.stages;
+    if (!stages) return null;
+
+    const tracked = SLA_STAGE_ORDER.filter(stage => stages[stage]?.dueAt);
+    if (tracked.length === 0) return null;
+
+    const stoppedAt = getSlaStoppedAt(request);
+    const evaluatedAt = stoppedAt && stoppedAt < asOf ? stoppedAt : asOf;
+    const results = tracked.map(stage => ({ stage, ...stages[stage], ...getSlaStageStatus(stages[stage], evaluatedAt) }));
+    const hasBreach = results.some(result => result.status === SLA_STATUS.BREACHED);
+    const current = results.find(result => !result.metAt);
+
+    if (current && stoppedAt) {
+        return {
+            stage: null,
+            status: hasBreach ? SLA_STATUS.BREACHED : SLA_STATUS.STOPPED,
+            remainingMs: null,
+            dueAt: null,
+            hasBreach,
+            label: hasBreach ? 'SLA missed' : 'SLA stopped'
+        };
+    }
+
+    if (!current) {
+        return {
+            stage: null,
+            status: hasBreach ? SLA_STATUS.BREACHED : SLA_STATUS.MET,
+            remainingMs: null,
+            dueAt: null,
+            hasBreach,
+            label: hasBreach ? 'SLA missed' : 'SLA met'
+        };
+    }
+
+    const stageLabel = SLA_STAGE_LABELS[current.stage];
+    return {
+        stage: current.stage,
+        status: current.status,
+        remainingMs: current.remainingMs,
+        dueAt: current.dueAt,
+        hasBreach,
+        label: current.status === SLA_STATUS.BREACHED
+            ? `${stageLabel} overdue ${formatSlaDuration(current.remainingMs)}`
+            : `${stageLabel} within ${formatSlaDuration(current.remainingMs)}`
+    };
+};
@@ -1,12 +1,49 @@
 // vite.config.js
+import { readFileSync } from 'node:fs';
+import { createHash } from 'node:crypto';
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
 
+// Files from /public that make up the app shell alongside the bundle
+const SHELL_PUBLIC_FILES = [
+  '/',
+  '/index.html',
+  '/offline.html',
+  '/site.webmanifest',
+  '/favicon.ico',
+  '/logo.png',
+  '/android-chrome-192x192.png',
+  '/android-chrome-512x512.png',
+];
+
+/**
+ * Emits /sw.js on build with the list of bundle files to precache and a cache
+ * version derived from them, so every deploy produces a new service worker.
+ */
+const serviceWorkerPlugin = () => ({
+  name: 'fixit-service-worker',
+  apply: 'build',
+  enforce: 'post',
+  generateBundle(_options, bundle) {
+    const bundleFiles = Object.keys(bundle)
+      .filter((fileName) => !fileName.endsWith('.map'))
+      .map((fileName) => `/${fileName}`);
+    const precacheUrls = [...new Set([...SHELL_PUBLIC_FILES, ...bundleFiles])];
+    const cacheVersion = createHash('sha256').update(precacheUrls.join('|')).digest('hex').slice(0, 12);
+
+    const source = readFileSync(new URL('./src/service-worker.js', import.meta.url), 'utf-8')
+      .replace('self.__CACHE_VERSION__', JSON.stringify(cacheVersion))
+      .replace('self.__PRECACHE_URLS__', JSON.stringify(precacheUrls));
+
+    this.emitFile({ type: 'asset', fileName: 'sw.js', source });
+  },
+});
+
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorkerPlugin()],
   // KEY CHANGE: Use '/' for SPA routing compatibility.
   // This ensures module paths are resolved correctly.
-  base: '/', 
+  base: '/',
   server: {
     open: true,
     hmr: true,
@@ -14,4 +51,4 @@ export default defineConfig({
   build: {
     sourcemap: true,
   },
-});
\ No newline at end of file
+});